@@ -14,8 +14,63 @@
     if (activePasswordField && document.contains(activePasswordField)) {
       return activePasswordField;
     }
-    const fields = findPasswordFields();
-    return fields.length > 0 ? fields[0] : null;
+    // Skip the current-password field of a change-password form
+    const fields = Array.from(findPasswordFields());
+    return fields.find((field) => !isCurrentPasswordField(field)) || fields[0] || null;
+  }
+
+  // Whether a field asks for the current password rather than the one being set
+  function isCurrentPasswordField(field) {
+    if (field.autocomplete === 'current-password') return true;
+    // Split camelCase and snake_case into words, so "oldPassword" and "old_pwd" match
+    // but "placeholder", "bold" and "threshold" don't
+    const hint = [field.name, field.id, field.getAttribute('aria-label'), field.placeholder]
+      .join(' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ');
+    return /\b(?:current|old|existing)(?:pass(?:word)?|pwd)?\b/.test(hint);
+  }
+
+  function findCurrentPasswordField(targetField) {
+    return Array.from(findPasswordFields())
+      .find((field) => field !== targetField && isCurrentPasswordField(field)) || null;
+  }
+
+  // Find the account the password belongs to: a filled-in username or email field in the
+  // same form as the password field, or anywhere on the page if the field has no form
+  function findAccountContext() {
+    const passwordField = getTargetField();
+    const scope = (passwordField && passwordField.form) || document;
+    const context = { username: '', email: '' };
+    const inputs = scope.querySelectorAll('input[type="text"], input[type="email"], input:not([type])');
+    inputs.forEach((input) => {
+      const value = input.value.trim();
+      if (!value) return;
+      const hint = [input.name, input.id, input.autocomplete, input.getAttribute('aria-label')]
+        .join(' ')
+        .toLowerCase();
+      if (!context.email && (input.type === 'email' || /e-?mail/.test(hint) || /^[^\s@]+@[^\s@]+$/.test(value))) {
+        context.email = value;
+      } else if (!context.username && /user|login|account|uid/.test(hint)) {
+        context.username = value;
+      }
+    });
+    return context;
+  }
+
+  // The rules a field declares for the password it takes; absent attributes are null
+  function readFieldRules(field) {
+    const number = (name) => {
+      const value = parseInt(field.getAttribute(name), 10);
+      return Number.isNaN(value) ? null : value;
+    };
+    return {
+      passwordRules: field.getAttribute('passwordrules'),
+      minLength: number('minlength'),
+      maxLength: number('maxlength'),
+      pattern: field.getAttribute('pattern'),
+    };
   }
 
   // Track which password field the user last focused
@@ -88,7 +143,11 @@
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.type === 'read') {
       const field = getTargetField();
-      sendResponse({ password: field ? field.value : '' });
+      const currentField = findCurrentPasswordField(field);
+      sendResponse({
+        password: field ? field.value : '',
+        currentPassword: currentField ? currentField.value : '',
+      });
     } else if (msg.type === 'fill') {
       const field = getTargetField();
       if (field) {
@@ -99,7 +158,15 @@
       }
     } else if (msg.type === 'detect') {
       const fields = findPasswordFields();
-      sendResponse({ found: fields.length > 0, count: fields.length });
+      const context = findAccountContext();
+      const field = getTargetField();
+      sendResponse({
+        found: fields.length > 0,
+        count: fields.length,
+        username: context.username,
+        email: context.email,
+        rules: field ? readFieldRules(field) : null,
+      });
     }
     return true;
   });
@@ -0,0 +1,11 @@
+// Password Policy Helper - Common Password Blocklist Data
+// Generated by tools/build-blocklist.mjs from the first 100000 entries of seclists-common-passwords.txt.
+// Bloom filter: 95785 keys, 1836210 bits, 13 hashes, ~0.0001 false-positive rate.
+// Do not edit by hand.
+
+export const COMMON_PASSWORDS = {
+  bits: 1836210,
+  hashes: 13,
+  count: 95785,
+  data: '+XHGyaWYk7TDJQDxDNlmaqxq/0ltZxtJqI0JFDcuymyEzxbmA7orLnxU9DAXen0WRrykE45+OnKZWerlgsESEE/g6IiZ2kWZfPI2OMuE1vIwJjN5y3LoWNiK0BiiSX+uYUrnfifbqfFm3CcIs5W045LGt6ezEQf3v1ly5mXTPUlM+ljpoMx6GtlwPzZ4YHYFWmt2zXzE70fTJLA/yZxpHTo/HvWssCqyKFuaBfUodhEGH9QYvdLiL5s5+U8VMtYphrOVHMlbzsH6j0a/m4gdX8o1n498n/CETsfmtiYr7CZ3bLaqawDKXjh/i8apOtYaH8AGHLLNALj5ukDMMCA6o6HRYdjeA0Gaua/r9eVgCZLl5I3SuXOIPbnP3LZb6bQAfm9I6WOPZnoxYkV7bYcC6iPVccVMsQIFYdR+2jl7YUPlk1zYjJ4LCbaf2l8UOQ7g7j9pyiMsS2rFfcMhiU8eNWmH41Psl/YTfFFRBbDIbCFyUB9DtnrnvDwrMcJH3yi/oKgLUGLW4PQSbnAdSNOOaAMHSihy2y/bZWkUb2ULqCbca3WQopOH4nrOSr94sEzakFwCZBsSkWcDcnKKa/kl25Dt3Xa8jQLkpN7lFN2FwNRPJhLcX0BByTUV3y8MM/2YYlMnaek/F/LXaScwHURIMdOYQGx/9MGvc/+QA52x+Z+PYHRT7uWlEqnCtrmASXlMj/ht38w29JNVljaODnvsoefvAbr8hrGwwgjqurTw+DZT+Z2kw0QBP6lg5lyMzu3nMcO7WMAxjn4AYS0C1lS4oa64aIqJQCDoXX/UUHi3dAvrn13hsnprdNx9piqbnR1a40ndmSt7GqCUwhLBSUc6rqzm8b0qLHFPBB0mcbtjAiOBJWLEXP2SZKagElpKAl+NHo24yHG/vjxnPTTHLNToTwQMaDv5n6BjTeK3VjWCfd8I9TVFiWRj7jjT2s5lSLueU6vpS0sQlyyw/bWsCqvUr2XJ7sEsCKZYUnEzxEMEixS+l4D6w8u+lhNyfFESWNV+Sg8lY39WUy+88f/28q050DIWg0pbd5jNx7uT4RyWilw0VBFtUR2s/kg5x9XFsgYQASrMBcnQCYANQqiAOrL8XKoXVPH7ev7G36AXRbkvIEDuEM97DDsk3sBWnjvDKqrL7OWNsVk9/hThY30ry2uz2tPI3AkfttPomlwQcstEQ1ccR8d5LldFtMsEg4cEzQmAcRDBgHkoe0ONrBkzLpQCKqAKiVnS88HghAEPXNEKC5d4dc6+3KWshIwsmYPAnIirlprbJyGUQ2BFei6rjOTnDmGuyjZzsD5rvbHO6RrybMyRhBH5Y1DfcIF0pmO5idYuzkn/avvWSO9yVTwZH2+5zFJdeOZPCG2kSZ3LREGCHbB0EFp9hnD5EM6ODLokjYOBv4x7pAHx+rSQSovoIFFiTqGUspNPUoDDMbCpjuWf3iOTQx7gzFka05H9xZk4l6P/gwCqR/NWxr/SBtpZHqtFwf4586tBrRKLCTtplGOfU8mdOn/IuqwYFY2Xsft7W2IWHsERz3lfN8gPyeIlx5saYxlkbMFJjgQfcuchXRdC8bMkqCRgXQqKL4bI7GdYR0RdrKz5hnwOXt4eXDYNoBLlAoEaeMmnWav4YgA9FLQRMlIJ46iOaTp1HGmIS/6FnOY//kbCSw0yGnkn7UKhWPDWtRd5KKThTUf2eb7OecT8eMFjIFSM6cgd3ER3qsSSi2Kawjf4uy21mUmU4Sb0pMKgzMsnGRV1Qa2y9HL3NgQIqOBp8uK4N6q8pujuBBloYmjJJkdmPMk2SpL4p0vbtCgvMDLJXufEOWAfxv4YFP6h9+0c8TE2Uj3g81QA8EmGEu1wUOmmfdBZe9/N0+jpNBMhEyx16p6m737cyxo5yu8A9wfCQHCvhSNKppLODRFTKT0DpxKBNlFXaEORBdGxJj9JsPtPwntjlZc33aCFxTX40bEW569VozRBdocIT9q4CkPGOfopQVqVqXBDkdfF9gHFsJFHOEKwNaYov4B4U0PwwSq9COcK8JrE+Sv5nxXfqpThPsPd73cnuSn4dVXn8sQ2sfQhW2TmHM2X90ud/K+hAUXlQoQJ2q8P/OsT4x7NoOtnVX4KKujW9FktX/XQNvKtuVewEb0p2WuiueFE1a99qgz7UhGKnbRufLVY6w+qHXgn4RChajp8muf2foeYwcC1eNNmIWzCLr+01RgjISDPdTDV6lOuS8KWDg9iKPrusZaALIeHpLA6a0mWkq0EgYA9x4D5iLsGHhbTjSFIa0G20zjwAizB51Jmq4lq5iM6+uYK5ExVjaDhIubPdMvzncqw2FiY4iRo11mCrITyexk6Y8957Uej6wmo8T/oBalv6YBlc3n4rO4prHktoSwc1V/HckB36oiXOZpdzbqR5DE+LjHQjO8oKK8sGZXmcm0M2vomhN5qCMf96KqIRvDsX8cxykusOSA7xXzgNjfhr22OcWZLSdhjsUkDWHuNHXW/BYyliY17upuXeKbLC9wr5Rf91IbGysMzpj0DCbSZRJA4ZwautWRqYR1/mvPid/s42cOZdwtCg/XO4IPPZHdQMZpEytH9yFFHDwpPJfO+oancQ8rPmNGCkh44PjmOkYMa/kW0AHs+d9dUEq/wQV0vP2DA7Ar3i3PtkZq0SA9a2w/UxfvKSKW34s0RqyaUeWXiKcEKTum1bjj+dzDZL+h4avPtnDA3PeeLxgW/wdXUUKScwI/ACneMdLF6pH63BOWsHeao64ECk5qnYiXKP9r2vNeMZOjA4npoSv3ANvYP9wMl3Mt5TZxhcam2tTRaLdotNpNku5r2AAK8WH9QqGP+u3CXFaJIfzkZP5RpRCwA5mcuaExwQXKU3PILDbIJulX6RiZbBFr3MJ/IL3CH0d29vkWFPUZvg7/XDkiNDaDXLhaHRgX8fQ8L9fnrm0+3yq5i/snB2F8pMTrp8PrXva2TneeJUlQKIEWMzub/EQDpR2kcBRjoMdPYAMtk3ZQOaK706bKgq8rMpjUI+L55FawfrZODnEwQIsAsNEcCUInHWa5YUzKARRScea5RAEtGOhEIRbIIpK8AlHO+OJJVaBv8ru9OGuYCP07m3u8YNEY/t8A6mjugVvLl8j7yIH1NyaSLQc87NY3vsgobmGPZycZFQXPUlfTq685VToZE6ecg/Q/AkYgQXxpofkDxwzpHWZY5fyYGIOUOwM2IFOdQa6daLv8Z1umrcnxq1pjAQaITpDHpDhOWZ7O1IuH502EXUdBz+AVPAetW14jPTXRK7CdKlaYuJUA90khquGGDkTw8HNbNCjUKxidldnNimaF3nUBeqw3ZNdnbH8z0aUkmVB61syc0GCIH4iJN1oKSY+hGv39IsrVBzwyWBDscf4IFRTq+udh7ZfFEDkDLLnAwcMCyWmRNprRb7aA2OTdTPXHLO2q2xpMxpAdmA3t5W973PoVvwxylQMkXI1Hp1tZAxiH33gk/3wrttR9u1TympFM4/MErNZL749KEWuKQXqZIRPA6osJG0xsfAAckQ2tvkhZyXNoectDaONfnObU9sSBsrZtnX0jLqV1eKUysGkf6NV5NPtINuoRgFn9jKCxG5T7Y8SwtnAHbna9PtupPXhnvsN31ulf2+HzhLRzxSewGrKF3xOE+S93EAp9o8/kidcL2CS0S0IHY9z8qZ5oJ81ZD3RKqQyFWKWb6dBiWwN76V0rqfWKLjn2agG1FWWy2gGAlHYsU1nBU6lbWgY7vF/ftUwd6wnnxmFk+dqJC6gUeIl/PwydSpGEQwX889WzAI7qITk6SqSunNLcUcRMUrOKZY0tGVcHBZTdgq6vW2QY5NpkHIdM9DMTi4JGgutwpWfQQGnuDxeemQ2tfDXrkRYhxZlozT2JjsTZQXUQoSqmtBKTs8hTX0301GWHg37yCoZO2F88RCEA/uI2QlEhs7qEgCOCEsnz+kJm26FNKa5tbBV4N4JVDecc+bIqWjGkjrM+qDYg3oPFcR+hL7G630rMJs1mWqkImIaRtbKK9h0fAc9v80UoucZjsMabeqF1V85cGAMFhyysql/KiZS3Fmb0znuCL1xMGmGo+EuanY0FYL8dGK9Z1Jm0jNtWtgEYeiAKx4XgQNyOd90BaxeXwIc/bUldm/lg/FfG9sFRok+217A0slWTiPK5QxA5wYGOnQ4eyCyUKfxQTzduk03KtDbFKLL6DQcCUprEnGPJREhz+RvuKRed0ZZcADYJTM+clQubi3nnk0jkKYlXIR35eLRXbjXyM7OP20SlvxcGcQQYJ6s1X79clgigYKMpKPFKIbGHng9UjfTy6TdxIM4XidePvXyH7bY0Yq6JH0AuckXPRmOjjEVK08htt/gxGKX1ds0UQ4G9Hc8Sd0I4GFsIgRV4iy/CWtJtj1Eyvh9bX/p315/MTYC38iAaVfVx1iMsLLk6MyZTHQ8GalW0YQ/h3X+tlMKfsgFWItcA/qAYFM9hOsys0AB/NgEFPPJ/tDkzIe15wL0HvHeMcyeLXmgZlyeSBiSKNvt/X37wlg4VfglRDkIutr+NCuviUZ+q3g8ALXEixwmiJR7M/BZ/r5+MugiEcZqd9He7qafpQojfreW1IP7jYGJKMTjVk6u4gekKJbEjw/p1zN3OSJ9bLwF5SMNJbd/sbsHRbAkAin9PSZOyLukw9r9Ry/T8MbqxVy2cuFD3x1pZT1pbArDFYrWbP7DcI6g3RsjpKJ7h4ATjSEHA9VrA3Oy42p9mNV3ys6YNdz1ZRU5Iyi3BFvq3nw8saR5kOAMZp+Y+nYW90cGXcuxv/ZanGFh5iFIxSeBthG0t8zD/EXkbo3dq6klyrzxns7ADP+BZkSNqD7jQrwv/NzlzEyeZP5oaiYkdSDm4vgSXNshgfZlgAtU3rXjqk3+UEBpxH4PpwsKEoZt3MRmK15c/2RfEzYUid0UO34pY5mhM6bsCcvv1gQV1ZP5TQnyPAdCASUGzjRd4IftEFcNwyy+aavtSlx7gkkj9cRgw+99Jlt9EdoRxrHohH6C/s19UbAkc28K6gNqzpy4ML2xzqJOELH9F4tERuAi4tXG3As/ZBx1CQ6WpufuXV5/OZJq6Q3/UaQE58PSsoy800HehPHRDjvAkDgN7j1KXhZYfFycm7BekHD3FOyhYVczQpp23wLQ6F0v7VJIQsjabXHpkJqaa8+InUJMQ49y4B5tMjZzFo/vc0+BPFMmtdkWqR2IgofD4tQuB7EvaNs2AcWO7C5TmZtn3vg0jf4C4IWzBrPxW+jDCUeLqdIvEt90jbnmDKxpnOkwQ6TlgKZqvA2ZlRZYi4rTQy70o78HDgh7zn9SQWWB6cPIM5hwQPgyhEygUGiN9Ia/kE4PWKxHsSEeIc4wdoo4SkjDq0CNuF41fQnCSirwxNUOdui7nJgEp7ncAb9CoRvuiYCCyI0vt9k0ZPQzJ1GFZ95IpGVYTjBJnnIM6c1x/FgquRjAlhipXVaaGja7XM5HWNfqTQ5+yEKa0e3Zw4SxMShWxS70JsYHmQdObaNuuPJXvKN2NW5zwbZpyVHd4dWSU7MDnIaz3cQAoAhX2U+Gf8GvkBZRJmwuFsAkEXLjYD0Oh7p4H/HwzFVLFIwAtcZbbzyMMJpYmIosiL8756nKO3g4YkhCpCc0gzDHHSsuyHJOeIUuHmuV62E+w5Iar0HTqiMnyQ7/tfYzbBfZByyjUMhDICFZJ18NbmJiuVNVg8/QQYBGtKPoLXpb5l70TBOi2JadifHL4I4DTSnivlBod44qgnrEiV0LIgc2bV3gwrVP/YQww19EUMXLpIMczURgMkcput77pDTSu/pQkwuD3rIlA4BV9JKbnxiXPPiizr992X00MDCPyiR16I5eTL99ypH0Br3BRy7XSWKZhS17sR8ARiJAu6gmmkO8vFNnbBydXfWU+sc6gPNALv+IAXjdMk60Wwut4yepRWH8E6xj8UUcw4VHIGNM3p+Dj1fOCg7IPySoAm7p3XkMJjsCEUxqjbO1YBiTs6WCmYWw1kxyLyy6kYYkPZLocesCZU1LUwNUAf3cUaQl/bLYqElJ6KE3DPUDHiFa1worycDOExGdXv4Nic4WAE+8z4TeD4gPSmgN0Tv+XT2Qmc9Dwh0Gl9gsDo95DDzoniowD/RqG2scpVEOcQECwDFDnW38tY2G45XKvu6icztoYq0UYDPHI5RyPk0NPkOUHOXr0rmKYesSkq0+gQVq5IFNxHokeg+Dfaperk3cIhqCu89wKXtQhk2dhkmFjhD6gOdLGfjsf+2A3/Ddpm+nzVLx1qcOcJdH4kBjwJsFfWyA3msn1TTNUFEcjcsGO8WCCYKIHL/33gA8vIXyKJ3yoLpRV+usJQ4ohLr+RMusVf8aNzyVSvxZFEG190o/IXNiFLar95a03RQb0XYYsIe0CwmYIHspFX0IzKgw4pnOMCs9fcEytVQHWXPDSBoRqr1V8yPdypwOY89NTXby0+YGUgvm6PAREKYNk6w1GXzM8081MGswQsdWz8IfV9jcQzpPYUUfAX91yzGy5tcY8KUuWkv+2DruLzlkeMfGy7YLPoNn8S4sAtWELgw+YDin/B7b0XoeXGKYjKBMpq8a+wztGkQsPEnHQ0gRyi/VXOJzETBp6ij4JOOkx6H9UA35PKzAd7oAyyG7K7J/kMPR2y0db+yqiaWCMLQOh8YDfGS1CrZqkpd7vKlVzu9U7cRZPjybBO5twOVqDu8Sm2q5bi9dO/2DhxvaGWH1gs218bNC8YB2O0iLGnMqfA/K5OIjDGkIAQjlrdhqpALnAOEulk4Xn2koqWXQk0N8KF0fIbVLVkPlk2smnLuSbsBJ37JKVtmvBo4IPyI+k9p5lXlMGYw/UWNHpW+qBdSx6HIkLoZth+wC67+zFh5s2wFPpe9GrDpjv8hf02PZRBCEVkjEy5OjqcPFkR1o1LM2pOGv6qrpwfGg4T0bMKgmGnb6CPBZMCosul6FG6rgRDYCkeXGm1PRJ2amePNrogueUS5fEXh4gB3nTDvpGQNS0lE6Kk6zbctZbCZnpsm1SEj/1f3DEvXfsewFHVPlJKg3Q4QvaIk+Nnl75/TDyu7mSXQmQPWb+c5pU0pOWTeXwIDlplwHURSHgK//Ug9nmw7zeLhmIK6lBp2z91gyjSlgNc/pVp4//tio/jnuoG48cMPjxIi/I0ChQB5GRGHDOlidaxa+nDU3Vw30aOF3zadUgSZZ3hdtShSvWPsOOJixVrCB+CNjYvMgiWbRBCHW9SYVR+1dmv5H0qhZVee3zKJwFNn5+aLiAYu4Qm9djYmZ3gfFHTwsIUJB9vZvIE8hTxMqu+zmKylaJbOaGll7c1Ly8IASIw+P0uckEiuIxTn2l9V8nOvJiNx4ztT1KBI16F50tWWsiPiduQvz/Azkxw0ceoIIThlSxCoPenjWgRxe3miZXBa7qeFwJeW18TldsVaCYgTNaUu58VfgseGlrzW7A8WvdaUdlgqhsCvswQ9nxxyj1nrKB0ZcoX4VRaFHCFNqL1ZcV51vFUhpeCqHLaM0WpT8KtihqEDaSjDjzUAVcUu2Qp/xT/JZsAYUkE8/JeVg5f4Z/TPbqE0H9ZILCik7fzTALwFoky3USfCnFsgEXigxHyropVumZzw7o1hGSQRtBcUVmHZbV1U95IpeLpHMoB+UTgVlqxr+GDvaNHxMvBx076u5ZlJrq2EChXNVspbS5ATPXnyg2b+FV9YzgYpwahmhviy6ll4fpBJr6uvZgLpc5GOvwHLcY5qWkyaVP/olkJINYi7OlYE0c+cX93mynjK9W6F2lTKG/sWpRopwCvEKJWs73fOgz6i3ozUsks3qM3pURJ4toS/v907BDyYyKrJ8NZJRVShnL9qD9lQ9ynJyuQrQigioaZwINPrmrpqnthiXfQRPKxrmraWq5LAxjDm9jDs1ZOW4qNvzUO8DbFgcmnb61b8oNI8g1IrYeb2O3BiXjXnUjoeyOzjQ4Q8tsmJm79Osc4MlNowan7ob8zbVHPAVuDmAswD+9MPC4gsHm5+KmDKZbvbn1HgEcuByaokjSufRc+2KpuTLldJ7BI8TrtOR1hHWjDO9t1ejGUG9td2G0XpQrE1Ll5P1T3gwDchm+1dUGQOIf7uN7++eztomk28saARztnuGi4ab141uHk4Hl+1rZV36DuhdKD/jccHhnEKD9o9E5+G+d2TwiwR6Tru4OPoHKQTX6hA6LLc8zNZDqDRV8BwhB6PLW7tNMBG3QQMTXMuZjqbXFMw4ZJCUeN/XiAaqCqE6gUvKdtT5ov9kLkNeDGXxS6OHVHDYJxytriHxKBVp/e0LDqt/C9H+LjxAFV6pBvehnRJTbFdVh4scActFOlnevrBjqGEkEGg2NJp1M+4SpYBpZto/Rf/i2CZK6vJvcggiOCYIA7usc3ggreUBnz3ElmJce2cgZ/lBtV33VRUpyWHB7EqctyKxt3ialYvN8DNWyuNA2ADk+sfC3tw7eFdajab45QXZ6iWCzHMuHQW7wiTSqRQB5wrZBBEYdHDpWLNTDgZl8tenzHhZUQvyAloTAdRrKdSAAUEP4PHqCSpC4Anmf2XHehcU0HK7EzRxctglTDNkse4lFtwC+1ul/xEHKjJb3emlk6Lq234sJ0y4PTJ/Br6FCJ0Jcf9P+3bqNZoPIVPEfIZRo5ZStNVVeul2YiGJobrb9VtMVlMMgBlqbdAQFyQSIrpQP7AAzjB3SXg5ZHAdbqweijV0KguwCaXM9I8JTlZC8q2WUSxXZFUfbyI0jwgXWjjAYjmBCaQsBhzcb+rGeRwYSH43NymkRCiuRqzkoXFKiFVwMGl+I7uHl0c7ONwxFBssyhC9uuJMtKG3i50iTbxxm8t0R6nCWjskOYp1Qu0TLUvMzbiTSMeB1wS9XGSB7B/aRIIoAIemLs24lM5SqYtqQCTGjWuYUiwrLG5HEKSE6WXC7zpyQXZZ82WN579Qbybijv0cggBmh3sgO4MWqiKMIfIXgqHHCpk7Q5jOvttnOyBkg/aqrsExwa9guXm3as3wCUHUZLf+oy5h0AR7ofabDz0LIfSx4SkXIWVQmqLTzX0f8fROk5okbhDLxDNSgRSeScKdySXlgRZWjd+pAw0wKdd4XR2CE6/zO+nC4oGXxFAxN68gqv8OmUONcIbD0faa6zVgEJExA+EHbeXLJFHemhiSAy6TT20tVuUrxOVD87uBLpwWpBExiAwMCcQYEhr1CfbvvjWxtk8D9EbRjxyCd7GZil77huPauF/5381iRivTYMew4dHbJgUbOAVTpFn1BQyISWSDlg/6k58UUMtSnsJ5BOiGyijbxQnbwB6lI8Sz5rouBpH/5Y2gW7Ku+BdKxyvcj1fmckjE23QkRB6AwrCONx+HXTZ9tEL364i5ACUSCjSraDrMVZqnol6zk2ZGy48bb919wf/cdGi7fo2UfT68cYKZoR/YKBGScxIYT0yvEkc4XihnTT7mjPUXc904+t9yQvVggdX0PR5ahVNybxo5CdKXtVAr2jV3y23/SGXK6F4SR706NvRrNsB1UzLurjQPl9Px9UhOgJCXmcasG+CAut10GsIUjFiyYJSkiSaS7HgDXLauLBAFDmDhXvqc/uBasU+dvWlrdmMgSH1b5gK7ZLGI39TCeSAg7mTNbH2CPb4YNVXQzLcKMPQ6KNwQghwW0ZPDOhPkfpwKNP6GL3FPdsmOHdFG4c4pEl87FQw4S13VSkW3S7+eXrUdbOcsfMwxrLthlhSLYHkxfKpBg2dHdSzb4hbdjfB1TuVkYrTBqA+49CPfdn4gYYITOpYU6XEwItBa43xBkS29BRARH+e2tQJEyQy2gknu/SBAmX5zsoyLvVmLrDJNwYf2GLBfloGb4okQCauavlQ8a9AAfODl41+V0o/WIm3SIaalIaZC0nWocLunDLYHERYbOWMBaegdYl8hI09UVwhLXZ0NpC6c6BeSy1YbcCZtBhBf31Zh59lJvwb8JJgzttKDRW7BHiQIWaiUy4vOSOQcVWoUshG82ozowq/I4B4ZB6PBzsij3zTZVux0xfOrK5ywZBGHopDDJARryjimS2g5KTPVSGU58xQQA+0wZJRs6E/LJHHPknsaowjCtbHWeTO1cGOlia9Xe1HFtMvnlDYsFECBuvxey4T95oenA9CJeP6oBm/N7ZocJSKuFkmLjKh2wjJ5DKBNdYGQIkhK42GUBxi2/soNrS45vocnC76QFXx9oQvSM6a9supCF2NRbNsFsVvck3ksqEcbhfwNIDVeXJR5r492ZmSdNWn4hnuF3Ex66+xtoJ/JHyW4yUgaSOrYH6RR/d1+xhbqMt7tbr+U0KN9X8CtAWkSSgjYPLTev7665xnMNGm089VIdhM0lg/mwcCQCWPgLU5IGcbGTBQaPcNlqcDlsybJqgjXKfRYO7BaIL6Ctc/crl2jAnRmaWqGzOs0qTPFzOgrXfWbV5maJiZlbigCWRsWVR5lpwYk7sRiBMtK9Y9CB8bcO91aWhJoD4xgzq8kECMWe+dRcZfjYqwGqnM/AqLpGy+aFF1sTF9b8+p/8ue2uJyvxdrTxgyCzRUeruLRK4pUJHWtUSU+o61WgXCyN4d00EoRhaE4Q/VeX/X24J1vijS38oy4PtiVO5KTyChbKtF7zYnZ1npqNJnwawJb+AKtM3sYWljRPc6sa5KLvkQDX7FcxsTm0pld2pRRkYhb6sBAbHAGSyTW3iEsxoshg80M+KHiiBBG+FcKCo8dzLHAL2MM79D1rpMGXOdPwsZCU9iON12PLu5bQy+eeTWpW9LrGcWJ4Ua0Je7XolGXhOIDLUxSG1IYwO80ks9+9fplP7vvOorcCisgfPTfY4k1fWR3c8EzXpmMoeC2zoBg3aQpu73MCIL7+kwRD3hSzaJSU4Edf7QdtkbvaJTQdeTzY09q89VJSMtAxrP2zRFBy9FtfAyi4FcR4NEO96WFJWumRaiS6TL3gqMRyztKaulYe1i+yIXIinOSaMBCvlsC0SPrwQB9Uk4LcyXOlzIJ7m0xV8fcxINkZqtpBfiOBSXAv4pFyIos987vLMFkSdy+AdbySqNwVcq78YC1U4vO0J2IW8vVYJK2CgfaJV8JalmKk3ZFe55+SPttVx1uuCDFkTM8+hIzFVuxGKhuOFtiQwpm1dMnzA8bPWvr/FYYyqHAvlJZXcOngGHs3MKe/9IYDnWSUmf+72L16FB6MSSExw57Nw2M/G01D7i/lJDosU0w4Uy8KuVpsEUqSc20fcyIRpgMii9NbsI1jVPZIyQS+0ZyINekEWiExCWYdJB9YC5VRh81GYGsoCw2OhaUVwMnFdy1QqC0x2mz/iXKJEnLbXGeMjhqzAHQXwMXJX7s84HGVvpicCaKu9WB/MUWyXrM7XDDjpBBi9jUAaX9fg1kIfr/6lROuLZOHHLqssfUNwW021YjA/b2pvEmEKyFgfl45Xm8k448Ta8AXUuTzKLh6u8xVGoq/+mCKVlC86sUtvOoTs+YCFfnzCc0GQ9EDoxTNSMrWOdaigrSQquuI/DRxAInZa+Inr5jMe2tgy3gVneGIO4ZzHwh7iXZKes+/FR9Hq9hLTZchBSXYWL5gN9JHhCPp4w87uHY4E/CT54eHpRW6YoYYcayFY3VP0sjOg+pDYM4AQOhV4ytwhT4AJZGOKnkqudzFaIT9k57tAJ2OWSJi8K7+XJZvyOY2vXeApng4t3DxceAGeRxdIGrBStE5oe5TFOi1XgtO4siofmE2eyHXKDW1bi1cCWj1Hm9E0Dq0XA8rluBIcQYreD/UF/jh4abB7Kj8s6JOhvXBywybWeOQlvdCvXpy0ocpuVcHpkMSsvSVZTh1ltURJWShAQtrN03s0yqPIRTttDkJOXRD8QZKBVFakmQoe3eJ0i9U8NTGZRqSeLD7ePGdkTX9WPrUua5r2UdqQs9hWCLBvPr+4JBn5iKYYSbCrxuzjERKEBfCd2kx/TQL3dCFJlmMOfyCsjev7bYgBSiOWQYwR3uNoPwuvwu/rwlpsZHLkCTNI5lvACHX8MPe0tlS9LpaAAdFBU0KQP+4ttCcbiuIk8XsDnHBxhW4gloL0eWwYJeUhXgl59QEFeGxu2x1jdxlW40+z6FA8YWKtJfFHpmMfoW0Yt36J7qL8KAu97Tip6L4iY1vFBEMmt1Is10AlE9ltO23kxP+v2PjZBH+NiI7aEDXRFIoks0eBIQN3JaLQU9fBuibOmtZPwcgbQ5fE82S+TJucsMjuZfrIVGFZVOGCOtPq4T3Kwgl4cdY3QaXBw8Yj6iWi4Ug9wIW+dk4JmQHLvSkEgCNvGfNyqBUdJbzomY9OVYwCUUgggwsaDUd20AJLnrFuAsDpebgXdrHinOC6oYcGt+8sZeBKItfP0Fac8deHXtsxW2mhEio3OaGUlBXbM97LPk+8k7if5TlgDJss3yhUJX7tyv/S8+GHnRMySdungG/Wxd1BKNGAqaLuS2r7SfzIWsM1I7itnONnX55+7TOPHYl9q92AeP8mLxUsRkLZMY7DpDc8j36Fc3svUOoq8b/TvRoWRHFqUrVZfcSvTchuIQOGI9h5iXmzKKtHIzNOV9L0FxpxS0CsZL9EFEoMJoDDQPBCtOxjh1HVUJVdKu2K9E06J188HDMuF9QARaN8IEcdVnRMJNKpAny7Q7TKTuZuhylb7czxenkKlwt/UQ3AFh8rCpASK+AYcAVAjzIoQnE6eWCu5lvD6qsqG1dVFiYxvREQQXdQ+GMs4tCf4xF4e/qG2gNfuT7ZiiW48owd2LBtgLVWf3ooLxwHpW7/vhPvHvtmQAh6XgseLdcoaRlE7w8ZvUMs85rRr0Mqa0EEZSF8X0QkDinOz5og512U9bpj8n9vOg0TTnBbsZLkOxX7n2fLUc9OY0Te+AQi0v0trZamtpOSBy4wSs8CCHu68B8TJXEc5Yh8UNtz8cBQcLh5yfi2oPxXEITA0mcppSkoU/ZYGDThGsu1IkLQw4VhgKCeJnZXJRyETC7vHS3Ax+hlOyTLUKfcS8SCBmzlaJpIwumqj//LMnVczOHR1bQ41dhx01KDEcT7fjmAQeMjBLTKMHEGmRRSJOC6WC0gfjzh9wuQyLwkMmyGTZVtI3oy7kTwvBfKriPnSLz2FlETF0F4k80UDqcd2KHrwOS2awsBVgM29gQlSpgB9ymvOuq6pqz+OW1qyROiWmb3TwhVLe4EA90qHkA1kHuvc2tgPFLAriIDYnN89PjDadGS5T3qbXQtvGdGJY0hP//oVHvMXkZ1mjsqRVDynMHBqKCKJRD+EcaFd1ZqwKxOrBwN9vOGz90PXf/OzJ+mb+6u0oEbAVd+vWHmF6FfU1i/F/jxnmg+8d7sPx4zx3C8Usfdar2UAc+pWUUYpQznEw1yZZvHWayJZV8xxchMHQkUD+BfoDRjSXXaluXhbtRSzDcfr70hbqOgbIkwIWuCTv3SE1b/2x3E8VzamzOaZXAOsieS26vX/AaEMMUSKD3pNefr/KUh5MUwlGuZjrXs+uqm2RZeq657qXNXQBGKjIIP/hvEjro7QSGwWOjm/pTqEmH2flFkPJSTiG2BLEyazhUf8mD/POPz9c8w+ghAAhXlFLLEDI8E2yYevkYFPqVU4/P+k8sWt09XffCOBnzaNIxZmimcSaLRju/AWfa2hBQyGPUjvQglKr5GXeTq/TByUMHBpgTkMh/Nxebc84Y4Y1s+9a++MexW4zt3bVzOFzKQ9JYDZ+v/kgIt8+o6lqHCAiLRUgIHNpWpCoGqNMrvyVzZTrgKSVO0EfhblnKPFaqsuCRExcE0hgMRLwJ0nqLdAAPw259Ns8y2NH6MhBCuy2vWYRZrkMEccrNTG96MM+jLEXz1POeX/f8tNvLSr1seSk+1ZOW4SywB0wEG7xqxOVcW3LmfIK+qeD1gwq3SY0DgQPuzwA2YXLn9I8WwKDdj9/PP+yS/KuaxTyQbNC4VRZgRm76wwhfi264+rWXQBHfgb2ZoK2Nw4GO3oItuWIAkSMfadMBD/Gb9Jnd282V+MXI6rvyrFSfOB0DqaaXeqhAFKVRWIPqukE1hWJbsH1wanLwf47uMNWcbGf1qfbg5lum35b9a9kXxG8GxcOJWrS9tcuQg+AdTbS8aMHRWg0PXguV5qcRiz/RvGu0z2NSBl1wI+joTcFBapXNU2XEmpzZst6mebqqgSSoAbTZCG9JgUkaghDD32U6to8QoUCelMaUc/C4x0t2Xz0nLKfmbm06WYuREZcvHOyzqSpHKcoOrfufOINgLwiYMBm2vS4s+jfOK1zcDVwvvDL9YEwzD3Y9s5WZywuBuCwnftArPEIjxT37vyrlG0bCZKg5kNZRDgoBBY4wxeYFB+ZjzGG2aYhDmnHzrvzbW4RQAwyhYsFNb4xD6qo5I6n2X8FiyTAD53p6i8Y8GCEz+Tw1p4QDXzGms1EqT5WLIp3YER3nfPsvveFIhFyZR4xA+1M0AxMymwt9/asaFau4jK5eAO76Z8C9xSaTmp6K3Avw2Bu/d0ygZ5Q9dUuJBa4qiFghlSCfRAhGbb6qkig1sD9dLrfjXmyYeSUlTToQBTOhvevv9iQ/Y3pT5Qk4u4ufrTQJkDzpkFSmS0FZQ/TZIeEbZXyy8n2YHZlqGbFHF03KVt2wQ2szmZ2fA9IxtFSawf3emrD+HX+9JQvAiFkeQYRJVonu4M50x2CxjrXnD2Vm/ZxB38bO2L9cLZZW1y8IINQmVGi9C8sQUxrhWbIAYxYXP21w96h1rqItC9yUCBsf1CkQdh9eCYjBPJW8a6x2LalIUe7fHjM3uBYX6524vO8INSR5teA53IPYOucmDhiQDMu6rMXphv159Epf7ED/flaNE/NkRx4Gq1K1dGp9QUqh0ldqTAB4BA4KOtLwa7TXw6kh7MaiMXvnNjveF5bCFjONb3MZRU7/9UNNrGIVAQayBTOmGasP617n+N/YZyr+m9HOA/JSFEK9skDRgufFxhet8oFhZRMldYwmqWAWgE+rn0Zr7OyJVg8O3UIqh4AbBgZAvdnRLROGDXDYc5A9+5bEyCHQ6NdjLlo80zf7DgguEFtmMjxqk3CUYxrR9ZL3GnACvCFg8GHXmKzUGmYKSyCm9XR+TpKKPi9/9pTcqQbBZ277CADgZujiqUdjV8wgNIPIQIQIR5WEDnfevQNoFOEJ1uYrWQ6QGCbith4eAGkWpMRh21k7G3f3iCJtDWaqWV5jlRAm0pEQAFjR0pudfbaLrJxQOpf21CQqc4fKjRzpO+NpW0S/jNjl7P4rXi99W1ez8GgKInpt0rDSky2Nf/G8Xizg3+pqQYKXyIGsnzhQFiKcWG74OZU16zOALxjeJHs/TUOBee1+f3MSre/B8T1CCVouh2jTMCdNCXLaZB8KrUjABPBYOsU3TAhXlhpfNVTyNu2MNtBFbVztu4iqOuEAikVEalIGsm+2HJMKG2gYV268jN8rvWiH4ygT+gHsmt4xffCTH7qbZYDtHpnIxx/bNQMSXhQRCpThMNFFoaqq5KX0JaJFEs03ro8fueN7+JFFZNZI5TUSWSy7H1Jzqn71HJjU+xd7vPOfm/fIci3XfqGb7yg7T+WyhwD20mt3+Azw0neSqAuEZLXrVIGsX5AUiWF8JI1gQPY3a8/L8CIBWE654QgEEh+Wvzuh6pCpS/+x/ZKZm/mUozR4dG6RYxjPJaDAkimMU/w4svjpK/s/nVrLdPQE/KKHSKU2BRa45snCZ8FTu11vLX2+U/1ZYV9tFSMoDI09HwYdiLzYRIUGIRvoroitwYhfa+NC2MHY41c9UsqIp5h8jSpf/Hau5TYgZOq4CDyM9di4hSje/OUJGML65O9qhzrsLd2+JOSL6fwG+ytDFH9rda7uUC4aLQBrKuNgiSbZrNyNgwq8jF9cEzdJ/jR+OEEfoHHX9wZEcRiINE5d4CWFWscPRQm2jSAfFf+R2yF3SCSspjLc4xAeJrm2MEMFqlCY2dqiWaJJUsENqRxx67A/TOKdkXECI+UNmDtK7/wSoeT/wLT49eiH3F/UsdtlkzyVQ1wpeS44Y7oFIXsrteuf6JmUNUD3pFik/N3CZhjYCDzeyv6ISBHCFGfRIp2AmCBeJqmjy7VRlikbdaWRMTSDxDOdKfhzdxr4iTZu7wPHjJ7dvowiSzrVJTzg0jNWDt2mClypHteDUCvo2svPUWzws1nmbaX8yjO8nLUgsZGGwSw4NTQ24RPwOldYqqTUnJ0DayCih6j3X3qwMfoGZWXp55lJhPxBYUfX3hKkluIpb+C8AysdxMgVJs9oE6KywYpNH6luXKoxQx/vp1PiJKVF0IGwz9aCyndMC060RRAoKfNgLs6b4lk8egdCi8IJ70Lhpa06D8Oax/LzSxQzQkSzSxPCmNU8KwjSNKhaGDIJx4lkfsCxv3tEIfavXjJPOe4B9kMpiTFGfZTDsYpBzqERp3LFB1mfZA/V902j8xP5bLhr2PYzRJhTHrzJ+/LYW06pOqRJarqDbIvlB64Th+vja9U7Bd0VUQ/GYVmFAggJ1mx1N94kxFHxYTWBwlVFLsGabolBXe3F6WlaHRPdot/PjYSK1dAddW/r/haxBhGF4Sv5VFvY8LwXrD8HVaNw1vTHz7K5Fb+cyi1vjhZP7JrKshquUE8a/M5m0F3QlzjQRruSMD4vO04BxBHn6ufLptOcCbvxTGFcKKBZkkG+cgGU3Ij7wsRKCFgc4gfvPKCMuqVa2yzyjoPmTFX3ni53yl4iLnpU2Gt3OjVrZk2CvsCewEx9CBHd/jwXEcOWP3vCxn+xPHkJvOSwsqkn1MZXMfCP0JxbWHRrRiN0pjXz6rcLL0pmXANmk3V8HU5l3v/F7F53GXyGG3EV7KM5o+fnGPcWp8LRAibkb4x2Hh4E1+1GG6vRwHBNcUqmoiWz/5oDQzpusDbGJshrtrZz7utLyZOpaOKTvnSHHnAb504uL5okJ2Lh3aTkVRA0BoYr+ASo/PtsTf5u2V4COtm5APChEFl704ceW3YdXOaGAxH/xHRmKoSYWvTsh/dh4gnSoX0r2unUN5i86EO6BaySpo0XvuAGZBrCddclvpY0BdlWJpAAHw72cUvLOJUNB90Evps09pBlt+lpkRYIxBwe7ou/zmXSA6rtdI24hJ+ly0Wa+EXZaE6uBtJ97uprIAU6LX2Z12T8lg8o4bFO9T0YIu426OYBCUFjoT9UtJAbEgcxN2jctBcJXckTOtkI9bOFAjXkaQq0lCbqNT7I5raqOc5DlsoZ6GPTHRj91s9EcBTMc9oahQs0JjLxXWFfrGyfn0JcAxVyOW7nsDewodLpkjyDBJXhbp/0mSc5goKYXKH3fbXideimUDTHVeSFehq1Zxp9Q1XQ4hzmjr2BQwfmK4eiPg3EItVGZAkeWJmuVsOm9Bib68l/FihUj7C846ZqfLaCv8niWnPkJHBG3xbirAOcaJaqGx7QN4PMeYx0qnIZPyef932mUa3ls5P6nizxiUrvmJwQV9JxepO0ST1IhFUm19rg8NiTW8+AutZQs0ZxKg0C9FER29H4dwMYLwqU9bP5CnldnhTrJUlKzG4v1OjwMErAOOo2v5jMwHQi3rR4tmgEFmGCxBs+T1vZtkx0eXAXyThmR99CY9igMgFUlO+eylwDQN3vdvlltfpGg/1hCuEWXhv2yVb0ThmjbsunFm5UlB1TSsJTVboX+Q7l3FwOIJxv7/DOAobE/79xFOjLPwFrasDmqb/n7XbyfuCfREmA/1FqlscYK77Br90/yg1MgIT4PceHmZhhuePWLxCKZR8nXXipdts86LTTsspMt5m8pOpky+Kfpk4gH2/FxnEKWd9g3FuuHX23sesZ7GeVM4SA/SRDGLDrWXXWUuL6snzG48RCw0K/nux8md5g3Aa7aQpL/CVse8QcmEt7hJ6RvM4zse4Qmcg34YyWhCTil+4N/+BTrEcg2m6CeDSei2Q3rEEw8dxmrzJH9E4rkSuPXb12i11ODe0ACFRLyyhN8bXIWiY65qR00ew8watUwntgwD5gYVu+ampoCez8of2XH+AzzHNbWL/ZwoxaQ5hTvDn9GBn5c+v0XfBhYIpUnqJ4+2LtaH8SgfzuIkvIL54/Xs9f2l2ZeLsWrWDt/4vGAFQXepDYDKrqpfFWa2e8paz4jYkTJcbP7hYQyCt/F0SYPwTcbD2Q2UdXe2SnX8RiiU84MKX6KwV+PkrwFRzE63qWHuB11sHXKaZQoVW0DEtrb5d1lnECfdNEyydSCh5iUcchp5NyeOyScB4RnEosrjYXCaJ8O7INRd3mE0U5JZrGmK+yU/SvYFnTB7K1cPF6ObPYIJ/hfO5aNyzgCcHRiIvHrPYvwmQBJJQEh0urx9leUKMv+JVy2Nu/j4TuNDH2ABZxCl4jjN2WAsCmM+n0WCrekaPArZiDXGKFyHv6pmJWo2ODx7g5L42oc1Jms0yQe7V7ncbWzOc0iJRKw28B6kQ6drRH3j0QOxfejrpny+HI6rookpGfzktAwadgDrEaqzxI8oryDOqDpIDrHPOh1egqTJtpmVzDKCYAcZZ95My2N+yKjGH4diCiZcIZsP5I3vtM6T5lMqthh8//aKNBbCoDPaoc8SNtSokkc/4qwRQxwbeqLk5fCQ0ecDOphiW+2SsVQF9g5ygLcwxtB5NTEgr6YJN/pnBJ8W/OirfOupW4+QtS5/hmnkA3PGtYCw5J0IDARm7I7EZKB2h4kfnO071UiMWIIwtAEZ0rDaOFQyM+fwE/zy9lat6gSY+Ov83nlqZGaIOU3vXGabec/qhG+FkKZ/Qqjl5QukOCPJK8jVHreKNitghFA8Te4GmUdP17IepO7U44bjqAuTs9Z53ftH1naBYd4jVqQ0sAm6SUAEyo04pTbxW+D14CwSd1hGO4YyLHFkVeB7ScPqukGIF26iKZB/F+WwMofTzWhFAVE2189z4sLHQwAALwn7+qacY8IPX3Z2fpxQWDByDhxSSZr3c4m7bUvwJ6vpPlFE37qtMXNsp72HtCvwyGctA6UDQf2VlKaCH0piRABuTcVeLkzEW0v2naZdKmH2BXycgTRJvPW0/yOF2+wGj5J9nA678keNVQrgLrXJlyTjp4IjvYkOxuzDpphN5OBATeMWjJiZERAwkZvKesddX4Km4FtQPzZMWX/EMNbt4ynExbHXmM7S/oxMJm52riv/B61E6zT3A+npWMJMOBEdHNJX8xwLrrrNVWiDMm4TPbkPAtiOFxHu4E77mwoSpC1lpKbZ6V6aDjs0UJTwel6wCtp6ZGm6xyVAJj4lLompHlLdNsO3VlyAuCmAJwwN3tY5yYwG7B/KyYVUblHfbqFNYCLO9vcsV+xBoMMy6c3oKNdsg+jFTi+orM+sbnEbxxaAr5MXyl4PZVLUFnEdduuCgk8Su7wG7jjdgb7rq8HBFIUp35hlVTjcWCDBjpzjGOPpi4kjPeXxgJrOyEyFvY4rxEDtvkwbG1Dy3Nwu2fc2qHFRY/eTQEzzyaEyO9ABJy1kY1dQGPPfCpj5TVTBt7EvlVZYNOdyRzE+miXw635DY0oUi92sXWmNjAsJnX8kr8cxzkTdMO2Fefwh4o/Kx4IjGYL3UZP2bHoVuzixoeEU8t1aLxZmXujXnAWnHv0yXVkpR4NFEFRvzWimTQKKvkVB0muo5UPtKLmrCCPZ2IZxmweP86OXd2cteGZtBlR8w0XYdvt7F79MPRCVkYVfIE0VpdgI0+EEkcBFcOMEnc4LpZWtnPe3tYUZCJasHnoTg4Nn7k1JCykqh5gj8GueeETM7bXuuYKetQ/pVsCSGQ+7Jq5TnGl5nsQQJLzU/fV+zzdEKZybpkTuRsJHwIWCY/JhpoZpOrspcIqbdzKhZWwUdvQD2YULF3gWAV3YvmD8yZrMTtBq71G7RSBHH6y/rkskWma3/jIVohXMUczhbeHouOxqkYcWhlmkS2xEIVu5m76VN3VTt2vfuAy66LTjl/zDU36vuhuGm6IOm9qNajoqiGZbGAUjFZtL1F8jg7jISnJC3tEd7RfD6GX4CsLL2dp5iC0v2lWZeSDaTeh8Ci4A7KBwzIyZEGQSwikGahpSVmLr8Bah0Jvu/BVOw8Fjwvny6ATQyxGePgvza3RtWe65mUhA6AIp3H6dx74sRIcdj2bvvRJzOTe4fMto9Nc2ExOymfPT3GBfUspJrx50oNIbCNuYljlHs+VmIBJ7EC1xIDZWGiufOdvfwjytDNb41C/jG1Bscxs4A/TUyFne95fUc3jIY97in3uzg29rd+IxFmiWRyGadI+db0PMeMRYGPjw0Gx+eP0YVdc+81YZadfpwizaLGuH66TKATt3gZPRnxQy5aVQ9WvykvESQc+Zi7VMYYl5sHTEFj2Ek4ELvXF6NEacISEFZwiYpfeF3XG6lxg9uT3CSyr1CFFSIyPIgBCoNK1CKwcXX+LzVstP+wI3jyCTHilSCeJ7vcw/8jcaTBnLJm5AU9iwjiUZyobNmDgB5V1OqNWyyZHfkn656abZCuCMjoS/Zp1oJoCwYRNKuOuYj7D/AXASvAyaot6Xco2U0E65PixFYQ1dlEmo1UE5YkJNz62LuFWyP75AizAtgQIGzFLSAMt/f7ZV3WLlhbwFLTqxRt9zAsewjcgIRex0oT/Y6yetUWGVP6FuiuT0pKOo8ozF3/Qmp4xpgUqZJrK9yWA/UYejYfQwVVf49zLmvFXoCsbrGbshpkhe3pa7gsaOywWhrBGSH2M+VInTcAjov9vSJMLhb2GRH/VCmGOlD34voKBx93L/kLP9SjKlcTnSRkARauzuYDNUClEaO0voIk/zv/tsjDQrCdrTelVu/Zm/VeduakP9D3Hh9Uwti5n6xQCEhgQCgIFzxC8zulQpzN0KjfJN+QyeA5jNTn2mgpUtcDrR+U2QKvkzgPQVUF0KLEePAwwQRNjzkOUxzCSNYNPvhBPmRgixZ5NPFeTnPELvkYVohujMXJHVwPAMNrE3OQkG1bspBExM/xlrGt8aeuzuqEPjZEAnQKCei8R9BmRweSbu5XttoQhOn/9UQ6xpPeoYlCn18ZRvBcpwwbOIj+civkp9MCIO0hA8SXpo69lHfUbznmZwwQ2/wFqWjIRM59Iv5FRTUY03XhOt+y40nAI9s/A6LmV3kVqLTBMHMY3DJHm+lE0CuwvthYt8veHpt7qP98JB1w4f0g84B3srWjjGCEHEgXMJUDO/ZlMLQCDFrOh6EqipinWe6FjQGUQDnDOSGyP+VRc7HsVkLsXnS7BwyTHoqUgGo2s97Fb3G1Rs7mwmCiiQf3fhGabrnrdE8ZTQ8hlTBfyx5vEul0dgUdM7ex1lg9MBmphjcli5Gr0qRnhWEYzTpldrNJmMUrCMyN8MOJh6tyxf5C4TqIDH4QHO2Rnl9S+GmU7IRX+0bDYjavymhySFeR+BjpxKN48I5KI6OLBTW2jMAyGJiwa9qNAWXiQg2Z2E5OFwJxcZyKfImX/EK/h5LHB46b5bk2iHfhpSJmUNFjbrApVfDpX4JqQIy1+LYVahfgxe1gALWez+ErCUeHvgZUzuxEQHptVUFinF8Z4YfuYULED6LBXxvz3EE7E9dav2OMZrA247cl9jn6zHwjeCl4dzASxn+2Pkb1/M8cg9ICg+4INN8iDHV2O9nAZ0Uk7KL9OfCKcQYowmMG+/P00uCI4KzZcE1XpTmVVk7a6TrqMeS2JfD6FetunrRDGHrhA8aVkAcxTMZ8FApFUXTmlqHuuxYRat8QlIcByGbsVFqxnJzPTdYMoVLL73SaRXSMhWxvRGeqF2TbSObekml1CuqvZKVgxu7Ugs6MZxKgY7FOcpj4xMhogoLklrLNTqumk/E8iwO55rFEKUPDQux7V6tesEifhwVoc6NvKVCjOlMhAHZdSY98jecJQC7NJL1lVBBRh8e7BEq45X4rKMDMLUvmJ3EqopAwOtosKqYQSKmb8dmOBwSBfVDqRN7wpGijnFLFhHOyVlKrNfovvBcMuWg36UWkJfKDYfPxAZk/ojpA9FgkLp/kFJZ7/dp6HchQxlhWWn6pBkKEaYuBiHGzc7D07FEf0tjICWHk2zy4g/7AalsJo9YGHq0KTh/OgI3ECfExXsAm8vR4+jAK0jBL7xoCGrrus738dvjJntBKiZIhvXaglpYzLYWsZ+KMKtOQ9gUaU8Qbb6AEkPmQYUZrgLHPMznXOMgOu+JVT3YADFdlj5+4cteKWV750d3ipd0ci9p5A0Y5yNxsrILd4/lMaPRif2mktwvhWMN0pXdWIQh3QqjP2fwqtXdEGYx+d5QojUXrKzGR9kq8IooRdd7YWXvrtzSeLQb2ekgQUN5+fhlhin+oKCmFXiDCoJCFzR41Lk6vcvonwiOTzFWmNV0H+zvQTXYGz7VyEOaSdMyMMUh2L/aYdESSjf8bFXm2StTHfxeTmke+stY3uo5KgTR7IP5WYFHA8DuBJgW4SwgGH0vpVXrmMPzaPqZ0JZKl8HFluI1XLGkeZVUxITR5MKXC4ahxpCV6xda1MOQ04J8Lk2efXtiZzh56xwiq2MJ4d2w9U2hJo4lE0xfNMwrrwy9XKn3p3BWLXYAup95tvmzwzuctjnKccHbGkpEA0oNo1A049P1X3jsqWleVKq9N91oZ3uCU8lDUbkL9DQzz2TTLgXRt7b8qxvvuLXge0o0Pw2NCACOBSbkI3NR9Xwze6U+FQM3Fw7MdUSOjqSLQpFVINTSPGFIB16a6iZbElO9hERHz2VoMeQeeyuDWK85a0VTT8LL2vKoPSo4pIZbYs+aW+cz1LDZXiiPpyvDO/2FEi64BVkWfpYoAayR319dIPwV4A7FGTBhTen/2vnN3pYsWi8YNNorj/jGERErYjhlI+7WTbyudg7UdgD0jFbJqQrWSmqf9LF1Ghiu2qAQDenfnanJft/ktzUhawB65xga27jDeC5EyerMwXYG7qimustPXnp9A6nbe1byyRrJMIGqENRR1PhkuxZOeTnuTvQSk8dQnhToNyji9mlWDrdkmK3kpi4V/M7JAOLyJjHIE219AjVotWeF9ImnD8UNZP8LcqBW4XiNL3f0STMbZDQftTuLlnfcLK7KYrrhdgdxOymIulfA4Mr6nWY+u1548XNcloDgaYt97cp3PhLv2e+oHiHNiCTZMlzJyOy2j+aU2Ebdue28RzM8PjiFidn02XxAADikaeus+YEbxFkgCI8CmYxXRNaRL5gTsnfGlJNeuB/BVgrXx7JYuCoFHfczKuG0ZYdgiWQlXX1csdi9N+EBRpTVRdm/qhNwxTv8ZTPADTscm/D40XnXCDQ96bJSw8sEX/8lM+imUP0Hp3QWfStufLPfwVr6m1lBdwXl9heDICsCwxEoq7JSldDxOnC8dIbh3NugzUmgLsUxK24rRQb8jbwHqAZCG6aLghW1QVFK5lPfdWuOkR+uIva8HMz02V1vW3sjoI9+ElCsiZPQWPDUcqbiDi5XutnwdJszE90w1vKaOiMmDe9GATigftr2r80Ltl9ASfZ2EPMABrv0C2Aj71hEfI/mWMoyCPQjIrEgv67gYL+9bYOMdvNLgeZbsIGv2j+yh1ZS9FdZmPF5Vs9twk/uW9+Yo2kyugDBSDR4LqtlxCV8xLksCIwI6PFwuxC0/ILXIWQ89W5dA1yno1kn6UI13Abba3NosPSjheGoXpnbMdB2M5y+7bwvxa8hNpJkxjGGStACyQRM/UJ8ozQbMbk7vLFJdUvvSHhY3+UZBkRodzyf08AgTDoA2G9do9fa7kH38ney1DAIeoa8gRe4y6G5vCrxv/SAQlOvgcEsGRQyvofZ1Sn3DJUglG+p1/AEvCTnU4XDtldWoVS3VyS6d56wlggOMjDW8PSgdHZSNW+l2ZOR4Yvl8xqkRW6x7/od9omy6PMGoop1s8Ije8mEWFpMSWllyt3j+P+nFi2Gjqoj8N9wLl9hPbflBeCPJF8nP1KKhGb/2nPPVOuJKl3bXDNRMFn2Mz0r5YI3C5u5AjdFo7rSmTZKqQsyveVhpM9DCtw5ULrdtmWG52s+BCelKjQqHhyJDN5hx8SKxE9Obayrl9tMSSM9obNqiTAyFYfvYIo2kqEe+CX6HoY9IUWVJnMYq9opyKZse7zv3EAj0RB/kta+qbGY63SNf+6g9c7ULOYtbpQlbLQnMBJWiFbL0oeoYvzukaBe1X+CoRrdDu+bNKX5btoSO25c9GUuG4C9uUxRQQsvXGaNyOreeVgutyRi4OOOgUoa/tSrlSkFQq8nXU8AY5jhaUFfVLkBBNLIQqSnIyiUu11D7NH9NpFkh2Jkv3DqJmYMWZ8MUhSNJLMP5vHpuRscIlvhWkZSUyBnTZCnQc4V3ZgjHP8YU0raCi06WPAwbkvmID13C/fhDQ2Rz8GjLxZJj+8TRTNEXkTB0ITdLNdYd+1Glt7vr6MyzJbEqLAJ3IiDz0sV5WvTbJ9e3dI6RRnPCn0rmwCiUfylJC980j0Z1vZqguLmOXqBd4JPoxiobT2mIwBfaVUJx37E5MB3Iw/8BE30KDHm2M6F9WRmol8IZXo9GZVlkMjGhumcKPC9Qk83LjnztHjlbKENAUYXtAEcAhEwi5zF7QTPncwLf2CaDyQv6E81z/Erfsj0sABmDN/1k+hh1yQR0nXFyL93sRlmE5f9B1qw1n3AX1yMfno3+W0EBAAKEB5YLAyocSxcJrQzPmxNW4yxz7Cs2RFObgFI0wNBniMWuGTUk84byKCaBhI8jyZpsZQnG4mP2/yZY71Gb1azL2lbCZbxGtvQI3a1uAGL7GWF617COfapIcCg/BVIlabnRLkToVBCMnc/0nR7FzlFDydjDsANQh4p9uC7d/VkrEKihPz3Y9kJSMRo9bmiUvHAb33x8Iio3R2EpVbDdnOGC2tx76QKFVV0GhbJcuBmYjLFuy6pM244AomPQnyOthdSxIPrFjQY2odDs1p9uD8D+sbHlTwKoKU+fjli+yT1Vs6EjGCLHaFKq7hhwHcTtg+DSNz8lLDot0/d4Q5VPUuaK6gF/XJjZO9/F3jHflpUPKQfJ59tKT0JQbwJWUSEekP6ewrgByiTaCco+94posaiMTWUL0Hwe64rt2hkHfGb8ZfYvmsARFdUri2EwsZ6yj+uWWH+YodyJ/WsM7yWVIa44X9Dry2wKrQuGjsdvpwhtulViYHJ56/mefDHIFK9sl0MalJpg236DrExUek8UhomZR7XPS2lTK7bLXDzsufv7xWg2dMwVUo1vhIAC+IwvDqCVDLw9SRQOzlTGOElHO6V4AUtWAwI264ah97xakqGT/SvrSM9DS8R6d3mWjFpOivm0BIoTwEAjSmB3a8Mg6ZtO0rVBYUnZwxK30x1iq8NkBD6ivgyDetsVG+c5tnYbO+KXmP3NBC89Ql75VF5SShKcvjCdx8gjDAHKrreGQk6HWYfCHlP9vOTTcvWUecKs1ORy4qGw/ZI1WrHnSkRPMlNQNGcQzxa0LH92UVvD/5zKmWr0wF5ttv5id1E0OQEbqWLFiBM0k9eSgC6gL5pM8lQpZYPg5AEcScUUMXrYyBF41MMAodKXQPxKBp7OHdQh7xKxrExMmfS3BrsIGcVjDutAMJEnCjQ6ee+BH8gDvlaUWd10C3zac5gD/m8eEJqmZwoKg6L4CJuJ4yBZqinlz0VccyhIsOYraWgrdcplZ+Ww108RFfGgHpsK4siMo2k+65TjAw9GEHVg8dLrkZuEKQRmgfIpTHLZDSvvYSi/RZd0wLMtOsYIyv4jTlD3PYSeifjTjfMqFgDVEeXeZMnvf/bWix3Gn6hqi0zIukhqD9YpGluwuPMV3fq72wPtn5BXEnv0CX+WWa0TxuXtsSTmnO10YGZZ8nmxx4EwX+TMPjBVHB4VHOorGeGqCaVdNIhwICkCiJrk3LaVZUVtW3+kP6c4u6kMVf3Wy/Tc9VU/gYLYUOUJLsFGfY6pI6fQyI2M2cUV0zu9v97BLmcygKoGUThXN0vkDIa1sSxL8h4Qi/9kZwEdMw96SULEOWfk8G7hVNGbF+0FQVXrW07s7AfRfApLAI2K2RKfuvyJPQhIp9FA3qRYNQ6/PhuAZSSUDi7p0iO7iGAVz2e02xgBYM1Qzfrt2jp9HXL4A8lgBOiZSHorDUTFRX/XQp4oV0iIYGPKa0/37bIjg7kEjirZfzyogMieN5tDxPElucD0K6AikDJHyBKkE5YGd11xCVAQg+twcmj7+vx/RZPQt197z6o3qZhoKYS0kRSCZsjvn4Yw0vsB0zapFz/HI/RoqcCZyj1oN93Am47a/lZhkvoLAphwcixCODyPCwOsvjOlCcsoAAZPRKAL8KTk+YLLDB+yrm+dUgjH2/wde+zjEPkYHzuXGMTgTi5NGWbSi0iSXIoxc8xEQIBrxLUtbFM+ciHnG8pbpToZxy3lnFlpOxwzo75KGcdt5oGINdkFLFl9q8yHdARo8ZGdadwklaOnFkYqIltQfsYDfpSFbou+3dwMVplziydQtmN6DAwQoTRAMkhdofiOenHruOR0gGwOKTFqFh5SgCsNvttiryEKq5GXjMvgh+vgxP2EeDYTCSd5B7JXia0HfCluYxoQGXQbrMNp9MrZmHgPgOOyM6iXChTQJYL0yVXs5Y1PlLP25w2nZ8qQwInePwVh001aRlZKIO10mCjv2BKa5PrpeCkmUtAZWpknzSoR7CMDxQi0YcUf0Cev5zk5UeXW0ZB6xropaz50bndZchStytJ0LUPQKCGXerby9cI87mPE66z69MTXYJe7OccRaeGS4P3Ca5I+KybcsnFa56YCWWla/Iwx6E3PwkFiL7e8Dpn1be6idHPLbKGeSYzyPO0ySJR5nwZGZTdYvr1Mr9GWjrTvlEY2Wt5PXLYE+/bhSKT4+Y7ZkuKr+cFJGmVJA1iC8YIWn9gR8YAGd09nqyXQOJ6ZQjDZLMrBCMK33TxGwIzxEZaNMalx6u2G9hQvX8QhTRvjPgx8AUGKJY3EZ5ZoNyvE+kxeRgnRj3JR/wuAZCJBTEQ7vCyGABvm7RdkhxNfUI3zjpbb18PuOlkH56laWC43DpBwiGU6sSJ73NV9Z2xtJgKjydPtZ5zfCG7N3yv2lBhOgniYuyVZlQ6PfQef1BHmcoSbf0IUzkZVhtciDysfbWzMtdjtnvwAwGi0kLkh03oNlHSgUXpDXQnvCgY0tKzpGhvi7IOimkx+mQhzlva4lKSUNUJrkKCtcTLXyiYN6S4E6cV1db69OmuibqhUOwGh150xaXqpDtmcQnBcZex8xuw/ylV4GNmm7U4DpKiFZSN20Q12x+caqoGQPsBiWKMax595aG/15TMjk2g4GGCXQJgDYpC2GSeC9XM5f589SVTj/xX9Hy2BQIrl7WTjg9G+qZO+lScnasBz0dJgqcUHN+MaPEm22TFh3lZFlW8L80zB4SOLJIYaSI0jb72vq3QGf0+0P+2LHu0CfLiDOSSA00pzii32boYfpyfYv6w32tzSLfs2bszjflZZZGtvxEhV99vrLTafdSi4nPskU/qWjPueaXVbK6ivBd9U71AUZWqYyEVJfqso50m4NDLGRIJTtpwRhY3IJqt0beNjgJuR5bgygf35KCbgJ6usyvJT8PPeUMLE4MR7K2G1l1rBYAX/wOIToX0+ufpQZ5ecgEJ/oPYhohgflSlTTv+W3UkHk5EiWL2EORMb+yXvCaPsHIVRWA+cducYhEKsP0EKXVFLCRnUBQ+7FmsbXbeNSBP29npiKCLcBvgz1TARZ/JTR4/XHii54n6JrpxUXxwQOLbAM9eOx4R5+ny40XFeY0CI5W8VjVWibf4wPrBm3YlnQsUWwgR1bPxf9i7O0HAo6sUQkvKRE+FSZcW+O0HMC6Ti7tLSRGzZ79KiPIhQhs6LTjT7wI5jFAVNZgh6RsPJLILkSn6lpDpyHnRoXN537eByZheBLppxMMJUYllgpSU+y8qOXwX3UlSWs9GZZ6cGqpIYK5B+91M2jjqGU1dQ/TC2wQmp+FrbrnyUUhoZkcgIH/kJQrMNBDCkq0Wy3RqzgLh5cjl18ka0dBpOPoEezFxMBFD8KO4U2E2GHlpQ2yt3CUdDdrytnfu3BmY+c7Yk3ALRTrUJH+AE5VvD8bNAQES9ChJ0qXuWGtnfTqksTP7qqM2wGoEP4SsjrWdXg+JlFrHrpouNlIh4MOkd9k3uV0JZF7ripUS6qaZf6i2NTYL35RwdehyyZ2hfRMIM3NP1RyZIZ6EaZCZGwUa2PEIbWuquN209NhGMQq4B2sIV3AXF3/61haFhDbdOinjJMAEaSHVNOsyKAkcctNb2FhQhVZvKR3p5hojUykJBFCYjaLbQnZooFqwZv0xzoozUwTQ8bCDdc27g6g74Wh1RvNGqefPZUMGnwxWmgneYEiE5cszlFRuBEerdmQeo/RJIFEUnA1yyRVy7i4uS0nYmumTDfpOnL7gMUsPaiNEUUAKTYnkKWpYMewfBk7gkupKAB7dqf16L62/t31Jh9Ovg0mYHo0PaoUAllEkCz0Snge5Cin0O0luOZ0Fu+zMgQSmS2e+yfysO8t0pcoqjscSlFv0qJOTmWUjxrrGUMMbq18ATnJkKVsn35TghcQeeqSwhjiEmGPZHTx4XeSCzdlbg1PxIH9XhkQAuW120vQ8Y07xGFtqm2TFsNrWvE46DJqQg4PTUxuKc8maJ4vW9UbqGqRV/mqngT2DbH7pCG5LYXSlhwbYTYhgesGAOHwcHYVL5c+Tz8mp9nRfOEK7S1F9E/miflAmSJgrGE6xB6Dj75KDIHeDOmX9z1kObOV0WQlvz7TgdSgUpbG3UZPiQHX8pbitYhBBfR5orAWmn2OMk/K1GKarAZ1nn4ISstYXe8R2W3r2Q5/mX7J+WSTt6mTy1HmubCypr886ZiWHA0Dfdk8QUZoGCSeUQxCPPEgQNU5YC4xHz9SWiKSjYPte7kfWVWvEVh0zmfWP4D+JRUFOCw/OBKLg+6EFg+xllfNo1CPXSVQHk/BiFQu//KqWsLwQjiCHUB0DtO/b4auqWnKbtUNqEnmwqq4N3khVFXQANVMXaHhhsw0H7C3dL7RFSWN6XgFZSEsS2oUwp2dURgH7bYazhrGhak7r/A+qhXUQKxSsPGGrIOYkdlq44zXOVKMcaXemJy+jTP2SuYFvHr2pmfJuO9vichgYiOZKRN1T/LIyOYy08eFcZBgR4ShrYzLisWMFMQOAnB7ZwU7i+tQvHeYysElx5skZgkmBcHIuqwG35lvdX6H3eLcYgf36OtXvhC1w7cxfRJODj694aqRkKVts/9r0bRehs52MWhCsbrgW0JzHY6nApi5MCCsYFoj4dqpSUsDWmhx2jTotfag3NRhs6UiO1dU3qUfKZ2lsV2IPM3SOYLoC9UpmF2MZd9zt9KK/wdHcuGK/ok3C7yjjSZxhS6rdAKO8VEFq2l5UR6Xc4UAsVkpUK5HXLFKUZLzLnqDZoTh+qxWQdJUc41s7dVlDvX6TL5XXtjcjoljL0GegK5fVYMQfcxWS9tjkbdlnWfIKDIHV4jLgH0TXRiv5y+xxiYMKcvCGxXQ9nmp+djgq6kIPHEkvYHlt3HJ+B0mG9F3HBAduDE7mJizS7WTiuIir1TZSzAZ3KbjrM5pdkQknHziz8yu8Zf+af1+J8iwyc0fMuwojHb+SYDKaL0jLnJVsRKy3IyqluEA/XD0VCFvhoc9taCwiwM1Bi0AMO7k0Qne4tESjUXvZk+JajzTUhmglovaGZuVjB10irdX6vgXtqv26iut1hsCYP3FQNCW0qS16Xqwr5FF/063voVrSE7G91OoGJ2UF2uqtHJDbqwSz61lcqvE/KRE7rcwgoRPTzclQFTAnpsV1jqMAdOvF1j4z/Zx0LAJwyDcD14VVqCYnqhNZGDZlpcEEV4NSMP46lGd8nibvXptcgFPVYFMj+DDnTS8ALJ/ad0+5W7O3Z6+vjMGlM/YZRLoVo8EoCoXUUQzFJ3QwtaCYptvBu0wYD7oVcRm2ShXdzW80af69F65t/V9USfnrLL2LfA4/TZmRjgXNt9wkYMdUay96o8/kWlYCgFlMhuCew5Tyc+SiCSc/HXTOXJ+KeS7K4sUKCimSGroFaj4IzlnABYExNQvVWx1ul/+bC5iyOVRjVDDmXHKB+m2pkngOZT/uUAPuGGzQspwpmkyRD9FgKMlO4LhBqNjdeum/r9uHzSRFsR/2GxfY96thgItEsPxr7rnDB+qnJ3j5uSQLqJVjI6quH+cioEJUQXJSH59HmvgC1JipYCE5PoomUGXRJkRczUXIKJCg3Lny90NLwRzDmPRpnVhrRmQpG2NvdD2GQnrpk2cFUWJdHPn7E00IWmEysviA8gwjYFZ6vNFupkIQG7Wb34Zlt4ZMZCd6jjN4Oq3Yt65Ts7cD3OOyJrQOUdpf5DPWRe9RpqTg+nq6eoT2KeCBuYNYZ4SX/MQ4IXqap+hg/54Z2rLY7YyATRzK5Z+vYcnCUKmfwdumaQIL5QXe3en93eduxxkNIDNYJdgMFFaggIKOW29bt4SX5Hagh00cx6cfaIvOMwXOBkCWnrDMR2Z7DNLmUY2XyuHgF2qM2DS9TNFdzWXtfM77V49W83F1woa8HLFjdewGLEhrxfxcfJa9a+CvDru9jBXb5B66O1VUAo/RFMnXCrGAfpUSueed/G9x5SkyZrO5DjH4Syp+p3+v088KuHkF8CnGYG4RuFXnBb5PlsBLwpQdeeaCY0KbSfDMNFFPxXVn56/K38jsUf/6WChQ+J+YbvnSD8yHaWttlEBFhGGn21jk1i2JIDnKd3A/Bpqkj3fQThL0SqVeAOQ93zm+q4/Bk7VZYTPsH3MsqF91uJcycxISwffEeT1MT+rzw/VO981hpb2ZphWP52koTthKCOdF+xmVyuoKf9BUilpxU4z7nt7pKjBEpBYOhhL7mkVjKn3WukJ9AaMowq0rwht90h665Vx01+DXcLsO2CkzzBtXrsS0IVwNIWwg2nxRWXpBv8EUpgbo5Lc9BEc4AxxIOccncvevk222WO5MSVyTObWeQ/15uqpDrRz7MJySOQ2/zr8bj69pvdJydYSacQxHSeQCe+U5BLR166sPIgDUDtQc0+hezOcEur+Po3cqDDSI9bHXWf0HzQlIDJfB3XIqAc+rWGbRtpvNlMSa/nD+s3fF2KaBXxAKYlArlh3fRiTtew0FmlbQdniWOJmF6w5ZDJU2WZCqfD6h5aiib7p6yxFxHOHwQELNxduM/CTatXRf7FKCYzKoF80FL1LU6lJTm0nRjNGYWy5VdOU5amA0BKqWLmSXSOl0gnmhD2BllYd/+ll6Ea2AFzDExe6gb2Fwm7QX5IUI03aS2C6Zhx2lp1vHpAQKLXemAtd55uNipG3CX/RjnLsRL8oaVZNKYQpnQxsyftoNVuODqeBi6QyqxolAfrBjPTv8GxrrbOlnmjS4/JdAK3Zf6zP61blxn4bCKItgF2ORA4O1sL4uLtCOkZHrF77jGJFawotmcgEErDFqrIRM+BvLRnZY2b/ThyU9UIkGrCV9tumZVsft4M4NrggPrIArLj41AzpqgpxwJK79oYxyoMsr1KKkTQgb2AIUaND+aa9jZvZv0Eh3EW4VSz/UzC61W7GwyJ0r3FCiWrMFaWy5lg/9KhFqGvkmqZFziVe1brOpmngvix9nM4TL+k2lLM3SsFonHsF7JoMPaMovMcuPFHSg6kG23qEc5rBn+pbCgcgvBEzgVusxoKSD7nPhwhkYtUCN2paFteY1A0L/DGF1wNzeYLXsftwvZjup0Of+Cd7iNRkI8HUvOR7WX4eumh3OmX0+Xxz9FG/f3H+qqCaP281TDilgCjkRywGgFg/oyw85d6WkqGVt34hvF3JH7Q7zxFyqMMt9DFs3eUs6XNcy5gFStZzXbqoNLGgbQZX603MxxQmEw0FhXsvV0H8jBIiLh4gf4iJuBV/QTD5uQk9/CePBWhgvfh8G4Pc6C4Nprk0z0ajj5sN9Uabu8zxLH2QfLHPhHlk79wrgkBPCpzsUZafNZVkvEyqDSFX0zgOS0lPctm/KRyFy2ImYQytFB+k673OSNpZE2gSCjk0O2oVx0dsHkI3+jamLIac7s5lEKh/O6PQYfHWHzGYoUeDP8HluOrBimciKm5K+C4AaVN8vTT1jPSiFV3MZuA8O54dS0ux6pQmtWBa0NmKwI8cP4U4ymNigGmaLbAnhp32+FVDGw3SZx9q8MAY6hlCRs38W9PFnQoqUs/JXkNpq8oPoUbq38gZXCP2aq83wyudJvkvbnE2XlHQYbF5mMXk2Yy4gkOc7ABf4fK89JhvGi2fDW8OwKBsI/RZRlWUoQREUudipIEnt79+crKcvHRviMmsRCPDOp85rg1pFxkCoQLSyWLs0EVcaZnBhQ3iOKOiLlombfUpNwt3p1ylemHB5oZQZUFRSq6wiMYefRz1wzDYnzfhBWUzHvzy4n1W1sI1qVkptXG3uxwSIG+zKMpFuLP3JSnnB03i2OX1pRFLNiIjkr2m1C9saqhcLtB35aPZnltEGOmZeUffMkiuJNHFLvvgJdot3YbdGMuErg5cDquHZOYFbkUX8Nwsq5RDCsS4ZgZezSA9h+wPhZQRz9gI7ZbZsnnuNgi2EhGe6Ug2INKzWEQ4Rg3viLZAnLDrd7UlxovK3dfez59o4PTbPvA2yqZ0XDVlelqXTUpxDQH3WAOxYfsyW9hOSCXD7Mpba7UTz3OiteDDF4t9vQZJVzmdzgtvQ1KMTsiGG0AfF8MspOJ+uRkEIxYJer4XEu3Bvgous2nzMR4o4dxedD5C0Joiw0CJ90WZsz+TjMxskVexgKXsiVt6m8YRG09kzESBL86K9GFZjnR6bGCJsdExdRaJfbrvrwvV7d/0Rtt3sMTtI7M5Wv0DHsspqR4uoiuoQWwAzTrThqv/zV859TLbBSJeAikx0tUOLJiWeMCvITjun/hF6p5h3oMGhNrgL4Dc7mRwQfULs/QYTqK5zHRj/hyCkSQbNfcCPjA4k95/IXI9DXhhXixukoBhfCc1ngt3J+kp6p+EimLrwFKE1Z/VRUIFrqvKCQYvdbmOibuNZL1x4DdvyzYkUdeanRxdpVSoig67TZg7l2sHpHP99alUoPdKhSjk+h/dIpPW+k8jily6R0cyNscpw8C36p/fg8hV072pOFjTx+IvSlJrR22BscikC+Isl2u2p3JMy5tmGDeUcCyHcx3/2sIHGxBeavuzvU6nyqgsy4Y6mKkyXaapoj8GI01zjBmTqsuCezLaOQbH3h1Y4s7du3ujBS92QCrpBqzbeCwJ9oef7aAeykYpY45S4WMcVZ3DrYcfBbX9Ca8PESBzYKLVhlq6vdy2pARpIGvpVycz4j40wn+0JCFIfu2EskUhTNtP9OC9ex6RkiCBMOBjAya23Z0zXLMNIqCDuVECyA7mGDlLF5OFw6snwZNj1KBpgpD9g90cF9MnwATMDnZ4neS8zdlgbt+EupFZMQEmka6D4nOkaMJFmhSG7uod5tvJ9hZ4q580U+wvigg/Wfcki/cgL07g1RGYGCpA8Coc1LmuORzkFtr404aKcLp6zQjpJBN8I5E07SN++lfvzYcg+BUXnziz82cQoL851Bb+hyIAC/6OU+zymcQvStsbJZP+eH1QpnYX/hH9/IJ1SdgspL99jMwG567xHrSPg2YSHI+x9LA2XOHjU5e21Eb3BmoLV1R9i7k27ajeFtAqM3GviuccbZCOBwgEOoBROLVphJgmrDYaibMQXC5ZAP1iLJD4wRbo5Yt952hWnymA0DIb1qBbjijI8f6A8mjB5Fj6DKHpZpQiY/PsELfx1Ra7xvzzeo7RYYprjrVkbDGC/MzkpsJ2cGVynXzcCklx56Lm7wAScHmJG8viMsGucqLikKPqcYA6btkzNQVDuQd2NxpbshBC5z2sl0n7o/4v4rj9g1naZQC2h0nppY1v/D7T2Wg2RB5MIM6e8VNbsaBYqHIrWwGghpLQIB8vAOKAtOS9qbmQKUoj030tcz30zpx68LntgskrxBYGyqivB1eEMpD1SfIZvYiK3IBCLsxYxkKOV34/01XQxrA3IFx7oZLOEexaOt8SgRVM6/5mXQFUqHdnhyWB3Bo1Pw+tGnszue7DYapqzmSJORjP3ltGeWKKaAKly0MfCS6NXUZJ+FY7KRl4VwgJFhZFSuycNLYKFIXpcYkLcHNK9KbLgsZbKfYlp4eCUUI7g20HnKBL7TDtXZkFCEsWqJCpCKDiaFilv0NLMMmUjV1bV0y1NMxTlEnbEkwVNZK5MhfRcncLds0dqHmQ+vjBah0C9Qwmcpbudfr0OfMvCCHU3GQUgUsrelyts5dcd81xbMhPNYBFi1LqCJecjYQxhJGiho7TF4Joe8HcD3+F61KR2iPlB/sqrtFDCctr0hLeHKDGmXw3EZOa2MCy+We7klkxOU3n9V8FfHYD0WCiZCgAX0NW3R3g4dhPCM6M8Z6ErbevrE5tFMBrzYPnKBX8xIOK8slbZ1vl+WuIurnc+Dk/ThdhJCxYurTInuvF3cOtPE9BM8TC7rAOeZJDXJP8mZbrY2z7CaLVJvYUGMVk3yoDYqKX7GeNIMBcUFZDSDNxQ3FlOKJvQ27blsFnlmaGiXaC6DGnxmBr5h76wlxinpPzc0LrlFZRZ37DXK0OkLr/eetoe4oAzkCS2kPw2gGUlOT+9E+/FXLzIWGpBSD6rQxR0CfrBdhkx7Qdlku7gvnDZSjqBxSYjMPAWeLDO4pchJDZIWJ4kx7yALnwm+ZZqsP6DU3t/FEknh2zcEKjlCD6F67mdTP9bSkARSoNAea6EIBRR6fG/IoETK9I+zhjyRVHSIGzMbIUXqBJ6jfWeavGTm70xrQsMnywvU4c2ltvH8g27hHAJESodSBdVzw5EV86CfnWB5FgH/00ykReRqvz54hERtvZuCNBzQ6BVrKf5eVh79J4aTqTrafZV0b1beMEFOakskQmwrOvI42V34IoYRZl+2DKxcxk/Ofx2SaTmRu7z1ZrP5iSgV2sccQ20KNO874dHzSUNTwHPIyNacpG5Aj2svXNMxGoFxMtLoQ1RjuPSaT2GqSWKMSCqdkCcggyYRbBPVtlF5nlCUFl5SrfgUA/pOP0Qv9/VoZhriTN/bnsjuZAR3BSREGs+33dIrPgApITHsV5SZiH5RIyjL7c1lmlaChYj4Vf6NdgZx0iCRoC+UeRhJ+uc4P/thFu72wrv85ePxxtBpc6ama1jWofRkPsyizUktV/lvsJ90Yj132FBKQIE7QGJd3zHkeTQhBEiKXULL57A00roOZBNdui9B5kLq+Oh93HZcvYacUtGG8Q0Doa2qaX5SKhbQzhw/o1KaxYpF/Aqqia1OspPkh8o4YDqtOERhHwDSIi2iLdOaMYVgjGjNr+6bMBPIn5wYfk4WGXak8lDwyRR05uWEc5uLYyOar21SH4N3L3yoKpE2CjI2/r/L+j7ecXIU1Ybiat6NRB2vn6HmgWLhjtPOByPWiiZYBRHGYWPcYwCk41WahYZAbog+W4uWKn0ir/6Gp2ZShJwlE+8wNvxlnI1+bKV9f3h0xJRLzvV5IbGb7x6yzBPKNvnbWtszTVK8IYdPwgs7ByQQWnuez5OJ3DaPtBy0TqmGJSBTL4xzNpOe/5xMA9IBOCWPNlPIb3WrtGxGxpt/bqN+SvaAlyhWYXqHwtZz0z3CNES3jwAqtFeFjva4E2nV8dElBqLOly6NSci2L4AbWeD7mPcTV4yY8w33DKIEiz704brcIAvHC/m1v3g9B6MXq2VDI76ExQIKD4PTy/JzPvj0wctVVc/V64xDXBv7O2uH7IbzMPXszMW1PBYfsYt5csD0WZ5n0cd2bCMDx610MG4rI/SzmqJXuDEwoP2u598JsSBOQIgQVDXMqLNjTwJ4V0ooUWcoKGhJcxHNRBQ90epmgfVcnqFh/jlPu117MaOGp1/KcEkGay+Pwnsn4kri+92qef7G+Qg0sE8aoD71GmSJGGsI6XLauaZZ0EaHkrRZpnsh7AKHPo9pEOffBmuxGRLnvFpNvT8quqYhcno4786cizIxOLes//HjsZAELZPmYG/AcGpCTZOfilos9URzL+dRrvSqblgHzGkCv9ioTZqgRtI6Bai+BqTL+ABFYBYG5yNBin7IhsZCQcfjV0t0zoAnh0YsE+UOYbl/tJyD4bRP9RsJsjaoFrOtskoREmVjNq2z6r1T8GHV6YsbyP1t1dscdS/UiXA+748914dpFl47kPwvbkXH1He452Fx2p34MEwfuTkhv45RqZ+Tyj/mh9tDJlb/BVRHQFIIykf8DtaY2ttYvsKi5TO7DJriuqZqOwTi+DFN1CSLHF95AqBjzcnx/3BmD+1eTkUzsYJV1ZmLiMPHZUnbdacZWQWYGrNmuJJRuLQ1QS+TiZfkZsDvMgeSeBlTzsM1pJeMllRv/IKDFm4SNiw2tgFoApWu/vy6OcOOytKgI+MyA6RxEllePJANTnK172aNmOItZEFSQW3DX8EzMx0s+GlZB4g7E0xNl17GtgKxL6z4QerEo89SjuT8DTmj/JLlZV0fndma/wcqddJQCnzLx/gJYXH2QRe4q30ktmEYDJGa/k3wNlLn3gkvVQSjF4xH7mJ1nPHnoOXWIDwhRVLzBfv1gQdxTKt+cJUTnFVxvtzwS54E3TueJ6rZNaSO9UixoPuxGeK6YjZJJJaPDgOJ0puEx0XqNbHqG+tu1ZDOmY0llF7CdOf2Pzrj8u6uIaMPtwlz4Mebk+SHwVxn00ztgfhpfREM9u4xEMkNd+8d+RCYzZa/KLa1snjBoN9OjADjET1NnSBvkWoDh15dU21x0Lht4yUZyWXPwWfkVtjD8lFuD4sd1EB9dmhbQ9JhukVnq+SxZy+duL+ncVlqBsyVr9oQbfaYEvWU9Uei+XblVPWjJ/uZdXPj6ZK0M1LmBWMwhs9nuglPocTJLQeMDGvFaCN9R+7WAwFCFdFB7e+zw3SJpply2YbkE18djQIPPJ8KCqAR0ZjnHHCG6C0pQ/XhRl3ceSP8vyuxhoj5E75DJe5/kVjcHD4CPz0YGpo9wk4FHWN4Yi+Ux0k9XMkwehvXY3D8nb61XNko8tFTmp9Q4BVzVVzpEMIJzWbLVwTSsj+DdXgNwb0xvJrK17V1cuGAYAKLQoVHkB66Sy/n8sF6HUjQ++8GwhGxca2BvCSA63m00W6+mDW+hqlezqGaH7F1AUglSRjEkFmAE5aysADQ1Do6ku46F5FoqRsAsSLx6h7D2ZCOjJC0d/M5wtAwp8xXBey9EzmSmbKrTs04cUus8jcEhRbuWwafJdIFoyUC2R/FyuUApMlWeN9ICqWY7GyQmFeERsEp7JpSXKkUCyhgPuOmkHS6WDPXTmKjV9PC+RkgDoBmEFlP4T2dS1hpsRNbLqhXe+yqqbdconGGtK0R6Z+M569Zugb5m0vIhYyqtGJeehy99Oo1pD0O3ou9L+1J4/Zf7E7560Vn3wxEtZsoAZsk0NYdLHKCueXZX8R/D5GaND7YNKKoNMdzCB3i8w6NvQSHXExaU26Orf/WeLKrMUwKkIGyPLO68CF7LNze0swuI+Sb6hh5gDDaDWDeeSOq6x1hLuOeEQIbkVxYVI+gxnax75YLSYyp5uWJCIIiHZeGjkhx4xmfqKw99e9xKGg5PSPCVBqalSV7sZZXYdybQHYMb1Q0p6gHaC1AzSBaTK1ZcOL3o2CvLgLd0IOh5I/dkitvss3gsxYPtyifsAnXqyjMQsoiae+vIWW/z1sdOyyYfNGehg260JS5evrvYRqSHle1fGtIIdAgQxANl0WZ0LjDWaYmq6ClByl4CAq+C3TS9/X7MTw4ElxF966EflTiFza+60m4TOsuoXoCm8Or3OazMkYbq8UfRA6m/L49Zk1B3sniM7Wc1NyNaLP57QOoQchsGdya1o9WoL9pyRfloc0fqL25bNrDYtnieekzwCxy2NYNzIHqBV9x2g8vX5XbZ2bO919XGYlBOjt8sNXK49IXK2EedO02Tw+ae9QUoGQuiEAggf9cVuINKnSHBe06IKlj7xTwZDKMwwBgzuc2B8A3CDRpVcjUm5l9uIG5PoW+LfoFNdZbjHKEv7ztfCxHpbUeXee0hbfYgX1uQag+Fc6/YU/UrUrOt3Yl6r3F3Cv+8o1gFp1w4f5agaGw+q0k0ocOL+Ec7jzDvZ+Et1Hvc7AsmlmyQ4kftWFUQzG4IGnwA7OzGLABhsWBabV32+dasj3oC+0/FV4TZykmK1DFx80qJp3Yc1lhPJG7I9hkx9zABeRnoID8w1/tnEpbkeE6pIiv6I8pKNdDA8nFmW+YNd/secGXMoJkUac9uFfI/Drm7B4j2bHGfpE3gqMKnkxhfbV89lOCFu52tWKm1HOTi8g6Tr2TTx4zchGazl4Ai6CGfTbsu4FzCsbqWl5zpeXcHXg8+XfiX/NVOGZS9ZT5Namt0jwB/LUhEOr6OEaJgWLWmU8hBfJt092KA2k2oTof5/ByNQHycXiNMj8MrVQjzOsmBMz1ao8gC1TaTg2KKYgQiWlA7L7kndWBQSHDUXJIEYoUyAQw6+T1s+iSg+cVHYq2VttQUeMLzkSVXlHvA1cpbQQEpAa7pnmTh86P/HWKjaFDdm9ZPv+d3nVJ0/YqljQfENnLdj/jBTgB9E+r/suJMK2p4eIkCheuomVxxpnjihwXjW+55sm4efyx7C72tFagifkx2gzteiue++i0hiRo7b0EDuRKknU34K5U20+23Hg9f/bFBH1oLRH9IZPRI2Cz0Z6DstR/EZ02AwIQ7jNGuKXMkVGvnu68Q5gJMAniTpAlDfdSvUTLWDVPq6MoPASddbnTyk7I8HgjfoKX2ynBOiamSVvzPFyr1m7BAtcWEPTBRTVwJHvqc9sP8ZVGKy/l06ZBnyc85o45PkNcX+u73MO9PZoRIpdzvwNHxvqHsXNB6g2pfDOKjuC43pSWu2F3KPmrW+iXkuAep0pDl2gz4eLAYoIi3nmhPpIUBBXLiEKX1AeiM5ltyygMHSbQ68FbEX8NCkiTV5T1gK2/N3VWt65rYq/S1j5KCY4bbzdMWdM26FZsrbGjJBsULjmWdnw4W2xgmWgRoXtVrKLyPDOEhjdSELQfvHpv+xXaueAeqSJlxJSQRST+a2imG1RFcy20t7GJMwGST9SSKoLukUCDv5mFMkEpZ0Usi62lwER6BPBVdP2SfcAiSDyHjEPy1iaXPRwLEmMT5pYUrTAvLbe4DtCfmL/Ojw8zVp/ITWXQaVg6u/nhZCv2XhwBuayhF+DXd99vnxpaY71tFOlrFzatHmpIIg501+bx/clEqoAH9zm0NC6nouWVu5nDUL7EeD2B642W5diMgEnkiNyMGwg0Ru/IXyQpxFRNJ64fAjXtgv92D257L9fgtXSA6fKGBP3YEKTBsqlAtoDaYOKEeUDZxZX5hpUdKCbHyCgxjZyqtD+BxkxhXn95GAA/DQ2wY1zUZBKn68fEv2z5LmLOheDsftCT3vHWjrC/0h9hOh0sHYLQIb5scH7YM3Eb3wzt9tlb81ZnBTTGEzS36eVH3f7fRf+Y0ZdtW5pCsOVfh7YOD3Jxh/li7p60/nX3vSYXg/u2ycUjAvmPBRLF4GqqKsFV6Jcj2ld9FwaRK7ZMd0rBpH0FExI8/CB+ZAwUyprP8kEgozMa8I+rOMKa/7RyvSiyAgT25bdXXDxhYcamo330JjyuBGLUn7VZX9v1lpi8tglUd9DoTr0tA8fqyi7OqacYwJ81ypAwVzEogCC2dT+mJ30O7h2kOABQUKVJFdkE3govUmOjXll5LpfFbp8k1r8e/fYP/q7FAxOzMbkRAc5Y70sk90zqlR5yPqEHMHjgQdwCOFy6NshBedpr61HRscK9LodZSaChsyBZpXTNySJu3uxwhhAz4855Eh9tsc68FTs9bmV+oQVN8vxDoGC+aofiUHMZv+iksrVnikG6grJRdg9mckGtczuvu5TPZfbTD2XDGRxZKA3ooXChbNhObxWUu4ZqWdkIXAz6N+AYr2cocVeF15Lqf/BXTfUoFoWU1QTYF2ucKmLE0scSVOuTXJYXdvyVRGM5fEyH1/KnNDGCkde9sjTB7ik1dew4n5eYp3olyThh4L3VxzjmmzWzbTw7cSMufGJ/QCiy+274XbJ8YxfUsjYKYm9olM0AGLWoTf6LWjgn4Z1rizo8QxJRvz+F7T9hA8s2G1TGfmsTNg2SMvuL7CG+wwZ2RTkfW+iEX6C5Qe2oG+JdpKx4i5+SxM0Fn+0IDtHtspgJM2j9NKHRUnzMCpRt+PfQWWS5rPVctQL582YQMx31Iy9yZ63QgLgTxp1ZqnHapM40qhNPu/qhpKB+Z+aPKGYyPHW1MBxyFpYnXgGH2I3gAnLkjLs00lQBO3dq0pxOBXbi4SuAltYH8///Znjm+i3Jcy1/wfRw2xxtPuZkCKAxrqxzs0tuXURI7hIKh8O6oyhUvctmLD+JH+fjnQNyOuhNi0lsBjEdo7vW8cBVqDtFKSXFrhDPQLAuuReXNeoCuexdG2oCBECy6jLNnASAHszWa5dtv8Eo/xkHTGSLH4fvkC3rjLxppE+ffyjjav5uOD+3TfFHjl6rC7NAc1wZBc7azjQ7PY/129CCt2wRlN0MMcRL084s1OD5XFFU7FearKBOBtkr50H5rjMiTmm9iWuvJvjpM6UwWtsFssWqe4GxBmNkh4ydi7DtfoSqqK0o8yPvIOchUUC2X0HHGcOGj5At4GUOXgT2QBwazSqgClHYaCb0DIel+oxFqDmDtmo0jmBtz/DAaIqj/3DLwvCwSkZ+61w/Qq6rlJqxzW3I6oKSMJsrah8lIk26JEHKYFyuLtJGolmc00ey8OSN8k0jBgw3pTypdUUDxML2irz1COcUkjownFY87XZMElooyeU5EpY259HUEYj9TLJ46GplS9uLjU0Oh/L/B0Ehaz/5vuLqCjvh3lT/4QFsWsaMFjV745YhSR/paLGC7rjZHts5FZqVxy+RuzNBP8SkIhpubZ+ZBXVkLW6ck47zNQvIqIFFBTt7Z6YJQZcweVnxaQCqGkdqJpK0yccf6ckltH/LOPO4m3Nxuhxj72b6AG8UEvZFD3nWLBuvuh2/tRkL1rrrLV+YpQbITnwNNrN9JqOUHJJqTHUiFUIEK1CwE6ehHqthwUQnZJBQKWtlpS7xkmV3gr5SGqVgByVZIOWZOndkIyTUDR3bNPV4WEP9iG/E3oZVOoqw67QlQsqcvNqMokWxaxlxZxDarQbNJ+d+liYToFn3poiLEFARLqukIVNaZLSGkU5u0y4bQzDGElP/1OcBpCYcyqqSs86IKERC/PJ/GNZToRdtYADumgIjhKkHWRExezNMJ8ZyinAsIcauv8NZpr+SBurnOmfMdME+NFK08wAFxh7mc9PgB65YjHKiqmzdOZKSR9UvLA5igyF19Z0ziqbyowOf33hfkPpvX1Owhfmbbx66Wrhl6yQXBZQyvMFX/WXoTU3/xurP7AcwaONquxpkQB22IC1YEckAFhjKfPitcpDmjVTRabCGgMZEl16/SJPWiu2DaCFRC15g+91wzHIxcVSItCzxUEpYfg49ITjqSmYnOXiKIPsVGRRbn85XwqEDFA9rp/osJZzV/tPcD7HZgBMdy7O7lEz3FgzFCZeJmx8M5ygAIc+Xh9odIRP8Vf2YuvbFgjbUOIHWG/9Bnwp9DkcvUy7tkIHggTntRFbla3xgXKJLW1UtqwqljTgW6kveJ1o4ZMtfZAd3IEnbhog7Ll7YLiseXh1qmVJPJ1i6HCFRIQijNqPHZ+bwDlS4l3CbXZVG3Wp2Zs7YjAGK6wS8wl0zPcqEAfPLxNQoFnp62iAvcpT4FJPkQwZLDmMghSYlzX5GGGWHXc9UzVSMvyTBzHNsDhtcpyb+mB1oFdeuR9XqEdXcuBPEoG2U5Z3n8eXGRdUymMqQglURmUISnIjVv0DSeU/vu7AYwIxkAvNnC9mUi1N1mQWy9FmsRPWiUHQsOhxzD478OM+FtEET3p3WwhfMqzT1Hb2E1kzFcD/Hi5posp8gSUaI9dmKmty+N1tXEnjXmP5VhkWyKLtQRL4HWcLIAKuLtoRoaGxO0KatainkMtt1zSJe+tsT/0Bem4YwZk3OLXzrrSjfuS1Epn0MoTDA7x5qouZDK3XNWboiTp85opfoVV8uK9k4vzYEUuDOoi6XLVxgYNGYzLX8LYQJIrVyWmgp642jog1MigmFQEVx763I5cbqZBYQEi3Q0Da5I2B14tXnnc9zZEUEgahLtuOcM3PFDSbk6QrqmRvbm9RCCcLvaXhx5jCk7Mt/o0kG+wD4909jfdVhkz1m1X//uy8jtMVwB9QTbixuva/Nezo9o6dLmjEizIx+HZn1BDx9yaBj/d+M7b+qox1U8KdPuFQMpKzTWBrxM33Jkf6DMFWop7Jda6QalOPA/3VHvH1ySMD1rA7NtA3kepUd9oXVqjQheTVG7Hc9GtRR178NscfwLUnmEyfltGkaFKjOixACe8kFcNhpTgbmPetg3/sPiQmfbR16Ffxc7NooPnycJI2QscEjMub2mqGP1IFI5BYX7JHJMzIb+T0cR+gwxy0RPtH24UNoogMO16sadl1SClbVv9+31rWVf88Vz290mV8gdNKDOtz9RP77kTtymPe0HF4ZAM6OuoJq6NYmz1PpHOLi3UPHfs1CfobmNLvgBCq+pEjTmz6RIlocqSDKHavLS8B1L+OIDisPFHdcT18K5FyurjHupeEzm1F0MnHhMZwlThwGUM6TrGwOewqWZmXJwvdgRgFhro81j4iGVdDNpvh3gdWPNdhDFswhAGUUE8A9vEKpLD8LEilYshxQO9fO1Whvift4rVW1uqHB8mCzD1BHjAwhYTcU7P9ZOMTL9J6QQd6u4cJv8vCxkm8KnSsa0wDjsN7yQfCmJGHlx5lsCbrYjXhqwsIGrtlkv6wZe0pb5MoCsCdmLKDV0IGAFvfVYi9TRrnWKnyGKzDRsr427Sm+Nhxv+vkSQFFA99KbYdIrJHWwjE3EIeJRG74lTEIzHrNaCWHMCkvVE5bEB3Z1O5vktRpMHxwYcVo3H+aKST+NL65szJuU3Lmr+Ri5wBzgcGB0rVtNx6l9uPIEhZAcGA6Nb8Q9rBa5vln2QWLKlFQJs4WMdQafsL0OlY+fhpk5Z2lntwEHhOEhxb0yzCKRZLX/Tc78JyKPkjgHpJBmdRKpWkHFEvVPh9xGmeagg4Pu7ipqgJOW8xh+O9mcAPhCUdDV7/UGIjyg2JH6gVjVFnQEEs88ktHFaQbtTsEfgGVtD59hl992vNuMBuvPrCAHbwul8z0BozsWMUUw4yGUFCNBgWRxtl1KHC+jNzPBgLN4Te2DS4GG5LRs/TjJV4LyKwcGPJLmlswtbCkgBasZKtRYUURMMLTrQuxfnPzgxm6jJIrwnLs9vovBguGNve4kFqoNPRFtGW3ft9vT8uNdDMrr8UFHEm2Z3MFfgEBJKEMlSguS2DFe/3Ij9e88zkIpImUMjrGlktKdF6WZYRTEJf7RqZhAHHkw4OUHySosljBWwghRTLHmeagVUP3Y8+76Bt0utfFgsLRR8FnLJ0VY8veK4+nHDnaO4dXcU7gVSTmJ7aaHB16S159s3CXtqU669pMy+tpCMNkCqgwMqT/qES9DDhRiNgdfYe4YJLxMobV1w4x3VPzE8kD+GI6MuJGSFofHL5hBAPiaKHbHmwjJ4k9DMCTGylIDd6rj1EPRt4HeOCwG8pnvri+o/97rB2iOkURHuXaJGyCAjpDollsbf4HbGz6MOM4TVmaZoRGnsyWM28a2442ui/vTEwuxyeW0J2czMCdOhP1SGpJ9fbNVCKm3cV/14XK0UejUuPvQRy7u5QvblU4pqCulhVE158I52b9YkuKTftzN5irDQ/0gdcs+ek1HHY30DNWCoPQWTo08DXqVZccvCzQYXB1XwUU0uSeWXp2l5eT04CPph7I9tFhAYV43DjkEZ749LAX7vmTWU4zKJwNq98cRDnwnJsVRrajuU3Wz4TRmoHQfM9+m4QrYsMGXwbmZ+JWkRiPYbyPbi2xQYp1LuNVMo8bUP9KNBErorcAic2k1QAkbBNXj2uSfHJxVoeysZcpv9lnIBfgrAjw3SSvkOnSvsOHTh2duIzngGaEPVf0xDAfKkEjZ0A0MfgODNEbaAVOV4NuVOdTjLuSKbBMCwfdJlO4AFgGS/aux1vVpYzBPQxVKoXjs3Us5YE13HKmezlGAc8O3BFsXbleZCC+RN7D3CQ5zEsMlATxwdNmDTTBtayjawRnzqJ1/NogCRO8mHMC+f6gQvcG1GydqXuC81UuhvTKkOmRcQgjOPnf3LdvJwe0Tvd+MX77gx7FdImcAJoH2Ful8gt+JuKtfOibcV+jaA/5c8a1BxXh7MgGWwwXsS0efa3vTYZofaEyaXOTtI/UKs32raK1FIVZroSRJTtZUwHnMMRxNFISck8zHDkSNJ3csVuqvQRWgaLs3G/ut2OYX659OIOEXGugIOLVVgyHiW6IT8aF6ik67iPCMHtDFJSqTAH6PnxsnhNeCb1R/CL8bsmC+TYhl0mQZu/6RGY+g3ynq93KBZ7n8WD9sDEf4F5AnESrS8IVbdPeP/xOcDhOpv26dr0e+n8nj/AQvuTzZMmT8x2lfTFrQpD2dBCzVXJphM5Fsan1veERnlMwgybF9H64gENUPoMJTEbWShRoCSYtcf6lYLrBvba5ziGEmWt4RIF8X7XTXyUjyZI//OGIHYF967TrMG6mnzw98hLxSLEGz9BWB14/5xweHi249IvDxM0GZeArNn7n8SMmLZQyBanAlPX5suAs7FNzoKBb7Jl7bAUJ1ZLOEjPejzc8GkTBgJUWOOdv6ezTQUMIz+BYMFfbZbrBMWrQFmhiC0EF1+sw8QZDN088nl8bWs/Gt1xeSycRkd3Wu06U4euPSdctHRQWaivaIbSTC9EqvFqFXdRaggIog+OKnY25nglZYmOD7AT1ZAnE0NQfl7kQeyzy5PJikebSI2Ixh6EbzTJmWTJ9cOAXOrmyUsAVAO+IynPJWo4ZPdyn7MaV/pJg0qFwH+GijvCm3kFFzaJOmbfWtRUDoqvgKEI0mqYSuZI5O5qjt2zuADojQdYRM7p6TkWoKnF029tGVXU/AFFcGCeeap6Et35/jKKLF2+044RVdclSf5gUO4VpZATlYer1rwV5TVrWrA+TXKM1f+xidAcqNmW798IohgMVRH8EOlFP6cwo+r9oyEAaYXcDRI5QK076JbLyatSynVPSMga1++6Vfamw0cchcrIw6uxWcUI53xSPqBKeSSDy5rYcfrUADG+MqH4vRkFYO48057bKilu25zI8B5OKIlT/D7ZWOr4FJcvRnBlsyEmuKASaGyupF3c6ay5K1B4nww/MN6ddJMkpsLK1UIC5MmOCoNHZimLljAL6mQx53c0dXE42hg2Cj7eCs5gXKxYpt2oOG/AQopu4nml1lM1gv6xonip35XnjmTPV2qYex88w2N5rfbQeMKNzbt8rI5pq55pNH8oGOS58Wml7B5I9JPHDPmzR2o9FZUmBp8tkfjBGX3RdIymKHDFzcMRTSxahn+4hOjTpZ5iLn/tF0bhW14TidWEcEbdTKoaPIXUDYaaAJ7mL7wQRfbRtoHq5317vQei8lfF35sY6Z3hLmGBSuC+AaIt7gOvyzmAsT1xkodYypRmS6WhosboTXy4c3PmsnvoZVs0EIv5xxD6p36wveKT7IMUnMq6BWFKt5q5SVhfB9yERIG7tpkPU34Ehc9qqq2ZsAofiFWfM4SDmVwgIOMGEQP5U0KdCvMtfzf5awql5Yiz6F2Hl4uUFeTuIRCCPla0l40y/MPhb9Y5V9doms6zboa24Rt9rG1RGlsc+Y24hq6VA0qzkTNun1tApnYS4+FSJxCx58MS6lDqqV487hnRGuDbQQivusQV5j9K17C1IpTvC5tSgW8XwvWQZYCYtRyTkxatEvAl1dK5Z97qLxp4rqX9nwo5so8LWgv8bJ/ElreSIuIRZLxLUW2pNYD87CFRF8WUearwPkwTcY7s2YvvNp2vsfaiGa1d5hvXQuXxlVcTCghInwy/WHVUfayf3qSSAxwmf1sbarSc9G5J33gXkpUHldYxaYFWYgdGv0r9NsK0EYvLwj4TEyoErYgIxNH8U3b1SCL3e35rwnpDhno8zBwNRFJThE+DbJ2GyFL/xeIhNOahGSmb78hCJrWwRHXRmcS7HT9qvn+kt4Pggtr+cPAMIfo8jvqnj4BIdazHaGPKrSo7bbd3zDoMUbBY9gwvyiTcctMN2JdshTGCImzX6Vd/ihVhTXYGXE6jBufGLutFpqRli4RGHOA+RCmsAAgRQm9o1hFD0Amh4+xyDE9ME/Z/wySpqigc8JxJJcK0xDPpNhjmGCc3OAFgsyJPh/qx5YrqAUXfK93lIIvEo17Cbjn3QkiWRWV+U0Ed1h48KSd6Y65JT5F49gJFFaiZDqvjk8HHJDry8MfR8r0cKoydFCyWQJy1lyDuaBWrYqeLVFZ5NpFeKRUEAlJ1D0wfd8bMDPNdNifwY3sVCoTdtqxSTJLXsJSYx12w42BUw1WLYy9QOsLOdQf4LOoKJftABL4PgG0sT1q3P2z6JHYHb/i+06kMTQ9vu5g5/2mD88RGlqEIMMzHE9SZOodZSG1wTo6nZwXO4zqGv6s44gBA9plisbrkp2vqN3EULOpMvZkktr3tipNsrUcohznqUgpZtlAjnronmBwq8X3qMCdCUPqAJNuN0fe/X5KFsNW1BSqYvjp8C7nbCp1rvrctdh8KPoJrnt4pc0ypSqGWNHlvPxr32jVIAopYHaW2XLaFryFh+Sqbz21oSPV/N3bxJC9BFnrysNmHc3LGhm3HEZITUFvouQAO6SgS3UDms+FySBpCcKsXU1pElistdkgfP2L6vBgpWv/Tx8AfS6f6Z9W8jD3hv9XMhzPoV4i5/GPsGR/EdNyYL5J24/EdEqUikTpbBEx0wgHF52qdJ4yHopBvQP7rL1uncPmd4ZFHeViR/DISmQuZAFmAkxDP6VD208zDoJUWXjQYRhM4F4lfag6oMX7k6zXaTab7izjpW7VKyB5tUGO7DzvpQ9Md9qGjJDUbKEf6STExK/YoDD1+FdeHNy+PNl+wxnv1PudgtWYKfOFsxg+wAK31JXlfigM9+EJFw4CvzX+ART2RtKaKNsX2YsGg+s16Bi7NkvT0tqjdR9j+kpXD6fa2R9tnhrLPK2y0cbqhLriaGgFKBwIFdIvfNRDMQ+fJXrNHxr2/luk0uvohFbNhsjVKSSF7m8t2ze4gQQqxxPOai2L9E6iAkhcYNx2pUB84p2ZkYYPHxcQw7U7RKsw4Vmsn2tq424UWWOaFmBjRZo+ienLz0qK2FhgC2pMYE19ZcB64ZFsbCUezUgG1d4YdIn8Q0tryWF+qb8piQI/aZbTvxQc53lkhjFvc13aJ+GxkOYZ0AxaG1Cad9JFdMcRU2aJ43gFty0TNU0vOh6t3i6KJkW4s8gKlpaiW3o7zXLzhyma5xnQphhKaefhDBoT0NyFBPwaPS4Wmg7BzgGed1fUPskKyKIjzufSZiEbUAi2Q+yuy3m08Gurg3k7/zpbJaGA9KqGkgzvB4GjPcTfrAbwh9FHZF63HnOrS4Rlc7SsZ23rL2okUD/CzNhOS598oZbFr/8BUYAAo4+wRC2JDj5FUom901nfzNCYa54qnRacvt3YwzGSkS30E5cvRIokSVV6wWvtpOQsROhVMvn2nR3IRHHN6aHb3TDCV9tU3/ONQA4OAGTzWVb0d9fg5SmcTDRRwkmzjtht9rA92dGqDXvJn3t9zJkoyFB1icErN3+WhexdL6ZEzR3RbSBMPKz8i+FlufVNmN4gousjom//oJV0gT3HvLRf/QH4CfN6abHnd4B6Jl3KClO6rc2TEtoB9a4dhZWLAbhzuN91J7pvm1WmewYdVw6fiaIEkLhFwxyGVdvVB2Oos+KW8q4OdMX9wpnuWdRT0ehO3s8hFiv9N2yXefCNzZca8B9NSqTAHu4seUOxwQceBik3daZJp5yOnRNvZIV+z937bANlINcJuBDCxLGrb68f489eGRLPioNYY/nNrfLOYkyibqDnXq0AuqPvaaa1KnTVu6I7ZZnCFLGsNVHhNoga4869vAGWA4h6ySXZQPcG+mughG162b7xvfIfMuW2KmSYgv8JLAu+1/blEONleBfX0nRndcCx31CxPe9oCM1eM7kpdZkfYz5ZkE8bkVmql7/kKuQAWp1i/ybb4xVpNq3HqI9ZWrBfqm2pAxsGwAgWPwlAaY8AK2UGSiK/qS+oUMCkWWxJ6hM+/hkGx/LNdaQgLFp8OszDt8Bdqw/qL4i1InCcr4Bc1geg8xEZkHjw2lg4eUCeEDRPJ0qUMwHRoBvlUs9fRPx6FEENbuSUzblSjxJFOLMwEpTiYLzVkRhAa462QaHIsQqFo087O31MguFEDlpUZXT2LNyDb6/i721CqPQ2KoMR6q2Ajrd/XSAeQ8pcyWI/GTqk83fLlISnOnaL4f8YdOfE/yKSWtDpgkc9Urr3dSix8RN98qzfDEOKbLANjyRWT0K1HOCViiM/b2/kCxWB231Irg3oJkINIBpmVmvC2YHprefkqT9ftkJM+qlK8aLZwlHjXtFTk+nEmM6KPr2p785fcCGY6w9MZ1+lo8eXZ8cv7PEcpHO6VLEFB6bcj3+cTozLnpxGeEYbtAg0GcXDwF5Oh3FxIi1ClaRPCbNL12nx/+rfkk0/xbPOGhGMALf6ZBJtFS1CcDTcTiLo93WKatbCTsvuLWg4W5R1ofEVFJxFH/dMwDg9H6u9zSAnbRznKVAVT1u0X1yUgkiqKlGyS1YnP09jCbvqKmiiQbX+z7QvK2FCVode0I0oT659U1vWct1LeDqmPrD6wCoga0cUwr7Fb2rmx9Xg+uiYwo/TtB+3soKRl5OwVpdDjUnYoQCUW4JDWnsIzky5Dvz/w4+3UmAo/qtydlr4UMz0RxUJqaNI0AG57K+PJaPlPSmu/OMG5NhEP2rk4aMAcd7NRpRjfQ/CLMFaq2sBkALKo0os5bWbqRnfQRtBBk4nSHXKIO2urZgPBVk703h0vSscT3EC/K93/0ChOeS0cIZ19fuuA5J/exuoKlRQ87Pj8f1xoCKpRjb5cOLPO2qoqUUJ0UrpyiSSskHXpMBowrTpS2n6+A0z/JLBLOoid6PQiONzNJTn8PUPtPdLjzCi1I0aUPKwpFPQqJa6HRDV8JzuOYmGNOXqODmHAeFSTOF2biXMuUQ/wDAiuPLVkrSloJa+qLZLq1SW8wH90lLoQlPDRT5py2i5AdDVVNqE2DAs3xfmBzvS99LWe6C6tmbJtIu+0cwCw8JexGXUe7hRqt2r3ElMX4DUiG3HzJCW1/eNYi62qM1Bz6D7mZCXlr+TL1tVIK/dtprbHU7Qrq9lkzMGyVFPJ4yMmzUqPb/XSQH14FAfm5DwTziZdFIX+MUzh9CvK9O0VhE1lfNYHQkBQbU6zuQ81PqHgBgoL0EYIDVYTxANKI4k3KZ6RejlhSErn/hk0fpZnSaTJpMJDbRos0FvvmzkbIleOJkb3Pahs1LDGPbvp9YjYaL9uRbhTNrsfLi9mfg3IPRBudQBGbGOqn7D5x1erkVSJZSlWeEKk7ARARQ2E4eI05fA2Ex7N7S67ckysCczSckbB/tCN8AmSCuwokURMuKBwihCjhX+BQU1NLFl+dysoPHe5DLpVRU+p9pmgFBSvBIx4p1Ap1kLH4YTtvJC1c5oWyT8/dT09LHkiORGVa2B5XpPSVuK8Yr1HhUWEuNPXBxIoqPMjk2VEACVaClyKPV0ruXNMVK9RwpPKv80R7TfVAKPqemrc7kA1fUJTP3jUpHh4qK+ScFjZTDba9GsTQn25oudgTUG99z3h41ZiVTdwXZkZ4/W+bNz3X8CBd5h/bsRnzwZ6q9pYATxXRtDd55fhM9Xeo2tsFaEFdRpOX0pg5Rxs+DyqdhLbJGlKTFT1BN61a7/pCerRiRV8rzti8+clcc7gw/SpvFOWmUXdlqqFaSY3UCrjRK/N0Eva9hWxMAtCwWmhvfiQ7J6JwoeY22wyxDIEqGz9F9EAmgz0GEXDmWz65r3wpGyxjK4Y9RvsFIIsLseWEWG0qo0lO18vECiN4Vp1RUXIaXmElFL3FnOangRfo4hc8fxliiyrPyBH69YDDsGkooCCFdXfMp02ErTmQBBpsTH4cKpJ3kZ5fcWgIYySy4Mfk826hdSoS5qOs4CLK033G+SvWJdJ+3kL96ZezYdm8NBTrB81kkUQYOD5eamYbEoprve+v3elNSrYw0gX6V02mo2gMP8vlb3TOYIh4+l9lftmkHgneSe1qLLWbLhXKu19qVEYLPdw5Sgt94ChWUj/dtzp6UHGirCHOH5SqUh/N8ycvUeBSLNPmWvDaFkcd4ARitFGpAO/zwHgH1cUmamwcznQX3QwmNpzFRFoS+rEHkysRF0bY6SPHZBz6LMzjZ9iPDk2pAWhdKb6LobUbQBtHQcH5vMgNS5QoNQf2VzTHwos50bAsvOzFQlUnccXTsxKnj5CWBapjj6Bqrxbu18ertddX6hEYe0OESoW9WZcEwLbWfQKQJAITgiHnRtzJSKyQcJx6V1oDPsnyw0qXZNcsTXFq58KNqcnxbgrwKYFOFHKm4nuhHVYwFDTI8coqtnyF6eYLk3Yz519l7XHeAN6U2krTZP3Qg7duO2/fnVebJXtaunUsP849Lww2ckgGSaxPzltJZPtJafTTiyJrAhxV5/p7F4nYN9ISgcQmYtvueIXCyl43SYeIVMGip6+wqa7FHe/eGAvcehM6pvUqTwmmNe8VaWVu36KZTRqEqW5FuEZMEAvw82pFTlJP/c+E/0T5SuRJXQOPWds6Jk0YyEYTffCkS86u4h9spXKrdmTCgVGjWcuh/02UZsWAUfE7/9bClE+Bm94Q0KiJTWCrEL3ZYpqSUMSZWoh6D9F8M/qfV+xuTm1Xc7SdvU/uL1Xo9HsPpW0O1E+xWQDTGVRtpLaKPa8KJoF/IpVBPdvhBUhwvm5O5G1M7gfKEv7n0Qf6nJI5sEDjympHfMaZlEikfBwgik0vkpCG97T8B2XRxGcTZran9OSkUowfz2Ve4IEfxAAiUL5fXSC5u7ubZXW0IfyIsRZoOrdayOWJyKcKKk+ggfw6IPISjBOXATgLeYHjKfM2Wq53ony/IWFiWghxcwrFVxVhZ8Ye0Q6HGyBkSBaaFX1MYNGmrSWQvp1sLDHO+BisKyvGdn8bewlIc6bxw5oiQAQMXao7sGF7pICWCQSgqdHXeAmQwk6PbB0mwtIW/1hmjCrhsmy0boy5/SP5TCEoWH6OmZzfWUlpFAeXyAMu+4UwAWo/yo6A2olt2kOarWbnEAhyAr8/69+6+y3pkOrXf7gQNmkQ5piEnRmhOlkDZLspBLEy5FaO1yHuzyejoTM3PxIXAeut0sKz2IvNtStU6WLBai+HHELhAjwtFRZZ7sLejb3iyojNkQoohNt2PmhtDx9brHJpfCqa+53hR1ymI0silwBt0k1pdSJYNyxc3g1jzJWzhh5XzuRXwHtkoqDzZbw52ht6p82hVuEytFg4Zzi5VhhGQn6Q1NbkRcuQZUeyUrBlcZRsH8XCkJyRIpKQ8JL/d6pw8tfTiikmrqrAvZgmUKMzS4Dsi8NyaPeGxhwU54HiiSyshy8RkRdhh6Gj5szYucz3T5hfpQdAcOFVuaSQcvOfvL/RmOjSI62kAFvN4LlfhUIFmOUt2ChaZQd0aUhbRpQOT+gIu4+tlMWid1T6n4D3cZGnCYQWh4O47aL4fLXxsttTgejTipCb0/GUibTTyZOKGoJdXc2L/LYZ6yvSo925UeRdfs3bnyEsCrpDklYh8Fe6Nu/g7soXXZ9E/jQtoU8WN7M/qn7zb4zBuXqlkT4QyGN+22J/OZoAb4rE4KNL4cmPk7PVYbRrO/1c0h1j9FwmGMzNYUP/tcCOhc8g12Q8oQnWmApsJclL17x0gnX5Ures2GHAsbDPqOPzKI339ZYYIRMhdypFAmiSb38qIHqC0B3whJLJu29BCItJ8AmLd9cjPgWfCR0NmQV0AAB45fB7aVQljfBlXrrKugUfp3ePLzclzfDBFInxDHHlGP65Jkymv81knS7R4vmYUPlpmXNDd1uUCTBEGxkPCUuV+h0TDM7YEuCx3t7DfDRINLXGIG+o1sz5lGqtFcDHJyOQNjLWGTy8fHvoGXXSUS4Mo6oIr5i1j8T3f0gGsBHyq/auoIcmu4/TiPdrBuLldY3MnZyIkQDWX5swFWPA80cdmCT3nd+YLVZ9bnlhwcgp/cwFtXYVasyoacj+94QoirmBUiqrULKutrAhZLEvoSKh1a/lHXH93BPokwjUZmij/iFbVdNg05GduR3mqrHwtDbtVOIU6IrLh5uQXjPXL2sCxgr4KHbUQniNXH7kXTt4uxsMXJtdAVx1lqGyGw4KN6G9WRXXYFEGnZtgEZiosJ3WdNEf+kDbxbqW8+CnMUkdAZqdXwoAp7D3E/AOPKa2iV3cCyGzMfdgasLwmamnf9Qcc4rGYst0fjWK4IOACTelGNII0EaLQkAkwuTNv+iEBIAANpxCUreBJ3SdeJHI7M+Qj2CrjDIRj0N7f1bgMRC3sqg1fnYelXkSNUgkusm0IRgMDlNW7gfjdxP82cp94wS9pCErh1dZC4zhuaeXdBCbAgTr9SFzM3rHn46byJ1RYfMcZIYyJ5Ct53e5ZTVT7GudplY8Tb4hrlS/AHCnAP6LSV+cdZoS3kwiIYLb4bP1gBVOFuU8q+v8aESThpIoYaPmMcV4diOxn0al79GkffghAmvhjyHrLDAsY2UKdA77QyvUVzF9K7augFhuR7aLkE4b4mNwiNc/ve8PADfVTjcCLgxULY24Z1s9jktTcX7ArtlTIQLXz40Dy1yGgDZAleYBf5rLKTcAS80HUTbsvc9isF3lhC5GjjvBsAKiP3R0FLPkAgGBYowXFMHQPcoSmnYTr/V97/pivvuvJW9N8u0wmHZbRAQmva5ak/RbP2lfNeUmaiPTsknI1giUbKqTmDHKU+aTXIOcfOa05Stq8LpYwHGSdwywRy+jUoMoSeQ6ALvbkLyCAXN3UGlhFIyS9GDU8ToGfhEMd7r+bzfZL+d1HxULN3EpvvfZP84Juu8VfgtbxcTjBIWNhsrWUAyXMp6T0pjvyGOYE2TAxxnBZAvDuQSFJ0+muxhx9LzMEx9A5+nYQv0C+h3NfYGZkdblRk8zw7ARPWbkO1c0lQLsaBFh7VkIAnQe9QJEwIOFowoXgQHSaDvDbsMg8kRkdu7r56OMHb9yOhrdLqS5d+E6dVjqNBbW1Kn81Js/FE/qPYDUMD0uYxk5pGW4anAK1engD1sBM8U7l6SVZPR8t5l2wFVY66ZruqiQvh/WZuIc4q1v6iulP7MN9GLvsGkvAJv38SzpsBWG5/NoHWNIGw3woPTRZ87ulqAqWKFwUuoPpUAyNZmCezHxF5n2fxXTx+QfoZ9D3ovGHy9fBX8vD8hsLNgbwwI1jih9B33OV1psq8ck8aVb7mhnMMnX2IoW5xF0knBRVRNPd49hsTLOjNSPEiViGICk8EVjp4X8EANXNMbhxV4lanQ06TDOVI7U/8yJ1nKK5TWyAGjRZkkkoAOTt89h07agVzffuFkC2/5aZ5IQvzHUuiAMYHAiXPwuGSrt2RtWGXZZIxv1jE8TtWpBAqanrGrky2BR8DXfE4ICN/P3UEFm3JhrsUMo6rPLICZuPu/gpFjw1RPJiEqlWJhEaYcJc26ZBkpEQKqF4dt3MBuzaJtYmcp4S8UTRhngIKCyrZaorpAxmFjRn+EpioFxbPUXmWjXo8/Xic0T2g/hOrgHuWFQeWvwwuAbCqbxF6vWWPr7Eg8uLYwNQcxzBjobkub3DANNjH7wuwCnyBl7FLpRLCQhocZFbTL9woASa9B3WDHbvRZDeOfK/m/sGOjb8Fr9zLrBqn1UXfW6oOHdyTuiBnEuv7zEWmEiw3+wyM//cixMBDNfh3CnDAbrr6G4JSKBKIuwqt8isEvcVRdL/YDBPiyg1EzazOMO/WqHugWpKLIvaC9+7o8neoECj0k+Nmvq6eB5T4F8HqoROUlzxhx0SlBpMp/T/WnYaplybnE7MneRESEMJMV9Ut8FV7eMbSOqjCcczo/Gm3ZY8giUZI1W1LwnMIa1bL4zG9RwYQmPogRqwbKNZ1w9dBPOrq3GQSS4S+euHxy8Va3R7E96KDqvTcnwgWRIAITgkNrmltZZYmf4LsEvBS+4QS94cMMx8lKT7t9uxJ7ymBRB0yhKD+CgugdkGUPBAZ13tqEp+9uswEoOLJFHuR1Z42ijfGiWqecbbWJ3q4WkHlik7/TZXXTnHZVpQJNkBswCHNiA/AkmyRXzd5uU1PAaQqTYYTr8WBRLpd2zafGAHpS1hlNyqW+UGjVEhbszD9bmRjOO+7h5vfmseAbBYUa8/3hiDEe0GpDyPD8jqzPC35OwX7RIiyGA1mmCanJWobQPnL7MhQelXGlEXijzZKCsmHwJVK8NdIDbwY3SyNzLQ8XJjR5HDajl/II0jkGtNp6odZ0RLvJqaws+MJc+icW7rzKJOMyeJiCtOzE3YJ21c5IIpXw4FrJoyuIvDUPpyc81AvTZUhKLalGqR211XUgoGOIowxhAkMrT3vVfQiYY/FTolvV9a8h6mT2pxwFpn/CRcTqeFq+S9WDZi+/kKCOdwU6EzA4PtsjClWd8zU1Ch7s4CH+qOe0l4S9KlMckzK/Q7V1e0yU96AqI/KsUKo0YneS2yrKOJj0tlpEFA41A6eJrdhX3tRSr5xpc062BAFcgOJRFgarIGuNHhtHj6SAEnxaHJ7Eo+eK/l4xh0PbcPoEYByuquu1KM5+Tu9bbTdyxIbrzW1vaeSWWi+I3/G6K1/Zst3jfOT/MA5HqGn9YESPaSqPPeeMsGRV9wmEJbqbwK5PGPBrydmfpoXWoiApZpwuUuG2rxtsHT4GOCBPkbi7SwNLzOlCOMZeDGI7L+umlR4Fc6ciPPakwduegjcyPTeVkOoolMviwh1UyYDsmZMX/PaM6Cfmnelx1UvJ7HAg+rZgx08wHgokOjQv2W4OQ3Tvn1nQxYQwI41hs4FflLuXNTTF9A1+SZTDZzkbbZ9FPDcmfwdlfLtFXfm7E1IMy8fcSSIY9o37TDZXuw6Xil4IhmDGI0/uTBH4eevXmAL6gmNoLJLPwEwGLzU94BGP98UZ+rsZqd4lmqt6tEDlRDABHRyMm5wO86MbQ9KLoye777DKYSw6ELjT31Bm+qDJNMlBbCsbIBuQraiEmx5+O5zb+mq977Y86y2SVhlu6TdEY87hFYRXGviQtRlKUQcQpFqNSlpRwktaBKVgGkRk/aK0co5MlXppxJbsM8pNoyhAAmpkH3QdlC4vwn7BUUB9xpuJR1eBW70Hv07g8eQAQvLmGq92AQsbGRHZnKiL7AodvgSW3UNuHM4zA+8JfEDjYpTgs46KXJHuDitmnHPhwFDvffuQFjtXYb7NbFYVILndOIB67EwAqbqmatqlvXUCWTt1c9uzvjwnj1Tn3mT/yC6LlwQXFNW3iKBEZ6+aa/qCjgqdb+MnuQHfQK7bYMzQORT+0Newi9CjVUBOkbuXWwGRlrTqvjLzf31qs7Ck0bFjoXqyTAO5Nyg2kMrTgys7eoyjuSZoku8RX2REL2zaUhsr9gCd8EVORtukqwCVGSsShTcZYYaz3RDuCSSuc7DCuLp7EW30Jxa1PDnAH6rRpLuOBh5McocoTh1r0CKm2KibCvbvM3kuQL4eNiDHZfRA4rl39YpscUyPRF7cLto5jM97g2CWNMJJm0DwZ6KjC+AtwYauRJzhVhQ9411jvdakRyvgJ9FCa9DqIULP8lMbmE5UViTxHDmwGEmOZ4cxO7LQMAn/AjkQdL+zPhsyJEMQg3Bs0Ic3/y1Qh4NGlVR4ukrTPP/QI48j/nzYezS2RwjDjru26odAp43b48Kd6fi5sj7qa+LbRqgHH2qoBwJn9DIaT6DatkauOe45RUVkDxuJwaGMxnmoNmggFc56jSvYFgIeYtiJHac2q7PyLt2NVO2axSnLkj7gB/hhUZRPtZEI0wUxCv08ecrc2zy4WHzRdJVQUdUB93iv3mANi4O0BviMpSyn/V9QX0zICpqAoOJiJkpuDah9nWQZ1dtqPD8ueeVSie6Hpfcrt/4RHb+gQUZ+BV5bnNpHdvMwsJvCXINboYYb6yOLYr7XlN9xCKZTGo8faURon+4hSvuT7PjLCjLlidYuJT4UFQ0Q5CMUMtrJ9KLbMDjavPLKn9P02NV24QZdMjKOuGLjv/r8AQ84MebbEWXHFR2xYznrD8t8NkhAnEFZFhFzj0C/ddfSdcCKUNlMz12y9UCaRud+yJZIEoYwjP13ZXWiuQIDtesGuzl2pQE2ratAFbu9dYq9PDo6jz6Iu7d5P+EIbBFJPR4OAiMKXZ1tUPNYq9Ee0KmC1hLp66TkvlGmfSBvvYi7LGK0aTU4qGyCOl9MuAfkhg/jSBvyO8ZknMiOcnE3HRwdQsucHVW8HFDo77PM/Z633mrQb8M6qVmdctTYSc5YZ392J2hax/jrsDyGYtRyVC1Y0SyZLDwhQBp6b/AaaKlM4JZcrtKmQ/+O0GXxkTzBlzJ4RrEH/xwykZdxerHhiU+OvsZDI+KXVDBO2/tC8XzY46AOfZV+Zt50gvkKdqX1tyy0MKIxk6apSMTDP6PbB5vrvJnORKwHNdU3CFdrcr6sYeawpWn1U1DPFdaKXZmk2eFKERuJbvdCMkDVjJJBTn5Xa2sNPYQ+12TX6DZdFEYjGNfvN5R3jIV+bzxgm2HRMlSP01XemH/jBu1dMgO/aOJz02A8ZWT68VBZlO2jeQw6EhNizX0x3z1w+LazOFM6D5f5VL4IomWKO9eZUQdIBNbuWneoAFbl6XDXDbXNI6uc1/onaVr8PMfR0ZH/jLbPoSLOjk2DywwzEqi33465EMODq4aWqFWSNqJkfvSWSybkdxXhERLDm6qYpBSVB7om+i5Ye7fHnZLNAC/f4CJdGx5dF+d+NomGxtVN1dhzkCzVEbUH4bIagBKqgbb0aND+KzkuDLswz8QDOHmu4OtJ5wmel9VdWeuS1BWn9x8amOEPiHHDARY5eG3nhHOY+cEP9uJy7gDRontf5z55T66RiC2Ao+s/TV1/Wp6EOjT1qultm/+G5CG0C4rw9sQiStoy5SJEdvT/FA+8ISZev9zyDVz9+u0nua+KWXh4HlUB81TywANKgYg4qVBpk0XuORY9LxlITFrDvRoOq9TZE1LU2qzygZrjY63FSqhNi/vfs7bErWSQTRpYPolYsPsS8V4wKunVhQBnkj8jz3xdYGRW9CkPcfeiFA4fBPeHwTZkJtsRTOrJE1ibHqxQXXESI15qt4REJGx/qm2eiyWYseRCEQigP7NJsnLONs3atvek0Frs6rYrftoFEQ5u82PymQlvePrVQYnJQ8wS7MdWM9ycMt8oXiXrKq2j9xGRLzAlPtYr7lEDZwxAdY+xnQt3PBwg2IBEZ1N1DITA+9r4cgrB5rSGH33aZ2m+2izJT98a7k985meTatQGKx5/hCypRapb9uRB7Z+XD6z6pC09icXJfT+HsjlXnRYjbJCunsBl1KpovfXVNIq3RlyT37GJDv5zyBRf4RKm7l8conCUenRYPkHLYhh+2Lci99X1bu9MskXhYmu7APdLSQUyJGmECl21GGgo/du4E2qdLF86YArAwYR0Lwqzsi0MSBREKvN4fvSa9Ry6RbPIr3StQNqqj3Yl09IMC1i/93dijiYV66AfPuo4nAkyxmeqm4DX+C1q6kVk95AYfWJ2aTm1m1RYMqOMQ0KdHVm4WSbIm4d82zQSN4MWZ7lM6wGtA5aJd8dn0l5jMY9QmsZkgAtR20aAkH30+2snSxEoLkEgZ0ipv96xYFqXznSzeYonQ0pOWDXOBW1qsLS2W/xfq79ZjXhmvunQsaIa/Ec+jOOwK6pxdvpVOJgDNr3bsIECerKL45fiHfRzm00bDwBHGq9ofvdkSDspk6YVhLCs+Es10i6jCJWBJxuX0arO9EvMNh8UOhk+PB6YNigl26VaBQo4TfEhX9pH7aNnhl1Fz+POMCLtE/m+mVnIdmmcZoP2LQJJVYVrvTvynU3266S3C2iXfdoyUoc56E2gIN59b/OrHtitMMkbRyBw7WbohfU0bqsbgXvhFpmdV4onjLbJ9CW0xk5n3VUslorfzSWrR7lyzZaLZuGXljpg909gx8eloN/y/7SzfAXNqPyPkKsyD68sbIR4ZcCwii0obtkscGL4EM3wU/NzVpVVsE2ABiR/TC6+OWsFPzksQOujJBOK2bBVRFITYoJG4LbWTN4o9WZpv3//Sd7ljAwi8emqe5nP6uSxw6zi8gcohyLEJ8deqh5SqPDxrbnOZADuV/XJkbNuLH/Xu1zG/BhTEbDGOPlBIw7y5ZFdBtpYAlDVNC0lQaoPhAq8eIL1gg8fUJIGEkhRk109p3KS7AXUDonNLvRvHQBMGfiTTaFKRshtvaiZZJo1OT2HB44u/TEMz+YueQlbbgMsNcGIJxSmQitFiZd7nbkyyPQW8jfyKQoE8j1vf/HOeN3uYfVVzH6k68kCZHHtJFDpa5Gl8eAIZHc0V5BaWI7+flVzZ0R9fgUwS7MAZqUHphs9cmoAVT8XLdLBTy5+Wtc/uh2uyU7PISb659jWp7h8K4Nrcs91MfExOXYPmowGOa3EEEI+uCU1dXiWh+V09WFRRiBEnhA53MdfI5lGXTshSouPcPP9A/veQC2UFTEhQqzCEY0upWDr5YhJAYaY5rVeLJQ9Q0B9+SxJG0w1yS/QFAxEf8FpiE3LWfeUfFIRUVl13PPDXNOdBA8AXRscAmlxHKjZnv5MEFoBNbZSGbgG6qhxba4YHrYa7un9SE34QzEWqJqq1+Hm0dg52GW6Uy3hdaBe0BtnpBP57+74B+thVcqqV10zhfL5KycQq4EmhPLGImgUyr16n4kSnw7bh4yUZ3BFD6eZZekE65L+YDKmDus02LsS54ma+CtWFVlvl0Z5408km+sMbO1xiIoOSYd3mkb48qC+gMBNc9VhiTArhcDTtZHOBINR8Lwz75CuTSCMKJU7qluACmwRyqRbL/V173p+oN4l1S1uayJdK4RkYHGNz07dvnGQZ+ik4DryfKIuErzchW/qGB05us6qGFcDMMrYqscKIQBq4sGqVViEOmCnKS+rIjo3EGO36DlrVSw31fM5gdnzIS5PAvIIL4/z9W/aExO7Vt+TYmLjkVLKXqMhATuuOFYTqrNEzbZxQe+AP0HboWOIwAVg2GQlpBvhWcVcEJwu7xAQC+KhqFU/AzSzcimwaSY59RgVeGMzJCd0qRWAW4WVSJYZ8UKHrfMgv3sg8ihozqZEKxk+cOHkhzFyYjzDe1RY3X0f6xgBIwpLlwicNgtLBTFR+amXEm6hbg2QxgyJmy5BqKFrTdozEOgOP4Vw9CNOAS0Gl2SwAsZRAyYvCoaEirA1AFDKWBRO1UGMLGy7hs3PQMUedy5e55CQCvaYV00duW6YrqTpbAfZ9AahElQLIGEjDtHA3RTNSocQjw3o2Uw+PhfSG13Y+HqQd41Q/tyH9tG1LMDXSYQJzBBa8zm6FednveXivcJUr8ZXzpF/DxKh8AcVvgckqMHQlpnja8roBgKgR7H7mKI38kKc41SVC+m6AKkLZwIBMWihBP+jwCsvUxXfGRLm9a2TQPlMqYDbmUFb6saMiyF8ReHEfdWG45Tf/IaNuFCkdKsbhgSJtz/unDjG6vxcNqIB2cRmTPB4B/Ytw6W9TLSvTBnosNdim31Uvd3YQ4TY/CApvAL2Yx7cSz897O5IPHTNC0v8c9GYLAMnOR24ETTM5/KZCPcDCpKJ5FA6nLwo95QQ/8OlQ/lZytEvb/aAZBy1LI4uM6QwMKBolG9cDpYOgK2Y8GlGVsOJulk4kqz6kwqwYWPhXud6FqgBIrdhdaVHlptWqCmka0abJWpfNwvGnqHKrLKKtBYBZHUHR2KavfKEgj/W0x2ut2xhmlIBnmAex080QuwAe8+qtAPJFwSCjY1QBUsKO2/+ag2kUXaQ7lxKMexUywUtDAWtFr67W0GyqUWKmfEYkgMAr8iT6vQPmVQzM3g3C9TpqAgTsJHSklLE4YWV2Uzr31AaTKWFlVAjiC4gddcnkIHjhe0yc86rhaId9XjjlcF9nkfN3Tyo/4sTzPbn+MrIZXX5aDU6i9VqxHQNPUD0vZnHqmCjBllbUzfXR9uTP1JRxqXmRxzoGyzf5DDS6AiQLVtTEZWc1K1puKYXQ7DlA08UcgGhrv2R380FwqYyWBFI5sQCQJdgM0/7NqvqhYueK3MGH+OVKndmqQqRieJygw6Q6jnnKA4VWk/1Dqtwabx7ikyGiZtC4iTFSlIJCpKinBaen1FgSOPjgwfy1AvkHF+7DxzXUlExCetE0jj4B0cEiFvQiI/rd4pdr7U2BYVLVTN+o4SvR3KR7s7hYOyd34nCASBEgT1kKmhjV8JU/svUrjUF/kzJU2MDrlf/TMIK6IXDt5IhAnRl32EZkwQI4CndiE+tN7dFLUvtRdzownsU0WDaraV1PZlPRcPpYC6Cx7VrTkARYaKogVuqRfpFA1RleEAumB03KPGLTPHSLMCd3XHyXuT9cNqTIpCPC/FxsD/ILil22wGX67xCp8kZNEZJECzsPVs/JSJyDMuXga+IbioKJJK97Qf1kD97kR7erLdJgAY2fXvcoBg7mCiXSNY+oj6KXcJOx7yf9t41y7u6dmeX1O6o9RWGzwEvtpYeUU+nIEsRbK7xvAUTXDEQjBZJXslLcvC/qvHA515BsqUyf31xG90AIsAiKbWQior2mY29aOwFELkCaVf04daYxZ07PzTa1dwuZv8PGsEHScGANL1GLR8eQZtOKhknYga1YO4y8xsNAZdGw66PI5cn8EQK0rVmVH1faFCgpTETY0nnKpNq/QZmN1wFqt6rnLQTl33EmRJluSjAvLnP9T/czS9G+NIYctpKfDArdjLvJW7XEBWcpacAGNj/0WpaDaOJr5SKBEIqq+YDPAp9ya3B7YxCDVBe55826bQh6aGKs91J0stMO6jHWgVqSd9tYrG7mwF1ck7T+6dc3wEKSbd7L0KebgDGHmqX2Kp8n59EqimxY2jBCK7J2/tGeUsigm2JXdyJkzwNv3UyDf+CPgbwGwTGGi1sTxQm3WmSj/32poKGcKYxgqJaupJJQ5PFdCBFEBQhLFl7kaI5saBhQwLVxgLC0zTfvgdEbizLhyWVsZZVZZiDSlR4AuZx8hZ+Rl9GuxBGgpkxycEkLgxCEPWy1MVLlWxG79oliKK26/hBK65g6kLx6bib3Ax2vABN1mNwIQLGhQBZxr/xkuYKCUer/cOeLDeKRY4gxPqD2SkjS7Si1+MuHp0YZzTmkBGxtd6eY/U09OA5e/pTpRgff2d+XVabQyrwEiRfpFZR/hCfPFwkKnSKW8k9+CB28ym5IqwcIYu0LZ76c9z8Rc44vYvn0W+MCVtjwbMCVbsXm6cGE7xIpP1vDnaWqC/NKdsu7DQx2Wo7HeiCDVaDvD50Y5m4XPsyX59nY+Ywlv9q5eFz7ssNCqoROXnuTR4DilpOh1B2NL42TEEkbHni8pZpCxKnbqQJHnmosMjDfi/NTz2Ux+oLKrUS3KGVwL/alF3A6Xw49SiXWih7+fHcMMOvfBFuS4cXRZe9BMHkBo6qlue4Ia3JOj5k2ffaOzrgQ5jRN9BMeHyAbolStqzSVh1JvP271wr/TDNw1JfPPVcLRBuo2X0hiGWZcNynct/xvNhhVsAxvCAD//iLZc6uzVaaWJIwv2ey+tzzv67ek3M2ZCozYK59csRS2jKlFuBrfXZj7kTImlFXfLEMyepsOl9VgX8qNW+pr7x7aEKWFggJU/WoR7YMXmXvxpFGVXaFqqH7FvbuOYv+T7Y3gcmxq4RTsCAi0TglfKzr3VGwJ2qdAP5OKdLVVfn+OydgkR5pn7Z5jbPz3f+HJMI9SPkCtDjX8iNlCC8Nfrbtvx8/0KPCFSCV9xVbQXuvHJirE6BzavhsbmvC2mX1kiCi76m4xdmbotsggwIzMGUwyhjPFayYkCRF4Iczy2BRsesQZI3rM9Cz9nZucf/mwLNrP6sMZF38XdYZpzZOVXvmyT4iC2C4kiqDbW3yl8dDKAuGs+7xUi0SwztdGSaVxNZpdEHabBEOTbCHdAur6AGT7euj3n9MhJeW5poS2PHCT2pAzeIuuOIzWwSM3jd1xcbgkLAS7xcwoT7ehD4ROnaz/TvFsN09tCkYmI20/u2j2gktXrlAyAnFWWwiT1x2aNb76pi8pdestIldBq3Qv3KLrWmDswHdmR23ZM1E55KPsGIheXxVHEVnBSIwErTHRRbGhtBZt4Df/PGaZ2Ks8oYQ+NJI8AggIJ+xRzYvlUSqqlJzV8bN70TPkV0Hdqm59rqhctjOQ1FI3YCRVK7Qjyl93uC2Te7mF1tlAdUr13k38P7VJo/2GgqArhSZawYAxg30AmimZ2qirmKIJNacA/mNPWny0iW5Qnjg/cKqh9RLx4eXkxyE8Z8WlFr2mPpPYArQYSaAC8N4EKXzjWKQjGcAkHob3IwK3DX6qMl5ZG1GVFzAEtKEK8esyyR22OjUvKnCj8y2f65OCTKwPywZBSUFv0ynzomjV67EuQBKBIqGMih6HemNh7YVDU+54FXmtM7rvOqsiwB0mchNpbnllfdtFquEUvnwH+zquMTRncwHMOVNduPSIJ6xtAcmq8H72PQj/LCppaq8aZNPXi2x65A0DkoRpgiWYcDOCBY9oCvVWW1TS+bk7BezZjibZre9+XVEQJNSWzzm/0BWfLlMS1t5fiaxdwnDpUhGhjY9uMSEMTknHmV3oi2dJa/LJHgQN24bkLnlPhfdUEdjU23U1IHpd/Qw3Merg9rf1nz+cq76igAQOrs19iqSizlEPiDFdZpWEPKQpiRJlc4JFgLQIQiMFQ8y8u6FBAE1k9if1N17rPhmDoRBW4ZFXhlw0A+33nG9+m1UfBv9fLZ+JOB/Ces/FVJYe7Ua4uTmiuGh6y1y5Q7d1IuMo4rvllyNfQQGeXMnkjFFop4rg7JinbuZHa9sZHOXkG5RcnC0W+mSlG7pHUOOp/2LWxw2HPfN+lX3D1eOqDDIrYryaIGD+Q7gc5gXW629zimRCK1to1Emebngnj5K037OSBnGGwxLlBtwZvzslW+LYNrsLZrlhJaPlOL3ElbYBXic3E0ndouSy0lhU0iXkQQla+wbDe9tviEMwpogMqlJ7KLJ1TK3giOB7mwdpMN3Qs474lIb1QAa3SeCw2FnDkCP4PEVg3nnneAL2P2+YFAfLSm9IHTvVeAjCFK+0xSq1wF2f/nU3crQdkhjFIeIxhydRjOwTa+5iD4St1jwj0jjom66Nee6L5uOSOR3sOQHcY1QQdPg7Keo3Ul4mVedkeU/KcYaOPe2fUvhutGF5Eq9YE5XT2vsm0eUnWXzz3oexfQrRKTNlwn5WJijW02YSQQm272RI1TT6GLeqmXyI+Z2LHlN1bfs93EKRXhsHXAxSidJra4VwSWuU1tCgU3zDaA/u7IVe4zjJaUBG/0otUU4yexXPtJ9J2WVkvRBg9APipugAU+h0+rMtAPmPBOQQQKi34mbFIxxFkUqSeLioRjxSw3pQbJ0EoU2ETXI0bCQEkwdOb/liXB0diXWzUbG66LDjc4vXS9NyoEACjx/dcCQUA4To1xRapVkdkob9H0d+8eID6uSAlDnsBU/59gUzEVYx/0rGjmAfCX5cYVbHKh+H5TikO9WPIXIohnqvY1skAfTENDY4Roo/a2TqsvpObHJnygIdymUyD62R2rM9Chhk+CzrOmirAVBMkQYwDxx5PaH7kuH/9BwixUOFjmisnVxv7M5Q6m6PxC5FrybUWTaNnYBw46ZnDV6sX1bkaiwIAHhKgHBeV/Q8EV0yWllMNnb6YHTpznRI09PI0xbeXF/42lgI/vv4jjyp8Tp/CUrcysJ36UQdgBNhA0w3L6mkszkwQWaSO6r9PmL778hxojXVQMh4+unei+gmZZFpsmQftYaXFvkZfFjE+01PI2nVad7+yOdm0uBcr+fZh3pfD+yRMlIOAMO2zn27sUx02K2F116edyHdsjI0T4bbTQJpLv/aK6H+rkiY5xLy01x4QU5Ej+FRre3CLVk+cxgFwP25QxO3/Y66xD32xOc1Tg2ABDq0UImZpQwMda0egsMWys6PjTUS3PXbEXxbvwe6rKUiuHqyvGNSZYL8eHMxA3pfkM0+BZvEkwTFPoXKMuTA49g4pJIp8g1hCNUdrX1LVudxToML6mWXVTKx/wJIZ62RrM+wpBHjITZd/N4VCfcBpgo+TtS+Uu5cOM8ODtj/Y4LHoetPhhqz6SBUXOXrzPz97B2S1ineLAQSHBAzjHpx6LzMfA/Wt5317uaERCUW0Q4Jrpae5dGBmhLa8ikBnszt2/fdir0ifIH5COOZ1Bzp4QgBuyWKw3Kjtl8ypKaZHe37KY9vOiKaozu2dmaDAyADPfJmFUZu9ZroqPQsL5TAg2SGbK5J/gLwZaxl3Or6Mq4bDYJfMkOS8jatpXD0rvXHScoNh1IhD3EJ/e9AGyvMlRX2Y4iXeZif5cDhaoHX8DTZAwxyQhbBEJFtxwEBfnCB9lSQceDvjmxVuvGIGyiM2E+PxxAh5PjnV5I9Ntv2/P+WmTrTDRL+QtVFzycGk//iiONG7ooTgbj3JHX0BsVoG0rdLOJT1IEkjtTBuipisNRf4LMk3oqQ1Vn6zidezGASgitE2zM3cyg3+yC3L+dcI6myXXRObkB++NvH40WdyMAEgceEabwck4rk2NW8CkODYSoHy1If3cgmm9/igjPRJ7xx5hrW5No/toAhO0g3MzCUJcOsVFjCpNYzma7BC6olY7D+0UWhnxSb4YBLAeSXcOb/IuE0rcy1B7mlGDx49+klvv3lGL6+LH5Nx5V2vX1v8e/GmsP+Z+JlAKkI6Iovtyud/SBN7lPMKOTxRCK8f5KQKpNStvgU6LCRTI1B/ZXRl0cOztoAfiAce8OHNr3dHgsJ2+5qfweZjTpa770v6CflwO2crZYGIAjN4cC/tqUhdA+W2evRUoWug7b+2HnoNswzxwpABHMqUpbWGYwLftxH9hXheuMGLMm4ozRfMkZ1ZEWx5rkc2jOos9lyp7j+kDBVyZsjL5qQy+pzFU/MtfiNbrVRZRb5Ht5CrklaqczRxc8WIUmB/QMvenMuKpcXCmv7pw4hOzN2nUtZbIVBEnJlBTvY2PvtiRChCU828QNm/Gk/zQcN58bEOaHBlPYanJPH8T5oJkHcUngml4JgBBPLXvoC/oqy6ZWJvsM2YZ+LC2KaZYKI27uBIHUMom8jiUDX6Eiv+H/Jldv2mmFBnCESHv3lCbKXwQmSZkTgKyPkGlPk3sNgwtA5CnUnzHKUw4XD4G4PllaDY/n39DqpKik1BKLfsU+61sSZt2vh3noPgKDWJYruT3ABezAWwwfFUhxuZsWr4g4JpKFLijh0AUIEBW7ec8msfQLn+s0sTPNDjXJE6m+cNBP/bKGFIB2xTDY+yfrvoK2np4s9pW6wjjswTHCcm829vN86/p9D7JhLrIiKWEgLkAUieuMG6rEf0T1EWd/awlwq041xHyqL7zPKnRrw2aeqy9xEm2UwDdTDAMn8VFRxjhPwrCyqhUYtWxObjZipHJmAkGQZIdzZIWGljTIGrwt9KGY3gV56rYBLl6EgRU4P1cvpYAQr0GzBzDvYkC+QIVPJzNXUOnaNNELF+9DYTySmwYSo90UBMEc37116n9Jak/PLdRP+FCsszwEc9B+FjNycIpYRvzmjgyRrqdCRDwgxYyY0himzS4fS2kze+HUkbteusJDNP1mXiWGBVQ9OfBT0aWsUZtGSrg58nFv2BkTcrr901m6SwFDr+GfVjXC4rtJu7D70qKr8w7ZOzw9hDPxqgCVcHMI7J6yhBAI4rI28rMZ7n0UNOi/43VrLoP/DfY0KSjNJ23EjJ1AU/2xLUTl+8Zb33YUlCW/7euvL0DezuVzU3tSiiWNmULWPWcNxpZYnhaZ+2iI4e4mLGy+gTDGChIMWgbp5PwYvX+WsQOPQhccLO3xmgLeImRWJOCvPaCaj4JTSYRSDkU16HSnVPosen6YteklzH19dmXfr98YAMd7g8ZznURyfR17flKPqkikskDH7SEXWiSYKzke4qWNCsrc7QT62ZsH0+ey12ctMvRQsKxWp/sL9CtVl6Q5ot/eC0pPqblJD9bsbkVtUVu7lH7oixD8U6Ge0G7S3mAmylT1VzVIGuIQMCZcQTrTN6wk82ubMxp6vemk1BeQoahk+iJdLsRV62kNvM6lbGJXFblYC3uyvePonWWMRTy2YHrDG8i2NoCnRBkLG6IIVTCj579f9iHaCAZkurbDS95krKgf5+aOPcpArI0zPE4D8LUDNSiNgBoIqhAAgjBWSibe2KZmcdCu9S5/RR3PiT0tRx4zysfRxFW0NVt1K4DWA81gWg+ixs6R2D8j7ECbl4kNp5oANOh49lRplzbnRQ5YbSuwz/o9JG70HbQBXTqdMIKgZQqCOb+fwh3qgbg+FygGfIjDGUECVeymCKtHyd3PQQJ1Oj5NbtF22QgT1fbE+nWqIyUX8ArDQA+evqcFTgk6FYK5Ph/iRc5PgKrsQDzFZImcT8KMcVFxZuAM/aqCaHoFBqCuVY1RLUvJ6MSo6lhivVfmUEOsD3TVbbngZVfGAlmhC4OvICgTB7HkW4/SI/NWeq9u2R8fE2jthvRzj0re7jxcC1gOLcNA/e7Tk9v/jqxaZiCujyzqo2iaiDmpImB6Eqy9NuU2mCtqMQIE4myoK5Hl5TDrBEYobh3+WaiIRZGEXkWVRVKIpGDxWE++epIGBPd0a7wx5PWyFl2sCwg1FWiyzdn4Lr74GlhnIgtl46equDoeHx9BhbWuZ4EEcPeZ3Dao2aiCb1xY5OnWeixQMEios6nnkPcPMhoG5Yo604ufLYfgN557+63ttH3P4tvKMn8S7FPE5DbKCaCCtnHx3YVuAUoMUaSyTQOzz9BpSSlHWof8hfakfbnJQIOIBBLPZTnZa/oDixXjclZJldObyrMx90k/7K2ubM2+XoIQvGM+Suc8j/me7NlyqRVIOAAUULt3t2dqyIgwYljHJBeXC0V7W5Ch6EoT2u1p4z3O3P/ddfKGY7TSt51t/SH+WfbpCvhtG9WUdNUSJo4hrjPdKgILARiGCZPfzdDZgT6wJLx4XU25UYXsT2y3Nv4NJyHZ0ZfRASsWsApveTcFbLDrSczHrItQwDeTRvY2IEow5YZUfAw4tOSWQMXzzzyJ3t+q7TOTdfHN5RmfMPEyS7Fmx71LRz99R0HPF31CZ6gSPG0fnMghtRGG5UMaJEL7qfTmE0Ri1zFmC8+nXFhdo+sga7ax2/JLgFNHFZI5qBVgglDK2yApDd7kuVNsDhjQn1tr0uVRsRN+C7QHlQGxZURiaFmVYWrp3BFR89zU40RiKAJJbwmicbsScNiyck40bAP4I19zhWzObAuX+BUYJ2LzEgCSO3mY3Y94ABxif/V4dP8ijlWq7fwjWaP4ZPAXjQF7yzTiwVxEN2bjGNnVeGPjXsu4xyImzwnI8CiCvV8xBqrT4/5VQ4cPcE3p6vewMSHre4J89CI3wV5qG+R4Z5CG7maNHqXaZwsgoYIFkE0Pchax5Fy9mQCgHhQk8lpJ6mgP2nBp/4OBJZceN0s1Eb209GJrZSmJOMoGRcr6jE2wKMghyxzrLKvfVoshLp2h8rZP+Cd6B+6ydbHSH3RpXzDY7+GnGxU73GwqixSZnx+SljoI6XKEYAG4YbnjK/RjjN9/c9crSZvM3bROiS/0wfHhxG5zDeTQg/6i4/nhBFel6znuQH/fNrCMN9e+pzl1mOkCMvCkMopvcLkG2iUSx5DoVwYoVnYB351//zpNUpbGAJ0tQre2nzttkKKtRZdyeBXzDJkjDWmAhPF8A28JZN3RDnlMWJ4yGlwE3AHg+NmEHOXFp5KvVK6vaUjbMByKMozRrCgjI7okUMGjZr1PTOTS1AsEDURhxGDcxzl/108ktjYLfd7eDCQrHvHRV0oAAgctNx9BzQzo6DXhMF9XXy98VR6ZI/mrHEhciy4Rl2HdZO1ds0JW7HAGkMnPMYOvPq2zhyrqm9yYBTkXcshS6aU1OdLmlIcaHtgryQzz6QW3M9foNceAdX8OkpybgQBPH9ETTLMzlLjLMKx0gHTAGft7jn+MqRO5kRfLpdzIn388oFuFL3z7VnwMr+j1tag0SgM2fQo3Y1JEibyOVTUB9qEvWM3v4geG9pPTRGl2PRlaePELFK7bUkDbL51DK1angxVpgFMTvOkeCxem5fvjEXXWmytRlJDMgJwu2hQwtVTe3V4sJ/NMOmvmPXAdAMQ2hBYKd5TOfj19gnoHxoZNc5oQrKa0fWuRwpx/80ZkP21fmFdEoaDt2WKCDu6w6up5n5/qQs3zcua3J8CwWHGfj9HnBUXdZwTMlYpnVNi+LRNd6WAd4IQg/pdZ/0ziY9zD6Q4CrXcjkOlYe2gFCDA2KwMUnRCrvBMPnfKqBbFA/5yMWqgjS9PF3oEiX7DAP7d7jZD0Z/OsW1BO75wt6HAEHJmWmZXu2gQjlROxizi1/bEAFy7W3mZlFVWengfpvWnTlQh2OSiono5fhOvvmSrUQD8hiDTUJURJHMnSwbOf76pKyw+bwsFYKngi81h2Tr8xFCyZoBqnFlQyjiKoUcpY+BNQKtG59IduwAY3Svqu2Mv3YZrwC2ThmSqa/hegPUb7RzmDcK0dZxS+Riz7MNmqPG61wrAcaFn3JUTL9Q+T7bAe9iwVA4Cb7rEjGwtE4Sz1EGrM35CspOTIZW9C9cyfOjjVXhkdtv02sQDCAtebqBMRGCmrpPP8xg5AmbV8AZqWPzQLh+gedeNcG+Xh6nIlaMBVveYedFDzIMsOtDPJCSeRhimBGTZaRJJs1k4EgtCtGx9qN1jDegSiQFcIF5BwRtHBPj9pIiNILC8gMOjseLr/glL69hWvmGQo7ycYvzDfsvYo73g5QSocF3yS/tqj7luO2GOlywIcPvWv6RM3xgMyqqB4oE8TmsJdoarqpgYDlxEUKNijbaFGVJgvKOR5EULCB9gNP5lxfzJbCgwXmDi3hOAm75Z0qYsjidYq2UxOpdhVGIadD3gzSW42weBc/pkzwWRZj42o7NVv/RENajTxWvQAHadOh7Sqqp5YNkX3x3T9DfcZuJsMbua0/pBUCUMGTDZentR5jdGG+yi1g03uGmTs5EyxrFVE4crDfCFCXdGg78cY5MYvMHY8gBbVD/m4tUzVIdwbFQAM/bMEkNUs8zYJYEED6mazvrW4HcS4XLqMpr/6dpowLGW4SyDmH13g1U91YMEdX9AjWXJs9xZ0JkbWQJuBka3v6gDDy+skm6lNYWRxoQqYJUyV6A4PEFmsfb1PvkGhBw0PiUJajpxINNwAUGrIb6gq0cexvW4YpoFa4YWaSqBnb8a+M+eRRM+yirGwzfQKsICC+XNXZM169BZZx1+5diAjs0SoVj1qG6g/sOm4Hu58W7SK+nWp40wCZqXz1kRC5Tk6aDvx1dIhOAKd28ZO434fipM46v5KK2vW5lM5Gg5Bc/4ZsvQ0qpw25sqKqkeAMloAsDkKIe0F+CdSMZCc00hceJc1Qe6mcaM+MnX4nRk26rwyUN+Wsn9Dk/azoBYf295drj41AO5+pYestNhK4XfGQ/9v24uM0s22DZIU1nSt1uHXor1dHWA9H5eAKmK0kCPJjH+zEwnFHNApsp0i/TczRIPn4CKSCA+AgDA3SBdR3f2hl0l5FrhSQkN842cBxiv6rHEatJqvHVa8gWqGl9KHiXLnLWmuNJdymP0U0ECMsru3nZ9r9JI0lgngqYXF2IQtXQW3lvHtCQS6z2Vre1DFY6hydGqn+Nm0s6a3PSUn6MqTf8op+XMui0yDAKQ3HpDluRYHfWo6rmmHuXZ5d8WYqV4rZhWLy6OK44UxdJogEdDs1sxoJSJhimFyuT2Ilh0f670otguBIwB+bbEN2YKZM8fIaMzzoEaFnK0UtH/AcWLjyLheKrz1uJgQqI5wOF1oOkw5ScBBib0B/9Fks2BcA8fMJrp7W2M9reyn8vQ0Q4zl730fWnIYwEl1gJut5wxn/KeguiP5EiMszrDPVA+nTQa64QlKCMDLDXJjhciT4StUQnCgo7VJgVykQO37j5jwR29XqypdB5ZlELzTh0xHUxGvkxveATl1443whYYK1oVzZQJtdBtQwxKuhqSuoOGXJUnRGmS8u6PdRl+tlMnmqX9cjLgxWRo0fBeLNpyk4iHWElycjSvRkfVWuz6KEnoyrJadvMkSrT3+Y/HXrWWxy/DG1I5KHYK7AbhEhDAXPYho1dQCCrEz5Pd3jKd384Ak/0L2skAvhMYHzUyeKGC/AZX3v18eEIeZu4E0a0QbAFxCNMbyissKiOB4NqQr7hgmsAQGHc2g1I75LWkHUVNSLCCYof5AzwhY0KMeqVRdbq19C8MetSHByAv+AeNQ23hVSg/SNzDF+oMpDuVG0kFPxWcxSu85BRSozqDVMMYcTBa4y69BLR+/8gk7XwisfO/cczZXa/PJqn8fVKw5LSdwA1fpZv15rvxbWzeVvZoVFCQrTFnUMNWHL0HJYqcH/cvlmHvvzzQPpoz2wpAvkqA0RWNOUz6pXXQADCBW+Fl8340784RqMCfcMaXyEUfeDr42DK7/vOvJmIpcvVdESMlF0glLB32kqKfEmCIuFqiZ16l+xlsIl2aD0EEwQiKGxc5+VdeJvIpZGs7NgVQuhBBEXBnuaxetd1O7io68lhMYyFm45mqu9qY90CuFhPrbqL0RDbdqJMWXrhwOE+hFr1PGqn7e/efQFBaOUw/081uGI9H1rDI8Sgfm41oLT9PdjqlJUv/maD0IEJmwCY45Pg2r6+KlVr4ey8aAo9wSDg9GMhcAQoz8H5sa9H5hb11Ovx4cQLxX6d+kEm0erKIIHIdXjqYpppdrEjSutoQ0TLQ1VmZ1b25NRipcFupIzZfzVXD1h0UpYGouy5KgbSLbWAXHOAlhZjfkymGQ1ijtTyUr/ojJWAevPpNUg2NNAZ63aHn0sGGGEW4TvgbxZjbqhaOhfeRqQXXywWs77YlyTKwANEb0yAReUpR1WgcxP3TaZ2eNewj1v9A8ad8+VdCZd3yDemDW8skcWWy0qpFslcsJ1goV5SZ/3hFTuOuTvj9hSr/EYSKJeQbhAxag0IqNuVSucOHqOTCxxa5DVZJU6y1+u4Ija32xonlSna8A+lZhnRY983QZ65aO/Uz6e59VPzcd+unJdSYkx3ynYqRNsbu29kBH28V25rnxKzIVXwroxgFfAOUPAVc9rrD4Mc67FmWp9QF8o9qDnxxQu8MYALF6mE6+RnA+1nwrJ2gGcyMMooRkZwUHF0ax0El5iFZ7EWwdetg0IUo8OKaBkDzpA2OaXliLTURoLS5btreOooA2WlwgXJPINMkWewYWasp45ljTRu3i/uAalCL2xhtuSTozGeINTttEAwelWHi4Eu38Q+kCxcDprfLdyHlFE4UQWbxNo88zRqwL0ELELYz94RGEH7KkhhqWW4M37ftA4Ll9j/W+ElWeXN4LUzJEdPKEl3sBdqcO2aDHimMCfUbnB9NYtAP2xjSTK/8F5qmiswsJNoH2R6OVAfRD+n88XbpPmZUj8DtukmxS7AhZKVqiHtEUkGdLCCwhsrn+qV9MV7JuxgynTkWsVFqBwpPDY6WfRsEZKSJOhV3hhchtKzALJZhieIr7eti+PwdJFQFrkBdqFR+A6Ig13ZSTAXa6Uo0Ce9zIJeJbDWliFDFz0ZT38EJpW1xkzSwliGo4/MSVQ/HRmCxTe5l3oxmoOkC414ZLABiKL6/omKD54S6Zk4oq0ARNIyEW5/EZJO2TccR0Wyc0Azl2Fgnw0BU0AqGS1DmSFsA2dlk8GWx0jKu5ue311bIWLJdvG4c4Bd8uoIwp/7x5aDDEY/ZioQDHIcRtp/csPqBujf9gAhWo/dpdyIOjQpx6yuDOyJJWuwlGRUB7RlXI+EB2oTgMUPGF4hSyiVWTrgA04cjvqm4rEt5a8PsFe2vlmICeJk8H5jYJpqTZaT1S5+XkYiouL9kRBpFGzpADYYYW9hCof8XvSoePXQ9id2ncYMlixMcEqqEIoImgEq7te0UfPfNeVCj0tqJY5+LNPCm3ptTkECjlYxc0Sncps/B7liSfRWA8s87R0YQ1ufUHmIJwg0mnUQyRd3hrEK7tXcHM5VNshjA//BhvhQDds3b08GvBXkXq3wOrpL2YNTPo87tdCX2fNL42ujqhxq3THBBgXkDjDzb6TLmsNCMv9tBjZFuU4sdtyUyQYSFuK6UZiwFjbiswRVjnDMOtQ89Dmn/5CgB6Jv/2AA8v5XAOl3puZkMR1zFwzhgAmA9sTzoA2ALbDHlSSmBvCpEVcsQccKMQIU1Lh359GR+fRK8VuAcztZBE/qBDfdA1W1vuZse8CySx3AYPyW2BFgAsR4DrnbE2MVlBK61lZMEkZBhcMYJVsmHami/U/5Z8h0ogpgBrGCFBxKFaNRcrl18zD6tYfluLhnI6GgsnSjsiUtEo5Oo6uu3BW5rif2ngx9ZRty51WYSQlNv3CvfH+nnl7j28wja8fwIIgWx0xZWBCvUiIl9tikjhlKsXmC8+Qo1cptF/3yw52vZLl94ALi9YTCYb+ch1o9wVjQyGvUTAY+cmJRB74DdQUM/r0AyWBUurD5Dt/LV770tXGzROayzdcrst9fP5d6lN0awuyTZb3kpdHmIppNIfqIwacjVoJDtCmR01EESkJ0dvwShCGm/UgJ8ETiyblJC97ORtIrCI5GgVatac2hRlo6+QAs56dRo9NUv45KqTrZa4IcKY5h1tPNk6nD+8YAs9PPJoJoIahOSogGiv7hbsu/7IWEWxVkouVbDTdMru22Q+GEbqj67/raf0ShWFh4UejKWY6rH3wMZhOoEurNZdwoaddLjattEwANx4wLOkLkC3QKamWdaGEewRE+5OQ/pz2ZqN8T6OtYuUGTnrHPaUXs6fC/FNcfAZWiPsONqWAF2gCHPCsYTqZRSWvCsPNMtZLfPcs4TRUNPtbZaoRV74ilh7rmUFiBxYUYovVM5yM+fsNHdjNXZipSFUpQXEbEa1phnwdgCP+e/5hFu/itJkJ5vo1Ql5mw7a3EB1m2c//j7E9hhsvnVi9fdswDAP8W4vqaArug+JjMO6s7EpHg4pxuWJqiYT63gPQD5YOAQI3LjGwRh0JcMIpYGKweinFYPXCfMqgIwmUop56q62k1E3I0j1TxU+j3yAn+mgKnuQxxYO8UG99KGEFbZMIUhN3XiqzpJeNfsLlAZEgt2EtVRvyt6e9tCIg9KsYA811xTeM5Fqa+GdDvALLWpxixyRHZSJtDnvZITevb0YdRc6+9gWmjUZYulIRev35TE300vo4tPbjcD6vG2Btlj9/Dw0xba9gv5teLFxPhYVlp2sGSgcll9Bdlh5qF4MYpthCyLCBqTqvjrgaUEBl2h5SayyL1hy+q7jUmYduaImZnj6LROlp0TLZyQs+4YEFjxzqK5FKWi+QABsYX1FWPMLTxz67qYE4rkS6KuY50UFtth+IE6ASvm0FjHq8fxfQuaSJpvaVu/85MeHyBaTeeOCze1AMqfcYg+/wgHZPY2Gz75laVkN756NNUtW7ap8rh9oT0CQ8CNjQ9GjJFXr9FKbTsSDLb/mCYFrJQseMrETzzvbeqbcKePkfAHci1KiQd1iKzpy34Ft9VxhHyznlxR1NLEv5A45NnjVDCUE1GyRgPOGUE3O7TKtsxDB3mV55C1er2x53Ss7DRaclkyE+ywTuIY6MW0QaiKc4kvpvck98COG3bEQL+uDnJdzVMWfnBWSOReVLowenJFKtdCU6Pm6HTNgiYh8+7K0/CuxqC7P2WNFU14q66dhp9ZENpkB/2gdxBJPl5eWm498NhYGsv6coSiBTTSR7Ytwjk6SnJOlFNglRXhh4tjFKLFKkbLoBO4zYhHWMvr9i5gI8uMo7S39/n2CSOKEGYFtegFwcurlKbpRXtT+Nb0cWt8qnAaOGtrS+CF8aK23V6VujFrso7fps7XVsku4UyXeoENj4K+wUc+tQWEUEjnQ0jixPfZmHqAwt1k+jjCgPShNS2Uqm182H9FmfuT+whTyBPWXzHwUoxxJryw1NA1swEDLsjkGd6vbkgP7eZZCAVQpnMSrERUHd/BwrclUgxN1SDKxYitFsM836vpuEryp4UKQgq0klbwcd1n6komcKCa9cH0fcZoufp02g+2YvM9SNWvFck6wfjIwpKt/9u8eo5jZMRj08IXb9z9ERwj6/+Mdgu5dyHSLCmE4XELUdITj5J0rr3VPqF+pg0lcz05xMv1RnkC2iGcLz0IN6oZhG4Aiz7MOtUCFfdyj/hcYEnT+qOO+BJvvuLj/YeM2PSogM9ON4rk5HGWwKKsJITSiI6cX08TII0XiS74l4iNy4zb1yuNeudkjET7HI47BQYHqPrTUYyoW1RnnSvwY1rE5CzI9Jtdr0dp7X50cB8CffV7QAVCOTrOE9O+97SccMrHyhUjM1RG5c0oWEseK3+0QhBB7LWiigGwvnBHXogkNNMMAx2wlHKbi4XjYv7Z3K18tbUTVtwwUASE1S60pnggVCCSKVWDIzulZKCC1SrDSYEQoAaYzvCo4Fh6gunx2YkunIDHzuHMNUbIydsc8IePRrfqcdv6HJYpHDzAIRZCGIPJQK36Lf92HyulIaTRNhkY67x86pb3Ao1Hb4wNKbc4eYVUv7MIHR6Mg/j0S2o9+0lpi/gyphGfWe3nhTOEVZGdiGuRIkpRXaPE5hcrbutAeWD8yR1HEFM2A7SSoxWxgSoQTP2TX3qYymQ90JJLalfWyyIPrXhxCBsskd06nHnRF6N4auDwmzMsGEGGzc70MeBwhS34VvHgktJe7rwPIgpuPoDg/p9nNgdM2YEHMRtwSSi57bZS24s6TFrO7w6huczKIBsoGp5Wa8Gc4azEKCbX9Z0irJNUjRdDJ+psThioXY6ZRzJEavy2Ppzf0yJWl6KE2P62C+ca3hiWlD7O5kBdQznj5vywSB1UCkOSGzvyX6dCQPoGkBYPFqFE+xiAaqfkpT98yIVB5m40X/sc5/qULS5cEptpaIR5mBKICJB7OXJO0PPbfUc3JUgf/bmEuZkahovBrkmGsd33PBtlN9wtdfk2Z/m6pv1XJwWkWEVbi4D5pcQPWu5ORDPQx8fQl2W4wna96ae1/kai+sK3gAKykSM0ib8zrbVu905HFczluu7glieh8TLFO4JyNrEBtaEae4/4ILD2iO9OQFwadVYgH1JKpaf8heio1xVSSuJ8lX6i8AfqbZ1jhYvLidYfbZ/1digoIXqfGrUQqDtZ0rHYh5Y2NCK8iaBwy1NBlaHDtQIntUauRr3JEhZV1/Lfu2WJ1k9zvxNXp3MBrONJW6a+y+/8vzYqzE7ZMByTCxihv2cfsjAlUvY5P1Xb5W3P/cRSl31+PsgM49h6wXGHixD9mUfaO2b/0Q5ibL8hXEq/9VHW+jG7jVH0Vno9gNbY6EAs0k2j7rgm1tCbYT8z3E7Jbt1nDJgT+AC+72q6v496JbDsDanSjTnwb5Fv2LHI6UW4d6vnXdC2ObFlI2ojQ1DSL64jm8fxrhpJiTAmb7qayTttuJRXArA3RP8++mM5aqxeODOVDL/9Hz9Z5y7SAqBKPrZQkcrZ/QqdFN7pMdAdUOCEEAn+bgxP2m2J1vo8SZTSufNR101D/xG54EgtNN4Ae+aIuWqycE61tMOa7K5g54oGwgsTN6rpw5iQmwlrMFuib6kbBU4wioGN86qLDJqp+1bqUroc30LAgKyF2N8snQb9nwyFXOcWzVxbXd4I1rlCiWnrLMLusUBQ7yBpwdDHki5GWQwwxmMA0VP0QfHaQ5o+TakQDYb+0af+8FKPtf96vE1TnWQNldaq4CeNysToKwYU2hkZBA1WqN88lO38BaBBNzyDwiU10vGOi7Z1Rb18wX7Z7IdnSM8vY+5oAigr9ukuvYGiIVCWff4P+hh46Ty0kmt2ZGXk3KQpsmYVA3ZtAXysD59oE5+spFlSxh5gmL8P/B2cryNw4t2FMNJl0k9ey3+0t8Zfrk8xGrLQZAUi9Lk8g6jP2CIn+U+exuzczsPCKL3YTRw6AfuAbOmtI4B/XDCGiz0glPUEgQddAc/txN5V1selofPc1xS4ujiyNWNHIyvk/xhh+oaALw7eCvFdmLAUWUClbOb1QPrDakjjo1xNuWddKt1Axw7IoyMcPPSaYLm1GgggxCOhYRYL1XFTwnvlgVZfqKC1VRBwYZuZOdK3gKohvGwvtcRfiIbAPkHpbaRDL9eoDEDEMYeyGcYRPKxsWo9MBCZQCZOF9amyr8YhQDqupOQ7FYKGp0jNxlSMtyB7NaKkPCY8d0SheiI/MERn3CzNV0QNrz5W8Xkor1CTycoX6FOM/xLO7rq2yIbsT18Qb0egHIwVptBRtaN023lb28pqQwi7GvTKpGkzKGes/ZmnhqEn/o+LMzU36/ih0YwKCNFWBnofmiQlR/rAGjcpJPj/JPodyn8jDA1VWDUW/CYjsEYKezFmMKYNmeM2sQ9Pi+0eNqoOZMib6zLHs8zW1tDj1NVI619uElT0g2b03SkMhH7j91UGy5+aD434whvx9rzrX4dfIuSM78kX+2j1Y+6RdltHChtQD9OqWxczHQ1uTmdZLwm4IXtPjcNyJDcCPRspRHHLdMeDNYAK7/MGhv/6q3LT691SLrqOkrXRAY5b8SgWSffGGPw0S1NeTNQbsbMZMMWy+ZnLQ8wwS3gTWuLsDbIMGdeDfkrudMYrey0kT5zM4I5UGRHhoA3PatCA1JWbuwbU/WF2ZU6WNjvXb+ZShx5HicyzcYc6gLjE2eovJbnTCJppRNwmPFFbBeeH5fCDkoD58nZ4epAIGJcn7EPAKHxfTNCZBLxrY9sd/TQxrb8ziytlsFIaafKLSIYSgbYuY6o7hiwTX45ISfziB3hgiHukquqyDVqcb4FnOoYHX6DvGnMYYYDzCpP1fGz1z63FUS/5rujBGNGotpFX2tfWFOAhs/CI2dN1SSNebpVgw3wa7MG49ANBjng7po1f4PcUvOnlwfaqdu22ix7bRZMRIEFB0y8iqQ6Vh4i1kA0o1s5tkmUgrBJER9mL8prOs2L9Gd4O33AWIvp7V5KpfR7l0P0cA/TIPkkYt5RVv6cb3isgJpIwuIQoazoRSKDjKmvSLniP42vpGNbY4ybiIKi5I9zeysRIQkavdSp2AZcYGKhRj38I0FuFR2ZHutqf2C1f0Y0Y1OqmPRLGmbzEmAvkI2GnjsPet32PqxAOJChuAgrSN6uuGF/U7r2wI2fgGjiRlmnq3od8xgRXuW2uA5usSZPELGpxdfkeaCc+deYDVsejGKNzeerAQvf/O3VgCErLditiEu/V9utVHiEbSZoB6keIPGGoJe2AhrjfyMNytIjEdl77IG0pwxZuRd1tjqOhmHsj2DL43HjnylVHQ4XcXoEPRd/nJ5UvQGdBJD13AajvE+10yCk0QBYkAoM16CK1Bgz8Jm7ALi0jd/xtEy1LKfhWjaFvGqtlWnng+sypES0x/JERk9WA54hmSgA5CjUHo1c/Jf4DH3eH0GIgGQeX7wd4nPeoxOtt3TFoP4ZDmUXMsYsOXlwvI31SEnQJEcmHMVf33o3jbCdeyzL2gqtPmtwq3r2bAnACAjB/ZhdbtnEbt5e73T4TzwnljPEKuMLVb8fDxCWZ4ePeyJdgOVegqeBlmLbt1c2dnzcVBLOehjOmrS631ap+44sFpxyzB/Tq73EP6aZ4CWjKJm5Y2tha7i/teznf5p3MZ+FwePeLtwlXs5ZDxfxOHiqJflFNVjNi6f8XOVYTroBs2ObLtirfiyLwFvllchux2a3FzcZnDte0Ge1XQ3DX4wvLy4NTr5yoi681c2TIb5R7TRVLOZXYxxhOnzgf53QAoDQ/ZNACuoYJSOAnvsf5w2iF1JPU77XB1+yDFwLyT//LdFFkT453LU3BQZUKaopHKAcgNIXcIskNZRyn653Iu9+OkeLUqg5AQ0BrRktzs8l4DWjO6CU+Bwl3/t7FffaBLljOBeHNa0s6dS2Sh/v//kNBT8TriW5mLkIpCSaYwZPcLRcfGzFkGWdqYUNJLdng6dllk6XOVZEsiJDxv/wC32bfomR5pvq48sNbBSWZLv0kCnDH5R2eJAlassMd5bVHqyyHDVvNBHTKaIeD3SoxBxieCKvV8JiOnCYOO0fkL9PqqaNq/c3VKh+OVDR4xjFwPMC0+g4HXZ5Iub9WNyViOnfDDF11gokVl6Bpya02poq6P13fDgbhG2E39Gr+GGFDy/QWo9GkXBgp7oJckXQqBOe94kcJI0L/VJh3pERbKGWwR5NRJZY4qUjMpPkpxHGPB9L+4dRlL61cmGyZFDCzG7dDviVXYyKwWDUcrAqzC/pE+uIK3eMtNBWv28U85W1I2SYS2vYEVDK5cHO3gIFTbkTVHTizrBP84gWT5bHkyy8Y1BOev4KO5Gr7YbIkaaGb+0BCXNVyJBfbFkiE0FvRM029uEBR/lqj8cf8pCEFyENf+9BzcUP272MZVArR+j5gVFdQc5PqmHBQsV42Kg/seW2WWe8M16pwTmYGUuTckHIIIYEhwDPe5/Pb9ySFt4znXYxWoxwYw2Vga3u9oN+P7ln/c9rHVn1XLNLvEhvNUQjV875ofICuHf0GnBVYSskTizlfnfvjkJnKFJKOQwXyJOP64x8wSoQy9bhVTuBMpGF9sNfyy9ru8LNr3I4jzpSrzoVlAOngIwgkxwsUFiM9azZEuXZ8Q4eWs8GYlHtl1EA8WfGZwtxyWtkG553dpM4zUg+t9/tXQssY2fqjrAGkeUfQRz1jtRTeSZnTkL+ESsEwoI/ktMfsU/tZgvplAo/gcICUY4rRaFg9z5FY+Ku9y4AAjCzdvFZGwfnvDDmt0Atqjou5OwMA21vMht/iNSgTNxuMa+qNcQxvkcJOTTbXIkYIQ6NIgtgrQ+uvBsc1aysTSuHG6b3Y9cL5AIX5ulm+LyyslH46vkbL5AF9mp3wdRmcmj6PjC+O6m39xiXTkW5WdjjWKxbFlAySH1/Av744yC4JsPtLsY/KqPSrFHQp9YP8mWQDR2K2RmVht8ujgQnqL+IyosZKDJyRbCykwzkE4dRAKy9ZFD0sc8CLyZ8v4CWrkpZZl4wZpiMKIHYDALN1mvX01H162PsnIEFVAKyDeu0JTrh1IAAC8Iya8PcuOLnlC8zE60yXlq5MVs6S4gkJpAHlODxxSLw7yVB95DT2kTDqfApezmGTEut9zjKPYrgb+0pVhs5W/0P5ePgeMPLgUKpRmsVM/upN0gm4z6SMI7yXP39tUlEyilErPJ+IDSwWPlWer8TcDgQTL+FXvLuDKbx3Sv5o1kwUQXix9G9aCU+2vbOzMGm40s/gYw54MUOhFrbpBFDcRLFncOgrCDkRJj50rYfBbN47dITtlUOkHsYWbwM0Hlm2yBzqD6OEv0g6LiUH+68X+Coq5XtpmtGMBpG2sxL4eLUrpCxfytoRFP207/+LgyWKedA5w7xHwd0rgU8BMNc1mGTlYS6ZJcKVeG/6jW3PmlWb8WUg3bJMNuVaikzI0akRJcnI4tuZOpaM2DbazMwOl/pc5Cc0sVu6HYrlxC9eXq6q4P8xQeXVPVrPOUytHWCVHEm/anFO5+AO2n+0Ikkaj3oPjVrIuSBL19+2yW5pS/eyLB1MdHo6izvyHwaAIofWcBjVSlCQB1CzsLPK3lfFSJaas65/qLs8+6is4PomD6uYFwOQUIU40zK0gFb370Hifi3P8W25Tg6LKJ3KI6k3/u44OabryO5+KJnPsVeqTtaBt6oIeutb4ySHAu1giosqcdm7zAc0D0W42q21vxFwNeIxYlJvxcyPRRyMrz44VbjTDENoun1YW+qk4s5SJMPSQNHLe9THgCB133ZgEFU1eeCGBowlZyOcYalwRz5Vg35cMBVNzbpP6MhyhcgqY/u8tBOq2tFJw+aLl8UTBaeFCNd3vJECN/e7jHVqv5daD6HYECjKrIdfb/aMjnxUDd1bYad7nPkmN5wkz3IBrWA2uGxML8Yifj+UZrT6rxUsogiXKItaACAsfFSAoJwJH8r5yB1IP90rNCUBNey9D/eGQouVSDxmpwxiBsdOi0yUFpM6eyeomLiFMnqBPwvBkclOjmcME+HV/O6BOmGgrzf6zkeoRatZDDW/ZDB1TtXT2YpSNhF7SXyHpBI3GpZEY0s0+3yuZo1OmCCaugRsfYG9LtV0oYVYQJBnyugCyEJwqlw/QH5YUSYsNfIH0WU1oDkV8voY9TUTQjArLwz4V4vwKTe9C8Dwd3QTLc8v0F0nYViwpSaA3/V6xs5U+xERKD+nC0QaTEXWfig5/2AV2gX4zeDRdrmW1kQZjG6/wiULXW/WTchp6gIFwroSqHzHRxd4JGlohY8LPVwbUNrRRUyowHUyLqmr6DyNBG6eUcjLK9jubzUzavTHdsFeoObiHoYezrWvWohlGEhqQFk7UIwyZby9nJnNkX5gULY3dUxPRycIT0fx6iDtaLuAhmN5OVhOzSLvQo2F2DWyuML4BEMq2tkBVskX75ppPnX7bAnCnr2tq2ZW2cBZzSswc+A7g7qc6zGXT1uRvU+ugQtX7cP98mXAyfQG063tFfvHTuYk0Om2yaqZLzxl9Tq8syymvNDYL4BHYEnfklDbif/x5HUBGDJbDUv0PLHXZOng2FfnEuoCEPtDUOgFQ6Sb/LwRBe/56J33W/yNd6E8zjpD5CjOimuwKLaFDve27BgGuxWAhPEaACCDQhmHnDhQ8k9jM2/ntPmx9GmAu0ow0+d7SyRDGuMfGCuMgjiddn5eDWp2lby1FdLQJ8Q1+DYucNcs9PEMjP2XSnVm6eWEpcOsqgXf2eyzMDkSrXxLhiqbKvfV9tGrtcrII9EM65SHY6ESpneooBijlrJRSJmIHICdk1cVomUOge+gAkcJemhQHo+gj3XWSamRBiaGI+QyBxwjN3qXhXBQlnojzNrMGibsSBal3uu6964UrDGFu9wO0Im3RIdc20rBRVQrcBjgbF1ioox0+TaHJ4OZHRicsdyq8MSTSQTQtezph7Xl5tDU0h+2v5ADYy3YWhvdxO6dqUtcN3axei295OJIfV5HVQx6Ch3qHq531jYWFu2HyICrIqVf2Br4hc6CMcGkFOp98MbujQqL9hMx/g9wBtGuaqyP0+wTgAGHmFc962qxFbA9HkbJ3NAUoYAXvupxOdInaJIaGhE8tW8i4jICXo2rbVwuvc2MIjuUkpBJQ+3Uy0SskrYJQhyKTJMZaSI6pV+eTS0rKXIYHHLOGhakisdcKBDd6yKCOIQsLjpdJ9U+Jhh2dqG6jjDZ4hYfJwJuD0qEzoyneuJSvEBwoht3qJKWfEZP3Kv7zXeipLxwwlp7Rh0GsbFiNwoCOf70NYyziKDHxcK1hmnqGXDIUVMneMwLq4MLfBTTJbJ4E0AyeerrfnKm8/cX4itcokDxxz2jM6CDUggazmSIRUKoBJZ3hZ3i1Bi//Eo4rDK33Nvr/qn2pZgUgj6BBtbRn5jPUPuwvQMbS3zvBqe4uR9h+nNn0ob10bS2KG4o+6wfRoVufnvzlDxTlQ3DJ+n5tO8t226+621ZcNUxka4azoym2I2dCNY1VLydr7T1Usi74N2zOR/FnqpsCVLOhmTuxYqnkkh4NWpw2h/HM0roKWQAWynldA7EZHwy84TKr9J6sRtHasfnrHkkj4IxBNUdhTYxTIObnGtj5oxvTEfO8v3ra2jbdUSX+u7HRXxxtnRcKVYpA8ZPA0l3KH1Af+2XZ7RNBKTAuuCZVfs63rAkQT4qxgp2Bx8c3UuuVB0Ak1veonpJmofM1JoxidsA+kWArIfDCMLr1ksuXdjSATOUIIM7FTMjzy4A0s71wdXUQlyBT0NmWl2Peyaj1YgyXboDUJUllBrqkR/Lt4xgkDZil9Qc+Hb0juh89O9YKejMV3XkE1y3AQp4fjoBBKnohjb21PNXSzJNz7azmVaYJDtZA4cNF+dUWSHRc4NL9rrTvQnRVyEXHL1SgEX23x9ayAk9AE5tdqC3AnJtVAl178TiJQzQMaouHyQgMLgCDCWkTDJL2xUa4pJp6TfvtyjWJM2kN54LU5l71iq9YZSDKtS4eSnwsn5atI3todI8XRugwoLFR/9+CoyS4TaTWxykOpW6lF9aN9QCuDxq4r+rCMJT0yAjU2HIfALOsjnNGGK0g05VQqpZb0daZsBNpv1J2zjpIPjP8DvcCon5Qct41aKyfaUQmkfVapZ3Q3A4tfZxDZgh6FQFiqXbhSwvLMI8M5kqqBmc/gDCKw6YBVHR7kG8EegrnLcMH44aZgT4LT+xj1JjNre08+h1TjRKV0ysDo4/4K5YuS6CxDH2FdNVNJ2Px+/Yb6YG3BR1dfu7r40mSStLYm0Xwv++NQjms0NCXEytDjRcqyPljpCop7TvTtsADqrkMcibySA6LQVT8xGnZ18cfjtpzTOO9zcvUe96egNmhs1LKUw/wJ8RDhRQeCoxth/CKjgt5emjS0edob0dZ/CAQrLu/tA0pI5qJAnHVU1tWM1/EMaCTYwj9mUPMQsP9oiU5fxCYAue06AN0aZPkCFJCUUGJg+KdsxZYtmH9GZd4BR06TRZjoLD/f1KUFtSfsCPFRhn4LvXYAuZCsrvRhy0gi16K3IrXrM2BxeToZg7PHticaddOiKCW65kQm7Mq5ptOvUEkH61P2+TBBkelshRfOeHBEzrwfzfd/07eAxQ7AL0XA0QrLJP8JLjQOrmU3p8gzIeKcOJG1Ob4Mz91/4A4vEhNWSOGQ735H3ozIXv9m6w4APyH5KQw3CKkaUskqKjHHvLRP4KrD9iOFLdbXQUG6ueJJYHOs0zE/SHS8qr9Efr+keWdBVMzUF6FGGQ2heZl7rj+i5W/RZhWH6kfPa6RCw32rrwYGJ2QGoezmMXtorRG5pgTZzgjIHDDjDvtJoHy9O1UknXNtZcl9+1OlZrzLSe+UndQOK6lJa6HlvA+uRCRmb6OjsoF6akpklPkwaBiGYaZ3IjjTDOzv62AhwxZbEUozUCK8uNftsuF+xU9w030a0uHJAJ30MSWU1FQH2gcsM7wbAmt6vC9DF3piNHOve3vxsHY/kB302OCCpy9F1PYXdtgwDWyRVfHkgIRECpHKZbCLzzwikhE++MTh+77yJkd2iUlcaIRbNPggg3Zd1OqlVSXhEPBdKdXXvTIQI57K8QVyQ4kVS19YWwA8HWcgsI2QBwLUTi9u13/KwSou3g+DQaYlxlWjOQzhoHt6lG96tIE1HIBeJeYcB45ok+BuDjSx2lYDZylGa/vL3C9WuMAZRle+RI5rsCLXq/lc7GIZvRMv/AOMRkmksJB0Eu1bW8QML5dL2nOhZMaK0E+4wSX3ROhljlPWGLVAY5MAghmB6uAamrZ+ITHPJ4eYYiq6c9VLxuLMhBz+AwWE6LF46V0qVnEISUOCOCQoYMUdCMdegPOrfYrK3CAyXQOIE95NclMwWjma+aQUBa+k0yKEtrfCH5L/8bKC7l6OfYG6F683RL6P7Xv1AqfxhfKwMnfzgbIB1omEmzKHsWLVZJjs6EE5dArpyFZe4zE0anoQdauGHtTi2oEkKIw92SHyDqyHBRz0pTiJJU6dfIOZq8CyhUg5y5W/CYaF0rBqFr47nySb92MmEPzx/Ylzx5puOvwZ7LMyqiX720AdxlTLpDK+nAtNAMuLof+wFUy8HjIgyqK1atkvSWOjA7/jR0p59fbY7lBvEFuJ4nNjoN8pQBjr2l1Pr0HSLpxA9g/YtS8eSW3cvLynKEKEEzYL5MeDzSzIBu0MJwIsxVPdthIrGfK+gs6r9IbwSmj0m4c9OnVnzyc7bLrezsqypIC0vlnOlYZZX/n8GoclHBeATnHknKjIAr+a3lzLjGBZcHEuvHQEZdrJh6ydwhZnxoJqQKH+WBEJuvmMaUQZ6yr1S+aoUqItCYnTAlnQOwWRPxQTIPH5Ka0ZWmE00LUV3wrM4KwikhlKrT8efH2IvnzgMxqKuBcZ+BJ1x6c9BE8xF6nrkW+IjlwF9XLC95l7UGXf5pgYUxpoK88/7ZjHb4yrTIoW8pDKqNUNd5NnPtLS6MkCdssKVdktnsltusHug3VX7/R3P5bDxitFkFyQrdd/zDzpxhKptd9KTYWOQz3yOU/+LN/cLJsMrQNhkNWfUcpxhfeE4jdMeANekMVVA+1BZggeI5siozxpNmjiC8o7UJkCREVt2Lrl0LFzPkf1tyzgnVFN8kFVUJ9eRX/RFvk45TJG26OPfwBdpQouZbM23phhdbjBMV304a/WMeGKGinOyNuF+G/D8UQ8kpLGanGh8zbq4Rbbobboo3udKSsbJBs7C8t2ohUyPXQnS0643f4uWM0JN6AdpCCEKLaUiZo2L2vsjY/+Skq4SqVGDigHiipW20SkeuAft1C705gjPCoD4X8TuOqwnmg80YjmK9x4gsH6x5MIGz16rcRQOj2KrNB/izUj7BGUaJrmnq+we9EoQJ5kgmjo4zYLqLyvfOlUBPjTDLI5X1ZhuocCBXCD6PfGilWNezlcGkuv9zcJK4A6IBUxvwzjy9szhBUMNIveSPZpgzfoxtdaONIPvNFCRfXh7grjkNl6Gtqyj4IHuj8m2Jh+Upy1003EjY1MDYdXUlEpF8dnHZ22D9Iyng2sG4sj0664YwJanhs+z08tUyJG4Ch4lvD0xeevctQho5WDB3wqOLhN5hCItfJQFoEOifOuDV/1w8Di3LewyVrgtButOKenYuKiLJMmipxTsil5bUsy4tnjRdiVZFKjEx2+ihR/H+DtmQgnubulzGdwcuGQYSEX/d/zv29BeWYgjBPZhj0eEk9FiLYa9IzoEEgaxTGpcsTlQlT//0r6qkVeOTsg9wiB7z91e4mLQzXY0zMHao2tJN0zo41jZEgIDaPINwmDaDmCSRGHjZPbKo9LLl8HvjkxQJR1W5RVgK6itgPIWmZr2r9AtgyGHM1jRENVRcnptpnZg4/3FWNOtCQ84kqqrHYK8gx+WrpR7LyzKpcQF8kGdpZ8wz3Zgj4OwSpw+nR4KlfpS/c9QVin38Xk5sv0K3d/ClSXhpo564pIqbkAC/6UivMG5SlEs9Oyca3AyhGoSW5yPJJbp2Y79fvCj1aknumY9zNgegBU8B+9sujgmtAVA3gtsCwvcWEH6t9poULjnSSbpwArPlLnzGrqcsz9hrpBE3ql+a2mW/47YaCQaI2P/qSQCwISHEp2n72amI167KTFtNWpOaxIHxyZEmyp8pOE49iSZ/HjUBdcn7BscVks6Dd4mFTSeqbW7nWgNy92bBL+0srZUTG9qEmA4A0w6DBdFVH7FTHmOz1cs7VmtLyEoMCU3OHIOKwgUFFb572Eanl8TUbkg0xhQghWLOZzF9HyIWQrmr0E4ylhnZC+92YtxEubBLLQvweUvZylagyd9SIn5TEp8t4hg1QBIurcRqCRGp9GgL5z3aMEnXwe3iHJdd8SuS+DCwaTrGwaRIjhgT6BmJX8jsraFgThclA4w8OsWGlCRu9VnmWbx5zbITbPqAYvpbJQjB/DZE7cyNiJxjc8k4vypQMxGCqVgrQM+fD2OHiDkAz3hUBmqku5jZq2bFhInNhh9ZKPu4Q972h2a7TfatosSZvtvVkbAF6RMKR+mNYRif5dfUzfA2WAc7Zby843tL7ZFD0UmmrftgXAO5yYWuBcfwi0dzhmUeYe9algoq9GenHU5tM7Y1GJucWkB8YeGkwgWm5ZSaVoQZguVWOsyhrs8UIygW3HgwwZWPoFYYLYrhFtpGXX4nkEX/EIKKaGJ8fm2fMfV/ZrGBbOqOQzpZXXJPWuWSHA2+DCMbC/bCK0pyAUy8rCp2v9LQB++SFDfF5v0jF6IaCmnIkniQswMJKzVJICyyoVa5AKkhrKXK0pcGiBPa9bIvn+espj4Fe3Xvt2NwFgobMUem4fTk/AGamwCbwadfXvdnls9Te3ecMJApgvHpQMFcY5Xi3pYcbQI/d3zOuW+umr9LlY7RNnoySCKLyX/wJWzyGlkC9EgN52/jeFuUC9G4vdX/BvN/ur0uo61vYlE05D3xC3VosVoAvtAQIwSFaXaXjvvqJ0CVD2r+VTfCtAnY1r+rhMwvLq1tkxpFDQhAFYiTRv1nBHxztPaP/whsYtlALmeyHM9RrZc4je9YzbfemBWtDp9eQ+r5shCTc7/5iSdi1PE0PhTlYXUXzqqoSkiRtGy1gSrm/3IAFwLvH3J2mnhEEn4w0YfaWqqmWfyLEZbAM9y8e2bIJTSNVqhYNhVMVTAmHmsDH0zitKmGdG3jHg25/vJxlfxniMklnzKIAuECfkZhhuqwoa5QGOjEqAAaRq2Pm8h0nMi+c5wn5hJChiJInuDhNDBBsmb+DV3Nv0Vf67zRJHt5EUyNHKNjoNTINyAf9u0CZk4wleRC6ZNabAX6/Y6eMaZyZRj/TnuFAQviRqe2ZkEHxSDvLvnLltRim77J+nqEe0+iI19BQ/0Rul+epC1/vpFbEOKl5wr4PuOvIp4whoT1vYDD8MRoZWYQiSvPsu5Pir7fVesA/xe/6ab7+GqJTS46ad/McFNMdXwooOQw5nOMcsUW7P0iaWWeb86jEBH7K1odAiotioyEg/t91jvTvT2SeHGpFsVDGVVNRhZbA8Bkq9c1i2U+j2dGHNQRcLFHRVboCMWA2okcYL27OlVfv4yMJgcJWfSQVgPVJEMCVQFoQieGnIJjEyyW7YpSfVkMbjFkU5wtQ8YnvJR2z9QUqsctN693/oFm7ddehHyplJ/3iEQviRr8Pk3a26JE5NRQMX1kpr1CRWWn/agHsZHPvM538BV+FlM/MdV5aTCXULi5TePtjtg14AcI18IW4XpdBTBJ669l222fDEOK6bhT44eSiQq9zJDotQYJ6oxOOPrt8rYjfIinZcTKlnOo8L/hUF/Qh+ibUlDXMEmyuQPwXtTn/2xm7lefdINmz4Wsnytj0qFUgSpgXUenlho0qSzT+2rBU37PoqdFnNJFiPWkNKzIUrKj6LI2ASDA6x9dse3xUCjasZ0lAxTfwqoz18rMp5WQrEjlvwQExtX/9EE53wTesZkn6lW+fa7B0OUSfCCCT9HcAIXXTpBthy2NgkS3YiDb/nXYKUrxO+r4USxYHy5Igd2F6TgDq+GBuMfLzycufbOG4VovmMxiKkHk/WcNfPVRuBluEy1HpHC6xEeN8UwVJn0+I+jlU0DTVesjEabbYjXfQkPWZ7pwMRiXvhIx4A79ylv6iUqP5EIPJvFlugh2Z5ZdHxqaKsysIVKxA294P38XlEHYg849mpLI/wKaV4O+I7FQLDzfpXTv/Gw4bWs0NoD5XynAAY21f33nT66oTSaly8pImZqAOIuHvvozDQeqvjt+6lRHsWJiB+cCt8nVuxoWo3EuGyJcchXYDTklxJVI6CbXL7jJRnCdkXDspuMq+uU7u756jV+tQNJD6PJrXwSYYuGWJQHudhH8RnesE2MhTSUb6YAJmNDE3vU2to0S03umJvcmxeOcbQuo2ILsqiWX0DVovZL01F1hXkwXQjU8hUTAn6isW8H/HbkttVAwqXl/JXeVbO7oUeadIFwhQBjbqN1tL7QwZGhPkaBGBsXxuJlxaFbXGo4ac6EhvZM1qoXCrEjwDXujdm3KXJtHItFjHIIqOkFx2NTAT8BkB4dO3rr7tUHZrO8SdskF6mJ1n4OJGyFH5ChsHi+MpKQwIn90vXHOtT8Gc6D2Dh15+XghauMj2W5cKL8NeweFTcxMlvDHiCDACKojGpwkTLzv2a1ktR6K4PWaTmW73LDQaR/OyP5QdL+5zMjeisUV0FxgzyLVRzM9gggeE2A70+el4evcxtSNdjNWdwHxLK5iEPsb/9HWskVSqq9jiZ4ZC9xjpixiRkr62K6LwoLXlefBtDdyzi8JYpWF1DDty78vklMqEweQYRQnEknqX3rDFLEu5ikPrOIGpIWFv4SsYDRdNkUVW4GeTT/TBqAIsnQhrOYpZAL7PvHS7t2HoC+BLdf9/rnjGPEordqwcpJaINpG5aC+LNipYnunzG4ke7Hw7IgREQQ2Ud+dCfPj0XYDZbreav5p32Fj8k/MTKoaMmGTuBqhoEBRNejOXS/hRpxYPMqAtHB9ARTQPsMaFdclDPyLe0SM1gb83risDhUHtZrCu4niGeSM3b1qqcvjMtLmFf1DB+Scde6kYRE8rFYbnNIX0LzZXQkD50ileg3X4+szdxwCamkpp99hWtSUVtZOUqN/ogI5ZyHMKYEd/1+pMoCiQme2JSRNYDJoLpzoNAh2XYsWkXkzBQBSj6COvZ7DI8GlMjq3g63BroIIID3VJjhXiaqETfjTKBi1NKxmmTmGH5ERC2tWRFFCJG3P5ARGE1u9EHPMpbHGqfrMIn92WvaATU7lQy7bbHkIOmbhuwN9Gpyni+2V4efD+GAC3Mr/kc90GUHvLPoO5aTRpjazo8mAv8CpbYm4cV++TJiW54gckKrK6ZWUd0h2Y4kt0kVUcJqI8eY2S+Q9wqDs8X2VBXM0YtZeiv++dRYpHEBVi2F+KZrNEkKqYWJmFfoO8m8BPWs5ERXasYC9+vPAcwt8vaKlvUBdGL37YliNb5z+MB1a+wy5yoyUUBWkBLy+M7UHmn1/W2veJWDp41By82SwuF4rIh5bJYhOksam4tc73kfJr+Xr/XYMzQPnJVjAU69LH1v9D08xTTYPqXiLq+puVsDeFpbyQxXrBLthPcPbQTTOm0ZdvwxRerQykU88CDhP2OYREmFeAEVymElomkG7p2eOejxpruPDkICzEbpOcFM3MHd0T6PEiB8E+XAkE6OnWi+IS5qcEQskH5ILZtgcqeautrZEKjCoZfxmZQmQa4riJp+9PlCMM0+LqR/z8yVjJ6nXP8vX4/8pwkCd4MtHK72GcKJ7UXB8mMm3Sgv4Cuo4KfAzTBLeKd5hvP4lPmXHGWM+bZDKDIdR5kwXUy1WfgdiXTJoE25QfDtmmOGm27qdKNLKfak9HW/MO5kHOIfokI8xUOKErj0sTV59/ilu1RUKipgqiKIG34iZzwjyw2xBmujRRu4ji9AevQtTNEZXIL6yv1f7PWM0fBZ4lHvlLrtH9nEkYulkNxwWwJFB3WYhd+AUKJuvSyl2APrh05Nn/7TFlGLkIsh+y+7QezM1cc8x7tIyG4tcpbxYSUQtejXpFFa1Zs3+gEciY7u2+fdf6VaoUnH4M7CvDwsI2izMEaN52Z869hiOhYsxS2/70Qn0ioLCA+wi5ECGBVoKpJmShBXEZVnp5PqnAyEY5KhV4PRPjqw8Wb/VTzEoF0IBJ9TBmmk2e9Yd7z3uaG+0nf4XStfGcSDnmOSS/2Zdh4ohAs+ttIYAjTI6yWKAAvalgzJz0femSjxJA9+IZCNywdpIgZn2qLnGWpRNoackDA8CAAMqLwop8o4/uy3666JIhDflF07hpBmuPv3OfU7HQux5zohjCdtejou3sEiTyXFLMA11obvVIdWGnOg0Rx6+pPG3AAFMcldzd8GaQdUGb4oBtmwVQWMqwJWQupBPGHFRsilFR/aoisC0MkeH9/xT6CZmHJzc1KZ7RLzZzC/HK6eKuyqqZbKh5T1Tja9XNnOl5NSqqE7zigXoFQsoiqyt9f1f4wrNiH+mm5Sjc7MWewrZeBl3w1tyODo5VbvPQ+GQe7lYoaIdmwLHNHFGYcPB5O96RFqBmTKBvApXdFjrLt5YCFt0nmykATPaefNnADnxJSCCopNwJUktWnD9Iapz0drUwzxUFIjOpuqRHUwYNdk5zMOCCEDV764MUzXLviAk35+0XAefgMSpXH8z2Dnw71MHjG1FP18c36GnhIWdsePEfw+3el663KALJn/GViQpcLUcSMc/PQUFNguGGcgfhXroVSkJG90ECbLEptSfndq+fYmT2NqyavcF0b/a6BrJWUgDVmMo0g6EHzy9hafsIwzYOiTrt64vQzVJ4gfwG4hzADqQ0BqfGgF7H8T7lXGBhZspHQpf/9yA1ajUsy4GsOQJXzrFq2nt9qWsN8iab5FOzrLR3VRTfCFixEkx7Zbbxg65EstoFTlQZNPLUjIP5S7UFMdVSoYZ/UgqrmTEJIZfHPM1tUhWcZ17A7OmFJtbwBWfi7dcmyVBhYlmLTjO1hHtB7UigCQvAZE3xlTBfiORZRxMGFoR+a7kaUGtjAqoINA9KrpjHwxHdnLTRTbDyWfhmrhktgvf1pKKAbUu6+9+x+KQYMBvnYtet1kycZY4Z7pdeXbW2Isyy4mONkGsfropo5YdkBQiH8irwVnGHA/a3EGXhRQVRAgYnluNglOYYtmikJwdalVbvF5qyFtQqrb9HsfM+6gpHQR3TiSW8TmaokuCxfRnXf7yRylbOcG2ESAo44R334mCW5x7xlYF3jvyTChZIK52ZVK6ytFCy/xj2AS8KivmHec+goTEGkOl5/fq13Wm3rnV/meAn0bGU0IKKdMY08aI07AwpFHBaxPzdaGTjIqoe+JYopCJ3oWvdC+QZtUkCa15CyuJCQDiqWOGriPvXV+qLxxT1suAGKYDmjgJ5G0PpNreaf96hZKUbOBqn4ofECdsbaUgHvet1u5B8Dywm7MGDbYNwy0XgZ4r1le4GVAC+3dmcce3cpWaofHxmgjxGGDFWfRNfuyxwqh0bLDj2QnRVatXFPKcepKBd7uNu840QLxxb2rYFpioPVFokuLABaKiIjIP7IRwppHbAyFMx55bZRGsEpynUU1VOSu4A5NilpPNJ7CoyMmViR133OWk3Jpo1swjv9yfoEaGIspCkbNzJPmy9Ijnqe5pykURtVm5EHrKxPWiigmvVg/9b9pZsvLSPNDNXoRg4DZXZlSAi5pF331e0rQN4UEic7701c4+oxuCF5lVSl4Mc7bGqMDGXqbX0rkysjsKRbIlL6fGNu9yHZK2olo0GEu/MFfMI15ZAUStPghg/j9YYRltQvpkmHuuvO/6AvjX9OeOYP0Rid+0gvuOx76nkWetUTdPGbZ9p+1h4yY5meyH+czTnHOyelNkI3I3GGb2RzNiDT71QZ/WVYmf88Q3Qu8GIeiUXaZ7Nx8bUcml01jkYbJUNhxhcUKZD0BEHWwIqG2p6uRG+VMcCA2nO9+OLMyGT8749Q2Iu/YiqW9M5+nGkcFPDzMiYD2J7kNAaabSZwSBG1CZxFs34xuKBSJaYksS/sJVuqhLpJbNNXEXb/oDrhMnTbuECcAVbSK42mL4k5BJ2+NXCF1O0kQFAsTkmzdy0N0+5w9AWYL1e98FjUfUNMzbP5ksGFxJccnJEkuHp+TB5rID7jLQu7hBsyY/rNWLF4GB0OXY8Q7+ac5v7VwCDgBiFmchAhnHD9A8z7PzCW0N7EYazq3w+1uLYjwRSPlta4p4VlyG4hgk4Kb9Qx51BcmqlYXEVXzqdMD9uDzbugRiyCOkr1DQaLfb37gxgrSMofF1VeyNBC3EW97AM9hQKQOdlkKYWyDqnBHyCQIvqMtjUxyABjidmmD4/MtUVvARU0aCwgzeS6vXAPsdRGYpThsFbNoDMh/47iet5B8ER1t8VQUapg3cmYKeIptKrqu9NuWURw+pVXgz15b4ZC6tEdW3N66WneDmzUy0jeRD1Qe1wXFJBMzeBssF4JnhaNiJSylWiLjgdnwjpfjAxpquY773eQPER/bFlCuwSHXfCvjKigNFEgrnLr5XcLUp74fP4zIIme+gkMqagVUoWEXOaPK7rjAAREzy8Au+a9pzlbFaxEjhtEa/omcpKJE57njdgP1y4NtobwFEJkaXKmeBqSFcAxSzBtKd1fVYetdh5/PPwlgwuxBnwfKYCqYL5ERJuLEdPNoq8AiHN6P4GhPwrMqAaazAghmRblHCZ6CluOEhN6js4wBkLVBkqpcK6JX9r89eRQkUcrpguuwrTA/Fj4qnDiAF5LFXozYn7/h9//7U9j6X6uXdie888Tq0xPZJNwQ5ViTGacxnT6ItsxZZmU096ZW15adkE6oZnGhU9uFms4/T/ZRI7EJMLlP1vWtupD2MxJcs8ySUDoEL4aRR60xx7y2eq+RG1hdnESqHw/L4MbK9EeoTz8suPwvCxOlHgGCxAljmniHoVO11PkBKPOecFdrW0/TLBNRcC340YoS1udeINSo1rcVCHp4Fm5TRE8YtUcRfUgNPO4EdGmt+iTRYx5rTHHCQrDWV3XqvLpctnPUHKnwdcgm6I8kt7g0cKhSVwzPDeqA4iVqegbpWHdVnn4BPCWnUh8cZ7GVILy/Dt/hxNQYSuB3IwIdtQmHelryIA1eScCqTK9yFnNnF5urs+A0Atuf3DRaTURi85IOHlDvCToUFp2GvD/SiUcaLqZDrowHvf1KK8RNRB3Xw0ks1qDZiX5+JEhiTPTA6FKdPfr2Js45EFw0AmvWAYeQZA4ifdM6wqZUBOpYx+xm8UHlDuFZhGmhkk+itq8ZG83OARENvMDK7jhQx7KDwG8kGhHheGcQ5e37TGuGV6HFWFYPAcm1/uc+J0Ritie13T0EkDHQP4cgbK67jofYJ0GI4m20j9dALYXhsnHtNXwRGbmJwL3zeW6FIWG1SYptaYqGsn5Clf7drsd4GiVRGTiAzorXO7k01Z6Uwqvib/2M0veEQ5IvfjNbljVbt6CBvBlQx7FL7n3Anb8bpexon5P6XIGe4YA1g0RsK/xHmdg3sxxBIqDSYQz21UMWw1VamOAJp/czzJOMzvfR2mV5crosIpvjPfMWniEPaD2WxlP3o60D7RaSMl6v0nE2WkR6RE17XHzSxkM3vPJwUM2MOWrKKHycDY9xXrDbaRy/BJ/mtY1X944E4MZzm8NPt6mrU8l3ajCijqYb3hPDPpeEGp8s/mPgXnAUuBrtz/BIs6g26T3E32OEbA06MqFIHsR3AjAIZcD8vMgZXokQSqR7VbCObBXx99ZrEq5aGLzdEmq+HUr97dfTlcyC60LXDj7PoJVCNk8yUyRd9W7h6MdQDxIHuRSnRbqOYy0md2kTRrtgs+33aa4xcV8Wo+m9Iz4Txrjn7Jwqlhl/WYrmb7Et+FcmU3FW5p1O6KxMI/mCm08/8tMiYxmR/e8zPKWT7PuqSH7b1TsSiFMK2FiGilI8P5qkpz0RL+V3vg3dC0KR6qoF2NKTo/Ge7BBggEKDmDC0/StzIk4+W6FBmG3OwZh2sIeonF891jt8w8LtLzpPk5/rmJ72QnBrIfFZUkK4jQEgJBk6v2ejt6J33ds3gVpqEKQ8LOH5csNn3ZaRd2DNHwhg9gDPYiSJ2shWc+iDLi+2QdcZHuG1cWpc33YAuxNlniM+mB4HFVzo9hcuIfS58XLdsJ9BAooTNUwJA59v8lmu7BVD9nGBiGMUIhcaT8s5qEU2x1qPh+pOoeAafwEyuFRz2axcsAaefFLYt1ZJQM91sBlKlPXbKflFaufat1OdRUa/dpU+JYN96Te3flbVU2WRYxJH2o4tKumSFBbZS5SE6WpCnmVgzac+aXO2Uc34Pu3wp9Pzfm3D6SBF7zRB3dqRYQsc04iHoG01CV2qSFaydqH1sNCbR5hTpcbQ22e9fW/H6Jat5S1Te1kQ8bmms7fxzQLLjZNVOW5/uYNYiwn6NCdw2n7gSAJZza+uDIfDTEOi6dIAVnEaaba8cdg6mVJXNG7rV81lHJima5iUhuddRQF9pDZJEL6LbH3+RPJ/4WKxiYsgcVSLVjWR00rNUwhLBbtdoiB2hzq2klKJW1Awaa970k6KcBj2F91VE6X2KiDjAGdDEidtI1NSncGDedM3oeZQkAATifU1W9rxJ6ABxVw1Vsngq1ObQC9q8M4FpIxOe3ewvcTML25/6hL7hqoMdAs8a3m5FFbogpRHriyDrdDsjcCs3AnieXhypk1b3VTu1nm82I9xdGHVi99xH48zhlR6BaQx741dUPIY2NPZ58F31FDkpVU6M6uipJUbEvqahR6t0WOavRQYGGRNGTwBwZ+jMa2wJ2dBVAyhky4/+HF9apKfFS3y6Vco4H0ZOLw8Iv9Kv4ojhxQpPDzSDEgxsKKiuqdWZIB2nsHWgWfra4upyuYNYZ7fjRxveAFCbij2j/P6Ix0qbg6x/qj02lw7aZrAuYxkQLlnAuLp8ceAPpDrSQ/BPbENEQ5jBLtifpkjCpEbbR7hEHeUmQflCDpN7Bjun2eZtPcsa9dGMdGPPVJVARCou4M4tkkCljnL0rpV4Arv0qUoEd202P0Nb9+MbnTGjdlzlm+fN8+3nxp3IlnxiXl373JFQSp5FBiOzJ7k3g2aTEMq14roJDRJJAHn5NMzX3EQUtYGT2nYVmBJc8BeCMTTcD+T45onDsc1wAz37NahJtxihXAb0GlwGn5plUleOU4pcMKA6JPglYPhzy1YytmzHChERKkqR29pnYwvO14jxh70WsuXiCO2Yo9j3l7UDurfpAZhLcFdKbv8QuQ5M9OKA6i0IolBW5cLZHUmz4o4+jG4VzAsAOjjAGeFAH5UamDE9i1ac6mtfn4+GXaDo3H+BC+bK+72IaGFVljIlhBalA82y344YTBSHqe0MclPRKaSqdenax4yH6WLJhOrjDV2mYuB3lZTlREELATHdPac8LuSsabHQyxbNJTovc8JaUdR6O46nlTGlrvq4ysq29AkJBd6ueV/BWDj97StGoQRRxVfy7LsRPrZFXzPwC9GQ7Rv9VUyidhPGavQfIKCA0lZcpJLn7Edxq4znUXjB2nEE75umBRp1HfAtoAxzR+/ij8Kf55Y88QgWKF5lRNHbKo1FmU1DsP7LSGAjkqRJqnOB1bmwrBv6LLeqOAcMRGxygJij60kDenihSjkcxp4yV8vmycW0jSznywaf76BpEGj5iZcljBJ9dYRDi6HmjhYOsQUDMIeDqBQMaU/lNZK41FOHlhKSGuTGzVixYXFoS0dj2gWK8pcO1hK5LFTe2H4ncKTFxIoajuSWf3wIpD7SUllqI/3VdHhbJv+RKmHUKNUEb5MGwEoee6WYdeNoL0Z/2UIoBfdTR8ZGjBq5NhaATWd/xc0lS+a3lypppJFODHd/OBZmgChzzTxoShUbcVHDZMMA4PAN0domsOzngoo7y7IXrYGK4XraTZgYSpo+d8Bm4eofQ+VY7xoEOo2WZ4LYq2lkA482cZ5sgzqoTPneUu55qF7vGlEYl8CTBdIDU5/jVGm40+2oAWb5igku/qA30yEApP44LxDU9ocV9UFm7zyIoa9HTrIDMq2Dezc3n7Rlc0J9RO0bY+1yUJUFb0wAyr0ljfGMc/nx8/0DS7ugzLEkXYVPD/VUapxrpTVfMVrlsNu4QjV51IuucP8kQPB1/4TW5cXUJZLxRUddaWRv2QgMks73c1sSSk2j+bu2ttu4VjFArcRhPtb21pQRmQUMgbF6KtY+/vGG2JQVgrKdLpVkh32QlOspkeiOm5A/ElzkVjEybt6XS9Xeu2O3Hrq7APUYtzrTuG/FZkcDii25a766Gj0z0mgHh/pxetSkfe0E+ERYzDOecnBT8oU1OlErvM0hO5qNatHhxST+LCqtVbdpcq+P577MANJxAVMRxZwi0Zx6KCd+f/NA6XQiq974x9BR8Tya+LcwvcT1jAUlxdUnm+ut67T3BbTKfGaozyHEkVPk5fL4jJJjvlJLWLpKDm0una1cZ5kP505rT4l+DpBhi/KtaWJNs8g0fbiulw4LrpoXELdKhdNcSg150EMmV+MwIJYPeIFpwB/hIjBJMbnLN6qul6e6iFAKJOEcg8FlY4X88ZzcLntgDRaO2E4MOgkm6PCHOFJC7G65yZKqT9bpIx5IQIOdqXXI89Jx+kb1cfF8MyKz+fBO3efo3eveK3R/TxkdLsZYZxQCnotL3ZalRebK6FYTac5g3zyBr4T8MgmJ9IVZJXu/qzAy72TCq/QhCBIZ+FerKahEJveyUF2R2o0LFdD+J9nM+ZX/I4ZJX+Z2QHpRPIF5apaqENJL5x5qE6Dk+Nr1ZOkFbTdsSzLq960P8i/425nTruYHuyYqO1dFpAq0Xewxj9Ik8nOs+DaRE+OTjDT0D3iN/BeUgQstAow54lTaT+ptIllGrkkUcHeKEWCHSS1VwwhOv2c76u3tML29P+IOWMf1z/55uhmGOIjC6Og6dgXqx+PSJQe8lJd5LUm9mWx59K2JVHbi7JtsOuELkQVsUSHOYuTzj5rk1ErAoP0EN0Bk5Eix3LmRPc48zCuQ9aDT3lQBZwQS6DKwI7b36UHBKp5YoSG7ICKsiMNdwgUBoCI8cX4CM4fHUK1wcIJrP8oyZZ5gUO6KQLiKCuYOFvMfGpehShs9ryvqXoqsre2walqYHr8iOFv9wCtDkIPMu4+GvctQCqWUnPcx1xYVjdcxYiRj/kbc/qluEJMkQu6sYIzv8qjDISAIKbPaxvREnaYPUeozM8ykNCwOrZUATXg3Gm22ikZhBdWzRtOQRBDKv+EPAci9tkdAQOP3eFHJZMaBo5RAZxfssZcH/CxAWKdXDfh/QY+hyaHmyMFoeYAkVh85plY+xqfOFVE/QKse5BYu27Nas9xzsB1bVLRpBMtdt/ofVZCMQnd2t9R1Bq0F/GQmK3toMsbBAVttc+dt1oybk5DjbDMLH123m74tH4w+FKaKVOxjuzkceZjI8HOYFarqICtge9IaqD/il0hK4Doc9sUfGmCUjgtiV41Ze69wiQunG+SVWGg5xq7s6eYJAwHtQNH4UfvwInSmALKDZVR6FAdEY7OU0fCTObw0VNuzGMadnx8ogd8zBJ+N2mw+jY5tLCSy5N/6+DEmsYofn/1WMXriUjtOgweI3wlOiUJBIxWD8DIV/avxetk2bMqLTWdlFmY7/+BhC4uuWD5hVpWz8OUqFDfthVOBX2fL3WHXUBDsEexB0j4Dv2Bj/52pNHtbbvfAPT1JimgKwH+k2WNkRArmS08FEG5M+2OH+uHYTA+Dywj/hXKGm5BJXNxbutlWOvo1WLSj/EK7HMetHduvm8cG50mx5h4SRekn77sri1HBhUkBKrXiKlTqrP6sl5KQx5xWFsbMxPagPZ23xgiUhvthVacVhzK3d3AXn4uKWrWW1iFATStoHLenDuHHFYA1fDm+jlrkDFKxjXJHyirSqReA4I3muTPEBRJf4GbXbJHu39WJVJdjNzQ3H+LujfzTwPM7qeshzHzx86MetUudQfPJyCZ6cm+rzPvmYCQb3KJWr2BKi6oR7HI5IU+oIjOVaMzdQprLVIYYMUa+GXsTPcU9qNJZYXsFjrBqQoU6n4fmBhkrkLZ0kAEU5AoBrEPJ6q/hOgKFVFLrrg3G8d3QA8oAdHQp5/H6AggbOWRNcbcrnTDABIVRFVm3FpykjvnlR8MIMB5zUJAKllbUU+gsGQo7dvGI1ktC1Sz2jG4QR498JJJ+IGfRnEIjDt75wx5OtxFDOv2Mcy0ldTSf700/evh3YNx4ODgSiOad/F8tGez1tLzLB0fkgFEmMp3YVXms/kk0c+zOj+YR1ch7UniqbMLAUi9NCDj+cftMDmEntzz8jcm/3A0wn4Y5Rwv5a7K3vcDI9Dqa9BJjMgnL3URuO7qZlDHATXYj7Ej9is1U1j3EqRDXoZtl9efRyEcLg1UfUh5br1VFzGcD8a2khw5bumraWWZeGOyu409FMdr4Usst4m4TA2bQ6uiFGa+ORo1WxkS2aEnOgMZ/eE7REZ80nr4aoOfquKM4GRehE0+b3yoEQB5XAJOv6Wa8MwF/wgk95kieh8rd9SFaRTqY6lhZ+WA9S3OoTbgDHI7Q0YmUjD2ieLneXl3Oa1+W7GGRn+tYeTaPqm6+tanLMRkh1ZNjcNqrWeclROwn8sPU4g3S+e5aNQ0Tg2R9DoipaI0u3LwNH071XAm0XM5KaMmBeEEg0EB7a4Z6kMI1gEOPZOAa32n162SvVO6QO00lskC2Y8AxJUfSP/F+yZ08D/MNBIV+vU8UQIBTJcvzuAq84BcGxAXlNNgi8J99MSAMZpb0nRga3O9FuMwkQSlqqTj0VEv4GeLFaVtih4FAwnburXTLi+jlfrceqKg/sT9lqHfYVygZYYRwSR+tm7hgNBM8Ib7OrrjxmzfUAiEF14NKFQdvPXOOWAin3bcRfQPhqjmDaVj2qTDYG8HjFDKlcp+gRqZKWwngsgTidzjM5UOTpXm+Cye2KDOdTWmN4qZC11Oncnjr2Dylv0vWwbRq0B5oh13V+wwjDzqEKqaNw7x6Yg47ENlz49mJ8AVkJIzj2jqlkohvvr2tVsZlhcSuM9ba845xNOiSeJ4LBVmfe1Rno54/ZWmyGKjLT767l6dE4lDGepZ0VixpJuRvlfRKf06nETGTlpdmLspoivZnqHBS1lXfXbU3jA0cmIDj14+zOllqi4YVlScqeUoTqdpdEDzRVDpw7Btstr4jc/ucIbQA97Oz5xQKCp4jVTB7Yv/T3SNPI0iNB6mlJ2xlOcNibLzjSMbemrc6uw8xLARrt1LFtEuWcLpdu0BM5fVpLp/eIqEt500jFOJAml5NHEyGR1Q4BY0mGTEtvMTEvXwhdY5e6ncXtf79bSisNOnT/WHqSIJb/BjrwkVLP8SWuhRvZZo9tYHdu2VEZM426tsers/3+bIJ2Klq03KJ/UQJ8m09R/5u/fc4eIfpLcTW7keFeuJ7WMOL5AcnAHy2sH03aUyysTu5525p//eyBPzhlH0qSFZPtYdMwgMKljvqyBITy2s7GTEgig+nzYfGXGD8TZXFvBGZiYgJ8xDRGqt0BZAknlNv1oztDAKwoz+IhgNDyKNrRN5qj8DyDo9RBaWQClNsOPfl3xwFXD4Bho1lktzKfYJyikJgGTLHiSzZKftWFeJeijFyPmly1z+wacJnqJgX0L+hVGxAoDIo4Ibo2mSzNVxc18rwrgagA13llsFWh3uE3Lq4aUGDFldgk1dzAduEnuX+6SgjpJL2OC2+8HXBx6Jvgd2M7xF26+JY5v6WOMnblXSbIh5KX0IQ/1INiCvNVvPU0C9M3VaWVC/NdKR6/zN7wfOpMFmyDDe+r8TDzqOZoBpk7IQtzuGN+aHFDgGlZXtqtHCZstgMs6F7myyaMoKPLoWKWaYgfHaMQwFusVZScgWC+T19LB2V0Ivmh1Y9Ga/PXqddyW59SabbY4OlcnkfR1MO0lIVQsEc2TUqaxAzxQESN5ak93wZSRiXAoRAggvGiNu4/EmnzDFiJRsqVHhiIDzC8Ra23aG5wYRTakJfUkfIVQ0Qje0nMBaGlsHeH9zBbKX5Xj/8yyhtaHZXHHW0bTyKhXFMl6SM+2QYfRzq+KDCaWAAeMx+G196N8VZ0If9nnvXKXoLQV0nlGhUqexDdA/DEKALdjEGaIyuUJXhl8ipX8+SQpIbTAbLBXm907hXpjOBz83emYAewlcYalYEbu6L3WrkeVoIdVK9G/IfGadw2/DdjXkQXN9xMnYobIqSKk+xIQ2iTQC9oAqDbP3iGuk7kuVzAkNlAJrYB6+us0b18lE0EkedkDq3LDvFgQxgT4k6sC3VGjySpD3dszRy2kMChlBz4M4U1Zv79waLD3nqwchrgRaxUPB/igBxjFHWOQ4l1MBr4xDEF74jWB+w9Ak/VEVbkf0vFj7cG48CXDfrSSxf2avuOA8mq+KQBB5L+aOvyxtJ/D4mp3p+UV4deIv8s334kA+m+f/psmXyk56UyA6Z6m/AvyoqZIhbM+ZCvpkr5kiKV+ubGRQifh4RpynGx5vTrpO3wguoGtX3lE41uhhKac6LPkjuvQKjFscmPHkXb+s8eZ8tkKO/F5SVcdAs8CSACqSfWeGk2stYb35f3l3EYVEgGxqdh5ekMbcq5KFtSF4Isbi4yGQTcXpPaUKMzho0cOMdPyUkoFJ9BT00E0cInVSsIoXYFfvX1+6hJMMsbsqQGAzW/3m1vjXRAYBxkDKR1L7VtFLYm04oOMQW9WfQyyfenOa7XisqolLG0v74MGCL2z/JVrzxDHoG44E8JtLJtQDWbUwJfUB/wpjzfoxtPZ+Tv6YJ8vMTk6a7+T1ZDvnouVIirc4s+W4Zmr8HwcuJbb7ubW0igXFKvzyvthhzVtXkcZ2eVO09ryd2PdkqDdln/4K5uXW04qvxXCrCcAPfwjB8YRavmXNfxQZajkFpyCUdkBgkr3abfssdCLzZEf554EqRRrkf8XXNAZSy9zGh1hYOkdCa2mE3Js6kySTxylC3bNZZoOREZXyOU4US22B7qepkzbIJshmFUEXMoNgIvNsXJXP+2aMSbf4EjK/+kuAKlGF06unYJcnxKJQOLxCgbLpyqtoksbVAP/MX3v7co6UP9ZM9u6xc6HD0/S7tCZLjhXpx5KsLGZ94YphVL+vpKJH2rsdM0ZbiAQq1XM7/60vCWREogb6kog4cPsDJAX/OCeKC2EMNW4YN8n/dW0VD8p2m680xHr3VFzT09rceYRgF9enq2wmnuteK9RCCGAof6Uwm6rOq0380Ng6UXtz8/8EwNjdQ/t8LG5rVTeIbXaU3Io+WVdc0TE/6Ua7vVGBMu/Xo2AY9wkeCsC2Tb28oaOYx1UxBBkYKaCM+uyM4Qci7Z1RjS/6ahlpoteY8JM79Ba+3wUGxpZDWY4hRvnuERKmG/RYU1y+x+Zz0YSg8vSEDeTRbJBXt/G/olQ/39QepA3yjvZb9nZ2ouMM9aSEw2fLOZaVouL0VMVsx25Se7S8I5NhjhtAaFwTQ1qr1Gq292lYnsZNrQmhO9tOXupJ3acYJyep5l22RKVd2xyL9rw9dCNhVDBgYf36gfdn4aWlZsC6oHGdYybS0ykq21hgixFEzFb6t9JnXv9AT4qTvGA1nCn7cPJEl9gTbpVK79s2h1WI1KJIs5KBpvuJ71pHmQif2AFn+/w+vID691HO1QYCjPzaDYo3Mj3y9TMJkyJRTEIFTZjOCYkVBq3kAFILOGckikUN6ROkWXsjSiCgzD4/wq9zdMf0WhojisahMkL7G5a+BcJ7xG0B5w8Q0jQva9cbsoWKPjNLYylilDlL5cDwkNVMMot79RlGlqZ98LWmAoB6fGDXc4/CdNoLQGGVlizpJ8u9QRUHKYcannn8WOy1Ra6ES2WDHpdfJLPV977OAU8YLf4mXUUEiXkIo4OUPBa+VQYL3OHqNUfL0Mdno/lq+zMxop68AVZTrwA+gmf14ws0NbfM0hEXdvg5bKNeE5rs8WHftI778P2zdIbAjjPZ59wyfOlwPYS+y0dRx+Vycg4MBBXl+Us7zsi+5M1E/NOOdlElywjPxasEjBfMNmTfpyW7nzXitY9Dh1eIKuxjsD7OAJRR8TZxCUw293apecJ97KFI+cu+ELQhImAHVIq8nfZ2sEdx5SHO/x2nFk8ZubHYFmim2S4rCDrpIqcjL+mVyRXbxljmdyNzi1QzhMCopLrKd0v9r9L0QzLUy28JzqVBGFY9YCFRY6c6SgpVxTXZVGKbTO67qhdRaIcU6AEd9TDeeS2/OCJsHHQiuH2gHShYiMdQSH4c1Day/qrFwlquiRlDDs4wyHaLS0XFVSDl7goE12Zf5RY99UkmYIwhTiEJXTYDFEfBIxWYeKq/spMaa1E2yq4gVCORPCsn3sTgnQpljYp6u4S+fyD5a6AeSnZdUH2DtYTgzmHmgKADVKzTb5ZsaVNww8vT30HvM53Z1reygN+XidJFGBADsYP87wknFaitmNpejuaqpyYKtUg+UN+3k65TkE3mFe6TCEZeLjVvKtOYmg9FQwREkfO9GEKC+rFzc3dEhuoUmQfBdxaQArS9BI8bnT06qL2zWpGfILkcTda5fKrO4BAuR16ACukSjVnLsYeGTJYlAVKGUs+gjcOY4piWIUvUwFcyx3fw+ubkYZ3SgXSOtvriOloOw9KDaTV8WxeWVSDBFQT3HdimihQiy2GELxwMuKoWeMChFC7NxkRv7mh7iHbEPDF2EIMyBnBjcBQz07aw+8z5NXhRY6ujpPJv3ao3O93IDPxYH6OrDBMkUIEllayo7Q+XcPZd4doZxMiUkDtYemFpLFiMh38CFwzRtPw45QCufllk7O8WIpimVEheiuWhYIGTxiKGxTIcbHe9M5hDcoGr2vMOUpoF5K2Ip9zBnHcw6kNKTbJ/aATtUGOj9khVanZP23JJlZSF0oeBDApESY5VMLLvMiFIgW0GMntLkw+do+wrZd5eVYGeqoQP84u7UT0XjDjAuXJnOgeXVx1gdNlNi00ImlIy9CYhsfooI1TjSEj9hb6XlIpadGqXfh4sjoH/CWrpNNY09JtRn1d42qiNzn8hk0plUEoOk5ZOf+7R8fu4JQESbWiARKRApVvoQy2rsm8u+XdGaYYkxvmZUuN5X/FVVyh4SUpRQEc0Y8C3iTaulRFn7m5CCR9LYF8jxeb8jPKMSJJZ8GVstwXcK2DEdGp+CqYf9+Hi0RFtWYkvjo7aChmVgbaeuKcPbsiEMHYEoXAF8jHQlyMOuC2slrPjYUefxJkVjo6DWUsO5hRgxyAlAmVoBu02yp9WqK5TstxpHxb6yJTVrJt23DKG1AKxcoqu4itqgACGbOehP+7Hhg062QXMHQ3WWNlO5PUd1mSQ3uZBjwf4GqSmZccVnuDVVLq/5M23asvxqNC0Kdd0GTqWWk46ULBSIpW5yIwrC6OAOA0RmG2HQ8Z76MDX4imnNXprewjwbOo0r6bf1qrmOhO61FIDmE0GpC0EWvx7cCts/tPjn80oliztacG3FOxBq4fB+wBv8DmjIXDD6o0PkvF0jxC8Avkj33yxk/kySTQND4rAUvOZoDfaHFLIzQMOnmibnOE5MWTzTxEkxKgxDVSdSzA10PnmDg3w0hIIq9HnpkStsUGLhfKCrUa7R4xnwuLVmt9jIf+5EKZmAWIg04VxIbOQI1EZj/bRxo9N8IY0kETMH6eSgHjx6souyV0c5vwyYsGlwBjamIQWePutOGA1TwrVDldAUkwkjEM/5MEwhazgutsDKDZKLavL4ATFpar9OUg+3hMAByYg1Df3Vhgt1axteaItR5T8vf1cXyBJrJnZ4xbEi9M4bAtdblse5l6M8uB5/99e35iSSPO9RTI611HuLQK/aDQcKJl/s8ctQlCYuawUogDlV+GOpEjcR3c8VInZU3JUz/5G95HJEFe/Ti8yrbgjLtyiLWlyVoHdQA5X+2f3zgL1VjDf3hRok8OH2vRi0XmtlUDAtwjx1UMfblIUIUIXbYklxZMmJGQF2yNgPNmnjGA1dTtUHmr8cwh4uf+mS1HMQFN2ZZM5GEg6ZcjlDGkaBm5olZqPJh0eJEpLSxePFHXDIWfYMdafMOgWdskXI7EIkgzTe5cHlfyHajaHzQT/eXhWmhmXQRAuA2kpd/v8HSD57k4io8P86zxOsKPLSTkaHDR3QrWxniDH/umq829UuSwRjVV6c4yTTpqKIEX2UVviRegN1PvfWoHIfuZRyhC1RgkIWaDCDnSBVZuP46EAKoiJmaeQkmtj0/Gvjvzjj9MgFGDenEl3FFs0f9ITR7PyKYM8okAAfnfNZLiXqr3xsFbKJikBPF7r0aY3jeWDZjuEB/NFTSo6s94ttc9OOAo+y6UlBeXvSw2jSmphvH40jK3FSmjcBG0ci+o4AY+STK46JymY/VSJxJiTdo/XazGAs/Wp+swQGaPrZA2zxi5dlUqTuwOoEXTTisBQ3kMueVcKdxO+jS0Gu4oOu1/4w8o3r86hz/irN+yKtKOqdiySuT6nRtBZJYiGvRuD6BuTSI1g3aJfD54s6YIzUhhpf6IalQeX1q/Mo88Muat8WCigkFW3wqJGOYbD8W3asU3qQFmiwF/TWQBuS8Bm72L/jgOUioSGLlwdFpgg9D6APy6vlPQb4P3GZddUEbIiP3UuMbZ5837Rb6CSs+WAULZAwmBD+2fjPvtkkUnbIvklE1yi/SBkNRbEAaGdcEjTYMSMglUwiboCk6xRq1xSa5I3c1xcxxAjwqDN4nryWCKzIjl9nXwaT056MIq+cwXC0sPAL8xlazdYdQG72suK8RbmmQLLYe6kermxg9b04esozpTxcQijbY6xEhoL3HWbT4k3xannmMMcUUkdds7SHYrKA+MOrezVWUgZHtA6tWi2ynp55YTkoP0eC3sEOT0wI/eYiaSvfzF2MHUwrTRMr3VucYGUtNNUvD/qSc7V59rtheyY49vqUKKn0PZzoI9np7ehuk+olNUDq/YjV+V4+Zcd1uV2dDXvzzyk/Q0osou1Q1Z/8wdjIQamYYpizN8GyJ+wST2IhVdgSqTT+LcV2XQunU/O74F/q9NlmdxIC/d0FZDa2uwpdJvNVw8Bc1fAFRG3rR3FDx3Gs1waWb22xw4nTxF68beU2h3sbK8Ga8D3wXRYK+9BT2+u5XNdJejphEA+7sRAF8Z/INn0o7q/9vyYr55MHYwEtmu6G68osNC0d9SvQth//k61e5d/d2CE3y+VbvalsHGmqo4noi4eo05w9tFs9AirpUDTru84fGFdG7afCi0aDPG1cR3LLTD07LncJ24lMO8NV3qgCximD6xXEroFzVUeT4PvJew8whyMnoDmboNLmhK7bWqVlfeJBHs2p2xOBxAVre0tRViA/vJ4TVxwWSOEOf6LAKgKgk2dOSSc0MFI2RdR2W3LV34X6meLi7YqK4/bG41bbaUKG/p8ZrAFdeMQEoVliSW2MG3jSiRO1VFNGmvhgZRt4pn7ooxVXX//TaDAuWLeTEK6bT0Pc6DFOI4cw4yx3ybp7NqjlJCXgB9uBpsBdZY4Ydb/RwyXnP60hM+JGKIeprppRRKkwMDIOaQ57kv572Nq7bAtMwnrHEd8cpNvhvkfG/K7rgCIpAq+Hq1BKe3RhbGGirQbB94FjyNoyaxIDEPbdvgmyIN2Y/iyYdE6QVOUsao0krpaRSjeqdMPyp5hSnWM6U5Vde5onECoii/aI/eMANKOy7/InIUPp7mhZHy9DNmRrAIm8A76HEx6AUYiDHI57vJt1IPYtjLbyQvpOHIqifC8cL/Sh7nXJXEdw8f/htPJaJE0IEj5u9C5shtA6qMt/9LT3MxLNeIcAxwKLmSGExMUYzO0T9TXMuAW5FvcFhsxoKilj+EI0LaD3IrmEcJw+0UyoHEu+08UCpr1++gRufejhtAsVgNdU0KeQCp4a0GBdD4yu59DE5AM72PJCl5iRGL2jLKUApJrEtL9/rj393tRzCbeH5Q8I4WaAQQCBVY1ZBDQG/1J6iozNZ0paHxB256CIWcOLvbMzikjqf0Dx55TfZgLIO6DHYwzPKeqHYZjfmTuBCco8iGL8fGENMbxnb54HUDM3oJ2sQqQvrWcy62f+8QiqI35xu5QHRdvVrNhE4BgJTgjBZ+bNIPx7xo+b6S25EX7P/rwPEExS23ZLwzKMrbR05MqWfk2Tyt0DBy3cDKAlaIaQqwGNZFU4JyWlUGYUA7B+VamCRrNYfJ9gTTMT5pMqtszsffBh4eL/Rcz1pTFof/P8IzeMuu7Lm5k4jVd4WvUbZtzFD9RdbMJ6UczgbW/XoDpCfwVBTmlT2eWYZzCihAp8iB3Coqzzqo8WeeuNDbPwvIC+49ihlM55Lb7RFYGn5MLKu8FBoR9gqmANZeiDXDjsaEUbwEw2hCYLpQLQqMFz5iKe5R9WhhEmcRCdVEttJH4M7PEqjZGVMpc9KGCAh1woKKbVUovh0aMVm6uPhUmEtDzjYXzS+OrLPZWf6sDGcecRe/J3bZaxpNjhapp7Fcu8YXCHRu+a85ddKsCI4NMO26FWOwS5AxULsdTboppS2eijWVf2ROyXQJ9OpWrmhIYEhaUWPUsKyba5Ekf8lWkTSaXQw4Br6cJ4SkLjBdS3nf32t/e27kbFJtw06/d6Lxl8ydUFgvnkV9R2apBu7qTh9g1W+waqrqx6UlusHGD/ijvNJxEvDpo274foYZyKRiIMRYt+ENmQtRinT1wP2vrvkA1Xd8ekNmOUAmQOFPNswFgEUBkpPj+J51BmzcL4+4t2gDbB+slGaD2tYis7iMQGA1TSwKZLYZSq3OLCPB1eUyTqEd7hq4CyQdhvqSEvl1jiMasQH2uzpAKILShFaspawyz9qh5QriIpTEk8P5yKgoa+h0ZCMXM7osaCa3RZVucnroWnSOvIpEaVeTjyR/7vr1/he5NfLtzOo7CvQmYMDo660KLi28JQWDy27TEgL7qGDxyW9YebPXMGCUhuCAIGnE7mreumoJ7Dulsd9T5gABcI5OsAIQq0QY39LZ8V3vyHZMkF53okbvXTzXa2gw1RLMtU21klEEe9DIzuQKbq4gibI0Z8EoHdGPVn5Onio7KoBnjH3gVsZIMc8HAaIgdsf3RRDkROiYsn18PP/Uh+yJYnls33erWx3U2M+Sb+W9rOGQjW1t22nZueO40GHqQu/xmSwO7GIeYkXcJC5UISHtACMuZvF5FuUkXrHj3PW/TK/25YEoqpiPJBvPPUDAZIwPydy2AKpQuMwEmMJc2aKs/Qx9Dn/+uaAFpgPV2cbWcLrYFqRFxM85VYZAHmwKBFvldzgBLJV4sMLwbJkeboG1+vRn11KIDedlnqNGwIWlkpp4vJxUMoLL9GIrQcR6a0XTFzCaTt/kKMxr8lmSxc/8aIv33T5zqPOyOctVdo7Rd71VqiOzGmxLF78dzf4YwdT/06XMkIFJCp+Yhsl+zMwnfADIdI9OIVpeGBKcQFDoZLFGEbULE5/PqtIxwiCa28xPpOpYk7l5w5WHWghWY4B0CkZ5Lyq433cZLe461QCVCr5Ky+4LEIXvSuWjfJTLKQBmglYWfP3uBHOBIksCAZPOaB8AwdbpfQ5NpqrH8J+5P+IIFSutaPjHgHUyFxC3TDpneTbBSrz7oigUoZobfm4RrQUqfzYzL6x95QYGx14acpq/7pzakCeDwlGE4LQBLsIA/XtiP5nRH7pSKyQJCDD7emd8WMHQL3XKeGUi+eKfxPRK50Xsxhn94TyC+UTQ7yQ7ZGH3xq1hvKRMOqKidsgDXIY6vZZf63822DqmJONtc2y7FhjNu/BDdi6q/EdZlK7G07iogKRjw6UKd1k915r94izt2tJvIaJEvjQTI+dGVbH0XA6KN8vEV6gctoXyxvrzr7vBY7t12xJvf0lqDsAj4gyxp0zMqmtGUgk202EgIwuQW0XRizpK8etulbrswQvdo9IMz61HCkSBj3pCxKNrcg4td7Ag4KnLcYDIXMsds/6i2LV6igMn8kcH9MP+VxHJTMtOwPMMsbN6lT1I8f7QneUF13BzgGGofwe17mbJHjGrJGsr+yXERm7U2b8MXyuJscKgnCBQEUgFzMa7VQ7Xysi9AWEOR2Q18SS71cnHWsWRsh5IM+ZXxGC8V3BeP+nUW7YW+TqXRRXMcEL2YahShjL8iuIwVXYOmr/IHW6Or4AsyRENNPaSJED2b6IR0SlTTPkqF4B9vOM7Sa9e4AwyAnRCHb9IiWoYIu64fO4qMSkK1bXgNZTTrAJINlUuDoLpGmZZWW/iudBglwRGyYURRHJ2xFdZ0dlRjrwUfLBfqpnrJSccbAxpy2rkWpZiPjIYGB7+fyy/zFO/Tsj+wy8DZ2BS5M1rIANr/2V742olPHr7YJDMpB0Sk8Zo55c7o0rJ59sJdMLMDjf1yxzMRMqpQZk3pDC9PQpIUDFuEZZ224MLo2y3ildWLr3FdOBxAQl9gmW8SkteH6OpCqx8PX/SlW8qDcgLDLTKYfbZmcZB0EYtwbOB/U7cYrAsGfTITgxp0qRv6SZFEwZLI2tw5siicoETzi40cwV/nY+NCAUjnD6RBxAj37NWRVKgtkSbSj3e96PgK1OVkVQ4jF9h8JzNn6BZJ++p83nd1dcJhsU83zaMgfVIBxcLkkYbVwCwXX8C8U68CNTgRrFQCNgTkdFWeWIXrRhbDg74mDh7bst7Y1O75mvSLxIYLfG3j5PbsON9841UdzL+7BEsqBmhkE7hlzrc88AoCNEDwWy45+SSPNRMtK3US24sALlEad2Yh2aJNG/M0mOJSk98VFCAoZxJg9MC2XozEBz3oMe+Ul6l+elzQPIKZ/EJX16/m4GwVHmHdERVqZ+KcHC/h70EXAoPz9024IJiYnKfIwvSXPKiWcXxx5VTYG0BawP+v3GeMZPVz+7Cu49GR9diYfP/AIOcOpX64TQdLGpX6WoB62+7SpomLbKqdEoIc7jNcgCFiByBPSAqWeCYcnSMBB/NquX9aFiKtQ31TnxABz1Ztgcuqiol+nkt7KfymCmY7Z2NzklnfhERNIaYJaIGPvUhfhjazgxm7+EgWINADmJ8Jh1HhC+MFHV4KAvjXFsiglP3N9T2O9sNDVAuojm+uYkxOe+Doy1nZbXzvP6IpjtMKaSc68VrPkGdqVTLJK9wHcWzrLoTPAE5jG9h1y6q64v+Q1Fu1S29Sfmu1q4C1kk6muQMYDXvSSO2Kjqe6U7aozWXoehZqgxXMr/sSMSJP3nLn51D2bpmNBlthji24X5aRCE4tRZlZsCCDzUCBm/p6fUwjUEU/tUjo8hLggiRg070ZESKoJB+73eKN+yDUu3kNGRa9OWCMHuzgd1P9no5Ru4EIWAOYZQEg1UCmdMMn11doG9iM8fzwz2QYSnBcdki4iRbrZ9XoCuoyK0XcQouSgyshDDkotuSg2qafSorUhw4RWTK3LarMRzFgBFKoVEMtCvOE2NlZBjKhRNx4Jp59rdGva9BGs9J7DtAKhMk1peWs8yDZbXtzThl2/5qMBl4PKvkm0e/xhm2dMYP6pD4ONkTM28ci8RhWmpWSUo5TZmAuCiC8kyAR/F0SC6ogN0TDLIyAIqQpTjExfuCpHAu4V5jhuCxQ+eZM8oaAmehaQQbSwE5fZA3jIcUjKZEm19fg9xaCFQN7hVimCCyCvB1nBRz4bolExQpy20IZx7X6egi5omoxBPXJVbUXisa1rbVj1cDwOuPYSZAP/9a91IB0/ondiV4+j/CKgaMNG2hj/9eK+wpEsCAd2UiPvh7sN0Js1KBbdmcWPxOSMbi0kFPh7MIBw1EzPiIYqTL9BbPUxrlElpFH3TwlVgb1v74oJI4intsJvFEaf2gg1/hvHBbRy2LUCIZvW4oGiR4MUv4lyyZaaAUSGmyRIyydTe4/2evqnQevG/Z44P4FQgoeK6QmH49q96ehYl2SoPgLgyPwOGgLfRIlgAn/aqtrIoKeO+5+qwkE64GNaodn4XNsnr7D1N8BlhWXcYrhkj2TzUMxp9MzA7WJoYEYgyZAa3qhJDXxyrnEIMIIRPGX5Q7ws/IUFZLnaN3taF2owGkQDJgdIWif8yW0SEHJSO0DNfdYlh97RnIkKjI1z+jyd08zOUXhOIaPNOeXeDTUXhjGH46Hhy0m2fiIjMjY/9XMQ1L/BugYk6YCxzUFwYMdulxlf+IhEleAp0ATDq5wYo+I0uMLgoa/K5/x/fPQmBfeiDSmgCS+E8POgDckcfbTi5ZUKLI7GDGXtTBoXvCNThh4hqsiVpdVkQdl2JP4oTu3FL6CiRSNxthqARXffHWHQASueXkPJGtc++hM1pqunsuaDfNUb1yKTb1SuqudAniS0P8aFJsnvtlCT908XNy3vloQTTT+bVGAGkoiGUdQemjnSQKA6HMBee8Mx/mlUzjAiMvwr09Ssd1G3RG7VNR1UmbRBtvdma5ODVHgTSsaaFxpt3c93bBc30aGALlOeiEH76PVkjW63LIfIlF5ZM8/ZU3rv7aASL6Bd9QVcl2YCrHESsgaJdxYBL6vj4o2AAAzz6qG0OaiD7QA7Kwiyt2xwuSis5LzpLieHpJIFVreQ3YimxZySaNeXZKH0llcirRpuRDkSjV5bhsQrMrCd1lWEURDQleRY1rymTZnKrpu2zVCBTc3+re7WnnNypgSPOBWhfF+qDNDp4/CTiHQKYM0bFJcZMYVwvp3iAcJpVaIW5wx4aGLYJ7PhaETVeA9xcuLrheplVH3bvkNh6zI4Xnx0XfdQ3+6Hnh5ll63cRt4lUcSWqg7MMg9sGe24VSXncjceftwZ2SyMJxdjrMpDiEcBvAN4+fd3OBmasSSsj2SrmViprSmzZ5qvWoPNJuDbjuMG3zQb9EO9S6o0/pL0VZACOU+hSHcVAOG0LDYulKQmJUHP7LLSj2mWZVumrgY7Sd+UITrIecdukybL02fHq3/MCwVExhio5jkSuxCLkAnEMcWEfusdFyuBll8fkBuob8hj6tg6EPesQbmFMR3ucjJLKpR3RKfo1nA7VQt4XVg1hQyPgrcL5i5pbhnm4GBOqVAbmON1ZwhsjvlJZIte3/4RCtQ/kiWTlbzRpyfI+BhjAcAz+Fs9Cux7Lokr74POuS7JuMOagi/rHmQ3oHnDSB8Kp77WrKhRiLd/Z2StOT+piLgF48HZIUtD++rZemgLm93DSy8D5xxfwDxENeYdGnDdK73rFl9mSijc4YLPWwjCH5AR24h9oEkF7zAf0MrRLFUcfT4MuElFi9MZbJUG/VY4wozRnoQLlpcpYZrXNTG2e8mGLKwc6L05VsdWhYzerrNMEANuxNVn53kFCXOG3KUqYIUq+58t3LCYFzi43iOAhag2xFRhmqDRmt9DEK+NDXAjP/UnbiLn0xZIluFI9PFElTUOg8bqcVCOwL1hNYGbrTHETqpdHZThEkrZv0B06/+LPVRACM5BGJ9V0wGuasLaI/e3COISPhmI1nA1WxL//0mJkr7eqhW17VLkwTsIwKksEVqv09piHJh1qMHR1eOrnizneGdKWNtbGERZkKuQpUOVzONoK7N/LWhWSkQ6pIFqi7SqIGPTmItXMu5oZidBB8L9rMFKmA5+TZxNrW/QhCyc9RIYzOJA/R193a1OsAnxFx9iLbGgEKTRVz1F5+OfesfJllOQIu4yjqtG6563zCbZBy5eHUcmOC0g/lnW7zqf6JXC8vzT2eBhgbmYo4PB8+mLt38mnO84IuzffWgavDmIIKfGWiP4m/Ypzds8/69n5Xya4PXtms+MY74CxigCq7SZZZ6pUy89ZMZh2XgoogKLzEG1qK/otLmDpjcidDz/osTPVg3vrSsfjGPcK+vHPfNwttPZToMwmAa7sEAvboYombJw9B23Ozpw5OYaP9cz5B3HphsJe4aYRJyDlBWpoBOc4+Xwj2/s6S3DYQKsw3242axc/xZhP9jssNw0OdJTzKoZMcawDNMBpvP9evRA+emrH9mPbovK5ahTAWwPsBUryY09Yb89WW3ecGRdmwJAUydu60E3mKOa3+Gx2BbJGKer8Wvz0PxYsIBDs/NKKVy4ES4okz8nWQ3QHuda+VOfTziLfIEjKijFLStCNiPmFT06zjaGb99XtPkAOAhc8JDZZu+ANF1CeXVJkHOmC1PBw8JftksLiLSNWdTRpLuJxYIdI3t1OGa3a+RLHNiDIpTshuRwDyiIW8GycKl5EUBYz6MJn6K4im6PpgkGw3vh5269If4Uzlf0nc/8fLzz1d4RWmj254Olxj2BIxbyTxnJuDz0Qkk4Fq1rWnSEKuhC0HwoaDThF5tL7n4uyub7akoZBik1wJVQwL/ZRB2Z6Z3dTYkdIg5Btx9Ms2FOX1ZzU8GioC+Ka3iMz0n/HUO7hE/kcFN3/0h2OS7lwwd5t00JgmxaR9Zse6+8z3lSB169E6mIUtu2EWxoqNKIa/jR3QzyEwgxSNEQ9skNuXZCDAyI+8s/HDyVnfFgvDJJbZ9IKjSCZMpHWLCXz71ow61PkDgNgP2Wn7+/MToAFBE+0YbFHkIEZk0LFQ+PHeH6Rv3vbN6QZiaZxS86wnrGtKTmWzAUSk1otwTPn4Hh4b8CGMGGlwz7q84pub53RY+BlL45Yialz+jWo8THWxRrGQHTMnssAnt4GnIymU+kp2sMBGCaCgNwhXfeteqeyrg2RtbANhLzK76QOgTB7QiRt9TT6IBAOtcM1xDLG23mYjJDZSBNIWiK2S85YBz1RI2ra7QUZhPm4VeBccDMb9aFBA8Fz+vwq4cCfovEippNVrjmKSGLEjpgzsjBQ00JOxdI8yYpg7aIh6Mztaz72Ifp4LTAFwkQlZ99fCCX9fCI74/W/f/2/ZdBWun7dSVCULSt8G38dseTBTNcTJSY8nLeebVnnNVqKrXWsMI7rREafIGAWf71BdL7gxBAqlgimAvbqRGENp+9FXrt0ISEk5OLqQyCiw5jo5FsbAFVs/t6T7w9LARgcWrOnoW1eDZ456N/WmIdlC67oDexZQwBlc2Vw8dBVeQqRNkUuLjjuZuh8Mu1GPTREiKvydQcC9Av1+GkJmz2rapTxo9703wJFbtjz8KBqyvtz5agjQCnSr54/UeDxKx9cYnTypOCsBNBtNbdGAeGQL0UK1aXM1hndsY16vtksB6X5pi425E0f7BfXxGrcEWYgd/ek6/LOzKOHyp3LPj7MqnB6lO2OTcFHxq7fvcFdg+l405A5Ga37iT7orDAEiHpStlKH2DgKT7r/rJ7CPQooSRae7CyvWwQQ+d6w9WCizvgDGEICZjkFxMmJ9fxWBGAlvIrmdO5DDy75319n9yDnq/ExvZe7oXC5c+Yoh9HFbuwbHgyvafQFSdgBhj6+arZu4ZKEcG4KMjEneaYNMFObTeKd0DJ0SIC8kYUOP+/Op6qkTC7pTh17ko1rxZMm701PZcokecnQ9iyVKM4xY4zXr9d75XUlS3+DZp6pE6lWWLK0isqenjS8Fg4FYwgyYD8OTmtIKp5Aog9F0swKwWv5cuW68ce+KdD4caGyNrl5D4zB5euQ+qncJA+wMZfeplEnPKDEhze0lsqQ4nvChdW8vh2uOPOZ5kdikO9u8PIkt2rOnHy7HVRBXK5z1vuNxTIxilGvtKnmYMhgxhW8AxIZhym7VK8AyaJrG/87Bq2F9PtsjPFwewbu06EwViUFycLLj2UXCirBvh2GbAza2yxPQVI3wQxNEd04VNQ2sURWyKG4/ETHCPabuuWgwmh3LcnpN1vRMkJzAhcsQsD9DZmM4EaexdBdeC99pGav3+fGunhGBLZhlIQMSzNo+l223lwt64cQ5Xk8fnbkChaOCCK9oIHK24A1MgAWCs43EPs+Q//lrVbZ2N58l2cQYy+llNFxW1wMS8qRTAsyW0N8dyS6fKtlabnpWISO6nBJkYXnE1jPrBUaS0tY3qZ3yIdqpBgnkkLvCHMqbm3RxzyaRFpvxD2Z6RA7Fsi2s8rrnlGE0SlMLpmRNOF0mjnEWdzD7j3elbYVhdF4Z2WWXLECeH1FhhErn6KR6GA9mQ3cPL0gyQmawNKmyibsAYL1QGjAvKQbCEhFVQdqd8hmkCdznRdBPKGHMVkskBxMJu6tfUgGAFe1rYnsOpju3Wx2Uy8W5MZy193KN/yfOvnntbdV8xzm8C7XkzquQJBDQHH4jVCsh2lJaf7YYn5EeLzn4SLBqKwjyrODtL5BT9hFxM7cw6k0wWF/3UXyXTYvPKFRBR7QLPb05xalvLgkvT/cIosZr8aUImtzFurV/2UXr2/pxnf8sAvbwQLic3tcYLPNKZ+C2CbIC8duiuD37JSsC/HcQp4RCeYSRi770XQprDnjhcXlB/OOD0x36UN0JlxZSBIRWtFfiGLpEkSn3e4yeyXkbcLHNDN8YT8uFDZR+cR4AJ4Rcdp/2K2+LiHoGHEm+iRM4YNRJzQD6PiT5h7K4oaM5yJK4AzdonwljuQ2QgB4Ul3qZnoAMiBwt0Q+gveZX9L/BdWEvgIfn8hxOSUEqfZegDN+IHkqHDQDcyRbUvIKPIOkR0J1CKpIrCATtURZkYmHoyuGbOZPatvztvoK0jIdsf7MWQeUefwCC3TlJCWx+XtEcTtPQhSWWvjoi+YWmRXItJmYkUbWFGIHW+po+fJVpjeJakizJ+YQLqLOfk5jiYCxikkRjdaJCghVwOj6fwGY+AnSpKhBT0FrBTD5ooubbHpL3PAJoixVsM7QSqBjtdccFbeso7Nv7a9+ARpbiW1leuKyy2j5UXo5PXYysk4YZyh2AqNAJ0KF7uUhg5tVJ0km+PUgiMjw2atdCgKwNag29el4n6IfBocD1OVG42M71hlWkd1LCR10st4SsqwCjHDV5s085exKR1dUnjomhXUqhHpnQ7S9j2OL9Wu8tvlN8XhQjdgubX6S2rdUAhP/jStxiRL7sYua0Ol6K10HiCR0NEokyDr8I8R8Xu08bsw7OIUHdZJ1zP3WwAVgvLwhLUluuWQRmrDB1AvVxc3v/2iuwIE4Vd6W03arE03Xouaf28ifl46oxYMToTq7K1OlrmuKceVk70Z4TfCPIQ+Pbz7i7TWjGEAqm0wrC2Pl6VMv7fG21Y7Y5QpY3aValskfX2JaPJ0VsMNb9nEMAdH4/T3oxzDB7jr6Mu4sxZL7+BgUls13kYbcLlZE5ZectL+yvDy0oyVly8GAx4aH5XHOjEcqNyZzhdn6Je60BbZvvEmdGcv52/4QEuPxiUscpAJD7PX5BqjUbNfOCkg6Nfbqfl/C9f1JioQGJRmfqfxaAc5i9YBlKwE+BFxXaMwUhUQZrbShNKKg8lVUWNMPPTB2+tswdXgxGHFp07DUG2N8dnB4mqdtmBnEDleMaMZmZNz8Deju/uD616MjUOBEr84OWN0WKel9uN4hES85A4pbvc3cC0qnCp4ocZdDfqbkTxNlMenh2hgfqkfNwFREJjJ36uwyQyDQzCoYBnrSreTOHXHHIbsrZ/kVO4hT0DttRmyJonsDZl5aRpc1hc6mQ/WikW0gcouzikLovq2vBE7sw5nsL+B3e84re1cRgNLF0cZ5pB0gC7fplXOBeF5zUDWxfUqhFTGZ9Xnm8afp14VrXAmeV8bb+9VFNFzGgPzozSADmgdGu//2EaiwVxVHswiSSFBiz9apG2m2UE7MBQ/fT4upCbg/aFDX1EosqokrcWUUWZ2yG1YUCR/sklOVp/7Uv/JPtAoXoL6tj0dAjkPR8hJYGPiwLIMflZiXF5zSB3o7SwmW3UR0wvcHLZWazVuk2zeVHJIOQ4KklOG59qCsIrInI6cWtffALbOS0A8agNJ4QQwxpWSkDBLWL+R07MI6EPizLmPCf1Psxa8NiAdJeAhrgoY2s8Hcecei6zk0flqzZ6h+PufJFOkFeJb0N5hRvhkt8I3GhEpcTYNnMF96NVw+tw4SxxDZOt4gZ9B+jaPu7mK1PY0xyMtesMDzEagHbwpsd52eSZGnzwCAOP4gbZpfFCdoaPeNhPSvqkhIMrd4GqeB/5BMhM48icvedQNfVPxp8gXptNIsQlQ9umFDz2vPLmee/5o4h/lKsNpVfH/iDVZnVvjGSo0oYbdDDQR8C06+9a/zAqJb6W6gFLt+n6zJdv/LxmTDGacqioVX9Nyvnn7iTBs6j55setZiO8PbINTBSkaTlP4jHVcig1P01wCC+DnpNvLkblH5FdTdCeK867WO14jVjlpaME5bUpBFFY1XJlYXcD8ztNuoUkLUzwuDnALpumO3y4FnDUtqXMnPFr/4+KqDC3cSwzRNUk7pe0GtdR52PXwVE7uGKbTdrZFAQjrZRPaoHWP8h30LRopg+hIl/i8aVoCOMR5JfU2UD7uyikx30/UpYqsUWjz40SE6GQryoeUPAOtwoxnEHCOaGLAVjjNGbKz2gisQhyXcmihWvJToSQvjZo4POUrp9Y+cb/1IhKHCqUhVibf3/Xbt2PBWRdmAZzsGoCtC2wgejrRpJI2+2l9gPDvAcBk/RyIjx5VVgUkr6jJCyEc28i5LF0B8QWCCRgGdQ/J6u0UmG+/fKSnppHFq0v9S5M8eFX3IArLJlPhgrv2vDJJMbquVgWvjaXml4C29C1K0wDYhHlMrAW2sgSYD+I1zivVdd6tFcZb1HKxyZsQaXRuCkwIM4PJ89QFbx4Ngu/XBnfvwJTinfwl0RVRDgsfooZ4XlHnbFMdhweRbkzzXQGHk9CXwO3KsKiFU0qDf3AmwSXVB57e54CsP8OKRlglq8wvdefvb6Z9fb8HcUGaJs0w0x+9VEXZwHEofFrmiyFvIprazBJoFpim/16KRzObVuWQIhTxamJtkOJB9J/a4dvIYHvhxwamkVWHThYtO0V6JdaDr08+mafDYCa4MSt6uA/uBOAgEr7l1UiVpvAwsPSmGZMd8t3KHNAK9Al44Dk0qoB99qVR64KgClhKQ1O/+rDqHDTIyrqNFRRw/sbYxie2UY6CSXFkAHf5cJaJ4nduVMQWhctmoNvNHUh1fnRLC5AAWw7pc5j8x5OFPUKH9wixxkoT9xiwJPJXvKgAeOTE+mMpxzAGV3sj4JSHQth9DUFzJtK5Gs5AcMcIsoCzZyq7p/qaaLctg2gn6bOHqgiRXilpjsyykk2QDhACBiRdarwulGdiAmU40KWD6yzxb2p6kDWpMEdFkdxMCmPr1ZVebqexi1qKYmZWv0hjiZsoelKS8qsX4mMBg6VSSXTlNSfDQh4QDonDkSjSXYkN4El8S0k3KfReGgkRQ19/LGXrdPd9s8bDIEIAKFHLLEsPEajXxns8FBNJfZLrRw57/P4iwgmghJKT2ItwhcBAZlbBUZPmzKDJPcwbEqaxytVtVfnp/qWvDWZqijYshB4JYqiFYHQuj7leEGPmXs3rBux69DY29obHhVnOkrKbTINJxt+O6MNVzvt8IP6zBhwtyDc2LOoJdwbfwoSzqROgdUkgMRPXb9tGbs+iQzISj2UYjiFaxHZjDI4DTJS7I1E5E2a6/BDCGPcS1k209kPE++edQ7YgsIuOIC+phdeBzU/5z35d4GoYA6tlW7tT1l/HCJs7Lhyk5S8D/+sATo/G8B3DgxIsTKi5vPpODudx5ftNa0UTdBfaEgTtdibkFfy4M3GthCxL86U0g4Fg58DbXfjFnEPrFjW+FB/D7Nm97fHckWI28zr1wN57Bpa+EIK9UnwPQHHwk5ok+6WbdCvryuf2T39nM67uTeLxrwrPlCCo5Rcnf9wpFd5KRm1z0NBTABOXdeip2jsUH4R8caCLyODvMlk9DN2kG0K1CEeVPsnyr1o9FeCjdUKFWgQyumpFuj3rDYjOCl7PTTikKjwKx7BHLR57r9TVU4pKbycjMoRYhlcRRhB1/ooD7TMPHdrS6XEe5mE4QyQaQJ6Y8nNSYv53s0zOoSpz4gsi4lST/L08utpkuBU1hXqhOh9e0swqFvXFks8l+Pafit4OAK/tHVQtJDLZeNzVr0jIAZHHP9CFcg8WJi5UQDaa1lvqnwHplYcthtyFXry1kealoBh7cBeYPUjRapxgHiOj5JR2msNYUBj4OD1rp2K9T4qzsVAD7sfWNAYhRHAyv6ubQPrWjCQzyoLKbvsnuV1jVDkMdzbQBk7NvqV833BWwM7IdpceoAGgXmEYAatvygVOZkvSbcqqFz4uTJNHlxCZuAyTqMsTwWYBltj6bbzMrwHrdqyyNmhtwxOupfKqbPeeCMrJsGc4k3zezGbDoQzINljpM7gSNeaw6JxuSoLKk+mKykYWNZY3V/cocKrnwHkyPicyL3PAYs0njCPBe0y07M9hrO0bYuT9+h2BVrhY/FP2lXEw8udwgwh9g7sMErdF6efShCSqUyQyl9BowKQp5FyWSMidBNJ/HPicQbiGJa5kWi7VIzWG/986DsQw8Q89HLFUGYPj8hWiQ1bFTstzeV6umU9wxzeBSSjuqi8vDlV4WAiDUyLYg7J+gIsZP9AlZ5AmKzz1FMqSwnqC5harKjbP7jfnbpyeveJTPEGlXpojlk7xuED4EP96TpV7M/EPig4JhiBGqOGv4bee5URXfK8NT/cCa+SAdCkvjxDG6aFxgTjZh5ZFYKUPkeDBDyJGTUcpZiERMw0S+h61HG9SUgtq2j4O3X9U3YgiA7Sa1tnsFATgDxn6VjKQCV/FTP/brWqdOJxNKIp6z0ZS9QtcjFPvKZjhDQppy5csx/sXjSvJlAbnfDxh8sjBrk92pSoC4eZa6jqiWZRa3MCcqwSLKCjT9IL3aV91HvSNloCNwI9pqRmXcY39o0aYfGby7+ERbxklBzS3V2SZfNccehhJ84j+1ACxsgC9V1RMmuyBEipoJ2LL40DBIOsDgEm8HIORnodXbSg6Sn5STr8BIgvBw88RLxKTyd22Dd9cI4Zgi54ZStXPhL+79f3typ61GUhydm3PYpSnkL8PSFsWjr2vDcr6vdsGCb3kxYkFyfp7ljh7ZyQqkFsMWpKj9T13Cbi4QAVTK5ZEPditMg73aOM5cRXsD+B5o6RInDOKabK1oUbrAIFITLYFs6Lgseg09/+ah6f38ofloP0yJvGXwHMOGWram7cgABh2TGoBw4L3yA/0XVGPoZyHdZur4/ML05IiW2PBIUAB3eYgQuBV1+cGQ0eCk8fAQ6i3b7GUcm7N4EZetOq32Ht3NrrAUaXCKJpiuQPQzk6Zynt3BlLmMTwZoZUthjGnaBzUzyQqkvMZzrofqk102JIgMLr/Lzm4X8pryootrRt4CIomRctD0gsSBGerL40JgOlkXkBzcA6X5H2MYJg45dkzuGE6BIoEPNOsdfqYdqpBPAoShYYQwPUvdehSSND8cbadaAKiTEC2+5ONXlAxz51nyPGFFY7Ex437/WxjLqzwCUH+wzn2KDmaXfVjpHLl5yX7z/zAV/qFFIOQbAQNbuvIWDwCRN0sfQ5fZvsc7YW/O4519e270wkAn5CyoZG+jNe+WJ+N6bw5ETkMf58r2qEJkAnjrgNgW45tmeLlL9DnMVea251pVapI2k2x40Q4ZD6kMDu0LRuLejK+OvNhsYM09B9pG/ENmHxPRIjASTMOYuOdxfexn+09Ualw/Z33w1D2LTVB0BZvPpECUxHiSIts8JR5V3KtJ5sg0bhL9nzn6rUCvuQYLBXB0/chTq0BzYysGHXLGlR9KMdGcBcMK8DXcfX2dylYnVGNoA13cNxdA6B6lm4B4jkfOuYrpu3W31Qs1WXtVDIdsXvA5fuKADt2dkIrSZlprLEFMozj0INRw58zQuJGkoYWvL63AGTFHa8TknMvt7CaifeGUfeiRaxDJ6Ta8qnysjPwMAgdoWgpEy41VNdKm2lHFIgZ9mjh+HJJB4AdeoPAq6h4VCeCXc9MAjZhsFcORnJSfpXJvIPfrkInKN0XPZBlgFnELIc97H3OQL5C7vgiMCRaOpstW65VqfxBKGAwYQUA1iyoRnYtSuxEUWrjVqcRBpFioO9BtdLejkES+FTurvwVDU8AG6p68TqRnQGTebojZ4SoZPKL5PSpk1/xw01x4+HlsdQBPJwGfzUSx9Dx4wZ8hDPYoUZkxFMvD+Pm90gq2gmrQJNex3j6xcKGlR7ihQpUAcevId2fcjFDNCvSV+LJBfbOmrrfTSfvySR835ZdUwEW2AinSB+SkWJsbCe2VoC96kDs1tIKhlu3rlSt7KsbI3YFJGOJcRIjvk0xXnnSpYY453Y5Hcs0yYyN/Rt6NPA+gA0vN8znxkWRrcnwBTu/DgO2OSkLVFWSwNYKT1QVlFUpDxpWMLqSf7cfLxPenqoeLPiBld0Ny0JghT80oR4VDm3dM+UOlaanmIaybRdPWQJT90x3hwbCQo435EVMElrRThubHJnPf5kdZRE7xGlPCKAvk/Zd5W8dthy28bbNcbH+aOxZ9AACw3IAIa8xBrQLfeR1MO+PxQ3HEOfQoJEJ1HiCPWeLqL9/QWebnzEL7C0jr2GqMOTfoBY7KwEPj1krwPYR6je+TrJZDr8oQ1CvqvKalWIadwwGXOirWwwmYXgrvKRygad9ynsawhtkWyOs+44yjXz6kljxumMJtPB7t+FJV+artRob1ol/npqS09I7hnYRCg7Z4MF6RIzhl395Rb/mES+6aSL1xA46X8e5HUWuzOd+H/lHq2uaikDzgloUoBaKEcb5GqLMYOUMQbaBaPg6pTonfpcQ4S31M7DoMmDEDSidF+C3RQm1DtmipX8j4Qytrhl3tRL0rTjj2pzAxZk6UN+fOY/HdHQ6+knjrk9MMsVi5oFnIJwYbqfJ1buJSEtBPbH4k/E0mBfwLpS/tWfDC9tF61UiuQUTI/Xj3trtElvD1vjCDS2u8tAdh+76dxR9okBfA8RNEs95GlF93A5YE8hTO7BdKJlNENC8SF1XSlv9els8vx4lSIDSbkHIoD2KFK6i2PzW9Ye5BTPm99ranTxmK/BxBzAPJKgKUwzRtLlqFDz/Vx54mRnQzKJmTNaZ9zYdOawD+X4JkxJbGYRjyR2V/zGhG8UJtTnDwxfpfmK8gNZ7ApGtdR5W21tlzmyf75NOB7G906Mz3L5hRNhorCDTx/JcH31DOhoysk7C8A74Zsr841hG0SS7FSN/PENIPG4NMfnEDPdue+fc/JwJRtey6Dl6CZvXeYX4HN8cac4quMqiBJxG/U6yo0DJ2MIZ0RjGJeYIsJlPTC75UqRP+ipmpyw40yKPVJqILh6TTisEEitBWMGaz2G+3P04j+eiZ2sGd81PchKKEPvojc8I1j4nAATNnKOnk8EA/rmRmMKMfPNJ0K7WzxcoqGFnj5MGX8mrJhiHDVwt63sxIVEqEjjmEumZZXXAVJEYB31Wj3Flum0LdKdVF9ZWdX7YtVIxup39EiGloyBg8gUs8ALmjSDL0bme8bVo63RSuI6+CT+Otzq/DDScT++sTaCMZ34qIIZMRnZHqyfUzdUvQMc2VEAvr5lI9r46lzbiesn7lFtRHSR8LhYLObBIlJ0/c0cNIJtd+dPMIWfb3G2BV/f8DPvOM9zbIaKUpNWRW6tN0c0gz1/bWHDfK5vMmA26h/RqtaEuUcQlBApPFCVu4Tq8dh0qP+xj7/MS8gWzbP5LSLTKVL9ezs/oTKdZOXEpzfLq368y/OotFQwjBZOriZinFZo58XpK8c2wcv6ij9DGzajzQOvGzIqtV1Z8dinxZdvV1+csTOMKJ9t8BAo32Q0VREaQMaUdMoKSBAdnjYfK/q2aSAo9j+3joudsdSlVDVmiPt6naCP6XNLauDS/WW4d01BtJncshTc3VYKKBEDZxmh2s6ROy4NA9GW93BPJZJmGRnaTUXI0tMMWHtoWL6vft00IUWQrwYbJZDaZbXlUlY7+IvM9FGU4SEYDS9oJzShLmvTFp+iMnzs2T3Nyo51xtOrHokhc8jiGmQp//jqvqa5mAqd0MImfJ1Ui9fEL3geq1j6ymsfh9CwpRpvLwbdDZB+4Oe/CBZaEVZxUdzaIvv9gQq/wlYK2Fc3XHQic8w37PjGVeh6im2DQn4UejuhRZnxB+Y4TiPZZjWdybDgCs7jNbGDCOguyJ51Mlay46zkrvGz+o+Q2b9iT+KPz+vH9cQI5x8L+dFGUYp342wGeucT678fUR98jluTLCdomGoCMYkKFZ9BkJKHgRvqQbjnPrttb39RGokfufucx2OuoGTAgoPNo1cH62xitxO+VnfXiFoP2cSwyMngyWvx6JYGH+FvAimqU4oYlEgjzLha1Rqi7ir42Z4iFqAFwQ6nJTUyqsK/+sweT1KRSIm4rHCaHGur1sEvKu0DPTybRkmFu/Yzit7YsdhH7D3uM+vzev7TyHw4tdpkbl5Tr+1IG6hXmW2xNUCJFl2DFE1HRpWDUVwXQ+4AlcuN7gMRxmKGa9AxqGW3jV6RTdj7VFG5gRkxD20E1tHEhmwWfCNaSkHWe5FqE/XE3AStBEOWIVYr5+IXb0GdAI/Pwn7pDsElAHlPoYH+Aq88H6GvICSJ2dPiG6BP5k57sGXnfZUADst+SYIvD/hh3ym6BVTS/ppavnZ16xJOaNNJ0IhDs8D7N5eAeABMhkjmuYA80ZjrOi2EpL6g3gCqRmp6mGeWXJzXMlWYmu5RLjD7FJG0QJq8Z9GaE9pGxwFo+lj9whyMOOpb4sLavJ/GaLdWNPvg4++JnRrnTXyOe+sO7O9Tsa+gOMTHFjFhv1H8QB8oGxSsFcUwyWbh7gfi4se5b2Kws3KLadGK4lQSa3KPhsGw33oEZYuT/njwCkiXjipMQmMxhTYpiLfsoUN4dmsx2fiCmhQCU9x4RDDXQu4vs83jpzRNUb2+rJSY110NXgjaH+TJWl9NheTuBQ1AFz7Qj3J2XXiTpeK9Y99XR4wXm70qykZquFMUtANPNu9My80m7bFVvjEIXPlsGrcC2sjv8uqifQgycYr26iRbLWIuKJ5MCNk0k5hMmeBt+Uobs5x2py2sGuItUAkr7EOgsT0+KU9lgt2lbY2+Niy77UxLHDvhuTmMfkKKVOI2BD07AQsq6UxtK91gM6gA8gLm5OeCw7x2FSq7nbl9bDt/4SjAJZKbc9b35iI5YbCcpVpBaTaSY/39jrFqYTqPyiYD3snW22T4Q83x7pLxp5y6tYbVaPEJ3ts2EHE/9BqX4FMNcaMgon6I0mnqCdqNjF74oJgYk8Fy2L/J2keAnwTsf1VvkyCw3PK7mv0I5zC+3QkLnhmMSzVcqY+3HTtY0+R+ZPDHFvlG++3MpolLFKl/aJU4sTd1d1jzgPIXN4AHpsp35GCt38cH317hGC4RQ2+Iqdnx7AkrRcCIGCRE8sZiM/urf3MEaFj+nvS8pTtWLwlvmW25OYKgp9SlCozamaxqX3k22GsphWWtgvtRit9ucPrIT8G7gJ8fx8Brx+nXQ1EPY/yDw/Bbx7ZfNw8pCnBoQlRWsgPIdLsBaZNyu4Yc6V10FbsFjHou+A0mQ0Y3gg5ce+bJ5fdTJN9VxPndDD0/AE6PSAWHd523SdxYReCY1kDl6x5PLTYmb1A2RgZYTZ5i6uByVsBHSZDoL+7FZH2eEPasb5o04gAKrmKyh98yDO4n/aHXXQ4Sha7EBipw5DOWMirJ/5imC5YKnfvbLWwxYJhDDoH6xOu0p/TVYcg6PyFd8wiHGalqk/wjwZ7Vn1WfDEVhf9OVGqS+Nd2CCQFTtrPSD9kxzyzmT/pt6OrtWsgDO3hpIlpqWlJZSWlR0KuO8XL9jZT4wTmmr87gV6bh3YrfDSkyLpL91jjoekyVNiZXYD2jTj5oU5lrzVSpJJS7+YOFok4j441+NzycWpKJV0l1pLjYKpfHuAEz95FUK3Qws9dCffBes4+wwr0pn2i7cklr0G9rRYv8s7bSuCpygKADi0MidSR3cd8Y5ARds+joW+rM92sjxkCpccIH8ZwujIXbkwf7p67tvZ0uSFNkHYmvjYnKdBVnn0xvsnvOUDA3rjNp+8Z8HDITNHllGklH7EY9mt1OO2bdou9mfFcD/Hiw19T/fHgtlxOIl9sWS6BuALT/33a2l7VZn4s4P3S7Jt2LcoAeDcXy6nrDkU3HC7lgtB5mhOZmphoTj8qPqKpHhTOvce5awFpSw7rLYb/rL599FWBcgkyu17MiJ86ftjK/GMB8Z9SJ/XFAvLMOrr1jvYntGQ6+6jjbm9E1XZ5HyTxmbVRa0AW4dVaOdH7rTDB3Cg4Scirf8hRId8lPU5CJ/1gGdEUkKyAGCVgZYoWPYqqouRT0moWARSCkNbgJ0cg4xchuuKo/x46ybgqiAJ3lq4diKp/PD6SifNgsr0Sbi0I4MLqiqzd/PUa5APhSBOm9MT+WtpEYsBnDydIxXQnIZ8vAHcL+wsQF1Ugb0ExclGn1wru7ikxSda5HMX5LgZZ1nFVWx2Iayd9yeYzK3AdNv8/pA+/K6ONXYEmUMKLumQg5LI22BnH9ZGerDSmnFb10KvvIxx9ZqR9PMUfEki8RXSCOPsJvEtFSb12fOvRLlbAfS4hqFlOBY8bz8vbqHkLQqVnSiRLMmF8yobqMiFnkADLYejSgiHyf9JMK+DRYgqHl44rJoObTMCmJ4jFCyNp3PVMZtP+cwSAjPygrcQNUVrgQ8YI6eGpVFTa0+1metjCEqWZ5g0XCEEAznmkzGtrru8OsYxCq8UvddxCrQTmKyzISwhKZXje/UFyshCrlwJX5lbD/KXP1JtUXt5khZctzjvFJyFnzgwCAZQtYYlaDDtQxGvmEaIjAY3DhwRB2nSUwlDufFMygS/3c3LIlWVnjUbfT4Fl4ebOc5KB3vpccvOxlJsADvIQypGGQpXPfwM/Bl+0kJom/kVAXM2XQTO99YeeztFjvpmhHcLB1KBcqgghcubDQE3LTyrHXJjysBoFRYFDhHYDQniWuQ54FV5506QQs/vHv8GkfTN177ZNR6YX2CsIS8q8Tz2VIL0XIDTJILgDhwiGbT/fIpFu2e/cMAHDRAwTX3IkddqyLh3tZqxsf2N9Vo99Xyh8QYglnjUws6mFN08DZ118Huh3ddkYRTDgt4GmJkeY0yiT3LG0tUsIRrFiA4uhlAHkiSpEEwT6R8+FYiTSdwNFZ20VARzKzCZoin8KABFfkSHf7z8rHu/dDTBXLfF8JwHU43gkgKkoZ3pGlzxOahFalFEdajCILOcf/USlm8AYwmnda0kuF7ohcrWfrqpQ3AUGVX6dtTjad8fz6RNDBJAK8mxHvUtlBAiF5UV5xTINahbitV5f/mIpNmE/YVSMNSs6SMD7TCcRqeEcOoUoDePELMM2DNOhCPqz/iuL2SD7qLVuTRg+IiMiiXhV8zwZ+i81Cnr7g447LT42RZQisRw/qVZxgB4RaCETIVHX170DQm76thGcBOImC4B1gP+x0dcEaThUGOZaMVih2dXzN6oIxKq+eLoCPFCxOdEO1twv6JOaUpFOxzbe7fUYYjfTWWebSlZrCaneDOOPe4Nd6U9PI93KEGgilHBrdttUDC0sSUj/Z9w3ZvfbsuElolVAkUGTkfN8zVRXnQFgawRTH5K0nPpnYi6zESWbuFBrq7LunK+55qD0VPzgaOdgosu+cr5A9eGDJ6/tJVEb3FM1cW0TcW59ck4Aj4YhO5q+ihfJ7/F1L1THkpYF2Q4/yJl1OP2HJtgBUNQb3iZKDMcXaq5AojUFz3wQb9TXgnylwHlL11HeoJ1KSr0a+FPFJOajzMHbpf1HlT2obNP/f2XefsnUIIyUZEft5x5PU1gajXJuVOFm/XKC92WyjvmQXc/ga2C8QkkHRQ5zznEOvhWOpWH561VYR1AHa5Q3jfPhNTWyZKkonle2gBNB9ZoNlqHJJYRPfEFsD3qTgaNHTlP+taiUKi6ZWrpXJ1drdDsqA/YnoLK83XnvtE52/5Vbzh3O3BJwC/m2M3QjPPxlQMddlXwN3fnLutArC693XtLbAjNYSOOQ3rPtNvnbHImpnw2bZnzLl8il5iTwx45csiz5DhbHxTO86hoWv/liPtLH5YXyPNS51e9jHho1ab5dN5MEH6sTMG/Htbpr1ETjY0ItiJYBh1+uvnrupd+/SUPdFHFuj+KaaIguJCiky6CO0MeUKX30L6AytTJmX0YBYgptFIl29BXrHcShi7eH0IejZB6w0h/aIOomDtIYSZWnbsgKFQWK/FXBwN6pRiqywejqqbzVQV1M3EqszGf+DlLxbKQuVcDnGbLGymiwqOaT6zk2i0KiFpFPINippmOrE7d+YAHJRBLjhCAbI1eGrnWlZ8Wt/HteFLGcponeFOIq/sWJ/Mi+HfmbnlwP9qurx/YlLj9IEIwiL5Z70jf8l5bfPhX4DV4ONkyhTyIvOy1mnUF7leaHGmVoT8iGciMwoPkDYVjBgX68cnrxd/X5lpBocG/QGQXIdYh7gig0lYgZ/bSHE/67yAECvYe2cYChyeWciGguru3y6sVty1k19Uvjj331Zy7dPzsWR8Fw+lv7U0s7CcTPRHaujgHLwg3R6Q4G6T9RLp2qy3d0aWDoeo5t2Ib23feSuzHzQk+NUQoF/yHFFoSkt7PgwpC/VshH6EWicyGXekh1cEEpkZxpzgXI7KtVdWroB18pp6GMNfzU5NK5yGkLMvVPa5AwnTvwjh6bY0kbA8GlJSyB7qW4oxrGR1+ykA4ZkEW+n1lQ22/VOyfAMarG7S2XZTsSX1fTNQov/52rltMm9TGvvsvnbuMRhGSwkCuADz84YouEq4+fuHo7rIMMoi4JcWchS973gewZmLdHWWumS9ysBzaWTLDzcrxTHXpyZ3M9N/DBwcrkXlVK05JPLVkkFupXCsDquAoEQUtEbY7BdekYblmRbXndChBSzqJk/SqaTMnGr8l3nzx5MhQxFkOGcRkO7SZSWvpVJqsPGpCzNCiOym5kguC9Xhk6IYVUTGEseDd5hbBGxFxTOS3M0OuDqdoPiPBkqGly67yiHW+B9/HHCcBl6XWXdnFqVwDrMruZW803sXCh2MN5xzc1Jxu6XQCaqAdtW8KVdogOAZNCsl3XJui7L9KGnXL+zDXeGkIhaOxp6lu6+Zbq9bCdWJecj2BHrFn5a+0P3RbQRenjjbop+bpEfcOTx2MpQ7DYOGK4opA7xT9V4JFe03N7eUB0j6/maPyFCw6vfLVjqFbCi4E8LNl4hSoPwXlFW1GDum7hrjtYJvSmPr3Dh/ufd7OLHBLY4ZgdgwwejfuVUdQCw5kMMVvSWIA7A9iNMQO4CagAZO5+WGLAQH1BkiPTtpeKGLta5RabrUYf8A8gASj6tG3GiilI2btRbSjuLA6Ik6VONyl9pgn+CAj5Fe2VVlDeXuSdSQEyJBl3JuPqkdbyOmPMbX5atafwMy3F7OVfMp0q+JfQdfTwKDG6pi5bijvY6gWFh7edskMY7HZNhATypMhzAc/Pa1G8FnpQzUDmy1DEa9C5edfaoqyGDO6SXzUU879yGz2WseWJEJSMFDmr9lO/T1dkvskBErjSTsZ036I3Yn0uRySv+LCINgRLqhCjRU0cYgdSUQuAy7kVBOa2E1JhBQChq6dFFu32Dlcr4MiGo6iSsvOoPNwUsMyIWOdgyRgveP4BF8wTBDQPPUlGxjk9W7droy0NUKF94EWO0jcBtaqytvlFIno577eW55PF9mVgRf58HvNHpnTuk7qMLejz5609FoVwmnMQpoV6sNoX9RAMHtiQmy7SRgGLak18QdkTCslhrL8c5WOGwVDOiS4K/hu47MgsXw5p2P3ohIh9PEDVcgCac4XiQbE5xZcpmZBh2Sgj0806jlaxx41xe5uG/QQALZxxQ3CAKtx6qAR8h9T09sOUdfNBgqxK+qNeDBpj0FEoO0PFEYUGPcRttPvysw+eM5guICkQgUgCgUJLKLYrp+lDGQy5p6ahSOqgTJPgIt0SdC93H8DU0u1aYKqVRjgpmFIW5DAh+opMLPvjPQQKLRvu7m1gEF5cUikAA2v3vpzyEkakb7G5U0ZMACSg6NJI2OXtIcVkvDKXpSE+lqIPyXhBfyUzmX5ETUUCu7k6UODKRNcoyq7Ehgir3GjNVWr8Xz3Gco5krWVCEvpfHXhv5k/T2n/2cMfw7VgslqNzOQJShrYrgABvCss7jgHIKRfXbcdBvxX1xukjQ2KYnxddBb5dsy4P9z5Ar0Ow4uCMYexM8eCns+fzWMnzqRpb4ieVQTHlGtiDi7EEGRrwGa/G9EP7Gjvft5cCrUaJz4nVn24EK3hqtTcSbLlFMr7cVH3ymSWBFT/220x6K2FguEZuQF5AcWhmLSeuo5cpXIkLhq4nqKtEbQ2Mxot4GPWA85pCslQMwUe4tIF2bum16LT9TOTjOhyJQ5e4H07zsG9YwzS0B/Iz5YQUnozl1R3Hc8oP0wwTQ96eQpoFOVuIMut7nWqy2mGXSzJZkJQM8OC8k5kUk4M9QsM1hNaTwFDeXq1gg49mTpj+C7QniN4C31BtBDbRyejfY5BzpoDq2xZqb7YWKMB9pAQ5Ep7FhHic/eRW0eikBw3Q9bkOfWEpzCQiakvTxzTnQskOKsyCq+EdxWpNZ4fviZlSV63dEU61YjEUOj/B8o1FsUDkKzTgV/3aCi9XC/LL31NTYhcksacUchru3rhryQ3BGkFbh054uGj65C0YhTA0e3MkXvQ2iae9OSgFNk5+6wZIGr+00XyQGpWCcq9re/8QVM7zq2WiE319bVG7UFNjdrsZORgVBUZamLiWvyMLW5qti5XzpITtN37jUrg/kXYkemBREJi/OnTliBUFC7XN1ndrjDcu/9lw5L4nRX9ifW3HngUkjsoeMYld3Iz7UmlBI4ZRG8k+/dwK1eIp0QMVrLueGSodDTFdhNOvT0Jde/RjsXkwzcgLugZjZqrbo71H8wb+l/Q1Lk14x9OkCN7ObzPA7+B9cBCIiBBvUGdASnqAA0KLPx7V9QNj82Ov1jqG8qEiuEdA8EOBgVB6duBKCphBEaww77dosAIgk2ohZz1XIXFLuiTfZIa4bSItzdU4ekFLujWwgT5bVmhSyiD8gtzocqjtvbLk8+LEGAPWk/m4lnNZjoOK1P3HoyFTbodtKPh4BVjZT4nMsih2NOvpqlVmxuYRcZcLlv3kCQtEhLV5vBib9tYhNHUQUdjjxG4I2OeLM70MJoeKPf40ypRflbLQe7Pe58skqJgJ9HwxGD708CRnSqDZvvvANK0V59kxEWoPFZZk+nhxcY47XkgBFmUyXI6bn/fLnlejkdRKpGO9KSfX8ceZYoIhtMYi/tJiXRVTcMVMeSeQYValFZJxc77gJeC9OdFNMMGrczGd0SWW6F9MbQNEMzEMv3BUFwhlxz1VBFYGfIDyw21+Lt0OvRAnjjUKnnZ35zRJR+RjO00BclFFbUYbp2A7/NPX04D4XARVMEmaIIRzs+ISJuaDSAVyRao6QbqEIYOIZ3qcvUb5NQMaLczI4+UDSk1YNGikvMNIqLXBVB7hxwM8Uf8bOy3vLAtFCCAxCf76rlkNTjgHmGWE+ElppJ3czkKag+a9eygFIXG9LJzDVQ3N1ICT+HTAGV9dN0VWtGyhFYoxBzNGwqXccyT5Erf+OyrmEbo75THdqfDcmTGiKU5HCM+qhIBJVmZHreMy7XlA7/AC4fBK5y7mmBsTWVAc4K2L97NQubDPBhegsnMm1ukWeY48GgDk47E490++MskdAP83dMyX3L7Y70kt8O3tsWyz1vZknEUDGDWGASsGHYcNAdDmt6IPugSSM/AHaTRdrH9S/xKcEBQSfdDP4SANDFkJU7jj3MQHNG/t6uS+Af7CfDSBjTTYftcZtwHCnrZ+2F+/y4t8pXKeA5FJPGnpL3Oqxp4CG+CqJ7KJZ2qi0yyh2uNZxCOuVe+aK4odHJKn95QciKOwniAq6PateJYFgZGv8sAQtJyxj3UB6shQWAI0leZKLDhO0GG7xTjEXpGt0/9pLWWUvw2r+DmGWfauIAYtqIT8aNGSgZ4V144mF0H6btNZ1meZJ7SrpsJruHmrHyRBVkJoR6FHy/Q8wf5iduZmne0Pl6DOL+OZDixYg1jdkbvO7nFs/gGra/mEhR/4eVltmk+Y0ZsbFC99+tgGRXQTGV7vgQEF/skpeAJNhQxUJiX42UepBlc15psPFcuJv9rO8JOXScCjNswXj4R8DnfgO/QbH5JD+JQeV9aqhkcI8ijEHH1Jy2qCI9dEJhBdzXKJxQ0ge4GXH2Kgb918aujKLrFVDOcI2k0EeV5fnVotA3sSw3BOlTYUl8udfuHel6ASdrtCU2Icd6XBpRak5d4F6F+wEIA84gVrPZ16rJep0gBK8Wk92Vnxg8ur0UvgB8i2U4qFDZXfH2xNxJ/LMfw5jXr3+f/w5z6ax58fPkYm+XSwElG4MjTIv0wII+PXYOaduVPDQ9k4qd7d4R5Bi9u6v5V4AGsTqoKpTiqQFndIKwWCSFEilOWAgtVDBzSY6ftehyHHckrTkMmU6QW9ZmQmKidr79BGxTEjYALegwb/WjP3rlIW5wjQTMkIIPkTmLqr7rSPUqIrbpNvY3X6Em+BYC7nQHYIY+Y165iqyqrw5HNiIvGIpy4JzbhpWjJfTAuBVGDTrQ+2PCi2xPsO1WxD2OvsSK+mHfkfG/8lU2U6iTIHuWmmnFwapJCnnAf//9Z5NQ2pVQRXW14JrA6RFnftK48v/eeHM+NehXklypFhL0hsx7S/rLcnfyDTsjFBT69sQuoF6wKCHN5g90gm+Mn06bdZHuHJHGW1wOva5ASy4/Gt+ssJmCxw6XHVG3Wm3eFApvPp/AzNpKrd2Dwofzic1T7+khHv641o9q7ZYMKmbLgRAwR/1PTX0OJCPTKkwH01XOl5b6nnfP6Ntb/S4SgTjO/7hvw2wKb0ncIBpnvfrFPGnkY82EYvaLMtf6BeQhqpw6Uq5Is2MoVt6II/u1hUQs3YVYddY1p23rjuLt/6DhjVf4YP5rTpkEY9pRbM1ryJ57HP7CNnd2meb90Yf3HIkxUPD+QABIIdQ6fZiSjjP+JK0jdw/qAISmpIGcr5glELySpFt1/X6XYeAiqUasoR+vDIsqtQA9yqgrrV1PNXlZcO6MDuaaddVnDIJlTmpC2xfUZu2rL2XaNzadHAU/JiAlikieU/4nGOai8CVgMYk4uzsCMO8OIgsqDXXPDYE0GIlrpy902tEBjgzJ1TcpQeYww4C2M+T1mp+dFxrtIqJ5rj57UYyh/Rju1UdLMoTvsEXsQ/ZDZBexc1EiDGoy0hhMukGcIwzS52OHhQwQJx3hhCwpBN12BAyF/pS1mjXHMrLHeRywlRkkvLo/VraW284nHOz3U/3KhaSbAqh+QUuMrrEWV2olv7vFCgYSuA/XSRlBjxNgDWGQiYCEvPMiGu0/J8478SH3aCrbtZ1YybOGEn7VPTmemsYDqmo7JZu0wMCPMIlCEVRwQCKmjh1ipOEhAz2X+PgHnlI2a0nRqiYKIQH0Fw753225prYC61io4VCyA/aqgp/YUbkn/Rx3ZbZxWIc2QUSpRQRwmrVENfnUuUTi3SdDHDSxZd/xU80lNIJC4e1VUSUcq857uPXHu3OZ7FiboavxcyiR9Cy+Kwu8tM6A68dfve86rN4HxO1+RpYxkkxBfYtx7rjsdqtqeNjO55i6sND71V8QBKNkPEOZoeUl08bnutC+rLpKaR6/IvfVTCuoLqAQyO4CM3LEHkF5cGMMLyGFNE5qPOIgmfmrfUcDLE69yi+gNjwm6fsJ3a6+wLHOsh/vApcs3UvaqF103cnranyFdgDyhPCWssYIOcdvNruCoNTwVjAsYOqJwE6/ENNABJIx2cMPWeLWfw7tS7TVXX5wK+q0iP7VF9kHT/iA4zgG1WuV4vx05c4K7eCSaeiQ1G0k4OKN049e1Ye2uPckIeHQF5cMhpyyfwyE8aXgqRzR9BKZVSYrINQBSGM3LutZdG6O6rrR3tTowsEdmSB3MDAPl4oRyFPHCZwljyHks61tgvniWvcvSmme5h4du1aNnnwo/ghULrfQI7HvhZR5sRlRtEFAX5pOqi6OcJsoaGiGi8xkz0gycDPlqvIrzroMYtyKo0JxNm0C+yFYjiZFgZpIu9wr1YxRMb1LjZRXG2zBxdiBTeRtcXbwufFPAWv7IDjVwFBDSmVDr6Iw6eBED9BcZvYFHUAr+ymCx2AOcYe5qzG/OcCRpMtad+Es1PBK19KgooAgJ3o/sDH138VaJg28Vi65sundBTZ9Xpb1VQaPRUmKEh5hEO6yvrHDOYTM4dr1s9I8BOXbUVugJK3ooGVz8YHdiZIsPrptByeEwfZTKze8ji+N3wjCFzDwXPuMp9tI7D8MamUHomTxbKvlO9wf2mL3zQfYaksEiWcSCmNy69PdgZWcC6I5QxWrwFtzUE208o5qHkKcwcq9mgiK+1QpcpGWUgqCLLCqMg7U63hFHhcrb4uTBjidVPbRARz9F0BRo48KP1J+ALFjP35i8tShCVgsX4+l01ysCulWTNCpk7+znlml945rtjvyhCwmTbn0uYjcB/1kJ8TCsr4rQgKYmgEYGAGTsGwWHJO5wafkqH1Davt4gaQpCacEbL0P7oaqTbFFmN/cCyU+yVLOlLVIKfrD3m+Atg4HLLXQcSIBJQwmiBZ/uYQQwHtsC+olWO+1Sha/mm//nNs6Z092kTJqz0Mi5GSYMXoR9x2NCP0+Pqs88mHsjf1iDg2OaNjyMiZthOCciLNvZaS6W8sByKc1vtvt6jV41SpUS9LZzhZecPugKmtRkfn2Z3cm3PODM5APB/qe+GejvK3gQQv6f9tmSkFIF6UdLXzxHWEIhQNkBxr9okYkOWcf1RA6ZilROMkKETEejVtPfsAVRofvpWvegjMq4CW8Cfrm2vLq06hlN8obC5NXKa4pRBLkSPs9AQTdgpCVP9x/dv5OqLLwdtNdn1Co9vNUPmt8PTnqtGGk+Lb+Cgd/yRlIddVq5740H56t8XA/lyiNsJNUfTbF3QYbRVuforACuOFI31WeKkSFPcWNy9lGOnSsPVcX8QbL+hs4XJASaioc7VtNM23NlbJgN86IdFxSluAUBMIJW8lWNZUGpvupJliqIBn4qjljNodgjkdXyfTAKXS6xaKOrDOiRvl+G6oxOov2NQFrh5SBbGaIRzL6BDDG/ipku6gopUUtxRKfNqdeoeIdQ6SlVBz8VrN2bwfTOEFI8jBgJcvUypBrjLXFHyz0OG/cNNMBg7sq2DS+WlWLBdmeWADRmgsXuWDpSRvZUN6sQDuOCIvTL4zXFFrjoS+qid6B4uMTvmtGGfanN2/CgrW5l2UTG3CQRCTn57HTgCRjHCfynNiDmiOvGmSjXHy4yec9SSQv0T92QHmKPUao874a0oB9jW9SAxrP9m2siPxzjpH/bHal5Uhi8myfjV96sNiJtZuYglclUD5SKaWRRDWmLkKm86zOiLBzVJlm7KucFiv//yKDT8eFGdmocReRWgtmJj1UglvAK2LAyROHc8A8sC7Vbpe814DGAiBgyZ83bb0aE3osShvGOUR3eyv3Nzp+srK0p0UOqTmpJy903MK3WnsiSVTn8kgUkN3C2mrT3FgqEAu9nDWyRW04i369+xyhuzc567zxBQu+KiKq9b0hHoP+eCSLce/djuxHlc36fjNV6IdlcyobddD9FzSF9mvxPJZO+ERIdcwKDIfRV15oWcW/f7aSVKoCOoe/6ivu+Lo6ZgwBBn/5TjhJ2iZxanBrzov4Zb7sLVy5CfMDNyfQEaWDJ9Ylheh6AY2INzd0Ug4kUfLQBukVkqeAOXzJE7Ux5oYjmPQqUVE9xMaK6t2ogNsM30HmeCictmx7Y0wdsCNkbQAdld9oLzibnZM1zZaBf/LQMRH9V6i917bcOO6VPFsJUrpbQMIuPhyT6T3WhprzIbJvSHU2p3zHfiBP4vT7f85sB5YYPsz9IHtr8kHfc7821HEUNp7ga1RR1+4TBFR+g2kQlVCRKWYUdGmP0XsdTJHh0kO+wLFPZQXyWeMkAMJoaMYkzipd4YjJOU9kzONoz/niR0WrOIA7a9G4tIZEallxUPMYBCWRw+fNcJ/dhhv59u+BGKngGwcOm91Y3Bm4n0k4RAAxkmoqqb/0nb2aAvOM3ohCaPVhXqrltlmndn34wCIhx90HPxQIHixXuYL5lnhP3+K2+3yE+QzMLNpbv4xsgKG7uF/QRW2d7eaSqGyBPUV4NYZ5EXfZqF1W3hH+B35QWGEN34enr8yKri6T5QswA0H7cK7VAv/riJAPXpFoH147oqdO2bMt+inzPJkIrfWBsiT3O0YcvVgeXKnV5aSs1edE5VtpKLaUjKxbkMXC0d/eVtXjJLlRO5wxRFq76lpWlXK69GCCyshjxvxqUu3MZVzcaZgUi6vixyluMsSw2TFk4fS7xavzv5lQUaXQsQxopFAkzIFgMu9Z7WiMKCWs0txEuNWMgsnXlB8x9MxSkqIYviqGIOeXdkF74tFdRYJlALBfbhiSD3on5w1uKq+tSCwhgrQQbpKAweGRRBr1vCfPndBaTkw3miwltBvmiC/9Skb47jSiULGmu2O3I3JPGzLnsAU67BowEFIgisn6loPsCqVyfU97iIxLEdRj5v/gXS3J3G4a7Ks2iB2sWRNRJKPo4/bXZugrFLvkbt34PvcOOx6t5uOk+g6NGnp2GALP6kDr1JJLhbY6nrvQ303EChWIYfqZq7XCeZO87ZYf2JEZwpEiSCqjtW4iWYCP8hEjGzpQYI2O1MqXkhl4JCuT/nB+29us+XPv/s7Jl5HOJPSkvILGtdyOcTSxU3qu/Dp+/faQJDBh1R1b3pRAFgz1RCHYoTlgZg0QfzVEVnrUEYRwAu8D7vfxvihof4OmDOAUaeUTxUNnfIlP1CkmesQHwQ8/QWM+THUYGzlQVjCjtS/U31gqr+wtpqcvtl2Vd4+9orhnzsjvR18V0tyDlQbG+K/lPgGwqTXWism1oNDFkj/V+u25iVJHisBPaWh7bAlSaF/4X1cOQt1OIZWatoTDlC352KEy+RHdh0NCZ+sK9MsmmUxPYoxqdAGDD7vsWe6cEaw0MnGS6mzK46LKE7ZtQ+uLO/kaAoOw29VokyX6wU77douQNPBXDx3IiF4MAJMBFTl7BRJ2IzIY+/ZUPr9F0FV48GL+H0XuvDfnDVys3MhtnRspV9mUagdQeLVwUHjrQCHXJr8GEeOtZmaQPj6zMhI5XqLB20Z8gaYtVpXmPHRYNMmxKqtGf2pSiz9GMQHI5NsAT1S1GL/Pb1UicnWlZ9dmRS0RK00Pn2D4LnTKC6HE0JGIrl44p7n5nZemOaEA5GEaoBaFrhFdoRDwuwQpLc0fMlB3JIQ93IJp+0DNp/9GTt1hOsYhlfcz0t0+fci0ASRuhaSo1Eh7owk9OZiBQuxWBsoYaIMCeRLtOn4CkICVCOQYvMku15Cgk46av17CgqeuNNoZgdXIqX9LHc0e0Qg5CUazO2DeiMyAIk75zxLvPpVdS6CyN/B7ckuNoqQg4MRxNbXnDxRKIB4FeTf5Vjm9cuCUqEJY9WlACVSuhJ0bYUWaaKVprHQfKOp7bTHOUjAGcewDHmbzGlgpUfNBMoqp4KPgzsZzPHzdAsrgKVG9Di8qc+BDhsTuDmrY2acTs0txF2nstFt/2wSM6ycVrOo20HsBM4TQ83StdJy//tEmp6o4KNFtDKNBP2HqFuwMCrJdWF/2G3EMPK9GsZCpNPOGiyxRG9c6s2XBs+7lss3QS2QQJCMLfa+EqfVDB8EOl5sHFbH/mjgXIp87oJ4oSOGd5xWx+f+Z+zNEqDSuYfqKr44TxiNo591yP/xc46SOn0rwGpVClhYIFC0kTw5xnuoVrbKkm8JBPHraO0IUcXjFqDwIDAiVAy2+IcBVQE70tR75XDZjdYpp5DblPlnCQd0NEo/vM6sL+fM+7tQJCfkJcP72z3uX0ENSBhfio3zJ2whDb/sWxA/WDSfcoQuqm/KejHzKxi7iKLayBC8AmfBDZG9I1x87TJa+MPRN3yK0JzER8KOHJTwnHyARYVhRWQbDEinNV+WDxqKank9qaAlmcIZiVwDTiHuyVquANGawoKPKFUC/opTHzzwWXwH/eOk9zmhf0wN3pBuGJG/3AXF4RF4fjaA69hjopnbkekFekr8KHBmlKn51dXjIriya0p870UvFljerY99SeOlEU6g8zo5PmMXtL6LZ2boCdzoQhZAr4Ln/A9RJsDAiuHtOzk6FLST3KfjDqec8WY3YPb4RIr9bNfoEH6rQc9DX4zcEZWB1YatN66b9dGIG4tFr+SNykpGXBAXR72gNLAUAbbuf/slPOmIFxCBQ+OytDT1wxCzivERcKdjbXvStjfj9wYq56kVrfaxebhxROaM+fnylT62Y+5NfNDwm7GgeHFFbrjCyQ70jttkAm6PxYs/M3lSK20jpgNu8kiwJczOPx44pkJ3lAOgzpf4qaRBSiS7aP6rpJp1ws97jlBeyHC+maG5v1+jy72iFlM3fb65SgJWFACFC4DE2Nq9RKMbPWXsut2oLv/U45mtdGULwcXUOu/78KIp6mu0S2jADSjFEVM/kjGkScjzW3m9B2HLsOdrNw066Q3v/N51d5ggpICLYUXcLGLChjZRYqtO2ZN33sQODTO+kYNH05gGvkyuCPwWdjj+ajgFqipYfdEaXFz15XI/sL0bGmQDNbXQlShS10SM40rdM/Y+GxxNdKNatLV8ds+nyHpUmaRab+fk2K819bH7ctZH+yhljN2nMAo0CoRYZ+KH1fKc8/PWryEw/JJeR0jNCP5/PAiVuUjSNbclN/492K5JeqnqwNXLocAA5LvnCgOyRuSipIX6A9h9vAoPTD3SnW8lCOzKo4SQ0tKM5LQuQx//v/Z/nbsRQ2vMTqDfuguAbQ9WF5+/z1oERE9OiDp1B6qJWRAqVQXBh55QfXJrX+Z9FU00F5/XzUopUyaRVNerT2AgUiGJO+ivcIh/W5GJEkUv/zGOBWbhyiMfKhDRprK9Us9e2NFsZqsB4hZw6p0kTByRi4dvswz+o8wx+qw9ONkIszJqYeJXMPLQX5rYvUAc+dgfno8kH+U5TNmgJLTz0exPm0ZB0wIfr5VSfKXEGwI8wWOjbjRRrjpg0CWOzMUL+mZ6yCM7mJoyeHuCLOghER24OTFBsDnF3arQHFe7rFTwIPdiYMEppPUhTBUVrrugSG+i280p35joXu7ZyOZXrGGkdNxZyDNZ3/+EIbg5+ZjzdlFmhPhDgjj7ChgM079fxa4C3g2Fd6RchG9fIEOR12DPIG+nyWMITEspaIgsk8MmDdrB/MWF5J50YONS6IYSxVJwRPtvm8F1JjflzOxBZTlfwZnZwXwVvpubQjoq83L25rrooaxuqEX5buPi0UWN3AKFOz4cMarJlL+BkFX/NltAXSLUspVbzsyVoyiyXkmxD8rzlLituyeL7HzBdNlVF89EQlPsAxMg7sV/7c6CIQjoPI9vpZf4VrQUfjmrwuhdki8MrdvA/4iptMCMmxDIcc0YGL0wWwoBB7Sv3DtqsLA7XcEVADNdu/Q54BWj4bRoOeUGtduylSVLhZqYwkCoL8Dtw41u5uYtLs7q6+rh7Qmtsuhz4LYIkyaPpF0b1WT/7YRYgsSHJsQx0oUmutWCXX/EWe+CbQV+XDBFnjHg0xEkAt71JJTBTu5RyK5CThz7SwM4a27QPHO11Y8MahL9OalNloFmwvgMn6StjUzQPEgkJccU+gptAQgn/Xb5G5IurqKKTqAdshoRQNTm4p9iYyN2LeMkal7qInHkgP/BgB0HKP4CJY68DXgmp3U4yRxxc4agdMtQzBPVhoygza0FT7n7Med39V6sZjSf3DIyEdiBhTcfS2YAJ4uNmSn2Unn/uBDugQidw1iiK39nrUP1UQOf8TI3Bo7ubSSG26qkptRZPeddey0L86QgGzCIFYvozC4ENk6iRj4mZYPQuGlwKXUP89UOhg6MYOaPy2kcP7bzhQC+PuSXbZG7iZhyXsBcszKCo2GdxDVkfinBhXN3MPmFlmM6ZKFoyx2Qwf7T5vdmjG6qjrUgmqMu3K+UhMFb78rkD2cv+A0ozPrJxDVHnz8z6GoRMW7jrwJa8tID23qK6NGHhf0nn0Tmlv6FW2PgocFmWAhDLa24wSeyWKQuwmfJich3RXazAGTrNvo+ikD/eGTGr12pb+stiFDsktnGdS9wN+jvOXkUsSES2hNB74UsZQxToTPd+F0YCDNR6xxtFV6nT2h33zxC+/kZ3TGIYaFPP12QGzrJlJ2uDvbk+aLqo5RXxw2Qq+hrpGE3hQIX9YfWZ8gp9rb+eS0xKco0t4uW4712HxOHMVJPrp4TPxlR+Pdmcx/5i7y7IqLH2x126q8kNDcjoxhnzPd1OMn1fNavMm3Sy/gao0mPTi2cByxapkDxs7Q00hnWS83j2Uhf4d5U9e2tPmlRktu3yP3XeN8cM8QkBFeG78UD3FVqDXm4GqB6OP7w354RusaWc2IyII8VKLmrb/zz4DloV2QRyIsU31RPM2POjN4QeVkd5RriGURbgBi7+pxFSnxHImD4RvD09og3Yndn2QALgcJAUZm2OVHMdQye4NDoHRFcuVmPn0ZKRgNh7oVHAtNEuTBUCVg/50danhIAVzl/MQMk9Vn8ijG7wtkZr1rTHAVeAyFJEMdSsNq2sRkeX2i5Ilxp6O4U+4xMjtrkivNATijEpaZhY0y/w1BLGjWJ/SiOiT+KDn7aS5Zw7wDuB+mIR//4kT04fVLBygw+QHdejSCDD4jWRxuMohiabrKVwsGp6EcihIQKdkh4ihSfDnTg2IfTRwPJQkuCW9bYfdJJF0HuwQLZhgsu0U2FbnFHQtGgNMQFBzjpbsfPaSNP3C9LErd38cGcSbdBZLKOyN/hzOTWyvp3tmCoj0HeeIOjJQPoETtvr32noMtOJ2aQ/1aFi9rSf3hCbzAP1Vds6M4nkVOl21zhFuL0dWeNJwDjsAFegumgT8teQ35w0+kmmGZtO8F/HTPbqlsO1ivimfHiB9j8gKnxTepe9JrKklGoCFNakyFsWhGO8Ax0cFXotiqDbI3Kk6jOjVdrrN67mtcsI4+rMvEtwrBizop9ipgYthrDRZwA2mKz5zpdnUoaUKFY22qvfgtKUGkUNrh+AKmIAqtch4OpUL5m0ERKvbYmwMRJUZoaOdQRJXR6SJQ/CYujTR+5cxxTu2i/JQViymCFv/oW9N/LPXwkHAHyA8tEhakgdNeMxUhrpsaS7KC0Uc0GSvgrbkajKhsFZ53GMfHYr5itFDoOW35zPNcafB4rYyrCf08WxFEog7PniIxvfd49Mp6GjQtnBhyUmQ0gUv4wvbJ6KOJuODVUQeztbjoDARCP9eozoz4rhfG4gxzJbK2rJcD85TZZiLtlyTzZi/O+zsrw5i6nQta166bvp3gMvEvhyi4ekGyDlhbkrgvrSK4pQwOG8zUT7GRNafXpbL4ufI+zeRQyS+tuxIfO1asr+sgs9S7aP+e9dsN2uXt1WFmTjpjIOH8lx63/spWyuIFjTNDXY/onlWPzYUMhyCNwbzMvynNmLKszpTJxdwxpEWPz50r8/oMayZ21FP1NwJcOuOZtgqTXSsNKFMVGqPSuVcRZLZpLADuICI4WZpPvX9+WZS+RJUO8iWVmdRj5tmJM3GVMwAwGjYMGh9Eidss3reZs6H69Ev9m6Tzf2n/yTlZDyIzP77X3aS55F+SCf8RkgfaJcMlLztKDc4Ijz3+0wD/jpMWzhZWmodOmjmRELaa+/vTsxGybltLU1VifqahwcpBrS8PleQvd/8vEV5rhSlnAEd5w/SsIMz3AXnGlT3oWtbtolpWT+lY3rj7EmqrRq6K1KtMiDVG8nED7w1Be5NqDOHvBwo5xq0YlQR884cOlvlGU/MC/ch43W1u/IVLLsVv7Q2fogOREDRq7gtg88mhi6UXz4Ge7jO1TfII1ke8JyfwVPg0puDor3iWwmvMmt9y75pTKTFx1TibcRL7mkq3BjSkKf4aPO3sq3JD0GqgXBtsV/e74o0JGTrO6sU+aXFvO4u4eWwi8M+97Itzq/bWJwkqNrRpPsOZWJpcKLGh2hQ+6+Hq9/kidKfszzlCQ6yK/TI0CrEDfqs/pWdI085HFaR7FJbDkQ+iWeLRqKADexJRerhmTrBi2QIWvreKKDT6q+gJknwD8uKwDN0q2qDEHrDfgQiYBvBG5UQtCuG4VlkEyOPj+tKMJfA+w3/tMVCowozYfpv0FKmvQ9GNiScRbuQQiC5DjVgLFfOivs+MkAyeCnuk6FUuzLchQhFZmFBWpwmroPq7nSMqlvNWf19f36ZYDeM2D2IVlQwURsXlKsEaBn5I71w9bmTqUr3QuQRT8GJolyngWxNTRyMgxA3xY61ux35BZ167YDjo47ucMGoGsH1fuhyTf1A3EqL/EVwyE0BDOl6l/n+g2NJkDiOaC4HM8VfIndASfBtHcbiWTw8L3vutflH3jDwwGoL1zHoOFGUugpTEIqpcGetZ5oFPxE/FY9BycvxT5Fvz6aIq6w/uCyuDGU4FMGupB7hAy+zaHFocNqmqf3zIiy89KT95GXPfP0OFJAbPzNmx0ban4xKqCKXbUSckw1HA0V3bdvEEueSKyUOl48QjnSVcUVKjILlv9Vi6uqrvCFVYA55OYLC0wugsy3v33BQ1nyALpWLbgpbrOIUTmh47XPqpiBvmpF8PF6RgaONKMdIk5xUbX/1fCjgK6Bl/SRZksj2ilXyI/womHoyB9hKzkwoKd4NYIGGVWTmJyNb2JFfoRwdOMQ0Q9rSCmG4TpM4hYnOYq26PfrepBKevBzquqej232r7Ljs21wCjnDaK6BPz7N73VSG0MtqYWZI9VXK/yjWdm0/DWWk5kUaeUn59hA89mwFAyDLWkxnE2uPKJqKIk3uNRFgcK694RJLwti9nbmUmzHozDCAwVvCAQ6H02SfKx+rXv8Koqz+KTsMnIl/6w2rW6wuct4xWtiKkczGikO03Q/K73QON1IytZ1U7ClTcajgxaLyfQ2t7tH/npWKzvIueZyyPUbUFCVHYyya0pvQDjfHYPJioncUQJwVa+e4mutOssDZqL55MSby/C2kirQ/Yy5lcWp3Vya+RJRZ/R5hNNXiRZALzYOgIkcHYx4cY3SxGE1REawq+r5rJ89FgYy6ICAhin5qhLa1CHNEF4hCgVxhgMk3wrtNAIJD9ZLef7Yp5IsmPyZr8pueT0b2CKIOvWPokofvyAi5vkYh0ocmhq7POzZJjWLX78LxHG8U+3t326FvPJQMhMdOZ92CMsiUK5PAZL1XFUBWY3Axtr4wDQRQ2WjCMFIM2axeWmzVCfUnFPlhJyRguA5DeXRwVDOq4SS4E9DZJgufTbxptYE3A7F5B4lkhWI5sIjrd2Kavi2W1Z+Z4t2/iV80iCXkPOMMmZxUt05qzwHbixYzHA+v78kn+pyYalQVhHGe8zwFhM8BbJf11ubsMUBzKppaJv2pO0e5sphEC90c6lX6w2sxrQ/M4NHV/GRMbRb1XxTgVNtG5+15zLxXneao8BdzcRDRQ03HolNm7HliDcWHB8wdO36EiJHDUC+8n2M2Whi3m5HDtt8FfOIR6PGooaFVEjW6fs3mnM2a39Bp/1EHVrOcIIlV0ZMevjqtrhwPZQH0AtbUvx4IrGSLteqzH99ye+0NR2/wpXDVlR+7PlAxinOqkQOqwBVcTPwXWybLVoqueZ9to1kiL9ugJdDbhW2jMx/0JpfON+RJeHYI71DtBHitKnBOFtN/k5k/Oyo5dCsRPyp/aTv9+5fwtBhVzJBMjVRsnGi3MaihVfb2BxhWzk2+zKsf3nLEUKlJ8MRTg8KdY38aiD1MFNVCltAF+Id6RvnwRdh7MH/uZHz0nE3bM0hWnodDPr3FIMCIHJO/NTiWdNrxSvFIbVYJ6J8GV//iRhePNfQegoBZ7mQPk3UmQHiw2/6wbj8zKHHEvdo3ESrjxWOoMDm+T4E9U023EhkgsaCp3+aLH3tYxkqmeaKr8m3A92sxSt4kTn+WZvljqV0leQ/8cDubm+ow0K6qE+kGpgp8UlRIFcF9r4sIYBQGntUCiJPvz9XsEGXRlvKsr7TeXkWIFGhtNMbGmAeSilyFI/2kySH9DwU1Ehd/wLUPD6t2o15hrCsT/tYfddou+DgSqImJ2/gDYZOyOo4qK+UUoXU46evwevNsUxf0F5rVU8Hrph0dm+ElQhxyEEzsWeskABQzB8bIUZFg5K1Kt/MirRGxWwwJEstyOnA4PFwznZkcLmEivAd9rIMJi0O7dV9lZybHc9/Skw+Hek3+e4iTSXMGxgbehIQhh8ffQIVhIV88pl1rVdkcYAf0wXbgu9z/5Usw1lkoVu7dEuJMWaMZXm6sKSm7ByhqI+jfEMNwx6Ut1Oj+1tdBiU6avpKGM1ln3hcsuMkCmiQ64PIbUSIErj/qPdWaLed0Iz/4jsDnJ1S7KuD+zbYpbI08qXf2gUDX0R30m7wlZnSEmGN2YOJNbK1ktyCplkHEHzNtMmbkQ5qX8zXJwLs4r5okFwxzLIXXIgQIXqjULVEr1ItPeLUgUOWT8WKDPxXRXjO01k5gWkFd30o6e1sTGY0k59TGwiHKadgr+NqzWfx4nsENDScvwToRrApKbiSCunYPCDnQElfC4s8nVzzvmSVDF7loJUkijQK/hvcKmfl4MzHtuwhvfUljSRKwYW/Qk7gJlGmhfu3hnWWW/LRf8V64XGdnwQMObuLtc+iZ6rWrqcezZPx4aXBe/oc0f5joDlxsNxmsjf+RT3iqHEFjlJus5WZbNdQP6acMgl3iBbIW4Vv1B5MA3nzvrgkcR1feNhDDx+umGcGeuGn0qsM2PfIoM35rjhQ7BBiS6yAVFhZgcvlBmzKV1YQE+/mdfsiw47X7HelEPOV0WaurTmmBIb0FIAzRje0d4SAXknMdYWOMLlgtwbuRE/j1+gdITqsX99IldR9/Yw8P+itYF3mEDzKyKNVUYyOEqmZZrmLUAvCLwxLAiaXQlmSvSkKJrP26CP4ZOUdoqI0OWoTmFZx1JEq4YjaekOyNNscaSidltKxfu4NnKC+SIGzHeE6leqqw5lDkH5fr7UmMWpNAVkHHm1U6jGVtv6teJWY/lWP2QAkgHGvSHDuZHxwVCLKN8dQ1PxmLA20g7/dv7AeEoBAeb7kA1CgMXA3M3tM1KMFFmtovX85tiJ3JwAOac8acm2pAqVKleGVjAa7AcypJMmS5M7dSoaHTVo+1sxGTpwZLmZ6JWyJfRXYi5KnYZusELnKYYWrAm1E7LUtAIDwd+tHHALc/qtqdH/IgObMdce9bd2psV/G1XAEBfMqAXyeoSKSP8aCiQLev+AOCgwNpvfgWGXqD3iQFVyffAxi6watDBPBEpVbyqLfBugy8u0UvbUdSFGRLDc5fj6UVx8IHEnyZLiwVWDwQKQxjntPxwG+OwTRn4zD/7GUy8Sn8iO95o5MaBg05dF23m3TZF4WCQp0gDJ2vJ36Fd9EVRfYuvdPIbUpLvtXHTuBvuZiHXQOuXiTGIiHNV9ZFub4pJXGR6AfRp/6g+DnAAxLAlYXN5vAnuYymNYNq0T5IZXTcvYgOWj+9lDkOjQkyfoC7acDhwZj0jl1SfiaMPmOyVDBdUIxl3A87AzTDdf+ss+FqnOOpvmeL2ASKXfLVKQSKrQxzPwAAJB24Kn0bQ2g3mlZDPWaOcFuhisR3QdQ3VvgUHvtwQCPXDCyp26U1JhOSUit2STy3eTJfIBKdHOoDKYm7FHf2VVNnNAxiL3WtSw7MMqbqhQ1gv1iUGNOpMJ65LMR84w+a1mPtmKHRwl/lI6sCci7OFwo4puztdlVNO+OVPSsqR0JoAKIxjc4ac55oO5b9KR3uOViuEAgyF4j92xyf6FLcxTw6ymzXYoAI2SDBOLrxzUodIHf2WJh5X5lfTPxTlDSkPi5BqZlLwmuVa8A0VIU8cbXiik3o+5gUdksbT6DWcHyMnFWGtM3N2e4Ra/LK5VWdMG0Z+ZhQX1jajZTXCFdugQ6GAUVNfUj2IPdTsOK7O7jDuRF8IV1q488WOj+zMmrEqswU/QdJnhxjL3jotN6OnbD7FzBfALY4rhd+9U5TD8FSfzPLL54uhIRLQa4BgJ34L3GaHFTPLHRTEf41RGXRRBlW1t+OZfy3/EpBADIH0k9dlQXRON874iYyW9TVx7N2fEBwgw5o5sh51izBGzX6QbA8RIULQIfCZEDoz2oF6OfECD01BNccYeDWnFz10hvk2cIrrCknMlmZ1ssHIMJ6fKB1a7tPewg2lUZ7XapU10LxjIsiJXKewZMKTsJSzbLcykrPUgbvi7WM/25KFEc6YFzo0IiulP8H2qheDZStzR+Y6v6y6GRkTCy7ixG+usQZ7mbVuZ5VdL7xpbcFwkUKaYKkGKjnrogKycsYXYYku2W9VWvNJXs5qlcc/agketrPsIrg+YhggvOqLivbkvWEPvmc8PGYFHukssuXhR3ZA4rtYiPPPMhkmzNdZ7dkCKR6MAs/JWABgYBi1SVCwm6u6LmhHPIgF+tEpIdWKGZOoCxhuK7xWCOhuJaQSY2kQQgk4Xz2OtoHScOjUHGg6LRuviZG0czwPjXSYlIbdA+jsrT+DLge6v2Yu5DxwKXPRqq89dmVlhVsxLKdgWqZyleognXQYlDK4+TSshhRBw2RqLju5ZmxA3migEgxUqNNlqukyor6hrJOrVczx6hoyAmaK49Z9ClJfsP2sj6Cew/00FmVC4UyftrvZCf7iyWPKadIN2atUHuXGGqpszNI9DBXkI8HPtKctCADyzmxotYCZu3Wwc5wqvUwQ59Viv5GMv2WwDFKHTiYBEhapCCOVcBiRIsZ4myj+jqlYZXatlKitcfYmxDHNt7XVps7DB2zbGaxjIGYt0PEv/BcatCy1oJBb1vV/O2ufaQkQQjEWN9RNcOaGe2LNCKjHJfWlTiNW20B3SEF/wTB7+0MDi3cKQxk8+dtK1ajxW5Fol2H1l3NuWExxoGjhLTV0xCq6SxhchWzH01Yu1cHV9jNpUZijVXXmyyksCRJkB81Amo4u5MCsZcVHzrYG4L2am5zh3nj0Qg0NYJOW8C3b1QQcfR2q1ioy0lHaEmqNyIy4Bx4AkUShlpSMEBxDmfsQisrKHWzVYRyaqb1p+F99zpYEt+rwDbxM9bNgUjz0+olRVsUOjhKphW0foZb7mACJtNpZQYt7Ando536emnB7I4urgv1Hruc1AnXrwpP2hHza9FLkBmErWvEkw0xDhmHEPOqlikKnviLogaa1ktFmRPf34IsjEc9iCL/lqnV5oi/tTFMrcL3MRQrnjREf7Z5HZM3k21X7yPS2LlHehbyaVXDYIKFqnR51DvSasrfGpmIHtKSkiHbaiCCi8q6yKBMGxUqp+O0s6LyJssayYpbKTUJi4BPcJBaO28gX0/pVeeP4zvrLU+WQw4Hb/a15xbZDxKEPlp090lTJwE/nRRnKf6ABJpqdcgKrF3MtZxZFya3BCI3vIkbLgiSkKyFRPWm8NE6bLd2MFInUlBKg6Rk5FgBkiKZXHbPJ99W5DLL5KG62JXrdD8tWlE6oDfiSFFEeFcAn9MWrGyHRSLL2xmFWVhaTBfWJ6pzvhp+VqwBH5SouhwKrx/wci0hdO/drVgRckQvqbwvOYQ5GWEGH/Rp2mHR5UoUcI01GcADk1VNuEbgpDRmT/c13DWEFs5QtnhVbnEZ+maccQynfTjbJOh7DVE+OunqA6YKV9xyPzZ/t5FL9vI8CNtAkaHnqH1QlW/3B/rhRyZL9e0iAO46SyAPKTsAy8gQWTOaLWnOaLiAsi0GsoylTXxJUS/guUJTUQhlPSNQ9GK9n8IQphRykChmVMwfYVafmM2HTWvqgsC0GAU2TVlwvI8rjoqXqhxOx0FwPxka/i9eiMMdQwz4EpaW+tsiZLW11+NXKUkTzXuTQ5BEH9B8ItM/0GQVfeoJTLrSjDt/jR8CFD3tRe04zyp0NwCtUiy6U1OJE1lNGW6WVAc24+4N1o2t9JKpMa9gbBGFU24Th1WovZONb04X3E6irDW8itgpg/EO0439DgqaZmEOpGzc5+aktMWuegNo7t0TbRb9QyxiVSJwmCIyjxlDz+HSM6q3/9SEAUu9P4+b6dvx2Bx4QJjEdK4DQEVaxBA0qBlI0EYa69pXaGBz+m2aJKDh/eZWH7nL+WeddeLUFKyENruMAgS89GO4ePptUfIWOt+/arTYSfNh4disOWapkLuIRnUKUrQFxKdrW0oOgxq39GutzWII5T5WsQZtLCox2ubXE1ZRYb8/ykFjrHjXvQgxMhKaXz4xFsEaobbPGzixeXXXKQVGqoJQRb5HgUSBF7xSm6F4jRrTzgmYIBUjqxdjdG2lMacrEZksiNlrM+9Gg/mbbLA9i7hLI12GPGp5jWqCbD0MZn+WXtAfV3Kku0kJI5Tm3xXpOzDHoTqvcSOI+YUhSEwlQPptcElc5l2CItrEcijXKmH6a5clD9UKhCHWqPi9UoOAw+YDMStWg7dhF1qkMZxy0klA/JYLTNzYqHYgtqIKF53oRIk9N1qMPzNg4w6VBMzH7LuEPtoy/xKgGogurA2wpg4MZSJtDO3CwnP9XKOnqHQNZmwHTruCpV17DJm7Cblomi9UgkQdL5+ZoKL/MFbkZo0FUmYvbyDQniCIGHsh+sllFYRGLUMZ7MEVoMOdBn3U6beTvR258oJYAxxQ1cJH08R8GH5zL54mOCtPVUHkx2QFh7Db5DuSzLIPfTsFYi4qgD+Jm0TnV9/Ko5slZ4K7yYGtsenbOXo6yxQ4TcMhZBnQ1glw/pgFlxymNoKuXTkpf5c0oAjN4xsEsr9m2ps79iqXwiKL7Nv7M5FkQ7M6xkddgXVb/VG/ptaaBI0taXOaXP4jPoNQXzDpB2FvLrOnrl5YD09S5hetTzpV0uKBGN388izRK1NnkKmgDOASPw1tnGpZVyDU6JzaLxY1AhuAHV1NgWz4OB4PIMTrTI8WW+4Q4ZDu5BwgfzFzpX3ESOJD3W1GJCj2lt8mgwMd+f6SOCgZhY51M09v0fJ5OY78KmBsjQ4AtkqKvFUZir6zL2uWkpkf11vfkPF+apG980ZoZMGEhqZ14ohjjKkf+pwfeBKkQjaG82WhnQL1IsoCYlJ7xIZliZi4W4sZE36V49RYbfZmhM0JHYqRmRl/f8Y73dQm9vMoTWUXg6PAvTydSk9kh6TzBGld1DxRCoEFlOwBRsGjgwiEYk7YBNzt1clugHGe2cvHntS4n9iEMPDQSNz5Z7YQzUOloEaMxtktKTbD7nT/ge4QfLbR2ou+/s+hqXokEmf9Qq2Xz/oLExULwqhbdyEJwRbdYLUtOAftddSpi3QALeNZPksHiYI/FNAH16K0OMzfmucaMjy0Q+QFscUHqX3Oe81uKeKImtiMmGGIjj1tWrmSW37iP4j2ROeWaByQlUlqFn5KmLBQr2SiUjllXMJKeO/l5+OAKA54A395lzV/0WeTmGYulQe2RMfWpc8+sFXooVY6HI4QhBI2/xUEpks+Vemapre1sCMfQ8xbAjx2Oi7H4CLjJFu9vtWTJ7heQMBOAJoyp2+J4n0ZD7FH2mtAGEdp7x6KVtmmPLYA/JBNr7PNjz1Qu/hhEl04YPF8ffoF9Z9tICVpUIhekdBKiyb8iQXk068ZTDdzEeTt36lr0YKcEf/yqOQ1+VB1QLEU4EkNNA/sOyYEEFn5JfumtMu4JPdnKy0mi66KhqHy1A28HGUHwKCjboMmxGQi5xTD7m3o+VKFf6LO90bA6stkV02RcGpEr9RFzXffbgDDTqX7jhhkjfMups/oMqcTCYaAF1tz0Rdh0Dxn9eU1egaagPXixkhiIuAnBZOYB6r7xs9PpssJW1sL0I5YKxGnD6h4BtSZqGUWIzLYqKmyJwzg2L6PkAQpjSC0CV/O+jZ6vSj1DcEaXT37icU9RU8OqdrLmgUpkCW9prZjvYHngTli3ZRf91iKzC2NCQZNpecEWIJMb/gCuM5R+qRQNX+GC9EI11Y63auRp0bt+CIKlNvgy89DJQ8BUxfQTcitQLGHa+JEgMR+PThJgmFMdCQOaLbTlEgH2HCZDQrGFPKBsgha6fu/h0t5zfk4j4UpbDIIusI14chHRfi9Mv3c9q+ITjxi3QlrKndxhsyrlnnjKhGb7hUKyWNA5A3n4IL+05w4H6ID2XT1KPP+C1gsWwJE898asibHYAMXtkSGW5w2MpaSuaCISg/qlV18aZ3a2yzP7uFyNBqm181DMVGhT5BYbT6zXvqhiljmOLKPaYjY06OCi7a5vwfOh40vxVA3dDYShvJ0Fx+oLheiTtyIZjsSJIi7vooBPHWgKr4a77MWXlwPgoPmnvwiH/ToUlLg6olwfsP7WETzC84Y0I7PFT6iuPOLK8aizxMDg8MqS2+3tl/U+Hxc9sIT1rskEdleUwkcTQ96rotnmyb2jTS0EL7N6BMMJjIj3aTI1/DEtwL8yeIspQPjgTje42gTXC1Mp2iVA6EAswKOTm/Cy++oe8KyaDwtaoCgujtNRWejO+CO/1VO5cKnDnWrMpepzTiKWhoNoBwz2JRr46fwzo9mQ1e/cpyQUp/q1v0is/+7eiIsBJk5IAvVsuSoPXQCM/zBSGGpwzd24gjvNzcUCXkk/OXgEUbBgrK0Z1IDjcH6F621fFFGD1Hinin7rPgI+FmBQEY/d9q1p+VgNW90KIeuUBfUk+IJQe+oooU4SEK/ZizbVNkM4hGUSUFf+ZEydSurxhnji7rQspi+t3K/VMGFegsD5d4o9hC6wgSZcYUEbTZt8p7D/WeD6/0Tv+go1ZRyk3elDSiEXKaz5P3RGA0gyVRhBjDT5iCz4wauHpZxkKproCzRVL3FmtDCOp4FtVcP3IUFg4aiFVO8C1OFEEE1b7SwKjcFchmpzic9yDQ/hoeE4wj0rgLVyeMdK8enuyoMJt/dcco5jpQWDss/NUqihXsBw7EWYBgCEJqBGFulL7GQQqLiG8MA9hQy3Y5GIFQnHOMCHDJqVr2/EPg2NFQY71gI3c5egwhI89oVsHkZytmFE27Q7Af2VrvqZcYxjHlQQsLCUu0NwARZjgfil+WxaSXql3MkceWCPsM2EYeLop0xUKL4Om4fVpY2+H1S48bjzpyrye3zRNqu5j10vCrRVkkOxzwdM7J1S4wdcj5cG98ibxNCEmsa2Z3vX4oncX7Q1Rhh1ZjHfwhbmzu2mOfErNFZF9Z+0jow95p/VYY+zlRJMBoHx6Z7c/jLKCQJ6zHu4zHH/FGVxaQWQC0H2MxMphJlVBDq0ZdSPYCmpl32Gg5XQ3yrv/9/+QVwajImRHqrEhGUvNe0mfU2IOOmCObL7+jFhveIs+oJgY4yj115OyYqS3Gnp1JLi+6zqK4hVC8rnPHhYSWXX+wenHhRjI8Pzth9O8/1TJGmGjymvYDpGuJkGViAziCNIvasH+Z19uasoHucX5khjK0xWddVRcqt8myYzOoqS2KqIWSFE5XPzxCcPWNoqPFp+5exRtRzcd+fqJPzXMRr+aGhlGmgti74eWPt8ZQnL0R4jYYebC38bAxvs3N+J/TeWbu2Vf1nwbrhOMorpB1I4ATMeTwxM7XuCE9VfEyDA6AyDiy4xJFvGB8KVGPXlnnkV+3TazuEgsHq8MBgAK+NwcaAChVCgvOhUOKOeyLcwWEqe9/yNUbdSKZuZBywpqy389pE84eEr+z+ksY1BgVpvUNzlXBPEr/CRxi5OUs5TKiDMM5TcRyZpbjGfi8oZz+znXIU9lUj9UwRadjZsUKbEYPkzCH8IWuiojEgnHmiVGt55UC3SILE8ABpGVeNhVdSZi+2jhY31h3c5YHzPyXSG/tAhx1iwRQtq93LosIG8qSKTR7/aQ6lrp8q22bU6SE9ArZKntBcyr9fLzx8473QJapO2h+KSS5E6lZRkho4XWyahl8cDcPcBIL18rpUezXjyBGneq0bzT5IohB5ULD+hke9p5nA04HpBLwcNG1dUNLjpdkCKbN33IEL4AWQEEVpuqDjdpm1FYrH5DzLWswHrQXpOa6x0Eu4WHnIc67vsLHFRuYfmzHhZzssZMDyjwJpjEj3a3Uzbd5cQPJEdxnUEAhc+11QMkqVlYf5PMPiSR/Fnl1qolJfDrRLW0iRYlDWRXRrp+MKCcU+eghEwcBKqWzsnqyek4zpztRMmwviRooMhx55dNc3GeFT/kgnAZ91YnUoGPEeEoR9xgyqv9EfGEsxwGIC9nsm6HoNppEFHPGqbXzME+mzxw0uZa4v+5gxF0OMah4p+6wBMauNRklNVIa9UIC6e5GkH4+4CTBfiBvVBfGN3PAA5JUkN5Ig8cU5mk34yaWMykEK1JBBKFhAgQ0Hr2D1EAdD8SkS/EJOTrhe0BD0tqI7CLyFud9wgGlnCwQlsSNhf2wODg1fURuWNNpipisOnJmM4SiiB1n2Iln11XxjGH+7cXlGEGgwHxWfC3LAFo0aohO2lY9LZrpFCAoOibR7EcS4ovoS6VroaiNuvcWYZe/M718NGzlub01F8gNWAm/oSRVvQ42EVfbN42CQ/BlEKX0K5L5uz0l9HOusRkqJ/f1JYqphamYg0U+UNxte0ZnWIdseQ9oXO34og1/mwQ0J0dVcTYRy5gNdBboKSoJzQrdptlhBwakSBBdgPeoVyxIIaqzOZJZNwTsh8m7WQ0fdT0Y5SZr6WS3JmWzRjTvJuQg3UkIHIYsw6VGJRp1FMBv7uHujknIfVrd1QmdJumvtCj8vEiD1cDOnInTEj0ypW9NTBNsXGH2T3zCf7YXQu77EKbuNqvRF2hsdSiJuNlhiMmZJNBFF7FHbOqSmiZeketcf91LAvwcIY25qU13Ugyx+WQfYUawXjQkoOW37eFAd/9iiPQh4/IwsCzpy/IUXkUxrk/5BTpjZ+gmndcwbHuKvdbzSZPZhTPHiAl72mC3KVGJvi+1fbJCE7bf9/TI+PG/x6beuCJpI3u7lVgtwGn/hMVTdtPD9JnNY04V8yPzH5AQzSlW9nl3hHPsb7OAj5tVdHunC57kZHRF2N2D7Dgt++fDqlhurZykNFtNh/RZngkgHWdEjsbpM4MRFFuGzOtKggCcuY3wZW06xlZ3XV68pUqYtrb/Qazc+46jCO4h0Kfdfj48oBD8W/1c/e1q8gGB5Odnr7ciKP1MWKOh3/O7S9uz39KHur4WJlhfE+2nx0T0jRZMeqJsCKTizc6BaXT0fJkiYxANhh6H0U+CQdZ2LNbzit4nuIksPCPd/TZukbBu1j+FQ+UeSAvVn+wA8TJrSuAgClwZVQc5oOcWQJRs3Y+Ggih14p0WbprnhCfEoYNXpBeKfbX3pFHGHd52DRpyS/IzX6AaK3k1DVmBYLiLDpRvSmtyGG+Uu2CZlzFNcwXQCCTGWXgOXpl1hyUxQG5CO0lGoKIwld2qGfSUKNUsKFwYBCliSUIiv+A1CIqjD536wFa0754J3NuCX7CW/5CDRVk4l5ztEiCBNyHYy+Bvrd2UdMNuFlMAZE6RuBj5dz421PNzhYbsYcJxbhXqJ447aWGbAgi7GM7TrCPl+MGkxEhAS8PVgJpHeRU6b412AYuFjZQ3cpZ8vDahz/IEAxowpxgqZYStPouAUHaTmYWuxif9Hg12lUjw0D9Yozb+aN7JKC/5hz72QqHIXShnDADdaEVBUrpjUnDyadypR7JUHXk+cgT/rDUoNAhvDChbvTor0lKIsZXmfBmp5HuRMLxdp1jY+bygzTI6MRuN1Op2v1JMgyRcNb86NmPGBlhjGVazg76PIhMfmQdA4SZVbUOtNwbKBw40lOvnJZ6tFsVqt71rScS9HEHsSaFiLcJQVgzEPT8RpnJXsJ0PoaH5mB5wvY3LPwxg1bFgxJ8NoU0O3GdA3CA0ywzU7NOKOt8ZZ+aGRakOm1wFrHCqJ6Go8pRNpDYeRQG3ivJwr5iJlxjDmkkQkRVQd8/LXH4OLCj0TYccSyHITefI096sDkxJwMLttniZVPNXaPYQfwoNIOM5ocaGGFv0bl6jZX5rppXzJ+/fo90qyxx/pCCI2peE/wdvR8fpliQplZy57NQpK7Gpt16aGj1KERX4jcr9amcrI2l/AdpxWAQn4W0cnan1L2QiaZjX3jjoJCLOWkweRpbsGe7cW7a0f4lFfJG9zKrbuwdspeqAYKt5aKMjGOaGiR0P8gbaAwvThqkcUTfi5WrfPrTOsYbIgGX9z/Y66y1iJYygESvYKZgEc6lk8QjECYLDeoHM5aU0xSLF4BCSqoARTlEa9yeikx+4oVlu3vT1WwkIjD0wXXOHxyoIFVlepiUhFE/cmlK4s8rDR8y6WPKGPJNO8shEHuM/p5clJo4vHPARqhgORg0yxA/po3YP+4IWDRkRZaHKhjbaEWlFyUhFIL97RlmDK6Z/PY+Krm9xOXRAVffWqbMJgdHmGn0+rlhyyB/aiwoDFFrkTUAaRhkhs6iy3n4Ky4kE9PBVS0OgNC4idDTZqVpgDSP9XQk3/NHUT3nYf40VlrZvG7nV0hVnDiY8B6GDKzXgSK/NGLb8l+3+MoOzGz1q8YSssXwRf0TsRGqZrWF2pbZT5WHa2QJWHfwITn5r2CAbdDqvtTCNJK+Y1ocUhCGLhIvJA3Mz4mNlh++vA+Ap9OIsulHAB94wTsj5oVSqQ4Ng4aIxHy/jeBhbRX7zK6CTXdPSVmCdxpQkYIFpTZd2er3BCKYL9ajWvWt0FVAW2WnVrd3Wsx/yMYGalA/f0eNKZCIS8SsIRCJxI91ERzg9lfxCYT+Yk7kajqxqiJD0op91CvM5cnSidPiyekJ0vYlLv3ZtYWq8XFmznnNNo4XX7PZgC4ltoqPgNH/ecvYNSLILFUyam2dxqIsvk1GqBzipGFE2mRh+IhsmF5oABVqQbW+N4rws0ug+Z+ISuVxXpYeOVL2uYhCAxpLCVXV2xt2pVEquwtlRNgCA8wXATiV6zqsn7gyTojjCDTNJ647I9/snSmv7iYibt90PVA0C5aW+6xAOSI5MLH6c/tf8iTo5l2xwORd5VMnpKMu//6eTplqocc59nxzht30cpK4+RcjrBTc6QIYApkEt+nlDiKjHpHvj5E+imKAhvVYPZZomXQhwoVfY8bUhy/pM6KuTRkjQO4siBX+U0Knc8EkwCSxJc0bRW+/sXYDQHHbe4BBV74Hl6SAevFW4fjiCqfDPCurGOpQBNt5gg8Ygq0IrGlLqhNLZsJGfjrdxFlJ9mxJ9FqRmAwQD2Ydr7SyYuZktO9dPZUWrPH7rQVy3s2beHOC7ytd4LMmUmruOP+J8mYGdWvjH9F/keL2tW4O6FwtYcnW+fYNSx9nkWYcHQkV7A4l2rWEzLxgtTcASI9R58MxlMrSIu1ChTAdXQpzajgWCnbC2Y+bhpkgmAgkAN3PB9GmX6rix2K0A+O5q7cf+klG95cWR4ohM/F1ZbJvdrD0x4aFurUPFLAtwgbwOHG5klt6IDfzKifh6w/32PB27a7Jq4pJh0AJHVdjd+DgJeq729g7PwrE/pq3pYeywf3hMhXxZeVXIlEK6O6hS+7bRopKoo50RxVk5Ij16tVWrHoX5b7FgzgVcinR6s567eKF89MXrtN05cgq3m24Q2T0lWluDJYbByFeqet8g3ucjCUyfwy1ui0srLfMY2jlf8oKMODxd7ErYZWilvlLVJ+QhY/IzlGjwe8AdAlub0nset0R3CZXShRina7kyMQTAtL7lazi7gCWQwrFkc2c6E+Kh8zE9cGx5S0zEE6WmfCE1FmQYw1gdclbNxiEHL/A5r9XpD2LF5VA/S30DyFbcg85qsX9qUTB2l/0nnWx2SIrgLh1kK/H7kuRA+jpHS34HU8ZZPp2t5GDO8T4skFgfyiEAx9tTcrGO/e68M5SqwP8cYH0V9YXhXHcwvnF5q82V9eYjiNplMnDy3c+Dl3O0QpMR3mYb3fra9mw+gdKpC6qI/5FE8bpfXHHZO5JlhNs7y+KUK0JwvW00GBoe9vbn88SR6sAch9FQCI9RDyz6ggEBSnHMgpCF+ZwBLxLOrMQJk5m/Q/5DAiGRUb+VDSAno5lZUnY01zWkaZY4u+lX3+uPJjKqTpZiYNmyYCddDflXiUgOPIUezUO43fXwipzNlg8QfApadwTbg0F8zCOu4YQyPZXh0yRuhjmUo/OgN/ij+/JHwT0oqX1SQw9EoJO2EBmZ8ENaNtETgE13evRKzR39Mmy81auk/FNnzN8jRCLvwQCxT/sa1VgBQBbJWuydqTme3pTWyMVq9N965huhrvqImI1mgIktUBtviTAn6lloXNizebn6B8O7JGUm9ZasCE8gbuWMwK4mvOucdFxtkRazru+AYLj4KIFZaxJhfaRjnATZ6TMxyb+JfNlgrUdE0kHiblDIZe2HgZVcaDyxfN5OFIK9iNsS5Gk24AbTHdpwyZEHJ6TmzIDwby1NlDlm7PJxKLW3UsetzuGEI4q0aVeQWn07AYtV1csBbvi3BwsG9E9rTUhQtZgQJ3qsIiaYXpcER0T7j5NSxm68Q23QtLYOfae2bVDpEwEFH5tRVbZV1oXHJT7v29Yrq0ROQqw3tWFy8QDLgjwTWIMclt5biQtwKlgsrhed4b5RwDpLDOxkxNKy5YRLGTl/BTA4qKo2HC0I5WiRxwcVhZFXKUSaFqIO4nGAH3vJQoFv6/gTsn6yFDe3NaBcQEib55XzvsN3z3STopQJy/1227PINnk9zbosPdjUgL0aQHoOHf/GeLEmXBlyhr6MYeUEV64BZU2ysQzUXcuK4Beh6chqo4kV43J2eFjHLBmrZR1EzPyYCgLDabNAnFd6FZaUab4/aaEHk4kmjb7bPCJ2AZtY7bFdeKIT3BnVS6yOnaNATiSiDoOgpSXwiSu9Fnhl2VMLF1CO5mi8Ct7a6TuLVXb/B4w9mHIMdvFW9ZRWsvBF1T/q83o2Jqvc9Jr4pGusB1AMCkN+xufBaFAgwC0E/FCmsDtFX7cXs52csQhy5frIctd3kkzLnpRt9DoQmjiac3WdKWG39aShK1SBCcDsBQLs1pWERwssrJZIBlhr5rBeX+D5vnDacpa2JkCpR6jyqpw1YQsr6IB6m5OJXPG0h3DN2wPPKcOmzHTIbftWi/zDMizV53SSMWkrs7oE0AC0uyKn8agImpFxsTQdiNBgjA7F2Qp2E+K7yulxQi+Aq5ngfcsUKTyRs2aNH/PTRoO6nBgJWbYmW46CJCerMVBgNRpuZkgD8Ohx+YBAwa5wRTEmqRHOJeOn2+FUKMlx48fa/PAxMt4Xa2IpJM6gyhKGypWWe1/WXjAShS05MnYHyJIqyDDsbxNs0TSAGWQb7nOUch8rtvVTt19bTThwrZ72Pb4GhILWSMDp/OuVCbfMmbOTBNCi5SAbDv7yWVjnM+3FGRbNTlPsYwZ/tvkCoTU/ZoilDQ199v9RpHWal3Q+pVa1Br9vsu83obsINnHKR21Eq4UR6u2WBDt/+z1Tu6fbljRcYUH5l+8r4vujarDQnaVna+NNHKv063POvxS4VuM/h4CDk8RLWMkfaPMMP08gx5F12VyrcVU8sIeTLYTwe0CZpgRWRlQvglSS/o6GLP4OAioifOpPEUBph6KZHkxtzIb7C3nK5gSU6r3IWiQLJDZGi4mfe0EoH6CfO5FhzcRGH5F7mm7JPezwcQA9ta/7uYSpevGpElIzKrGWCDBqiNK9Uo23ADOMWTKxG16Ns7eGxogVLqpW+TDv3x6tgJPp/BRYEqslgyaMLQM6xTfTraHeFP5iIrUdsB9/nPCCwLkFjdFXrgNyCta3vfhd27Up0TjGzAGDpuHRfFCqO7v6K4i+FMDR50EFMbFXBIJD0k2z9tYrkwdgbh/EDpomI4qKvj/+9sCz/DgxbyAUzpj2VPxmVRLLa455hznBuzFY/s5t9Dz60X/3y/rAuf2n15ryfCo6UmYbDbI9moQsAmClvFk348NdUsirz0V+O9PM0mFzoeIg2u+m3z5736sxabHeeZD5fwVoCdqeHNx34yoBcdDXDg3LUUdAmTrjUUagIQuw2yShlL+N6lAU8ATeUkQdPXtyZOvbgS4FS0x1aGgHqQWor87arU6qz666Q1Hi6fS61P6O53deYf0Cy19AP3XcUvy7eRq5cMf1k4ujC7gnP2Oxr2r7eNQvesnlAVLMkp5c/rlvBt8qVZhzJc4nyQWaR1sEn1g9uZfGXbh1jh+z4dve5wghEmdAqFVDm3+ngxWB9oQXaVT5riZrMSR0E7/ygPVMxpRRBnqLj2pct+lyc2V8Ma5mTRWu55SuQCG+r1ohe8HMg3uEis2D/L1ekRh+lWZy8TU1ZLqwvfsfOv7Xa9mWKOyT6eJvDyamLVbH6pHTkCUXEaXope9lPnjlJqD6D/0lJKFsY771D51pP6dNqFXyhXxx72XchoP73L+AphSLiy3BUsveOKASE7hjlVcz9UYg0yfKfe05Txhh2tgeTSwApFvkeRhu7du/JOF6vdUSzcNIBkD32isZaObHraIfT60JakgucUAanoEJ0zgJjpgQYbAvdytHNc1FlfOA/1sOJyYx1QbyIWwEBsZbK60NvVOBab5Mf+XddbCJcmY4bOF7+0fdmb1Ii0JC45obT6wFdJZigJJGDlK0ik7cgGRXZT3zrDWaqMiUXUNU0CM22xUfxW2DuxSDuIcbttHT03VMhsxe+qvdPN/uRZ3srBnLpTykW2xxdN6hwyv+XwxtChnwvtd/MkQ5EDOsbetvAW8unL4nWKxP36D1AUouL35tNXfa5wgHzEeoy6+JzaRfekv+0es63szWtgzsx483ebZlPYHKEXxyhkvKyrra4A4Ct0u2sh09mWCVwb+SjahGDMSR6NzpSMxhv8tOToEWDqy/7BgHpx/sORmUjwDvX+gjut0XbSVDfnVwEJ/jim4ChufEmSHgbuBtjjA/E6d3abAMimkuGtAgfeaOunO8Yvl5nJAP+eGdAeuH6ZvsSpadFRUL9AEID2YOqPMQpSN70b0lsgdUgxJa9FeeItA6y5JTCcr7Hi/b37qZUwmmsNisZtAayxejguqZ7aqQbxlJZ1qheU8taIGWHYYS6bfcRmvPGH6JC2r2qYGuBr5BPYRuMzqHkvpIIyinhOs7RFlF+0UWgJ/nCDC5A9qZIwOHmfTQ6G0bBUGAjrZJCUJmeTn4N0sUO4y1hnFuFDAS9XCBmmpSeBm/T0vJ3k9R8dFAtweSh2rto8JQKfRM1UKPo9/LqC7AYBqdFyLRQPJgHC5w4wRL2T0slHTXOF4KwGCvtRshzzC4tQVb8GMgWYnFSSJj5MwSZKpMVVDdREToaDrzFxgmYC+3pTz3aaoPfc1T6Nco4KDo5tFsfEJ2j5K5SuHO9MQH3nh2+DJfxUVsb4FXh2TAqnmKAw0RrvJ7v846ej2SYGkjLHLHEreCVtAp3g6YIsSAIBjmq7SpcJByednhXqY9fgKWIFgwQCapI3vg6I5POloypT66bZ2kfQORI0HQCsFSLzRZrHkYNrlE7OXdk6HlGI7AKo/UDvIixwxtUT8kYbHePAuVKXzFwqgJCauFJm6qjiNUpcX5lkmIv93MhTJkVwWWUReMNolH5v6vpL+wLC6YKuYB2x5tibCvh5+5r5LtJV3funpgZFLYEFDhDeCCUMFnuYgBQLHmwVqZTkEarvwgzMBaSGGFYtMjFL6XseXCCUwsxUzaCD0MEeCKm6/wk3ocGuBLd2lBtpTRuMRxpfkD++QhEE5FTQ0NV16IltAptR7UzdNHa/0Y9ITGjmod/lyBzRpPtfLJpUdJqKhjelW41BhCbG4T1oMFyy7gGp8M5h4GBdSTy0xkl/aV7XQKLNa2MICipnnC14qyve+oHM+VvVzXvq/AC1l5hxK8Qtht5LT90ikk6R9NId7cU2iPoQcVEtt4lQrK8JJgdFhwmUJ0wtqwl+IAzpaiOU1deJDsLyuO5xt7suM+SyRzS8cD6eD4u/8Sv+1HHI4DkF0lF/t0etSdLwAySLgujn7nlUA4tQExg3+7Lh6wEw7DJTALGAUpe7p7doFIhHZ66WvYaCGo96P1MQUH67sH8vCzTkgmLorRSk6zMrnaG1v1cy05gY0uYEpO7ts2MeujybmJ82KhyXwURpOSEAdZ9jBSekCMvRmOFYGb1x8LyLRKeAF76SohBGPXOauOj8UagMI57fy67a/zhELwQUiX45bkKlRQfWOm0WsC0tyeW52yCEmm2GuBLrok2kw4t39FIlikfYXDIpzcWxwqwxXdJjNoqCvN7qgd3E04NLwNYBS7kWntx0cX59xTSzMUBHh3dpPLwKQgo43zCyvRQSZBtorqpQYaM13jn/n1WbgPrd0Gv3KLWnTUKA3izQeDJlOMBZV2+mY98cdrTIiBXig/X5LhsbXViH8Dz4IvOTz/OYf6fjGB9sIkiwK6iEnlKlOH5sxveGLng+FONzCnuEuUws1YKp4UbcildiajbU0REYgkkT6CB+ee68mW4LpRrlBucSzqwcLoBuSAOvjqRks3TaG9zgcSJvrq6vq5zCOd8hJq397breFu5l5fHvSEy7K2oYH94yV4Pbvr4qOFVPlxL+lW5ij4RnN7qS8rzY4S00zZg53eMA5ka0yd2A0L7xmvoBqkDWO5aOUAHv9u0oW46YvI8mPdDTezwq6DfisWbJtnhc0pBRWPMwPSW01bIvHlBz/JtUMEjBUJwcpaDE3F49LhpyMWNFO6d3iYeu6hsNESVlbchbmjAUx775KdwKxIC8f0mVgbhR4fNS9g83gnFFX6CJLPjxBauO4AAB1gDh8k6r+kNEYuTTJvrGuYG66JGgghhvDjxkLrg77Cj3VJDVUs4NpDG3xF3EXeElh8kgeAPthO9/ytnTix3AA9tQb3lGV1Y5oH/DFpL/eseZaO/yxeYAAxjfpTs24Op76Q62pvXjiy1+RTs02sQwoJS4FwHldWSMdoFFxIi0p3eOMCcMGDd61jwx1YHG8eh8Y6SATfR2oazS6rq2VRhqPPhrDvHOfMO1KD1IN/nHV3Kf4aHnTpsPYyO7SHbQNuEihMYXBU8CDwmvByXRnyHQ3F5kuH+65BsLd442buGO6O2bh0z4erQytxLbAPvgAvyqZTjDQJeErGvshCO/kmHGjVVReb7pM0qsZewK0oBaj0TDLq2kg0rWpkzmbEZ9nx7+RxfIMPvZtZcO2rERw/NVRJ4XJHGEgUe0a/5VOA06RhCw0xFeAwLtU8PyJqe32Bk6UxgvYACBpvjM9CgiscvMXLkRMplFfpJTQ5dXAL2t9/i1YiNZ6Be5i/qhrBtS56otDOJyW0MMuTpHZRMg6Sg5rwf0qsvTeBXgPW8PV4zxbUHg5Z4OnUcJqLCurEZbrkAyA2y32FRsNej6GO2DVdRuKNDzYwcaFHhR+4QRMMKoNymMWHmPxA4/FDfo8MlRPASZMEbSKEra3qwRDZz7K+F790MxHZUJYsNzQIMw0cHJqcKHDHLfApxkc5X6ql7OB/u28I8Hg7ZcYz4SbnlXUIQ+2cn3iwpV9o2ops3eRQiymG/Oo3R5Fgw9brf0njAMUYCOwbRtpYDWlOWHW2Vc5CIhhffn1yivEo1dtgd8pbwKx3LWQPnBzU/lxEFrdIoNiNmfn5zDR6hYuYBQMbsdjWrNgdIiyV3d7qSX5yCgpeyeEOifDCW83KB4fXDB5oPkjFT9zwAHOmLAzhva/iUqQMAbVuLKqxU2x98GNUxeqwUBoEc6rQSRbUnJLpJE2EIxFu5A/j/NGIxoxHfGEFzajMCWBKUQns1bXwGmWlhZhcGAK5fCWPnDoi7QORAbp9AI/yLepmQQccSTMyFbwgQg2ef4D9BIFBrrTAzc4bl3DAcztEx1eeStw9YWzOxOaptcIUjqwwMc4Hqh6DHzBHvmT6swGh5SVRktoFZCjUM+fmY2VXFH50r0PCswOBRffzWqZE86pdTVD3k86NDCpgPqaT+sOUTlwLmY2KW33gQZyNdw9Ek+xeX6jnP9aq7CuVIJMWIQK/UIEMH1Ly658IRZE6OiggIYbPKVWfXicSXSc+g+srCV3ZQN7xkn51N/QG2wlKJ0xUAOJ17ZdSx/OiYjzFoLVHMQWc/OCXeVTSwUoz7NeAJMLbBVV/WV3ra7GPb1UH23ubP50u6hPMFwDHmOYsLTSlyihsTmVzzz8zLTw+Xxim3j3/DMspnTrPr5LYc7OnUadbtHZw8gTiTIHqu6XdXVv+D7Lr35V+yNgDiYINrzkTc3IyzW6mnbgfNYfefqOCp32SXTmILG/wkzALove/heh/Ia2VhJV3/UGAPVMKa0P+pVso0txvE+wsZBjTigbl4M3rOsEy0IFzr58dPfwXoy0u5T4A5p14F0+lHBeaQudJ5ww5n0yGqwDvcZ+a/SZAZAtIBXs4kcKdfthc6SfDc36yRa8CoACup6LoXKCXVastJyDO/gZ8xwPIg6f9TcAlKlPrhcPuKQUVCBBrom+mws4Iq7I0ucouPCTsoLz7QE9ZGSokMBiyQtVCxYJKuQb9RRhtbgPBsoqK8wFEhLiFLbpCC6uzCBtbDN23ElbY9H/64iR60O8KAhHBjM/Y0wzThe8GKbq3LfSmLQA2u8BdWJ+gyggxUoZdA1jovV/f8Ua8UQW0VQbKoQesBaYUayRRBwG7cQBvegjV1rBbZ0wcGBVeV30SMyeWijKfoyfNOEC3a2n9WP+iEO4cwAlARrnw5DFMOsVwFCJmoHXSJuMufSmW82DieIg8z3hB1z5k5bs1CiFTtwzSP7dNY4AO8cfawND3mK6ZyEpcuwFF5godhUCrA7DMR8NHrkAIb7OBxyi8m4DcH3i62AMPByxFuFX6zAXEPaeDZ3GR3y6B/qXyuBQAX9DiOzqp903JSM4X7APQIwWeBDid8nVdvUUrBUgPTbwh04lXEBNZdGTZELrADiIuAhrmPyITMugpJLu3vYAjZ40d6i/cyroA70r71GOBInLJSIFRFVNxg0RSE4RLwsCnzzaDzTSvqpXtk62qMDl0IlgAeOv5VVU8FTS4IIHXWLDCia0r8pNBpRGAUs3DvtlkXSr9KlXFvUq5CKMxzVTAGDQRK/MEXl7+uUyW9cCo1wmVACreOAqgTPzRntVaZBcYkcYltwfqCJHYPs7QdShJ6099LnOd9eO5Dep1Z4Qt1RWjPDP3sNBlygNwiQUDA6Mv94jBNRjQrEyfZr06B+T5zkz8peGEZCofEZngZ2TkUGjD0QklKJQX1cbnKpRTpTZI4tyogVQt30vRqTX0jlBgharTRh0OZ7Yj3fGNvVW3OTV4zCFJykH/XLQnA8pexIyBeFotT86uNRqYArD6e/BZHGqG5vpIGAxFckGf/xI+fzp6rLZnievmep0zXRzMs4yvnxwm3/cqbmMVJFkOvCblHbOKbc2fkVB7NfLdZgzffRH6jkjF5xedss0vCISq/f9hOuMN0lp8qNy4l/NYAd+/oOpuHNbgktu96B56H89BWtofBFBkKj40KEVfsNxz7QKgavDh9r5xQ1xsN7EGz4/jDamhsFWPEltYfmJ0HIObjsGUFfJepM/Qp3x1ffgV69H1ZMMLJgHkANJVqj2Wk2sDFqN0OG8q+KCk8O8xJ9xkWXhPBdeeuDh9GTtXY5qW+wTUnu9yEzEZmhpkZ3jSMcz6ZOGqW6H2oqTe15EW0r1waYKlWaQP78Dlw4GT3Vvf6gHnT8nUq1cdnika+Ifjpkt52/0UJnOU/JGMOT7xUBNeuf7NAscup6csPNIYKctQIkWBzIDvRPC2qyhPEC8v6kXGoZwSKk12OHWxo1AIC41CE7xloHoRzmh0a5cA2EjiNV2xhCWjW5ZSboJw+2fUoFwCAudj2KSg+TO4YXnjE7p2WkYZvbBSRZPlc9OMrWSrsncYREJsCqZgwXTtmW2hQ/vKCO7fMXeumJFLP62Igj8ZzGlO2CGZnEn78Sowns3sP0Q5HqIFRzH7Axf28iug8FosDPGDChnPbfC2TIMfDW99hSopja12d0xIBHLhAeQHIPTiCGkigEXB9YW68l7KxKF6FMszAMJNjxUWY72Ps/ID+LvThqF4iVij95PReMasxshBJSpJtw/CUZAwePxiOrJ1oDZ5LeH8Jiw+bES7G4ulHiRp/Wg7sh+q7FJwwvCI72xVpIwvMhZbkmiv8gzdqakGMELip9KeQWHFSoJd7JGxipLBO0urFfrNUEDhYZqlgmgvqEW8h8lpFoZtjnDiOpWJ+WadD0lIK5GtQnbFOwcO1adOzjpWYxhi0KRdcq7JJUY7bfStiOmWXCl6AfnrQZNI7eVBueGYlJFUIApnHQjRlbz/+7oG6EZDljfYeXVnWuougilzEmv9Cu/fGaR/yL3oDoB0oTBuz+z/ggfV+CvUpSynHAxXs47IvffipTCNPFqBVzNdk6tWN6DlY66UF9zh1SHdXcov4xItG/fZewpJ7av8pN8H0VrOTul/f0k1X3g+T1FKyvymRev72k4BjnyLITOCnAGSQLKRPmIv0HomRFxbaFYoUZFKWHsNDcJAwrJzAOa+nenzAGEM8BKjujbPyPqooti1HCBKCsnCL1DnmEE8I0UYGwR9Gisxj+Hhggq4w0aQ6FY+vqxTimxQMyaymKX6I9pE2KMXTb2S4NjdmXNOSqIpQBl2Ok93von1hGX6sUaq296fIti9OzirphSsMfPh5BmMdMCuL7t4h/vQV/Qaz3VXtI5KTM3KmFBFeF+X+L6zOiX4fnCayA+H3mL9zmJlYu+0iQT2nIVO0moSxquTRE+LJp4iq7tUoNtmhEQUhiV9Wx11Sicz/HANHaOol9tkQtPlV5SjoWGnp83PMDHQPMa6B+7Tn6mU2zZPuktpCK70t8KQoZQvewLuWEA1jzHI5RS+VQDz8pCYCd8Z2+PfqWb9vbi8bYIeeU+vyyw9YdI4VXWqdbQeQ6Q9ho7XjaeuXcUEpImj1x/ffmE7Al9CFq1QLmTbGKIETrKA4syVHjANu08++lPEv9B6svCR6gCBDBRQ37MxloHdqO46gTICrxg/HvwOeYPfi622FMkJMRrw2kH293NO3uweHkZDsgLmkVnyAIhS6tNmvy+8nw2MUJaMWIRPUCER9fZX+gXbUO5A34pxulDyuMDvLPDgcGPZatVHApAnof3DxCnR38sNrggXayIANMMO0MEw7PhS7z9307qQpPdIgkY+Nxw/Mj12R/gOvaeOATJuESqMTiNa+tGNi/Asn4Xkm8aPMorypIF4MDZKFT+QxWQHgW+o7k0IPhmZgJbXMpNhC2Mzu2HlB6i+QMlCdiKUIZh0WGXcox6ZPjvEZw8rDi8yVNjYguYCVcfgtUMeooDyjC66gMe1W2+7BooprhLWjrae+muQczXRaRsxoRVBPdEj2Rjj8AJAaGSR6OpOnXjbttpRBNWVVUZI8DqyWrbQA7ndiy8JpyEepLGM0K33BkMcd1IUhyebj5j3L7CkTjyikb0a9hM//dd+VQC4ST8GRT5gfMj1xdUHf8aoBcESU76h6ht5uvrqGe5I2FH1ACnDAKYWT0e1crVH60Dgmaui5zWSIDQALbjfeoAzluU4Ie//Oz099UXBBBz4WZeqbMjfrOgAQp6TDiCdr4a6q+jWNPyLJ1hmSzhQSHKjmONQzCx0E3mDk79SLuQ+UwAwRgArez2ATI2ZKXqH/3AdyFraxh9IraKktMc6q2IE9zaEWETUhK8SCXzA0seFJwZ89GYUvtNRJdvkgoc8nO1THMMKND0eadd0Thb2W4oRil5E35Tk0NZwWKVM9Tq06hlegBxaaB5IewIhOsWSQrSfmk7O1NvGIVYtRkMQAIWR4l48wn2OldyhZaFleDJxc+JE83uTP2FBKojQH9Zhgt8XWF3dIgB03UdVvvyMMzWzznR96wCsUIAC4pAf1uDh+vBDihk3X1tA6vSNhU0L8OQtfPPOnosuj7xgOU9oq2wyC+nQNGSA/JmGBxeZWtsy1BPzcOgQM4eTKX9/4nTU/Uhfo3ZklUpAE7U8nBYWEB9qjCFL++Ti88ZslVO082T56EWdzoML8/teXajbLDL9ZsezrowtVaLsr0chZxMhu0cC6AfDygV2ubDb75VTHY0g+JOe71jjZKSBHSG5GDwcisF8PECGej1evM6gV6TkTEYIN1iuTjyTHmIfnE4y17Q8WxDrwFMlNBuAA+q1BWG4VgQB0XSpw0G2taxQXVJE4V3wrnv7zcJbQmFOX/cp+QsPwXJiH4sckICj7w6WPxh57Xp8PmiSSH5TFeQIClwB5U5WdoeGl/RKOCbGJF270gBczIuMBBcr1FzeBa9eqLUvemgH5B7dkh6y4EpgMCWBZJlOisUV7nONOygg4w8HfWQIqgQnVGxH/MqdbEubYUpXUIstQdDyUX+qSL11ioAyajarqXIlkhia5GaKfrmSg21Njt56mErfqxBTduWkTAjcvrCQh4YwLthJ2ui5qpM2pcdnEgXjInRA5eNMWk4+q2WKr8N638Qh0Qrp9bKZQ+ZjNxPx/VH+YdU77g4uekhtclVw4VhSel/Py9t8UEJt1GleBKfKoQxydKNuSe82RdbhU606jMdD21XfKWcjf2mvmjYPJ7jLEaY4A1bxYMPpgG+NTgy2l2m7FaVFPXc47sA1yxxS+AXX6tol2J9BimCf+XFBt2y87p9sQtFXZBCvaaH8lG7GiphWfb8Wy1WlVUc4kQDTc0IW4eHIlnIRhoaAq6pqtRtlRuwGVSwxVNpl9TggGJYz+00ALQS1Q61An9vu9Vv3tpDoru6idy4dCGZEpsk1ogN3hQp3Ix4EBfth/2bsq3MGnc2nwhqojW+tKUZ9MWs3KmR9l1kRr3AnVUsYVY0r1uWROzVTeLgvIGMb7ZcOOWkalQsrIh5EMY4wxvf7P9s1CwMyGP39pqH8wF8GCx03K1MMJgZpIh7FQZ9CNKc9WDF4VH5SkAkQYICFKA2Ip2RZEtnJHkiselBfOt8QLqWtvbYcvvIm533p4t0ifvrn38IpJRE5EdPtBnEAUrrttPE79WMuwBZJK3beOQ61K600+iHIYvoK3PRu+L1nWtNXIcJe0a7IBKDHgPvjdV3pzAZKz98t4uWpWCysJdddMj/KtCciHdBb/gy0TWrFLfbJSnC5t+FxBSoh08msNgJiN11WqWzxrhpHNv4Wj9NxSWhwjIovGfxv6JLp6XbujuqVVfNyTCe/+H6fv57DZ9UEgmLRtp4IIDOpqAkw4x9eW/af2RuhyWQJRnueuyAZIAErjF/Izvz2quQy2r7J7RBa5/+OsUMZil5977AtFgtyT+gluI1NNGE3SCUy7872XJFBdHAjSfievl5UlkkeAzJRYgOZOrP4YlyGDTlO7cFHyBqWoM/1efpkPUaNDyBchqDfYMEhaY46hpplKt91vHmzLVbbJRL5vsE7KdNPYApjXraCKaJq8WDAbnWamukbXsrYjRKR5SATwl10rb5o8hG1PUIjGSB8aR+OoZ7n9vmSq04rdfkEUVAqayRphtSKeXRpnNHkVqoGGmSxHvaTWJPxmU3DKf3IKICXsgAUxMIcBahzOvaPiwgDTDhAXwCJ0yiECOIMVJTYR/DqhQoks2eicBgZauGVQuZyHwTxzmykMPoZdTzLAY4nAtsbh/BOlqjsvHkwwfT5divP7zBSHzUcSdT2vdw8Wht3pwDJIQ+/CUF3ITDiCkwZoY4q4UhbeVcxfPuDRY5lXEQCe8cu4SwE17KW8lLfBcszpRQxpke18FX5dOy3UwBeNq0nfY7TQDhXvNHM5c/Z+wHe7d6tXAd36KiuT7XxFBVNdCRWAXMbX+ouWjL58+AoYbCl3xQLbDwMgehpuTXIPtuLIxf29HHCZciXZjYzflnxFiFSNQtiV7Faah64/rgy7I2EZAMuNjsvW+qowx9Ucb7zoSz/1NtGW4RDDbBeuXmNQom1lR2YGygD16XE5NOrxj1QR/qy2L06/Q49b3pFFcZF0kK4yLMQmLih/gB++rT6HyJVUXEQO/bH3opQ2qUc4L0Vk3VHfg2CRrEBXGQGKXiJPXu3bKRvX00aH+Bprf0bLPStyINPtSW2VrUaeRKms7UfK9EyotZ5Ei0t4oR7gmn2E7/f/056ajfssEFgDukI4X4apk+xpEcJxg+qpG2EOyz6QjAJVMWaBhFPmCqgPa0TuR+ELUifjTVAP0lGDRbuEbLbNxzU5vTh62KEU3f4fSjahj4yal2GexoXIrjrTYCBPlOeDQqZRbyyhTC08+nRBfAqGwy7KAz6UbbwydQ6kNX6CLDCHLq2XIkDWe8CBmatqqDMEx0PUtkaPTV9orxlVHfauM2qAJL3v+WXYha1JCKjfbPaolAUfk1cECIag4ucphQsuKkkUmp/8WD7T4jLPyhAxvOQriWYS/EYlcydy6Uu3U5Dv5tUolWvVG+7kX7kMwLk7cpneV2WENsi+Tiyn8RUyku6nV+y6RgwvBiBPob6g1UjoC7A+zIVvaURzyGv1EtC/OusIUsz2TDDsq5NfL1qPIY/oOwJIKh7bMVLEivPDABiwtrPh3vfybr8eTqlL9LF5z7mPMnGLmweOFGnJXIucgqZ5SzUlZ0DSU3P0hQv2gD7GGslt69pX9F3xwLJuotE+Xc3pJkNKd1YlyEUprbTXhSycsoXHx7Ln51c29mygLmOwmoPv5YneCu6Bv5rsOPSRBREUPPyBfxKRagStXWvRWVUEgakByaEIYMqvFMANOAIo+DqRp8606GwPDcCwVEvMMwO6dKGWjmD32Uwy03fdZuvt4I7A34fD+EmgxC3XPDSWAkW/wpUdINbr469DTSsV9J2N4viijS9tGN2SOUchMJdUiNV/fc8UVw2iDKlrpfvL5UiNoFZgkmdJ5J97Lbg13ZODCqkRTRCFMmlEgaRch3hbl5xpodabt7Mzguo6kAe4Jnv3v5KdeI4JR/Jb017B3KxpeSEaNOjysRU6RPFf/4lAjHz/hoW9CQLkVVdISHZcOMCRL96rHqRgbKXZfV8q7YSBq4fKY5qKIomeF1bEOpgNpdtWgD5rCXz23C0beFIjAo+6LcCoosnZQKRiiNDY4TOaWQOTraRXji7hiloGPe2wxB1rD4bkpolH/p3PoNN6Zmxr3iBTJTAHhkL8Gp3VMmMSbpn0ViNyXJtUCu6WA82JrZR35zXKyTrZtvK17G93gwH/N2D0OsNoyTwnMBvlvlg8kHBh+l503L8tRwOLgIG1AiCsJcw6kVxX+xQ2heHn1Ecq9RVvSxBPZ3e0RDFZcesel2iqlhRBIZ/MJzxQpgg/0ZFd8X9AOKu4QJI6dnjFFnvEI0NOkKxvANaO3cVQGTD0ZVZEuNHiHXYCPHoBeT+KjJt3DlxqN3QB4IjT5EyO+x0P3emKLTe42+MQOAsXQ8iVqfbVWoOYfTxyy4qAMB5KskmYMxrynkaqySKHpe2rbWhm18BobBZ7kcwbeRF9uoy642InwyJC8+Z6zO4cLZ7nBTv1lLa70JII1r9RNcDgkslMBmRxtWCWcqU89BlZytK1QWoGpTSX2vYQsilGfCoudMONX9iOR6ffVq/D4i2FNMJoMe6YLCEhiLCECAHwwvbCEDUQEaFP/XDv5jbGqrSVYUaxYMQPqQeIwloZzMMkSFJ+0j7xfssII8GaK7BnkeE9P5ydxRzWvY0LVaNM6tIJjIL7j7TdgKxOTF/WP9wqq2CddJCC7LLhVOBCS6+LEwM8aJOqAvdbrE9gDfBo20F/1P23qaj7RrkkowCAxqD5eBTLFWdYmz3HnTAq477Mk4hSFc4HjWRH0AFrAwkmv+xafATPfqzRZIrtYFJKEePQioPXoDl/ZHlPapl7jLqX9PaL6IIWUj+hpsGofhjANURJJYPTLmnBXrnu5pCrhvPHhyMmZstNwqKR5OHYjvb7t9Hfyc/i1wpkcLE1gKP+81nTB7Jt9R8+mVhBhWYLIRy/QEVj1hyxIq7cFSz4RDLt2bdT1E349YZUOc+wtAdUJGujODt3950odaAqI5fIlVWMgFcbAJmfhlorIaLp3sHbj98/hSnZh4nn01HT6ztLasVCIQ3+F6MiMccaLc/InN3dk+dwImapQAbXRekcpUCy6Tq9Y9dvZ8cMgRZ3rFErXkSCGG97BsWA/+KWKnDMACA2Ci3RI1Z8floFOl+mMq1niAzIg3p+qe5lelN6vx+IjBio6rLDZECyyeu/wUA5QCnuXNPI78fJRGETE6mee0/mnyTEcmXzkohnGy6McdPTt02iAm3pGCVw3o5Ct0tfhpgDxBJ00w1CuYVTAiiOyHWV8oqOk9yXcu5ettTN9/EQpb2+6Zl6/rs3NpFvYnSY+FfDCGctJvxG+YDb+nO8FCMLtZnCPA7TjZp9na4mK+iKEQ307mE4ZMN17yk0sUCZcDoxhIndPplDw9lpCEto/8hbv4LJAcQv0LACgXuy9wGJrl4OVqaXsP/XHrk9GDPREYWk0K8a5Qyv48oxfbFArSUriANgjp1gIEGII5KYDnl6v3zEsBoo2LcIblkZo2PKbRVuX7qYNzfynvGfyOt1SaHaVIph6kwftxiivM5RA2FsA048W3RP7Wbkt1mG34eQcO68dEfuC7LnaOwv2dpXZwLjdm2droI+FnZBxDBcrtUPrCB1FVt9gYh2afa4+H4y+Vdtr8G6QdiGwzktw/6W1B+gcmhaSXhdi5RaOwPzvLJE4TGGIN4t9FBysxeM5qo5wCB9OPIY1pnw2qEAfbxs1xQw3yBqql7Pe6M8qzlJI/1Pblm8XTXtJWbXcXnnB291fzA2KjTM0BGOMaoG5YlmZJrV4Vfkm6TVM5Lprw1ieI7ccO3wHvBTUfOwLKvu0EBMsQw4/Jj1XkE/crGOiwU/plChEssOsgeacocFA1n73xtOLZgrN6E9xkwBHB+uuy4o6QfGZYted3y6GQ8m+/QnY0MFS0RsCPhGFcT4GJIfhXJ2H2eh24I1IDt29nN+rE0DIhHrVwmn1F3DeXYek29GjLxbpWSkDKIabW9aXY0TSLaCab1Zv4geuoL7R4Jvy3Qeznwc7WzTTcG9p2mntOhiJQ1TkUJb79bTtzuJn3hFRKiAEc/sFvjqxAHMrG+trFVrWCtHt0orsfnWA4CC3yUVr4Aq9T1FJ+5oEgo3UuitouazeSvRzp1Ocvp7o0LLiv6h2gkEfD3O2/4HROUma56Z9EYjlqJeUBOeePe3uXTOttc274kLV09avvuxY/tKdF9HRLiFw8EM0+kDckazH6yNJro32nJ4mNMHsD2ZRLWUu8typLq5a4ve/PaEjo8AZIR5OKAAieyGbBLrpj2/OIOqOI+RFg/5LrgZUQxA22N9e7qtfSTyQAdchJosMzhFvLjvSfelhRZ52HJ9WmUgoXxUmOCwIVEGxd2NkOnsMxFoPJvGEzkIncAphOjrRkC2RXYNXUNCqP91rcCQLUlvBaLQFtuMpCFVayRAuDsol9v8Ieljd05BK1hMi0zolYLepth5lnDxVrYfQyhaFsQsNqGXi54bXSWiC93YKEgXE6JJJ73Ghhk6T5yCv8cjHC48NESbTDEKLymXDSNH9cWSPakh/VdGa/qVAZeCJDDdYsJksyD8bThigzBx5PJIEx/XklReFoQQe40iRg6wlHskMW2EFq2T0nA66urwz+CDckgXnuWT7Nl6sGaEoc4YgvEgvKueOIg0WOHYbrQG0aKJ8Lh01d7Yms3DomeMelE7quIBBaVDuUkW4cb6EUQcjkDaRlAcsGJJsPXUo9L9tN8XLXtXo3zS1fUpcl5yCpVb2cfj/pOi0YioyOaC6T8llIE5YhYpmNcTvyPqMo+1/BhqnWN+KeRXwTwpXPMfUxJiNU70AxBZJV4/8wYLMwDLfkQRzAn1oaXyAj7Y1cacN7SrSGsBNgQYUlHwbiODD9pH5RJRo8WVLbyBZO33chN2rsl6i8wet3x3HsDOYuqd5ouoQeTxX6khjG0voVj1GgdzdYTRFL52YCvzRZGiLmWtskD3yWqYPP6LoTN6Akp8pa2/bCn6ff5POznFllqFx0fuzT7r56dgA1fJuLkGIsL3NR1SThuRYllELvypBt2AvOjjUcH2UUfjL4xbTi8m9BylSGGMJeHODjpqpeEgqGcX2y9SgIglm7MuOM/iuTp6TudUbfZBr6SsH1XYdWfvjf6OIBqnBDTRRb06NmyAYI6N/SNQzhWL2Ty4fzu+wvX83ZUFGerCLmG0FrjVAYwYf+YglowUerDnH2k3cRmIAAepzKwkOqqd4A87aVNHC27VSVRoeWF+a0JbAmGb37lEIX+/1nKOsOmixYmAyCdZ5vRzwPE46eRD/2PVPgePWmkUfyEtZ7fXHjlEdY8ay5dBg+HGLfGC0nnYrn2n6WqXCyS34NGOqQVUW8Vb2BW7geJYBeVioGk4ULHL5Ex1m49zEsHuaQiiM0YiGGLIMlqJAPkEW8xOHy04vyp3gnotJFu5d1Yq38hBQ15FRYMh/1gyHOyaKtErN89//Tcivc1zIOTWgT0eSOyf7BOT0PLEA80BHdpy0e0c3D4wR0f6hTWHMiKhhfpBBbrCahEtIAo5Nj1vWrfN9gz5ZOoyQXpsGUW9FGzelm21u5zhlwL7t7IhG05NA9UmfJpRE2mQdoRIkevAW8g2XRlmpoO9YO/4LuBQqla+iHpR5ZjIeT5pDykp0eU4O4dVx3b5teK2v4UdAzLV8BINdR+Ht8QzMDIxzVbV1GzcXruHveT0YZF6pJ7Ve6NxBstjnxfiQ6vIl97jkTSalndiFMqbMh1pRIo6NqeQbVfo9O1APo6g48W3gdpFeEHoeLGrA2mVhbTje7346EBWjdX8+gstDOHZFiEI/jdA31b8gbZSNnCYABG/pNAbLx1oVVoxYwAmeAP43tl1SbkJ8btinOY5y9/ugJ4FmQRx5WBWbw/x4ZojYQlffYBqlthz0Uhld2ivpnvylxyapyBg26N+Ax0tPSjwGJ+qsYTfT9Gss4O7Km19ndQXdbm3TyGrIjobZGKrxdvnbUOvps1/DcDyw2EOBXzSeyir8wNGUAxijeBewtd//7CjjBOIiKha+fZTLRmV4/X1hbB6dt3Ar6UfFAcamrF55ifgmHEHxGijjd0NyTAmRZsokLAVbC+BOAJEhVouMhDEt+XtsUUeuGvbMPGIOePp8T8PMzN+QG+6SmhKaAPYBq4Rd7Q4QGUufcUJHW9u4OM0opjo6jNfbegKwkys6CwECkbB9Dj2/c2q7oDT4d+wxmBLa+FuTMldjFNGkGTaDsZDlAo4hiCDsXPriNt4Cp9+z47ZBAB0nQrKm8VX6j8EM7rcQb8lYkQRhUrFKN54cN5ah5MIGen2BKSyK9ZW/7Axsb49PpkW733W47iAhd9ZuR4SpwzixuJEMQcCRowv82ECf8DyPw9cQcyejMz/8pJkELf0daKMeZudU0bIutJQUrd0OZ0gdZzcBGu0YP2tEEkZx+Xmf60wXX5QTuwJ+nh4fPhCfPdhl7coVd4oVoriOOYWHaNI+NOWzF5KsER82fdZ09ymR+zCEHheHRPEP7dLlIwY6Zlln3iBqW0c5iXB2l6gjnmxFvsFrkcq4J/Nqyve87WbtS+SblN6ukyecHLVIXkYaC5A4rNQ6naWOlaKAg3MQE902pSu/p1GoIsJuN+jUc3qgBL33JeZC7aosCqvat+K2LbDdUVGmXRL3wYlFPS2iMC9FuQm695SoD0Cbb7niirpenVlQIVANOjas+5d/L9EE2MHhSxMMVFUwWYhkK4WH2HHK2XFRilNs9rid4ff5iu/iyUz3LqjFchLgARk9QD4EC7Z9664QlZChLVRXMwiYhvsoJJ10DUGPfnfxXcOctgXooAOj4t6Z6sMEn1+wQr7SGfojXxZQaajR7MVxZAAUYkowQBl9FIC9lycUmDi8XfQWInKvcLuHMrPjxsQPycE8T4FQdcSoGOQr0/z7rCeY+/DA/98g8Ls7TZJC1382/n+5C4RqfyCrW2mAJAhbjmvi4SDecE5MG1WuVGKB/jnhjsUhp6LZ39F/hhPbLxaShWPTgSuxVG3Rx8++EKbWHaHfr6uFSsuEm7VuG7v0kI6HyC3pzAzrvzpQTmE9PcixtQ+EJnD5hR5j09255sXPLiQL2+XgHw2Vc4fyEMgf6g9+AXiTaJqisgmT352sldV9Ox85RIR+AmUatb8Aiazr9ZeCkyHj0cXV+upmjFvZkM/m93e3Iu643qp2I0FinrNy4Sj0VP6CFidxiJjca0Wnrpt0aOKIzmDDVsY0I6grHRmlAHDwANqLxTSuTDPD2wmU0AF/JFcZnqSzc7UwFDjkFyzQARinfTgWAc3mwduSQovLF4Cy5ROAhVqx3Ln9Oj6pE17oAmtkrtaCXMpAiLK/vQtl+BmLcpDFvG8r04fPkTyoE3BWuwW4oYv+kLY8J+oFUUxm3Cb70Oel4Cf4gOnsGAf6KYpWdYVmE0AFSf+GyuSUzTAwaYO4svjiJqjbilyjRYN+61O2Ukd9w3pK8LfrHh7k7kAVJtciD/vG3BhwoTd5zKNoZmL1aOJ7wmg9A1XyecC2R3fEMTbs8Rv1nhrofqwzHw2rJY4xLZINhc3PWtU7gYZVqLqZ4L6u91ZQGScJvP9z6xJ5goexwkpnXEG3LZM95vhfYMrfvTgQofrBF6w1a7HNOfANJHTBl2c9aQlHvnJFyKqBOGwEAtCBopaNP/FydN9uC23rQ+bRcpqJ7NIQ7VtZHe+lJqhD89ImiH+f+y8EQ08VibmgTXQuTf8qFxCVkcjrgMI1ILlHlb3BMbqy/6on70w0uIHtTFaaTba//9GymEtVgXMDYZ5G0XQHo7MNqS1fmlr6QjD6OAK3z7VIvo+cZ36yPOMU3oudTNg8fdPARfxPsMq5zD6CjQky9iM1oRavNvO9UQHsDnT4+R9hXA4J1xK2GjeEkk1A1AKzGMhdbfC39pyO08rklvnhtnSyA+EPigHa68LYoxw+4Vga+PZjUU+mcbeaBKb5MHGjT87y/1XIGWj31xLVsSAMepVAeOVzCSGGTdRDlc2arvZi/O3+YZoc08pv/w3aAM8mJReN4iSGVrW2OR0sjm4bLc+QHh31abPyADqnxFM8XNexIlrk713uBxLJR11s4J6uioCDihGviHK7X0YQB888ttUEXyp9DImGNMVK6FpahjvWmNoH/hWtsnRhU3+YiobzF5z+NHrKlgEGxSRRnOsiPC+5sLYfZBX7doKA13xBgmE2UjogdAyfwUwrzUPEzCoVqMr6hxj+rVUX6vEgsOgywW20Fe3SoTl4MJHoY4corX+S0GW8WwvZREQzuXzFM1Obe/YUj1v8t6gkoCT9Kp3F769Qzsql8gSR5YTMLfuEgjMdPwvJQTkNV06bdhP0vojRLatUzwjCREKkMTlr0u20i8n08Z00DcSTmBmbnETYxw85vZHeAByq5CuQo5U7tu//8DDwlJxcHV6gkMpHrvPJOu7XZWDGTU5REzGrs7xVHXtUYFMnynJBzC8BPO5Bod/diaXCsPmELEL2pzmB8jUViruSLYPPSERQMjJvKcqWyIG+XzJguGrHitH2zHHrZamsv9LlIjgHWW4mA4mAiy2GGAvjHDsJsvJCjC3GGgPNrhXY+AEqTdgEpQmZLXvYSCihEKqGv2IHZ9ZkUWCNm2UvKgIDP8QgDMiCVNvfGdMfNmYVPnDKh0Zr4QNicShMVRPMUhQ4ysVvKkh7rrYl/GYjkyUSEKDZAzFFmP6S7RGr/HNLfl3ScKaMUVhqiOTkNmaaxp3VFAJ6m3uu4qF5HnXmxHiplUGiSQhlSJ0b/8SvBfigssLR0SnpaGXzHWiolZmJ2dTr6wUp23fSkRKMSWWGSOdDTuRGBBSJEjF4ar/Mnb5AgtJo+MCGeIwlaZwxOXH1VpOkq+nOEC4ynkc8W5cLBpiXsP3hWHjY7w2dg8V+GRtUGxhzuVz5fZMOLQ7OLOAwxk7Ftqolsa4x+X28y/gr7PTQeLpwTfrTaIanbOZ5pUX08HjwkqNoHmWgPkPLHg8bKwCgDo0Yfm54fD1kS4QoO8h+o5+H8K4NQeargIlLmkzFBW18d3fpzSDHZQCLooNXqSL+6jJKKt9VjsrbL1/J2dwbjgDVvN3FUhAPK93tRVEKEom83dEpNEp6ZqLFIq8OEKLeSAwxcBLBVzAi8tqMVfNh3HTbB+eBij/aJYe74K55h4A9iDdrK+v7fXcxZfJCVPQ3C/8t5GsaUsctKKIEfACObXuJX+iCWLyF3qwFeenhwpKwlYKycyrKNRrnFAwpmjIQWhd2n7aMQsSTnlyO3FQcoqrC9xTqVl1fmzhhNsnFeFSIJ2/RnQmrBDEm4P8rZVHdGv/gj10IQNHbY8bQ6S2WYg7lKu6Eejg0DZHZqW8MnjXmMENXQQGu1SFzArIFT/f2+vHQ5n/cGxdldPFCk9to5SuSnbaPRFAIf31bK9IDSgcwDoCaXmZnZlLGNuBcLaLOJ+b+GtrYzcFulvcJ/IZ8we85QKKq1km/478vJ4uYzTVQSsLLAbaeLfVf4Ykzyz2IdaugTY41wP52SGhHEoUjv6rRVaHkSuQzHUtfpDs9vJFH8lUvCQ4KeULP7c3Hv4EHrpPEpJMNvlf2fkn0UlKhaUjW81Dn9+UItAhDaJyXmoAN+HIlEcGxlXJyJDo7GmCS+CykT5JHo5+QGKL2+0lQmkLRUNHANABuEAsFsS1aGPfOfSAlL66NIWZDUF0RUeywXk676cjZYOTImiNssK7NhFdFOwVjASE/OCLGH6OzZMuqxpUrYvfZPadY8qTV9B3LRtvnR6NN0Btd9RK5sZJ4fZDKm18XaRSr++LQpYQwpItbUrjMrDhDV9mUEh8HrwqggpuyKo76rcGfGml620wJa0V2Eum+9RcxZ9vnnnxhLFo3Q5mU+QGvr+vSucHVgC1EpbBjQ5W9kr2qXp0ZIodOFKQxJaLNJr2DgVXXjqu46hKyaBRowosd2dGpshV1+6dqpBCS26Y4FiB06jvlDcnWZuf/Ew3N8SOryh7X3W8g8iSALzM2xVojkf+CgmaXuxVRrj9b9uzQDTQUkpCI1fxSNLlCWkECtbVlgNYc5R0OT7sh5oizGbWmkEvkenHh8Rh4BJzxZkIrZFzCpx1Wn0upRA1kxqz7XzrKtqcl+jxRweooETs08RdpMsFAcCBVxGPksQasiCZZxuy5EteiVCNX7hpAbqthaFW8LUmqDsPaCj1GZAXQTYMmvKbXebLn6zCFqLnsSbnfM/qvT1KniUV3XDldKiAVesBEfW+gXPucrNUPCFojYHrF+xgyQM4QPA8rDbTNs5jE5bdFhHGGf0m7Yw/D8xJJEJO5G5xaoFtshPuZP5vxd5c4WoqXKoMgBiHDGkW4ZceyfaKJJm52QxazUZkgKrrJrYDE4Dg2MjBYoqcbbhHVxP/Q1snSNVmFohi8s3TT+/FJ9Qoc39ooa1AkIOMs0MiR8gtzPxwL5hrfWVRS1VRuuiR/eLsNzCIL5/IKIb1bPCyaysu+EsE5OjZkTp/c3i07ALssH8VYs8YwdIwfWaRluK0BoqARSbZkfwYxJKIIciXEptVxVRNy3SOWVbRC1C9+32tX84i0xor/12It0SaYzdHYet+wFxVTBTuU5RNhc70GwTvFHr4Hf4KCg1i3QrlAMlYla/eAWjuF28PLN1KyLjiuqn5H/Bv5MyYTkH/LVvg4RwoM/6qMsRSY2YVlIKTqrF89Er3kCBhDN6SFtqvAiDVRXG+F9d8QzhPMNZrsIzDW3aDl4s9EP5zC24Qn74uS30dJWocrRwpvbsthRKjPAhCJAUbYZWgyhwYcaXI2OqNZqFmet6AIGRFTLjSWzAUB7Mfz6/FwKnQgN7b0ZA5JpP+lhd/8KZpJs3yAilPJRBmJA49vnSWS0DpJSor9G9BshpKvbuk1e4x3jLAzxDgQVfLAd9SSR31vYkDZBS947ulhN2ptZ9Q/rGW1HNDOad//+cv76SadYpdlWfFjRWK4KFBjRYZE51mlDCsOVvwfs3gYG5ROMVqo4YOdxSUCIaFaMLmWtjNPepCrrKcbw/r1F6i9+oABjzstXHhdH7gK21HDX/ukWt685owZY2fnfPEIYU2i1I9BpbgpUkOUVE2SM+w75W7sT4rjCxZgvpO3uWUNYK9m2yU3ZXNb+7geb5gQiUo3gx3h9KcIHPIxhCGwtceVcfad1LsztnGNC57MzXPZXnU0yzxBYir/0F0bUAyLpyVrBc6U86N2Sf8cPX0pkQ9HeHbCkUBd1h7XVx4WussjanO72bnE2Ak7MnZAT32FR8r5NVE4plkBSzxXsf/nhZOsAwmEYCDM5d5mFAAm8yilpc9g9YBQAULtjeT+Y+DA7UQMNRBoWDUoaEd0+Dvk5LXQPmfUmIvEkuCVu9zSeo1twUk1QekbI02v4hQBneZepVO0LVlcpWhDE7sWMiBIyiCnywqE3Z7eQ9c9h4prT+sAAgu5ffdHiKHosrYRxg4pg5mGBlOZcjSApxn4VAwPMXIF0KMAmDhE9BusBtFJfKu6iwIog4urNJUWnizsy8P16u+RieBDxTGJtw4Wm5XRjtVQNCXGjaxaISpmdtt5+US/qkShawnWYWxECPthYf3iCeMT5cocH4sjs4xuExctW3VWobVA3qUDGvWEulpXYlTeuTtJei1oKV+R10cZJcIblKKOxYbbGXAEYHgQvOBsDmexJP3a5GIMun2hguCBMcjOrx2b3YmIK0tvAm7GoQu1NxegH1H2SMoN9Qibh+vwI2SPDItsUMNC3e4G9XLyqlPMU/irvTJE5ZBsLKivFBzuUzElOdHxkGcd2hpTfkQdAVwbSVoElliRQMvA2MWFRQNc/mlSvFNVX2gZVaeabOql23iY9q/DBlpiHf4iwFnGlMDUa0gIZ8gCZwqMalT3ttsZs1m5MbR7PRJ3ieIpoIGb/hXwqPATvzbZbDIjI1IaGmuGvM1v5pnx2VgWNwkn2YHHghuqeUC4D3LXjMmyO8qFvyNkdpRUQoIdQUwLJ/1Wq4WvbYsuSCtpvMVMk0884v9e1qhaiVC80EkXMX5Jo7YrTxOsiwVa1PQt1y7FfRkcxHvm6VOoSgNH105pJFdzYTSSL+pQbOkxbA7JMGCkcVAEtbBMjN8SizUUpoK+x+jEnbdu4Vfc2qqJbYmZzDEuZgf/KhhD6afQRlqjgnlj5henVaNC26XGnRuSThBbZn+d6WY0WfU8D0i8Om0GzFib0rYQZPIYtLEY26gv5hE/nA/q7eKsr+SQM6T9QgItT3awotw/TUjHnsQUflGLThGIfnfrS8RZO8pnALRak0MdCQU7SldDheSvLf4HRC+inZeRYWrsCinmphvjHAJjqo1vFTnodATQP8GMYEp04jEvDMDoTgcBDLKVezqMuJ5RKJvAvKMZOEOvCgyhTVClH69fAGpNsBtj4OuKGGd44tDz/N/PFB6/QRvo/WZZvq6OkmZhV+ZCjNlV7Vp3pDs6tLAzUO6OZ+PhV1EsQHY7RwNQwTunapLBpsS1F3V9TlDvpwXD5H0orkzC1SrLh5xQxr5C0pV7qqluCGnNibjAjbhiEvwBc7S/tcFNxA41y5w8zKUHtlp9zKRNSyWR3QnoxExFmtNJmyWD033sOOH2Hq3k69SeosNxeLKw/BxtFjnEG8yJrbl8kBYOq9oQE9ojWSgQBM+dbjhkLQKrIHpwBNfnSB25iNFujyzJQR+HyjJOQ3+cLE7t3jjf+f87IYEAfdvqaeEy3ckdRVyWMncPgDjoriZJRggl/wgo7FvjlZ0Fgm9laYz5S+8e6CGW16UP4/0+wWyra+5tY2JpqMxvt8xYES1ND/ladIVbYpLdy0JIzOAMuWRCBBRNvK17PHr8AoZbNHAfd/4ZRdxX0M/9NDEAUl9Q9mdWTmpnsCYs5xXCJuG5OY0jgy45Tgcy2bs9yYY2oWgukVTOvQr/IgHD7vU8E2ZTVGzDAKf+TEUMlFQX69ZDY8G2Sxq67jcgA5s7ECFLJ6Q3H813EVlnrqQRLYKGBy0557crIW8yUwHYiXPjRvl3LPha8C+jkcDuqGRo9jMOia7hnuPiKYxL91yauX6dn5b6rI/85PP5J0dQwkVFiu9tupxHEEnzIi1pWgaED1PK1ozBYZrIzOewbidggSCsR9pv+hyuBcr/FtZ8KhAxVX94fRFrekBq8lnBPuB6Qgx3h56X39kAZHmIDmIfg6S+fm1szev4yU/1Jkycf/dtUfITr5EJPNu9wZxxYCFzsKzPRZbx70vfkxDOZxB4Oi77+5+vVLtsiK+toJeZiMjbsVxB/ljLYCAXcbzGNMHUHKxb7nLNU6V974sbGDiAw3QPb8jCJSOntuCNGeMtErLYgHKrFaeImTxnyZF+nzUHUhDxTvvPON5zI1wSfr4sLqTZaW42EA3CGfPtXRPXgPOi1CRTvkLdEMcE6hxp8UnLRhh+4uRqngdVsVLGOnJhufNEdz4enfju0M+ko5J4PJVkb3HQc2k1EXvg5mltJyNCq7mmVfEzVzPGSMMzw1zEMEq2XbI3gQv6AcohgdKGEIBDv/xB/THMgVRKgVwlqMTwqs4Ae9G9ydoUyhJExg8KHnzH8QEukTo8UfEdkpIZH+pDVHCbjdBjhV2nGfeB2RLFAstQyWFGTxgz72q7AEpS5PUKhx3oIUZjxA+4u0XIIe/T3l9HG+JBh2UCrZPx/MVO6nmuqLpYZ6lJQNDyAA2l1PX3dijI+/MIXjdQ72IIoNbdSSeEK5fmCsuu9v1SucRV5ISoKJ6zXCHbLsROodbAVOoA2XAGBWLAxOIKRYYT3can7hzDrVruXn7QSmH/xCuD7bQ4tSG3OU2UJGJgWPxPpiWmCMwGqv7pa+ZyLDrDvWAln2cCuPtID3PhMKBEOr2NiWTQAvft9OkuXXH7AUIysY0mwXmLXJrog4fdU2PxZUXhF0lrRiGrrLjm5Hm1yrUqvzvd7TUfhL+fRqEnoNfuOYIXjRdTiFyhcPk+DZBC/cdQz3wxamjILFTEE3YgPoIoH2Cjc51On4xknQ55yT6OcF6gr2Lg0BhlW9IecUORAimEBZ67qRlvgHJKXvhoD+NQ96VoTS3WjchQ84w+yBenNysBeAXaDoVUjJGuCRLYbAlT66xjktOXM5c9pARDA1N6sgsCUTVlDkJg+yzJtH77podWQGvz7wq/WvZzUGWMWkQJW8Cq9HcX0bnk/ySMFj27NS+0L+y12CNOq/uMr9EK+cc+xC0bfhnSKS674WcG5FoHridyW0Jhn3RUWrviOjzVuNK7RcC6Db68j3Ov4PLjwCuiCnd9dJafdZTN48LelLmp7TtpDG1Y/V9nqXXYwGzAKZZTpgvnKvpjh5xPXm22MRlNik6N3I2AN0E8T6pQQQO7c1DvtC6G4Xsi5WtRXuRMOqDeXE6jvgCke46cVyD3Vyr4pVURbfXu17p/Mp56rc44VXjZcz96UjMIh5eIB02kDzcvG08rSSegWyTi+BNZwPuq3kimdqOXjXYioxzbL3EfmhFaBEkGY+zpLgXSiMdbX0iY089ZH2g+L93FlCbdRKRye/9cfcyMKYvCiP5xpdXFq6gTkZqsQWigMI3YGeSZSLFRqxxIgDFELycWLA9z3S7QHrUB8E9mLiJPE+abqJgTDljAz4Qxz146aEgTSnhH1jArLmYvkcoe4U60MWOKyY3x0vVqZeFEn9zh6t87DLoyh+34HEpefyel6dxb5IQAgmbT56jOCYVLVU0Fc61snKSkkq/WjIGTbwVcG3bLI3YLLHqmOEeVQM0Gjp79dMrn3Xy7ZHDZFDZae4a6bOZn+zdqWwWJ2rhjMq4mQzRhnu1BR0v823hhMFRxlDiMl6Asqp4jG4H81iIN8Kidkbe+C/OytG5YsqMYfgJRxDaBe+A53qhztbN/1VCTjqW73odNUzOVOyjLNoi5pm4HQcKUWj4CezdcciDML9t7Lw1qIACrNAnrlOZdfnKx/Qvld/438dfG9h4HG4EPQ1BvFzOR7HAunFwrjpy1MuUCtqy3AkDHeFfQxn82UMgSHJfV1vf5P4L/Nt52yp4Lav5qP3XcyJtstKFEKEq2xJIIvReC2M11D1Ui6UeVVZuFXgyZ1XGNFEBJP70I+3GSeUDAlOoU1ceJSE/BPAYjBxR2TOVzNbVP3BLDM+UJn9NAxT+26nmSHf15gWBuza6768wbBK2RzBnQ32gjsyrRLHcwSsrp13Z1MV7LHukYsqi/w8lhl8RCYHY8pgKMZrrgqTcuOhXb49rpsYPqadNbHG8/V0ECtK7pWFFQT3KNaMmbsxokP3ofzKYLPPTQ7gV5cX4xxkQd8rjENutuLejz44cvNsvLHCA53FVsF6HqfwTVSd7H88x50dtayCl6Va+hyuaEL1bq86xzzK4nE07LayMGy1zUr57MSTeJHgF+CBYMiLe3DHGK0A0np/ZMEvLDm3MyKBHxKUBJqQFV5PGtygE0S4niElwi8yw0QHkRzWPQH8BZ+GKXOvJ2Apln+XNEwKVYB/qAxqs/y1J6ccG/xkFiPqNeRqypi4ZTda8thYgEmnNmsbiyhWShtYaQBZHrkbwJRQzqh2UZFdBA8YqdjSnscwHV3RrK71eTVHvJMFkcmuCncwJHOkM4TrsawwUIJI1q2D1plMlCmEFZQXue8nXelRKelAyoERFWY/jQSu5H4xHCWTBOqxJz4traiD3AfxOEa8KBwP1DJwl+Kaw1zUwTiNmY6dMjga7PFJOGKP6OWpeJCDkP3iG3qcKxi98JpIW0E4rFwOXALjU0SCFWh8cy06N2OS6MyqMRjvOG9mxGU+HLcRSyNDo4MPjmQorWlBKKoMEPkJZ+VhFkFmj0agDo+FhcfVOz21IbAbsxOCV+ipORsOIPtrHXy8InFaH/jcZKyCHa7jKpTmwZ+SQvKclgAWZoGFErWGRZ1M0FqNQPOoRNuDMHP56JHe1KdoWj1Dc7GSUOaU+Er9C+Rp8wB5JqqCyh6zKY6/OBbtYjOWEV7CpIlqEC4sYSKkhI7OEI9H4NV4kDnXQdB3R9L4fT67SvNihxO8QDUrdeXIPqlRCuxJhN/Afy3A+bbxYVCtlT83XMj9ZuhLoDyP5OrJPENpdQuYf6R+cYusvK9FGv99YTApgkZCWfcpL9NBz1qQHqsh4DpxOGJi7OVJMVKs5LpLZ5Iluu895Tez8g8wdZGMR/MWlES3dI72pSyJSRbSRQIzSVW8xXX2gIMwBpbtEakd1vGLatMY4ETo82bby1NOqafwHbHmhepg5VCgume/OHaAh3BR/kBzSEfLO/sIeWmd9Rz+UxvxsSqZw9x5ugXtdx4ruPRoyeWfol0BbXyfSYiiEtnfLfkJYz03heqkC+R/w3NsbA/YR/Jh89JkG1gI4+s4q+znLXzLc4+KhonOcwgfpP+NLckhJUz0aZzZr6R+XXIOo82f2gs82j8HMA7U+Jh0AS9D0q6GMJoVcS7X4upBKePgY2ddXreBWwLKnmSgK27ZMaX9yAaK+njHv6yuJeJtmFHZW2EGol0MYm9Z00P3Ud8+aSbUQNAGCbjvt+3sw2AERW7rWz29vHZ4spfTUnRXzfm9GcIE5qrCRSs9DHbxO5i5o10AAXAocQyhqo303G+IHfRNt9KwwNFkPP8qT9NgYvY7PLY2eplaobBoFoMJhk40t5pryMty3O2NcshOsqT+XCsEKnU8B3wOgKJFiiKSqA2XBAAwST9fMw3AaXQzXfZ0OyARsCpwX+q9Qvjgfu5Naf7MrPmekn8hgJn0cslloi5Zfc6fw6KNPR3OvdlmirXhKp4MasiCeEib7N6r50BKAT+31HA5kZs5WpOApZxiO1Kz4LIAP69RESvoPHMP5N74h1N3ggY/UKcq/G3+NCluw/4wiGxrrHs4VgchU3oaZBSBu4mARWoTgu3VEw4ElMHU5JolaASHyWS0yqHQRnKFlDsqVU4GZ6PJTQmPzXUoo+1lijwTP9hHXvhpA0A1GJdEn7lOFPTz0ZQFAjBiBPQPoBzUJjggpCAR0rf70mdHb4FpflTghJ+3a6gNcFWfin8+VP+2/QdOvLfwt4TlYuUoiduxx9AQzDEYJRcc8SbzpQX3kJN/n0+bUxI87CUpFMTPIEI5tKl8B0AKRrAXSVfHroDnEjvM8TIS/mYtZK5a+nCLlyHhwcN8UD/2BgYXT5HZXLSbPkGpGoDWThNFo9JdWoR7ZhVxoFCsVJczdLzPxa1kA0lGz3fuGgY6SHEY1LZNekMCT17CVf7vgUnOUIN1SO9YL4QxS4sAT3OAoaHhF6lkN2YDVNDy8Kcbg+V58qUwSKb2ym0Xqu3J78eM9LoXPPKgPt+CRRPkyruLN0XZg+biHbvDPFRz5gFgUo+nUbC/qyqYdZgOWLBXHm1TpMi3KSKGcdUfzTthEFgRFZ/MwxpKADvRjRd8wlBzVAQMctwIU8IRwkTQ9vEVlt5iulgbLLmngMzKbB9MQEeE4NFhch+B/Qqa00aOLDBn8wB472Z85/rtFhPnGfTYXB3SxKFthvA2rDNVrImSmTmVpNoHSeoNrsyuXrtvyu/J848yfzUC4WzFHiJM8dk/V5IsZtaH6MiNak9GbzhaiE9EWAazMgAez1noMAkom32iJlgKY2CHNAM9ycP7lhsgG2SjAMF9rGjNmrFI7RUWWJWBztTMgcCigJTRhEH/gFgWHi4itRpNxJ2K0lF1smAaTOKmJxgnj0f7Wl1RXRkKJQvugoa20oxGd01cODyFm76CuJ/4pTU3gWenYMFKuf/JSK/cEVyVKqYBrZvSAtRDD/FVPAFayqr1UeUoxFDWZaPbhEBjhNLq0eZZKv1khq7T4jUgGHcJAbT2sStHJ1zgG+XUp4thkXe4BN51adyIBwfYzqWA2IRtC8RMSNnFz/mq9fsVqRnDp7cGoS9eHo1w/GvmOmrSJLGHg4eBFtOXe/LIsrKKignmUB+053EIei4V5VBfHpMfvl6bQ0qoi8YSnQQlnj8nJV27iyQbEcbLO1zIWtZvqX+3d6N9uNHpQlV6AEOCA07M7jdMJ0z9AGP3eB49V21vSTNbdcvMf7emK4D6EFLeoZdop/TNE2QcotTSFBsscS/kU10TtfbgJkt7ArMHLH5PDFiWVljmaz7CEjz/TzC8zD8+GP9KJj/P4e51nC21xXd6jTWe1bCqsbTUzWMNo3XNh2r4eH0c+u2a0ZXOkcrhPd7G33EwmOvPHXSeuM5Pa58MVjIvaojBFgl1KnlUYp4OZ0kKUZ5gVbSHToAF30Z6lp5K143vzHYtv1Q5uzeTQeANEqNL5sA2PpLBiu7iP28rOydQXH5bgy6mlN8gGpzdsEdxyFe3R5zqLaHXLAYNWha+hx1Pi4my/6pgukVBsbkhcub4y5PP28Z5zthkT/TfJ4jaQ5RulGiBwtDmKq+oxaIb3YyExglTkM0GMnSsB/z72/V1rLk9hXnI3PNmsFrGgX+ruYOtYDAEPVBeGjgFs/Hty6YF9UCvliAYa+VZeXDObrcZhqdWYsHHzuUOwO14AC6BYKFiioQB+iOApmhWL29/zrCdaCQhtGfjquExgOhVoz5HZGS/Iic5HDgFKwCCTgmlCiHWJEoBowLukFAIGQxKqGYZtvwx9lhQiqXi1IGLYSXTcfD57SZ7CRQe39H2Oc3wNZWdcgISym2g+4soCVC6dfZXNsZoldha/skcjRg45lhQ1mnTr4SxG1ynAjhOX/CkdSUt5Yf6ZtTLm7H+61WAsKFJ4N2wbHtq/hNMsSvnXLryq8UbYVYLkyjKN24u9gkCUEL13JEXl3YqCxI11zhWz9zapS8fRHoz+KRXcMZPLq+ap+WarbnAhY0nWWNAlPthIpvLKPKdeQ8BJ8HwyxV3gqR5HHGtf3ofNwGwvf+4j+FVaCXqfKd7pF8jkI8+yOrNWO0IYfIjhNvLdDwWH97P3rNTMeBRMjIkU4ukQnEOL99BXE8eeI7APpGr7ljpEKzWWyqPPzRuhPxojMZSvFzUY16/HGEmzMp6hlx0/dDGb/ELqhL+yDVQ9fcvJp5pyYwrSCvb/IkHVKfd0zrZyCm9ZdBhGqv1kdp+Hz+Db1Y/6aUnGaz+cCsS2w6jaGShliErcBG6QuwXk9HIgMSuHc8iVRWgCOf5ZL8a9v9H5YiG9Yn8phWnrybNdIEJOSTUdF/mdWhhhBttOSpLEfBAC1eK+G2GdJWoRy8nXeP0aBGEIDIpTwoW2scrcgPhZNyTcLmxnuRh3j5SS/eOfBueR4Moupa0HOl1IyDBaT0xmmtQbYHMS2Llfk5Uth60QGacVTcTmnznNvgF4Mv0Kar2YFF+E4MfNvCk+jUhUGtABN5MjfF/42mXrEHBPgKud18PEaTZd1GbwagWLr3BFANB2oREk+Lyrk+25gDKFNSnl36ChE0nZ7XYXmkA//QpRing/yfnXjHZRPjcapbEIKauALn73M/wZrrGRq9nRB6qs+RVA9OzqpZGOEFKHsVs58Y1QHMajVJh/WeHawftnyWw6lLqIw4XWrivS/E1mTHZXgLYYucGbPipfihml53UpnRyxZJjuW+yQaRRUmUMgIE1yeEjee2cTIjd/QvixBrcHL0GkSVxgoPgTVmOjXfQytaN82LqtrXQ1zoMzu0M3w0YHbMTvayedAu+Ugp+karA2IssYQiqy1KTq2Ok+OmK2dqUz5VDwD0pmYuhoS4J0hzTftqPXAfere5bGkWzW8hKe/c8bkS/+1VE3k7yKQQGAam8nzI/56fZ6MdWOUo+hL0ooJp9EYsBRGMLNr/XFPGBJAZKETL+uHJk8RyBLQwXUpn5EIJOgSDiHudjIBWRMw+efI1cMOwGqIlJZYd5kJtVvh9K+kwksaQOmjsxTIisjS2scMoAHQEfYseVnDAFde4E9pHqIqSvP07j/3iJaYGSaMCCEs5r4tuob2bJsXwwqFSmMFSdk5BjzK4sGjGQi7qJqTYmrczpwN7tHpwO6ebsPvlJunvYM41ES1GHNzW0cmLlcGQLRQf/tCNDmqb8044mVK+YkZ19AmTiQNVM16ewATXQeGA5z6FtlEA10+vkPtEOP3vK2anqvstChcYfzHip1UOBRb2RtgD4XXvV1wu0EESU3qLyU/Lm9q2v2gfk6ccBLo5fVOajduBnSyI8g+s7IlFVGpq46WbMjNppz9fdXr8enS8B3EvtJLxH+ee/sl/xwm9Jh2hPwwt0kY0Ctzbq7EkWuO4KwvQisq0lLo3UgYTHDYU7z7+sMOWyRcKn84NThLM8tOKEbcnhFoQEjmyO96kyzE4xB7kwA+nrc/gZIrWHYW2tUkAIlEBhMOxV3/1wE3XU4aFWWe4ul0HaYiMZrD84YlIcAKT3mh+1tyiQODi+cLX7MFoiaDWSvrArvftmGUBanoplS+pKpnXZ84RI0a1885Kp8f4IWdJfUzzxhHnctBK9q7hb5uCBM8/4k1bDtI+03IApIZiNWatgxv78UVV3D+/RZ5kaw7qnHdK7lx4EohMOptD4xlnmw+DgrY3mLsRC45z0WZsC4tLHvRW43OR5Pzqvw3jOIih1QkiXOWh/yRhS1O/qYCVuBzJNST+NfMYnXCfmjzYolyPO7ptoRL+BuCa3aBkBQgh78/Ki1ii5vZW2BSYciSXe4mNNGQcSlWdu6dsqp4xWiB6aDyNIkZSQobmA6nkv0w2jWOxd4CjN/ODN6rfEaVFFGsQlM5ltXQTd6GxJB6J3/j36UDySSXxAvTxgVIetMLYz98Koa5I9TYPVkXKn7IQmWrwJz1Zxo5sXPyjRtcmc/79Ofin+8HEkRCk3ctpLzIrtTe3VuzQ0FPR84bl0hTr5WyaMhWAI7k6xOLu/ae8ily0zSm5Qi2Iu/iCz2m+V20cU3SKZgnA2/a8yzU71bcwp/JLeAUKo9SZ1MIq2FA7m4qZ8lryZGXpKZK/3q7taYFvGiP78gFjdASZzUcRc1IbVn1ViFJtG9TGzsRQXOyu+qoS8VQRo3PC3WGhb8v1CKCdrS9rl+VokSfVG689JrmhXyuwaU+vLdi63VgrxZQy3EeAcznjK5Egas1BCzNigNJEguDsd59MHjM7N7lTIeqiAef35Y/56h51JIgOiog9So1eoybvu5uzT4rDlAGlY9m4MXTghyvzbcWvEWdT/o6JncgAzaCIQJuK4X4A3ejWrWc4Mzau9ftJRJJecv8T6AxLx2k6uVIaRKqA5oMmJz7A5/+U3HVcworHX8J3BqaADt0AcgIj8VAp3G/NT7whzWDVJ3AgxknR4amusjrCMw6iv84ufswFeovCHVS6xzhVcZvr1O6dpf+hMLVTT9IiqP5oOVXwE9ksP7S96UM17+0gO1ZbRJe5D4QolUyQ4XsAawN7aSQd1FdRq/5T9Tb+kCZqoiyKgG7BsT/UxdvDDP9rr2wl3GeThQ5rdGG+5uQ5UMM36gj+1kG8GhJ6vqJadDXVsR+KODxI9UE5qfTEqdvQr+qp4tMpOC1HxIwooyqA160hQkM3SWoAAdUxKtJCDqkkYfxiLpGD3zWOwZidTl3VQcf3Cfk8l4JFiEH9FUVDVTHiTsTymcZmKaPLXObmEjGsmNl8KGRNTDRMI27Rkwa8toBGaRxhTw0g+Jw0ipPKuq1mcivaTUz4kTj0T6w3j7X40Kbk8OdtRpBLQnv6IJQf5tig+i60ipFwYc2EiJvsqYPhoT3L+44i3Oe0uPqhAvLOGG8sQexeRIp4MegRNZM7IOw/VoMVdvU1BklHApYDJNBU/qcsqtp8z828v6wQa+SEV1dg4I1gFyPj4FJusdQzr4ZNOmmiBc61jRQu0MjCnwpedPchiHyqN0aOXkRMs4hfeY5LqBjqVf9DduLIPd4XzUzG7/oELV9bOgFWA8kys0QgSXGNunyR5Smrc9bItE2/DKvwWZhgVNgQJfJlW3lw5UbtKO+kdoMpU5YlJa+AGafnZh8oMp/B07yNVcgrX+/nGBuWRSf+Hkk5Ye3jr0Rw0Gudl6FCSCix5uLGVA8XcgjT04KpmuZYBYFC47IWvlIIlO583US1eR6AOv4NhGw7RMCCDi78SMQsza2nU6KQj9Ij38qTpWtOmT2AtGLeUslZbnsLIOAIZKf2GzSLdgruu3Es/3RXcOM4Yu4PiNcvppnocviodFrUOPHW5JjCfGAPBlBRshmz3HFpsdjnNIN0GJaIdwykS7iyoomTKs/uyFxB7J4t817U/NnDM4Y0Qe9PCJRdiOxq+BTvS4Dh6BRbNF2AWYpgadRuOy0qD+nwroGL+mZg248RJnnB7T+4s6kvtCIwKtKfA3M25Y289LiPFovdZwrrVWlkckaujU38mVfX/bZU8cWZUae61H0ex+VLhp6QGk1+kO4cfoPX7oOEWbkWlfwzeqA9yrfjAI0vnab0m8El/KJN4NpHv/4qxGrGvfFoy/TwVrlKPKJUWA4+dl08oJFRKBGLA/uGwRZQYNSpHlvjCfSs5nUUIKcBKbacesh0IXPnfB2RtS0p0c5f3aZCCeMpaJUJijZ4zu+eAcoK2liPQjg0Q6bOPv9tuCvnpzMxwolh6H/XZRS2rrYHggJJTcETYF/op81pXt5Iz1n+m6yoVqeXlnRmgli4OnNX0wuCZcKb4tyAqkJAuXHdBU7OMZwneIEVhRASrz8mJbWrSpMw0VmRQg7P4ERZx0uXI6HXjrVvMAcnHe8dTRgqWRkwbHIY4LHX76tGD7Vrw00n0TSi8kQBPnGrIqeDJJJQQzDXA9165HaWXQmRCbJm3lFuInIbbyVVtSNEIlsVS3X1iqlejmBiUuYYAIx1mhzsr0pyCBkWnFj4QNDEkEt9CJd3r/e0/OoxoJAWM+PbqIfFVOKd6MljqNKgSuAy0gUNgpKc9Gw4Qnx4dhXBcFfaVv8d3c/+YLWRrbR7DItZbZ9QH4kMY7K/LYxGp8I0QrhneS9s5Q2UDCz+ZWWGtV+griSEb1kTrFn+HlD/jl717mgbw+L6N6cOqvtycsLRN72mB02Iyllleldfof7K6HohYzsbbg1O3rxE8Js21qMT+tdOXHDWyR44jZlBSRrJQvB5TGbfer8G1sU9VicH/aSflf68Orwb3cIYELc9e8otP3HyzhqKwnnTR3FoSRW7CDrfW6QMoHxaUzTN7mnAaouEsZMjGUVorSbviQncPvgBjEls4oo2d1gDCVYdjYhi5JS88jlyGVipDDeDeSQlqFbakoJRD4g5W7+Smy3ZPP5hRgXjrX3j8TUSqrIXvStIe5ICPJtboiSsGeVPhWhEWt+GiZV2Q1WTY//yjQ76hij8OHLpFVfBSSSJeNH7Jw38DRaEoQJ4oS5uv9hevFlWUPQu0E2RFlxylYxVlRHjJMYLZsLFxck88+Kv0wJqtsFPYBe9eAF4LX/c47PyEhPtjCGID60xZuZAg4QOAFZTE20VHexkwkj/aoPMh+EE2VBT2rzqZDnTE/q/uh95/xJemvr7S2Pt3nnr5LCUBQ+aXdLuHF4daa+OAfhW3/NQ3XKRYJ3z1RmtELEuMQjnJWw0rL95Saw15ts2WU/0ViFVuVEaTLrR97zZq32JECne+k/5Uk2culIMntlGvRaUuJKQy1vL+N3k4ocXeYpFEFa7n+7JMFqKrDtUZX4RhKFUdOvwbX7jl1XPPq45GP9okjphGc0uZtg4miTW3yZTzpjXhN8rNWD0svIoY54Nmig3TVMDft7NGc2OWt4thRyaoFaSBGlPo+LNpzeX7N6mgjh5K7dNMplZHnpWIfZWnnnkK4u95rW6v0RS1awtyh+8qW3G9keVYP4k6zbMfviq2zBNVCMN8orqcdDFE7/sK05H0JZH2tXHqM3SvwmAnzawFLW+rJTs/pMqOJLhYFWGFY8/AFfyxpmDMH/3gTXx9VZTkYYPDAytVsUW0xNLm9WLVB9qJHX+Krxmbj3VOtORwyrAecZh8BZVpNBpqi9cwXh+INGblFWYcsNDuuVq8UNVtQ6HWgbQRT3B9przl7rCP5JQbjPexHvEQiEBMa6wpJDItgeV98t2MjrXLtsNvhdTgTLwKCT44BbQRJIXCpJdnZjP+OYQTSV/1CRsv2RWOLglt9eomr9QZIvcjFj1/wCrFHRmNH9cI8u23Mu0yW5/xiCSEQy2Qckom6TExOxnn1EK36j5pFiK/sYuhxRb/tx4umsSTLDuMTQlnOGQk0cVrDWl3DWgddNeBusWeKBRdyD7xGRP21/RjSIe09Id8cNYTWOGVybzeKue1lTmwJPeRzV9hBq9UUqT41C9xkoU4JRpVmxUitF9+MyhW2VUsobXfKHuki+nMNxlx5LtHbpmqiE3zRLSnLYjsQ6KnjqoBjAmXOzNXXqfcZQ77AqVXxDQYbN0HTCqtrTwWcpK74ztgLse6lwVc/qz7GGf6/DilQkVGGypFu+EwlmQcQsWM2S72ANLgOPCRY60lSqWW/EgM3c9dzeEekC4rZuVwMRwa2MInn7ykNorALqnTkyyT52vuZM/CTaToIQKJOhEhk2z9WBLyGusWnmgw9HdppCN3bhj9bYYC8/HbQ0iSzIGOW0LsYdK8XTjV5Ur+IBzfrKqtU9zcPMy5DSpNNJMyygmHOCiRdl/2qOo0lYb1BOJ7UBmoWVG1naLyxKAf+j56aEho/T0REggLxjd8m0dm24k0L+bt76ZL3fHgIn911YPLzcis0PVnhLiHxsK3+Yo8mIxRxp6cUujt12q/3BYB7m5bfleBdNE2XSdvXrrs//jjLq9fC8mxY02jboBl1DNO0u9yBG2J2qYnCAxotdibGf+/LgApcU1AchFUikGW8IcFaGIfNrEuRgPDecP889JgQ0yvi0WcZtZIpsEPOK4zPdool8qn/fWgODyn/ggBpMfSHkc9+TZTZutU0Xk1ZN3u7FXaD71ivFRYNF/7s6lpr8KTUA/JDTxZVRpEdiEIc3v1LqLkMO+HJQka07i0T7PKbhyAUsNRDAzvpqRe08tArLi96pYP26oltgYG+SRpPH0ZTkjWJ40MrQCru4JBXRBIu+BNihw0kq0iVS9UUSwu6/koX/KR2mmbIsxd7A3Qg6GnzMi5PEFg1RjM0uniRvzO2u85i2PD9paryumE8CNRB34JMmm9Ey+wiIYI/QsD5wKS5dEapuIn3hnbv+LuAyTx0zI+oNwR6NrNeteIjdiHmbm6qfVrhJNpC1zLotuPM8wL+LbI6Qx0R1Ax+OD9xX/AsaY57DsEMMsvfQBzRxmlmZOttQLF+GU0NSBLKjIzZUDquoETHKmC2lUvdLdIIwvcMHIIBExS7Qt4ggieMWrYRleiPLcpx3St7MDPiaaZeInzol94/OzAaLDCGHDsWPft3LjfjTc44nKQKsQW0kujTzX+jmvyGC4DWTLgsJinLSDNo7Ng+dBtd7FK86BLpdrc/xR22FRG84DUJEfEmVLuayd3TvPt2OYgZ0oKJ8dF8XQ6nOcxDE/06SkY/Ck53A7MJC+YfSJbaBLRCl2IG4DeaXxUTI1ImkZFvIiZfue5HUqiS4GXR1nbl7cynUkBC2j0Gq20UwOmdBWrgMUxgDUJTo+sKkkO7dHx4LQOgGYbB4zUDBE4ZsteeYxW/Bb+cP+Oqxj4GLFuJ+e3gBMGCwMmAgf3A//aF/nLat3vn/6lHR2KtokUwEXH6QpfLyO1ak1z/WITj3j9o3E1gmw0e+hhm1bgUl6CQWQ8zvjJmXsqYv08Ejj3AlZoiD9lib3EuoksM3cRnciwrusQqFuQw1pdNki+ZvFQ5HkbFcLMdgZZQDvCka4smY8kKUBPFDe/KJOyoCgNMINlcnvsiZkXKRXVUEOLXDce0iM9O/1bo0YQPq9bnJovMfg87UzTZcJ9KOTCREIu6sjxz4BFp1V74lG/5bknIvhDVwQL0IKvqTUuDfIpQmp5Y8laJcDBIEkHhKIrpkcaR3l7DbzjdbESYPMqHiYvu6/RRGiagO9Wq3+kSg1/DoZFBpYrQu+K+PNllvhgs3NHo3a1qqPMBQBO+Axnxt/8ErlbDdfQymkONGk7ktpiXdkgVUzVVH0BIitvjNSdm/L4dVbvEMIoUyjbE5kfxWj5KkqhXvYAso913hzDOwwzL5K/L3sKEKSizJza3mdGIL07OmammePdHOCkyjLDy2cBCje6O+2T/oCMdP9YCk6KA+dVzOmdrThJyZPjeVy+auv0V/Hi+Tgfg3RYwk565fEKl7XqubfNMuF4m7W2reM7ECi/L+RWveSj8WVkVHSKM2gViogEROSFim9j2ewRJIDX0uZEJcx9vr58c6TvLoPRBHkt2/Q9yZ/v+8CYm68EdX5dQChDmOPudyLFf/rENjYQQOgj6xApSMHlMQR9s1R3OnUJLg0S4q3goNHo9tJVnl/8vZwVJAUssGSwaMcPi/QcgV1UM3NADubNmTj0yq0zSMFFSfhAJmMZabIC6iV8j9QX5Dh3H1FpFbt4pzIY2KERSEK8H2JEcu0xyTPfdsj1Qt1XNa1ThfWDu01fZnjqCRz+C1IJi0wrA52pO2Uvd/7dfqTRxMiTcas7LO0DdzRi6zL4LDwGHhNRmkpeh4Vhcqvy8j8XpCDuU5OelGPYAYFgwodkL2C6LcoSXx1rMjXaxks7VNfqWzzvicjnaNcZJMMfiC6PWg6ofLkep2pdhPLitujEHmvwiku4uJrwRN9r/I+sMPLL4m3ABO3OfMlxf7z3D6qk89RuLXwATqAx7cCGYDzbMf4Px93FHTdo8IEH2UF3SzA6OYYge9dvLZLXbw5Dx3VVqwE0LA7LjU9vAxFXR8pTl9FVFcN28ukRhzPn9dcW3GqZQaFDlGXf30VIguMyUkgPUm1107Ma35efd5gIMrCyiZOeipcgJNTR1FdlnIat+atEEyBcphnCyQZROvxeFfxIVNNMVkbplP5RiWuyLcjjQnyLh3zbXCHiB8WBDAnpMMtqXY44mBNddVMlIafFOX3pwX0rUVneOgx9a3a0C82wdHcilyzKrzOiis/up1ulVREkAvq9fm/8pzjvWSoz1WvSEPSZLoROXqL9NJWGJSuMyoF806Lgji5sVgmTHeJR4pvtwF2Z9gHRlN+mOIoCmMnqqXJfyTkWtmczKsiLCEV277ddWIuuzjCMbxnkcgNvfzghd70YkRn0stEavjgJMJfrKKx8yqY8w3Nw22AljRcb/02rpu3hhxGoYbp8P0K9JwF6m4oJbQRRfT+3/jk9AKnYs9POXPQm1XUr5p/PW3wFGydv/JJ99acfETOJKiiWVCpKYucHIuKMMhuc2TGuJLbkZ4WSoppBDAmyKZk2nmn0xVupVxngFTwvPkAVu4JbYxCfu5hxhrS50QZjY9p/Di9a4k1s/u5qoupt6RHE6ah1Q0/4dz/drDSLLIP6hvd8O9zpByPvgLsVheZih3JE8KaLvHtyfs9v4rmXfsX/vP++6wuxelN+tVmFOw7xv35c4f6JzfbZ/FX9uIaQFRlk/8ECCFrYgNcv6CNfaPhQ9tRs/rgrhl23DqpENpV/GK7fq7lAZEVo08nnp2s1RiTu4Mt8wtwfIsMx/U6CANDRGb7Nkqc1gBMJWtxmPkqSo3MshI0eoar5E6xlpYwvSeC3FrRZDKsgHqrdxTv276tL462KexsFYd2SjNHRo03MxT5eUVohrp6hitaWMQ2GxdyHSPOEimLqwyF9RGMwAnKqwSke+9bE7Mzl4OSSzu+INE5BPguMbLmN2NarEV2wSaJDzZZZZvSuZgWEf/n2+1yemthpG9EDC4hpdYFNqu2cEb9JRXOppJgmj7u7RQ5W7XnSKdlEw2nBHom4v6se/novHCSTw9HbdrNPgWB08tBYio4hmK05IUO5fuqqls4DbxV0/dpQnaInHTLR7O/1IjKgDM3F0n0K9yaJPAYbEhnDDugby/VJKHeMfbNBFiRFyEebgIMxzc/QPR69Jm+tHEDYMT7F1B+HTFHim6+zUUleZCfs+8waoVUZ87Q91f9aQL6epUzBhygP99Tv4GwnFJtP4kHCyD2iVyVi/+mN6x3cg7QNuT56EFMTXKaegE0rS4TG0qX6omBlkqCwGQsWtnWsvqhNRGwJOMT2gPGMtnHzm9IZNkhR+1Gbiusn7SmbWLYymbRuIrkGfY+/ZgwQIyTTZQVWrlKgEzZvwaPN0Kt/XenFG8V66cPmjaI1JyuFV7Rok6jcoVdR+CGWa6LWP42yvFsBl8V7t/p/3hcVgmtDK0VuQg4pL4HNH4BMD1A8g4u1DM1gEECB1DjFEjv4FWO2F0XwHJLODjz1sdSQ60VHyUn92IQkegQ9add37Duw9QvDN9ZblAKi9l95T/e2E/ye5cgMMBMm6eFJMEIaQJrDu2R2xf69gkqkzQLidkoCRjVNo7hYnJdmIGKfO2tnnzyUgiguSTM3xmwiqoM6RKXt3/GJ31+1GrNVscyy7ZTwKWaFYM89wAyDd3AkAIMAVbtRxZEENB/xWpA8vm7zbTPVpdMBw2HrkMeHL1CArmmM5fn5CjxQ2bJBhWYK5UZiOEZmX+DhobKYcgCX8XVA4sWWDS7K3hC10haqDJsfSvL2G8QoJwqTnJ+/0dSraPDWBGYD+crNO/K4jPm4WyqkQgS4Thu6mWEwh3ZC6PRap/kYHA7rh+GJDr3r1h117BxYukSYFxs/sGZ3qOz2M0dXKkoRh/cONFwcjuvxowMxykQOczo409/IDtbhGAFvQHoWIumk+JXTYtfL9ntNWVDBiDBMjFkN1liql1G1XLKU4lVCj+ZoEP9g4IhiVegVtxBOI8g6dN8ZPs1o7G9dZLzmdbiXyNCylhvBtRWwmcx6ykmNur6rWTsFBt2B23Td32vkQP4QoEJQDeippLEcFOoGIzUzIEIHoyIFKNsiJHJk3GE6qUvU9pN8Cf8mZUAquVMv1sFpOk8dGqLynrqU1svT3x3qSF43z9bX1drVM5MQ3BvVVJ4x2jN0HLZ1plkZR6wXLqRfi38nEPz7QBnLV333xVVM9UJM7bLih4UyJEHx2SUaQ0DKvChma97Tyb2PoDB7GF2HFWAfafDju5MtwWcrMkHxjhmAJT5yegLw0D4JC6mdp0rEb9Lr8Ui7Dlu/OmWtpCoEQm+wHsTK41NpjY7xLqwYf12WmUlAU/kiCTIITgEoR9aSgExi+vISzgOZBGVrijSrsNJvDI+5hK2XBK0kDCGeool3cLv51cTnnLBV4iqT2QcD7R0C0o8G7PALO3WvCQMKeYM1hFbhCGqtthBAWSeNsjrOaOMjRmzX1x0NBU0hTGjaERgBzu1EqDfGEAUuliiw/4J48tfKNXm8Kj8/LLfaPz+FVLF3sMkuaLwB506M/Y8LjCTkhtmLi3izSEPpNK5YzK0cvFfw1958OQHFutAaGP8dSRT6yMW6m6eCALVXTh4ERa3AGvz40deZpvNb05l+Ko6Vu1BhGjgqS+HQBBlGF1LbbqmhmmhBnKQDnCltt1evqzNQj4xiZjFpz2pZTgwa+Bg20ukpxWJEKiU/QMK1Qol2PfWS5OlADjpGfn+DEV+7AhV3rEPL6r8zI6bN6cs1cyXUkX28nRnxp2kWUWCk9b/lL7L0VzugA/iclaBKKX0igHrNQ+Z3YJ9Q3+WIr3mmD+5Csyy8yf7eB0r2kwWQ6l5FFmDzRzMHW/ZZlC0sXeb0dooMIIAO7KlUDKsvh0kBKeWa6/nw5N3jD9Z0ZPceVACwH/5a9iaYzz/Kom6dIM3+7K1nzIcrH+LcfYwG6MaQ8laggOJ8+v8aHqROf9sA56IELf+I1arQ2TZtpToK6EuZ6urdG8nFHgGR+gI8trvoIY+WshWTC/BxI7Khaj6iRGTSbiSnAiYlZMo/6njhX3JB1Pub7cC7i760kfrhuWkOYkN1xVXvzDBYiVKiCKBD8BEHwBFqvl7U4/4t6cxIpxiz70WxNXenniS1M6ZULiXb/cUHMH0BaHH3WhRREti6wB+99tjABFGfZdNRFDenFhXSAgNh9JDLN4rGGhIkORLi3NxGpMbPtn8XxGcef0YMEJ2VjXyxb+3puHJRK+FyHCtwWdhPyKuyLlesu/X9y4pLp7Gj+zI4LVKRcjGsPpQti9nVhrm7KvzJraJQRKRiEsuKU1x0oR6oDaP1cyPhQ4p78eU+LitrdvQ1AqDtb0jfoNRQwPf+nDyd4lqB1H2fzz5d9M4cz2bzpoXIQ9lniWWEFAjqMvqhcne9Qt4oC19ocAl2nEUx9LdYklouJGuGQ/L8GDqWwn2BbzHhw6Ab5EMPl0QmDTgEOYkLiyt9tQ9ZcYHJOlbH5h/7e2UDgg27v2DRyMzBdtVFPHfPLzxFoHQVk+jNFfNbYVNNhZGq0rF3cQuH/w9kkPbiRAPi4FzTb9Zb7ZQkez3kmLdTOuNWYoX5F7DFUNWe+Fub+i1ZSdamCwZJCH3EThfGYpHoVcpnh6310xV8CaSXAzVcJTjumA/1HMmC2CSYPbLzOWI/HeBwnbXPNlywZa8kTsypgH7PxRr4RH0gRZd2Wj5UOQLWiL4KW7OYVB9Yp6Onk6FtrDNIporVmUc9SWd1SHk7mIgCouY52cb2yPyKaD/+R6pJMbM/0i0Qvq2QYeCshNgkLdK+oK11cc+LGVaNUVlbar42Wl8DUA4TXsUIGp7Ue9K9GQYQ/Iq3WVw8UhW8wsb8qjfXhryCghlCtcRQNfVtGVEyU/IMyjcB2fU0C4B8DlUfgPEl8OhA/SpaUFCcBVuo9PGYEMJauXHywwN3EfyGPkmJMXSjIu7mwZGGEOUrGiI3Rjg1Zp5Oc2T0C72PkJ74ncaythfu+qOIIlR9OcVn3DSwK/1JxOAqIm21RT5TocrOUr/HZspo6ZfT6V2M7D9oo+fDsR3yBJYr61//7nGi/mRPGixTm2kDpdssq9ZEjcmxXHEMB/aHIB59NKf9nDjDi2/JcHcXqWRlqlKnwzLuBthLobEGQZ6UNJmeUeCk3bJhzU/Qfh14dpXxqjTAZuJSxmC7CBBQTWMMnxrlJnCJYwvcnCgMjjEli4TDJaMkLjZYfYZK45qGJP5SFkncUkbOm+iB/IO1QWwq9lVQAKmsaqgbho2FRV1nGfYz+1z6y4Lily+OjptoqHOMCoTIyl2jmWm4rs54EUVguuBcVs712y+Zce+zv/fBKcR+JEVeSiupFCqXr8HPO8h7kIW5m/hGprl5bWBRACUpsL96rm1ZF3DjAWiiFUifU5gOvPAUgoydbIZO625LuhZMkgtKruyO7k8e7LemaJZ3ZCufoakg9ywvvHtRI92/3aNNt8gtGB0zmAaBWGAR6FFzkCGNc4jNyzzDas1RqhUFARNjfEw8RQxVK2cZut6nm+dikXdLqJB1AU78P4qvjjHZv6VVD//cJciAREsqoauXDzII+z6AIXF3T+uBPwhhwSwDeVbQJELddNocp/FFVf67+JYiRMi6J4R1aPRfT3QxgGwzLEshc4fJgTYVToD5EgOZ2XDNVRcmpJoNcmxuX/lTriSRanXJv2167aBgVGp2KxUWnyk4/2HGvBqf69ZpCXtAAErlLxgMvaQbUEYscGdFjfDOzvCnwiJRn/+cqaicuDu4Aqywuph0jGU/akMaEEy+vHioNOET0RZgCFI/xLws0Djh4n6r3S+624XGD/CHmUX6RelTkANlYqyEg3Y6dhZC/ayvc4pKKmVljRG0NOrjJAUgvS+wNXAGyxK2I7cVQUVPj1jDS4SUeu5m+wDRAbP5tCCl6Mi1c9pabqw6Cj+hgyYdDs+jma1g8L1LNhopa7zxjpswUn5RzjzHaCT8+JxKdXuS4d5/E9h1HguADTuycBFO0udh0RxDotqdv6bUyxC7WAMDypMy/EPlv8eIHmEEULEUtLMsoOFGTRRvR0qTRztvEuAUDdKTJJAjOA30wqXXhxe/wy+UntwwY3TODuQOWGMyuw2tuudxz+ELRXD7PgEN2jfjWUrUFekPIzlDZAqbcGkL6rT4LMWLe/wOytoWL4Op7xe6Kpn8Chmm2CQPUkfKJQyKkO8poWEFPWYTTGpHMuHrR3D3IsD5IUHLmBEmTAQnxAO8HObvtLhCFSx+LzXsoZVtxo7O/5PdPrqMkkAAfrJMattWwI62kwmk66MlkT/fkIygxUVsaRGmixL6CrnlnX3H5CkZAfbIGseOVnPgsKO/7T9GmC9uxrvrnXiP/tEsm79rEYGKXJXzwa1gFJ+DfBKsbyOPwtnCJ5M1cmRHfH7MXK6qOr8SF2TNxcwqm9J/84jX0/3Lqk+G1sOOXAnSJvvsb5imnkpoKr9Ob5P9IhGQRby9Uju1LT7jxnr4LyFEU0/zHzHL7pPdJC5mcLTWajSbE1BrREA76/xN7DzKzgeqXPEwMe9UazYAiPBSXqZY3qwsOXY82moMzFqlahsecs5MXauyLW4Nu+oIcJNTWRWSjbIlb8PkL/k5nbbwvLCLVUHbyAOL93Kn96TAvojq/NhuCkcU6gP2MwGGzCLYty3A0SvMPHvlusIN1EzHpk10j9q1MpnE6W/18eKmcbl9UFx9Zxrl5gUFrm2kfH5OBwBWv4PW3VuhIVAMbyXfrLrlodH8p2QKazEduVlO1pI8TqJ5asg6kL+z0JDfSJz1osCZe02Vj3GHf5HYXo+HwuHL4qEDybByM89jIIT47iXXvdYvqbg/aZUz0gPkfjJOFN/VAPSJbCd7J/tiR16QSmrh7imkkCNqpvuBI3vdh4Ld8mIZQEnDW0qSiNZGbCmH7DepQbsPoXekF7mvCQL9tHqdQfT7G/W2MjmBBbvGmVUj2GKLT470QjOA2gYJSB/er+Dx5IX5EAXvbzjfmUB9Y3fsJrgNbGxIt2Z0UESiYlxkhx0MLROd5mRPXza5xThgKFtIN2yFJ6KaUTB9uK2PoSzSSRsqeRlYbLmxAYCVCVO3JDVI4DyFUv44I9DUazdNtmdERpLLFs4yXE8XIsHN3Ns3RaO9qdc30k4D6TUHDYSsccjd3MRgBGnCaZrCC0pGTaoRrDz82Ig9VfpfbKrRFD2LoL/GlV2Ieb2fwjVqSrET/FnFE4jk8nVKeZQ16UOjfgkehjrfFtANb0oSLofpJssttA+RL9YUYLqNVFvy2zAtwsXHEbIDqg1nrYZtdV+ODtWtk9KQpoZN4qW5F1OV1IjsscxRV4V02r6b/QRKJw19wCFtK3C7xXJTyOs9M+J1VhmT9LQjc8uQvSBrSpEYtuObgC20ZcKH3H/jDsxKtlGXzQQTZ++3q3yCfeGyq+7Ga452IFuZR8EccrlcBVUob0z0dvUwVp+E6VORlDvRMfbApAXfvnVJ9EClzhiMIJGJizonO3vdpoNVTkS3StOnnbinP8jC/hcvgbA3zCb84myRZXjBLH+I18Z+ZaksIqs53iGGkKSBZw9bWKYpX6jUEnj3eBjLivED7k7ZRh0MQXjMRaDjqUf1CTxMREqdDkK4hrnr7V0AqDsOhhjkaGxQ/kGtdzmkymDi7KHASDKI81hTfNKQPAnSqslBWpMP7Ipg6vlVakQ2rEjapRUhu7yE+KUiAbdOvXOtR0wkZCdDkVsBGg7VpCkOrdeMn6DsS129mgE/kJVpWsym3zgM6qx6AKNkyTBAlIRQ6NvHL3f2AjERCaQvAC3oZKCgL2j771Ye3qes757SeI3s0cmV3d9jJU/GVjmMswkPXsFA3i6kxuP0hsogDJPvEcwoT982YmPs1GkiK84TqDDgbqptPxzz0Ootp4YuvwXB+0j8Kz6WTnuTCApH41TVioJWDIHm8mQ3OOYeYDaM5GZHfyRq+Krr8R0qpSmAT35Z9eihHILHIDxw4+eEafGeVoXBcMNmEdDHTN1gWHY0tsKw73owCizN97p+h2vlOKScIDDkk1dTeHaaGkpaJu8EFK9l4khu+DzSUGDkgazLh8YCQTdliLA70sxoSFBUfNoKQcfECIIr9ocpy3ezRQ1/tH/7ZULJltWM93YmzhUy5U5cvvQ6L/XnggImzPsmblpd/8snIcoLP2P1PAj9UeSs4+bJQcrJtV1bKXqQcK886+ZFS7SJ43OM9YwW/QZwbFx8GsgXp7/Lu7mQl0aIUrFQ/CyH2BFR+1jdiZ5OQzowrMzYA6D785wbErlazMdnz/cPwWhgxjVw5FGLHmH0wjDZdgdPJWUYX1TIFaMsAnYF9pNXpdWqGm/8wkoytE+ZCNK/8uWutsUwBtKSaRqYIVVk78VfOiKQi75LI0ExgCMHj4mb7yNzOcQHdDHKBFgIzKARhWoKm4tmTnQi8816/a6IxowQkV5HaL9BiIvjXqWLJ18akPF9v/cCsObawIo2mAzHEsyqpnTmHhWOa2CLaM7zhsNqfSIY4+K0Mxur/b8z6KEjGaTG6oJVLApxc+aQPrVeRb1K9Je3IYcQHHkZQNYFZLF7SE0IGurv6pPYWB6MoovhIFPlyGzQpFk7wlNTCKg8SVzyb05hpMiXbwZt6g47iM8HvAM6XjpVYxY1cAqAt1uFlHE+PkMzqey7cmjBcqM5JStJl2W96Q1ikAJITNn04kG4dMDa/T8x3OHh7xGHMM1fcaP7nwQD9OYAvVSxi/QMU23oNXaXJHo8s4pvkrDES0PBB649Idj9KasTmY6lQyojq56SUOb9BZiGcQ6YTYysN5riVk4WtR4emCu9YxIADGC3VpyKmB2vvlL7s+zel9jMwTkb0CyUl3DA2GYJs0Bc6IhsZpQLlOJUneNPE3kwNQu78YndhTox2PA/bM3YkD7R4Ejy2zM+gBP8JfOzL39AImzbwQigASMj7lJ2+rKIltUcRJgs/SPyEZ2DzIps25yUd6JdEl9u+KHH9nw9nCbeSs4+SZaolqGVIOHP4C0Hqz2H0R6YFw8U+QPB9auXdPzhs50M843n3WLE2ssXR0OgYgRSPeQQwITnG/GqvM3P9m7gyf/dU78gIZhexY306H/Hl3m8inPEH7hfuB57AD0UZz1MekEy0P30588VT6IclZF1oljy8vZmP93lmYCeDevaTDk3inxM4AgwBjYHYwq4KEoAcpI6udUHKLPy8wmhQEzAHPcwK2GqLji9t07yL0FymHnbTTsGfMJp+4PoMy85V6GWIuabuesYsjwW74qtyaha4w2fHQuAJZW9tY6szegUD049Yp9NEFjeXUoG1Aq0I0KSPvf+tbWoq5xfZHiZRY8p7SO42f7u4Mdc3XUkBggeUzymh++bKum2YkSZmOczgOBIn3RUUjXPTPUsYkoPPsywiyHCh2KrhEZVIXLXezGOZ7rlJvzyFMgynYrheF61UibF8dUN1QckHi93hyKMFQNbqQ/bYti+y1DxSS6U/xJv3lRtbCDPdjSlrZQ4xMUqaHZDmgu//UxlPE9QgRwfGa1+N0ANY6NWcMMc4y8BrMWMh89u2oaCVOu7wOPxFtP/VAC5Cp9tc2p96PcmP5bIrR5cM+DXP/bKHN7LG0Ao3Ppco8psg169DbE9NWfe8mt04cwHyld2qsLe9ofQMac5edUV8Qc1nYdsb3uK0h/tP+o+tUOcud38Q+ImzDSwJ/AplBfLph9A0m6bnddWN4UUAmey+zHNwZbbuzDK1kMUtSsPTrpw2Kg0VeHH/JAcR1i+Nb7hHY0JihbAbIc7HQ5aewWQL/aNMGkaPkN6sqNgEiYSpj386Edxdn7qD42B7ZJINRa05k92HX3M9dHMN1LUIFgyJGoDirQvVjwizSFUUAzErL/ekHjCI1NWI7xSvZdeJqfodiQaYoK2UHt/dGXBNGE5UA7NX4BcSQ+Og2VjN3217RY/MIl9Va2xtnBJbNGebwcPYL0J+K0weAIWNNyVJzpxuCyoqjvkKoSqb7Mu91ck/MPg/d+4TliXqS3ZoW0gpF7if+w1osq0yureas5vyfPd16bIe/6flfltbngeQaFlDFnV6bOrICx46WXw4/REhvUyzcTuYKY73hUq2vRICxky6TjTa0XcZYZ6i4uswQJghowLwxKVPcTA9Xbbw6DKFN2M6bJAL1Ir+W9GfwBCg46wj/ZBnbuh6Yhc2XmpBSudNdAXxTRXP3Bviy8dKog4qQLztSM3ADRKsjnGjnSzAd4kyqoFbx5UaCOB8wID2Bhl1BVEfjwaFuZNPLUX3yhZnlnHvqBjUJ5AvmQNM24Bi+WfS0imDZ/P+54v3zu13glWJ+MjjiArdpnx/B6FXSpzR4Igigtw1Ydx5BvGORYSsdRG4dhTlkqse0SWAUkyc490qt+IEkBrmDWgDhmULcoqD3ROvH0Ze1hTQhf497AaM6M0Z4QUL3dDmV7S5PsEqadFZsNMqnN2wePrGCUc+iN/lzU/4ii5FSSEjWnh6GSgJL70lfkGGyTRuIizBCJYXjMNN6Yh6wT7MbZ39JHqRAOaaiXrsYrf8qUIGZPbi2Vcg4zA9dFEICgj7YLVCy6c4ttZA282B6X8fvFchCIixfZlga6kU+oe+qQW4cFwh4eN+T1MuCzBAYpFpJCCVw6EcMa3y60YG7Km50cHwiMZ2f7bbhehmP0H86sOoxHvoaxyvU4mwNX7CyqovhOdu/dENCl1whVDR2nazU9hJGBARJzl/RwgwvhxQU5C3ObRGpqBK/PMEh2hJPmCuR6wCE5KQmglxGE2dpUTjbPRjBEiac3zt3tW24ra/GOtU89io6V3e0g2EsINfoZZqS9BKQ/tNiftUYGVNG4dMi3eMiHUhH7+j0YbkAMuGu3xocbpkMsBSgUp5TWTp6FKrXYCUqQDFDYrxtNTg3eRqTMM5IYeI7pkJZpwk2m31JMqm5UXSCAcTVGC9gGVMEnxZ9obJgP0zk5xnXVYcSb/Aw6pkDzIUklAUtQxJALjeS/mO4fAusr5K2q2SlS9fAQRP9/d1jjd1ZTqCx0xzJUCRYt3SII/eSmCtlxz2DJoBAi0/nfbO3NMhpGiQPkzsuuJJiV/8O6x40CRYaJYBgoaSXiqJK7Pn4G4A92Ey0U/VBlNYAZsar1DtnnApYJ9KDk2vSEnonY1ys91DXO149m3q0TdCVeKVg5xlpTGqtXTxZ3CmsV7Y8JCDN3zG0b45SSy3tb9Tium4vmz5DIN6wGPMi6jicxjUoSFBpf9jZtONBV0SotLF/F/Jo+mDbd9Tr+PM7ktxrW+Zw5lx5KJYV/7jxhsaLLH0qJB6bXT0eSj0zSMfGosK7BPZF0f+9yArSioClauZON0Uc7RnvLlx3cPP1/Bcdfvbmp7B1h+JJwtlHuE+tOaskhTuRD41+h03JzCbEdWn4DMOkPpKwiCpXws/caZxey7FeI/rZKiBrBmMEQnGxHB6UxWEiZXf7PlWetZLJGTcy//gSGE+LBRoyhe4yHCt8dasN5qkc+gESad27rlL7nQd88Up8uhkbeDaFy7HdShKsxYno62McrMqAuHE1xbrZx3mXA4w+N06XShm9MCWDUnkJICq2UEIrdVw8BAJfyTNAJ5EKxvR2D8UTlgexa3HBpOQrII8Qsd2G0sw1+05K1NSX9uXWelPJQw/H4AaDWwVUPlMMh1gf12hMdcdgmZLe2T2oIrRyAlr76m7RDo+jfcdzo5w5BksebiqEFkaijGqJiMRyu2GtDinzqjAZNUCS8demTLYoUw2+R7vIEGQkzP/scpZS0InoWGag7d22A7KDQabomq4wjcRBU58McI0u4kkftin4xWDtxHMFqnaWlvbC4Gd6qtIF1Muk0i13wfJVmnRCv2jd/ovC3rMHvUq3dS1PKVtja6r0oIc66vwzouy8WwKCKIQ8k+g39KyAMNx3LOLTpr71v9EhYkw4z2kB4KEfIv2ykMqNSVGhUU5297AEsb8tSvV8i6OOa1qirUf2yoFjGlqBpvewu54olthzCJT+YUwlmXd6hNcDpdyN9yAIlivm593bnNO0d1O1KBmVU/TTeXrfivSuApzF0EePNzVoajrup2DDoj/C6rXDKkY9WDWeo6i+3kVLCaPJFbAwGYoLXMFBNO8t6n2V/dJjdF0Et/FKdSitM/V1WIFoPh1WsKIOCdGqoJA/GaDVv4HpYXLXUS9bZHIFHcuV9m7ogJs7J/js9NGZ/0DM0mIMoufLCUBfleylrygY24G6yhzXRmBAxOMXDesteWBpdQbeHFU2XWH3uP0KONkVGY0SL3vxOIYfDaniX5gnkypUm+KKDNqgKel1N2FvpBZKhtqBdCHi5hFwRUeYCmxr+A1AWE9bA/IXOIB4QppvkG/AMR4OTPfbpABXI3xvSS3Mpbf5eo2tENePBzwHuMDMheuj3i3K9OBBcw8hPufAk5NQKQCKQNayruKOnsw05FPoT/0TKMbBPLAXMFcltwENCRQ4aLOGlc/VwRnECbgKKm5bKvpVKKNZEDaV2inJm8oEy4tRQ/OOhQQJsGcUOT51sC0Y/ZpM/h8JO8aqTYCvXUIesXE38k0cgw+JG6RFMd9LqfVEFzLRWdmIL9t3UySYHj89U9rULhR4Kj/nSRxYMiXMjCEtzFUsssFwBwY60UR1DSzoqJOQCKyaVStbOILVmAGb+w80UnbzYA1T1tFhqZ3WnO5NXpAIHdcEFvzAKqBBLCroMmu6jghWSvp1mKsagddljsW30RYM1Fxce5hL922bEB+QpFrFdCJ1lM1ykMUbr+RFIHNT+Fmo1gtrogrfIQ2UdiKwG4nBXQo6Xn4eSrSpIpQ25L8DUH+TxBtzUBn72C9/ye2q9KBaNBlEHU7KR5/wIGdFgldxM8s5nezjqvJFQOpcu05CPS2nJqT8uPeTkr9ItTbpsg/eAWB2Qg4Gi+kJkk44hi+bzUCveZQ8mU7EOYB8rjnHvZeiZ1LySMQN8h9Lm+abVOG2J9ljstSaBt50gfY/PLjGcT6MirCQdPlPaWQq7eGHCb/VqBE+T1lNsEcxvqj2WkugnZcv4nJhObnLQnKSgMFRFrZCIzu4Uv9LsnhKjiE62l5ibSBTPXAWtgr4Q+5x/eDVxJCwqg+vJS1HBNdjOQnGLpKwQqWPGCTtcg1ZXM6dncVjkOBMCgWcL0WXXmY21vIHJRP7vxVIxkxR0oO+6wHoJlN3xCk7nH7YXrXc/+G0Pk+HuJv7Z+Z7ogf0X4N32Ert5E3dkhSjKNjAO6RLriKauOPqN57VPo2pGyev5JLQE79zvTUlWCso/ULINbNGooiIwJHvf2cyHxh1AgPbbp/Exn9q4xmbqYOgLIat2gD+icZ3SvKILHE0tjf77xsk7U667AObbT3flPQsdocNd42wOsoE5jH9G9bCse5gPCtBv7l5jBoYdsNhxSC6kb98BynIw1sAxMUgLSddguz/LXmu9cJiiRPx3M/zg9IuX3F3I6yjt4w56twWCNYysH8I5cg4cZ03ukEihEvKLvzPMGu0qwbCjbVy+Lliskwy+iAd6x9NEFStU6jJpmhWNXFdUaS3hFKBZZMMNgtqbZsTPi1njOblqj7nuBXcAMrPgLZUtZsniyk+4P+MdqkNV/cFWUD860DzRCS4q0k3w62M7LGk5ggt6Y49KQ1OrvGPTlIHcs7D5FgKtwqBFcO3cE9UDC6jNtVlfY/RoQ5Ig2Bbc8+isI3VR4nABbCJ57hRM7gekMgGH+hwe2VdkdHV2+je0fdlfTE6BPnIH0+ITYRSu66iKQUfSG9MceLJvBzFWZvLbPr9jqSHcMpN73DeLAno7hbI5VpRF0CNJiphbd0I0UgMcOFaQQlRSv6C0RB3Kjt3xoRYlxP3ANJM6zPQc8kXX1S3raDo7hCoNA6ta7cBfJVu5qdH1ZBHWHHDMsUBWVfyeCb7QDR7dYV479XbgPCHup2ZRHGCIDKcdPCU5aZz0wrB67FA3VPOAAnqE2aqEY0raJYt+LzRrEcDum8C6d9f6XY2U5vQdFfYrayWJIpZ/PTz7kKv2m5HHXJWHyG7Nksv3wkZrxqm74LBPN4JheWQjWaeMqH72kn+pgU65ziGgm+LaimItpHs6I+81vUSkEDD6QJQ/l06Ecr4C2Lk8ul3GWquXMmc59kZ7Rh0CdVwr1dtp3O39DUuEKJQzI6Z+dv73OAVwh0cqB4r11a+ULjRE5DvbjyikR91dK9R+FWFrhx4BJ1fU9buNcoepFweRhm81N0tDKcuy6afyzidjH6v2WFnFLmWFKJvOtNNUYxNNlJfMH/8HxuRLSPAVMuAOYOoFobx7R8bjemsacVYfo70ug/PZ6TjgWYcS7csJedXFrDaSlnLuQBgT4ndlrwHHReNB2L2AoUnauboTw5zZho59NyBSrR2VvoYnK0dB1g96sEUKprrGx9zqa4Y6hA4gBwjfR7Tc68tQQybxcOVdEpbsP+8T3X3fhQQG8YdMn8bStHXJ0tn7MJNetnDUEuuuJUDpKkrezaFd03KxvZ2bPrOa86SUJfrtP7V+qU9JmanzaTYFs29xtAO3GuKyZpqUJ2iQOrjAeHUCwC7zMr9NcX3+GMjD5UQ/pi3vPOtuJUasGEY/4hveSufNEFF8xjlQJIhliIup3yFaC4XXXLAbu91qHgf//oTimdzQyGqwb7TzjluGSuCxeKIJjyMtKJT3iSzzJ97leFnwrj09Uwwy5S4kUZIBhM+zp93cTHOQu6WUZgl+ANm2E3nYauy/nd+8+hhHS1arlTTYTNlHTzODW8p1cM8ujWBDJSvvUBDNdCrX6cCzhekDs/7EL9NoCz0lfbAEk4UimN5PWk1D9J+ZLgP9jPyFDk3q3C1zFzenUAL7hjlUanPoZWQq4AuV+K2AO/5CRhaJFbcFna9IeL0aak43ozEgKSYhYl1Gg+R3mRJyMS4QT+lqU65BhM4bXM4jBBXLpMzA8A7lCLcZsrPtvvk4k4XP4Ei7eYU5XDNNyVnii0BfhyYGH/Mj2HkGxCi+pwjEDEykz7WDwI4yFrNnk/yY0IZass6Mgw2xL0sMxqmU8U1sojZs6Zd5AskGTeL0cwGnq88RuuqwmPwF83wfnB1QkXCAZokXSx6DYSv3Mn6zQpMQLb4YFnljmXl3YjVJGIQkBm5A+jtLtMYkdbTbw7XOV8OH2XxmJ2qhyaT3j4NSGc10UImhn0a4m9f2UY+DhSjqksZhP+AZdQTuuSHEtgCgNP8YgTln56EgzuORLCn6PJYmjapyhx/ImBeEnufZkImU2Iw8MXJBQKx5q6oMLKAON3C0BgVNcpCgWokEBvpqYOwiH5hIHPTsthE2bYppORUcCCzVGbhWYxs89YrkxBI8cNWJIKvHx7nD5xmWFs/3cdw372eyRGyLkVmmbS/XUKYGeu04XDwIkVAU0S8s9VPh2T+OBRKqEOzSM9G3cx/b5r4SfU0mUKEhE7+jrvp3XlQw7DVhzuyk1gGnOHIdk2OxOgoe5Iv6ddEk7Mhs3ZKRyfcxWIm50ugyvSG8vCubVWGf/tEdVB4sUIsJNMHQ5NHBHB93p3PYs6AEU6Pf4iWjFUrLb7+uY13hCbqXqlteSDYeBP1gVrLsn7oFi7CD1xETou3qwpPsU8b21lyV3CgNWxZ5Pi4nKriJjzi5B8PkLnIIsK3lt0Y6blS6ZB3oLHN1Y/yuyYM1x9xlPr7u/3IvoyXdTkizjghAVgkDSLGU/cBX3COkxZytA8BoUQsf8AwPuu/EiFOTJrYRMerxwM+Z3j+7OToEekabT8CZiizsabFGtSBvY/KeIMc2iLXpc2QOjbhAyjEmRIPcG9yCguBJVTo4wEmpnISDdH24zEGk242a9JnI7AYaNUcrWkcgG4wtmk3sNwh+0XWG6nXzgVi4aYFJ2klr2x6KYi8jv7LEXAksanvkkyfKeLdYolcI6DdoB4GDdc5Vr8WyuTb6FofNZWSzTdgtomzfkRfTjgIhHAv9vSWit/Yhnl1fKQeHKnrlmsZM9ovB3iVnZCTwZ0R3/trTj6IYPjoIDYtMjdLPkjRYP7r6OPuwVpZn1GZDuzgMGCABtMlQWGKvsPwCYSPGw6pXQDwOBnHIDWiwusSLUxh9FOhaoh5H2+/1vqEUJEYjvGQ3vdLhgKYjFyD7uADuGDkBdszp/8DWiimvG4VyBqDZf0UT5tFUmF1Yuc5EP9PcoksRtNuHkpia5aFX118QvOAo22Pp0giKPa7lQk7jTUFfA+QDgcy/AoWCVQbMoQ4d7Y+8DapZlgJPoEklpNqpY2pmRrYgpEMoK5ahr/pQ9DlCRwHzols6m1DG6NumR5UJ13hT/IT8Psgnazwqv3gv1SN63EvBUj+Jz53SkTxEiLzTdNV0Ly8ZZP+a/NNc1bS4QATr6+y1UJDTY/H3WZy9anbfJioQN0tRTlnAxGFtEKo6c2XFeSTavoq9/3FSiIoGBoMU1f7Fj7MhGXJ2aYiH1VlgNWnTqEUHUMANYt6cT9Uqa3TW9Ns3xixbUkUU4p2TiYb7qNgHFm0AjKVUWqgrpJ8Fq4U+CgKI/T9g1AWJUqecQS4nnyarNIBB88moijW3YTDNNiAPOiw/fDoT2MXiudBtlaXImQCrmII8hMgU5GL/wRWAJelRg5hkszsWvjMD8JaB/dRIf49NWjRl6xkKUGu7A+IYymWEyJxV/fOMqufexL36gEpshwoKfw+KRTFt3ST37VEW6A0ToUG8oOxGbOlz1jbWRoKdRf/17i0C4DrkW2beEPNlRmtt+MuxWNRciOQG9tDvEMSiyLa7Nj3BKVVsy7a54kL0ACUoMntGu/lrLCvqDu0BRmd93Vd2yb6BN9mqgcXhQgbpNZc7bVI89JBIXtNijeWFmhoIn2Pfn4BF2i8IEwIgIO+3cQzXqZJ+1yWGhltgRJHr+EhApQDWgGtOD+0rdBaHn6mkS3eybICDAb9mlxIIW0kRRERtFuI2b22wlVyWObgBmyJjqIs0CodCmTZEoF/0+KkSgqGtZOZCT7WOvP0KXJB1OIAzx9gLEM0SCZJiLOqxxlXSUHNaLKyNmL4IPVSkg0jzSGIQSkXsPa9BFeJA0D3vx4QqOAPbBOxKCHJYRiH7MDsBzRMQOsBohx7ML1gB+J5ytt1ESw+rV56EN97qkIiww0AAqy4N4njf97k2ji0oD8Szn92AC9ZJvtn/EQu1eBHheifLcIgsakftKWW/AmWpwXzbk3vjL49N58otU2cr6P1IrzeqxCLiIAgpYCBPyLNvdnFXZv5YdpW0KrG5kDQTEUw8gKGRHXeKKpt1zrD9mU1ABqBW7EQ/Rqz7Wr/hjsNWHwtCoj8/PVBnaTg39YlfkxvEOjC1og38ozcnbm7MsCdoryxCOIl2K3h0ZoE+li0QM60OiKLPgxJQaYVWKrqtkQh5qTCoSb+LplI7yAifBZHWC4skV2oy756f8Z5lVEKyWzRBeesSIyNKsby8iS782EcKtJAkMr9Jai0kR0OBVHhxMbd+dy77u8kEzMlKY1lLPZbAgcIluttuWdaoGPP2gEgaXCsh0DH4LC4nu8cMUI619fqDJ7CR6BJ3phTA7nQnnD8aL3wkJ6I+J0A7/yUrtO5ybJEqFwqvMGlRCKHorPHB8KbjHMHYoxEik2x3nwaKlGDIo2o8ehihuOM2ScPBxaM8kMcA9lWrBwgGfJdyu0Kt4Jjwqo0TewPeCb/I43nWOwcF8kqNnlIvEY/ZCMDcpwdD4cA3dqAQcwA6W3f/wUtGDpD0Gj0pQ9cjnmgOwhIAdhmprq5KzgaQYtuBYiCmZXq4j1nJXRfn5hmChScSEqW+pVr7VAMFAuizb+LTZC8H+o2JCFeP7gHx+FAgAzsyaVDU+lq5DVAeNa9Z07VMZq9/uy3PuMmxOhDfMq9EP60MrVCmEs4xUVl1tV8g5C+xktRYpm3+9qCN8g2MrR2I/zovshyAUAqsu3Ps8vznKpFu3oUeHFj9FOo5+gkoAThbJ53yeGsumfiRa8Y/ue178C1pJrggtoEnkV0DkyzCLs8ECNXP81DZzH4S1hPRPyCkPwjtssRE0GKFXbYy4Fg5uq03NLTa+4aQlGktki+vemyyikcsrIjOjR3SSVRbYdElv7sQNDmLHi3boPCgBbIS/k7YjQ/a0pp4n7W8B1/3Zjnxor9fQpJtvymsufd0FtD2Sfk6MQIIh6HmelCFfSKssaIhB7biqiAVH2MjoCHm31LJhiwTwyO6cRyUTuzrK+KtmAN9Zo57qaT2VXZ3aXXIklfkFXJsxtI8wLo+fpw0ip0W5i7PKTwpXg48caRdICCQMR7RPO8axjLesLZzrjqs4HktlXNnqQbk6rBH9j/BmZNZcLHr2CGE0WqDl4+HjNHRcX56ijPOfI0nXdhVeFQuCsXd1mpRwUCgO/KY5nfsGHNiWzPesV+gcC+cMXwKVSww9LVj7c72Cq+2PqJpoelAxBDCKZl6GZioVaX6aljQgNE3Ez26XiKPWM15ERROvIToMyik+8FZ30jOKbPTcx0/ZZ1xibA9eyiBWbsLoAIcpbbc8O76FzUZNxJWa7AjMMGHUvzyyGXKOCE22XqdPBKmvjn2W59gOqwPtvgbvSDiV9tZ0f5r5GwHsYEvOgoFNCXPqas16/ep+9/gdcFbVPoz/nBFqgwfwiBwJKHnRSyC8ego2Kf6+pFIhLodLrz4vmjSmm2gxJBVP+NpuZM/cBRo9i9ZyTmS20Dw8Yx7YuFQrbqHnLQnpgzcJKTVBpks2DR6CsMUCnO94t9o340iPzx6ifwYaJhRPvE0sxCFL5pVCth662+PhxA19BcLekKNFpAldtCw6dxAoWBVfzt4XnenCXE3Ca49iVhIzKk9ntJKHkJ9i92EjTzsDijAfMZPVdaUXf/OJLPB4CU1z6XU0kcWocJWqx3AZ3lSJXSx6IhSnkfrobbP+4yC9CHwsiY2DLa2hrzyZ109ufv9SLSiFqOywiWYvs6XJHkWc9517zPYWtjHpO99wMZVHhj62WFRjbC4uHDAoOSoEap3QC/awtwTrZflb2FHwfQXZX1Aw3ekxN0Of7BgnLYlGAffyPHUbD4ZYEUuGGTNxEwWyDFpfHQgfi8bcWnd+s/s3p8H/oTjgGahMXZfSO4Ul+36s7O1ONvfGBM9Z4vHNWM69EUDpzhpedDpKYwHnhbHqQWOCWYMt+xaoak8nX4wE5POap3iSj4MSZwIoBZbLQI4Fsrp9avHCdsRNyaoTo6coKbAKnAMOJW7drwJv83YsZwhcYtjJsnQt5d0miiVlmC8TQwfjuiS3mNePEMIgEtPLQ1CIZAz+G376mTw59vBDImHiig+9fyD3G0JxGUwAftaj/n1KlEFwMl2qhfGZqCfjqfYnEjjBwVi7JtJbIVmri8HRJ87u1Bz3Qh+0uvVYpMC21na+Voqu0lRmZkujXLmi31F+1WB5AgsU89XRSHKZ7huJZ6TCPqy85JC+sw3M+Vo0GCkVgdqb7UbtNyCp2cXMkdRZWO54/LA1ht1lpZnsgiGSA+n8uims6/DW+OrRGSeBVe0N884640CAUfUyTayztNxeirNnMFTrDBZcMK1TC10lswh8fVQ5vSpJ/wSoioKuEf5catIy79Sz+vRlqih9JRnmalQ8DFQu6jZx6LAbCy35Koe5BvqMRW/eRtYPceAMKkQo/BqRp2qGZCZ9bpWeHWryIsBES8nyI5JzIEkc7vsgfxm4zNOX3uw58CrGV0bpQcnvSHSt1IFjipmGSwy9xVkorhVXm4PedlWxEfsZ15x7oZbJ6d3s5m2Q1XOy8WCE0FSENCPm+RR2q6EPyQIi5AoTDMomkm74RgXn3JvUNkSv6g9JpmF03YuM9FG61IC3wbYEDeeKuOF9Y6DvWZAy4NhWKAveUOufzbD5v32JKt/3YWT2Nub0tdZOHbHRDoD4wXLg9o7aFbrckeowGMi0sYDhraLJ/2iHtrE4b+OvvKrWstI+DRac2ydmaItvtu9fDW5bBG58O558RUgDv/s3eeIiSVeYOoFD3HOl7HHP7v8aOT5s2uFGTBDhgiymqvy9eyECJeOOPZlMpckCKcK8hw3VoprTS4cDvxt8apq3Xa6Rum6+SAumfjHXjdn7KZbYRjI4V3fHeWwgqXyVjYWTwRPVeHf7AzmGPvgieyqzb7PQcRAAAu6pG0TBekdlO8cfrnE3yUKMl+o25m6ntObwnJ0P6mD+tI5vvM3ESE/tEe0JQEJLBn2DF/Gb9ZT20HXphb9shyYsfTYDBQVS3j99XeRSQH1pDU6/hJCWHm5JKWYf9Icry+mPM1ES3jdndbx0u5WZtF4Wk2cFU78hgA9dHGBr+kv7GRe7QUKMFS1gHD7p2/4/CDbnliT49wMUVk5fQkJd9BTAZ6NFJsTA2/5mzJilmx/B2nAUdAFPN2m08f/4sEDPM/kXJQ6jGFKSHIHxUG8n1Y0nSflWkxK3nUAiOIihlR6ueICeMiApU3q/nyqdbaDvDD8vIKIBmMDfDKEWCY/fU5uwZii9jeXOGDWQ73ryAOgVNOKcDYQOwpdvSIa4QuQk3t5GlLlQQx5KLgNBzLlC4fGNC2Br67aXiy7GH4gCObEOLHxjQV1tBE7f4u7UH7dXyAOZ0gGkwGOohtFtIjGXit7GBcoGUmUbFmfSN5TuBpnkOjwvRibIGlf975LjaGajJz+jhx/v+Up/MVa+g0ASOdcxFAKOCfQ1yryf6gRoKyGgC+p5QtS260teDDsGHMISb76di0YRU8FgHYm3w9R0mYwS83KQV4w15cb+fdLaamYVWykBAhQsQ15wLGaoFRY4L7KPIkZTeImEYirFXWMQbxAbSTutO4hVHw950yfD3H2yOOP0sriV8RMf4mnXZpE0Ec83WXF7xBrGG0GwF57mJk6wmdjTV85fLTKxcoq61e8Ckrs+0df63nWfxCkMpjJVXFMBzbR72uDWXo44iWO3Nkt8746ChgIweCSU3D4AFwm3vORbtd4QKa6Q+HHLH0w90Ss7LWNa5wgTcywOfLvgIUTfjE/Q7WCaTNn5obPzl3hHfpUv5Z3k6VqEe//vpRCylAgMwkvmA3GXWjkhrFtviletuZ8qnMrN2DvTyxl0pEUPOMujQ6OZaXUhZyCHgQ4XjEQcwWbqcb8ddah0dFgL0RpQzev0/i+UIfx3pozfTL55+uSonFRNosQ2TOgx+pVCbEdKCKq8rlCnrq4sh0UxygSbAIYLjUS5+9ff9ZU6E2Mk8wvB+LWa1X3BsplE5QilwWAFS92ZGvHN7g7WJUw5Uik4WI3YLSvAx7+GlX8VXje08rWDvv09T5azDcbXdJ3PppfTm7TwD/4T3gpcOo7K3MBGbNRlzia6GgvAwRwGchA8LZGnEwDINN7Y0o4JG1R3/JkfoIiGlowmUyQDyh5lWSYuopIMligPZymcX7bcyC11/moLbnO+/qrgkNRHgoQeT23vLUpeExLQgqSTOyMNS/ANIfznDEENfiAIz5FKmWpyPnOEMz5KDJG+7b9pTdbtV4lS/k6JzrnKym3H9Fn6SeZFNwaEIBZrcZAmOuqW6+uAqjaV9/8PrV7+5TVUOcYXyIDdx4lm8YeDfrtNf6ZDoXBtpKnduoNru1zodZEMIKH+2Df9reTdl8/iKpGIuC8On16t33NqHHIMyRijOEwSPPb0cuNCLPQGw1oT0iOD9XBwo24s2Fanx38g+ZivzvsMZ1NBAuNzXpAbRc/esUkZehu2VW6fCnysHzeHA9hAc+J9xr6pSOOekFYqFiE40foSf7AJAdVKhcjwfxHAj8qx8CiCOGieWiyy3BRehjrJpl7AApkVPTDVWw/iMxcM/vYZTNBDn7S5hkzZ6TEJJYS0gVI6GfpcKPJrt7ciU7VWatOyZLP9VRlnsnkvMkIaPamXDhbun2vzBr2lT9OrpFJ1IpKu/fOeyITUr9qaJEFptMTuRWEX7BEfDembOxkHrlDmtsMgTJzVp+ZtQrcBytKwpN4dyYYZeLSI8XhAnfFqdHDE49ePq8hO7d40y42Cy24NndY1XJNkfLCuSfqvSlC4+QPOvMnZzldHKsIKSMMP5lgZpJy19CH+t0hELykawxmai5HwzA4qSfGn/2ay/aipDWv4RNaTqN4BEGkC+qvKPqxOrxtyDvZ9fwErwO5a3aO9OuZTIrVq9CORxUJ5gkPM/kTTPZ0fnQ0o3EqsUe3QSduD3vhwGEibTcUUhRcGu7MK/rCMyKnTiATkFutqoDJ90h5ias9V27EK6+q6g2z/BukUANiGUW3l4gqaqcX0PeiNU9OeLwVkQ3wfVlSI4Emx0AqwYfosDfc6C2HOxbfGDufwODdJjk5cRibROTlJGmmc0apP+J5P1mGxBbF4PrkV6bwxIZti8PZKfHP4cuQd4ZWF77Sx90FbBh9+Ho9elUYeNA3ITIT5Ac+/L2qQ7BCVOsExcRROd/7Qi0gOBQzKpZzDENBV3+a8p6SJb0eV+lFqSKPPXWQMFOux38LIkeoCNsLSzJzq8T4SxbqxtxjwcUhYbf1RJZhwTPa2UyvTmyAXpHxhe4Mgg0M+06sc5lodmoqC65/5P2dUymFuZSkN5bDWAOPY4ekt8MHGLlvy/2NKm2onsbej+XNHT4Qye3l3ujwp0ZzF4SRG0u+wvsWKpwb0jdLoqLjOOLcUzaiymWwdi/4RO/8R8NIooSoq1uuuL1yH9kxfVboHYwre85V706x/jbm6ZwKpD5GalohrN01VPKcGt1TlIqgIj4T/h9j9+I1RXgSzDJXvjjmkktIBSAHzJqjxcGvYFCk+Dmb1z6DKnBtKzqUlvzmMAE9CvoDIEpwpFoqdkm9WC5SwVayf6RiBtnEp8iP61vDb635Expy3GnnC6ZAlZlgYn3pI5koB4y+3IMAMgIyQ0iA0cn+dGO5BipfxDXiDLqbuNvkmDV02Ls5GzdCvC76dpqQbFEhPxG32XeiqleaqdMowgOhL9InHo/XaZoOwIRXaAXGGm2NW6riWD2MJaeU+B1yvj/pg5UHpNvT0OoOeuJqbZURMTvZTS8LiSICLrIMkedaWpbfW+UnN8bdwy78XtgE8Dezh8LilIhCs5ZdT4K4LIAOYRa0USbQVMV5LIHlcYR9IHZonS2ngmPB0w60GAGWOmlgrkC0w8v80NUk3eLdmD/mr0565mFGwKT55ZRHIIvnIgy7/bcgUeH12BCc9xTDG3RZH0R11S/wQyTKq9fJ+K57Cl/egilGR4nViwRHQ02+1PNti0ADaIMrqqMrSDtyxisbndqMoMzw/3wDK+v0w2ZeTZ6IGbu6MZRibPE0fBViFQpHpInNG0DT98BvuWSenO0GVeAg97mDHNmhISEtQlL6QwCO65AWkwuvZ+764eh7Ie9oC8He736BMHQ1/yMOMWeKDooIxseRXC/Dt34iJ+ESJEOowuw1tVSttGMA5fORrCsSYN0gbvUFXJv09+dyWLw81p5KQ6E3URCMDeQVj9C3a6YFL5vflFgZhBNM0+DejTc3H/fe0LEQfjBqEtUEycefE8OMDGYuWqxYDHLJcwYpbXQb6hdMH1YoAJKI/BjGwks5Pgz2cu5LG7TPCMQbhIJSv5hgTpNexnBg5/VSLNc+jGurx7gX45fTtZT5nC9QmhZ5OqnPVVO0KgDaTiYBH+AMmy+pIDzb88Q9nz+Z55XzqrlaZB4Rf6iBVUBd/9+oU0WBBo6noHtPMv0zHK4ELJC4VEEZo6WsK8c99p8FkIR71UKFjRjhQrTpfpAZ8M5SmTflU+QOhsAKj8NsTtPyV5kELexUhITyo4DaNLtbQubBtVugyK+9MSitJYtEfa+WsMStCBrpec/yw4oxl2euwkVidIqcYaOp4TyRHl0O6xQqEfbr+JsfBpfFXe1SSAfLZNxV+jEgd4ErDouE8wXjWg64IlWpgH+QW50MTfphbKH/mJkJ3WhoD0AhCf1FhOTMQJPcCJds4fTfmHFfZTifERox3IJ7ABC2+1kaZgcaDEjKPmR3OFl0rnBfwM+1b6yzyRhzQuBZA/swWmCiiSbx18qG+zActsKOIaPwDZU3n8WSneg2Pwzk1BgYv7HpaW7PtIsiEPDovrFsUWYDr6EwpCU320ygQyAxOKHZaTb5OJ27uFNlmB9Cj/AAoGONFDiVvCCLbKDCltBBcxZ5xnUo86j6qgIUgOIcQ6QOoLAULHZUr1IPwIvhHku/Vt6LdMv/uIluoXEjIPiHaFvwpgeIlFX2eHii5C2fROgoCsPCbbeEwSJGUqW2+6rLHClWaBYIZde3FTij2cADhpM/vW0d0jwNCC8bipai1hFauKVoCRxO84qvieOVo/lpgGN+0yMW4fBQb8ZzlxjCu7XFTnrNeNNSYpYvZH7COjRRLEOYhk7nEi4tEnknFsQTvYAgHvfgnsfkzJ9qqC7o+4ETpRbXuLT9hAqg63Sv5LGbbl6UKCBQJBwNXdDrWWbuotB4l4Xj4CW0q/ueAHBXm7a3i+zcwvpfS4EZQoNLpu/PRbOr6f81/vMtmGupWNwpm3HcfOBXn9+mdWbnDZO2D6xqZmXIy4IEFFZaF8I7iAOKXUAwmhwePDPJFnpnfpfeBsznNFjHWow7D3hFp7s+FD5gvK269WXAPiInFqRZWh967n46s0Kn01p7nM8Z+g/WCYrfGg8nl5ROZOu1y4J6xj1Tu5MRz9rezFp8N36rX5fVkWk5A7eNeSQw8Fbmj2t/uc5/B5i4gXfOXRzlUB01T2rARn0Ko5WEqPJPAbJQExXYac1/vj2JAYBVLJ+ovUItESPFHsRmxnlGJ9P/IaW7L++iNLEMs5DXxKJxthpihY7krnyS0IqPICJP0w1qyTTGRHewSICwlZbyt+7fukuBoNcyhzrKnJTxEp/GrVnNTgITxx9ExsJ6NDPsHLGaaTylqQKh8cEiK90+gMzVyZ/Q69fWTeC5qAPnl4enp0rpdSJoZHwUmZbp4LrsLMTxiWTfw7A/MlSBG3byADGt4EFENGBevoBTOGjiS8V4xJAlyHz1IoQVLqGOwbXN/4j56xyodYwAHaettv6HWLtRaet594AZXMOl36v2Nbg1rqNlUs1r1siLfJivmxhpZakHzkGqN5un/FItKb8ebbIxx0Lz2FxOtE5AFuY6zkEd13yhEhbe+frjuw1f9jv78Wlk5rYQLn4vfbXhhXcksHhDR1C83l4I5wIpe8t9e/ykPlIkR3DaBlQmPD5EUrgmhoFYSyvBFos84I+Pmz1VjdsA2AzEmoEILLHctUA09fYQeKEoD4M9KyPyBUWNcQhxwzWPuIosilBJUwqMSEJrzy5wqGDdOC/FZVJHwDEzndL7wdEx2cy+QdcFPzg2DSUFWZ5RrLYm+CYTeDK8dZjU4byQViFQIJDKm6NXnQrl3/LOFbWtdSjKOFYw70W/uvpSUqBr7duB1dKZ24CMSVnikfLdTb47peHfp16KPf25O6lJ8Luiri/rpj/HDgmSIMGhU+k9rWH50ioO01lIpkRmd8v+dUeBGNfDXMIxhcddUm6Kezxqtf3FquqjjAGRoipHMSbH8WB90eLCWxAeurfJz2S3yDgZ1un7AAmIaLs/SHaqW0RfKUNhj97mISMTvElIj9luPGJlZPh1IVkU5TN2lh0oOwu7WO0r+XGoCIsREl8gzw93vswV9cIX2C2gWzuLeYYm9Q1lt0AtGS4YHoqhzBGxddvG0W8MP63fJMWo1jg1FC/NZ5AeUmR3QLt4cwOOamU4+L3wgb3zguB+rY8aYkZaOO1HNDKonmOJCZkIVe0t6e+4ORWnpiIOFydK6SeFkvB6HTeY4CrewFLcSw25bZkZuMLpG6IqYfiC2dsYGIKvn7tiqVGP3UicRTAl2gsvboUveb9dCBwnJN6THtEqMkZCH7/ZImY0oh/8x1kaZqRI0xpDN41ybqaOJyWv6BPniGX1gCEcpOuvuuVKZHU6Qkpy4BoiFFjDGWc3qthmcrMVKtggK+NT1l444KUz9e0ICg0r1sIh/utxNCrBlsEpro4DziUgYDpQtFjb0LH5B6ED7cmzOMdBCZAjC6nne0jVhJmokbX92y9t0lmMAbalWQJItphtus6+PGWfbyjefXiEPQ6WLtQEs0BoPHveboFD6w1XpVT9MXHXp4ng+SWoZq4ItJt+chguvEzY+Jr1GJhSycdlcxtV3BmrtGd0JDf4NmlZ9HBtnD2ysRmFeoKKsQWwwe0i/SsELk1vKcwV9qTtnXeCeaoAhYsZVLmJ9HwFsA5KsvcVKQM6Xe/3+qO9Z6NrmPMETgjlaDoiTvue9drwDW8IG45nKwwuR/z16u7Kx4ijvEnLmBOKugbhHUr9PkxO3utRAbzjhEJBKE9boATk3CJ2MChUloKIlUg2cZsWBHX3ZsASBteQyfyaKTEVde8iIJDfYdgm6pmHP8ABMzHiB46qGepbUG6JE4QhCtQLsUdKx4PN6UmMULqWuvCX5+ONXe1L+AkMB9Ttf+ybfBE8klKLxvqp3l0j0OLxwssvjE14AZ57LdTyzsWvy6a8zLD3GEyxhSng+0lHD8SRRmWdN0FwH4WKMWeV62FTS2Kvn11p7yI0BqUqSrUuObeTTlW7G27gze+OLq3M+NmxMbsq2FAytbgFymJ2JlBLjqGizFazs3Yc3/rjC8U+fRUzJT3+5d0EljzpxsUziGXdhIajB/uAxJVGRZR1AhItAB79y1YE2pUVfmkTzDpdcY2qABTCrZry0wZtS1FJlMT5Rvn0o1AN51MGfWFHEnpWFmV72oMK+w/II5b+PqS8sfeSFUojjzNAt1ClRFjTWVqxo6g1sHU/zuzybqgXjXGr1hPiwnqrGXcLrFO1xGWu0ZMcaccLW2zeY/1oEqNNoVM32Gp3ZR/MspvgF/6mvcTdv4cvGPbRnDEySgTDvn8UYSlrrjpTnhVP5U5GOto+FGhdqT3yE7lpC2zebXA83ZMthq7FpJRzi+zSC+YMUrbnIHnpbO5yEzhQo8o8iQD00MCD5jgmmgD9nmO83IsGk0cWeS+8a+aGGXjR3msCoDx99ROASdrr4dRdva2per/QQ/UZAia4fEo4PmxTMyJaM2Au9+HMKec/Nrf7P520c0tEHaPJrXzH4BkjeRR8eqh9Rhcl0bIH+KRpBWCB8UQONlvIRlLKoRnYRH+DJbq1DwU80ZvPU057WRdUaUdwZDSrlIORP78Eu8MMqlWTzIekEGkBXg9i+vgNvinIpHANsK9WLKkizekuNiQUNzzX50aIxB+Np3wh/BpNVJKIMTV3HMOTbP4+WfJypb/zyKdsRKH2/EDdmqP74Gfn1yenqGouvGmeQQ5oYROKZg0EpuRC3pIQdBdCwG6mWPNA32kqjxstkI4Oe2ijdrnS2bodPJXaGkOsOcuIOzjaCsiu4av3BThD8u4OsrXjo8+QoLDyJV5LdYr6fBPERbGCVYU/xrIy8JxSaHCfl1N413wpayY097U7Wc+M/YOUAUuN0A4fwMjg0PZ5OnMolcLJ1DEkkrd3+UpGh9nHnF00FWM7Ii8C2AKWAqkxVOiSgVYMzdD+cT0wehoiT/YWeTc+a1m5gB2IM0EnXAMwRj18/7WxZAnkcg//q5D84ZASbDW/QxeYyGcpyAQ1/gouyFI8askT/ni4spW2y6guDomiv2E6sNNWRCBnKVfx4WyKqFVjqRvbctIw9HVlqFgDouyT3KtQmDGU3TwETNoBoSmMzocBQFMXmpC0Xq5LzxENz6LDbcwD9AtgYCg3F8S92/XCpyfyHpq6kqLLtYhUqc/kQjMy103uDQQGUw8I8z7aPOm3HgbXQMaxeWdUJUYD6jRtmdCDOUS4uooVC1DEv9vHlN7OJgL5a7hLJrNyfKTlRMMNNmv8VulHPwyCl64wQ6FgwUjsAACAfQ5yszo/nfONJzd65Iz8gTiQNERXYZbFkNddvWfzSIU7c+yFa7i3dzGor4HNM65EXXODEXvMFPiIGxAbxCJPMNJR3hOkWjRx6HvFcXPUoYPF8OQ8TDgteVTqtMMsTEs0CTWZ++vugZIFiN+5D0lKjCijm8Erd0BS9lOsB6CKnhDvDSgPwW7xhE22CbISbCaoHqXSw60o3eB7udkYLM0BphCxO/WviAzAeS0jFHchg+KvGD+K2rQW2T7ksH+7xF6b0Yg8vNEsGz2wECR2NtgxkSLykZrySfJqP94D3O3AZ480zNkAL2oiqMlmawlZYqAb3oZZP8BDWu54juETeZ7rLVcBDQVk5vd1jHMbtHfGopWc2dVGVtG5tOdBlhmjMsqTRKaf/JAghzJ5RSBKK8kO70ooz6VcK0j6ERGnqg96PShVyaIlEtse5zj+e4b6Ml8rdeh+v+iomnkxguKV4pZkD8vuva0rhAJJ5IhrPbQSw7iTUxEtPBX/jnKNK0tiFG/l1Ea6FQ8xdKoT42T2Qc3AMqKeWkyr6idYymHS73EsJqfcAqaNPYtC5KRrb7ZcppUAu0amK21qfwRJDokBVeiOpGPTPWtM48Ef+FusxeZjSva5uLjiC1QQAD9t2F5kh6Q6Psy1pk5YIMFJsdLAQpHjwlw8cjs3eyHhVx7uJrzstvB6i6TIs9L+bQ+I86giVjxMLhd5l51l01yin8EwWTz+A6vKJkMKtEKNdqvz0dQRnHEeC0sw1eF+2669SSqRu/b9SMxUSGXRWK+L6HkeJP+kZ9u2M6AiwQSsu8VXvWlSbrv6W53cj6/FcosHAUEEU7CbhXLmTXxnhzF5bKpnGGM1ZqrZZHEXPuWd02v+wqDnnBWHQqWHso/2iS1ybA1STIdPqxLIS0xTgjbyvZI9YbNCjxZxNmaVz6IpI3EQ183DBIYkxx334EQw7+b/CuDZ59e0IKYmTghUqpxgUXQHpzfCOzsGzA5GCOq+mYk/AbAu/AZxMaY4nF3hhELlbeao4/8eidb4Mr5QUSWk8tFIDuDXnHPpkt8e8kvoStHcH9GvT5U4Mr69b4GOrMza1Uwb7eJKXDOXucrCAdUGbL16cJCvVWQi0ZYGpY41SHE4ArOg4aDMUweIRyJsVe43XhxuKR86t93na4ZcGCN6VGCMXIlErsmoGG0TqiLUnbGmQFfBozdjGHJa9eFamO7RhZ8hD8KwdJ6YZGiLGKcrnP66NbK3zl7iHnmBkcwYT0VRINoaaLen7s0oPmf6I83eKtUmCdvJNl7AvOou/lREwt5n7IzgJPPhsYF7iGPOOnmiSOl5pTiM7Ssc9yj8UUDa2XCFA9KgJtM2pN4B/WIMYMUEiykAkKtst0zxEbCAlBNeLHOc9ACOZlIHpf/SSseUd5gLJTfItg1kR/BsGaaOV5OEC6L1l0GPZE+mOxg45UK4b4bbUTUEVUW+xIDLARKkpB0/uhUQTVPI+5XqwSRjqdwDHg+Kx3F0IT3rmP7Lo06MQ2FEDsJEY1iisFmuySk4zwLKNcCGU4wMxMB51ozQbJNXF/uqYZmxZ9umtmVtdporiuQ7Xh804hytdqu1vP67aKxXUxwaSyCq0vSFit+SYVm7PunLkOS1WOU7w7xIIfmBcGYUSCEaZIxrCk27nC1kDpJZwOsbB+T3VHbWti7de30SVnOqMPoGCIki60z2yilE6cJibIvrKDm55Hzi0LiaGnlzwkVJFTEUcIPMcGGcKBxM58WFcCmuC5nyYRXqFC7N8uh9SgA+s/EZkB+WLGk+BL2R0V3Q7EIDr5YGdd5WIzVWqUNV/UiFs0LfjzhdLFTerzJOvxlFSfLCVuCxc53/nRKlXrVv3RbeSosQDVk4VaplHXODjlqW0NCR+QfQ5t8PhDE13pZUOQqnZGzb0Grcc00t0B65GZSO+whUXt6TuaBkJQB7XUk4v0IjNVcMm/qQQQL1JgNbuxhse6NZJf8EMpszrLr4uUzK1l7AFpxMfkh2MtZ6Ki4RiQBVPLjydOEE70gDKp/6/FrGFX3wUc4Cz4NAeT3/PlhLA/Lk70bqR27wzxqILIYZI05bjq/EWy0qfFG4gPMOy8MjkKehm2VlT6irx73trEPimBQuWONcVB0Pkg0ZIBNBcKiSdDjqadeC8YmRcxa+ADm7BTyZCJ0Hpkd26caZLEagtAsU7a5wDErbhymqjCRNN/SB6LCFfl8wwV3xI2hDIr3DvIDOa4VLGvUk6TSZTsTg1RVt1519Ob3WIekYkaFzYIpS8v3WNxoSe/VtHYOQsPrz+V//ky31qT8xBbIzN1cIh63WGiY2ozxG1UOAeTFsXIFiD0M14BEHinLQRhRGx1oTP+iERlvNguGyKzFH653OkR0hQ2aAAtCNExfFAVdbQaRJUhzpei9QZPeN5HiAKmflSGldj0j0bkAxgW+uiQue7GT/fPdbT9Gn9ct2lF3+NL3j9V+uBxGstjjCVAmdQ2kvMiQ92skCVjM58iOURGWyuI2DIKeIDeu06O+x4itQKv/TqEIN89oP+y0Q9SHfaKm31+OWLslOqD4KIp9pcjFw9+juiqfVUHcLDhhOHfBnEqG84AxebD/2khgOFUU0eJRVGoRESVAoNX3vBlVNzRf8znIaVXSKCnIhd2/2gD3Lh2Insol1OVLAGLXtan43o8t/Pwh3sWL9hAc1bpCQbomyMVgtZ7bL3dWm87A3SyLMM5zwarTv9rNUsb0MhBu9UK4ALm9s6vepHowyVTS8uq3EbyhPa70dHESnxVp+Up0M+dY74LeP/X5qqbMNlYgwgPzbOcULTfSSb8ykXlqpUyKqgmYFLBxAUMtLTY9S6P9OcLcKYWbAfPazMM/LvCltrPcWPyObLwP3mkxb/YSUCdoM4pp5IWxSYFGtG1+wCyp3gvJg5mFTJI5Kl8EhiXpl77M+EfmZN/n/ASkkAsU5m6S4FNGc4FL34ydhY9UnlCkCuw36XZRGWaG+p3sBIfev2Q5uRqQzZQjy/+ifUxo4nPwrmZgHROANpulPef0VUZ5BGpJQfeDvwRlbsZexhjEvkGprsyQheQROYmXsc28MeGzmlQXcGDwgnEWS+H9cIyPVMeCu5XE53mJtgFhBifxqmZa/stPYzzcF11T77Q5AZJKT+yDlEyHA3nXLhBWSp/Al84HXhXxrUp9tq8zkSWti38xZkbide7oNSrDWnqB4wk8AIdIBjzfuMbdAxD01uRmJGyyIS/FQB7+ZRwntZqjx69naodeM+hhqpp0CvShhKuecdu0SFklUhS0zODTBUynDLgvgZunAIZ3MPt7ClGAEKPondjTRiafOXogLwy3TqRuly3XICYI/Hidvmghecy7hHSj/NkDuI88lNwLa18SSZcMu/0in/A/clg9H5T8IXriH/liEZmh+KSLxXY4Gwm/upSJGj6Kd9Zvli3GA8hYfylbJSopQ2FcQBuXC3RshnqB2qW+f9N023lpqx5m1jUxtcf0NBWrUJMSQj6C5BzMvacS3bBcKZUikDJquqjmdK3GIQFQk4jPQmpXrApmqtqijSNN+pQzuBO86MAraGTPbE9WWLpBZHJLIjB4DlP19fPzYy8bjLfyb2jrFlezAZFGmzIZWG8lHeRWnegBJCQcRyStwexNd2n0lcnx2MATtDXGq4UEvfbIscwaTaGxs4j110QWUGuEsiE8IkLC2spysa4Km01CIIrlblIyvvz50gObXwjBWTdExlfyUv/o7WiOoPhISIF+ahAFN+F06z+2rEd4dBM3KQF1RjhYHyMDox4tFqeyUiRdcHqrYE147hZRd8KY2vKt3FPdmX1+SnBSknJghbbWaKMvIKMKwVyUWApJu2elwfiSjMmrKlTVcp920+EWVY+TkjWytWu4pMnE8AD0gargCK658VrcjFB8qnUPcptNzL37mWGSho3NF2j1uI+XG2ZtVC4oTTXlnM7cI8CNbihAqmsqsZzDUU96Riv9BcHocPsxFar8iUqlDVMKS5H3XVNPDlgZ3ekGkirFDzxhJ7qwZS5EoJuoG+79AAmWFkfmaLyiaA5Xh8S5PQqO7hGGWyO74MsbxvzM1nZFzxlnJ4+n8d3Z68Njq+TgOitqXlTxwI13A63Nk/5nAlc3UiiomJdabd5SJOw45TbCypqmKkuEEtyCiHopM3rEK0bPg7CPnxL84C17rr5lanCcVtgJl8oSiU55vj4KZUSJDb3qrHXUIvAA4KTXe3NpIgPmdhwQLT4J5EdLTfgtLxSgX7v+h/4YHxMCNP7JcGcur9iFXNTUXhRdX7/xbzlgtjn1kQvM8CfAvFhGjYUCAtXlV3eHqcagASM4uMWU6P89JpdVo+ZXS8Ha479S4zUx0alztaOLqQyM37cKUgPSpQfsXif3vMuC338W2RYvielbSNb9FmHphoS4SHFtZgON7RFi7j9VCZpjvSPQWXj1vPUDHjy+lRwZE7H96jIM++FPrOcv2tv2Z4iiEzo72KqHVHhMLCvAKGu35B/s1wMcXMUQz/d+/YRcW1ACvgAI7pYtQBRbyBdi/tGoVfILfEbVHtxqIPzKUU3XYC0VVrMr0PF1En05ZDsWQxMQxea1L045ozjjkqr0STjygaipE7kdNJhTXwX8eWlsGDwnFnFXhBsUwpw5lHgcAOdKHk2S74FOoBa5CIZ69sOaLd63jqmg0hjBcC+8xUr7u+a8NSGj+whnklXxoQ2CKhGj8ynN7wd2vKLljMZO2zUHIzaydbYuEJPr+fqpLU3ghStJ0UxmV2p8d7g9dg1DtfYs2pIS1nXLNibX9EREAu5ibPVYHC10Lpq2w44tPQmqOIlAGJJSfoMjsw6vo0OO//KysSRFZ4rzlzfvKreQv/3yZ8+VdwKmN6jGwAv8xdVuSuM4tOXxycEQCkCb8VLDOvHiRiBIdsjtDM+sfzGNz8/0aySABdTjc4ctoCr8Z05fkOODSykXdFIXJFvjzZGY9MwC66orFvI3F15q712wNdN1ywEUC+ZTN6WAbUVbyCsneIu3MxCzegx1deckj+/w6GmU++OGOjvXsJzh2YYsxJ0NpPYAeTCfSQOda76bQH9VpYxxZfRKGIH9KnPZI1RnSIm6Hxg6rPyJlWGPRIQ4lWVuC/Kn3QZo3J+Dk5MO4OgBYp1Q8I7rzlkC/h2OoHiYefZBEdCc6G7qPT99AmtPOPL2JZw6VzCAOVT4l51jLhTsYfFDvF+OMXl8YrMLirWULQlijdwlGy3DnKeKmonvipt7ZnDpXfoKXUSvGifAVCLgXmOdVv/LeGlS1njOcyJpCQm8+YDVf30Wwx2BNG9Pyrr4cqHjs8hO8p7MN9UBuUybhPEu92/JWMYLbtn+6haJaM8CZdT9BsQcRAwAgxm8Vlr+B8Czxm/SrP6thth4dVJ1LpIj5QyhLdQWOEvexrJfP/gzSXRjrHPq0jgU6Fmx5KkB+8siBC5Gyleaoum0FjeN892SnWQIwfquANXoSXn8Uct7LFZrG4KTVbrI1d4zbg6TPOPOJISMXGRi/fW3ypp3Bjg/6zGh54GZgAF6HoY0bs97q0wT24x/jsRmUn0Ap41sJVqK+f7bGpTm4LBA7Syco1O9YQo3pkNdgDnRD8RTH5fGZDwPwjavQ4xwliZwbYMizGSyYP6xNztAwkpzLnERiiZiho44oFImstC+XXznK7Pfg8fvydgZAuH8yCqp86XEZkzmoxULtEHUwTA8ovMNET+Jej20GSNYGuoHJJnRQLT0/lwjWVUKVHmYR4HNDBE9+vSbj38jliAMJRl+SLthkq1Fvx0yUUCm1lXAyLRpz21r8nBvWKltheShFzfjukYqovMg3I8lHJIgsmfqSD4PbMM6tJ5bTmAYpiaBe+wZvtz2ehve2RZVFC/725bz6VLpdqVqe9Rwek0OS7uvAFET+fDcOlTY45r0yk2AusPJZX4GxbR/Rp+695GH4ptoXjBcIaq1lgU973WTRqw/tOWr3O48DM3rDganrc8ac4FPuUOxh0GZniDJZL7dx2DkgutToi3UKuhyuaxR52zFCV3o9hT8ey2sjOg9S+j31zc99Ty2qvIgdYL3Uv67nEJ/VPH9Zhj67OXs726BNsp0UajAugP3NjP9C2Vt+xu35Yn6JHchXLJzz5wRwP7iaZI5cbXk6MHEUgAcrsc8Ln+IN8Tvlbky30bwCEppbDewm4qRLe+3IAn/ySvsrrDBpurs7Srd9T+hEA2GYCuVU6xRkTn7Bvw1fyeNaMm/ZMFdLa/NbczrHlua3ojTMtw/nwys6auCkjF20vicBnZjEfU2OXew7MTsglGfH3de40S9lyZ9o59qgU6RtD+8EQRlLRmgqVHDS/bgC4LpLyQBf4pq6iz/XMwPdf+K5cJhkxQxrK2aCP7ztkOyQiAz3Vje6Ov0s+Lvbq+lBhkmSG2uKjHDsf16I9QsLlmOS1j1ORZW1poGuRSzagE115TgxLsYflKzPZyAH0KdylgUo2UPtkNPH3I3SbJsR+GJBBQhxI9FFLLnUC9afeNJ6pEIrvBrM6JLkul6feTEm0+pJIEdW9J+2TxcrJ2RYUtVePbj/rcSJfO47waAZJxKm9JvzxfEPQPKjZezVxJbbOdw1uCp7Iv0w8UVkyAYiIq4F/gGJl+ZkXJNfjT32x+My8CWPB6nX4olSctxxcSZ8s0LMa88PdRtRXqTYoS6hGNmRTIfxX9JV0gsbZYUPdClpPzkjy364el/gSvxMOHmyGp5npAL7lYO/0EtyrUk7RUFgiAokbqGtvs/tTjfcFKPm8PnQBO3zk5dBA7MCJQwX9CvOixa1Smmi93H1NSTZMJN6fOYN3g0OZSfkjmYxcTMzAPYFgv07Y1TxWFuxOIXqF/trXinkp1BDts+LVx9iN3NzmP16HJUmT06cZkClQQp0v+PFdZ3etZsvkuaLUtVEqA9zhYXSxsHq2KuFBpSxMEyBlVmLAEXA4zhYCdC1o43EwUc5pWQEL/cJ/BBnwq1WYwYkfOp1BpS8mEkheIj2wPoJM2ZxbNtHkEJfxFsIsylx2vjTgO/F79IN0CmEIUkATKKNYy/mcmPlWzd5J6F5FCPwHhDY8ivEnjDj78gvke48T1O2CWhEbIAzrxaoLa9BH+P5UDtxHO/xhzzxMoBewTlWYUoHKtWCCD6L5pQkAcUT7WTEVunrItj/Ra7VLyJrjcocvpFek+IsHHvQOM+IQ42qiHiRqiyrEwlcg9UuAnm/3BxYwPrM0MQE99dDhmjU4LEFMl1xrtYosZNrne2pW0vg8nQubsntfZiD1yItCnzBHLiMMoypapVD/PpSBZRgFWf9+O4hDLnt1AIQHgQyQbJqTB7R0sLChgl6eTleSSTzMK9I8NSq2I+1nRYZ7sEDMWvpyXux62kyJEu5hDTtz3QXQprDG5MKcKglHyDI2IFb8mMJcSZsy9b+xntYhRle7oBLCrmq8ylMsLX2042/DRzZkOg0kH26MLE0qVKPpWM8ZOnavifhNR65dZnCOT/gGxjzVAf3E4jGFuYAFnGbSquAci+BXIOz3aRVNYKynVSWgKPxxyltya8RYHSaLw4FRYmdnc9m5sbKqvRdPr0ve0T2Ih2rr48Y3zD08sHU3mBSocdc5g6SPESi1tX9E+CrE6PkCAPyt4NIa8SwUWiwuTlE1Tn9yvCTINZlHyMpgjJ0KUz4l2j34pyEsVhWpxtDjoo6hc3PC+yEWW7Os4BOsG+4B1P9bGiIv4g2CUkk9CAIVdvTBMDovNoKcesdeywMc9rs6GIvavWLAshEBuSr9ricKax/uppJVF6Arji68qN0uJjJLWriWpH8yhPVu5pXHIrI7eryqDu8wx7wxlEkSeDAAYOB/ECDNpMH2MVLtHMO60h3laBq1t3hlfsGuJDGlhObvzvN3WRWxqniyBmx0MSHmTgPxBUUv31SV8CW+MKidD2ZMk1HTk7lac9HzWobkgyZZFPgvWIgXsi/KtsLfcM4j8a+ETEVoO7KIre2wk0hTr+iMrM2UUo+qpI32L1P7ikreT/g7OwPaFvCrjd5kdP/bzg+LlBmGvzWWOFC4EF1QEA2Bvn4qGWFsW4sndpmcj3dxw3+u7ZOicX8d9pzrgrRwwybgArU46EkohqHmZoLP5oRagTv8XlRZOCqrMQDUtEf/IDH6zMsaJ7Mz2W6hWAIc95rbcGAgCDLnunSLbon3sW90klYnUwt/okYgYNrWp4wDsZtqY+ZKNm3J6LETvHbbMuck21hRaGDa9EdYKJhHAH5EHu0p0x/t1E6Uscy/a+d2D4W0Y4azOsvmqSJJyWdz+zEZcvxFokB0n7paticQazi4S5g5uAlMQ+Q74p1eWlpCfwC6ttake4cer5rEgMi2AW8tQkRg+/j/bL9rdZZ5S+JxYLojUpENF4CZGGfXXOHxVNrvVzXJP+vaX9dAc13ccFG+AieoRYSQWxMF6WLoIsbd3xRlY8xEqe34skdmnAcJiseK/B8w5cXo8v5c6ADLYIil9b/Oum8+elUg5shnmp3BjqJg9RYk+vlmxXXyfhoOhUVCeftKuhv9mggxWBVNb5Xj5wuAB0ioDkCKPdIX/lhRZHVhUlOeYiDYgMKmYorhJSPXis528ktNPiHsEouGvxljQqWmf6XlQVsJBtBHn2iiZsBRAENUYhTbN5FGJobXOn2zKUnFQeo+8mglDjXAdqVgMeJs/AATaAZERWvpaFQZgFlZvMJb1slPVLy+HJxHEFS0PTQOgqhZyxva+Jm2JtaMM1zdPO4+bUW+QtUUgPqRBkw3G9zQ3tDorHeinVkMcdqUaRoCTReFQFQS5hP6pEcbCS86L2UfRQsHra3jocRAEnv3Muf/JYsz9X5divrt3BlcysLoz445uR9rr0c91xByoUD/eY8U2b94ErLguvVs9t0rge87kcfO60aRFKKhgwHllFGmDGU+U4uxoCb/jLIjvWCOcn0Pc5mlDCHxmHJveMaLKeQXWMzoICu5IRlNi2DULQq6282U3wiH0+lP68VWnQIRuKPAemquvxFMbAnuDmv6hDgVzCzIEaPNVaNPRrqJiFwNV1zh7hG2c8Rdzoo/DsH5zSeHMpRttZSaqhJtGRGhl5jRMgERVaivowoeyOI7zqAmTgNLzvZrsRVA16brcE229g54oTCft/ZYqgd4kmMWsFNWSVxVQWPzEwgdiSYUFZ8zM+VGefKXE3Q4V2PN7kfOWa5UInRCiEBzdoNXHPdAyEEc6IJi1NXtFtMeo789QBONz0rnCJGQhXDOlReWnGYE3vsUQPDEeusxp9OwrA2Ea5tKtmqSaMCfOzrbrBx2ScQUm1sewzOXmM1haTLfRzOjACp7uS0gBfWnwDby03MhEV8xwoycKFth17gUC0wJ9YMEZ71CyjXfEafO68WZKIWcl28JL5lM8JAt/9OZ95Bu5+H1Sv8mrDt/6WeS/h8gZR1zp07JMtu3DCczjabnBte3JlesBn5KVluhEsvt4lTThQWwskD1OTmY/w1pE7nnuSeeBpHMtceZ+rMWPRVGwsyZuFT1/4HDt+SPX/C4H7k//bkGmtt8OFDjCDCFyEDP8Z+cjvOckWxBZ3ipkqZIXqWVDHhgwsS7NXRSuhyTmE2odLcIDs1WbPm0gw7vGWOsZGUdh53TmbXAfPxG+7mQ2HSi+Qu5KcEBsLlc78RpcCIBxBiSSuaAN9ygifI9RWIwkN9Ol+3NqiHTOv8YoGL7OAmE2gH3As7TIZ84RBaUYGY5eQzudI0871uPrPAWgiDdMA5/TvnFDQooB8iqOSmYC6iur670mESZihU4kOifIiaEmofmpBlCclNCDl0voy0GHSNFbYAieI34KJAtOmMpAhkqqW0KCB7PZvnLqMi3Z0Eh3ZoC/T+9ssGOxS/+BCjlTtqPehb7f0qtrHKNNQJBxLA24MlB8gpI4hFFCSy39koNAniaBCVs9vb0nhMf7RpZTvwPHYyGRPRsHMkUrH4avyjMyJ1JRl12gV+HWWfFmRbqPlCGBTCoJwTiFgfjHaoo2T2JLyWtpdTaxzwAvb0SCs7EzPf3w6bUfHZqVnVUq8cAVmz3kRlOeOh86vUJ5X6WdttH5xM+oyWjySwCcW6RwbYLLUOH7/V61oiFhFz2WdDr9jAOMf3tW8QuA90LI9wFuxC9J9nyWCxqy0unOAsXO0QMmopT0H2aYAPaYG0kGh8HHtnx8Su1gPUm4G3bJUmZTQWtclT4yGC7v2juDActSJWgLGmyzPtktmX3qxaI7SJ8Aaku4JOI+I0C/G15t/UWNYjei32PgxOekW5o+VVM0yOx6pvh5bdIe/lcgqTr4hT2Q2aV74LWB1PRnuWSKVqzA9YDV5QSVfshMHOI2kYSe7IQXV94ewq+erVIASBWSCOb1pwj6X51AsjJPy3rlQWfm53zO5ztby5Gk3gtOjlzyTzON9WLKMPsQha05UrFgKWhrYqu+kj2aCaYW0XRic++40Cj+mfYDbZDj9+1DmGPDW0axYyKaHCWXA0lFGf7i7eUu4FPoKhYFOZ8PZ8YH06O8mENca0VPoSsMoF9I6HeHA81LPbNGSZyHe6JvzbDv/QT+RXFW8DNnSGOpSzAPV1bNWATzhBO55z8LtEQJ8AL3JPn9hEvTAowabgS7K6MfTIzqp8fyCQlR5GtsR/1OR5kmPQ4AXnAQAegs6uRK3d2gc7iVTl3lx/5+2/k/f3S94+qFooCxZjAjl3tdeEPp33LzN7aE0/CtHH0FJK5YpY6JgFPdeSw9NbBQQmm0QE4fQxCaaFNnc5VcmXotwsAAsa+rUR7L92HfUnkl8xLGlx4scKE4G/d0stBUMkqbzQAKhwX9gOBM7uZz8GxN8jksVCPL7QP907g56T+Op5rGou4m6xgQHS9Ke5wX0RW9q4YVw7aAToRkrQiCs0hTEGjXBUMDZ3Ne3wQxH6MtwL6LeXalGAqx/mxXKPHVcc88OFsGwKBeqZWIKVI4bysmcwHinkhsTVueV4nd+1dlZ8KiOKxMl8TCCvExyoWkBcsj+ihzWA1Bkis52xoyZVvlfiQQq2FBAZYSBuhmhknzhWPJ7YS2dQnzRHM2s0Jr55nouMGk3OWJg0lb6o1sDsc/3VnPIv0L/s7AtbZ6Z9RtjU8DEY0xu5h1BdVLZb2tSnnDoux33SvRPr5F42QLnEUvVVB+SDAAhzM3mVjULt818IvuSo7OCYe4F+dA2/HUx1cyZ5vAr22Mqn0+V8xiDtE7KsNgq0y81sgLbmUGq6KA/IE7GskKdrQovDVheVcUnxxK9jGWreB17xxtfyZ8wY+cyCJxKj+4CmZnYkS/Hcdn+SEAWcf9XEmOdWCC4VSTnv4ep8/pOPjU0cjcLuWT9BmBWgxupmqYbG8u5mjb9DGxEQdPkHk4eeZSMK/vRy3L4akdr0xLvcyUYV+ntrVe6GpkCeZuE2z9HEOr3vOV+OWbB8aaucw1vDKLnGCl5ZMxbRY/A5O7YvhDniPsRIx0lcyb42n8mMrwmXakp1Gz9Oiybo/wJjbaXIN+vqbAoyYtDX8Mi3IE9YBlkmIQtf4lf4wIpbSQMP+SHIDyLZoNwjw4okRwZFzGHAlR7eNqEo8rO69GFSjptkLWoQ/WkXm5X1Vo/njZGacrpucljDhRw2KGgD1O8D6AMvl2A5fe1Zpelgl+LWncz6cM0ddUdUhvKCsJnZrB904otdlPXCvdQ6GHg/sC+BsHfaMlpeh4Hwxu3/YwmaNrZsSQiBVmM2+wUZ268zwwZ/7AtcYw2akZzJ4QR+e0bWLLsWuJODc+ojuftdf5ZGHXa0A0apQIEnnBAiWXfPGRXuH9zddf66U5568gZ5SoNUVFQ0N0zgiGCYIkssPzO8cfSnR5ZipNhvngabkpGQRIOMu70Rm8D9RHBVMrWTuslceDdaCMhsgxMxtEFJBHeTcyNmGEdlXiRFwb0vNhdSBqhxk+Yk4ZunBO7AZRwLFhQyCoZ2yyTut4VUDY6sTO8RDIAFuMKKI3L3UGYShUEWvJZw+wKKmP3WFas62eNVVJaubT5VWMZe1lFCg7MRXMLNW1qrEkRUPa+LFFZoqXH2Mah/14MQ5pd+yl1jl3fAWVPZsXeTytXToHWXSXtMmQog5PttmoD/y17EUfoBt0gHkO1rO5MPZqkEZtSLhyJBeSfLtrsFn3T1loLqusa9PNHsN7edZ+Jz+4OXsdXIl/+MnxVZuWAhu9kYafim3mAPFVZTesIJTK4lNY9V3qUESJO7Swmn3FaxO3Cp0uwru1cXAd8FK4JSleL6QgHgD90q4y6sTE4PEWxLGE5YNpHRKxCbVcLlBe/k6QF4g2sV40FzV0k9Ea/xLkDu/Dea4NcFWDB4XCu5l0ve10+r70qbARcAMql5QOqRRgu842ivvmiIxI+rYjV7bvjdGczPUEYmm8FLeQj1umj7kg64R3cBVZ/h6WzjwwqCSZUnCQDD8YLgnpNOqzE6CEMR37tFXktP/M/wYzjfYYGsp2FOPNQXYpqmR9Em773xGrMgfHtw07kOG79pXpMkRJwOksLAgqgcvpUW4cEYowaca0wy48nc8eCYresC0ob0ml5v+RF8/Tsx+dwchwtjJ19vJ5QCw3GZVBJKaF6lMSRgswbtojYt3wBvOBYthmpAUV97vu+/PaGNiLG/k0KQE/3H6GC00hKRuwoluuHv+jprpoG/tMWr8SZWyhthXnAxVhCllBnTMHc2CWJwtf7+Dhyk9HytkUqWgGNYKDqBRwM0dMRBxQZoo2aupFyhbWkGGEaw/ao3wxYYhPyXzNfKfJpQ58BsYhzq4GFenJIvzAxNu4Gv9DKizN04L+rROKzaHB7phS/5hItddAxqUl/t8Wy4SCw0F8aQuwnVt9ZG9XtuJzMbUtStKxvj4jh+UnCeCwY1bx/TeoZGfadcNhdIO9rGRXPytnHYkTB3hPWEiPrb0wdugTZ83BYQsvi4qasAg1GmlBM7vpANtYns/7nc1hi5dNTbM0cABGmPteCMarvlI3sohME+zIF22jWeWLpG4XRbaBTlwI62A1HD+5/1PhCtCdXL3q1O+zrkkuuMEiXuCu7IW+qhAmpJyA6A8YuZgJGyvEXdSp7OQmTrJE1JBRgCK1lKtjKPT8Gzv7oMCHtWSoDe2lOA6EK9hO3b8qjl/csRuIlrd26oVysfzSOFU+A9u/AE6g6O1CzJqlW2cv7J3JBCoM1UvaRgc2kUqadphpdxCCTOy2Q97+/qHynBoHuZ83rFLpYcwX1PJsYET+tIvmOoREjP/L9Dc3i8M1zsAEIhkzfufOZLzb6IWFVTUbsEMGYen0pCIc3dkZwA5CEdiY6jMPbB6TzonfcGh3y0ZKgj0ikfFaJOkQODE7lKYec6RzWN0imsfz0QfvOpafOf4YBepIgGX+Afge4eFzHHsQZIHF3GqLF6c0tw4JYvAqkLCI0i/+SXZyIr5RlIQjj4kv60LGh7qrM5Ji6OECYBbcDuER7jGNWtvEVvXOYdLZjFScGclb3NOx+lVQDeQq5zKRrtQcwujj+RRLJWG16XqfQfyIGJI/IXtchUmfgA843bpdIsq/QM6oYSYMBJR44lPajvnkA4I45tDShdv0uOJJItdozyOJSEltbTSXAS3PfhyZkpAuXRul4/CL9sAGzVkUl7jllBxg83zQoCt7fBZ2ejyyCq2RRYnb5/OO5QKX+fXMFwSTItWIThiyzODGdQAtphXvKQwQ5fuDFNgch5rZ1F4KTMTMjy+Zg2gIcSLLVyP00oV2vXh4ssR7c17U+myQXgDIwiMsv8zo6lXId/89izs1HzSbp3kzLRbyrunRd5CsgZt8GCRDQj/hcqKmyscDxXuOjE5wsZxbXVhBC3MGBeITiK+bsLMNh7MsndAIS50yZDMc8ngKYBnxa1fFrnTI81c8GU36SKRho1UhVIP9QaUHkQ6/bxewbWX6rdF/7Pc1U+WjygKZBj9RwihiBpzikMqyrmhI0U+dQBlgOwiYnawt8kEj3zqfNUdXv1fOOn44fXhiJOUDW68VCxK3O+kJKXg2e5DnNPvqFAXHeHTUA/GwMeTMMTBDJlC6V81bOB7fX4YMZjTuM+o/5CL+KbdW5tuyJ7iF175oQHydPZGUIzUETF10KT5FzLSY4pcv6WAU04HJT5t24RqlxiShsuhJO/xHGbmS+uH/M7D/0UstK1e4kw3GYY08QDJEvMA58GDJ3oWKjM9rpYcoCnqgxV0IgHJc6br484BzpO3rvdW5ZvLXKSTK1UCetbHpbazEuUviWDhWExgURjuhCSJIBNE+IHht2zaWzEaF/1sX4RmlXk3QGTh8+ukEHWkbwZuCE4bOJ83MLfIhThwGECMofHMIXYhIVfasQtTrKhVgGUVRajau/TSNapovZdtlk3/chDvgIX3naaXRhIOrJffWKGZliNX2qvN+JvY0AWoLpYDngAKM27HeYfAP3uN4z8EgYj+Brys+R4KP/bwdR1yGFhOnwsLjolJcVRbOCPHSNOAfER+akWipyQ5Ls7X2909B+9BgpKpd7Euq8oDWC5kyJ0g7gPDXUH75/cSeW+0WV05+XRgcpwayWr/j6dVN2VmcRsMDIlZ1dFOUylBc7zs8iCOaAwCjblPROjuNCA6XSsmLQQje0WgF4fgI4CRGYUJHMX3rBtnAuvcoKk3OBrXo+6FIBrKKfV3yrKwj6ANHQJxaa8mrS28MQEmMRV+w8OOtlKbeZBsrjphBm7bAvKOqsb51vKVlM9q9VYQADV4vX5c4c7+NBt++ZuaoYflSkvzcUYlmhqctsABQOpghwBX+A+4uEpUsCVDkT0HDFunRXuH/sibUBrEQ7c9+C4KhA95/sGfiUZGienuA3NLj3RkjSHmerl5bYN3ZFcRXinElwjTlJpNT/NsJmb5AXPz4fAkBY4+KUM6m9X3ZZUNzxoAwchneP0hHKWEg+ROUseoGz3/r7fYmdQXoXSJEUbB/u1qiiBTlvc9sinshimVb/havm4d1fATlsvG9e+MCQ2Tvyyhnma+AiDpToUwkqWPXA8gOJhJZ9+e936zZ21JHOB/CdIzqB0LaZTcsZBObNpcJtQWw3esoYbbOcYMgbrj0vjqBVPdKaBj4moQdRCITOWknGdFLLhQ7RlYacYzOnvBSHkZuk2UXve0Q5aKZm0qpZYn6ZIcpPUP0baLC+53FJ/fbTYTFabNVbq0HEpNDEU1WAMamZ5c0oXzOH2OwSRzPuQ+i56vo/noZaJpCHwJCZ/zqsvANoI3+1EnyyKbYjnqpDLsOur/Kw5LTC1u7zNfMAK4I9fNEH9sQWWrLIn4hyJdU55KJ8g5mvhYFLKVBFlLq6SGQSWEg1JgBG+aDikVsc6ziTgFyTVDKortDl5ErXFiLRcjJPUKJcKuCyic1YXJWIIahrJ3w6k87na3sCJkBHV6IunjIMpPH951nUpOKOovF359cy6mBklr4zj1pObrOkUAq48ytzS+WV4cT4xaklogcCvZasCi+Wdt8JsqGqktnt0x8OrNGhexlt4JvOo1KEGORyiMURSCyKPYr/6fRtBlvf3bhV9+45PHNaI7Lbgeoy+VEWbN/xw/duLJSB6Q6OZmAPwt3WWmVKk/qHzuOgnIuAF58389PAP3K9oQDkSCq7319jwq9lDDteKDJbeizQq74qwNmS96grZ+DoB5KcFaexTrvKR7d6IpjOFx2kslXRKIWDECcOdOAy8aL5WBZA+64AYQiP5lRd9T2MWiarftneGaq2WpcfQFovPCFPBDgiDEoMJ6eFJkquu1gCugAgXMpE9jEmBrfwf0RYHALLmlSlFjoq0xI18vwm7NZHT74sJmr9anaCjmp2A2c9EEsBVfuaTu8NBT+BdK17grdLPtW6H8JJQUke4F2emTnSdHDZTgQRhWXQZUdUQ7Jy3bNicIeP/ocq1xwTLAdCSmXKq8ZqN5JHHgIu7BfytW1ZSJIWSVPlnk32VR8SLqZkoA+1HFMAEnRVWBwwlPCxOl+s8bpKnPJfu97x5OQN3TFhbVaj90NUueKGwtBDWMyhDfJE4e35RWtNOZycfqsoh4LamZfN77k12W+PNXwnny5A/T74K+e7ZX6yEFdLVigDRyrFvNio51NRkHRUjsbhgk/nfhhCqvEMF69lus8AS4ovi2C/O8xO0aZiWr3FKExr7sg7lssybi75EoiNbGMB99VRE0U8uTu5Fbz0lAUBH8XLGrUw/dnP1PVG946TF/ecNOxgkpa7ah+UpiicMZ3+JRTTxjKtMSw3Bo9bYQiDJYLatCrswZTEZ2Jtzfl9TjFFvfGyA/O/W1E/lKd9Z0IKWcKONXAUOi1rdYugfFjD5HGU+mAy9s47bol7aqhTBFHjkRDJlBy5RjAlDkiyRdzKio/6UBJAbKWgsVnUuVtn1Sau1kI/w8/lKNnsc0lmx3lgIIwxo01R+eEqwFR55f+ZYSQ7RJFhmrFi+HV7Lh8DXggQIy9t4bJd0BRYh6wAL566s6FxY4nph5Eb/o0NTMjH0zwI6acyLUgHH1MS7mfEuRFKwSlR7ygNrdYFv505aO1V95L08zEseOuskljHmJsk4DQevaBQ8ruDUUXgTSNaaL6KE1NWHuQxLQzbk+egJEwZkGOTNxbuLcuvIJWiP32pm8a0he2TYlC5sYr6MtdBRIBxnSIHhfCijgywdO0qEznSNEN5ctebWY+sPQhDr1yyO+h4P85WKN3sLGeVQ0lrUcnW95KuF0WKFZ8WB+T1yUva54A0c1Uny+9o+paaD6RlKBDKBttU1t43bwdMAzh1arygiD+bhtRIifGFxkxYoOIRAcOLT5vfXlTOxKjt6mlpYieokGRc1ozXfdyGiVFyIRk7c3nrZXKINxiNLijhJQsYIU8SHcp3MI++VkMnWd78rsAzy0N2XOOQt0QfImdwPgqygBcDLh3ojIX519js6L9wPkG4UpUixj1K+hzTi6g6uZDW9jL2ccLp47pJqoeF5jcBQQ6CYTBPX4N7ZSkrbGqstp3tzTTx6vZUCk2BfgSIcl2wHErmxBLyj0WdO9O/St8MEjmgkhlymPWQjJqoddfJnCmNapa/jmSowTuwo1J50aQqqBYCUWogjQngJxIi7h9tgdpFbzySstPMExPQJGoe+3rvkGZLphcS4TG0RgH8fknvdn0C6ZPM3Jv0/Vs7pWm5i7QcX9w9Ef+dayNDm4WOQ68ELQDjL3Irt81KeYoaIqIk2o3gY7Q7d7UVCTu0/n+gP0gYaxNq9iQq04q6Exm1QMbXiCOb29GMF7OiODTmwenHaWq3hvNIaMnIZAtUvejSJBJE8uC7LjlfJAZoYEWG1RamXTdWDRCSvQJfMYd2tkQQA6LsCYtE+6qbd3IEOiCEIsf2ZRS9ORndZjGxDeeMQAPC0+hH9Jx5U/pwXzENHPk8R6Loyzxcgln6ZUb5KDKdYKuG0Nu4O//7lsMkVv3uPXpmRjFnEVjLvo8kCmSqNaSPjTk1hhhkA+woT1rQ90kmdZZ3NQVdc74v2tdJ5uByTxWLN3DMTMDFl3ETwRqcZ/x+K01SWCOScw24cP92Hmgq4PgmAHLlHwhnGuD6QiPWw3dLpAv8tTaj0kg+/MtO1VqQSs8kG9ldLkHo065015RWpSNurp2zeSVUg436QQMcznNk+1DOCOJYHujwLaHq6UTsT1OxaZ7YfLyQD4IflwGjxyL8EwcTswHiRYjOeRiD1OTsNtHir6/+gYTpvPgHLuGwO6cMyy7O/AP9d+CAiB7KcgWpWLZnIdVVx2cXuiGDV1/hkWD5dOYGVy6q/cfUUhU51q0VmupeyeZtfmPBYz3SrQrkysQlGpqU2g2qaLbQ7aPBG6eedRx/uYQdUR/yPdTrT4UOLpf7qNCcS6KRYS/orAChfptevYuJx6hiJLwHi80fJc5meKzinwvXSM97hyEKx3USlQkg1twTCkAunTnUgF3hhyMaXUrA8yxU32JWnwWgUNYXmnBU2ZuRbHkqNiAwDXugsBIW0ZGcWgZYNXkxiofXy2oaVLmroUoEoNMWXHiP2nex8+1HyFAc4qMJcqRGcfq5bYagj/o8pWBxQmm9KLLB0Ye7HF5f1LTc+sVcHKGGMCB/syDF2AVAAY0IYeEYGUPAskeoTlLsJmmNlMNhz6Tff80X8RQujs7ZqpVXm8unA0jJG6YNdPilsB4l2PHwsHHgjEbXQc4pcexVz5ZAlKMxzeTfv8j3E35EZ62UKcbu+pN6btM4MzvWtD2DWW6kjHjf5Fo4yON6bBK3LbQBD1cXIzeXECRtUkDh8w/a17t9V2aXaP4BK0OhvJCsC7RmgKAz4aRdTqgbwjvuGL1acnEVyM6xD2zCBCaYKIBw8UBu+A31iS3BgPCXhNI08XFy1ItaJ1x91dB2xCJhUrlL+eTCvrkxS+oi939rAZBdxETm9b0q9qx9bRkcoKf78r1MsIihCKh2oy/Wh1JBb6S5XjwJon42PhYAefqB8VpRQmvtOKyB5VKnTW+GegT2vlF0j4jN2SU//iSXfgjAsljzKl0y/pF1sgZV7Vy4TfqyCMxgaCJmpjn9S7W6lfbbesH8MTcj2QlCFzqzOpwVA3z6qfZBB4y7SP+x4xljbNYhPEM4VEHTKKXTwaLz+DycuFIxC6FExnVDjB3XCh8b4mGcbDfb1MAISSUPHB2pooSo3r+G8A9eouqsGO/cajbs05Q1BaDKsqmarRxqzE1AiKWwJKnTwGZIqAFIPjEF4LS3DOE88HqPuDBjymrxBXU2FGLwTQ4oZQiixiaO0DC+4hKksFRgZPn3jiciZS1/lWcQRscGbELD5zEmrn7+SlALU7CXKGki9f8w0opOuD4c0qdQkUtIDeL+FQQpnhZhA9A/8KgWF237hEVyQRGOjEiw4n08r+bYGTPIbngd9OqNavprHUWRXB8BJPtpvvOICbLJINhVjwzna8EWlR4TL6/Nuk3nk+Dfci1WneLnC7iOTMUdry+VUutBJCFoePfP7drctRsHihXYdlKfes5qRaenYzbjs6VVi+VGVsR1ArceInebPK9b3kfs8gCbZZ6sy7rfKJIbgTJ1k+WNKIbB3e3i2H7VDjHzzqyvA1WTldZhOONGmvAMPIZUa9PmwUo2zFb7zRB57psKNoPllhaUZcdE88PnHDEDVPFjbZfaITqsEe45G+cx2wwZoUV9IRwPM81gxjyl0exVhmAih8ANVJfSXNlUrPAI7rTz512yEseWEBye6432evx1jLjOX9kKVpwsBxukVaROAChIak4jRTUL2V/FdKeylIwgtJDZfDlivR5nrhF7bIN159xapg3v4Ug9rbVTpicMzDdIH2HTjUHiWkODlkdScltCk+LG2PfaSS4c7PCgddS/3wStnZnbuLVyplqNUx40nSaLv8jx7VjcDi+OqEkFR8wJYhVBzlhwDRT/7e6sjzhFPZ9s+d69eWuv9Uw+IA1IvgR4xad6GG2ZBwBR8ZX/H/c7ZYjtSt0gdg1v/9epbPJWsPM75gx6L8uVAHkoXy3t16SvBCH/rV1DTWFwNUZvV66izVI6quLS3MYgC7/2QZqBN9nWCaAGQ4pkh98uf2vB4aqoesZqDW8gJWh9k7tF+pEAxGSGjeo+KMseSAE/i7kI/OCxAjDR+iPkH59NZziAabAhrkEXod2e28t4pfdX8Q9V2mg5xf2QnrhuLckcaw+ZSwYWdGQH8FF5UpzqvSVHIVxE9hR3DDFIwYr2DEt9gjpWRD1PUiUINFePK98M5ukPrbtwyyUhlmPAGPv0RI7qDLYQoOZVioKRBfsF0Uqa9jOnQULBIOVg7rV23u3YcFtCo/sx3eGr6F8KhkjObByX+MTzj3TPolFND/UxobAtOS7EMfDIUg8VV5ZyaiOcqtrBcWjZTGvbcjzuBaczOE0197DuKFsoY05wxaM6QBFhmQUGTI5YHxDWShv5lWRjcEqSBXtsU8K0V3SM5pKuFgMWitdbRg6rO1mAtleEA2A7OCPNjOzbRrzZl9R7kJMRvLH63w+lTl/GKKvbH9KvmfdkDpDYekjOXvywM8f6gYzcx2A9IIeCOs2y56AN7UDO+TDSptXll+hD3ICs6VkTdD1kB4ImBU5IXjmrygG/G0y9PnA11S8RQGd23ww01qGGsHx5Lja++riTguNxGDhIPA7cTXkC8Duz4vHtOgeXpSEgVwLlgHL0wmBdxUwwnMySKNy42CFWBUrcbBxqhsR+dS4atPVZOwLEZUY5C6zyaDqMjFYuTyEjUX3fmqbE1/j3Z5P2oSAKrhDS82dkzoAAS4jj5x8OE84y93OfPwUYLzqQgqkPQaMWKnWd2MGc7dD9CYCExRgCsHlzpPXx7M7dcWd3hOQKa4fB6dI8hi9aR+kr342NyY3IBE6nYoCYrobLP70veuKZmtAeYpl7scgB/c/+dW1haugxE+YU0Pk/tvf0LihVtAtqLdEAuOopAIu/YQKEpiK3cNALX6JH7narBXSr6Oq29/LGfNs0aeaqq3T9GEu6vDl5t2xvOYAFPcR5EboEzyehkwMClyE9eF3Zw8adKquxBnIRnmTbOgy8v+/A45gnhzTRujblT3g9oVCJKYBUgx4f0TbByzpghmoRYcYGD02wAvnhcpHY3JZHpW44jqaYhEOfZVQQyygd3e5kSR9h+nDG5BAiTqvWFv/k3DpWgevuRZo4Z2k0IqAXxjkCLNUs3A7FyKRSFiFjfh5ZA8hrKCsbO6UC9sV+qWNdpirk9q+66lKY0pYQEhwOw0PqbOhvhFEgzfE2RRwr6IjBfTc2Ga+bu3VPQljH7lO5GJ1jRJjgmHVHwCFp1nNgt2M8k/crQQe+0MJkRDTjSMLGInlls9oEnOSPpuXnYgoUU9tojWLyuWFfyxJVzYFCxsHr4FBFOzI/gYqnrpcsra0Gnnp49yaZa1gOvaozyCmmIMRGs8HPUJ2UrTUe1K1yrJhiyAaT/cd/kDwomtYnTO+Lv6hJzrqw5GPlR4LBQpwQkUFMe323G5w2mWIg1ENqyyz2eRbaZ7AdF1YOWtdkZr2Y2KhiVzvMuLlco0KmSMrVCY0vVOslFv1sDpRA1HPtVA5jSTk7KgMkiVmrPq6+DApDppPrskg8aKOs2AMcvgApFBZjAbzJf+O814l2BV/hK1P5sV1mU76hxYOJliPxTxMMeHoQr4MAMOX0PM1vlKjwN6zv3YksRAhPd7y1Cq67X+SmYuXSREUOvXVtZZsovPZ6RXX+zqmum8oS8QVx/3swPPUFh+gF2eSm4xGzD5dtocTPAQ+0MUFV77mK8xbkrVua+xpowbV8O4/EhhQEIaMsOFu7NGpxDCF5XRq1T5xme2PAykvLk9v9mgDsF4ica80zXHYGhklzdEETgQXAJVsca+gmH9Aa4Kgh7jLBc+r0cut3wtQv/eInxwsQ9eePh5kAUhzWWZzZYyCdpksaOF5Oyjr37HhveWJEc2Rq3Isj12oXbvQtKfwXs/epg6ZPTvv1o7/EBiC++nYyyV5WxpJ3W+mqoAPxB8VMI9ESKeecwIWe6iP0xON9FLjLImJ30cFVTD11r27VOlThoHFPKANGwSfXp7pTsh11AJU/ODjDTxuQYRk0RDC+boWe+h2Rdx6gABCpr0c7NTyOClNYUIfwrIPjGmp08pGMF7BezhLSmgM4LwBdrY2oeDGsIWH4khL/Z3mKCH1EHKxur/uSFRf0GEQMt2oYt87C5gvUvS5llh9+4iXN3tSMM1c7mZk87Ce/QnEWY9URPrP6l+ZUtpoNDlldU9jnliaHFylZWwBUePM4EwcvQcZgP8m9EGgXQ0IMeJBoBjAqKRwOdcU4w7yHwg7gNPZg9zUCTJ0ggW9ZU+gh2BcWpYBWZTftovmLmSCixbSGoHpx5FrWLWowtAYgq8jRMsbg63NnMeAH2AhbcrtHRV9jNdVt3jR+FslHbzX0xq193pKADLbr9xLfR94UThPcDQoZVOatz9aQe35weD3Tu378fQzcVYswZR+LuMxv/BSzLJd/3wgUjf9rrkePiQGyuWY0uEPnLh9aKk4SJR5wBreJO5jkpFq5h6VFEox0mMNqNJ+tPrwjOFD//H+gmV+tnvrL7vbdeVo9rmDO6hRm6yxhYYXk+iDaamAckvTYZkkzDkJ/xaVycdWafzzxWoMJDwu7NIJparLhSGdePdGv/OPxGBMnBkCtmnJ9oqTuD1Dx0W9JFd6QigAAfoUo9gadpf2tOy9ZzcTYoB+fqTNR2UyR7qP7drmjRwF1h/S7wWjwdBVqEsQCcZCwDxJG0MdcXjDXOFihIGOIlO07Pf9deYBZU8M1u3rFlgXobsmpAkjehzDJARtFnw990/mMfppYFlPy9Q7xAiHnIiWiQdkP3jLIo5QqVbf147GF3F3b1Th66XkFzyrJ/hvHhJDK/NiengHxe3SIauN3/f08Q7BXk5TK6SaRs1jpKjn3WUwSeW+yr5PVUX+U4mybsFRiEM5xi0Nu5FuyY/0ziRSnCjcG967rUDb59Z9TskuDUVnzw4LvmqLpOCxUOkH5rH/kdv3TAJP/XzftHUD89sBBeKD0n60tDsLFBH1tjD8r0Nhdmd5AuRMam9oY5YRr2xpH/pyv05mB5BtjyXTvXxF39rRT9TPO4IoBY4X1TpUwJzm1h+6eq5cq6zbn5etDHIvqqWqFn3ggRsPN5YunnBVMw8OLaPxZE30h8CvKOS+OuHSUuQWNi5lHbHEzhjTpQYztG/JZRyCbdRzITmRh8Y1EJppDEpUyvr+WSLzVtYrkksq8NXCqDPpAmH1vT2Kpoi4KUZlSWVbNgJMK2DJJQTipnCzd64mpV3ZXkTgLvLKH+bbl9+ju6+m/SxU+jDvetEv9Trkg9GsbhadxPZInsJSXpzrpA7IcW9XzkKMfHSGjVxNBHbEaWrIbBi4lwZPbPXwAwSc0IlIOxRiJLAtW44/C+A8L8t4D9XkTjT/SrY+LLw7O72wts5xeYqkbAOOvEnAlZO6KyZj6XxNJJMXHc4BJvLOW3jHAm9UkwufJQB2NIcawvUjIHRgnfLOXNUSobnR+rkF6Fz48CgRZ1dCjjdU+p7CORNBNZIYOnyFJBG3CY13DmkcRIuxL0J4YD0sjxKjhjIxEgtpQePHSOrQ9NC6kHWXue1b3rVSng7O9auR4OSNg32w+UGOMBVu8PB+ez9LSccvH5V1tNSQM4XIlviJCyTp4wBxHzzIkHdU10RwMWUBW6H8UKOyWUnHo1tMU2cafEjw+oB68QgN3JvuISV6NpsJthnxNJ+YQL49AQjzK+Qs5BhjuNgYDBo1sDctu6kKffIXHQjAX0SmtN599XCaU46lIxv+LS5H7iRCcP/kJyl36C6EGHIM2aSaaBM66OkRzcct0r015RJoDYgMobAKwU9OyOmInL98wDoQLbZVoRsJX3uYLyi1sGdig+dBM10H5IFet1J5gsuO3TcWcUKomYEE6onXUKixyi2at0XYOZC4qh+a9OF3xvo7v+cMQr91UqnPH1HoDgvltEvUKdBegnGIcKwLN45Q0swQbvZ4QXTgtdu5VgphVFglk1tlsjGpuomN8D3gsPU4si1LryrgT11mZL9atX3D1pyy66PoXUD9oBi7HlfEdmtSGlMr/q1kAAMhkBIRzXLJYIIp5lpL5xPZBuG1cZn1r4UDah3BxAH4H9Sx4VtRxD0289l1vxTlBcNmDvfNHeysgVhZhh4eAid0C/4bKT0ornJQO25A3WPy9vZegwv7iluDBejM2IiAJ6zQSFpaQpUrv4JubUH8L36UgPo+P1mf7rAZ5QHMyRbdKnj8eGi+8AAik0bjeWtoLDi9RJEQwu6zSJPSJkcrWpyKhsQrOxKSU14hLKkPEGICtuA54pgardY+kKThxUq42ZDl2QccnqDFKTls+7Lfj6pK77W1iIdtbyVCSN7q+bvj/+Lw0h7Bi51Gi1mL2tA/sDrP3WwBoYfI0FnkydMkC00eYaLuHo6k6gobgNTTSszUvV4SFqniE5u7vcVDzgR2b5FhtLDVUAoTvv02DwjPId6DKFm66LveMhCZQ7AMMhPpAWrp4DjfYCJp8wGFwxBpe2h6s6JRSXeaulnPY+ULjpJIGm85jpcXzDsamwqLkEWuD309iKTv/PohlijjHOvXQmHn4fM1Uq1Cz2ZSGheVGBgrlLBehtg6QfZKolPkrJ1ZLRmOY7PB0bt1+vuELKu6UybONjO8QQUdIxga0YaC1NSDxNTLkPDKIsZm4cGMVsx3VZQHdCtvXMsmqMJIK4CAaydFZlPe7m1ZK/Y/PCVybykFaHOLyQrwLyCFjKq18aFEJIc7rled4AS9xUCqUG7ku4AYK81uiwqKyDFTTUTR3/zh1H4EY+6DFsPeY1RzhGoWXzNXj43thYgS32FGugnBANjnoKu4Jx+Z02RekW4PzsYOoFKO/vv5KFVHayLYiYZDiVF5eC9Gb30SM9EaKthPgDdiahv7H81yTIz7uDUYKSmSKMMg1fOUeKbwc1LqTrR/UHr3rqeXQPpp1i3QhtsrMrh3AwBKgHTILX8WABcl5TAd80ZEAy/XmOG30Y4IyIqRonR4JimzUIW4SI6XC+/WAal8DXZNdKdU56SBtxLXGw1462vkYgxmhb/0MWKUcCfz2UTT1LFRyR9v0LOV5huEMtCl1hEEtFqBMmnHtc6LQddgiaokvWAq9yc0PBcX797ildN9GdE3ymNbL2COInMsRvbiXRSYax41w3w39VcPsKBG60009lslKOXx7D5+zMjUxrcySMJuY4Uv/5K60e0/7k5DJUXppaWNSXrF4ZpmmivCY5OiIeElpsfChBySvGuzLN/DIkOU03LTosjvzUZgWuOcdropcNHAtBdf6FMjK1RPEJmzKiqRnP5TcDirLRzuYYoV6p9T0q6CjexElgi2duZJddrp6SfRqOtj+xPQ+ccMD9B9Mv46suZPRd3nxtuGQQ+C8YFScwvKxW50cVetKTB6sYpWbXaXHafOmo4HhULnxz8n9s+kIIIcrOzQ7iFlM61V1To8tG8kOptTmr87DrlcfkU6mKfKM3WpYwG78e5oANk1KcRHN0HipY8AijnOJA1Di8B0pcOeeDCSruD2Yjc8xDmdTNkkGgZ+nG83IavXazpFVc0Y5fAcY6tcqamXRfa8MWYo/WvnHUIHB6+rMI3EhyKV8gHMm/1ma4lwpy/1/GQMQOxBg7AgXs97oyD8/zB4aR9blGDT2U3FFMYpNrh+p3codxye6M33jAmXhjkRkC1kBbCDgCMv+FSRe2WrgwzOMRJZDVc0wWu06dQrUpg8mVA4YSC3XDQ8JeLM4E/FgrTzNtLrzkQMMwUJEA2ppPRBvyxIoKB82DL+k9fcB/ysW0aEqHKtMenoiU0veAt91CRe3i+FZPqU5gVrY7yk+D3yGZ6GbGXGw/J18Gv2UL8nnzB6ToKVOp2LG0OPoxd4migaTP/fyrTVxNiK99KJzzPsDqjyWQFC1mqr+S7UTiUXBFzSnH45YAjUmxMfFkcV/e8rFWEwryzGnYWvOfMqGmLeTl0ZvnnGI7K+E0nky6lHVRS4pk9At4cg7IdD7Sh9ZzduN2DP8nmiBjcJq/hY2wguZi2OIvd5eArmUOPAwV0ml70US/xrOSlUiGjhFNzx0I6ntohj5HBNNRg4QvemNClgcjWFSHpeBVOIk2Wo8PrRsxSHPdExDhZVzVlcpV0m0m99hklc8nUku9q0ezllB2vQxfx4Gzn4qKCFv4gU4DB6EyEpsXZgIiM0OSXr4BrcfOlpXbRFbuaZHNPWeUomHPNgL3QtZiTLrLKHIMvHieAqK2lcY1MJ7u/lGA/5xqF0erHDtmzJ2YsjIcVOyD68Z/tAwJYcpRam1otg6iafb/XlvAyDW3+EhQAMX6BKKSsLf+XvD5kgBJ0hM1EkkyZ9KcV7rDcHLp/X9UnKjABBEXuj9AopeINBQTK9pjhja9uPbAyi17WC381mSFqD0spiDJ4sCyKz2WKWeACIH3eZCXFQATCcQLKSYjkLa3UaYyln0bon3MLGOtMmtNrgGih8agTFus4eAv5hdsigS8Ux7XSjTmS/ugUuzM1Kd7JIIqJqZAogcSZnnCAmG44KQbMPQ2uw419WPTTy1dIWtHL4xBUTmqZ0d6wh/52b+/VwtWjAAssOLLwkeopUsoU1i90KJNW/CyEdO2aWvQse6Nkh3GehiCWNdY8Zr/tRI6HFBtKTgEX60y5B2+YC321lHj7sXNep7CSHU4PS/9Qwc6ovKw3vU/SfGA+8WlKLkXMg9EaFrz6P25QkoSCxKlKKWdXdhzXtPDghNUWuBVbjn+uCOz6b/ePpCHJQcq5GRq2V0VbTFkt3gX0ILKGlMMGFZKKaYovdjWupjmDoXIZszJ4horaO22W5x5MD/B5emI/fY2IBUrHHKO1639djrP1PI/RpQiOwSB4GHiWbU3iTrGlJ+KNtzhVNUcoeeSqTTlN9rIe8iRibVLBPnxPUEJHucBd6p+Fiwa94p4EInyYXCU0gzEmk13wSoH4tAWjxwuHrbeHb+mKCL0yZ7BNJzj3zmNQP4TGFy1l41gTgOknS7VaOu5keQmU679S1juYxxXMw22KkLW9a4NkouFo46DE9QMYityc6HNoUS3xilpZUFLrwoTIhlxpxT1GWO8qeeSSSY3bQitcmF1OjlWaIKHP3NCera2sm5X6+o0I6lHTz3TN9ZFq1d0iZ5oxL8S2QPsFHyDL+FGOUOet8q0sS5H1OywekIXb4bwIyeo/68cUTbO6Ur2gMFM184FmdJQz8okH1pwopNCzgz2rZUXKlUCmp5s72a0P5S/WbVfUPhsKwY6YN6ykqpUSJOSfjXtxAHTKSyv6LtWB1E+kD4jmWkluM+aY26xic9erI645oHk0vyjs1K3CmIR9EkEIU9wx8bJeqea70VZ1ByhEYBTmq7IQx7OLl1i1Dda1yFAZHYhQ713X8Q8Lr1Jygi0oDYFaGiPIlyt4c/d3kQ1IQu0+jmXykM6lBSg/bVU0c0KJuVAr02EpwulQdffzOo/x5LZuA2nGEEmtfr2R/qtPnSQtcnKVZ04eIA1qHOxWHSHmSd1mDYyNbiIjQzcltFBJh8f3OAdwluuy08ylA8tGbD7NXI30rqeD+hdo4H+X12IBOWuYpNjcFHvQn/OwGMiwEdl+zIUAYG9pOwhSUtofb7Waax31Cj19IRQALKtnA9bzqCZ4y3vEvssA1E9AprmcXRYHO//O4J6jbCdHL7ct8z8pF84hwck613uUIk0Oidw8lrApRiUmRClIc+BjqBVWpT0Q4W7fiyO4P8McnMK0zZBDjJ6QQXHEw0JP7w+4g9u63xYmEEkwivzZOnd1WG3cs53UajutQlzHXt/nAe/kGZF9gky/qmQ6gVSfRSwh1gl3j6JvT/Nutd/8vKeiQJyC6Sk2EInlU+ArgEMIqAfKoWJS2CpkII2fAHzJ9963teAu27eniy4PFE3QwyTF6vf0/oLUTOCbzU2WkPOh/PT80zQOQuKbNYqYprPlvUgVl2el0pLqtCAWMpPO1kK/aH7T3HEBpwYn2SIYUyargWoe1eFN23Yen83ph25P/aEfK7CADWuYriLRxqAdMHpoyY4XRE3WlyfczNSPIOH6oSmMtGa7qX7rAsRDjhRjUiWynQzQiW4NqahjG4QfBrIsA9O24SFZolOPL/YABOALaK966m7PH+Na9CCCjM9l+ZQijuPTZKpY/CT+ckDEqovOZFpYxnvm7J6iSvnPHMGRJrVGz8DGv5A3F3NhiAcC5dOoLJcYCUXR6zOvUw36XuofdJwTnPy6siz9lp4VHY5QhTy2Dq0ARki7IEieLPp7b7u+4G2rxNqSuxIOoABweNVKoHAcaPihjmzuO3OxpLfGeZ5fjk4gphBtkEYu5DM8ZjBXpeMZeTST9huG9sBP3nsuuf/0NsWHIrcTz+6c9pLWWVuPLLLZ8OfLwKx1lsYi5oonxrgOtBiZxBNv0jmeK2/G+InzZ2Pk+NYiJZ0aBDRjTJb59IlXxNd5Ck3Eel1EjoWIvNsCvqITeNxOuBvyO4FAlEWY2Afiv74QBBI43ivxuJIrp/X9nxSDahEVn9GLiGf5Ct42mEtDm8brA0WFGb/95vtKnMh6w5iGvJIhL5xS/VuBPJXPqdc5M7nPPMvGMrOJfgzOKxTSCFX9XaKy6QYeliHWtDudfEaSXGduZxu7dKXqqewpX55cIW7PhkETIMiBwzmXnKBMhh41HeyPNRijHREbTpVeAHmfFSmWuu3vv2XKJ3haLae2t3JHpghC6MxVw+gfFEpnC7O5I+bfCV0EmsjRaUjVMOkdWXvTgTMEvK4/e1rtBKSAFhEvTxVg4S/nhiWoO/Y6ouaX/xNdrafyU3g+spHqVdmgZSjUrLyh/tFM915Iprm8pOY+mMDZzqnMXwD28yTqxWjdYBZT0dwG8/mFDvE5tJu0ermT8CUjIbkQBaKNFxdzwwG/kAU+DqFHybK2AOSCqEFExEWUyEl9g5OppQYSX4OH9UiE9YUwAEMst3Zh/LrsvhokuMcEQc8TdMEx02S43IeiFZSh0FaNKmGgoAacoz1TnOq3kV/lDwSmGJHggIps/zAi//mNfXd5xqRDex8aUUFc+1vjqbldpRynJPBU14PQrk3nZdfCcmjK34ReY+DjGm+Y9TIOqRM0VhUuAmVqAqXT3Zs3/M/2qwUeQVDqDwTwBToSVAzsObPrXGqwmakStXxAtPA2qK3K40dqOqUEHLo1GL+rbFnGKGC0KUSUG6gejljkoqf/DKDpRworEceQSFwvhyIU1cKz9wKMKdT9U+OZXLMBXfh49R0GL5dYjqV9UL/zZQ6QYkQFb9MoP1Og+PIYIm50svtSa6+mrZJ1I7jtgsHqEYMZtk60Xp1JqVUFrqCjdjD71f9iR1EYG8tIc7jmIB5DAPebgKs6HXjToDnXOiuJqe5RmH3knEzCAANShIoJ/kN7PRkZiwtaoU/LSN5KX8pNDxblQW05fMGY2egZ/No+Gjzayc4PeftwNf2kzW7FdyQ+khYIbq8OshG4JpcjJ1zgp2gwi4/MI1zdrldSYXNcCKn/GrBebsTI5RWzR9tvmZt9XdggHm6KKz3wXwBV1EQ9ql3eZx2FBul8AswmJC0ZkTrSZ+6pIfZd+b5PK37+5sXc0Fg4FmTP3CraJam+nRDUoTz/T5TY1byLoIqcWyMNvHpzK7fymioaov87ZklH3M8/29Q2bFQ1XAeEgaht25WDUgJU8RGEirJnSyexIrWNL/kLP0nDc0RDWEiVXPW/yaTkUb6jXbtJOgtTOpXaydZatuVqGf+dIsxC7pRVruUil5buH9iOoEznXmHcAtn0dpKHbNtTGm5IGO+HpS1XpM8iF+2OC+NGlJsWkHiRHzvQZ87GyTEprBTPASJ6Qke1GkvR/iSYkslba1YtCEkMEFWQF6Rl0WzMblqGV6iVFr4/dqMWxSZKwQlx29nAh2fZVZW68plq45HLefUqR9XEUPbENuTkml3ZngMqutqP42pBVDkdMROm9mMrtZ4jj8G6Um5fkS5vK6mKT3bchsw4rfB9DYoRWunrxg2z1qoU1Vt4HKG53Qf65e1MQFTHpZDiDiQfQiMMC8o4ZQPSnHBMyKIIoTFKYBgyYQZ1aeuDys3UNBELkDy8nYTI+qClCSLUp1s0iRccjcux7R6yZjyzMaWA+rvawDxMhQgvWwr7cJmS9qQDcMlv/71gLQWlb6MdwGZL/ijDGZQrqaP62/vxNIQh3EZYMkqNoLgJpxEXb3zjbs6pjLzhqimCi+UvOBXXt5wQqdCZimyHNlEFGRtQXGudhs2zBfRLB5P7nfwMJhHKr9n68oKJIblMfr2WhArqYnQwmv8FIW1yFV5i5vREHJe7g/tLclwkWKKSfuLY50ivPZ28J+alLQgD9S8tY0iubPsjok23l0aCZCXgRChMdkbCOZ8li2iZa/dRCpaaLikQdSJdCB0IbFqFl9xtBMksEFxzlE3SotdXBpPwkK8waxoVMuvuMX0vOI2kRRdRFwhsPB5a4q+eY2mu0pScuipjJt2fgYdLhuhUsBOpLCZZYLSYfFp6VTbWQtM+HRC4whph1jf5kg5H+37Azy8IQs+4Lz+zeiFHD/260XCVlC6WAXqcDSGCrgqO7PrUcCOVKAq8ywDRRAIS542lYWH26AW3sQUFTCyxDTNuzPxskUQmmqB1Q7zorElajYFNR7zHBMHCQR4qPLzOTrX5PUmWBKi94WFlZY1oWu9dcdrxrwSqSGog7X+jcP+HR1vg9/zQTayJabpThAoP7GWytqF+hz89vz6ctWJ6PlLx6pdVWKSslsk8gEk6lhwhx2+pFaW45Obhe4DDzE4qpHL83OUVUoUVxjbHVbMQBD4bzoMFFBQpKTovxUE0oh5rwcW5b61Cio98YiLMU6rHQOti4HuQeuU+FbCIs/BODOVaudggwNG4oXg0x++6e0A9p2G/QNeMoLP2jBJ6TmBYqWwGQlPiHwH56D94kA0mfebfU1ecTpQyNHhmQB/+l07lRvVyzO0l8uffqrt+DxA58PmJMzh6bEreRFwEFdhMUQkGgZyCnN+4DkUd0A8SjE7mtP0xvsCb3P/D4u5limNPlwOOW2PfSFx79CUQyxSrP2cZHmpxsCZp4cY8KFcJLKsxOITX2VnnzCu9dv4XUe+EJzPLBu2zCSxrw4I9YCCAWvQleHqEGMDcoh+mUpazwd6jenFT/d+hWJAWy3iaxeB3NQTWZtRwESvpT2i8rw2sOOyDhdkFUxCy2vlK2lw0X4tG2gUJmGlBBYrDFFwWznAF4UnpiIB5UFwR19z2dJYI5hesBWTLJJNbrGWa73pUc0D6Ls42LVmRSFqlGACD3tBC2kZThed2azKvm09jveCpciL0PGW9pKTT6xNw6Dtv7ZuuVFUCBLSbER1vZvOQn9kDCCNSobcT3qKnFvtOJ7mO++RaZvWwTN568kNFZBZ+i6LJy7anPvq1srjT44lyPlcXKNI+TtCVP7/982Pt02BSLHOw0PgKeJ2KvwUaxgEHGP9kiKg2mxAj8v7BY1v2u/NvNhfjw80UlmEhZfoUMZssaZIP+OpBK4KSsNJ8HoYo1CaizsbOOVlI7VfYVsr9hKoPsOGfRgSce7rq4pRSRXm7L3X/SRINt0prfHGXpJxin3AioeoF/LxUClbaE34s1kHVwr2eR+ZUouwkN5pQ81iWXqiRxr/PtusPDVX6XQNvDeGRm3Fa0iKhNg5xYlAn33AgPbf3Te83tQ3QpMQxwxJ63Whdl3b09m6nXz8VvzOTmTDRF4WNYsNdpLzU14t+zCwRYOIrFGvkRIGOOLAKl+cE5ojy2vEUuFX8ba0HC3Uy1q0CnmXhcJVFfzwisFTZ+tlm7qbrg+RybQc9RSUDBIGnbLKniRTkmlCv8hFMSS4hYBuQZGeW9fiDAcYiPl7YV1IJF7kP2KubEtm0ZKFYZpryMIX+QVGQNuPYW1wttwcRAu9YRTkoLITHgvtPnzEiHqeWS+Rsfghc0mimAZ32H3Z9zFiVPMDfDzZgON7XoVq3Mv5DvV8N1GpIX3+f7YfzjOAI94JIMVQFs2nw2wq5GG9Qiyamjn+nZCCpUfPoymTCAAThMsAAN+becNleyap8A8gsKit61cXVJtirffi6FZlBjzbR5RItpi8VAy4pdumpnqgDdEpgqZR0ByX4yHM1YrQ3r3XkPu4xJstC3tz1Oxal+hYhSgV5UwLUvR2E8VvBDifrxVcvaGOFSXm+Wcv1UBgVLfJFoDmJk+RirMDMGEcJt3nORrzosUFtU1RR3BkfKURhxSC0I8FcC1c07xlhDT9XM244UnXOVFVrabA47GcUb56MdOOwzNfajVg7aJqzONZU7OTs3Q5KZDjn96pcgCjLjAgwsQvc1QdhkPjsJ3glc5nLcnSd8mZFX1bIGyhM9/xjdSVdQ2tWg1okIUYlRnie1V65ly1mh+Ugr1ZzGSZCBScVQVPo2OOTMoqDFIO4UoNqN7dS8u5nv/NwI/mFjgOyCvtidKfGAID/Nq1p1FvnJv5M7PcX2MAglBHGqXwv1qIp47XnQLu2zY7mX/Bi6OVpH6tljLfii5Etb2AKNC0iehowFjwNuZTx3rfEDlRtodxFVFlYJ38DlnBR4eztS+2y/cc6tD5AGxJdJjpgrsm6UElfZ+8vJRQPSwo3nOamBmBtM6UodxugnCbdMLYEstEfLq6mnlPe4cEPyaq3zcntBHEIlcKyzQS3etcyyi8P0mNf0jO+6oWl1hXckapnYPOCYScn1Wk4lraMkmmGTyGdhqi8j9ToQUplL3UmOulfA1216e5SYi/g5OuF5ombtSCC5CULgqwcnY7vgJUyHtfcZwrqa0BrlKNXQfIoqz68cnXn2DDQmRaShU9eeAzJETQywYVk7U0kqebZvZZMdvJyMNaRrbfQzUoBTnMOjoJGfdHcmiH7BZSBiErS4YtA2+lPAxniuk5f3uhnA0ALEX9miR0qW7oE7/uolEvzg1BgaYStgZSNAWhiUvDwEoOfZs5MHL/6Tv4u39cmErQsW1UCoOiuAOs/Y3QGznWHD6yZTN+cKizWLYJVEWFkLt7gDNz2QpWcI+qiXzC5D3b2+MUxqsOyyhFUSYPl+h7L2Ga9oPa57IhAlyLcGAMullQcXY6Qz3YeAIXBlktAOQ912kpjLMUUNYb8CGVC24VXUCMxLXm9/xJQEkem43eSUTeN8B3q+7yPosz+AfkA9dpQ3NFyDqED548tUCgf95JWQevFiPQxOkNZUUrMr7GbXCxpsmfKW6LhQ4jbBHcCeg3FdC3o8jkcddfQfy2IY46YsdtuOqDEpD/y4eRJj+83G6SLcXoigcPqL2rxia88BpkpQQTVCq9yGkVEcVnhOq1ZEKEWh3jVWXwPQUOCrEzPqHNivldjutdHBU7h9ADh0uQIZMUw+3OL+91sr0fjvhb032pat/RFjEglAYo6kxLQYsLpwxH+Jbwhc+LpRC+5EqDQySmSinG2sD4t7ppfN/aiAze3ZvlrTwQWhZ22/cT9LC1DhO1cTGR4OtM+dNGmoHmStTvPjCSaiw4mQhbhecMg8kSKomcFxRATnV8l6lLEHuVEM5KVgMcYn0e2oyMRZTtoLjRZzArGuvYCciUvdLAzb6CueUQOkWLGJ2Sq/dgAfXbwZ8KPAxTgnRDlAiRMM5XoqiUclD3PPR6iQTFKvRe9Emnsj/gKqh4VydfZfQ3jabEu2vqpLDN+JoZBHEcpOdR95Hwa4GnZaYMbT6w8n2bSKtH4chg4Cg7QCqxwwsI5blPnZEMJVgYTNhnpwIkvvGegTZ5jxAMXwzqjU21P/iXaMHVcAFqx7dHa/qSIC0lOIMB1FE0KyS+uBRd9Luk3EYKUIf617cxqMpC4Vs2s/YApM/RePs7V4pzlU/CTknK989RiWlc3R4En6iWu4MKa1EpKbFZOcmsM7SLGNxVVGJDf4JzS4E/ZaC/RJyCUPNklVq/WEIqcJXqaX58oHe4O0ZdM4aj7+iDLrD6WLd81Ukpx4pFcN8dzgGs7vAI9zwhD1fBQAaAgm8g2bmwjlnVRjfqsjLlAclHeG/CC59aMh0XUXs1GvESOKt174vYXxsvBzdl8z7m/+vbGpv6oMGRiR4n9mLHx1e+9JhKCj8ZE3sCtFxB/jsgEtWV3KXVhRhUIhP+3Uh+QKoR6/fNpo1uLemAdw8LpHeFVEzlH2oPJcJFkYo2qv9JoTu9H3LMl8wOaTDJwHKhQd+20hrjVbSEDPB1+m7u2A8iJ/ps8K7/kzrkkmMvJXpQH07eQUIco8b9YsC4vYGeN3nNSDWUGllp1BEThhOwy8A+QJrwQ894hQgKZiI2cToTkCRUgqzbr34hz8JN30tmCtBbWDlTaCFvIEpgzXAVhKsAE70Oj0gg5njC40wfjXHKn1s0UBslcg2/BuS7IcqJyFPlQ5tdikVXwgIcf+IKd5MP/LAIlzJbPxx3qTTdciQ8S/YDrSanSEOy7pWgATuxil203p9lQemyKcysbKytCrSkyTecU68fPt7+BK3VI1KFyRoNBg789XE7FwqFE3oNchVHHRvHgMhWnCJ+VFq9xW0N/Lt00wuuKwm/nLZEz/S2vAafSuTUno6miKuhEauC+CDTcKizC7yZ8SAXNsDKRsywh7TcFc4886yLPqMzNqO0luiMMH4HDzxQy2ak9nAx35aCE0exYrbfiRYBrgo3i90UYS0oiXBAnkshk5N214RKX45FZuw7gv+13Q3RsQJRIx6jhnv2CbzSBFHqzP0I9IQOt54GlCfBNB4UvcGDPuDwPGxa5tlvSo8xKz1UctnfllgS6grR8OoGl08pAV5ncWr3vKWgYaK8niamUziMJ1xvhduhHAh0C00/uobdjDUwgTwG5skycsVB+Y3Mv7vFWq3jpWhsQRZAsXe1JJs3vcTkAWIWzUHO0fwY+u3VyWk0NOWcIgBUaulcag2eeC/ENAb7HlHBPHpikYoWfevjzZQCL8y7W3ZaCfew67tDdc99wAH/Li9NKxBnfR+VHdsp0kyFdg0eyBBLMl1zDkCz1IGxm2lERLGTFr6KyPRVpCE3sI6dQUE7H9Hg78ataVPyDqkM48in3nchsT3mgHQAYO/t3sm16Y1/NR2iud9hb2RAU4Q2vxDljQHSP9AII+hKXrzLZThS47mevtS9js5X3uYA6JYeAnZFyXhkCNsl2CJ4otMJ9y0Li+iismsTM7hSGT5UGNbUQ+zn3hm33JqEFPzslgeHemTlkZbrLvIZJjMP0ASemtV3MCueFUdoPEBhdr4mun5zhJjmD9xTxg1xRvWi8Vij8X4fHw59koTv/0HWzTg7lWgKKX04UUckS6vEYWJcKZE8SpVsXR05uQuH31n/Qhk+hvJec9nO4QeKeXk9+MGqaxbCRtGPsb3Rs50lo3y6WOWM1ibyeEU0BN6pwwVgWRLV8X1XCIMPuHl23wb7LJMcTS2EKZKRq9L5AtUf3sUtJA3Eq8EqkiggE/O1QSie3OX19sPyd5tm8aKCCHMe+D5zI0IUmFmrOSkMrJPqL5venVO+S6GFfE2V2P0D0UanNY5oGopQuz3pGWmwnPxPtFOpWqiqLYncLUwxbFtXBF7kUf5+VRFYzIgoKLw1V1zg4FWhRXa+Rw/Pq7efylnYzxrkF4aaI6rJFL6KM+aOIiEj69r9atpzOYLzTwHl2v7EtqkKfijhQvBAQB/f8V4wAaX+lXedhmELTSQkRAk+JBUBhtu8xtmUrKVYRw3gTDVvbVVzicGWou2xhFbvLg1DU80Q+JEK7KyGD2pOhS8D+4sbrqxBGNBjThOLndEcAXGL1cuECQ2crEx/Uaifb11PMhq5tNjksMhZRYdXP9GwWen0XjjkRc8M9X1KeKafhCp30TOZTQdeeB5kJhDO4wgIOdlshc+/JmkcG2FFB/Sz1dwM7mVzUUU2hHYBETYXzilOz8992bJWrU86/N5+qHzX1URZkwVXLtyK6yXRyTVPdflDPjyCQs391V5gIULVnoHS+8HqqXA1G9WibSt4clOF5gwFvJdloKlgcwQv4zFhbZyJe8QSuW0xtFw01zWKrdFQW9Z+B71/CV2zw+mqptQalMIpcsflQZZ6VkVtz/eoN6SGd4i7p2vzJy9XNxFbRjZwXnkxfe5ozw7ZYSiG/QAYLHLXfWsdqWBZMmpPXwiA7K8ePw4TZ2lzlWWYZhaMdlUWeau4C5TMeMOjs5FRDoOUoH3ryPNPd9rYutjFgmgjwevVKzfGwhxHv3SrxrajTUehXC184q17Agt11kF3VJlv2Dsdmt537zSPX6bSUstkXSc5lleL+2ehPPwECEJlaxJPRrUR2qdPMMbN+GaVIha8O6ZoyJrt/93ISwhqklTWgyQJnNR8NCRGYYmKwRlH0vrpNkmtPVA7Wevm1yd5PfOo6J/DqBF8YuNgIOPZVHjh7GIaIeLgwf1ICpalGe+Ia1s7LwHskKdmtXfG5WNY+yKBgm2fMliDTu6HBf8xDJ7TDH4UM/SIlllGA2RJ8z3jvYbfuMTrsTF3WxEfussDy4BvLPxOBEFL9AaLr+G3VI8xSs2bl5lFBNHmLtfKGI3Oan4gCqYSywour83HART0Y/R6tRE/cvI7r4h55tsJk+cHiuuAnwBW5eltsut7O5+T3Yvtrdc1lzfWmbKU8u1qPtfMJJryR7+8FlniLu1PyO8rpvTWxe1U9xPH46pJob5ZYj55NnzIG8oXrkDRPJ+MpP4HMEmZzrLSfHxmy+l9D6iJ7R7Yg7V4gqiXLYYdm/ngCjAH/5YDZuDIXonS0Oz1bHAWuprcAbyS2hHEoP4PGTITzwbckwpV+dlp564cs8ehP98eG5UOtJ+Wkeh7XIuNu0vfUKJVF22ptdipvDC4LlzHVIdNNfBXnpkerSTmsVFmCHEzEn2G6F7cxtskrK7hOFOfXDThNLjBCLLi3/DtSlOdr74QwJe9lMzyCnO2Ff+o+0lCWtyYshFL5adb4sJ5BM1uJCuGq+GmDtRIe51LMfetenpemmxrHthnGBqJLT5SPI5SR1nrvtjS1keddflrUeks/ehG2EFqYoRrB9iIFq3AFL1yFO+wvSuw3vTz1IYaXynaCB0TJPZ8KrZmhzndVyBt6R4kx0lmYlAS8YGvr3JCuGKXngA71AEEKPAgTLOUj1ju8TmCTEN39eAIKLM1oqrgDW+vh/ayTePNrOCvVfeJrp2DFqbPBqX8WQukm4FaPetXWAgEy+8ZXikOSuGVIX202QDt8DYvj03eRoSlHSh+8tgLqf+HcTB3HjxSY6A2sJNcFbeLLOGfYKEFxs/AK7httWHq4eaOYRWs1/NxV0xl7EEwfdKxL9wR3Uj+cyf19vU2gEW/r25qKRhj/kxbxuVoYjCV9qx/JGhov95PDzaa5c293SgATdOgb6l0TXou5giRQLGctB/hPXCVKlWmStB15oOAoqJilO5mqbiArNl4eJ5q73PtxJFT3JSwocA72hrKbKWkUG245qkq9hTU2TwPwq+j0xfAmSvMlkhbX/q+MZiDOZpeXZyMRmYIHCFjxi6uUKZ1rUOgUyOurdtj9O6y3rTt3Hm02ravAwnC6kIWDT1Y+FwKpkOzlS1EtKcg/SCqfegWpA8EHXBjF9rb15fb6CZC7T/ldmvBe7F1arwSe7y4bOVNRYjxTxtuwizqdUke8r24Q34CI8zWNYgdP2Kzj9ZT5UYNBNF9umx+AwZR7BCHD4PuRwXnjs59uvSLMU66VmxsYVoe01sPSIvaugbkZB9TmZg8rNcLBsKUy1WAVbGEov17qnsMghzCpQS2dHpMvRXjCwNKHA8Z4aKerbVyIXM7FbOzn7GLVCLxNIK00nxqvZVzEJ5wnHnNcyzmG1C8novi8fv/0kLrgjlqiw4jLMiRsqTHNF5DO4Fr2h3UsTJaOit8e7OcTp61MAhBdaX5rWZ+AigH/dIXVEyBLv5JAa19JOoZjkmkjstwnoI25erE/UoOxQ2olZipByZ7fa+1RLYihvQdxexYQK6p5kr9KzM3HK0e2LFRfYWEi44u0GLsDL6APp05pG4V+B1FzBKxdIgRf1Rj3RyfBkp7z1T2SWGFZSHYzSpHW6AhLoeVs8P8V6QVedc2fkWM6mMkYkmyJjlolKBpKYJ0BVBylPmvSThJ/cPvy2Q6CxN+j//4lwzxZJ61lblK6H4DRX61h59qC3r2YhaqkpiJ8c2g1WqzQB2iaTQDlzVGbJTmUeBUWbq9VmIr7Ldsc7DHGoGOrouxXZkm2gU/V4s7tw9ht6yN5h9rZ6tOxGPV9Gsx1NLvvozlG2SnCda7ng0mS9LobsxsZSbLgJYrS/mz8N54c18QR1tJIvn57Rfe/LDTau286Z8aS3i1U+svv3PgIVV77behsPHP9NzsknfMVNOlZWA7BevztHLYMkIICjlkvKTcdqIRz2I8IK9KCJv+cz5ygk2yVxNszEShcn2Fm4o2fu+CPUFup1kSEztrEsJN1G0EaRViCY0Q4m5tCh0RdEm9J9l0kkZ7M7AcEklX0t9CEM0cHY3JkNbRInKQJDvdLlBqad+960zscBpru+xmqVErdMhpUT9KZd0M8I75kMqqghmn9C7HDE0/U42aGATyYmwy/fpRhnT55Y6ajBjpaVPz43Z+rExFvHeE9r35L+krICdvk+/xJbZFKU1IFRQCHUIWSmIGd0pyj8h0zXkttMPo9BX3SS3rZnys1eLZYsFto8PJcQKgVaaRAMLCWLW/I5/HBrjHj2lHyroDnxCiZ0+wwhER8tJXmHeB1BEAl2242XZvsnSKl+uovEWDTkTkJlVLfs4zue97lyEb4PxDAEyM9Bm4vpCgq4PbTvoWsEziMQKO6vheV543yYXoqskQGFj16HOyg5cu3Fog9oYOguvaZPI5f6Xy1wAvzJeZIrpzt4jH7zi6bDRv/4u+HOnOx9y4InWJayg95o2+1RZ53knjFpIX8SuDKB0vbwdO+Lnh+rJOCppmjY781wnxDHnlzQJC2EiYa04m+08sjjNm4z0Cj9C96odWd8hdrdFAGA7JWW5hnSAYQ9wBhYmdcsSnkHq5aAHbIP7QB8vtlsUZj1MbbmBRWZ6CoNTFT1UqJaFDi/dongDmK+RIouu9IRI1mTIzZs0mEw4G3Vd7iJoPqPhAPAOEZHTQGHp09ezj/ordFoN2xKzellMs2o9smgPPoziD0uhhB7yB1QGWknxwmwJCxa8Ewzabn1cE5Nm/xq86kmGF59N0caBMIf2jCq7SsG5bWdrrwXYZpPwGWuKRiUqv4Xt+oVKer+Qo3z+pmz/SMYM0Nt0yeEsiYVNW9DW7g47Fu9EmwGHBKHOOJoEUtieXyg44No81MdB/V5lj6L65xqv3XwYZytZoqXNBF7uBk/XRRx6UPca6JFKzOX3nYHLbFWlq6VO7uo7EDFvvPGJkFLJllc2466BqNfj4qbL2Yssf77jUGN2Bx0JFzXyqPzbp92EzVhQBOaEtn4iwYTaEpMe7dD1C6I8y0yHa/I0R/oJMUOlJtVRuG5NSHO0GS5ZBtMdmFGg9UY5oQumKOGj6WiWEkgFfLZICHaTpH/SsY1yzjzdyAvcocUif8deqAA6lMHXJNUkyJG0VADzX0k0maUi11GJd73UfQM5ODVkj4rNQFApn8EedGDWofoFtqt7FfkOObovkGfngq7Bzt00zTKEEAHSdM+WUJMcaoumaqOXvp2bEHdqmKFYX1j/mY+oLcA1UChGv/RNKYPKMW3J36UsJL7lRM+y0NSaqpi3Wxr1KfhZBThQdeRB+F3mKe5qD6ZNAqoHtaiBkdPS9vPSYm4GNORKPscEXJt4QGWB/NptEBIKYDBPLaYp/Lg2+V2EL5HHPRiV4csSlhgRXoaw/U+hSzyLx7qYQi1wG14qEZ9n/HnW4ONGzApALM+I6h+Y7tCE2yRI1L885vBwLDhIGrYFqneu8yn4SkwdgKAiLf0WqCEzvreYghwEdN6lMjWPMCKcF9A16MEMm6/MuRpR6ZABdfgBP+hmEuidqxhaF8vTfbLa28zKB9cV5x3XT2ZmNXfOKbFcveUQ/bbTP6bLpLkdLKskuLVTZ9Nq4hAsmGJXAKvtRN6vX4QsUUUs3hVC+c6lZffIChC64nWkiA0fTg8z9AlVcJ2OvqQpbMBxAdAJiBCZ0gE3v0DW90GyvdsboZdgdLFFs3+Es//XdaLEDxIx9i/8UFoY72EKsihRzbPm0KLnidLHfnUKvT/5wy+lk53EEhTufFygkhR5NCcBm+Myvh1AlZJNObt3FCyqgpLMBZ8pE11j93p/Jo+rutwx3uHjfI/y/O1wStLEaEuNcZgJwc8KYmBTojLOehRSX6nBIYV/HfpC9ShdcLQoUgr9otVaFhEtu63AUGJnl6O+zvrLeeeD/A9FuPMovkSS9muVu2L+08JMMCbzA2UVhtXxbWVOSV7p7dNJMCMpps+++rsdjy7r+bmrTsdwtqK7Fb4/jk2vT/wnzarYWoejGeYtQ7cHkGu4TnFN5BEwBVsIqBs/ywHcFvhP0TmJQdyDwvwz5YdaU/Frrr5RiMPYtB7tAU40CPedYsBNo45dVbl9WSeDUuq76562G3KhRFhbjCVWnlIm7UUe4kcuxJ3UhchIUo6UPhugMdng37uSTHtjGHMIPqzOx5cnYUSqmMxh3GM3/C4r1IfiQCzNo1VeF0vY5rEQOmLxtYhqaIJloPRem7Qmi5dSgRIxwETJFGTxJuDZvTZGXvPcmpMUqu6d64Y08Xkb5yuT//3U5zaIXZRfqiugnEfoGqopG4HXxZcQRdygNbcrV4H8PXPUXUBbLGeusoMNlhGszGPYdmojj6IKywL4h9Lov2lECj/gxqjRD93YG3oh6aO1PL+wHTiL+hW9oTfB0wrBhKrKrqWLQ6wvJ9WppEr9wYabHMgwrThTNCaAoaFxpX5dBGLhKM6ylVIlJZcOH1BHMqsxrY5wvTCI/WpV0QTCMc+rNSyUfQalVmA53OxDVdbDLybPJv+aeBDl5o1/udJRcUuD2CoIFSR+6v5WHhr+GCXSdioWI1hmsqRwwrJkmQtBwLddcrt4d4p7siNbl+E0bh4sPziP+fd0wz5daxuWVvudPUwoZm2vVFpN6QDXF+4D8XAnBGI7+EOf69NgEmveCHl/DQZnKfDoz5Yu0RdB5oikcw/xwwGOKmIky9/ikwYRoQz/HkVmoj8MNG16h7qEo3PeJIGERA6AevcCNGgGFcfNUVHuW3T3y2jCTIpSdDgNrdgdrZWrBJWipjBTcWiEsCSWVDkI2mT9IDCa9PwYQ5cp7qMTIfC4FS7aE0hy2XEXAYYvc2LG/R8XcugV36yBUiMCghKDUmMrtXKQsA5ox1jl5nIC3mo/BQZnc/a+U8bXZiC2gkBInjXwd1ERShZBnjXAya+fO+RCqKg79obF7w96DMkP2RjEcCQGD+qw5er2KrFuBTEQm0DUAFQtT3gh4AeumIisdhPaLUI787LNDOb0JpGMYDFtt4NwrQuZIH2LDXuFooKujHptZBd7lreNfuODiq7tMuCCvDdfZCRoru6HnJ1tyFZfgwo4Z0twAI+FZBteqNIiwsGAfHbuw/hIKsiIBZv5GzPnDVPM3LZG9hNtSrs7LWVK+e5mITbiuoxfAGBv/QIYQztilkG4SuReI7hKgUC+DqtiUScBqwVuYQCDWGgbQm7K6hG/c/tzbKsOPuC5/pxgu/koKmnHqvp4+lXAcMOF8sLnDXoZXLMZmCJOYihHnat4cAVtMqAjYDV7VYH1B0Avw6NNcHbin5r2xC9aGxKwru01T51N0qjH5HDrRXYrATLr3b5nZZrfgpe4Algs+aJpGyN4UMoFhCxPeTlK/+zUTdTWpFg6mJhZdw4W1K8vEOUDByW4/p/ukDoy+oMVIGLZGaaoHE1UD0P6HksgExUpIoij5FPn+dshultCq3yXB9BSm6p1+VQMbK9SEZrPsOlAJeD3bjXsTmUEAbBYwqUsTnOuyGK+TpL7Fzblyzg+PMADXPVe7Y9642IwseRoDYMl4g7gNd6/czYeAcIwvokfiv/liEcmR+1qOQT9lZC83WZFBhtnvWU43sQnFK08R/ydcg9JfHR2zDt2tLHvhA45XTrwt+i73in8t/lL8pJ7Q4sjPIozGvLLzUJaRZRhHsQUFpznmnsq/oN4YDk0m9gq+NdUvpaIRyDstnRlDaGofDfFZ/vxwNbsZG+7XkTpjmgVGpmu4WkC8OHye8r4EeHW/1Mr5zp7mzdsbVwOWMP1acNP6gH+ulOVwfNttSEYprQuNJzoiKMyGZDeUPbx/Ya+V/0l/RSiwA+PVqggahQTiaZPhRU7Yu+Mve0fciV+ZhUfT+qYEvu0fOWPBSxQPSWx/oMjO5QpkMmwqnHPHVshT8v5gsEa0gXimpAzrpUnrWX+ibz3giEgRtcLWt6+5me9thEnHwX0mgXNq+5zohjkx07MoccvS02THoePbzoYYXFSHMKytUiqvBFM+i9lAQTFtXdrlmvN/vIxHIS4ccvrFXElhJVGTjIqa6/oYlshi8GTyiwxTqDAa48FJtuBGISb56LXnXz5nmhrSYaVszEjKjVjJXSSCbvpDt569hc8ywkd++vTH/FyGqwsoxMGArn27I5lElW00hd1eRy5jryUpuMWOGeVDXWy2L/QGKA1XFqlQIjsnTvtmITiBEPAlqFSVXeX5NcSo372EEdrVuV+eDRtvVta7lkr7Ho6crUgJpXfRDAgJYLvrP6HJM/qprwwRhuQKtN9peoORMJbo2/Z+BISKks4XCQjCDDS+msWG/PverPdT/L3sPgjL4F9RLFpy1NUtYu2fALsszwbnWcbD7PnqtzhQ7uGBvdC3dBRNn+kJKAHRIohcfHmBnp4aJN8x1KzBHqeqgoYYDSqcPWv4SbO7gipEbDG86mmBSuYxuQtvCbndg/UFCMyiQcS3R97oY0ZQHZ53KA4ljjFlgOpdd5Coj/975C9OKmra2rnO4Zy2a9+FIK6SLL07tkmExgtQGm4DyE6myVmSZt2x7BfJiAkqbCvnGNGGN/O3A4TkyEAmX8ilLHw/ugnnt5gSuanFLeK07qQmiKZxMLFGQ3HmgNzFNCzxdBUaSOSA34o6tg28S+H+QzelpMFhUwJAiAXx65lryFr5rb82FxBOlxdQTO5BAPim3k8PaKViPtFGfNFP38vzH2Cc5ka++GxE5t5noh0pjXMW1VCxyf5XwQGCvCAMYVOufzpGnnZ7klqznCuF0yrBDSbspsPfz05DxmgvUzk+3gnaIO6OLpJ3OKiJHyLx0oW42VaWGcYhfW6gMrTmWDVziNaeeUZ/tiD8WVpFZvVIvdnBo6pmhoeEKbyPuqahtpiCozAHVmadsT/xBvrQ8i8GKvhPU0gbltl4GoNw4f4iyfG5cG1T0TlmEe9wtNYggYS2uT3peQUffaIHQqBDd21vwtcC5GwkhTvPYOvQOvFrcMSVz2tb2m/QwpHyJwK9sQycT8UjEnY2gPEeH47oRDHJLN5cfQSAZv3KqlHYt6IXwYK8V9OLc+Jfqkw+uCEQmFurGVjegtiXIF08j1Ic5xZyC9CqEgMPAq5k9T5OlK8onzJmG9Z/olLKSJNQQNxi9Eo0WIHExhuTb9orZehEHjxOB3Q233jV22M85eHNH4ONBbjQv+GDWpFHFIPVazjjSA2haWIFS3RiX3Mfwxma8WQV2CK0+IMZkEzRWMekJqvUmLvTZJijOw72CMUhVZcNE+xmlKdoOtvnY3iqOJtDxqaxEfBUTWo/yCJBhaTo1pziBKzPyLF7fT3s9nNr1etVg4pdCyz1rE91GITBOE+I3iaIMu6ss7CE8W7nC2D2CbOBW1Ee6FyC0L+NkR5oMQGe0L3VXCiYhZYW2YVmgyIo3tyvm4dnR8AT3iYItuV+jf0oLmf4twEooM/Jycz6W+k/x2QQCyK9douOLjlQZ+mvUC6wOINoACnsAJnAswQBorlPS21o+EU0MijzFFX/6/pgG/TopknoeW8qfcxGPLZ+M9FZ88Y7H6Jl3xAYJQt7Tg1ajqYQsX1EE2XobkuONYQxNBFIuEMp/cpjjZqzp9OJeVDF/GvQFUZQ0FpN5Ik3q8sPAvkaHrZf9OPol0gQHIp5yvEhq5SoWsOHb3FGV6Kr2Iq8onhRnBE/uAJ5MAYetHEGyJXXh4WvZ0Dhv2U40EldcLnt4CWMKRu1Bp46BhQrZx1yEbjbzcVqDwA4azR6duwUZL0795xTTi6/BYnlnR4nUBquhzcccNDOJK14XbyMgjAu+2awIOnmraf+BjKGJZLFwPa2Bq9WS3MUzuL7XQ5UM/wDHB5B3QlC9mVL6V9ow6vt7zsqIOBKXVUag6wDlrVxHDwa6ksyMlFT+mEGKNvPhOHmmy55U4AVszgxFwcb7CVdL9rA6LUPub7srndsb5NPIk9F+pBn1HyXy4hxA+9Vt4XBNN6KB670pBOd8DFcUr9aBgDCivEnwPVuX27XVjmbYfLpVgVzVwkBCfeEve5Ym7bt/B+yEkpA6hCutdSpaQCcQ20GVnmH/zqXwF/Dg9HyA0JiL82cK7mMhaDZgQbW2tSCYBH14qyNoL/p3PIDZzaP9mf+kfZO6b1qCADsaVxovYgFmQau7Q5k8OOk58ZTCgeWG0n5leGnmric6+Vq5p5Im4TOiV2sRLmytmhCTA/5bamfe23NAc2Bvp8KkcpktAXjW5mZiSroP13iB3HCphON1v8PfRwY01PtUV3fENFCX3zpTpjZgH8YjmVgR1x6ClP2Vy8tCl+KW9kDJqEs4Yg10OjNdrOnPaCffrmw+nQ1hNniexNkPr2Iv4d00gcKaVPbwmlfEkjK4fHREhzXyamHeJsatUhHbvj6h4oYYmIDUwgdDo54bVdjlBKpCGXLXskAo2s/BI9gt/078OJKOzqgwQau9yAMZYj+AA7XLBe4vHdwu750V6DwFjMN5HGzhjLi8Wfvj8Et4J0YIxw6rAa+U98zoIcm/UUee2BBkdr2WIcD0el4kFwXEOPQa9AfFNM9KNXjgUZ+aI1ricAYioES+EjLBOF04HtKB3Fo4b+ZFE5RzLuYr2JMHGXxEG+vRGPtEUJbKbcG3GiC+TKPFIUKOJkktVZSAXELXqnZv7dHYOCX3V9JLPATHr6aELD2L568T/1J4vQY+l8Gozqj8PjEvO6hEzxdbZooJNwAHpcEAzQAUJ/iHg6brlMyIT8UtOAL+ahecSkdWrszsx4XoVim2qvv0Rh4UBV8MlwtC0woRzjItyV5g56Y9OnhLwMSIPG+mylQjkG6iGPFtJYANDVQjHhQyi/oVxVrtt0R+WhIUVGtTD27D3CS251nlsTSHKxeLwayEIhISiptmKDI0sd6XTHbgyStNj57LqVfPRj4eRDgpVjBMY4I7cgzzz9fBwX4uNyEEKiIeJk6fE7yMsPBsorbt8BiK4YJUT439DcpjrmapDNa+3hQSsD8XacV82p6zsVIN4nmkvgFrl4PBFFTYL8PuinlyjgV4HPKG0IQZ8mvg9ncmD7V3xoJBpuyI9tjfHA1wE0qOkQGgJdJke0+wr8XRwndvQJ/0irlJPsrBvvGqd8z+2Br8RWEQ3PnCsmzDeiQqTvYUQnjbaiRFVmEYdlvpIMASVidcJlWpHJAxTodW+jLff+lKegkBrE3UE7Vi6o4DkrKvwHS/mfFF0X3VgA31JE43sWgbmYEPep/I/B2tKIGzSFp7A7U9xtPgAnm7gCQDhVdTKUcA760xPzOzgitER3ZIj1jJymYyVbXYky21NU0VXDx1lRaVzchWtJwaezLPLNEbSE0kBw5Qsb2jUYD61ttAeKuYbImxHUx8mcLpBVC5c52OERycFz7CTvCa7BIVsLkI8thulCLPkvPww8yHUzU/NuZ5IFzypK2riCYJGyJh09Evj4kXUmLqOiAMwmoDNT7eRXlxTqiL7J2AmI6YqcZECmS9SQWYZg8Lmjvb2j4Dvfy0KJ9/XYvV5W4RmOyVcWXl+Sc2l73On4uF08PWTHCQumUlD+jAzDLNXH9V/FpiNKiFpk8i8dHI1bP9xfY655MXsFuUsAw1tbPUgMOZ49PiwY1MMJEsCv0bZbzyAZMBzPFdyqoYe6YpNRmOZQooLVctP6/KH8Vb4Wy2XIiYSntSMZ8TyKqKvo1+nTqMARM55elgn3UVEgU6DEP/e8N5VlcLj8eBa21rFKQYauJZZh4E/xAaicVv86X6qJieK9inIvLu1s+ZVNEMYAChUL/DCkg85pQbfHT+WHncnVl33dKpRmB4UJu9KKJaw5pHNHsQir5vhGKSxcISlyz8NMjub5QCLAR/+6c7lnbkCvoi35M/5dSrGlAnnS8pPg/hl5JuVTBDR4BqWxy63oxSN2fT78Se9/LnYdRxTOBUm3AYMTq5CIV2UU60ZfmOuCKE6DCVkuTZrFV2eLSxyx47HTjonvnnfhe/H5LkMVlVW+cI87dgd09ujCmb1quoIetbHm/vY+ETnrHzadU2AbPJxfwkp3XWcD1JDIA0HeVN8La8QfoW5+txhdghBk3GMCjkhYPKe3Rm80o3rCOX7eWV3Vu58J4NylrWgJ4DVsWlA1LzSFqgztaeIeavfRGwFDve+cRcYMVHPeSktGn2ZJd8UjDBgDj/DlCrM4RxM/J86odbjdGRi+VJDds4a2Oqkv4RyZ0CzcJUXbKUt2LmPIwVpyISo/Z2SCBQFUZBnSyfbUMQTrJxPSCgo2bDq1CkVYRzIcohJLZBzATSumkxDMOj8BsHTwYPpefgRf5I/lX/lKFhOGdwHkTYZNKxai9N22yjzeDgyr1u/0bwu8yZVpwh3HE4FZA8Q4RTw/VTIMPsiJjbp1Wfwcoot/CyXgLfQewlnvjLXaVu1tnQNQngQfBiD8iLC5iZz5Mgg1GYBUArmQ2pcFmohtoZm4ZcUIUBF48PD7O7wNza8tIx39TWcSZBnkrhm61Z/zuPJEQ4Bdd0GIQsuATltSXlDsd3ua6eNxpBqiQjN/LUfqedJkQKaz3a0Chc6bo6iNlhRFoOPr8EnNtJboNl1jY542/JM1Kqvo3IOOM5HoN+uDUQC27K0o7M/9H8CFmdWEr7qPfGdxFfo7L9Osj7aLdixugEGFHQGH0IxSG0BJCsbZm70WFJbFo9t8sTJNXHBt3d6k00uDk+LxbHZNOF2N40U82gBHKV8oqWE83IJ2UKPnpmyJaRlmubJEeYhu+Uo/2ZHo7HoJbDnCvkR2tfjoWR/SV+9XxI2Bw2E6z7+P7f9afBXoHRAcECEGTlKA7nkVCtN3iyflRW/895G0kHTJ1NQvBGJb6LqBgh8CnIwk2fLWdTJEkcl/Yf/lrMXIyeL5ggJ/Y4E0wq4Hb/jNrAt4Zf0GvChaKUKb0kjtgjJmRAu1ST1/8+l/iHrGAa+esBF7tuIJ7ULH3XrgyM1121aN2BK7ew6iYFcWIMZbSYDnXAVk/kV2Zp1FXFbJ2KMVwwZ0NPVQIkDr0+P8/YoguWiZftY+hNPlzmcqXz2RSMuKNv7XZdGo1VrSDjLG/MeF2K61h+DpPl7M/Bp2ho3j0Z9QuwNrLI8tkdWXGKFPS2EKTl4Gl+LBqxFh7dEpbNzpbjsZzxAjbRWRw5gKxXGES7d/F0grB0f9fCrr91VsYeJfK0FFhRLLRMllOVc+snX9nvfEZCsoYzISTIhYvlNsIcrEbglTx5aZmigte7v5zXDsx7LvpdrWWCHC4+WwKhQh9NxBQXEQR24TaQUBLLZDnicA3QeGzF/C/nK9BITjVkNZDQV/OGylhH7P8VWlp3SDm+Q5Uxnz4LboUoQxFyAuTkdR8x6k4ywQTNEU1PJ2Tz0YamtlqyYM81YVRFg+u3PR5VqgDIUXKyQsJuXAfcZ/+Fe6azLc6IWgSlmK0ec3YqjAqXURxniMlaMFnQtNzsyrhOoCRbIzukN1wnSLwq4b6LyutOUYKpUcrvKFnNAKZVMFgrvod+OBXQ9x3LMGViO1QAG72YRXQHm09uwKRb4ucqzVErRlePqCst7Fg9oOj0J1q5W3Qo/IV+56iI2SCA2D4VBhbA1iUkWmHnBMbSa+nnfem/KT2YpWcmX/xD8S6N4NqKJkuBFCewqVgFlDUVrgUdlmqS9RUm6bx1yPK4QcXsLX+/YncAfLQf58iUfwH26WsdcUvH1Ce8c0gP3b255zs9ZSNX6pAY+F9GCgCvt+001tgort9EWMfqHQZ4zouCr8cGV5zU/HIVPHGwscw5zCjy1ugszRCYFDNHLpgIdq3atT6TFjeau4MSTXBABf24pXY1ZZL9dDX9LRjUSJzLUTOYrj0NPvPW8M1Z3u/YlGRGAqjtiPAwL/4CrWOJsuKx6qcJ1sf7gbu7IZ/9zZEeaLWWq3PfsF96sWgngmgcg0Ho4nC8F4w00o1xHhUe6/+2CGFIdVB9eSQP9J52L4Y1KBgpf0Rktws4rTVD7UjU5yCSe3pmoPP0mxDrkuNdNefcO4KSXmH7/JwC1+xDUn4qsZ+adDG0cs5k5zoWco1PrkrPoToPDQ6dOXw8j7avfsbgyuOToDH0s99BBlo7tkVypcFsMlXpddMhN3HOX1lLYID3YG9mwR8J2XfyG2AmPDRiAYClNzEkL3C490skj5gEcqFm61v8IALo3nwVBXTV+1smU1xJAos5vwVNz/rQ375FRSJhvUdsc9ajHHxkkMLid+WpDMpi66oVpf06yohIy7kBBNvQW6mycXSY/SgtWBG6zc8U1G+scRFx4wkLrh1HgYlOJjp+93HU2Igsr6dAT9iF0R48w918s4qrd+ahRHkaxOvTJGxHUoh1mjYzmk8JasBF2hKeJxeutNhzFmoESvHDo4Wh6nAeYdbkawkD0qk9Fi87t5lv49CD2uHDbwoNW6itZjmQwql7bdg2kfcKaSKAGolsBXFUpeoWzpllj35Bcxf9iEQSTKVGiw0TFxz+GoO7P16IIwUMggkxl8potdMhYabH+rzZTKZuk/qlOLXiqEcDtfR6RwoMxtp/wk7Fsm7q7mnv6nnjybaiwz8NaSTuasuyxc1dwbzkptMR4/d/4bzjOJlQGp4k7hyO8rl3FwgjgSnLEo4SuqseVAK599IvBIOdNA3Zo7Kk6dB5ylDAxC1jWUBMbmSQ+v2f8FCUhFuvLNSfd7wmx/otSPzsCTUWJrZPLfCeyYuVLjvMKCkijm4DgqFnJvZgMqQqBO61yQUxQcTl55PuVTruWNduBWkzPcOu/VvQRrtJtLmAotfBeTGM1ggjrlS7WlS0MlROo0tDWY1OMl/vSRwScCnhYoPeHnwxRQlmP2mHWYUc6qDHso9HWonjEv34JQDBhpcVeGPoFZgEvaNB7jubkBv8j0h15gkyiCjBOdpIqf717CAcEI9asB74M2IqfmpYigLtjxMQi2KSbnNn7uZ2YBKaSy5QzwMdhJcwHUkj7FDSuHlqEtm9Fy4TQn/YxMJZ+15/BMejDZazsp5DJUNFociNVRIGLBNjUq2G6se/Hf7nJP4bpIpAKnUtf3SaMxkmW4sA45yKRJgbzDyG4RTAdcR6OHWba47Om729sXD1pG1WEBBd74TM373S2L/D5yTHximOOEYeqGRMg8fB4/rq1U/NjFwlr7FLy1YTpZzql6OdXEBIm8FhCMM2XQul9Q6qXUL9vOilEmPaSxfoCOjSciN0TEtiJucDTihteM6Bjz9FiV7Z+zv7el0QV/r45z2d1rPSj5HV+TMBcgnCxv/P9lf+/CQijq3Z79gvG9XrhiyzzBNlHzxBF42o9ieN6n5lKSMffwz3HxhYPwfn2HHFsfLfwEHrAGgAzmVH+xkBwbLJyN2Z5stDJZn5hrzAwyIPqSbAa28M0gP8+pmAevF0aZMp5csACmasqvS7/A+4vzytjIvI/HxuK2Bo8VaLAxBOoMsgFYhjZquGD0NrIcEMhtJvpifuCG+bbBT77dUNORNX+OwqQ+DIReM/1bcrI08JavMFEq51so8/izV3kKykcj3tHEPa33HFAJ9kz0eV5w5/KROCGeIY1gVP1qnrAJbhLbdFrrZXKTRUkrtcrIfpJWmsvfvNmBP1ZIY9+EmnZpqMdR88BH3sGOjWv9yVWupUbjA4o1Il8jY8dEMBf9cb6zyZFvuNxXkemA6ogBiRDwx/XoY75+g04L4qIYgUrNOcBRKb853Y1jMpN1FMsX1ucBHpw0zqzLOvmnDaiemxR83hbE8tI2mHqOM2D4RNZEaLcRMf516TwDdpsGBI+wgVZn1z9BT4aFr3FDINrOCWNpkaLtSCDNtWKSccs0/K4bSr9Uw84jblQ35cb4KgHRqk9puNj0Z7K8Mn8liFwPhSvEO8Vqr62tBHvoQREk+zhf6/9mVlLRyHJWENt9dAsuHkp9NJ7t8rd8Qn0mAn8jyQr7u4gdzJ2ISkBCTfhu+3OLukD63XPzsustiLePhzLyIRoS7mlob47wxDfL1KRFD3mY96rV3TQcbgZJgzx+C/3VDrG9qPzspExI/bMCtyLW8rxlBZlJJJSQfjSvdrDQL1tXN4hDaafuLEBb8BIRjWh+K+iSbONyrp0bDb8HpJ1s5Vcapc60sPDwvMREtOvFf9aAbHKfLPTHSYFhVkaBpMJTE42qhfsAENpqSD1XLdva9WgdWccT+NPAxEx+p6UDJHRJL1Z+KdoYtY/OckHC3cbUrZAcnDZZFBIa/hEe5cOI4Kb5g7acFXeHh+oJeYH/jplcWhjffYlgJOkTjl3A4DKNA9ugrVSQaPd73Tai33perVKIzGV6iKXJZjPtB4t19CqD6A3VdOYNa49ycgEp5BZ2IwqH3KkD27o9cBYJyn7IlIpdN0kWWzHZHezGFhgG9ZbxyjOjD0RpflygOAK+/48bqXhTygYZFD5aFxtzeLVBiJ2omJb3nVL9xJAtxeZuhjBc0JKEP5VlXrvIAaD74EYJ0m0F7Vz/BjqqYMxYXYR1HxlnEephXGUYjClpGe0dlRJx1xI0M3l80cR1VtvN2YPTOdIQznKnhKhLL0lxE/ATtyOyuAX4roDAoKqsY8RIp6hVJgYg4es27t04okjCk6IuzIuS2ycJNvG6+lmwnF33K10C/kH1Cuyn++ijD/ouqVbgGDk1FIz7+7JQyxmavevbm2Cc7BNSI27Cq30IEkcFbxAMP0eqWfGbsLmlyPzVslEIzfjS6n12RoEWZNISWf85E0DoWPQM3ydlSR8egYUUCI9ifSAoP5c2vPMhIfrB1siCS1RLQO/S1GWp+LAgGSFunVcOxyK4IipJqIcULl8Ks4ckCeHEBG7OSaHCSsGLQuREfor0/pXBjZqSx/qMNlY0N0wo1GcB+bRP1VF+K9DiPUmSLv/ioFFww9U1CLymMwM34XEwNeRrf/c362xkLiRRFIsjTAxjqsInoDNupJNn5gwWHZnSEeR75NM6AoYOUbalNJ1HWjjfpdJjZuOKx7+qgy0eqCLptWTio0Af2zNMJ3CrQLJD/B38rrpAKHchhtcoQlm9wDWfAFUI0MPcKoRF4prHDV/bd3PBrQk//O7KdVuCXl5jc2MvqhAYBQtzEp+76t6+UAQrRjvQrVMptWoPdGJAckF2+r6aYN2tRKGZq1ORcxIUxY6yrlrhCuSn2Nc4peDXX7KrHfYPY7dH9tc3IDpnwsSPPpzJY1vMihbtK1bnu6Srtk5TEay89DHC/MVsRg4gRoojR3NOe4mOlMcZS13wpOBKOKlhmDRAoj6nLXAhvYhyCD0O7Ohym5RXjQmBTbrBMtSvORuejwUB/NsQz0CAMGTgfFGJ08mRKDjCG8JD7seAmzwqeEIEoLsvNWlHk1itU/mgQtWZoSklShvHfEBCm+yC3bNq/zcCyp5B3Ze9CkXHR0mzcqHK/U1EDAFSSzMfGBuWjkUfG4xfJTL3PDqTl+qwp8CMtBRkcLy6TPm7q0Bk+9jzQm7ztDn3+oBzmJU0yOwWNCf2D3LEIzZCjjm6+sLIKZ6wU4JVFdzsUr+HI0oW8Xk2fVg2KUmI0cB+plGnkxmQmrwX7PhZzGq/j2uB1HXLAX+lOIbax6qrLuVB8S9/odYl5349I5tqkb6XQHVP6TCbdZs0AKDo+lPGLGKHWCjdnHiYqdvp9AYZA5HbLBUNE+C0BfCb+SuSbfP1bGoUfXDWHKrygkFToDFSCyEXwoU1iyIqOwuius+uCwqOQvF7hQkLfuC1b900QDiRyALrckA0vIiRZpoEIPhC4qUUBqDePsLZBcTAPGmD1zjhfsaUzx0ECoTmodS/RR06CTyxKEP8eQHUJFryizMtVDdkNIXo93KEdr8K6ZcZ6y/MKDBbxqwvMCvmBSC/mObVoqg0YZoWjL9fACQtY+foG9uXXzez+80nu3iYMRGURsdhCSo0Ph7g3osjB0wlfem8s8JIYNat/abK18w+Zhx1UxVgcLSO+KvTFTmJ9YibvH+C9U9hahJ4zwIoHUQNN7pi1dmsBNvjGPsYF8WVmgwfDzNkg1WAVt02xnBEgpKjxl3bQX3hSnmy06/Fs7rHRh8g/FaEv2V9zuUmLLFnI1mCaTK+mzUpkyjMtKA4F5zcOh8sczjjuKoMeakZHZhsywRQx/Wvb66g5TzHUQqHooUEs0gy4H6h+4tsIIIzmqhTiQ34TGbl6jBd74iejaVnsN/7g/5q0Q/mefmhSIVDjA0w6Ftzwu0Tz+vCqPC+xXtxjtdtm+4RyEqXBSxy62cgDttCQJ4ylCy+G1qi3mFNyKJLPVlkuOfM/KNgM4IZEae0jSULlExiMWrQkMkWyEChGUyCKaiCmMLtfvl9T6hDa3R79OmCu5qSr4xfsHw1wxZLFB0BDJSdfp+lhyFCdDf5RD0BD72c98IEzW04JwGGJJB42OxpZYYvTtQgQ7DAxrQjvX4wth988UPaIKGuh9qkCvK64vuet4SpZByGmKthKd4TtW3q0MISDM8L5AUj0f0WKPBS5Sdb+P94AlxKHboO2nGHWG2ATrXCqn6G4EIcH/pf4QF55/YwJYL9uG0YAv68BEDFWmKV4fzWnRCCGbV0Kacrck2A1GrbR7po3hFIAG6YY7W5Mh01JMg+mJ3CzUUDhMzZiYRWvFgM+gZfgjLYINTY0buEGu6t8+WtIvW2+SE8KLziNR69IjYnbXsYulsEo7MILIk7GZDLWhvFqd4dlMTXKgzseuesfCYtgzF/j/t41nbiqnd8Yf8NDrwUFjO5TElYqFxe0cBNC+O26GxDAsmx31WFZsSMJUUjq0qXoXQpbFFfJKFgOXIswOuLRVmLNp2PmpBd6xTvy2pqKGA8ID4rYtjipocez6XIqFEclf9TEg8SQaYTB7lrQUaOpZT5iAGbYA7Ad1POzMsX+S1D6yHO/0qa42MpH03CV26iSRSvASSxZcVyq4xzqowhnMQ44yHiFewcXWeE647R3S0hTcByiXH+7IssKTvQtvhYZBIR0ntqQJhtQR3aAIc+RHTtxej0Rcqj1DIpcjOiGUJ4M0sVWqMAlblezm9bfuFEqPp/EON06k6RRilG+4sqd8z7heueC8BRcwXRHBdxkOxJR6cM4cvkcRoJlwEwYw/lRWjOLleJPGxOKTHGQFgXPQ7zNx1/TyhytgUfLkScEPaM6aNKXLNWdAIaDWQyzajjRDVioBNXxvRu0GuSrTDA0DsKJGIquSTmRXG7pWaHWUUacTRWVvw0pbdAfsjeoHK6aDIUr5dOV2UTSoGYxy0+spH9NVc56aR+3+WB5ngi2DKK/sLgYkJfJofckGhYqHrQNAPINLviLGIYYbIrMO+D7RoWdQrsy+4HK1b4IfW7yQGbhbgYcjNcpoEr1/RQfZaFdrgJUz2R6q3vArGua2QeCL5YczCsaUACgkfN4/pVvd1e9Agi0bhajuBp5QhuUywtmBTnSenok97smISP8MB2XAjkAZvw0h+DuvhIAB4FFPvQpifLgZJFaaUCH9NkZPvxGj9sIa/irmN8Yr9aolgd7NGrz6BqDE/TyRxQ3G/oRru2U15VhJxApc/D6/IZ8u2bczF+D/KIqFQp6zV/DzpqSaMPSoBHTRPY5tpxq1UP09KTSGxZ8iZoZ7ioMDC+6CBj0nBBYytli/pUDBsM+/sMZuvwWTjg1XHjIJI1sVgGYOyIIijLRythuTD3TwltrxS8qnxWLptYWwm2MSeL83E0MI+fO/DG1b8QJK8FUQPDaVHyKAm7d1yKgiFAIhelGCXQRzbK9CDAMBUXd3nBw9WPZURbA1Mq2HkmiwPwMz1213Ros4zZJj73Dyqg0Im7qPY2H7xs+J1ECZdJyBwTzS1cJG8QKIqA+nSBSgKCcmk0zlm18WbK76oEcjXAM9irxkPtyKC5SafD4KBT1H9Vr2X8MikhFTNCf6xkQLXlz3ImNhMVCon3PDHLGSwQsEDj8E2KYkOGhGZBTKCTLdHQFtN+y3OXvBYRg3U1Q1KYrmM2aZM8aDx8458KCF3DMgdR9Nyou/UAlqHAl2eICSTAx3lyWCl1aND9rsjwFVh6Z4BjyCh1YrreQZ0DvjzmLxNU15qQGXR+R569tY5bAyOrw+hOnAFvE6xFKS3xMTIKpw0qB2YQLUS+bTIoxhBlbXRyKOiBGjggBTp1KK5IzcN+e2f1Fqmd6jIWbuZJxJOUVMgJ+Jq8KFHODVFMDvL4cGIcC5seOSkiitzCB/2b8SWsNyJ2qRJDALwbofmeGcJLSXDqsdzMihQ/2dz4LzKJFUiIA2QSdj7BjrXST4Hc8Mm6xOfIBgxKsHVtziFAaggjDVXk6mEZZYj4jFMYvvso7P9QVv4UR4qkHOmDw+m5flEBkWNcZ4X10G0EHlszJyzhvg8E1NfbOifdQfQFa8qIZsUNtMcEMn7elAcbj8m6QTRWBXhxqwePIpW60rx1czGbCNuyoQ9oE1zD4cDn1Y6++GOOw10Kgh2Q/CRo971uOsbSgssEQNSQhXvJwTZ85dKF9+IUyg54EMnLy1tyCky4wJiFld7yweD7WYG5SSec3fNe21KBUQpXXGqHAU1laHk8TbizGu50CVY9xqRvsIKJaQq1TAzvnZlP5ugse6CnjNOSOjwldnMbzBLOcIZ4LQ2bcmVtPzbieVwvZvxq9DyMg4hWq0Lna/w4Lsv4ux8D4frva6Jb4PKqd5MEbM03fpLUQHlEuZMRXy6McFQmbDgD/0cg0iG3abG1mTrm9XPqWDLqkZUQq0D5DFVOl4Q/6vDYJFlMTSnp6/0rpedwC5KizMEbU3CggnMZGjB4NozQhdN5W025yM4IVXSveDCLOgh6ZeDyLDijKp/TtcP9QqoKGWDlksQxKSdqfVT4HtO68dA15cHGOaP5CEedZEV9UMguhfKO/nFF+eW9QS06/4QmMY/in06Frx94QViYTsVxFlOOr/KLm17i61R3ZLzpQ+gAimSFq4ssPArLjm0VArbClbeOu79jGhRNN1HkjO5cbrFgpCFy0P1k1zfR9ELmYfVltxz9RCMnkZnGPolts0g6M+4pZfcK/xzPbRTgkQrfIJz6xsiMC97yML1QHtG/wn7UuDIELinC+aRgWPJYvcgkcn57kxGZgyI9u4ckPd7ruOhlUu/C7hFfUAuxL1QlWg9kIPfid2aB6wICH7MoFijZ/+cQqvp9UyUQsxkqAdqiHEBtI3J0ftTPdarx1MRoqBkF/D8y+x5j25F1Vn8RUpTWlqMLNPj+Kqz7fdQU3uiVZQALIVxkq4R1LRB6V4USwE77rImP+BKnd7W178fZuA65iYY6hd0DEBtjnO6f30y81VmWz+IDd1DYXibY2dmysuyTdobCEB5vMsNgAru/GG4dJYCMqkYgYDnCDwFnqVsQz7C+Yzd1zTqN0S7fqAd3oJsUDneoLBa2dCAQLRdXqiWtOJ5sFFzPnHn13FUZVBdxvE0dtpWPq19K848lp8BsnbnwVGQgmgi1A9eeQp1YWLaAXE3k0Q5z+b44x3zMCJtUc1QUE6Fia8sb+fh/xIBIpeAyFcvOpfq2G2UmTsk4yOgQ9iDVzzpRJI/rDxrfp1pRxfs3GC0rHPayi16X5u8b50uJzCvqX8L1yT9JCp0N85v16IAKAcwbN5V19FuO/HDy9YX8M7C/AGF/F1CYcPTlO4G9vT1+04eT52wG8znBVffxzyGrNALe0QjLZwH2VUULL39AtkJFn1tvm0EUn+aH0hvtpf7jlIMAPFDLjXFxt/a2ieF1zuJCBsEkhtgUqF3s/kLb+LcmWsVmpfPdI2p1K0XfAkQpRYPC/RAUQ2xNt2fvDC+EFHdkiA7f/21O3hlF7vBgN8w2zgMR2/NGfruLxK/tEWybqCM9vFiZFxLLV2F3kF3ZIs5RwnxU9bPAY8ALfMLrYXbPE+nnFv8U/YlMV1q2K9CzpVxKsmibqf1YsNzmLN3fPHNjYuG7TCup/4fx5YUgYh3kM/GkyyKskegOpHFps1xs/6k+rUJfqx0lvK2e3mVouSGYYcZW4UhM4r2CKqCSufxiRRFfMUkrNXb+u6Va/830kGXmv/cqdfMJUB/Cb+qy/qP+XNmDAqGRCXTqKdfICIzF26IVIDweEVn2ghGXxw08GJzoc+pLCet5/qO+VX7y61yPKe1P/H+KhAtSGJTfMFtLHFPhwHWopur2AhZ9AGzhCz/gSi/rKRmgaB9EmFHUMMqnFJOY3Co3yy+jwlWpEI82sOCyDQ6aQG6gT+q10Hz0doYgzpT5GrSc9kT66dwtofTR+Gqwwtcg9IEHmTHUGfuR1yhcxAxUnyXGA5GD7Q+sgWsEoZFYzZJpvhYGEYNTbWUrNKMRtuBZ/uYSfpdtMm0JM6yY0k2T84p6CAG1e6BjrEUbntG3Nn6La8HTGvtJ9GDcG2FF952/FnLkRcaCWmyLvRtfEo6BtlVnfmXiVw7vhreGQY/EyLAEQVHs8ILADu6Mi0Fd0kbq5gcRtteDfLlVYL4DBB4ZCoJ5sLL+pjLU9kSuatWlEhk2tKGfntEbpRR0MOVM/ehgqkaNJwgabY2MB5Q2Jg6KmxuQ36khsalv4twFQIrKkijpAgX/YlR90qPc4ias95XMXwK0kYrl3LswCZFlAv1X8X31lJYQGa4WUbB+SbTuMSxhN6lx0+G5BGmiOB2RNWrTlsGSPUVnFWshlYoTdMODoqe/VADcNAGMXEdOPyKAlCOkd/+1kI+yz7DdMzt7LdwPfED+wxubBupZFH1p/X9SWP0rMO6xKCsz4wUdQOOZko1tsPnfEu9VEnifyq/C3CCgkCBWDJNVy11gb9JsesFB6Yjue6oOtNp2gD2RBjcYQk9AVcoqIcJPeCKUAAUZnd2ndRFAESU6yw0D8EzXImdQG1sExZh8YuroOmtGUK2bfZo2ijR2C4KBIKP6cjlkdvKE1T/mgzjSORbfkDQqJP971MAixf6ocPdTmPLe8RZmeRZNVx/LIkiWEiBf5rUr+lwAVq/mLPX18Xwq1TYh2fugFG3PPo0hCgiF3epNmTzga4oI81HMZfUgzNuAjODRx+MFtRuaUdepNN47fNyvGPuf/RDyNG1Ujo7b1ereT3YdaMbM5vMA1Y4YogjGxdW8QSb2nX1UryBzeHGf+V9FiHrvu5PEpCzhw7WJV03T8tCOxnBqf34KROgm8Tda5ruOtE4tRR8UOR4OgGqp49SUvVRkZGa94cwsQn90yRWbn6t6hy7OPT2uUMDly4vQ5qR1raDceSK6WmMKcZZLiltH2SMEuxCQuot/fruUKMNzMEqTCn1Igqw83kqN0foNnPYiertObjiV2Az4BC1nosotNDyo96EiA2iV4pM9iCdjtQuOKPZYK4DhFCn47tZtiI3dzvadakUr8YOT1NRl1b+qAgI/GFibI9V7oA/FWAJl6WuL3JNmA1pD7Qkz5YwAOyJnfFdyHRuZmoeBLAxTy5eYwoFCHNEFgxWnejhm2r2kJLXA9sxx7NqhUW2yXszTOC81ltYW7ipGBTqQs0gV3G2Evoz3Aa8h4wq1FsW0mE/+rqEafpm7ojymd38jZ+wVJYmgq5FFXUpQKdDApZ5Je5EUmw0oOjMawHSpndy2ktpoK+cPPLgyZHb9BkN/tgagJ81LLNftFqn3BN9fGH9071wqcxHIGXCxydnN/lTxflXeqh7//qjBmvqIlJL734Y6vu8GUI6obssxCoGqoU5Xqy8E1DYc5Ju+FkBDUaUlgbdwK8kuP+0EKbJNKJmqt45kEvJyU7IZqb/n4ghU4Q3Qe2NVLeAKtRpa5w/C09XMxPJn08XXykvu+GU1QYAWuUKyiNCmyyHZPm5ORpWX42gcQuA2T9dq5hshfQBCFi2g6dQ7qgy8SPgqQ+fjN3DZRJaTvKeXWooWhq9u9a4wlyHw3Er1ErhQ2INqZ8aePCAvpcmYOZKozMF8+Esiy11h6qov9FPP13YuKRefN6X6nlbxzYYhxDrh9LhJu+yfvhOm2QdbAf1ASUA8RDBofbECUR9KEbPdDKvNpoOdv29AXnzA88wyvLzHCPS+qho631tU9CXRXuarplNMhTOoNB91lWng9Nk8X3YKiliunzvvCC8L2vVCsZyWgtbBctewUmIkQLmZxZ2l9tu4blzB+AlkZ2SGnM8cNjnRtITP3HL/7etKvLcvKlNPh6bJLhoQDrL79nbWrJ18wQFpQkpZPsclALVWOo64jkg0JL89PnL/QQYJThcnQWOdn/TCpvTJ8uAs41SxosGLZ2Xgl2BGRAnEWFdZDWAvBz3dvzVk2UJ0WB6uMZuxWV2/Oq6Iv0biQwkP1udqLS3GqbufzJ6VrCnJ9+9l+Wig+H0OC819O+fQGrB0GgfrL1jqfHWu6iuwUM2j5vUAhl9xR6wY5qBy5moOIdrMAqQCUQAAlCroZXV/Hcp8Waz/e4YQjuP+qdIcYxSDOAwAYCc7pjpuE3ArUuiK09bF5vsEV+a5Zp0HfHl6Op0q/S5GgnWX1d8xdq+2BiVozzx59LYGgh6TpYULjitGv1hV2+hgb1DQOW6EwPUtkRKfqr5eNuY9yPec4/A6qahfQtljG8EZG9siZ1qXoJg2aUQt1uU0GGW4WcHPkUkOO+11qEhpa3KQBo3lHd7fXMoGgup7KgjEbtpULfLudGn7MQn2+bLw575KHkz4Hk7Gty0icvdS9ufZ2Our1l1h+Dr2eC4WR1CoKSUSiwbqnlE08H+RX9axHARwWc+iEbcXso/KM2hAnrXeOIA0mnujeMbMnr3H8IYat+bMuXhd2al/9Sh4w7RwhgseanbgCg4XAm80NBay+f67R7mZwPzvIavPdICCDv/sfbOKDCvHR0a13FjkcWdiKn6oHxbdbWmUbPdEbgn1VuWnXBDT+pRnpowouFaMXK4FIdVlr9K3FqSupKRl0fn/pH/jUDd0qgIKjBmTQoRqYSp1URzk59EaBlKcWSPwtH8J/dipRWLz+0GG5aGn5IKo2b06EhaSAnUeCPyHPvvL+Gnsvue71vdVN8adb0xP+4o+OjkolrIfgLdLGSZHAGqr9kn5uck5Ss0+vdXXiOLXG9X8QdHUbloi1gMKT7w4ZmG3UwwalKDS2wQjjab7RzIaNBTMnYTShP8SfK+JrrFchd+jxydKoWBK0/ZQzcpG9Cm0I9yjXoUZA1k8Ip7s4GHOi+KT9nfTxW7m6hIurlfL/0CiwEwpR8LCk3RXjTRrA8epMZx7McDkutd0cswQ9zuQjVD2Qc82v7dj6z359lmnPXuiDv0MzOIeFmrFqENSRrUn0z04wEKSnNXQytar48vUxA6oYAzS38tCPpV/7u5SLZodfxNnJ9T2/o40RdxbwBKj8SJrIW3lVgyoLCidUanCXdxkwxxfpxXzi2Oc++LSNMdmuxt1hnrhQmlxxyNfaWYsq1Z60OwE80uCP7iyoVLRK+dzA4zpdK/li7TA5hePT+wKjAEsJEF8HTwGPytZy6hr2BjoY52H2bGV/XXZaXFhEPnB5HXD3SrNmH9RG24p2wmZW0WjHFALGvQHJw+DBiFI7cDufKHTMQp1gedzwViJzMbZ8LyyoirGQDpdJFCA/jgosr5cuNopIIEpw4iZ1upAPLHcGjwJL0GCydwZWazeTCuMxwhpkI0OBF/GIQv0N5qRxXHR+a1ND2NBZKWeYkdhhRJRJ+sEmq9VpjdkLfkea2h7SpWWsnCDX80RA9Oapx4dqdhiuRZKk04hZqG7qIYBl932V0cRekICBEN0RGpYY8e1WhQ0wn/ygMtn2f2ZsHRABILI5A0mB1N9ZhOPg0JK8YaJmblO21ede1E+rRfuBSBxVc++a5qUZcgmjgnKWFMuJ38enF9Ufo5UMfQTWPfNMMJ7NUsC9kSQJGz947l7vSnRzBi9whw1eDRCHVuq2Bd9dbFUSAwSHjBExkyvgKv1txGS7yXYaYQKvqSG4746HWmzbaSluNwaW5iwroluWa6MLSfGbfU+dcXcIF2cT53sv6de0+ynvbjsUmoGaPzfkCl/xNGI3KmxwKfK/VKaiAgRkO2TFa63jhFs8GEkYOwZLQH/aUzAX/IHzoezxFo3Zk8IS9jARVEpWDLqNzM/O6oFnT3TKoi7jyUqosUSZ0sVbn7Afijia/AA6aDfc1CITIZHU0Q1Zi3A6+xy6VRQFK9g0mG3LO4/B/6uhAXUFafL2KfngUq/xDOCCXAuCjsXJR9/cXpI1RdKGsQZFvC0N5jlJGivoFtsSmT9j3QVhldS5Nc9uL5NDa57ipNrKjvrKXiYCjxaHeIkSR37P/ZOyBX0svVZjh5QFj1S3d8Wl0cCcR4tgYE0zN4OrAmq6O9DCe7pKWtcy5x3I8fNer+BZ36hklLlUpuCWiEJxG37SOGbEN03rwspUDMRFmtFLF9WWhWCpjhQY9VM+eJCNOyipZflatGhd4I1PAMpuWea1MmYUF4Rdr02PfuPy47wdxo/lWwlvqpj0gYoNUdPtdxXvv5UvTHGgDv5JtwJGgldkeQRWANuX2HpbmfIVVw9MXWNzzgWy0+Q2DgeUr/fDEC81/8p4Lh1TeN54T6ApBsqAREi5MxsJHoTJLVnoJHv2/CLiU9gvuc4cZvwbLCmPIA2T5YSCfFB1gKPLbVkW0Hjyazw8AYwaLWFx4ga8qWDGxUt/LOcmlLGGhJa7MAKmP+cB3z72eNwhgAPjwRTDCKAMjHMK76nWx+fnJk8jDNZiDZLXSmFkY56l0kj7ofy88/4aCEYmCD3shjiKGN2SL/3h2mRxCPwC1dP5y4d2oWAbYlfAGL+REsLf8FyxaNZ+t09mUApEdwqRG4W4XdDKg1X/vM+Epxu+Znn31+MhkFkHbt32XOQ7rpf/VPoKjkNr+KJG38ORN8KYHCrrYUpOIKbTj5+jPVCgNlVQ9/hyT4OptiC7d8idADRP424Z49ZWHOKYAkLL1l68NYjFsuZZxCRq+vKYCMVIszBx7sbXj5VFMyl5AUSCFq+h61XIUym+SuoQ859NG/XjM7SrGcYRHkwxvdkKadhBsE+YgoaxfBgNVWJA8HoO3NspYkZLWvKAoTqCG0YzmeojUiwCZ6/CX0YJhjiQFJQRgWIDrqueusVghSSOhNPxCRebvKWaKGvsI4vkpzZTeQqrcC7lWOeMCo8uguWE73+vAcDhmACtCsg/lucQJcTpxO5W1FDouOrJ9Wzja7wO9mNYz02cg5wB5VRuydKTXW6bxJu5RfLvvUU/f5rcaC+WLHjNnQCaAQ9c+JA/xtEAn1TUy2CzUbo9rv57JvZwFFPJMYIsTnJKsx4aRxFtI/kliyb/m6FC0mPXqewkPkG8s7TmBeVgM1B581H9LVP3TOphJeBadH+nKTZwvUzyjwMwIPmomdVlo9yu+GNAbl9IpOk9WcILUlfRmOCyBbpdEaqi7s7hi21trR0VD8nnom8VO3VrOlsldr4XnKRUUnlF3LQIh7SsxEzzwRSr7Nl128fIqYZS7YFZGeh+GaTTyihaFtI0tZhJj939Q4UbUE+A8qRup+qdBkZjw2XmIMBpX5yEmn3AbLLWzihsC1lu7n5/1tYzZzNMYH9u31cflW0L5UZ1ZvhRr2P+9Iq4uQ8koawwG9xBroG4Odobn0pbZu/DFxUKDqyeobt1fvtEvMWSlCi/r7A4dxU75faAxFSEYYFwN9zIlxRQdSJZ1aknu9iG3aOhHLR7WPgeVWT3ap7JSNIdctdk6K6HEEPmlA9DIoGZyugggQSivL5dvdivHEZVsFvhkY0DALaybZL8LSlcfZxrGrOaOXUw4EOpLmW945jlrMM3mHvktlUefKJ3Yk0TAzmX6H01C0Li88RMXNeWlA0f1CbHaFRh3RkakaIaqRfbE/Ic3M1rbrF+vMIYSsJXJwgBlnU3wHtA0kTbxHRocLizqBa99bBNMYObCgZ67Ewi7pzLPOyRJIpHdYx9o70wOuPsBYcgbyE5mP145BAbmT5ILpebQj6oYmIYZ1fHQTXiOzdeCmrY91W4vzqHHuxCBaKRDqJpXaHmDPLKDfXls+OrsxcBLCbXMTXCbmT1BlntPoFbU+miQdCWW5oOBmNGfhvHrdm+xB0cRblyxovCjR1MMxMtdMvNrNtHaXpVblE5YtRgJDKbcvVfZu4//fpIEkUtjfDPrW4YzZyJ7o3SC/mJuHnjFWVD9dC1VNMuF4ehUpz4ooZIc9+VYhYCzG3SvDRHLdNUqrrZ7s30c8MCoJdkMpFguOxQNZfdlRMI5Z/7E/o01Iye9AM6jIP4nJZWGn5Iy2Iau64446ClCUhsx2s5ZS0NpeZiYCXdcxX2Ev5OJcQJSSIi6JJRhKtKCL55j+ZGG/I6/CW4AUM+RFiLQV8269uCjcaLhRzGmkHYiK9VDui/Vu8g8uBRbBNAxvo2fmxTBqsPqhDUIVP4tBFt+xXs4rwWFqeOykqA1qSvGZXxoX/hjXABS/Xh3VCMIIQt05cqBt3CA4Pj41ACwMBve4dKlrwxPGCoKP3fogYAqCF+6V/zFyZX/JTr553e5F2VzPgehCrmFun0sMbdq4CsuNSy4pPs4TcSzgWnrzo+03BUqlg7x4lF+LmU7z04XI5YcRCI7v28N3OzK9df5HwTwbkh40Ces7Yp6HDTBdItBnEPweYmeeeTQu7Bsnn8I5yUQu7SkOXIVUmdXNBvU1wABlXUXABR4rF98N4AAMpbFa3ZAfHOeEZDOyWy1OnacaAtGRJtqnoxCZWbX2yRjuKkyIORJiBLmFwUO1GlRru+TS0IN5QC3cF+gkh1CkKdYIkEQBDBHwR55IIKZQ3FoZPxiXqhV8r4zUNx7IhANx2X0vuZqzVm3MdHYR8tKQ+h31Gaiscj0ey0mtgdNagnEGM0+wF3sJ6MjHrsF3xW8YiS6R3YGwwk9OuvxGWFgj2y3g/gyM6KGs1jiQcvS82qsnmLPdLA0+pI5Ssq0hAEpKEMeTYZMLylH9ta+NLqIvG/lNzMSf6CH+gz5oWcbn0LZej3fLlIg0jItoJRuZ1lYVVXPViMnbjvW+/ImG6r0Hx7ezZ0jXmYsrKyBrZCfvdN0QCRy7EVNNDYsCaKBbZz21HpYDP4ws8GUN2Jp1ybGMiNh7H3IpV1u6FPlp64sjKOM70L7+IEkMZwIjsZnzoVN07R7VzVNSAzWiLP4Q09q+2Sa97Vv9kWjBomqHQFwDrMFWrRDyXLSi9qkW8kdNaa8duPzr07je5Tx0bmHM2ToTvP2q5sDTEAMcxO0q/mJ6j/SqyKgtKLBiEhMrzjK5+1L+ykhVKyHk6IG9Nz79P6N5weGqNctWH0K87Sb/RGUndBxc4VdAktQZOVlkA1UKAIA+ak7Bwlv3ZGqI7ui7ADAYVcgU9jcVLUokkFgsJ7M3dgP1xhFdQ5gGM0NBuq9e+pR2OQyjUZKPRRf7ycsdbV6zI/Kf7IWdNPEAUqsYMecKbAThnEe0lvK9ZXlAkETiR+csFqg/0/jE/To5j1TXbRUoZri6loZuW00vaEhTPFKDU1pIuUbmgYd6OqT/halyEzCRbTZOjDbM+wwev2tEOC/DqFJyEGS2cxhZE+kVKeGG1H8gZ6phzV5hPXtVLpRdKIdAG5aguBoUmt3A/8+vu50gLT/WlQMKy9xLfL5pXPJWzjy+zAmBkOlGesMWlP4ZkJO3OKTIuPiKAr6c5Mzcx5edcKj9tPsxjueFfXtluqyTDuoXCAJct9BkO98cgQTQCut6EL3w5umKn1UYY7Nj1POAI1C+GoPq/0It7ufdU70zRff9Xxs5W2CEiovVZ5NQ7+SBIh/VvBk+rddSrlntbH5xRNaoNlR6FEBFMFL580gS4BTVeP91f+S2Ra0ZdlqaD4JzqjJnZIamHa8oPnHsJanB8RipDHlLpxyVaO5g0cXCookVcH/vN+qlEvpKUwzc8lXln23N8WW9fh2HGJwjV6ketpHEOb/gBFpBQUf6+wN3I9BKsp/hEurMcZwtmQhbo7HOfveQVlFmIaGsriVIHhtgrtkAGr5nB71Amj63AktxdwPuSU3Y+6qI/KvxFL4ubU4TVlCvtz/I3qGb4r2rrOcMNbkqU0TKVdWBqnZ/WPyupx3iz1kMzDrjEDknYf31bXDdrvWTNpTZVUD3nrnPVfCxQJd+ekhXAiV3Jzas4NriIvIFBoxJw77M9ZJDADwVGetzFuLX6qWlXVvdqGjYpowcaLwgGgOfEkBpTWMBJmjSmMl18ntEMt0f7RWXjxY31JuIQG0t1Wx7a9cDfJhWtcWVnJ6Pt2BmTEiWA1H31rPqiS+b3YJBGNyFLpIOaaAHdaT9ga24YoDoDtN2NoGbi1wZkpw43Igap2sPNV8UC7bdSirgHX0p4IyxZSH8zCLq9QoJAMDkCdH2kgj+wHvE67MMCZ1NVILMIELulVfi9CxoLThBbwGnYsT7E3hX7vi9L95j/2x5Lopn0OQsz8CNirDcIBCy+MX8ytDJKjZ5khvUwPBT7JdQF/UIAzhTAm2DgNPLnb1ar3X8Rn7NXivwngZwxCM/VDghxXNwbM9ohpYBS3UYdbG10+nQC4tNwMmR1gu/fhkF4FqEW3enq/HlwXIWH8bRcWFTyiozNhOJ25NftmMoW2iO3Zw7MA7wWiclvXgXrI2YW2g0hO1D0/zCV0CErrL0HGj234N5e2svbaqKxmvaTkOsCMrsRO3+5iuin7AED1EBGIpNqr1ojvgRZFjSKy4DnWFO8tqo2mpMrx9r5CVTn3P5q3BWjlyHzC6nL6JbwRnSkV2vT/+jfsyXoCnAf1QgIm2wVGGAB+jhWbHvS/6AHjMHhXNfjbh/ooDlp3OT9O2FFPyOv57G7fbXYrZalcbX4dUpzI27y6VQWXBLflfpIMA3EgkJGo0xmbQgEbMl6otmc84shGhGLf94tSuB2ThD4rpSPI+so1iVYAKn6zEFTOEYtURrw+s+uwANTyWcY6UrMQ807CN91kl+2n9c9mlAgqk9BcTRT2RPsXosTKCmEy2UsQtDS4k/W6F1u2uxI8yRM/XJQ3vl3IvnJHx0mRTXIkGR4jIKtPyVvPnkVfhcayuiIE5vFewaBe4lteauSTNmEiftZ5qcMTZ/4PgKBobMqV3bfkHf/APTdMLF3LJxwadi+dBjPRiZV3zEDZInIKktJ1JRrBx0CCXefToOHEmlqrBdomyYpPLsOOjnR9t00Fomgi1ZL5d8zFP0ZPNW/tgTqjP73RBq2yfOT85O1mwhLrMLFSBozfX/bvqE+mDKgol6xgqiPTSQO/+8rgvgwj6+DDRxhBpsWsbEgt9AjwLlmYY5+dxRdK7vB18nZ5Tv1/c65vRUllh3Sc+C9aaiEfLR23kal2tGHzLTew6t+46/yUDh9O7XK+AJaKXQCh1kU0OyhudAA3XVaXUKO+bh3fYw8YMJI+Dui3p+8B6PWQVxnGQvv51aBq0HIAYBGCei14jpx3W2xG+8mLP/HcK+CvOW7qKZbrAVuX26/voG2/GSE2lzzHFN5EEp4hJKkvbIu2ynkirjyAciYDqIu8KHg2VyoQ8od9ZuSMhWSxou5rQkMtH6pIHrR5/1Pd7quue9q5VNw001HqvZf+ddYU8kIaXceSFhDYBeRR2kgKY25kz3FCnVrMhGv78y3X0S1roTNIrZO8VIjgWcT03CEy0zk+YSmQYmejNLGlLAUnFdOBR9B5o8J10m8GT/qxnxZZTzfrHdaHho1rVlc1+6nNx9jAJdUKnntu5clY/o7RL/qX4bYn94BHeNZeOhi3cOXgU0kXG+6nm8SsBqEOxlZt5gTfT5A0CQNP++TZVNXKBtIWkDMyudaDAOlIePPvnSjMmZ4ajABMoDg/41VtYqys5N6n1timblk+/Wl/3rQIyA6AE6TclTGQn5wki77uImSAOC7bfBx/LozsrCJjrnmE9znMrwAXScmrzOX0oqbpF4tHV8ZXL0qjgiT6GCoAt14xG0Tgkfutou1dbklYyEsvTsoK5zmDCHXrdelYvOu7pchXAJ+2AVk4aIW5xAuVZpp6bCxrx8L5aosR2ZmGPhOMSa9cIkCjx9AhoyGvOHWiONvs0BL8iualVxfOjgwxskKIN/FCCDOQqCaOHQtbtt618C6B5CkMRqecnbj1cyGeKrMBg6hkNZryDUv4y7giSR93hZ7aJWWg+6UwbCNBPZO76MM+NMhEMRElP01z8agi9xdkQe8LC/FfuYHBt6FgYse/rgd5f58sj6aojjzN/+HzRxyF346EKAkIf+Vrb0IViXBD3xf3GERpNR13ejQoqjhgbJF66P+On5j7L4+cLSHjP7w9m8fPTxpbK0TrGw1++o7mYXLJdDmphrTGlDqeirep3OpHfxNwQzs6TlOPIyi7Kvl2TOHotYMDu+mDujQipYg054DYzd44pSb3GNVGAHRO+6BVSJsx+A4GzdxpyGeqSC5rfu5Y2abapq9qG4dXmB2YZbRwsNt+CgAt4e8OceLapHPg9m3NG3fpFp0VBhObzCMYi8jWHm+KNGRxNTTCx1mQeIcI8q7tzvEC7cVNkNWbxMY4t/cMAK0ix6HBoXongRN/g+Mwq9//w3+2V7oWjoNTim6yLq2jUTvVXzYL/2c6DJpyX+5Vw3MF05Ql0IiuiYmjRQmFB37TL9hOjihCVSw3ImV3KUZRnCpVsvpA3M9rX1devZ2A62kWjqhdp1OmQu++hrDH3criwcNPbP7CP8EyfGwwDJ7sb5lEjcAwFkAYDSBj4jgwGk+R9LmJjjeYc4ahAuvAqOywAFetm4Bhf9P2g2cHg9oig07w4GN3OIka14p9qNlcezOCEYcZvzZqtciDb69aMhp/hsoJFC13jHtmb+ByC116jZ/dSYaGiz6nIqaXohyBwtP8+7h+YwrKKW4kTg1Gbo8G7dCXRxYTFvEVqRThykIHxMZt7yQ5uYSd08dsR3eC6Dk7z15a277DDQhngfzGtqrK+0fZ2Ptt1q4GxEA/7nVY9bBK+N7SypR18Hh5Jg5Fkw+/o0dndKY5vcAJ3PYbj4ng9JKEOb7B+nn5u8nD2YOqrB7o/mP2ddlwfGEQMFlQ+Tu6Qseezo4QgL60wdUeLFcLVpEgGMi0f8RA1AjiLCVMPCR4O4y6cRX4LwMFRY/O51UZ/cxAB9STur3IfIZjQV5p39c/TpMwvzwwqyize30WM4qqoJDvJRrMJtZ6K4SBaHAx9dNyYSzbH4apCmoCjkwWLlSkBww/6s8Nc8OVZkoQJALdgY2uirLTMpOCIWG7gp8KWXnHmT7iuAFP/JkfMZSNhJpCNYBnBYKQDtOpkD4+QXG/blkmWL+d/Zoqg6G/HiFXe0oj1prBJ/RgkM1unH9BNCJ9T0jVnUi60zhDk+g2mGOqLmlQoXUmPi67CsTlFvPv3OCgCb5gyCivvgE15rwoOh+0pJpFT17ATrpHPjVdMW/pT5Mc9NNDYgfPlDWIgzTyHTwUkiPgQoajHr2PflFwiyMwkWl69yMoJN/cHxWo6x3xmicDZsJX02c56B/bKYEYghgd3qFXZOlLlHpfjFZKaJ5JQBDUVR+pPA6KZd/d2vjLqU2K3qGwl+3tmX1UIvoSz9DGt4Y4v1F5KarIApWQJLRwBXiTZglBMSqcyBaxsFBRSW2fgpkRlIChAhP3Bh4fI7mfPtxFej6FOmTS2ytlzu9mNB7SBH25e/ZUKv0OeiBWkrJGgjGxLewPNEZRrIQR/LCtHFDgUj7vvfyCR0CLi5PI2pXO9hNDgFT7ShJkntcM5bV16tFmdN7Ip4ZjP8JLRHTuCKjDKTR5RA3i90ZkZcizVAAGfvzEXMO10RWmAFRRFTodrU/psSMmCgBmghxaIVN/bwan7FkZYUeF6/tmI2hUzJ+EWl1eoN41Z0avqTk6wGkDiL9LBKGAeWIzNHaxgcR38Sg3kDcq1WC19W677RJGB8F3+La1wzWs2EAYgRyMBJFxDlxI/oUwKkErsr4V43cvgFEhgJRupducECd+roahWa7j8DwSWoG2nNtf4e3tLpaUadGFnTg0fsq9u38oG8hqDh/9YtpDlHOAuw+bGKsGBHf+nVlMoafn8J6Gts/H3SIF0YYsQdNPYAWba5t3YBHjt8Eq40VB5j1cYPNtyPrrgkLCUSBy/c13IfbAzibWPBLODahzvaJ0Q+v5100AwbgDaO/n4i/98R87KTVipD+QXEDdWiY/CErrXL5tuDtyexq+yhSUozEfOboOBqdsIZ5AHXnwkDEIKY3vZlMpKis6blXlPFoh7Sq9IOizjtqqIEKqJ3DMQ3H6UbjL+kkigwX1SjJdgj3hNZppe9dgCqf8vDnMchNKhGefQfX8c4WLFTQbyNR3z7nUVeSPuXJ6m2k2TLzmDZzs+uc76XiT6sUfeS3KAOmPCzb9dq41l/O1AYx4ibZC7UezdYzHuR9guyMQQxSnw0Idzo2oo7Ari0i2zwwtLUaASEjRWCpgOWH5KI9DWOnwwLIjis8tD/Bptw4qlqrhzh5O/TJHxflfiLL2wbFz2M+0XxJ4cYx1e2YWqoBkUfXyjkpcgldRVi4iHKYIDmZIRCgOUVZqjV7qYvHjJ0mA4/Ke7VJ1C/wXime5oQrL7YqXRuSf4rWhjAMD/dVEdLx/PAiX8mmUhYVdpF47cPMzK/tn4u4puLusm/Uvc1zf0FzguCGag7bgFM0b+3op5FqN689UrTYkVtgpi4QsiO3ZT1UJugxEBRT4eykmE3MELNbEUepgIreDgNqGdMfELD5MLsbjo4+F+lKs6VAIEoTeVXSLTuABt5W4agVOFwp6qEfbODe5my8+vT9j+t4e5V4CBoRMOgNwRxqL9cnQ6qcms+1wXl30047zwvoRKvNdk0//zgpm+MPkiVGHLOpcZwxS/sNRRDGM2CHgMYzIIJoAFqxKa0PgxqFscycsElmkk5PUt0YnAQ37kFnDkyAM5KKnmoju9I3piSvbpAtv4egTndW/9RgCy1IyKMlUz4GsDJE2ujtrE3eY1UhwPBhHM8rTWQZMPU1ObNzyktVLh2aI49+eIdivlnKDrP6rgUxEbDAXJ6Y3yiuDpj2X6G4gA+M696A+rEyaAb0/RMcT3J7kvGRVDNJtQJrbC+gBGoD9+KscewoBtOtiG9QS6cpVZRk9wBuV4bK5NIr+pDCn/VnuHkpvktehskd2uGgrkIJtF8UyG5INzH/sOugPmJI/6UOUZSYtKMZBEvbPEQa4+L1vA35jTyEAzFDUgdVz+iHhAYQEob/SQUo/tKaeuoBFFtYq9WABwR1A09mgWF3YdkZPWVbZzQDlvx8V8JQuFy6OTsFULJXGyhBq/9pTrwuSQsPWab7RHbKlIhzVhcRnnHTS+yfHbysDmy0XzBrxZLvijmoNIgtg9sLtOfcCT3VCSvgsYvF0Jj1cUUJM50yhavpw/NGJpu+oxpl0/VGWJwJzss0ybGMNoXk5/lR+NYrdTHJ5TjZTxIMMbQfmY35i43GmJVQ+GYosOPhHx/8o6C+wY1zWYyYGUVYQHdfbhhtTLXmzRH5JkpDn3jkBOXZsm/uY3wPVEYFAyMJFPxpUTBsbu9ejrV/th8bZzKv8ofjdJLuV4Ikh48qjuKfgIH0GM7i9OZlaNqHtatbtgbzrOWMpuKwDMk/RBWCaH4xgRWLoxYxuHDjIUl+edIPXk0qlS+YtnmXriTKR6OaxfhqcZBI4ula3+kRn4w8CAyMQ2JzU+TcnjjZiihDTQhSmw+yMgJGKm3jvRwM3NhYCeFP4gxNBg8A1jLzA77scTQDGqQfZyFq/EXJcxVvsBu+YzTiGQ6PfkrGxzit9e+8DqJuV5GS/e6wZNHEa0qA0urFfwK1nTyR4tk2vfAshuIRKBkozqtdBMH8Ivynt5ZGYaVvUxGzMoJYurdyfGoV/100F/wc+11w1PYNPdIa4Fzj0IRsyK1sdkCZy91WOoLMFfS78C6RlSKvDvesIY7WlYhDFRLb7C2u2DKuCFEFYdkxcOI6CwLbFHUY2mpWCN24GALNbKAUxcrgk1tf+Qn/kQSRDSOm/iURv6+TFiwPULBPY8kMzZs8YHEEnoRa6vrJcdeWL/kasDyLKpwEJf+vT2I2j8olKtEkBJEoVkJOW3eClTR8vZCRpMCKdGhjyalAhGKQOUUkTT9owWAjdFqLFg/hXMCrH7boHuSmqMnfyhnFCzwBMj5lakrkPHpnuRrDNfX49wS7ItWaoFY0tl85K7+JT0oSvFuUGHOzWgNKc7i5dvDMj8FZ8nqm4QSNZBKDsEp7zgDojvJlJ7ZxgEpf8IEBbYW/cyr3U3CrsBae/PrNk0MZTj35yli9BkYHA3FqRCPkeA/5+TmX1qvdZ6zxuTsvy/5LoOBqOE+QDoK02SgWxH8Luk3QsVaBiOQeSb2T7PIIApum77T+69OeZ0BnfDmciXapW8F9orJEwVTbUq1/pLYXLJf9Gmfl1fdHKYsJeFpq5r9LQhA4bvG9QCmxtSQO8XLBTgQI885qwDwJrTST7jzc/ih+RkpKQBjgkZS+4rHLxU1ytoj+jXBs9VXd4qy/is+o24sB9yVShMJJdPlXT1RqpZ8urURZrS4wxhTVDMz8BD+XPp+YtW8GVC6cmBpq9Tj9PoIuIQTaPu3nFklPPCsHqkiVKo7aNE6iiR5diiosPy02JHH/PQKPhCy2AsRAuoV4s89QMH+H+KqxQKla07+Xl0mxCpEZ00yPsHckVJLC+L5Xp28YbMUtTaTNKp+1wP9f9MmMrLLxp88CqCIqt3fFDUFKK3UKtxtBUJGNhntoTLQOW0P04lenxXztGf2KNEWdsKrysmBx6oFKIztcvnCuBQlMxicQZImzULkRb7DfnPhCgoOPE3q4gHYmIHRFBourEXkiguf9P0qOJLaedaWah5WE+JmfdvxE2dwlMPKTgmWPNHCyujkULb2vI29WIUqcbO/y9xJCg72cC1cmCZDaFbzsk/BxqoxQ6QWaOmh5oXD7KBtjbTDxl1B/m0+IHWosDsH1nMdTbKYUnmPy58Z0sjb+/eB5VJQXQa3mET7jCNydCPrxSlGW/olMzlF3iucLB0NdxzSWcBabPvAFDB6UFljFT3E96Eqbolnh1GbwEzAKtMDD2DBigxIJj2x34yPS5MR6AQmIMWPfMYgCF8teTNrLAekDAZB242LfYc2qGLM3ZwkxzpnBTI2PTkbibKMPRi08pkzyeK0wN0dRFHUCrlI0CoibJqRqkEPJkTD+bjjjVu47uIFxqKPXWTG3vpogkB1r7fsb9ufEM7vsG9weEw7/GTPQARyqFWlJoKQl4BWODWK6Rhb4kL6ygzktdLKrM4bwbVi8Ioa4v1jXGGmMqVB5GU7R9fgAQSJcK6ukJMC1QI2kk6vnwneBRLQCiwDrcKWS/iwjS/A0r2E7m9VV7r0Tyqe3ZMXSpcqf70xKRE32NNWhX2ZQTnhBQv11eBHsQs3qbKpVWJgbSIq6m682Zrc4CxQCCLflKRI8j7frUXh5mdxI20RIwEPhzrogNKiNaMegB7ndKp3knGX1mlcKFAf7wb1WtlX5087ULNB9grN/wPvrV0w/UvnfgsKZnmzX1PkiICN15l14fNgFUNOKKVgZ6k2SH3grNQf+x5jL1laKMsdW/aQrKygfH/D/5XSwKkE8EQEmKR07latllNjtsGfM6Qg3pysEo2xDKGpGclZm5sU0gl5o2VqHbx0spN4IyOae5EtqJyvGs8COh+DIvrBzlNuQLsDnXeBbyJlT9US/K8u8v7UgzqK8AFwOGv6qF3IVaboQ+b8uPweY2AyLOyLLiBYGeE/roV5vSk3n6yKf7tvhT/3K4wjgYoebadmEwavC9+lmoQ8jnd+zgQ7qugLE9aUA9H+1Ftfgq3Y9UWk/KuDP4GNDSnR9UeVqWRkDyp9jQoie1VdjVrHA6+4MpG1goSsF+3KCdZ2KYkGcEydjBNtQ8lQHAH27ADysTAG1AmL75VgPT4lIBxmZbyU4APnPVqKtTBFp76IJD52wpIUWhQ+8HcvTlgewt0Jy3naMywgCqiBxO1TaxIWVJ3UBpyhLUMVRo2a2OhXgqO9WjtUcn8LNCtRuF3ZbXja3+jnoYyOdVzFQhynREuV4T8MHM72UPvD6y2YdKX5zXryio0D3ZApOEh+YCZVblA9I2RI3PsiWv3/bxLPdRCEN2gErKKJsImgLMu1CRVuPGohcXAGIfqvDmN8HA1B/gwL0C9IzG2Nzg48M4hJSByCICy0AkygwaokSrdq2/72GEtvHVBsI7Sn5+cHpHEe2rLfdF7AROVxAfCTzyL8mtV5lOy05wWnMOyD5GAwbZTYlXJpN3FwT/V5zvMP+RMQKoPqZWyg/Eer9S4oV0mU0I1OJ1VBZkmS5rC20uUeWwDKa1bRAUYY9hzMpZ4+kbu70r3QNvIZT7tUyhh8wwWgOACwl+fpdAXDi8xTZkPrDKMdT42BIJtKmTegHI23lgQZzFhwnFRCcKySxZxym8lNx1cn1EKcAO5+B/kFqCm+qo0zvhQzrcEL9CIDW54UZKvjQjgEaFrdEFNJn2cGpEbgbLyikdwJUUCPEBvWprCQbCimUxEVoX6VkKEMh1hPuKQLiVLhJ64qL4649GKHFROKzIgH0aFKFhLb4BZV/O8PqDKY2gDWdSu/SepruwHyTMNCFJSezCwn9nBePDrOBJeE4UygW1LtPECpeEsAHWqMJMPKuy2NJyXkQeeErtiicKsiFa8Vai9sERE2KAoPNUvQdCASDeIFCnFs8kA1IHvfUnxZTF9mJutBEZwgpB2YAkEG8vZQG/rKSdrEdVSKU2yXWjigItkZtAE3a+FJBplXmSNE7xphy4+wkGbL7DzNADzWZD7LUWQki1zlXaDcOxWVyFFo51tq0QWizboiUBirDIx/e2xwBTElh5ETAsBgC76XC7T+0fKLXZftmMdO5mmHpPTHkm6aFljjFz1kOjrBrAq5UYYzA5aENFywBQ+u0gu36P4DWK8oL/E9VzWiRKfCzUI9ze/7uXZ30kIQJwxqDHF4tSL0ea+aVreHoQhvwogpq71wOh//ViDDngeOOm5ADZQbDK0x+qnUoeBZIStV6gUBXBNHRnlr0A6ciuvWYy+vDqMLyUWzb8OaoOD7B9Xq7tkWuFOxAfYgxKMwXf1q02WfyYSqaEsnWh2PnSCP+EoEj0fU59Is70IR/mowkMjt8c84wsOsFalDLKr+XWr+cIr8PD1EEsUwq4dag8QdUfV/I5EmdwHpkdEPcERSNAc2gFSFWbFNlkugpUE0sZREmuAFtwksbxtjFCfJZ8aSlVqnYJBtglEmccgk27OxaRJ4Qxisu0PEXvw2LvDbLdvVGZPUtQhCiJKLHOEsp6hgMXnSxjtM5+qOiGBIpO0NCEb7609rDG2vJm/zbEGj/bb4FMxsWT+FRDqibPRF6+Qc9XolUQP61hpMDVCB2IQ3RcyvPBHyYREd69yAVbFAUNacyZ/JDhNTLcorQrbWIMWl6bbfw/bEmMWFtaK/EoMxQ4GlQHqkwgTvpxNGqGciTvdWok8ZfULwV2sR3zUCScEJoXN24yUb1yFxtpyBz0h5dszTq4SpHI4Sgm+ET2fbNJqmA9WzAGAeyWL5V4sgUhFp2ey13AxJqJ2LY2sJqACiYEG6FNiLLa5Xunq2EV8ixxlWfkfimzQiDnmGbFRJAMKRwDrxbB2LNQRaVHRiC1DaN8YeUka7PeStZZYPKJ6XWOJHNBaH/52M0illUWqJgmQxD/ZPVCgMU9parXZ1pXLcUMk8RWm7k8YcKRFkqlHGKqDqcikVscxf8P4oIVCNGckqh5jnkb9ls4wKCpaOSbMET6kdvpDQejY7FS5jMmKlMb98wXv5Y4XdLIas4zOUJqzhTFMIcj4PzXubNtcvY++MeiyyLOcX41Ia/U8arDMNA8gTpO9cLVsNmnJqENURMdPFSAAIQl5MXMp3wxl+WOPLDfvzDjZ/9o63Q4n2VQVIy10ANH/EcwbEryf+W1F6hxDUk9UIsPaYYVRHOgfYCjgrnJifdf2J0v0hiLqKfM+l2pmyH+BaUaJciuRXZa5Ww2Kdrwlx3p28ZYxBXpJX+Rl2nBMAGqM0wLLt6Uqg+whJxp6VIGqi/bTQleFF68ABDxuO78xPABwXbY81pTDMYTeiRCFjICowaqKLHdIaxDnNbnsyZkj4+wLZkOKVxQrjBL8RO//ydPZApKFJvF75PeXZOFJ+U5PoTHRq/pVKOdz/yeaogRq5Sqca9e0fD5hhYyxExPYBeNCjvQyQJYkCSD3CfY46dopblSVM8F3q9cvnJ7cV1TfKWwZHyuLkaSgRd5RrdlimW3dIDA7io5yM6UOFBV1gUWZspv5N7je8zgD+pBfy5i27o5YQcLPvvWtPvZU3p+5QA8b4KXbmpsdtTKI0cFhxB2hBJKZ5A1W8+lkU0Wuu+WiUETJKqcMxW4syCadEmBlYgX/5ThSpI7Tww0NpvEve6XzvOlmQRgP7FTkzzvvOQCH0ymdXpgKqKi5OUfVvYKCXlFSWVXnPqKM8omShfa0JpI4Fozyvfq0A/wAVPK4WL2Gxzah9vU5L+1BOlO6i6YKlsirHBOwIHDW+vAOk5Lr/hfvG/T/zOGglP8QX8C/6JBkhIOqDrnMT8ioKDHJYUyQ089+oYH+O2szcuTmb4Ntgiectkds9ju39dVufJKRVCrOy0Kd6mOn3k0fgYuUjzzAecQrKgNAEfKxM2HV5bbnz8BC8gl9iE5xPkX4qnWnXhPT1GQkEl5PoN1qQyPG+RLDO5iJmTq83xVCrfKnnwsRg6dVtYymc6e+5lUgYsryMwcQcSYEkO2Z2vK/9k3z9AHDopCxU2MzpI6uQA5JHMlnIRAYnRFrkX9bMpHXLj1CyddCCmxSEz3RBOIrc4jlqZeLshw7kQTQHJavu/XPbwCdDy7YKFJnKuX++FaUG3sQYh7grEHJxL7d6CCHMPGLWIRDME+T5spuH88f4VBZFpJ0b/YfD10pLeqzhVUpNsHbtnaDJjg4efyXTGhf+SCXIuS46yxEBgAVdLh5NrX9+PzeYBHeATxmG5fX471W6pMd9gGddoYCVKh9LVd3nWyGo5rUKXNLhdu8X5mky/Bx3IyGFd/JM8Wufy2lli0+3CB3TXVCEQLIXgxIzyyA9f7F2EVk9YFWOoMpwztnxIR7KjohiVg/HcO7o9+lUy82x6MYNqCjNPQraUW1w16imG1AfK4tvIRkeyGw1Dq4NyPziiDKlhzLDDk/o9Aeht9RUjiA6Z0UgcG7xGWhH9sFNLBXIjofBmJOcs7rhSWqmEwUy6cQwzh2Z0g3X80Sfm69QGnnrOcPZmwEhsf9yzu7YSk0DqckI/SCchhl9oToQZqqOrDsna6MHj9FpfZ8+hEJAhYpQXXCDzYVGGKzsGEKGBbbUmyUIZ213BYDJMXL5zTLdP8eBMQU2LvOoC8VW2Y6+rbIRe4hpRxzOKKOvsJdqSarcSdiPDdCapNjl2oCjYBNpK9CaLV9QAHVG+06ZNc+VTy+VdtnBvUvtxB+uQEPTE0ERVeaYoPsufNlMPdi2ejCTl3uQo0j0X7kGGJTV6BsCEcyzzZjHP/iR/tVS+ms36QTmYB2mees1VN/Au0ABpAwUvhnqpcpXvP5LuO+OyQfwomkVoP+g0qM8QY2tpYlD7qs1gWpsuMJIxDBj8f8jLUFSEzkQow5UMtpmAbChaaonWcmjbVefHifbhhn35xa3nyJ0Z0RESEJHJ/U+X1VHF7axIXa4vT9bA1rnqVDPsvRcNWy+68NzH8MmkTya7YAy3AFqStTSGfQcKZFQUc/zSxhLWeSBJyYppOFAAbqrM3YkmZzPKjtpNraENtThmSsc+JPsUUXnVyhyawx/ai6xHp7OAhVagrF0GryNbG9p7s+vC9T1pUZVzYzqF0i2QL/sjc4MacUmgderqZcIV2dRtF9GdO1QRWNFNbQOX/uZUcTUf8yz9mVYADaBoMkh+3SJAgDvaHeguduFAjonoyG5GSsk1wo6YSK2jrNeEQxybE4wVKilfjN15imSdKyztiHS+stl8Cf6S6spbPAVIiHEAT6xDz4ea0Zb07D4tAS7u1NtUMyTPV5ZCocJdz9z+bWepfPF/3J3Q+oJLAmNRoTilE9EkZkQwpMiM3QIpK5YWK7L9DuUVCkpMUNjf4orNfuiq9NE8OGwlh1nJh/beJcpPlGRKsSRzgJ9MD5rzk5IZ7sJMV6/1deqaycyQaVYQxQHzVSbO2fluLQ+fdi6h3ZVSlnKyeNIQJS/VJB0Fu1pFAlDSGNmVGK3rxfHww9qcppseE1j0cRctvFnCCLuNvaOsUckD/DOIQrLTo3uE92b2QwUpNovsu+URLrYI4/U5/Hv3eOypxlq2rgnRx7GU/dE9XWy4sm6nuw0WVzg+OR2SxdB7xa8eWEMk8yyBoPrtxDK4VU3A4WvGEORah7fPt5G76g5hVhWSAWDENwmj6Lpm/kte1nMRjhHI6U98oLIJIKeWNqnKYMaWq4kHvZsBJAQiIrAYtdGcFqAhGFaUIjRELn5edxTTMeX09NpNFNcTLYkaZrc39DBwzSwDlSvqfczCUowSIT9fc3O8kUymRqhMEIXZ8VeOuU14woWaA1dUtEnQltifHoeGCwLbuXukln+BqXw0LSa4S9Xo+u0bvvI7Yt6eJaFrQYLM0QYmF+VKd1IbqY/UNuJ+mKJCN04dKm/fEZHS7ACT9/kM8TFqbWoL5HOw5UqQn4XMkAPnli7rA7dpZAFTWdXJbQ1CCRx5VTgH64S60IXm+IfqGZEjinvyGnyQodJ2LnDX6EOsnzGHr5u2Qu6z2quIv+h4LQn2FP7qyV6bFyeNuXk5rH0AAHgOQ0FNJutIx8s/4x6dqbA6m5MxTFoGh1QqsEQhP1Owwrjd0NGMUVaRw9raG/R/T1ruDxKJwUy3cb2iCk4A60Ik2YKdloKIPrGqWKUcj9zgi0szkoeXT3Sl37W/1gTQ09kcdFec57SFulRRkEyF5DLu8j0fM2aInyHE8h55JU3XWXI62rm0js2fw+IEZVZK1Xs3yilIF2bKvKcLeb+a8xCcSngZ9ywmvMlQbPBlE+M6VtQwXbauvyf2v7hMUHc8i7YmdHJmZF1gMnJfYe4xzmwHZe0opOsfrsph99tZ1spBubClZNSLaQBqwPDcD/LthAKUkaUezChVFMMUozJfkfF63JYLwwHjkGNoLRw6zEYt+nBJFDjwYR6bfLIBbKtVlvdMGzxzD+w6aPd7h4k95MBODGETg7GIDdC6txz1K+KozqGxgg3LCCw5+cTGcmawZNBW1UsxPrrl3F8ZXe/zqq0HbCbJMRs8sB1C0RzqJJaPzXhZpi6haDd+blvucNmZqysU1VqdeU2wWjZWSJJCJ1t/EVfbfYK0DlAFzcE7U1Mx2sdOU4bF4/Ca52hnUpZRujZIomk7dzXIj5SuBI0m3aAZuCv3ah+FBOEaLkBzKMj0Y+pYbpy/agJXGSTuER7zKe+c3f2e8LeJ30JeYbsVGCyjL5KOUGZ1L2GZN8xL7dO1joJFnTKUB5rvYgHgo/c1LPrxvlwbqAjoxN4HHnC+f1D01MPbz9t7GMv/gSzejlRXU5ifhRQGJhOL9/SlecMGC4qKBDGFDz6pjddZiSA5UMblPgzVpiE///nqDetlL/Q7AkwGqlT1pazzEU5B4lX1i8vUsGYMLZWL9H4b2KO2qiaklgqSRWy24EaRccAktlDwiP1BDKooYYZaEIORSvAmvbGAIzM+G+XN+nULBr5r2v6E6oK2IJFOPAev5s/fSMH4eBN7MGnwpl2OmCNomO8dQxTchrzTq34CYnW8TJh7ygIH+ntUFCQvcQ865WpBm7jGZe+y8ifunAuhUlvLmZCnfyceYzcdsmTulNcw8FBpDtHWOGlDnkbsAgxWZj35WrYptOiNdeuKVwritShmRAUpm62Hl4s2A1/MF/Zbfn85rNSt1Y3ME+BzNVc9go4KOuskSFDGK+sLmnPeDla9etOo2XpKuu5SIxaOaXUM5J5Ei2yxqA8XNSgT9NLU/ZZXEmUwnpvgQ4R3vb2wK6tKvglwCRFVdzbFoNsYv7ijeOe1gGEYW/m3V318w0EPUtEZY11C0Nzy0S+BMKLrdREDNoT1JTteSry8n1YR2d9ieoMmrmzqGEbBrY8FduqjkTgjQ4C/KsRhrF+fIMHmRe3Ye46KrhmaYVrFEHofNdQYkHZe3AdI9/ifsRCWJN4bFRiGRyVw7USSk1KF0ozQ0P8ueRQMiaKcWwbps1V9fwCfrv5XXwylO2nvkyBMfjrwqD5kLkknAH1yOhmVobCFsg9Nebmp/IGYBNafdauX8E6uKiZBnstguEvHKkBqOo3vN/+xKxNdlIG8FUz8uDFI1m9RXedsJxXK9U8UVFMvDuVQ+9R2LKnw0z1FU9SDO8uuv21k3lI/IgQ8xSDP54BrdBEAI5onP5jnK1/4EZuUJyYnZ38hGSOZVCKk2dZoQ7UgCmR6bePqwMnNLs7I4dFVb179cZWVTZwr+yml3rmVaARu6kI4D8Z1rJ9FWdoQU0utqOiMDSokonbGtPxLKPijG1ugOwSQWAKCg6Lla1/7hml0o1E/Lfmbc3+LiTyDVqiMUM/YzKHTD+EzCR4D5oVJLlM0/w3WOlkEtqBWkjSkb9Yep13zhHdf9etT08ALlDRFGIGLZz8CvzYESzsp1t3CC48ZU0+Xa1yXjAuBCbpsfqJQ5fvpveSzhi5rfaBvotwnNRNobC2RiNUKB7QcWOjcFBCTu/rGwUB16VCGuwFOuRtTrBhAdxi32rfWQ8PwfwEZ1tR5n7zKya7fYwvIYy5UgwtWZPq/l05MgnmmtYq1iBOV8DUeSV5fKaQuE2FytWQSpvWqCTMyqHKpAS5lR4UDuEWfgur4fQgueZUSkvOMYBa+fjfnxcvn/MgeI4cxe++Y+JGqzouUE580IUcUmc6n9r4DZdpgPeLe+L2K9bnWuV+vilBE585Je3lGCw+Ou44NwtzLvJl3smCUq7hzB4Gjta7ShRwfw8maXrWu2lmrJfelYz8nBdBLGUaOrswZ6yWU8YJexNwyQzHCq9jW7TQvUo+7AAbxwN4REYMrTEpy7ylJyiAWms+z/BeP0XcSWxLIl53nSKgriU50soXWXrR88+m1ooTen5EvOdubDyDywDagx5YKuOW2b8LUjP9FnGosu02qeVHclXFHm99nb6epey/LqAVnymUeUg2kF/AV2mcBARaX5Q6PjKEe8LcfYcQRIbC/NHIfoDwdX2kkCetaFMOpKGEvbAGq2jz+3dAGG10dDOkfWUoj7j2y5Sqy9/M04EIKsYOkb+tbhqZmS/FUwMRhxteSt+CcDW+RErSOOmokllo7BPowLsERQZcsN0rtbc0pq8E/adk0jm8u+Dew/jAldU4/V8dxsgRoht/srx84BWPDrW/Rjlt7DJu39F0VCeZ8B/Ndb7+FoY7IcaV73Lk1Ao6LAquZ2b0TQ5vowWxH1stJhWTrz/S0RupRsXrgdbNqrpVgLsB+0Dpl6ZYgYQEx3jDkOOo6fK/WERBVCP+gdCgbI8PYUynWYWFeu9sOSCDjUzY+e1Arq3CGxLMHfRYmDXHdoYTEEmyAmflmUp3mIvMtSDH6pxwBlIEhmIbL79MFNIlyqRISe6MevBtJaQGiokXh2bdUDJjoEIhh01sf7E5MGWZSnkFQlr1qad0saSMG954WbFyHiLnvS01OKJ3a5sNN1WvFmD0giYLbwop9rR08mzpgBaCb3RfUlRAxz67T0YnVABfPCCm6YpQcOOK85JxRyzcIYF3OubZ7B9p2BQm3Snp3WiQcg/woUsiKp8bEYST4C8uRYDbtAK5i6Tl6w096WJt0qy7szzYyQ6qL9kMnrQcBnmbkl7x1MseC22F7IFns4EGhlaA75d0X2NfDZaaFJcPPdPRrGaTGEElvJJL9xwDBZD307gwe5PGKqm/6Yte0ZFbLVapSdT/kRvisNabmxaigN0qK/seV1BnwRwKOvHiy4YFlIKjvSzqoPAvXWkDK+C6zAs1cvJNQt0SPgdIHFd8VquVhegedRCk3fiirYoM85EIRis2Dao9fM9DSkwvBnKO1PiMPB2VrdqJk1dCijY0DgwMWM3fab1EdAWy+myxOMmXBUboHRDkLC5TE1arhCl4lp+HRAunbrkpbAtRXoatTf/+f17ZTC2gaZQ8P5Cg2xWObeOCuY01qGsXQTijKFeUt47zizRomanxAbPjwRgnPE+UBkJL6O7xLwY1k0Z7daa7PM9jO9K1/H/rLYUbyeeg140NE9Mn9y6ZYKdIhgHfyFnvtIh8WvC2PwSsCzs/dejiLycwWrrtJnEngptkt3nlJj4wmYWA0XXqcQvSYvlQCEwSoUEqEwJqgbF8SXCkIvCEuLlOGPLlwI7jitUTN8e02n62GjJ4i9LieVBGnpUqt3DShktWVvM/LKrSe4t1dQeoKgwoPCpvIYCkpz/PImEMLQDxhKvqFeh7Bv2H64TnbGNxu2NxXWFESPdhWz8gRkO1gnMnGsscGRkXoUyWiPLY31Lg+FzE094msNaFP6YDs3Sy1yT5z7FUWgKPQ8gQKzyV7xZG1A/4q4NSknoUQX1xPiEeuVkKfCa+N63LkmsrKGdekAduucZhbsT7ypczyuDogk2BV0DvgUsymHzSWG9RkU0wgP3wqWp3FldMZ+ajVdQa7GQxw/rQLBTbyaC5bhocC+wr/EDlxPV5UmK3o0YxLB/SytR96RJwngED8LAoPkTxJ7UdrRQwdM0CMQ5+XX4ywSZqL2JKzLpPYmLp6A3aycl750XdI9gX7WqhFNa5eKPOdzaDTeQ4DJpQDNxW8exJBmYdPeDaSPHFsRlw6AHMAfpJWMuTSSy2KJorvcQc7TxAGDzIrhFEfruDo0p1eS50LOslJhdyY8vrDl2ys1IIOSBVYI1PUKAuv2dxAU+Qd5jypHxQcwlg1pqQIJFMgT94WQgmaOfvfkuirbChN3t38MKo1mJOnjiWi5qbE0VSIOKTZeBl+U1GHy4p9Ef7irP3Z5SA7+qsFoMGhaPWNvXpZgenTUcq7CHskj9oaEGpJai2IXFiFktV2/jHjsraUUeoEK78hFhdEGkm5ka9gukE40CdpxU4c+4DwCcoqGtId3HiJpeNcDEAAyWcn3isPK6LdDZxmgK3Go8jIpg11K1oXmNAiHaw/k8jKATUK3+Z+gL0Q/UWFxRpLhjTao41oANbBR8DItMvkGGQdNYW2rJE9KwnvA2aaQkOMBqR6Xg7JdyKnaq36LvA4ta3fjZ4PLyFnM6JXGOIoDXLc1VTPUqHcao2L34OOFqMwv5CGfdONzD9aWkOkCJlOwVItRnieoEo8PPoldwRzPZ7Vd7Kx400T+A8l5PjgA+7rL3gVxKLK448KWbaiXNQ8uf0JPZgHyPEcQJUC9KD3J/mXz3GSsogOsbzHa2rpDt+qcF17TclGPxdc+in1IE0YXeV34eAVCSTu2VynpjW0ykxFCzWA8vFbpWdhWl250wqAx0HfIlbZUeu2vGs9sag8FXHu6tmOSQfHLZ2ORMWHzFRL/vOJe0yuJzRsTSkF/fCLEyMzTUvrMi2Ldo9C49cZvu9EIdkUmOLo3Igi2PUZIHS1s16H/ugnlCGWX73L8I+iYE0RKRuSIK0ELux+6dVnnXaL+mBTl5uuBD+vpVGEzzAtxHLpqpvq90sezq+17CmtLz6IODxhQB8IZiLe7BP72oFpUPZM9+ApmXqQxxjxmBcKB6xxS9cWdqGKz4yYjjaBGHwDydoxBSLHG7nD5i8tgHRTFLqLc816uAMsQ8/KCPZRhfzQltc5xhIoEZcmjCr1YXhgUjowfVefToZQrtYA+aAUGlS43um4soB5/udKD3MF6PBGWvoceLRjeDhDpUWg0Eq6jmJ3cKoOUoxCMmZecYZD7ItmtlnBeGTPE0HyurH7IEd0gN2Z3kQbFD4+0coUBRVJRWmxe1Gw86Nczoque30knVUGoQaQh1auuVFNI1VRaBn7m4+8ed9Xo4ecZ559IK8A22pm6YX0wJjx2nOpah2clY5jMwIfRTAgIDFKW/IPa5SIKtwJfgb9mTslfCKD8wp+IkXDqMGMngY540t+3yJeUMSCkGjdwK39IdAESFZty0C+E+otmeCcvjH13FmKVcodiQmyGmusSA0N+XRhqBP3/y91TNzBF83YiQhO2jUlYo7h9EtNkuv2qDE5QXT0exeCYFIJVDJHRdDb3Hd8KUPRux1CJpCIxOPQzcICiv8QzHgrM9BBr54HnZJ12YScI8Chic1qxwscqP8d9pPRBNnH6IHGMER6ULSE+Dyg5cyRD4nLEN0+5tQXaKnRQR/0HhBotJcv6llEmVjb4qxGtgJ2VYyOTzPLgmfziU1boQlFllXnPhWZRTG4hHOgqpyPz9/Xd//gCkzQGy4Ud3z1Agn34xrXN42yKYdkL1Q89ivR5/1V2FhQTayLFqTHs2nBctNX7TZJc/IrcXb7791lpdA6IdDY7lXwnyTtNHI1oJepM9elRkzPc/QdnswhV5Nwzsut8YtltE3oLbKZDJkWJcP1+pU1/yR9oicpz6ft0PX/v/1pI8ogXXDwFK1evsuotZDc8MLxrEtEBoHz0ah4IIrrgFrbGa+q0mj5ftMjIXhkKCRhC1g7ekz9G1DA7y33eMk8zGjr32E+OyaY5kvbdDTEmDlI0GW5V/NWHny9wVi8pxC9cimbYTV/RLaFgC28kCR7jq8S0//3ILRHdGRxWsI58zFE54HhJIM27XJBylvVurCO3jpI0vzatguK868uhMBs8pcbnVbTrwXT9zXInioR2PRkhFxYzYVHEou7KTELeR7wjdVsADFitdBVm9Ktr9Aoy7sBJ7YiYmE5YiMEtsFzPlIxjFWojlkYbe0FSf/zcLjly4nsMpmnZzwi6aB88NUsOG4T4pqeFGJhzyGm7cg9IW95XegncVn8k2tW3hkGOfpbOuKI4dPHxdj1XM5XgqyHB/1xhVUa+4TEzgInGow0tZEPwED2USdXxrB9yYoU57T1eYwPfgwvGe99t1FFiovMNkrkXw0AjwwBMr06VS+XzP1hxjsjwcEDeCmEQqyBmqbXOZdnRt8mML80axw/piVVoYtZq5yRCxGuz7Ss8N8jNIcszaOZMLkyJY0wbYNDlnf4YiI0ktYYIN3/HV9a5DTBZB3PABpcH180kw+WZyafcmDjCiPvx02bTk9evVcm42atUBQ+pdgW76xiXH2UREVCytSG/1GnJeBXe3A74fEs2ggBnKF1UPs5vtXGYjDQEWbYqFbcrKhr+zh+4sEeEVhShMphawSpvHKx/mCfwUdKyuUGHVQf7aQgIWgDLFQsAL0kK8LrcHJc3YxHx4YZc9D0+1sqPeAG2vEiybYvOSqymmXOeiVqsq0huUVWik14GirgvzPbNc20ISgqOb0abRXsAZdf1Q+DN7Ryldx0jI7jbr4zAt7jS9NhLvsqGIYaDLePCJNnF6fRvJioQhhN2QPjXAAKapJ5VkXja7htX4WG5hte9W2PFiqmqbVS8/yZwheELRFaSeqpbktGgH2ff3sJAMujnddiv16/o9HcptrBbS5iV4Usic9y/X+SNMFhQP0L7M2V9MpRVjVejr0peRuhPlWuvuvFYj839IJDZAjoX1Jao6yBO96uppzE74t4HqCghFGQUtWsBPslOQAJkh23kjXK4/TX8SNTOGaWJedQHQ1gdSL6hQf+VC7khL6zR5re0EPCOTRcupwUr8uOFZ45WgM3cFxlxgjAblrAJ8yGs/VCEbcetZS9r39Wt90qr7Hv56kToaZ0+dbJV1/tfJzJjfLzvBCVg62uYCPr+h2Lj0YGNB0tcaSjZBbfqdyBqYNAyjwaLdWUMEDP0a1iVldgt41vrFhpLlsx1wB5Svdfj1DVt5oHh4x5E4WnctsmcmhIXtwvLhVXBxEoL6kxq081iiyS25VyeQj+U+PSBRFsoQXUoNXND9XBw199wXYTUz8F41bZcrN4CsypScHrFjTm/g77tA6VG01ddEuuRURKiN+QxVEYNtSYK+QOlThWoRL79nkpDGvtRx3IhmqjHyCFqc0mzVwAg1N0rrYmNP38ucPpkll7qJZTGzfyA9BmRJIzpC9lhcr3IY9a6h7Ulg7dyXjYxyI4ilm7IiEUzhda/IxYamDn1ZDN256LGJHgrBpHwjvXlZbBXBDmT79Gd7g/+v0qEgOByP49+a8FyREjJffILoTJspk9UW2R0PoxzisAHrl0BDj/khzz4ERchKjRWgp4+gwt3g2cA9f+7Xbg2cp66z8SO2eJbO9rlqj9ppPhN5ESiOw+l3ezmgLngLML/9r08AR9oVVDB2wxa6j9V+umVeW6BM0acYZjYgg8VntXZm0MMYMxamFqum4OXCeHRDBSi5SoQHYNn3Zs/h/sF7ZkqxdZVfKYRm4GL+7Rcg6wWSnbzAnuJlKuxuuIct8xEV4DofAOXC8niEqCKJ5wDcNADnRYCe0KZqPtSAgz9pnKt/jE7skFr8gW+zknh1QXZ6IIbGpUNcA4QRKA1wIu+28aeKYMRg4Wya/Os2SGRXqu+yMyQjMapWGxwk0AkHcxMgokMCx9N2zf1Dk8Lgx+9ksY1RZw20GWTCKwH+Joqi8LIK3mCVCnBU8kEMSjM0JZKrqkLNp82AbJahcxyUG4+EI/M81jNM0uAJAVzyew499it2WLm+0VKHHEn9Nu4DZGb+Y5u/3S8wYvXb/aEBkMQzCTXsRRVYSZZD1jTz3qVOdwKA88jlWb3D4T6Efi+NuM5zVXrPjY2zYG1KfE8oOdtClBnOHyxgn3BqsQkfNdUsI8WAurmO/uGtLJcco62ujlmGNe0YmFA5Lx5np0fxNClMCsr5LT4p3jI+LWl46ancx0hhWvVKNBTg3+hCI8fA45eu0T44FGmYzQgkhzxnAdFLvuPwcddwYS6MF5WJT/WVAj4phL5n9MRyHNXkQ/zAidQ+/ukCYXogzjpV/thtUJDEPO5jcjQgjKaV7C8z49JGR3p3FS2+KIXprPN/Cbypz6sBqawtuizuFO/beuIHf0bHGoIN3uE6UrmU2qR1T0jeNs98bsTRLQc+Tdj+9u66ctfD2eaFQuTus8vZEEVB26JCEJ+2BiVimyu0kdJl9idrSzoDpEkqmlyU5hxyN33Chtvj6yAiJZCv4AqAWeOg7W0lMzMR3+Lyh31/ELd2CwViojhWuQnUpFvUOVADFjv3R/rciw3g1KY6nO9KLSflCjlOrH6iiZ5WIus0o/s9yOuwbN/GqQpFe5BBCZy3DJjd6QMFqebibWTUjGttsfGbE4iqupPCYLkQqbNi/k1pxbOnHEWZouaB+ZB/jFRywT7JHjPynZAbNkOB/LhXwIKDK/Eydq6lkDs8BFVHNjUyFq4uUoK3oOJiKzxZYE8z2TZd+UmMfGBAhHs2B9VHEOvrDyjV26/wIeP8z4A3Lm218bqo4yaRrwqAxr8Ckkx7Y7SVV2Mwts8xa8pga9zM4JujHp9hhsRaRGkqQBp6c5BFUDkVl7BVEN+G6EhHleL5IyoGqb1wBsKO8AmRW2HlG1KXmsZAYyqEFQppFeidZblcAxuMpfnr+xnpUM+YQA2dUru2tuyFoYJdt9g7l/gmsMVRygATDiZC3TYKOgTDKK5UNRmspJZa2KqlCgonrWw/dQ1/bEi18oYijjhZR37ce1rAx4qHbvsYE5AcahHNtwCQ3B+ML/aso8IKL1UABkAuwRWP3uFDMK0EDDkd2zc+JJXsG8UNV7wCJg3g2GZTfO4DvX6hrgK3oGCL3OrZAyhAYnUMl9ZyMhUNgRc1CwOFixBwupmF8W7WBQVE7jRGkngwWmMxDYDt68keN14nKacojjoQZ84tTRH35RWSn+3FWPYhVVave3Jzb8Ej7ANonDIwbzDFDcB0ARuIOu6zv06cwbyyuE1CJEt3q7dSojf7tl97kc1JDJw6NUm3w7AImXOEPExpDEk+NxF6ms//+hE7puok/gUXnpcpbLW2gHCHjDBqnYfdm9Iv0wggoPDk3LKcSUum5Upr8wEKgNXgF4PocjDLddBQ6OnU6KqTZ0h9QAmYz9Egs6J7wfxNqRTuQEBij4BOOKB3YUMVzzawJG+YJbvkDHK/nWmh3IQzAaSgFJqMXPQdoCO4dCk5b6/5F7zVV04JobI6AcGlaLClArFht3xJyvqj+GcDAPhks11r371ot20w0V/2Sxk9uiluW6pd8lhQuhMROBvGEEcoRd18G5MkD5RyngcTeFGiq98OJOEWSHyRcNWu5QCI0059fK/VANFpn5ci3UsALIFZQLlbayferTQqoQek8DmFAuCdwJoz1CPUce+hm+jfRpwCoISzJFmKF787qEUQuyWHgPh1F8fwcFy36L7YJmk6gtWcNQEbdjDvM7RJmdDPfm0gC47Z8aqWlF0neE1TwLhx9iAZj/NitWHDEHgdXwdPGVMBOjpGWVtP1gT+83Dbhv8kebMFT0RZSHYtW6B6GN9+javeRvfTF/vgKngs+2tMEkJrzTTP8YU/0qRsAKVhZLRFYFt8pstoDm77PKBxyUkdHkneUx72O6uiSNGfXGVgXIiUDytMd+l3mCrmisVwjDwYOIou9BtUVw8dhYIfRB5EsOgIuugrjhAI2ayDQixE4xOWJAZnzVUkZTeESSBF372l5BhP+UuuI0DQYn57e10mZdymly4B6A6Wf2Y3qQvk599COc7CxbVPsRby0HrpXl2hY7Bss5c7YgIONt7Y68vbNOkvSEwpEi3S6hqfFxWYzDuc7lyIx5ebirugCxN2CGDMOgVatbgIqYNELYbtG3TCBnCd04zLMAKVDsU7ZjnPtFPofpzz9rE/D/tx7VCm4sdKSlAYJml++eiaDJ5UBwiqz5dRJyc1XKg2oAx33gGivjnWF3MyBKXmo4GSJ9NtCuTPdjxW5AgH6aOtDYhw1cQovONNvDR1WpMcJpT/eGgWm+yrlD2gnHB7E7RoVifXHHyNFl4SfFkzdgNWJAYVPrG/rdC3h4jeNKxHjRhWnttnWU0c9eZcMl+Q0YnZqKgKuGeWZne+XSbFAG1kYcLTVrKlBo0fHMVQK1N9TXEX2+DLIF+VbHaRHQnH5AVDgbagypOtPEBIgQp59sbqI9p5hT13Yp0VQWi1WMlMPTytkusNWGWUPFzteqZlT9yUCK6wQHO6yXEMBGmADVE4QM/dQf5QCQ5cSk276WBsOlgzzU7d+5ddbNjAyyRfwvq2s50grmAn6jJOb5DI+VaGgiGgoanIe3RYsW0fAfgqqEJTiMXH2oSQWLwpxoIpdZT6SwNuTP6im9NtE40DGBGxK/18DWtn9ZNGa2e9h6I3sw20fAed66MaN0Y0ts/SyEVlwCQTqTFRAbpOsvh35ethln50yRJ3L3iCWNMOv0swqETx3uMEoOIsanSO4ftScsw7xOql3uFuNTT5gaDqE0TGfcRrs9QW3eJ+ASSYcD9/I3dnaOUA5LpM9p26txHQwBAuYE7zyi2fQGiG40JYWRxM4SqkUbAcHVKjEvn2j31xdO7UbMnOamCoAwPCn+mwpRUyZbgPlTpc5GJeKL3YEOgcbC0ihOR/nBSANUDC+wBiYvxVGaJRbEY/qptrOczQlIXBiJv+fzReOpM+zylbV6dAU/M+tCk4nvgwJxOYFLWAXXI7D4Mqk25EXLBeLKsrtG7A0Y2UGhu1mgEJeoRltHKyFFHJJUKud3lG805xomWKo17oGy1fDlbUvO96BliJVpjPJ8E1zrMsSLVq2HpeWR2dj90KNnQaNKkpc1qjUPRH+qczhTI/0wjHNJ/I3TLzTFoQUShoWtFl0TszfsYsw5FQ9AJB85tB1aTzSmuEN1Q42LfG9HqKJmZ99QdLkPiunfnrTBrC28kbRHdibQQ0yC+V/5nImhEofvLyqxKBzTJlJULHJpWVlq4rSdHUprAzKOoX0UE9JHE1FCPBvk2zpL5Ei4rHR+6MSy5h5V7HCy/jJGk6egpYBSx73HAyaFFKq7IFs3Ipdk49suOmWlU484pnMGyGiUQsgJU18UJLmG/UCf9mxxk1K6RhMXB1ZRBIrY9k+T7B7PNYpTVq6u3eL6159RR3A6gIitY5JMB1Bu/jaUdvBdbFB9gmH3Vr+YbeXey8XSpMqI4qurbGJa6f6JqTIACTL8+d6m8bACBDKYLFxhwzRWo46mwaRVCwdQ2jZee6geFbHjc66h2RprdIAGQif/QbpARJp69CrRcKfDUo+Ic57G9QLs9iev9KjWo2MLqoByBsShvYsyAsa+0lkcClqUNDrHM2sS0ZGQ1jUloxrCNn9DVUT3sA',
+};
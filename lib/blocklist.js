@@ -0,0 +1,124 @@
+// Password Policy Helper - Blocklist Module
+// Offline common-password check backed by a Bloom filter bundled in blocklist-data.js.
+// The filter stores normalized keys, so 'P@ssw0rd' and 'password2024!' both hit 'password'.
+
+// Leetspeak substitutions folded back to the letter they stand in for
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't',
+};
+
+function deleet(str) {
+  let out = '';
+  for (const ch of str) out += LEET[ch] || ch;
+  return out;
+}
+
+// The whole password, and its core with trailing digits/symbols and leading digits removed
+function candidates(password) {
+  const lower = password.toLowerCase();
+  const list = [lower];
+  const core = lower.replace(/[^a-z]+$/, '').replace(/^[0-9]+/, '');
+  if (core.length >= 4 && core !== lower) list.push(core);
+  return list;
+}
+
+/**
+ * Normalize a password into the keys looked up in the filter.
+ * The first key is the whole password; the second, if present, is its core.
+ * @param {string} password
+ * @returns {string[]}
+ */
+export function blocklistKeys(password) {
+  return candidates(password).map(deleet);
+}
+
+// Two independent 32-bit FNV-1a hashes, combined Kirsch-Mitzenmacher style
+function hashPair(key) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x050c5d1f;
+  for (let i = 0; i < key.length; i++) {
+    const c = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 0x01000193);
+    h2 = Math.imul(h2 ^ c, 0x01000193) ^ (h2 >>> 15);
+  }
+  return [h1 >>> 0, (h2 >>> 0) | 1];
+}
+
+function bitPositions(key, bits, hashes) {
+  const [h1, h2] = hashPair(key);
+  const positions = [];
+  for (let i = 0; i < hashes; i++) {
+    positions.push((h1 + Math.imul(i, h2) >>> 0) % bits);
+  }
+  return positions;
+}
+
+/**
+ * Create an empty Bloom filter sized for a number of keys and a false-positive rate.
+ * @param {number} count - expected number of keys
+ * @param {number} [falsePositiveRate=0.0001]
+ * @returns {{ bits: number, hashes: number, count: number, bytes: Uint8Array }}
+ */
+export function createBloomFilter(count, falsePositiveRate = 0.0001) {
+  const bits = Math.ceil(-count * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+  const hashes = Math.max(1, Math.round((bits / count) * Math.LN2));
+  return { bits, hashes, count, bytes: new Uint8Array(Math.ceil(bits / 8)) };
+}
+
+/**
+ * Add a key to a Bloom filter.
+ * @param {{ bits: number, hashes: number, bytes: Uint8Array }} filter
+ * @param {string} key
+ */
+export function bloomAdd(filter, key) {
+  for (const pos of bitPositions(key, filter.bits, filter.hashes)) {
+    filter.bytes[pos >>> 3] |= 1 << (pos & 7);
+  }
+}
+
+/**
+ * Check whether a key may be in a Bloom filter (false positives possible, no false negatives).
+ * @param {{ bits: number, hashes: number, bytes: Uint8Array }} filter
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function bloomHas(filter, key) {
+  for (const pos of bitPositions(key, filter.bits, filter.hashes)) {
+    if ((filter.bytes[pos >>> 3] & (1 << (pos & 7))) === 0) return false;
+  }
+  return true;
+}
+
+// Decoded filters, keyed by the bundled data object
+const decoded = new WeakMap();
+
+/**
+ * Turn serialized filter data ({ bits, hashes, count, data: base64 }) into a usable filter.
+ * The result is cached per data object.
+ * @param {{ bits: number, hashes: number, count: number, data: string }} data
+ * @returns {{ bits: number, hashes: number, count: number, bytes: Uint8Array }}
+ */
+export function decodeBloomFilter(data) {
+  let filter = decoded.get(data);
+  if (!filter) {
+    const raw = atob(data.data);
+    const bytes = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+    filter = { bits: data.bits, hashes: data.hashes, count: data.count, bytes };
+    decoded.set(data, filter);
+  }
+  return filter;
+}
+
+/**
+ * Find the part of a password that appears in the blocklist.
+ * @param {string} password
+ * @param {{ bits: number, hashes: number, count: number, data: string }} data - serialized filter
+ * @returns {string|null} - the matching text (lowercased), or null if the password is not blocklisted
+ */
+export function findBlocklisted(password, data) {
+  if (!password) return null;
+  const filter = decodeBloomFilter(data);
+  return candidates(password).find(text => bloomHas(filter, deleet(text))) ?? null;
+}
@@ -0,0 +1,354 @@
+// Password Policy Helper - Combinatorics Module
+// Counts the passwords of a given length that a policy accepts, and picks one uniformly
+// at random, so generate() can state exactly how much entropy a password has.
+//
+// The count covers the rules that depend on how often each character is used and on the
+// class at a fixed position: the alphabet, the class minimums, the repeat caps and
+// positions. A password is built from per-class counts (u uppercase, l lowercase,
+// d digits, s specials), so
+//
+//   count(n) = sum over u + l + d + s = n meeting the minimums of
+//              n! / (u! l! d! s!) * letters(u, l) * digits(d) * specials(s)
+//
+// where each class term counts the strings of that length over the class's characters
+// with no character above its repeat cap. Those come from a dynamic program that adds one
+// character at a time, choosing which of the m positions it fills:
+//
+//   P_k(m) = sum over j <= cap_k of C(m, j) * P_{k-1}(m - j)
+//
+// With repeatIgnoreCase, 'a' and 'A' share a cap, so letters are counted as 26 pairs over
+// (uppercase positions, lowercase positions) instead. Position constraints fix the class
+// of a few positions, so the multinomial becomes a sum over the classes those positions
+// can take, with the rest arranged freely.
+
+import { classifyChar, getAlphabet, getClassMinimums, repeatLimit, resolvePolicy } from './validator.js';
+import { randomBigInt, shuffle } from './random.js';
+
+/**
+ * The rules the count covers. A policy or context that adds any other rule (distinct
+ * characters, runs and sequences, the blocklist, account rules, registered rules) only
+ * removes passwords from the counted space.
+ */
+export const COUNTED_RULES = Object.freeze([
+  'minLength', 'maxLength', 'uppercase', 'lowercase', 'letter', 'digit', 'special', 'maxRepeat', 'position',
+  'alphabet',
+]);
+
+// Classes in the order of a split's counts
+const CLASSES = ['uppercase', 'lowercase', 'digit', 'special'];
+
+const binomials = [[1n]];
+
+// C(n, k) as a BigInt, from a cached Pascal's triangle
+function choose(n, k) {
+  for (let row = binomials.length; row <= n; row++) {
+    const prev = binomials[row - 1];
+    const next = [1n];
+    for (let i = 1; i < row; i++) next.push(prev[i - 1] + prev[i]);
+    next.push(1n);
+    binomials.push(next);
+  }
+  return k < 0 || k > n ? 0n : binomials[n][k];
+}
+
+// Ways to arrange counts[0] of one class, counts[1] of the next, ... in sum(counts) positions
+function multinomial(counts) {
+  let ways = 1n;
+  let left = counts.reduce((sum, c) => sum + c, 0);
+  for (const c of counts) {
+    if (c < 0) return 0n;
+    ways *= choose(left, c);
+    left -= c;
+  }
+  return ways;
+}
+
+// The classes each constrained position can take, as [position, class indices] sorted by
+// position, or null if a constraint can't be met at this length
+function positionSlots(n, policy) {
+  const expand = (classNames) => classNames.flatMap(c => (c === 'letter' ? ['uppercase', 'lowercase'] : [c]));
+  const slots = new Map();
+  for (const { index, allow, forbid = [] } of policy.positions || []) {
+    const at = index < 0 ? n + index : index;
+    if (at < 0 || at >= n) return null;
+    const allowed = new Set(allow ? expand(allow) : CLASSES);
+    for (const c of expand(forbid)) allowed.delete(c);
+    const previous = slots.get(at) || CLASSES.map((_, i) => i);
+    slots.set(at, previous.filter(i => allowed.has(CLASSES[i])));
+  }
+  return [...slots].sort((a, b) => a[0] - b[0]);
+}
+
+// Every way to give the constrained positions a class, with how many of each class it uses
+function slotAssignments(slots) {
+  let assignments = [{ classes: [], used: [0, 0, 0, 0] }];
+  for (const [, options] of slots) {
+    assignments = assignments.flatMap(({ classes, used }) => options.map(i => ({
+      classes: [...classes, i],
+      used: used.map((c, k) => c + (k === i ? 1 : 0)),
+    })));
+  }
+  return assignments;
+}
+
+// Prefix tables for strings over `chars` with per-character caps: tables[k][m] counts the
+// strings of length m over the first k characters
+function stringTables(chars, caps, n) {
+  const tables = [[1n, ...Array(n).fill(0n)]];
+  chars.forEach((_, k) => {
+    const prev = tables[k];
+    const next = Array(n + 1).fill(0n);
+    for (let m = 0; m <= n; m++) {
+      for (let j = 0; j <= Math.min(caps[k], m); j++) next[m] += choose(m, j) * prev[m - j];
+    }
+    tables.push(next);
+  });
+  return tables;
+}
+
+// The same for letter pairs sharing a cap: tables[k][u][l] counts the ways to fill u
+// uppercase and l lowercase positions from the first k pairs
+function pairTables(pairs, caps, n) {
+  const empty = () => Array.from({ length: n + 1 }, () => Array(n + 1).fill(0n));
+  const first = empty();
+  first[0][0] = 1n;
+  const tables = [first];
+  pairs.forEach((_, k) => {
+    const prev = tables[k];
+    const next = empty();
+    for (let u = 0; u <= n; u++) {
+      for (let l = 0; u + l <= n; l++) {
+        let total = 0n;
+        for (let i = 0; i <= Math.min(caps[k], u); i++) {
+          for (let j = 0; j <= Math.min(caps[k] - i, l); j++) {
+            total += choose(u, i) * choose(l, j) * prev[u - i][l - j];
+          }
+        }
+        next[u][l] = total;
+      }
+    }
+    tables.push(next);
+  });
+  return tables;
+}
+
+const spaces = new Map();
+const MAX_CACHED_SPACES = 50;
+
+/**
+ * Work out the counted space for a length, cached by the parts of the policy it depends on.
+ * @param {number} n
+ * @param {object} policy - resolved
+ */
+function getSpace(n, policy) {
+  const byClass = { uppercase: [], lowercase: [], digit: [], special: [] };
+  for (const ch of new Set(getAlphabet(policy))) {
+    byClass[classifyChar(ch, policy.specialChars)]?.push(ch);
+  }
+  const cap = (ch) => Math.min(n, repeatLimit(ch, policy));
+  const minimums = Object.fromEntries(getClassMinimums(policy));
+  const slots = positionSlots(n, policy);
+  // Folding case only matters when some letter pair could actually hit its cap
+  const pairs = policy.repeatIgnoreCase
+    ? byClass.lowercase.filter(ch => byClass.uppercase.includes(ch.toUpperCase()) && cap(ch) < n)
+    : [];
+  const key = JSON.stringify([
+    n, minimums, slots, pairs, Object.values(byClass).map(chars => chars.map(ch => [ch, cap(ch)])),
+  ]);
+  if (spaces.has(key)) return spaces.get(key);
+
+  // Letters in a pair are counted by pairTables(); the rest on their own
+  const paired = new Set(pairs.flatMap(ch => [ch, ch.toUpperCase()]));
+  const single = {};
+  for (const [className, chars] of Object.entries(byClass)) {
+    const own = chars.filter(ch => !paired.has(ch));
+    const caps = own.map(cap);
+    single[className] = { chars: own, caps, tables: stringTables(own, caps, n) };
+  }
+  const pairCaps = pairs.map(cap);
+  const letterPairs = { chars: pairs, caps: pairCaps, tables: pairTables(pairs, pairCaps, n) };
+  const last = (tables) => tables[tables.length - 1];
+  const upper = last(single.uppercase.tables);
+  const lower = last(single.lowercase.tables);
+  const both = last(letterPairs.tables);
+  // letters[u][l]: unpaired uppercase and lowercase letters and the pairs, interleaved
+  const letters = Array.from({ length: n + 1 }, (_, u) => Array.from({ length: n + 1 - u }, (_, l) => {
+    let total = 0n;
+    for (let pu = 0; pu <= u; pu++) {
+      for (let pl = 0; pl <= l; pl++) {
+        if (both[pu][pl] === 0n) continue;
+        total += choose(u, pu) * choose(l, pl) * both[pu][pl] * upper[u - pu] * lower[l - pl];
+      }
+    }
+    return total;
+  }));
+
+  // Ways to lay out a split's classes: any order, or with the constrained positions
+  // taking one of their classes and the rest in any order
+  const assignments = slots ? slotAssignments(slots) : [];
+  const byUse = new Map();
+  for (const { used } of assignments) {
+    const entry = byUse.get(String(used)) || { used, times: 0n };
+    entry.times++;
+    byUse.set(String(used), entry);
+  }
+  const arrangements = (counts) => (slots.length === 0 ? multinomial(counts)
+    : [...byUse.values()].reduce((sum, { used, times }) =>
+      sum + times * multinomial(counts.map((c, k) => c - used[k])), 0n));
+
+  // Every class split that meets the minimums, with its running total for sampling
+  const min = (className) => minimums[className] || 0;
+  const digits = last(single.digit.tables);
+  const specials = last(single.special.tables);
+  const splits = [];
+  let total = 0n;
+  for (let u = min('uppercase'); u <= n; u++) {
+    for (let l = min('lowercase'); u + l <= n; l++) {
+      if (!slots || u + l < min('letter') || letters[u][l] === 0n) continue;
+      for (let d = min('digit'); u + l + d <= n; d++) {
+        const s = n - u - l - d;
+        if (s < min('special')) continue;
+        const ways = arrangements([u, l, d, s]) * letters[u][l] * digits[d] * specials[s];
+        if (ways === 0n) continue;
+        total += ways;
+        splits.push({ counts: [u, l, d, s], cumulative: total });
+      }
+    }
+  }
+
+  const space = { n, total, splits, slots, assignments, single, letterPairs, letters, upper, lower };
+  if (spaces.size >= MAX_CACHED_SPACES) spaces.delete(spaces.keys().next().value);
+  spaces.set(key, space);
+  return space;
+}
+
+/**
+ * Count the passwords of a given length that meet a policy's alphabet, class minimums,
+ * repeat caps and positions (see COUNTED_RULES), drawn from the policy's alphabet.
+ * @param {number} length
+ * @param {string|object} [policy]
+ * @returns {bigint}
+ */
+export function countPasswords(length, policy) {
+  return getSpace(length, resolvePolicy(policy)).total;
+}
+
+/**
+ * log2 of a count: the entropy in bits of a uniform pick from that many passwords.
+ * @param {bigint} count
+ * @returns {number} - -Infinity for 0n
+ */
+export function log2Count(count) {
+  if (count <= 0n) return -Infinity;
+  // Keep the top 53 bits, which is all a double can hold
+  const shift = Math.max(0, count.toString(2).length - 53);
+  return Math.log2(Number(count >> BigInt(shift))) + shift;
+}
+
+/**
+ * The entropy in bits of a password picked uniformly from the counted space.
+ * @param {number} length
+ * @param {string|object} [policy]
+ * @returns {number}
+ */
+export function entropyBits(length, policy) {
+  return log2Count(countPasswords(length, policy));
+}
+
+// Pick an index with probability weights(i) / total
+function pickWeighted(count, weight, total) {
+  let r = randomBigInt(total);
+  for (let i = 0; i < count; i++) {
+    const w = weight(i);
+    if (r < w) return i;
+    r -= w;
+  }
+  throw new Error('weights do not add up to the total');
+}
+
+// How many times each character of a prefix-table group is used to fill m positions
+function pickUses({ chars, caps, tables }, m, uses = []) {
+  for (let k = chars.length; k > 0 && m > 0; k--) {
+    const prev = tables[k - 1];
+    const j = pickWeighted(Math.min(caps[k - 1], m) + 1, (i) => choose(m, i) * prev[m - i], tables[k][m]);
+    for (let c = 0; c < j; c++) uses.push(chars[k - 1]);
+    m -= j;
+  }
+  return uses;
+}
+
+function pickPairUses({ chars, caps, tables }, u, l, uppers, lowers) {
+  for (let k = chars.length; k > 0 && u + l > 0; k--) {
+    const prev = tables[k - 1];
+    const options = [];
+    for (let i = 0; i <= Math.min(caps[k - 1], u); i++) {
+      for (let j = 0; j <= Math.min(caps[k - 1] - i, l); j++) options.push([i, j]);
+    }
+    const [i, j] = options[pickWeighted(options.length,
+      (o) => choose(u, options[o][0]) * choose(l, options[o][1]) * prev[u - options[o][0]][l - options[o][1]],
+      tables[k][u][l])];
+    for (let c = 0; c < i; c++) uppers.push(chars[k - 1].toUpperCase());
+    for (let c = 0; c < j; c++) lowers.push(chars[k - 1]);
+    u -= i;
+    l -= j;
+  }
+}
+
+/**
+ * Pick a password uniformly at random from the counted space: every password of this
+ * length that meets the counted rules is equally likely. The class split is picked by its
+ * share of the count, then how often each character is used, then their order.
+ * @param {number} length
+ * @param {string|object} [policy]
+ * @returns {string|null} - null if no password of this length meets the counted rules
+ */
+export function samplePassword(length, policy) {
+  const space = getSpace(length, resolvePolicy(policy));
+  if (space.total === 0n) return null;
+  // Binary search the running totals for a uniform pick below the total
+  const r = randomBigInt(space.total);
+  let lo = 0;
+  let hi = space.splits.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (space.splits[mid].cumulative > r) hi = mid;
+    else lo = mid + 1;
+  }
+  const [u, l, d, s] = space.splits[lo].counts;
+
+  // Split the letter positions between the pairs and the unpaired letters, as counted
+  const { upper, lower, letterPairs, single } = space;
+  const both = letterPairs.tables[letterPairs.tables.length - 1];
+  const options = [];
+  for (let pu = 0; pu <= u; pu++) {
+    for (let pl = 0; pl <= l; pl++) options.push([pu, pl]);
+  }
+  const [pu, pl] = options[pickWeighted(options.length, (o) => {
+    const [a, b] = options[o];
+    return choose(u, a) * choose(l, b) * both[a][b] * upper[u - a] * lower[l - b];
+  }, space.letters[u][l])];
+
+  // Each class's characters, in a uniformly random order
+  const uppers = [];
+  const lowers = [];
+  pickPairUses(letterPairs, pu, pl, uppers, lowers);
+  pickUses(single.uppercase, u - pu, uppers);
+  pickUses(single.lowercase, l - pl, lowers);
+  const strings = [uppers, lowers, pickUses(single.digit, d), pickUses(single.special, s)].map(shuffle);
+
+  // Then which class goes where: the constrained positions first, weighted by how many
+  // ways the rest can be arranged, then the rest in any order
+  const counts = [u, l, d, s];
+  const layout = Array(length).fill(null);
+  if (space.slots.length > 0) {
+    const { assignments } = space;
+    const weight = (a) => multinomial(counts.map((c, k) => c - assignments[a].used[k]));
+    let total = 0n;
+    for (let a = 0; a < assignments.length; a++) total += weight(a);
+    const { classes, used } = assignments[pickWeighted(assignments.length, weight, total)];
+    space.slots.forEach(([at], k) => { layout[at] = classes[k]; });
+    counts.forEach((c, k) => { counts[k] = c - used[k]; });
+  }
+  const free = shuffle(counts.flatMap((c, k) => Array(c).fill(k)));
+  return layout.map(k => strings[k ?? free.pop()].pop()).join('');
+}
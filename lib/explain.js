@@ -0,0 +1,188 @@
+// Password Policy Helper - Explain Module
+// Turns a failing validation into the smallest set of edits a person can make by hand,
+// so helpdesk staff can coach a user towards a compliant password without generating one.
+
+import {
+  CLASS_LABELS, DEFAULT_POLICY, classifyChar, getRegisteredRules, resolvePolicy, splitGraphemes, validate,
+} from './validator.js';
+
+function withArticle(name) {
+  return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+function classPhrase(className, policy) {
+  const phrase = withArticle(CLASS_LABELS[className] || className);
+  return className === 'special' ? `${phrase} (${policy.specialChars})` : phrase;
+}
+
+function joinAnd(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// Replacements needed to break a pattern into pieces no longer than the limit
+function breaksNeeded(length, limit) {
+  return Math.floor(length / (limit + 1));
+}
+
+/**
+ * Explain the minimum edits that would make a password comply with a policy.
+ * The plan is built from validate()'s rule data: characters that have to be replaced or
+ * added anyway are also used to supply missing classes and new distinct characters, so
+ * "replace 1 of 3 'a' with a digit" is one edit, not two.
+ * Steps come in the order they are best carried out: removals, replacements, additions,
+ * then position, pattern, blocklist, account and registered rules.
+ * @param {string} password
+ * @param {string|object} [policy=DEFAULT_POLICY] - preset id or policy object
+ * @param {object} [context] - same as validate()
+ * @returns {{
+ *   compliant: boolean,
+ *   steps: Array<{ rule: string, action: string, count: number, indices: number[], text: string }>,
+ *   summary: string
+ * }} - summary joins the step texts, e.g. "replace 1 of 3 'a' with a digit, add a special character"
+ */
+export function explain(password, policy = DEFAULT_POLICY, context = {}) {
+  policy = resolvePolicy(policy);
+  const result = validate(password, policy, context);
+  const failing = result.rules.filter(rule => !rule.pass);
+  const failed = (name) => failing.filter(rule => rule.name === name);
+  const steps = [];
+  const addStep = (rule, action, count, indices, text) => {
+    steps.push({ rule, action, count, indices, text });
+  };
+
+  // What each replaced or added character should be, beyond fixing its own rule
+  const missingClasses = failing
+    .filter(rule => rule.data.className)
+    .flatMap(rule => Array(rule.data.missing).fill(rule.data.className));
+  const [distinct] = failed('minDistinct');
+  let newChars = distinct ? distinct.data.min - distinct.data.distinct : 0;
+  const takeTargets = (slots) => {
+    const targets = [];
+    for (let i = 0; i < slots; i++) {
+      const className = missingClasses.shift();
+      if (className) targets.push(classPhrase(className, policy));
+      if (newChars > 0) {
+        newChars--;
+        if (!className) targets.push('a character not used yet');
+      }
+    }
+    return targets.length > 0 ? ` with ${joinAnd(targets)}` : '';
+  };
+
+  let length = result.rules[0].data.length;
+
+  for (const rule of failed('maxLength')) {
+    const excess = rule.data.length - rule.data.max;
+    length -= excess;
+    addStep('maxLength', 'remove', excess, rule.indices, `remove ${plural(excess, 'character')}`);
+  }
+
+  for (const rule of failed('alphabet')) {
+    for (const { char, index } of rule.data.chars) {
+      addStep('alphabet', 'replace', 1, [index], `replace '${char}' at ${index + 1}${takeTargets(1)}`);
+    }
+  }
+
+  for (const rule of failed('maxRepeat')) {
+    for (const { char, count, limit, indices } of rule.data.chars) {
+      const extra = count - limit;
+      addStep('maxRepeat', 'replace', extra, indices,
+        `replace ${extra} of ${count} '${char}'${takeTargets(extra)}`);
+    }
+  }
+
+  const patternLimits = { maxRun: policy.maxRun, maxSequence: policy.maxSequence, maxKeyboardWalk: policy.maxKeyboardWalk };
+  for (const [name, limit] of Object.entries(patternLimits)) {
+    for (const rule of failed(name)) {
+      for (const pattern of rule.data.patterns) {
+        const n = breaksNeeded(pattern.length, limit);
+        addStep(name, 'replace', n, rule.indices.filter(i => i >= pattern.start && i < pattern.start + pattern.length),
+          `change ${plural(n, 'character')} in '${pattern.text}' at ${pattern.start + 1}${takeTargets(n)}`);
+      }
+    }
+  }
+
+  for (const rule of failed('minLength')) {
+    const short = rule.data.min - rule.data.length;
+    length += short;
+    const targets = takeTargets(short).replace(/^ with /, '');
+    const text = short === 1 && targets ? `add ${targets}`
+      : `add ${plural(short, 'character')}${targets ? `, including ${targets}` : ''}`;
+    addStep('minLength', 'add', short, [], text);
+  }
+
+  // Whatever the edits above didn't cover: add if there's room, otherwise replace
+  // characters of the most plentiful class
+  const room = () => policy.maxLength == null || length < policy.maxLength;
+  const present = new Map();
+  for (const ch of splitGraphemes(result.normalized)) {
+    const className = classifyChar(ch, policy.specialChars);
+    present.set(className, (present.get(className) || 0) + 1);
+  }
+  const [plentiful] = [...present].sort((a, b) => b[1] - a[1])[0] || [];
+  const classCounts = new Map();
+  for (const className of missingClasses) classCounts.set(className, (classCounts.get(className) || 0) + 1);
+  for (const [className, n] of classCounts) {
+    const what = n === 1 ? classPhrase(className, policy)
+      : `${n} ${CLASS_LABELS[className] || className}s${className === 'special' ? ` (${policy.specialChars})` : ''}`;
+    if (room()) {
+      length += n;
+      addStep(className, 'add', n, [], `add ${what}`);
+    } else {
+      const from = CLASS_LABELS[plentiful] || 'character';
+      addStep(className, 'replace', n, [], `replace ${n === 1 ? withArticle(from) : plural(n, from)} with ${what}`);
+    }
+    newChars = Math.max(0, newChars - n);
+  }
+  // Swapping out repeats raises the distinct count without growing the password
+  if (newChars > 0) {
+    addStep('minDistinct', 'replace', newChars, [], newChars === 1
+      ? 'replace a repeated character with one not used yet'
+      : `replace ${plural(newChars, 'repeated character')} with ones not used yet`);
+  }
+
+  for (const rule of failed('position')) {
+    const description = rule.description[0].toLowerCase() + rule.description.slice(1);
+    addStep('position', 'replace', 1, rule.indices, `make the ${description.replace(/ is /g, ' ')}`);
+  }
+
+  for (const rule of failed('pattern')) {
+    addStep('pattern', 'change', 1, [], `match the site's format (${rule.data.pattern})`);
+  }
+
+  for (const rule of failed('blocklist')) {
+    addStep('blocklist', 'change', 1, rule.indices, `reword '${rule.data.match}', it's a common password`);
+  }
+
+  for (const rule of failed('context')) {
+    for (const match of rule.data.matches) {
+      addStep('context', 'change', 1, rule.indices.filter(i => i >= match.start && i < match.start + match.length),
+        `remove '${match.text}', it's from your ${match.source}`);
+    }
+  }
+
+  for (const rule of failed('difference')) {
+    const more = rule.data.min - rule.data.distance;
+    addStep('difference', 'change', more, [],
+      `change at least ${plural(more, 'more character')} from your current password`);
+  }
+
+  for (const rule of failed('history')) {
+    addStep('history', 'change', 1, [], 'choose a password you have not used on this site before');
+  }
+
+  // Registered rules only describe what they want, so quote them
+  for (const rule of getRegisteredRules(policy)) {
+    for (const failure of failed(rule.id)) {
+      addStep(rule.id, 'change', 1, failure.indices,
+        `meet "${failure.description}"${failure.detail ? ` (${failure.detail})` : ''}`);
+    }
+  }
+
+  return { compliant: result.overall, steps, summary: steps.map(step => step.text).join(', ') };
+}
@@ -1,95 +1,174 @@
 // Password Policy Helper - Fixer Module
-// Fixes existing passwords to comply with all 6 policy rules with minimal changes.
+// Fixes existing passwords to comply with a policy (the Worldline policy by default)
+// with minimal changes.
 
-import { CHAR_CLASSES, classifyChar, countChars, validate } from './validator.js';
-import { secureRandomInt } from './generator.js';
+import {
+  DEFAULT_CONTEXT_MATCH_LENGTH, DEFAULT_MIN_DIFFERENCE, classifyChar, countChars, countRepeats,
+  findContextMatches, findPatterns, getAlphabet, getClassMinimums, getClassPool, inClass, isAllowedAt,
+  getRegisteredRules, isAllowedChar, normalizePassword, passwordDistance, repeatKey, repeatLimit, splitGraphemes,
+  validate, withGeneratorOptions,
+} from './validator.js';
+import { randomInt, randomItem, shuffle } from './random.js';
+import { findBlocklisted } from './blocklist.js';
+import { COMMON_PASSWORDS } from './blocklist-data.js';
 
 /**
- * Pick a random character from a class pool that has count < 2.
+ * Pick a random character from a class pool that is still under the repeat limit.
  * @param {string} pool - characters in the class
- * @param {Map<string, number>} counts - current character counts
+ * @param {Map<string, number>} counts - current counts, keyed by repeatKey()
+ * @param {object} policy
+ * @param {boolean} [unused=false] - only pick characters not used yet
  * @returns {string|null} - a valid replacement, or null if none available
  */
-function pickAvailable(pool, counts) {
+function pickAvailable(pool, counts, policy, unused = false) {
   const candidates = [];
   for (const ch of pool) {
-    if ((counts.get(ch) || 0) < 2) {
+    if ((counts.get(repeatKey(ch, policy)) || 0) < (unused ? 1 : repeatLimit(ch, policy))) {
       candidates.push(ch);
     }
   }
   if (candidates.length === 0) return null;
-  return candidates[secureRandomInt(candidates.length)];
+  return randomItem(candidates);
 }
 
 /**
  * Pick a random available character from any allowed class.
- * @param {Map<string, number>} counts
+ * @param {Map<string, number>} counts - keyed by repeatKey()
+ * @param {object} policy
+ * @param {boolean} [unused=false] - only pick characters not used yet
  * @returns {string|null}
  */
-function pickAnyAvailable(counts) {
-  const allPools = [
-    CHAR_CLASSES.uppercase,
-    CHAR_CLASSES.lowercase,
-    CHAR_CLASSES.digit,
-    CHAR_CLASSES.special,
-  ];
-  // Shuffle pool order for randomness
-  const order = [0, 1, 2, 3].sort(() => secureRandomInt(3) - 1);
-  for (const i of order) {
-    const ch = pickAvailable(allPools[i], counts);
+function pickAnyAvailable(counts, policy, unused = false) {
+  const allPools = ['uppercase', 'lowercase', 'digit', 'special'].map(className => getClassPool(className, policy));
+  // Try the classes in random order, so no class is favoured
+  for (const pool of shuffle(allPools)) {
+    const ch = pickAvailable(pool, counts, policy, unused);
     if (ch) return ch;
   }
   return null;
 }
 
 /**
- * Get the character pool for a given class name.
- * @param {string} className
- * @returns {string}
+ * Pick a replacement for chars[index] that doesn't leave the position inside a
+ * forbidden run, sequence or keyboard walk, and that the policy allows at that position.
+ * Candidates are tried from a random offset.
+ * @param {string[]} chars
+ * @param {number} index
+ * @param {string} pool - characters to choose from
+ * @param {Map<string, number>} counts - keyed by repeatKey()
+ * @param {object} policy
+ * @returns {string|null}
  */
-function getPool(className) {
-  return CHAR_CLASSES[className] || '';
+function pickPatternSafe(chars, index, pool, counts, policy) {
+  if (pool.length === 0) return null;
+  const original = chars[index];
+  const offset = randomInt(pool.length);
+  try {
+    for (let k = 0; k < pool.length; k++) {
+      const ch = pool[(offset + k) % pool.length];
+      if (ch === original || (counts.get(repeatKey(ch, policy)) || 0) >= repeatLimit(ch, policy)) continue;
+      if (!isAllowedAt(ch, index, chars.length, policy)) continue;
+      chars[index] = ch;
+      const covered = findPatterns(chars, policy)
+        .some(p => index >= p.start && index < p.start + p.length);
+      if (!covered) return ch;
+    }
+    return null;
+  } finally {
+    chars[index] = original;
+  }
 }
 
 /**
- * Fix a password to comply with all 6 rules with minimal changes.
+ * Fix a password to comply with a policy with minimal changes.
+ * Each change replaces the character at `index` in `fixed`; characters cut to meet
+ * maxLength are reported with `to: ''` at their index in the original.
  * @param {string} password
+ * @param {string|object} [policy] - preset id or policy object; defaults to the Worldline policy
+ * @param {{ username?: string, email?: string, previousPassword?: string }} [context] - the account
+ *   the password is for and the password it replaces (see validate())
+ * @param {{ excludeAmbiguous?: boolean, exclude?: string, specialChars?: string }} [options] -
+ *   characters replacements may not use (see withGeneratorOptions()); any already in the
+ *   password are replaced too
  * @returns {{ original: string, fixed: string, changes: Array<{ index: number, from: string, to: string }>, valid: boolean }}
  */
-export function fix(password) {
+export function fix(password, policy, context = {}, options = {}) {
+  policy = withGeneratorOptions(policy, options);
   for (let attempt = 0; attempt < 3; attempt++) {
-    const result = tryFix(password);
+    const result = tryFix(password, policy, context);
     if (result.valid) return result;
   }
   // Final fallback: should essentially never happen
-  return tryFix(password);
+  return tryFix(password, policy, context);
 }
 
 /**
  * Single attempt to fix a password.
+ * Works on the normalized password; change indices are grapheme-cluster positions in `fixed`.
  * @param {string} password
+ * @param {object} policy - a resolved policy
+ * @param {{ username?: string, email?: string, previousPassword?: string }} context
  * @returns {{ original: string, fixed: string, changes: Array<{ index: number, from: string, to: string }>, valid: boolean }}
  */
-function tryFix(password) {
+function tryFix(password, policy, context) {
   const original = password;
-  const chars = [...password];
-  const counts = countChars(password);
+  const chars = splitGraphemes(normalizePassword(password, policy));
+  const counts = countRepeats(chars, policy);
   const changes = [];
+  const classify = (ch) => classifyChar(ch, policy.specialChars);
+
+  function tally(ch, delta) {
+    const key = repeatKey(ch, policy);
+    counts.set(key, (counts.get(key) || 0) + delta);
+  }
+
+  function replaceAt(idx, replacement) {
+    const oldCh = chars[idx];
+    changes.push({ index: idx, from: oldCh, to: replacement });
+    chars[idx] = replacement;
+    tally(oldCh, -1);
+    tally(replacement, 1);
+  }
+
+  // A pattern-safe character for chars[idx], from its own class where possible, or from
+  // the whole alphabet when `keepClass` is false
+  function pickSubstitute(idx, keepClass = true) {
+    const cls = classify(chars[idx]);
+    return (keepClass && cls !== 'unknown' && pickPatternSafe(chars, idx, getClassPool(cls, policy), counts, policy)) ||
+      pickPatternSafe(chars, idx, getAlphabet(policy), counts, policy);
+  }
+
+  function append(ch) {
+    changes.push({ index: chars.length, from: '', to: ch });
+    chars.push(ch);
+    tally(ch, 1);
+  }
 
-  // Phase 1: Fix rule 6 violations (characters appearing > 2 times)
+  // Trim to the maximum length first, so the later phases only touch characters that stay.
+  // Removed characters are recorded with `to: ''` at their original index
+  if (policy.maxLength != null) {
+    for (let i = chars.length - 1; i >= policy.maxLength; i--) {
+      changes.push({ index: i, from: chars[i], to: '' });
+      tally(chars[i], -1);
+    }
+    chars.length = Math.min(chars.length, policy.maxLength);
+  }
+
+  // Phase 1: Fix repeat-limit violations (characters appearing more than maxRepeat times)
   // Collect all violators first, then process
   const violators = [];
-  for (const [ch, n] of counts) {
-    if (n > 2) {
-      violators.push({ ch, excess: n - 2 });
+  for (const [key, n] of counts) {
+    const cap = repeatLimit(key, policy);
+    if (n > cap) {
+      violators.push({ key, excess: n - cap });
     }
   }
 
-  for (const { ch, excess } of violators) {
-    // Find all indices of this character (from right to left)
+  for (const { key, excess } of violators) {
+    // Find all indices of this character, in either case when case is ignored (from right to left)
     const indices = [];
     for (let i = chars.length - 1; i >= 0; i--) {
-      if (chars[i] === ch) indices.push(i);
+      if (repeatKey(chars[i], policy) === key) indices.push(i);
     }
 
     // Replace the last `excess` occurrences
@@ -97,106 +176,238 @@ function tryFix(password) {
     for (const idx of indices) {
       if (replaced >= excess) break;
 
-      const cls = classifyChar(ch);
-      const pool = cls !== 'unknown' ? getPool(cls) : '';
-      let replacement = pool ? pickAvailable(pool, counts) : null;
+      const ch = chars[idx];
+      const cls = classify(ch);
+      const pool = cls !== 'unknown' ? getClassPool(cls, policy) : '';
+      let replacement = pool ? pickAvailable(pool, counts, policy) : null;
 
       // If no same-class candidate, try any class
       if (!replacement) {
-        replacement = pickAnyAvailable(counts);
+        replacement = pickAnyAvailable(counts, policy);
       }
 
       if (replacement) {
-        changes.push({ index: idx, from: ch, to: replacement });
-        chars[idx] = replacement;
-        counts.set(ch, (counts.get(ch) || 1) - 1);
-        counts.set(replacement, (counts.get(replacement) || 0) + 1);
+        replaceAt(idx, replacement);
         replaced++;
       }
     }
   }
 
-  // Phase 2: Ensure rules 1-5
+  // Replace any characters the policy's alphabet doesn't allow, within their class if possible
+  for (let i = 0; i < chars.length; i++) {
+    if (isAllowedChar(chars[i], policy)) continue;
+    const cls = classify(chars[i]);
+    const pool = cls !== 'unknown' ? getClassPool(cls, policy) : '';
+    const replacement = (pool && pickAvailable(pool, counts, policy)) || pickAnyAvailable(counts, policy);
+    if (replacement) replaceAt(i, replacement);
+  }
 
-  // Check for missing character classes
-  const classChecks = [
-    { name: 'uppercase', test: () => chars.some(c => c >= 'A' && c <= 'Z') },
-    { name: 'lowercase', test: () => chars.some(c => c >= 'a' && c <= 'z') },
-    { name: 'digit', test: () => chars.some(c => c >= '0' && c <= '9') },
-    { name: 'special', test: () => chars.some(c => CHAR_CLASSES.special.includes(c)) },
-  ];
+  // Phase 2: Ensure the class minimums, minimum length and distinct characters
+  const minimums = getClassMinimums(policy);
+  const classCount = (className) => chars.filter(c => inClass(c, className, policy)).length;
+  // Whether chars[i] can be replaced without pushing any class below its minimum
+  const canGiveUp = (i) => minimums.every(([className, n]) =>
+    !inClass(chars[i], className, policy) || classCount(className) > n);
+  const distinctShort = () => (policy.minDistinct ?? 0) - countChars(chars).size;
 
-  for (const check of classChecks) {
-    if (check.test()) continue;
+  const roomToGrow = () => chars.length < (policy.maxLength ?? Infinity);
 
-    // Need to add a character of this class
-    // Find a position to replace: pick a char from a class that has surplus (>1 representative)
-    const replacement = pickAvailable(getPool(check.name), counts);
-    if (!replacement) continue;
+  // Bring each class up to its minimum, one substitution per missing character
+  function fillClassMinimums() {
+    for (const [className, n] of minimums) {
+      const pool = getClassPool(className, policy);
+      for (let missing = n - classCount(className); missing > 0; missing--) {
+        // Prefer an unused character when more distinct characters are needed
+        const replacement =
+          (distinctShort() > 0 && pickAvailable(pool, counts, policy, true)) || pickAvailable(pool, counts, policy);
+        if (!replacement) break;
 
-    // Count representatives per class
-    const classCounts = { uppercase: 0, lowercase: 0, digit: 0, special: 0 };
-    for (const c of chars) {
-      const cl = classifyChar(c);
-      if (cl !== 'unknown') classCounts[cl]++;
-    }
+        // A short password grows toward minLength with the characters it's missing
+        if (chars.length < policy.minLength) {
+          append(replacement);
+          continue;
+        }
 
-    // Find a position from a class with surplus, preferring classes with most representatives
-    let bestIdx = -1;
-    let bestSurplus = 0;
-    for (let i = chars.length - 1; i >= 0; i--) {
-      const cl = classifyChar(chars[i]);
-      if (cl === check.name) continue; // don't replace within same class
-      if (cl === 'unknown') {
-        // Always prefer replacing unknown chars
-        bestIdx = i;
-        break;
-      }
-      const surplus = classCounts[cl];
-      if (surplus > 1 && surplus > bestSurplus) {
-        bestSurplus = surplus;
-        bestIdx = i;
+        // Count representatives per class
+        const classCounts = { uppercase: 0, lowercase: 0, digit: 0, special: 0 };
+        for (const c of chars) {
+          const cl = classify(c);
+          if (cl !== 'unknown') classCounts[cl]++;
+        }
+
+        // Find a position that can give up its character, preferring characters the policy
+        // doesn't classify or allow, then classes with the most representatives
+        let bestIdx = -1;
+        let bestSurplus = 0;
+        for (let i = chars.length - 1; i >= 0; i--) {
+          const cl = classify(chars[i]);
+          if (inClass(chars[i], className, policy)) continue; // don't replace within same class
+          if (!isAllowedAt(replacement, i, chars.length, policy)) continue;
+          if (cl === 'unknown' || !isAllowedChar(chars[i], policy)) {
+            bestIdx = i;
+            break;
+          }
+          if (canGiveUp(i) && classCounts[cl] > bestSurplus) {
+            bestSurplus = classCounts[cl];
+            bestIdx = i;
+          }
+        }
+
+        if (bestIdx !== -1) {
+          replaceAt(bestIdx, replacement);
+        } else if (roomToGrow()) {
+          append(replacement);
+        } else {
+          // No good replacement position; use last position
+          replaceAt(chars.length - 1, replacement);
+        }
       }
     }
+  }
+
+  fillClassMinimums();
+
+  // Handle minimum length (rule 1)
+  while (chars.length < policy.minLength) {
+    const ch = (distinctShort() > 0 && pickAnyAvailable(counts, policy, true)) || pickAnyAvailable(counts, policy);
+    if (!ch) break;
+    append(ch);
+  }
+
+  // Handle minimum distinct characters: swap repeated characters for unused ones of the
+  // same class, so class counts don't change, from the end of the password
+  for (let i = chars.length - 1; i >= 0 && distinctShort() > 0; i--) {
+    if (countChars(chars).get(chars[i]) < 2 || !isAllowedChar(chars[i], policy)) continue;
+    const cls = classify(chars[i]);
+    const replacement =
+      (cls !== 'unknown' && pickAvailable(getClassPool(cls, policy), counts, policy, true)) ||
+      (canGiveUp(i) && pickAnyAvailable(counts, policy, true));
+    if (replacement) replaceAt(i, replacement);
+  }
+  while (distinctShort() > 0 && roomToGrow()) {
+    const ch = pickAnyAvailable(counts, policy, true);
+    if (!ch) break;
+    append(ch);
+  }
+
+  // Position constraints: substitute a character that fits at the position when the class
+  // minimums can spare the one there, otherwise swap in the nearest character that fits.
+  // Failing both, substitute anyway and make up the lost class elsewhere
+  for (const { index } of policy.positions || []) {
+    const i = index < 0 ? chars.length + index : index;
+    if (i < 0 || i >= chars.length || isAllowedAt(chars[i], i, chars.length, policy)) continue;
+    const fits = [...getAlphabet(policy)].filter(ch => isAllowedAt(ch, i, chars.length, policy)).join('');
+    const replacement = canGiveUp(i) && pickPatternSafe(chars, i, fits, counts, policy);
+    if (replacement) {
+      replaceAt(i, replacement);
+      continue;
+    }
+    const partner = chars.map((_, j) => j)
+      .sort((a, b) => Math.abs(a - i) - Math.abs(b - i))
+      .find(j => j !== i &&
+        isAllowedAt(chars[j], i, chars.length, policy) && isAllowedAt(chars[i], j, chars.length, policy));
+    if (partner !== undefined) {
+      const [a, b] = [chars[i], chars[partner]];
+      replaceAt(i, b);
+      replaceAt(partner, a);
+    } else {
+      const forced = pickPatternSafe(chars, i, fits, counts, policy);
+      if (forced) replaceAt(i, forced);
+    }
+  }
+  if (policy.positions?.length > 0) fillClassMinimums();
 
-    if (bestIdx === -1) {
-      // No good replacement position; use last position
-      bestIdx = chars.length - 1;
+  // Phase 3: Break up runs, sequences and keyboard walks
+  // Replace the first character past each pattern's limit, keeping its class where possible
+  for (let pass = 0; pass < 10; pass++) {
+    const patterns = findPatterns(chars, policy);
+    if (patterns.length === 0) break;
+    for (const { start, limit } of patterns) {
+      const idx = start + limit;
+      const replacement = pickSubstitute(idx);
+      if (!replacement) continue;
+      replaceAt(idx, replacement);
     }
+  }
 
-    const oldCh = chars[bestIdx];
-    changes.push({ index: bestIdx, from: oldCh, to: replacement });
-    chars[bestIdx] = replacement;
-    counts.set(oldCh, (counts.get(oldCh) || 1) - 1);
-    counts.set(replacement, (counts.get(replacement) || 0) + 1);
+  // Phase 4: Alter a common password
+  // Substitute in the middle of the blocklisted part until it no longer matches
+  for (let pass = 0; policy.blocklist && pass < 5; pass++) {
+    const hit = findBlocklisted(chars.join(''), COMMON_PASSWORDS);
+    if (hit === null) break;
+    const lower = chars.join('').toLowerCase();
+    const idx = splitGraphemes(lower.slice(0, lower.indexOf(hit))).length + Math.floor(splitGraphemes(hit).length / 2);
+    const replacement = pickSubstitute(idx);
+    if (!replacement) break;
+    replaceAt(idx, replacement);
   }
 
-  // Handle minimum length (rule 1)
-  while (chars.length < 8) {
-    const ch = pickAnyAvailable(counts);
-    if (!ch) break;
-    const idx = chars.length;
-    chars.push(ch);
-    counts.set(ch, (counts.get(ch) || 0) + 1);
-    changes.push({ index: idx, from: '', to: ch });
+  // Phase 5: Break up parts copied from the username or email
+  // Substitute in the middle of each match; every substitution splits one match in two,
+  // so repeat until the pieces are shorter than the match length
+  const matchLength = policy.contextMatchLength === undefined
+    ? DEFAULT_CONTEXT_MATCH_LENGTH
+    : policy.contextMatchLength;
+  for (let pass = 0; matchLength !== null && pass < 10; pass++) {
+    const matches = findContextMatches(chars, context, matchLength);
+    if (matches.length === 0) break;
+    for (const { start, length } of matches) {
+      const idx = start + Math.floor(length / 2);
+      const replacement = pickSubstitute(idx);
+      if (!replacement) continue;
+      replaceAt(idx, replacement);
+    }
   }
 
-  // Also replace any 'unknown' class characters that remain
-  for (let i = 0; i < chars.length; i++) {
-    if (classifyChar(chars[i]) === 'unknown') {
-      const replacement = pickAnyAvailable(counts);
-      if (replacement) {
-        const oldCh = chars[i];
-        changes.push({ index: i, from: oldCh, to: replacement });
-        counts.set(oldCh, (counts.get(oldCh) || 1) - 1);
-        counts.set(replacement, (counts.get(replacement) || 0) + 1);
-        chars[i] = replacement;
+  // Phase 6: Move away from the previous password
+  // Each substitution adds at most 1 to the distance, so change characters that still match
+  // the previous password at the same position first, then any others, from the end
+  const minDifference = policy.minDifference === undefined ? DEFAULT_MIN_DIFFERENCE : policy.minDifference;
+  if (minDifference !== null && context.previousPassword) {
+    const previous = splitGraphemes(normalizePassword(context.previousPassword, policy));
+    const positions = chars.map((_, i) => i).reverse();
+    positions.sort((i, j) => (chars[j] === previous[j]) - (chars[i] === previous[i]));
+    for (const idx of positions) {
+      if (passwordDistance(chars, previous, policy.differenceMeasure) >= minDifference) break;
+      if (changes.some(c => c.index === idx)) continue;
+      const replacement = pickSubstitute(idx);
+      if (replacement && replacement !== previous[idx]) replaceAt(idx, replacement);
+    }
+  }
+
+  // Phase 7: Registered rules
+  // A rule's own fix hook says what to substitute. Otherwise substitute in the middle of the
+  // characters the rule flags, keeping the class when that helps, until the rule passes
+  for (const rule of getRegisteredRules(policy)) {
+    const check = () => validate(chars.join(''), policy, context).rules.find(r => r.name === rule.id);
+    for (let pass = 0; pass < 20; pass++) {
+      const failing = check();
+      if (failing.pass) break;
+      if (rule.fix) {
+        for (const { index, to } of rule.fix([...chars], policy, context) || []) {
+          if (index >= 0 && index < chars.length && chars[index] !== to) replaceAt(index, to);
+        }
+        continue;
       }
+      if (failing.indices.length === 0) break;
+      const idx = failing.indices[Math.floor(failing.indices.length / 2)];
+      const helps = (ch) => {
+        const oldCh = chars[idx];
+        chars[idx] = ch;
+        const after = check();
+        chars[idx] = oldCh;
+        return after.pass || after.indices.length < failing.indices.length;
+      };
+      const candidates = [pickSubstitute(idx)];
+      for (let k = 0; k < 5; k++) candidates.push(pickSubstitute(idx, false));
+      const usable = candidates.filter(Boolean);
+      const replacement = usable.find(helps) || usable[usable.length - 1];
+      if (replacement) replaceAt(idx, replacement);
     }
   }
 
   const fixed = chars.join('');
-  const validation = validate(fixed);
+  const validation = validate(fixed, policy, context);
 
   return {
     original,
@@ -0,0 +1,124 @@
+// Password Policy Helper - Password History Module
+// Opt-in, per-site record of the passwords the extension has filled, so reuse can be
+// caught before the portal rejects it. Only salted PBKDF2 hashes are stored, never the password.
+
+export const HISTORY_KEY = 'passwordHistory';
+export const HISTORY_ENABLED_KEY = 'passwordHistoryEnabled';
+
+// Passwords remembered per site, newest first
+export const MAX_HISTORY_ENTRIES = 10;
+
+export const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+function toBase64(bytes) {
+  let raw = '';
+  for (const b of bytes) raw += String.fromCharCode(b);
+  return btoa(raw);
+}
+
+function fromBase64(str) {
+  const raw = atob(str);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+  return bytes;
+}
+
+// chrome.storage.local by default; tests pass any object with the same promise-based get/set
+function resolveStorage(storage) {
+  return storage || chrome.storage.local;
+}
+
+/**
+ * Hash a password with PBKDF2-HMAC-SHA-256.
+ * @param {string} password
+ * @param {string} salt - base64
+ * @param {number} [iterations=PBKDF2_ITERATIONS]
+ * @returns {Promise<string>} - base64 hash
+ */
+export async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations }, key, HASH_BITS);
+  return toBase64(new Uint8Array(bits));
+}
+
+/**
+ * Whether the user has turned on password history.
+ * @param {object} [storage] - defaults to chrome.storage.local
+ * @returns {Promise<boolean>}
+ */
+export async function isHistoryEnabled(storage) {
+  const stored = await resolveStorage(storage).get(HISTORY_ENABLED_KEY);
+  return stored[HISTORY_ENABLED_KEY] === true;
+}
+
+/**
+ * Turn password history on or off. Turning it off deletes every stored hash.
+ * @param {boolean} enabled
+ * @param {object} [storage] - defaults to chrome.storage.local
+ */
+export async function setHistoryEnabled(enabled, storage) {
+  const update = { [HISTORY_ENABLED_KEY]: enabled };
+  if (!enabled) update[HISTORY_KEY] = {};
+  await resolveStorage(storage).set(update);
+}
+
+async function readHistory(storage) {
+  const stored = await resolveStorage(storage).get(HISTORY_KEY);
+  return stored[HISTORY_KEY] || {};
+}
+
+/**
+ * Remember a password filled on a site. Does nothing unless history is enabled.
+ * Keeps the newest MAX_HISTORY_ENTRIES per site.
+ * @param {string} site - hostname the password was filled on
+ * @param {string} password
+ * @param {object} [storage] - defaults to chrome.storage.local
+ * @returns {Promise<boolean>} - whether the password was recorded
+ */
+export async function recordPassword(site, password, storage) {
+  if (!site || !password || !(await isHistoryEnabled(storage))) return false;
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const hash = await hashPassword(password, salt);
+  const history = await readHistory(storage);
+  const entries = [{ salt, hash, iterations: PBKDF2_ITERATIONS, date: new Date().toISOString() }]
+    .concat(history[site] || [])
+    .slice(0, MAX_HISTORY_ENTRIES);
+  await resolveStorage(storage).set({ [HISTORY_KEY]: { ...history, [site]: entries } });
+  return true;
+}
+
+/**
+ * Check a password against the hashes stored for a site.
+ * Pass the result to validate() as `context.history` to add the reuse rule.
+ * @param {string} site
+ * @param {string} password
+ * @param {object} [storage] - defaults to chrome.storage.local
+ * @returns {Promise<{ count: number, match: { date: string }|null }|null>}
+ *   - null when history is off or nothing is stored for the site
+ */
+export async function checkPasswordHistory(site, password, storage) {
+  if (!site || !(await isHistoryEnabled(storage))) return null;
+  const entries = (await readHistory(storage))[site] || [];
+  if (entries.length === 0) return null;
+  for (const entry of entries) {
+    if (await hashPassword(password, entry.salt, entry.iterations) === entry.hash) {
+      return { count: entries.length, match: { date: entry.date } };
+    }
+  }
+  return { count: entries.length, match: null };
+}
+
+/**
+ * Forget the stored hashes for one site, or for every site.
+ * @param {string} [site]
+ * @param {object} [storage] - defaults to chrome.storage.local
+ */
+export async function clearPasswordHistory(site, storage) {
+  const history = site ? await readHistory(storage) : {};
+  if (site) delete history[site];
+  await resolveStorage(storage).set({ [HISTORY_KEY]: history });
+}
@@ -0,0 +1,474 @@
+// Password Policy Helper - Page Rules Module
+// Reads the policy a site declares on its password field: Apple's `passwordrules`
+// attribute (https://developer.apple.com/password-rules/) and the HTML minlength,
+// maxlength and pattern attributes. Also writes a policy out in those forms, so a web
+// app can declare the same policy this extension checks.
+
+import {
+  CHAR_CLASSES, CLASS_LABELS, DEFAULT_POLICY, compilePattern, getAlphabet, getClassMinimums, getClassPool, repeatLimit,
+  resolvePolicy, validate,
+} from './validator.js';
+
+// Apple's `special` class: ASCII punctuation. Apple also counts the space, which is left
+// out here so generated passwords never contain one
+export const PASSWORD_RULES_SPECIAL = '-~!@#$%^&*_+=`|(){}[:;"\'<>,.?]/\\';
+
+const NAMED_CLASSES = ['upper', 'lower', 'digit', 'special', 'ascii-printable', 'unicode'];
+
+// Map Apple class names to ours
+const CLASS_FOR = { upper: 'uppercase', lower: 'lowercase', digit: 'digit', special: 'special' };
+
+// Where the [custom] set opened at `start` closes. As in Apple's grammar, a ']' in the set
+// comes last, so ']]' ends a set with a literal ']'
+function setEnd(text, start) {
+  const end = text.indexOf(']', start + 1);
+  return end !== -1 && text[end + 1] === ']' ? end + 1 : end;
+}
+
+// One property value: named classes and [custom] character sets, comma-separated
+function parseClasses(value) {
+  const classes = [];
+  let i = 0;
+  while (i < value.length) {
+    if (/[\s,]/.test(value[i])) {
+      i++;
+    } else if (value[i] === '[') {
+      const end = setEnd(value, i);
+      if (end === -1) return classes;
+      classes.push({ chars: value.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      const match = /^[a-z-]+/i.exec(value.slice(i));
+      if (!match) return classes;
+      const name = match[0].toLowerCase();
+      if (NAMED_CLASSES.includes(name)) classes.push({ name });
+      i += match[0].length;
+    }
+  }
+  return classes;
+}
+
+/**
+ * Parse a `passwordrules` attribute. Unknown properties and malformed values are skipped,
+ * as browsers do.
+ * @param {string} text - e.g. "minlength: 8; required: lower; required: upper; required: digit; max-consecutive: 2"
+ * @returns {{
+ *   minLength: number|null,
+ *   maxLength: number|null,
+ *   maxConsecutive: number|null,
+ *   required: Array<Array<{ name?: string, chars?: string }>>,
+ *   allowed: Array<{ name?: string, chars?: string }>
+ * }} - each `required` entry is one property: at least one character from any of its classes
+ */
+export function parsePasswordRules(text) {
+  const rules = { minLength: null, maxLength: null, maxConsecutive: null, required: [], allowed: [] };
+  for (const property of splitProperties(text || '')) {
+    const colon = property.indexOf(':');
+    if (colon === -1) continue;
+    const name = property.slice(0, colon).trim().toLowerCase();
+    const value = property.slice(colon + 1).trim();
+    const number = /^\d+$/.test(value) ? Number(value) : null;
+    if (name === 'minlength' && number !== null) rules.minLength = Math.max(rules.minLength ?? 0, number);
+    else if (name === 'maxlength' && number !== null) rules.maxLength = Math.min(rules.maxLength ?? Infinity, number);
+    else if (name === 'max-consecutive' && number !== null) {
+      rules.maxConsecutive = Math.min(rules.maxConsecutive ?? Infinity, number);
+    } else if (name === 'required') {
+      const classes = parseClasses(value);
+      if (classes.length > 0) rules.required.push(classes);
+    } else if (name === 'allowed') {
+      rules.allowed.push(...parseClasses(value));
+    }
+  }
+  return rules;
+}
+
+// Split on ';' outside [custom] sets, which may contain one
+function splitProperties(text) {
+  const properties = [];
+  let current = '';
+  let inSet = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '[' && !inSet) {
+      inSet = true;
+      current += ch;
+    } else if (ch === ']' && inSet) {
+      inSet = false;
+      current += ch;
+      if (text[i + 1] === ']') current += text[++i];
+    } else if (ch === ';' && !inSet) {
+      properties.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  properties.push(current);
+  return properties;
+}
+
+// Lookahead and lookbehind groups, as patterns usually write them: (?=.*[A-Z])
+const LOOKAROUNDS = /\(\?<?[=!][^)]*\)/g;
+
+// Rough hints from a pattern written the usual way: (?=.*[A-Z]) lookaheads for required
+// classes and a {min,max} or {n} on the whole rest for the length. The pattern itself is
+// still checked
+function patternHints(pattern) {
+  const hints = { required: [], minLength: null, maxLength: null };
+  const lookaheads = pattern.match(LOOKAROUNDS) || [];
+  for (const lookahead of lookaheads) {
+    if (/\[\^|\\W/.test(lookahead) || /[!@#$%^&*]/.test(lookahead.replace(/^\(\?=\.\*/, ''))) {
+      hints.required.push('special');
+    } else if (/A-Z/.test(lookahead) && !/a-z/.test(lookahead)) {
+      hints.required.push('uppercase');
+    } else if (/a-z/.test(lookahead) && !/A-Z/.test(lookahead)) {
+      hints.required.push('lowercase');
+    } else if (/\\d|0-9/.test(lookahead)) {
+      hints.required.push('digit');
+    }
+  }
+  // One character, set or '.' repeated {m,n} or {n} times, e.g. [0-9]{6} or .{8,20}
+  const body = pattern.replace(LOOKAROUNDS, '').replace(/^\^|\$$/g, '');
+  const length = /^(?:\[(?:\\.|[^\]\\])*\]|\\.|[^\\[(){}|?*+])\{(\d+)(,?)(\d*)\}$/.exec(body);
+  if (length) {
+    hints.minLength = Number(length[1]);
+    if (!length[2]) hints.maxLength = hints.minLength;
+    else if (length[3]) hints.maxLength = Number(length[3]);
+  }
+  return hints;
+}
+
+// The characters a pattern accepts anywhere, as a test, from its sets, escapes and
+// literals outside lookarounds; null when it has none or one won't compile on its own
+function patternChars(pattern) {
+  const body = pattern.replace(LOOKAROUNDS, '');
+  const atoms = [];
+  let i = 0;
+  while (i < body.length) {
+    const ch = body[i];
+    if (ch === '\\') {
+      const next = body[i + 1];
+      let end = i + 2;
+      if ('pPu'.includes(next) && body[i + 2] === '{') end = body.indexOf('}', i) + 1;
+      else if (next === 'u') end = i + 6;
+      else if (next === 'x') end = i + 4;
+      else if (next === 'c') end = i + 3;
+      else if (next === 'k') end = body.indexOf('>', i) + 1;
+      // Backreferences repeat characters already matched
+      if (!/[1-9k]/.test(next)) atoms.push(body.slice(i, end));
+      i = Math.max(end, i + 2);
+    } else if (ch === '[') {
+      let j = i + 1;
+      for (let depth = 1; j < body.length && depth > 0; j++) {
+        if (body[j] === '\\') j++;
+        else if (body[j] === '[') depth++;
+        else if (body[j] === ']') depth--;
+      }
+      atoms.push(body.slice(i, j));
+      i = j;
+    } else if (ch === '{') {
+      i = body.indexOf('}', i) + 1 || body.length;
+    } else if (ch === '(') {
+      // Skip a group's (?: or (?<name>
+      if (body[i + 1] !== '?') i++;
+      else if (body[i + 2] === '<') i = body.indexOf('>', i) + 1;
+      else i += 3;
+    } else {
+      if (!')|?*+^$'.includes(ch)) atoms.push(ch);
+      i++;
+    }
+  }
+  if (atoms.length === 0) return null;
+  const tests = atoms.map(atom => compilePattern(atom));
+  if (tests.includes(null)) return null;
+  return (ch) => tests.some(test => test.test(ch));
+}
+
+// Drop the rules no password from the policy's alphabet can meet: required classes with
+// every character excluded, positions only such classes may take, more distinct characters
+// than the alphabet has, and a repeat cap too tight for the minimum length
+function dropUnsatisfiable(policy) {
+  const available = (className) => getClassPool(className, policy).length > 0;
+  policy.required = policy.required.filter(available);
+  policy.minCounts = Object.fromEntries(Object.entries(policy.minCounts || {}).filter(([className]) => available(className)));
+  policy.positions = (policy.positions || []).filter(({ allow }) => !allow || allow.some(available));
+  const alphabet = [...getAlphabet(policy)];
+  if (policy.minDistinct != null && policy.minDistinct > alphabet.length) policy.minDistinct = null;
+  const capacity = alphabet.reduce((sum, ch) => sum + Math.min(policy.minLength, repeatLimit(ch, policy)), 0);
+  if (capacity < policy.minLength) policy.maxRepeat = null;
+}
+
+/**
+ * Build a policy from the rules a password field declares.
+ * With a `passwordrules` attribute, its classes replace the base policy's composition,
+ * repeat and position rules, since they describe what the site accepts, and letters or
+ * digits no `required` or `allowed` class lists go into excludeChars; the base
+ * policy's sequence, blocklist and account rules still apply. Each `required` property
+ * asks for one character from any of its classes; the first class listed is required,
+ * which always satisfies the site. Lengths from the attributes and the pattern narrow
+ * the base policy's, and the pattern itself becomes a rule. Characters the pattern can't
+ * match go into excludeChars, and base rules that can't be met with what's left (a
+ * required special when the pattern takes only digits, a minimum above the site's
+ * maximum, a repeat cap too tight for the length) are dropped.
+ * @param {{ passwordRules?: string, minLength?: number, maxLength?: number, pattern?: string }} field
+ *   - attribute values as read by the content script; absent ones may be null
+ * @param {string|object} [base=DEFAULT_POLICY] - the policy to start from
+ * @returns {object|null} - null if the field declares nothing
+ */
+export function policyFromField(field, base = DEFAULT_POLICY) {
+  const { passwordRules, minLength, maxLength, pattern } = field || {};
+  const validPattern = pattern && compilePattern(pattern) ? pattern : null;
+  if (!passwordRules && minLength == null && maxLength == null && !validPattern) return null;
+  const policy = { ...resolvePolicy(base) };
+  const mins = [];
+  const maxes = [];
+
+  if (passwordRules) {
+    const rules = parsePasswordRules(passwordRules);
+    const classes = [...rules.required.flat(), ...rules.allowed];
+    const custom = classes.filter(c => c.chars).map(c => c.chars).join('');
+    const named = new Set(classes.map(c => c.name).filter(Boolean));
+    const anyAscii = classes.length === 0 || named.has('ascii-printable');
+    const special = named.has('special') || anyAscii ? PASSWORD_RULES_SPECIAL : '';
+    policy.specialChars = [...new Set(special + custom.replace(/[A-Za-z0-9 ]/g, ''))].join('');
+    policy.strictAlphabet = !named.has('unicode');
+    // Letters and digits are always in our alphabet, so leave out the ones no class allows
+    const allows = (name) => anyAscii || named.has('unicode') || named.has(name);
+    const excluded = [
+      ...(allows('upper') ? '' : CHAR_CLASSES.uppercase),
+      ...(allows('lower') ? '' : CHAR_CLASSES.lowercase),
+      ...(allows('digit') ? '' : CHAR_CLASSES.digit),
+    ].filter(ch => !custom.includes(ch));
+    if (excluded.length > 0) policy.excludeChars = [...new Set([...(policy.excludeChars || ''), ...excluded])].join('');
+    policy.required = [];
+    for (const [first] of rules.required) {
+      const name = first.name === 'ascii-printable' || first.name === 'unicode' ? null
+        : first.chars ? requiredForSet(first.chars)
+        : CLASS_FOR[first.name];
+      if (name && !policy.required.includes(name)) policy.required.push(name);
+    }
+    policy.minCounts = {};
+    policy.minDistinct = null;
+    policy.positions = [];
+    policy.maxRepeat = null;
+    policy.maxRun = rules.maxConsecutive;
+    if (rules.minLength != null) mins.push(rules.minLength);
+    if (rules.maxLength != null) maxes.push(rules.maxLength);
+  }
+
+  if (validPattern) {
+    // Characters the pattern can't match leave the alphabet
+    const accepts = patternChars(validPattern);
+    const excluded = accepts ? [...getAlphabet(policy)].filter(ch => !accepts(ch)) : [];
+    if (excluded.length > 0) policy.excludeChars = [...new Set([...(policy.excludeChars || ''), ...excluded])].join('');
+    const hints = patternHints(validPattern);
+    for (const name of hints.required) {
+      if (!policy.required.includes(name)) policy.required = [...policy.required, name];
+    }
+    if (hints.minLength != null) mins.push(hints.minLength);
+    if (hints.maxLength != null) maxes.push(hints.maxLength);
+    policy.pattern = validPattern;
+  }
+
+  if (minLength != null && minLength >= 0) mins.push(minLength);
+  if (maxLength != null && maxLength >= 0) maxes.push(maxLength);
+  if (mins.length > 0) policy.minLength = passwordRules ? Math.max(...mins) : Math.max(policy.minLength, ...mins);
+  if (maxes.length > 0) policy.maxLength = Math.min(policy.maxLength ?? Infinity, ...maxes);
+  // A site's maximum below the base minimum wins: the site won't take anything longer,
+  // so the minimum comes down only as far as it has to
+  if (policy.maxLength != null && policy.minLength > policy.maxLength) policy.minLength = policy.maxLength;
+  dropUnsatisfiable(policy);
+  return policy;
+}
+
+// The class a [custom] set in a required property asks for
+function requiredForSet(chars) {
+  if (/^[A-Z]+$/.test(chars)) return 'uppercase';
+  if (/^[a-z]+$/.test(chars)) return 'lowercase';
+  if (/^[0-9]+$/.test(chars)) return 'digit';
+  return /[^A-Za-z0-9]/.test(chars) ? 'special' : 'letter';
+}
+
+// --- Writing a policy out ---
+
+// Apple's names for our classes; 'letter' is either case
+const RULES_CLASS = { uppercase: 'upper', lowercase: 'lower', digit: 'digit' };
+
+// A [custom] set for passwordrules: '-' has to come first and ']' last
+function rulesSet(chars) {
+  const unique = [...new Set(chars)];
+  const middle = unique.filter(ch => ch !== '-' && ch !== ']').join('');
+  return `[${unique.includes('-') ? '-' : ''}${middle}${unique.includes(']') ? ']' : ''}]`;
+}
+
+/**
+ * Write a policy as an Apple `passwordrules` attribute value.
+ * The format has no per-class minimums above 1, repeat caps, positions, sequences or
+ * blocklist, so those rules are left out; the special characters are written as a custom
+ * set, since Apple's `special` class is wider than most policies allow, and so are letters
+ * and digits that excludeChars narrows.
+ * @param {string|object} [policy=DEFAULT_POLICY]
+ * @returns {string} - e.g. "minlength: 8; required: upper; required: lower; required: [-#?!@$%^&*]; required: digit; allowed: upper, lower, digit, [-#?!@$%^&*]"
+ */
+export function policyToPasswordRules(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  // Apple's name for a class the policy keeps whole, a custom set for one excludeChars
+  // narrows, nothing for one it empties
+  const rulesClass = (className) => {
+    if (className === 'letter') return ['uppercase', 'lowercase'].map(rulesClass).filter(Boolean).join(', ');
+    const pool = getClassPool(className, policy);
+    if (!pool) return '';
+    return className !== 'special' && pool === CHAR_CLASSES[className] ? RULES_CLASS[className] : rulesSet(pool);
+  };
+  const properties = [`minlength: ${policy.minLength}`];
+  if (policy.maxLength != null) properties.push(`maxlength: ${policy.maxLength}`);
+  for (const [className] of getClassMinimums(policy)) {
+    const value = rulesClass(className);
+    if (value) properties.push(`required: ${value}`);
+  }
+  properties.push(policy.strictAlphabet
+    ? `allowed: ${['uppercase', 'lowercase', 'digit', 'special'].map(rulesClass).filter(Boolean).join(', ')}`
+    : 'allowed: unicode');
+  if (policy.maxRun != null) properties.push(`max-consecutive: ${policy.maxRun}`);
+  return properties.join('; ');
+}
+
+// Characters that need a backslash inside a character class under the 'v' flag; the
+// escapes are valid under 'u' too
+const CLASS_ESCAPES = new Set('\\]-[^(){}/|');
+
+function escapeClassChars(chars) {
+  return [...new Set(chars)].map(ch => (CLASS_ESCAPES.has(ch) ? `\\${ch}` : ch)).join('');
+}
+
+// Character class contents for a class's characters, with runs of three or more letters
+// or digits written as ranges: A-Z, or A-NP-Z once excludeChars takes out the O
+function rangeSet(chars) {
+  const unique = [...new Set(chars)];
+  const alnum = (ch) => /^[A-Za-z0-9]$/.test(ch);
+  // Whether unique[i] is the letter or digit right after unique[i - 1]
+  const follows = (i) => alnum(unique[i]) && alnum(unique[i - 1]) &&
+    unique[i].charCodeAt(0) === unique[i - 1].charCodeAt(0) + 1;
+  let set = '';
+  for (let i = 0; i < unique.length; i++) {
+    let end = i;
+    while (end + 1 < unique.length && follows(end + 1)) end++;
+    if (end - i >= 2) {
+      set += `${unique[i]}-${unique[end]}`;
+      i = end;
+    } else {
+      set += escapeClassChars(unique[i]);
+    }
+  }
+  return set;
+}
+
+// Character class contents for one of our classes. In a strict alphabet these are the
+// pools validate() allows, without the excludeChars; outside one, every character is
+// allowed and letters and digits from other scripts count too, as they do for classifyChar()
+function classSet(className, policy) {
+  if (policy.strictAlphabet) return rangeSet(getClassPool(className, policy));
+  switch (className) {
+    case 'uppercase': return '\\p{Lu}\\p{Lt}';
+    case 'lowercase': return '\\p{Ll}';
+    case 'letter': return '\\p{Lu}\\p{Lt}\\p{Ll}';
+    case 'digit': return '\\p{Nd}';
+    case 'special': return escapeClassChars(policy.specialChars);
+    default: return '';
+  }
+}
+
+const classOf = (classNames, policy) => `[${classNames.map(c => classSet(c, policy)).join('')}]`;
+
+function positionLookahead({ index, allow, forbid = [] }, policy) {
+  const char = (forbid.length > 0 ? `(?!${classOf(forbid, policy)})` : '') +
+    (allow ? classOf(allow, policy) : '.');
+  const skip = (n) => (n > 0 ? `.{${n}}` : '');
+  return index >= 0 ? `(?=${skip(index)}${char})` : `(?=.*${char}${skip(-index - 1)}$)`;
+}
+
+// Lookaheads for maxRepeat. Backreferences are numbered from `group`, which is the number
+// of capturing groups before them
+function repeatLookaheads(policy, group) {
+  const { maxRepeat } = policy;
+  if (maxRepeat == null) return [];
+  const parts = [];
+  // Case-insensitive backreferences would need the 'i' flag, so each ASCII letter gets
+  // its own lookahead
+  if (policy.repeatIgnoreCase) {
+    for (const ch of 'abcdefghijklmnopqrstuvwxyz') {
+      const limit = repeatLimit(ch, policy);
+      if (limit !== Infinity) parts.push(`(?!(?:.*[${ch}${ch.toUpperCase()}]){${limit + 1}})`);
+    }
+  }
+  const others = policy.repeatIgnoreCase ? '[^A-Za-z]' : '.';
+  const caps = typeof maxRepeat === 'number'
+    ? [[others, maxRepeat]]
+    : Object.entries(maxRepeat)
+      .filter(([className, cap]) => cap != null &&
+        !(policy.repeatIgnoreCase && ['uppercase', 'lowercase', 'letter'].includes(className)))
+      .map(([className, cap]) => [classOf([className], policy), cap]);
+  for (const [set, cap] of caps) {
+    group++;
+    parts.push(`(?!.*(${set})(?:.*\\${group}){${cap}})`);
+  }
+  return parts;
+}
+
+/**
+ * Write a policy as an HTML `pattern` attribute value, which browsers anchor and compile
+ * with the 'v' flag. It checks length, required classes and counts, the alphabet, repeat
+ * caps, runs, positions and the policy's own pattern. Distinct characters, sequences,
+ * keyboard walks, the blocklist and account rules can't be written as a pattern, so a
+ * password the pattern accepts can still fail validate() on those.
+ * Lengths are counted in code points rather than grapheme clusters, and repeatIgnoreCase
+ * only folds ASCII letters.
+ * @param {string|object} [policy=DEFAULT_POLICY]
+ * @returns {string} - e.g. "(?=.*[A-Z])(?=.*[a-z])(?!.*(.)(?:.*\1){2})[A-Za-z0-9#?!@$%\^&*\-]{8,}"
+ */
+export function policyToPattern(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const parts = getClassMinimums(policy).map(([className, n]) => (n === 1
+    ? `(?=.*${classOf([className], policy)})`
+    : `(?=(?:.*${classOf([className], policy)}){${n}})`));
+  parts.push(...(policy.positions || []).map(constraint => positionLookahead(constraint, policy)));
+  if (policy.maxRun != null) parts.push(`(?!.*(.)\\1{${policy.maxRun}})`);
+  parts.push(...repeatLookaheads(policy, policy.maxRun != null ? 1 : 0));
+  // Last, so its groups don't shift the backreferences above
+  if (policy.pattern && compilePattern(policy.pattern)) parts.push(`(?=(?:${policy.pattern})$)`);
+  const char = policy.strictAlphabet ? classOf(['letter', 'digit', 'special'], policy) : '.';
+  return `${parts.join('')}${char}{${policy.minLength},${policy.maxLength ?? ''}}`;
+}
+
+function joinAnd(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Describe a policy in the terms a password manager's generator and a person filling in
+ * a site's requirements use: length, character types, allowed symbols, then the rules
+ * the generator can't be told about, worded as in the checklist.
+ * @param {string|object} [policy=DEFAULT_POLICY]
+ * @returns {string} - e.g. "8 or more characters. Must include an uppercase letter, a lowercase letter, a symbol and a digit. Symbols allowed: #?!@$%^&*-. No character appears more than 2 times."
+ */
+export function describePolicy(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const sentences = [policy.maxLength == null ? `${policy.minLength} or more characters`
+    : policy.maxLength === policy.minLength ? `Exactly ${policy.minLength} characters`
+    : `${policy.minLength} to ${policy.maxLength} characters`];
+  const needs = getClassMinimums(policy).map(([className, n]) => {
+    const label = className === 'special' ? 'symbol' : CLASS_LABELS[className] || className;
+    return n === 1 ? `${/^[aeiou]/.test(label) ? 'an' : 'a'} ${label}` : `${n} ${label}s`;
+  });
+  if (needs.length > 0) sentences.push(`Must include ${joinAnd(needs)}`);
+  if (policy.strictAlphabet) {
+    sentences.push(policy.specialChars ? `Symbols allowed: ${policy.specialChars}` : 'No symbols');
+  }
+  // The rest as the checklist words them; validate() lists a rule whether or not it passes
+  const described = new Set(['minLength', 'maxLength', 'alphabet', 'uppercase', 'lowercase', 'letter', 'digit', 'special']);
+  for (const rule of validate('', policy).rules) {
+    if (!described.has(rule.name)) sentences.push(rule.description);
+  }
+  return sentences.map(sentence => `${sentence}.`).join(' ');
+}
@@ -0,0 +1,376 @@
+// Password Policy Helper - Policy Text Module
+// A compact text format for policies, for pasting a policy from a ticket straight into the
+// extension and for keeping readable policy fixtures:
+//
+//   minlength: 8; required: upper, lower, digit, [#?!@$%^&*-]; max-repeat: 2
+//
+// Declarations are separated by ';' or new lines, and a line starting with '#' is a comment.
+// Fields left out fall back to the Worldline policy, as for any policy object.
+
+const CLASS_NAMES = {
+  upper: 'uppercase', uppercase: 'uppercase', lower: 'lowercase', lowercase: 'lowercase',
+  letter: 'letter', digit: 'digit', special: 'special',
+};
+const SHORT_CLASS_NAMES = { uppercase: 'upper', lowercase: 'lower', letter: 'letter', digit: 'digit', special: 'special' };
+const NORMALIZATION_FORMS = ['NFC', 'NFKC', 'NFD', 'NFKD'];
+const DIFFERENCE_MEASURES = ['levenshtein', 'positional'];
+
+/**
+ * A mistake in policy text, with the 1-based line and column it was found at.
+ */
+export class PolicySyntaxError extends Error {
+  constructor(reason, line, column) {
+    super(`Line ${line}, column ${column}: ${reason}`);
+    this.name = 'PolicySyntaxError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Split text into words, [character sets], "quoted strings", ':', ',', ';' and line breaks,
+// each with its position
+function tokenize(text) {
+  const tokens = [];
+  let line = 1;
+  let column = 1;
+  let lineStart = true;
+  let i = 0;
+  const advance = () => {
+    if (text[i] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    i++;
+  };
+  while (i < text.length) {
+    const ch = text[i];
+    const at = { line, column };
+    if (ch === ' ' || ch === '\t' || ch === '\r') {
+      advance();
+      continue;
+    }
+    if (ch === '#' && lineStart) {
+      while (i < text.length && text[i] !== '\n') advance();
+      continue;
+    }
+    if (ch === '\n' || ch === ';' || ch === ':' || ch === ',') {
+      tokens.push({ type: ch === '\n' ? ';' : ch, value: ch, ...at });
+      advance();
+      lineStart = ch === '\n';
+      continue;
+    } else if (ch === '[') {
+      let value = '';
+      advance();
+      while (i < text.length && text[i] !== ']') {
+        if (text[i] === '\\' && i + 1 < text.length) advance();
+        value += text[i];
+        advance();
+      }
+      if (i >= text.length) throw new PolicySyntaxError("Unclosed '[' character set", at.line, at.column);
+      advance();
+      tokens.push({ type: 'set', value, ...at });
+    } else if (ch === '"') {
+      // A doubled quote stands for one, so any text fits
+      let value = '';
+      advance();
+      while (i < text.length && (text[i] !== '"' || text[i + 1] === '"')) {
+        if (text[i] === '"') advance();
+        value += text[i];
+        advance();
+      }
+      if (i >= text.length) throw new PolicySyntaxError('Unclosed \'"\' string', at.line, at.column);
+      advance();
+      tokens.push({ type: 'string', value, ...at });
+    } else if (/[A-Za-z0-9_+-]/.test(ch)) {
+      let value = '';
+      while (i < text.length && /[A-Za-z0-9_+-]/.test(text[i])) {
+        value += text[i];
+        advance();
+      }
+      tokens.push({ type: 'word', value, ...at });
+    } else {
+      throw new PolicySyntaxError(`Unexpected '${ch}'`, at.line, at.column);
+    }
+    lineStart = false;
+  }
+  tokens.push({ type: 'end', value: '', line, column });
+  return tokens;
+}
+
+function fail(token, reason) {
+  throw new PolicySyntaxError(reason, token.line, token.column);
+}
+
+// The value of a declaration: comma-separated items, each one or more words or sets
+function single(items, name) {
+  if (items.length !== 1 || items[0].length !== 1) fail((items[1] || items[0])[0], `${name} takes a single value`);
+  return items[0][0];
+}
+
+function wholeNumber(token) {
+  if (token.type !== 'word' || !/^\d+$/.test(token.value)) fail(token, `Expected a whole number, got '${token.value}'`);
+  return Number(token.value);
+}
+
+function numberOrNone(items, name) {
+  const token = single(items, name);
+  return token.value.toLowerCase() === 'none' ? null : wholeNumber(token);
+}
+
+function yesNo(items, name) {
+  const token = single(items, name);
+  const value = token.value.toLowerCase();
+  if (['yes', 'true', 'on'].includes(value)) return true;
+  if (['no', 'false', 'off'].includes(value)) return false;
+  return fail(token, `Expected yes or no, got '${token.value}'`);
+}
+
+function className(token) {
+  const name = token.type === 'word' && CLASS_NAMES[token.value.toLowerCase()];
+  if (!name) fail(token, `Unknown character class '${token.value}' (use upper, lower, letter, digit or special)`);
+  return name;
+}
+
+function charSet(items, name) {
+  const token = single(items, name);
+  if (token.type !== 'set') fail(token, `Expected a character set like [#?!], got '${token.value}'`);
+  return token.value;
+}
+
+// "digit 2, special none" -> { digit: 2, special: null }; "none" -> {}
+function classCounts(items) {
+  const counts = {};
+  if (items.length === 1 && items[0].length === 1 && items[0][0].value.toLowerCase() === 'none') return counts;
+  for (const item of items) {
+    if (item.length !== 2) fail(item[0], "Expected a class and a number, e.g. 'digit 2'");
+    counts[className(item[0])] = item[1].value.toLowerCase() === 'none' ? null : wholeNumber(item[1]);
+  }
+  return counts;
+}
+
+// "first is letter", "last not special", "3 is digit, letter not upper", "-2 not special"
+function positionConstraint(items) {
+  const tokens = items.flat();
+  const [where] = tokens;
+  const word = where.value.toLowerCase();
+  let index;
+  if (word === 'first') index = 0;
+  else if (word === 'last') index = -1;
+  else if (/^-\d+$/.test(word) && word !== '-0') index = Number(word);
+  else if (/^\d+$/.test(word) && word !== '0') index = Number(word) - 1;
+  else fail(where, `Expected first, last or a position like 3 or -2, got '${where.value}'`);
+  const constraint = { index };
+  let list = null;
+  for (const token of tokens.slice(1)) {
+    const keyword = token.type === 'word' && token.value.toLowerCase();
+    if (keyword === 'is' || keyword === 'not') {
+      const key = keyword === 'is' ? 'allow' : 'forbid';
+      if (constraint[key]) fail(token, `'${keyword}' appears twice`);
+      list = constraint[key] = [];
+    } else if (!list) {
+      fail(token, `Expected 'is' or 'not', got '${token.value}'`);
+    } else {
+      list.push(className(token));
+    }
+  }
+  for (const key of ['allow', 'forbid']) {
+    if (constraint[key] && constraint[key].length === 0) fail(where, 'Expected a character class after is/not');
+  }
+  if (!constraint.allow && !constraint.forbid) fail(where, "A position needs 'is' or 'not' and a class");
+  return constraint;
+}
+
+function oneOf(items, name, options, transform) {
+  const token = single(items, name);
+  const value = transform(token.value);
+  if (!options.includes(value)) fail(token, `${name} must be one of ${options.join(', ')}`);
+  return value;
+}
+
+// Declaration name (case, '-' and '_' ignored) -> how to read its value into the policy.
+// `repeatable` declarations add to the policy instead of being set once
+const DECLARATIONS = {
+  minlength: (items, policy) => { policy.minLength = wholeNumber(single(items, 'minlength')); },
+  maxlength: (items, policy) => { policy.maxLength = numberOrNone(items, 'maxlength'); },
+  required: {
+    repeatable: true,
+    read: (items, policy) => {
+      policy.required = policy.required || [];
+      if (items.length === 1 && items[0].length === 1 && items[0][0].value.toLowerCase() === 'none') return;
+      for (const item of items) {
+        if (item.length !== 1) fail(item[1], 'Separate classes with commas');
+        let name;
+        if (item[0].type === 'set') {
+          policy.specialChars = item[0].value;
+          name = 'special';
+        } else {
+          name = className(item[0]);
+        }
+        if (!policy.required.includes(name)) policy.required.push(name);
+      }
+    },
+  },
+  mincount: (items, policy) => { policy.minCounts = classCounts(items); },
+  mindistinct: (items, policy) => { policy.minDistinct = numberOrNone(items, 'min-distinct'); },
+  position: {
+    repeatable: true,
+    read: (items, policy) => {
+      policy.positions = policy.positions || [];
+      if (items.length === 1 && items[0].length === 1 && items[0][0].value.toLowerCase() === 'none') return;
+      policy.positions.push(positionConstraint(items));
+    },
+  },
+  specialchars: (items, policy) => { policy.specialChars = charSet(items, 'special-chars'); },
+  exclude: (items, policy) => { policy.excludeChars = charSet(items, 'exclude'); },
+  maxrepeat: (items, policy) => {
+    const first = items[0][0];
+    const simple = items.length === 1 && items[0].length === 1;
+    if (simple && first.value.toLowerCase() === 'none') policy.maxRepeat = null;
+    else if (simple) policy.maxRepeat = wholeNumber(first);
+    else policy.maxRepeat = classCounts(items);
+  },
+  repeatignorecase: (items, policy) => { policy.repeatIgnoreCase = yesNo(items, 'repeat-ignore-case'); },
+  strictalphabet: (items, policy) => { policy.strictAlphabet = yesNo(items, 'strict-alphabet'); },
+  pattern: (items, policy) => {
+    const token = single(items, 'pattern');
+    if (token.type === 'word' && token.value.toLowerCase() === 'none') policy.pattern = null;
+    else if (token.type === 'string') policy.pattern = token.value;
+    else fail(token, `Expected a quoted pattern like "[0-9]{6}", got '${token.value}'`);
+  },
+  maxrun: (items, policy) => { policy.maxRun = numberOrNone(items, 'max-run'); },
+  maxsequence: (items, policy) => { policy.maxSequence = numberOrNone(items, 'max-sequence'); },
+  maxkeyboardwalk: (items, policy) => { policy.maxKeyboardWalk = numberOrNone(items, 'max-keyboard-walk'); },
+  blocklist: (items, policy) => { policy.blocklist = yesNo(items, 'blocklist'); },
+  normalization: (items, policy) => {
+    const token = single(items, 'normalization');
+    policy.normalization = token.value.toLowerCase() === 'none'
+      ? null
+      : oneOf(items, 'normalization', NORMALIZATION_FORMS, v => v.toUpperCase());
+  },
+  contextmatchlength: (items, policy) => { policy.contextMatchLength = numberOrNone(items, 'context-match-length'); },
+  mindifference: (items, policy) => { policy.minDifference = numberOrNone(items, 'min-difference'); },
+  differencemeasure: (items, policy) => {
+    policy.differenceMeasure = oneOf(items, 'difference-measure', DIFFERENCE_MEASURES, v => v.toLowerCase());
+  },
+};
+
+/**
+ * Parse policy text into a policy object for validate(), generate() and fix().
+ * @param {string} text
+ * @returns {object} - only the fields the text sets
+ * @throws {PolicySyntaxError} with the line and column of the first mistake
+ */
+export function parsePolicy(text) {
+  const tokens = tokenize(text);
+  const policy = {};
+  const seen = new Set();
+  let i = 0;
+  while (tokens[i].type !== 'end') {
+    if (tokens[i].type === ';') {
+      i++;
+      continue;
+    }
+    const nameToken = tokens[i++];
+    if (nameToken.type !== 'word') fail(nameToken, `Expected a setting name, got '${nameToken.value}'`);
+    const key = nameToken.value.toLowerCase().replace(/[-_]/g, '');
+    const declaration = DECLARATIONS[key];
+    if (!declaration) fail(nameToken, `Unknown setting '${nameToken.value}'`);
+    if (tokens[i].type !== ':') fail(tokens[i], `Expected ':' after '${nameToken.value}'`);
+    i++;
+
+    const items = [[]];
+    while (tokens[i].type !== ';' && tokens[i].type !== 'end') {
+      const token = tokens[i++];
+      if (token.type === ':') fail(token, "Unexpected ':'; separate settings with ';'");
+      if (token.type === ',') {
+        if (items[items.length - 1].length === 0) fail(token, "Unexpected ','");
+        items.push([]);
+      } else {
+        items[items.length - 1].push(token);
+      }
+    }
+    if (items[items.length - 1].length === 0) {
+      fail(items.length > 1 ? tokens[i - 1] : tokens[i], `Missing value for '${nameToken.value}'`);
+    }
+
+    const repeatable = typeof declaration === 'object' && declaration.repeatable;
+    if (seen.has(key) && !repeatable) fail(nameToken, `'${nameToken.value}' is set twice`);
+    seen.add(key);
+    (typeof declaration === 'function' ? declaration : declaration.read)(items, policy);
+  }
+  return policy;
+}
+
+function formatSet(chars) {
+  return `[${chars.replace(/[\\\]]/g, c => `\\${c}`)}]`;
+}
+
+function formatString(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function formatCounts(counts) {
+  const entries = Object.entries(counts);
+  if (entries.length === 0) return 'none';
+  return entries.map(([name, n]) => `${SHORT_CLASS_NAMES[name] || name} ${noneOr(n)}`).join(', ');
+}
+
+function formatPosition({ index, allow, forbid }) {
+  const where = index === 0 ? 'first' : index === -1 ? 'last' : index > 0 ? String(index + 1) : String(index);
+  const parts = [where];
+  if (allow) parts.push('is', allow.map(c => SHORT_CLASS_NAMES[c] || c).join(', '));
+  if (forbid?.length > 0) parts.push('not', forbid.map(c => SHORT_CLASS_NAMES[c] || c).join(', '));
+  return parts.join(' ');
+}
+
+const noneOr = (value) => (value === null ? 'none' : String(value));
+const yesOrNo = (value) => (value ? 'yes' : 'no');
+
+/**
+ * Write a policy object as policy text. Only the fields the object sets are written, so
+ * parsePolicy(serializePolicy(policy)) gives back an equal policy.
+ * @param {object} policy - a policy object (preset ids should be resolved first)
+ * @param {{ multiline?: boolean }} [options] - one declaration per line instead of '; '
+ * @returns {string}
+ */
+export function serializePolicy(policy, { multiline = false } = {}) {
+  const out = [];
+  const has = (field) => policy[field] !== undefined;
+  let specialInRequired = false;
+
+  if (has('minLength')) out.push(`minlength: ${policy.minLength}`);
+  if (has('maxLength')) out.push(`maxlength: ${noneOr(policy.maxLength)}`);
+  if (has('required')) {
+    specialInRequired = policy.required.includes('special') && has('specialChars');
+    const names = policy.required.map(c => (c === 'special' && specialInRequired
+      ? formatSet(policy.specialChars)
+      : SHORT_CLASS_NAMES[c] || c));
+    out.push(`required: ${names.length > 0 ? names.join(', ') : 'none'}`);
+  }
+  if (has('specialChars') && !specialInRequired) out.push(`special-chars: ${formatSet(policy.specialChars)}`);
+  if (has('excludeChars')) out.push(`exclude: ${formatSet(policy.excludeChars)}`);
+  if (has('minCounts')) out.push(`min-count: ${formatCounts(policy.minCounts)}`);
+  if (has('minDistinct')) out.push(`min-distinct: ${noneOr(policy.minDistinct)}`);
+  if (policy.positions && policy.positions.length === 0) out.push('position: none');
+  for (const constraint of policy.positions || []) out.push(`position: ${formatPosition(constraint)}`);
+  if (has('maxRepeat')) {
+    const { maxRepeat } = policy;
+    out.push(`max-repeat: ${maxRepeat !== null && typeof maxRepeat === 'object' ? formatCounts(maxRepeat) : noneOr(maxRepeat)}`);
+  }
+  if (has('repeatIgnoreCase')) out.push(`repeat-ignore-case: ${yesOrNo(policy.repeatIgnoreCase)}`);
+  if (has('strictAlphabet')) out.push(`strict-alphabet: ${yesOrNo(policy.strictAlphabet)}`);
+  if (has('pattern')) out.push(`pattern: ${policy.pattern === null ? 'none' : formatString(policy.pattern)}`);
+  if (has('maxRun')) out.push(`max-run: ${noneOr(policy.maxRun)}`);
+  if (has('maxSequence')) out.push(`max-sequence: ${noneOr(policy.maxSequence)}`);
+  if (has('maxKeyboardWalk')) out.push(`max-keyboard-walk: ${noneOr(policy.maxKeyboardWalk)}`);
+  if (has('blocklist')) out.push(`blocklist: ${yesOrNo(policy.blocklist)}`);
+  if (has('normalization')) out.push(`normalization: ${noneOr(policy.normalization)}`);
+  if (has('contextMatchLength')) out.push(`context-match-length: ${noneOr(policy.contextMatchLength)}`);
+  if (has('minDifference')) out.push(`min-difference: ${noneOr(policy.minDifference)}`);
+  if (has('differenceMeasure')) out.push(`difference-measure: ${policy.differenceMeasure}`);
+
+  return out.join(multiline ? '\n' : '; ');
+}
@@ -0,0 +1,92 @@
+// Password Policy Helper - Policy Presets
+// Named, versioned policies for the portals and standards this extension is used against.
+// Kept free of imports so validator.js can resolve preset ids without a circular dependency.
+
+// Printable ASCII punctuation, for policies that accept any symbol
+const ASCII_SYMBOLS = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+export const DEFAULT_PRESET_ID = 'worldline-pci';
+
+/**
+ * Each preset pairs display metadata with the policy object that
+ * validate(), generate() and fix() consume.
+ */
+const PRESETS = [
+  {
+    id: 'worldline-pci',
+    name: 'Worldline PCI Portal',
+    version: '1',
+    source: 'Password criteria shown on the Worldline PCI Portal reset page',
+    policy: {
+      minLength: 8,
+      required: ['uppercase', 'lowercase', 'special', 'digit'],
+      specialChars: '#?!@$%^&*-',
+      maxRepeat: 2,
+      strictAlphabet: true,
+    },
+  },
+  {
+    id: 'ontario-moh',
+    name: 'Ontario MOH / OHIP',
+    version: '1',
+    source: 'Ontario Ministry of Health password reset criteria',
+    policy: {
+      minLength: 8,
+      required: ['uppercase', 'lowercase', 'special', 'digit'],
+      specialChars: '#?!@$%^&*-',
+      maxRepeat: 2,
+      strictAlphabet: true,
+    },
+  },
+  {
+    id: 'nist-800-63b',
+    name: 'NIST SP 800-63B',
+    version: 'Rev. 4',
+    source: 'NIST SP 800-63B-4: at least 15 characters for single-factor passwords, no composition rules, any characters including spaces, blocklist check, NFKC normalization',
+    policy: {
+      minLength: 15,
+      required: [],
+      specialChars: ASCII_SYMBOLS,
+      maxRepeat: null,
+      strictAlphabet: false,
+      blocklist: true,
+      normalization: 'NFKC',
+    },
+  },
+  {
+    id: 'pci-dss-4',
+    name: 'PCI DSS 8.3.6',
+    version: 'v4.0',
+    source: 'PCI DSS v4.0 requirement 8.3.6: at least 12 characters, numeric and alphabetic',
+    policy: {
+      minLength: 12,
+      required: ['letter', 'digit'],
+      specialChars: ASCII_SYMBOLS,
+      maxRepeat: null,
+      strictAlphabet: false,
+    },
+  },
+];
+
+for (const preset of PRESETS) {
+  Object.freeze(preset.policy.required);
+  Object.freeze(preset.policy);
+  Object.freeze(preset);
+}
+
+/**
+ * List all built-in presets in display order.
+ * @returns {Array<{ id: string, name: string, version: string, source: string, policy: object }>}
+ */
+export function listPresets() {
+  return [...PRESETS];
+}
+
+/**
+ * Look up a preset by id.
+ * @param {string} id
+ * @returns {{ id: string, name: string, version: string, source: string, policy: object }|null}
+ */
+export function getPreset(id) {
+  return PRESETS.find(p => p.id === id) || null;
+}
@@ -0,0 +1,140 @@
+// Password Policy Helper - Random Module
+// The random source behind generate() and fix(): the browser's crypto by default, or a
+// seeded source so tests can reproduce a password exactly.
+
+/**
+ * A random source is a function returning a uniformly random integer in [0, 2^32).
+ * @typedef {() => number} RandomSource
+ */
+
+/** @type {RandomSource} */
+export function cryptoRandom() {
+  const array = new Uint32Array(1);
+  crypto.getRandomValues(array);
+  return array[0];
+}
+
+let source = cryptoRandom;
+
+/**
+ * Replace the random source used by generate() and fix().
+ * Only tests should need this; the crypto source is the only one fit for real passwords.
+ * @param {RandomSource|null} next - null restores the crypto source
+ * @returns {RandomSource} - the previous source, for putting it back
+ */
+export function setRandomSource(next) {
+  const previous = source;
+  source = next || cryptoRandom;
+  return previous;
+}
+
+/**
+ * Run a function with a different random source, restoring the previous one afterwards.
+ * @template T
+ * @param {RandomSource} next
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withRandomSource(next, fn) {
+  const previous = setRandomSource(next);
+  try {
+    return fn();
+  } finally {
+    setRandomSource(previous);
+  }
+}
+
+// splitmix32, to spread a seed over the four words of sfc32's state
+function splitmix32(state) {
+  return () => {
+    state = (state + 0x9e3779b9) | 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+/**
+ * A deterministic random source (sfc32) for tests: the same seed always gives the same
+ * sequence. Not for real passwords.
+ * @param {number|string} seed
+ * @returns {RandomSource}
+ */
+export function createSeededRandom(seed) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193);
+  const next = splitmix32(hash);
+  let a = next();
+  let b = next();
+  let c = next();
+  let d = next();
+  return () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+}
+
+/**
+ * Get a uniformly random integer in [0, max) from the current source.
+ * Draws that fall in the incomplete last block of 2^32 are rejected and redrawn, so
+ * every result is equally likely (a plain `% max` favours the low results).
+ * @param {number} max - an integer from 1 to 2^32
+ * @returns {number}
+ */
+export function randomInt(max) {
+  if (!Number.isInteger(max) || max < 1 || max > 2 ** 32) {
+    throw new RangeError(`randomInt() needs an integer from 1 to 2^32, got ${max}`);
+  }
+  const limit = 2 ** 32 - (2 ** 32 % max);
+  let value = source();
+  while (value >= limit) value = source();
+  return value % max;
+}
+
+/**
+ * Pick a random element of an array or character of a string.
+ * @param {string|Array} items - not empty
+ * @returns {*}
+ */
+export function randomItem(items) {
+  return items[randomInt(items.length)];
+}
+
+/**
+ * Fisher-Yates shuffle (in place): every order is equally likely.
+ * @param {Array} arr
+ * @returns {Array} - arr
+ */
+export function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Get a uniformly random BigInt in [0, max), for picking from counts too large for
+ * randomInt(). Rejection-sampled like randomInt().
+ * @param {bigint} max - at least 1n
+ * @returns {bigint}
+ */
+export function randomBigInt(max) {
+  if (typeof max !== 'bigint' || max < 1n) {
+    throw new RangeError(`randomBigInt() needs a BigInt of at least 1n, got ${max}`);
+  }
+  const bits = max.toString(2).length;
+  const words = Math.ceil(bits / 32);
+  const topMask = 2 ** (bits - 32 * (words - 1)) - 1;
+  for (;;) {
+    let value = BigInt((source() & topMask) >>> 0);
+    for (let w = 1; w < words; w++) value = (value << 32n) | BigInt(source());
+    if (value < max) return value;
+  }
+}
@@ -0,0 +1,500 @@
+// Password Policy Helper - Strength Module
+// Estimates how many guesses an attacker needs, in the spirit of zxcvbn (Dropbox, MIT):
+// the password is split into the cheapest sequence of dictionary words (with l33t and
+// uppercase variations), repeats, sequences, dates and brute-force runs.
+
+import { FREQUENCY_LISTS } from './strength-data.js';
+
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MIN_YEAR_SPACE = 20;
+const REFERENCE_YEAR = new Date().getFullYear();
+const DATE_MIN_YEAR = 1000;
+const DATE_MAX_YEAR = 2050;
+const MAX_SEQUENCE_DELTA = 5;
+// Matching and the decomposition grow faster than quadratically, so like zxcvbn only the
+// first characters are analyzed and the rest counted as brute force
+const MAX_ANALYZED_LENGTH = 100;
+
+export const SCORE_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+
+// Attacker guess rates (guesses per second) for the crack-time buckets
+export const ATTACK_RATES = {
+  onlineThrottled: 100 / 3600,
+  onlineUnthrottled: 10,
+  offlineSlowHash: 1e4,
+  offlineFastHash: 1e10,
+};
+
+const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['+', '7'],
+  x: ['%'],
+  z: ['2'],
+};
+
+// Separators-free digit strings: where to split into day/month/year parts
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]],
+};
+
+const RANKED_DICTIONARIES = {};
+let maxWordLength = 0;
+for (const [name, list] of Object.entries(FREQUENCY_LISTS)) {
+  const ranks = new Map();
+  list.split(',').forEach((word, i) => {
+    if (!ranks.has(word)) ranks.set(word, i + 1);
+    maxWordLength = Math.max(maxWordLength, word.length);
+  });
+  RANKED_DICTIONARIES[name] = ranks;
+}
+
+function nCk(n, k) {
+  if (k > n) return 0;
+  if (k === 0) return 1;
+  let r = 1;
+  for (let d = 1; d <= k; d++) {
+    r *= n;
+    r /= d;
+    n--;
+  }
+  return r;
+}
+
+function factorial(n) {
+  let f = 1;
+  for (let i = 2; i <= n; i++) f *= i;
+  return f;
+}
+
+// ── Matchers ────────────────────────────────────────────────────────
+// Every match covers chars[i..j] (inclusive code-point indices) and carries its token.
+
+function dictionaryMatches(chars) {
+  const lower = chars.map(c => c.toLowerCase());
+  const matches = [];
+  for (const [dictionary, ranks] of Object.entries(RANKED_DICTIONARIES)) {
+    for (let i = 0; i < lower.length; i++) {
+      let word = '';
+      for (let j = i; j < Math.min(lower.length, i + maxWordLength); j++) {
+        word += lower[j];
+        const rank = ranks.get(word);
+        if (rank !== undefined) {
+          matches.push({
+            pattern: 'dictionary', i, j, token: chars.slice(i, j + 1).join(''),
+            matchedWord: word, rank, dictionary, l33t: false,
+          });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+// All ways of reading the l33t characters present in the password, capped to keep matching cheap
+function l33tSubstitutions(chars) {
+  const options = {};
+  for (const [letter, subs] of Object.entries(L33T_TABLE)) {
+    for (const sub of subs) {
+      if (chars.includes(sub)) (options[sub] = options[sub] || []).push(letter);
+    }
+  }
+  let tables = [{}];
+  for (const [sub, letters] of Object.entries(options)) {
+    const next = [];
+    for (const table of tables) {
+      for (const letter of letters) next.push({ ...table, [sub]: letter });
+    }
+    tables = next.slice(0, 32);
+  }
+  return Object.keys(options).length > 0 ? tables : [];
+}
+
+function l33tMatches(chars) {
+  const matches = [];
+  const seen = new Set();
+  for (const table of l33tSubstitutions(chars)) {
+    const subbed = chars.map(c => table[c] || c);
+    for (const match of dictionaryMatches(subbed)) {
+      const token = chars.slice(match.i, match.j + 1);
+      const sub = {};
+      for (const c of token) if (table[c]) sub[c] = table[c];
+      // Single characters and tokens with no substitution are left to the plain matchers
+      if (token.length <= 1 || Object.keys(sub).length === 0) continue;
+      const key = `${match.i}:${match.j}:${match.dictionary}:${match.matchedWord}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      matches.push({ ...match, token: token.join(''), l33t: true, sub });
+    }
+  }
+  return matches;
+}
+
+function repeatMatches(password) {
+  const matches = [];
+  const greedy = /(.+)\1+/gu;
+  const lazy = /(.+?)\1+/gu;
+  const lazyAnchored = /^(.+?)\1+$/u;
+  let lastIndex = 0;
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lazy.lastIndex = lastIndex;
+    const g = greedy.exec(password);
+    const l = lazy.exec(password);
+    if (!g) break;
+    let match;
+    let base;
+    if (g[0].length > l[0].length) {
+      // Greedy found a longer repeat ('abcabc' in 'aabcabc'); its shortest base comes from the anchored lazy form
+      match = g;
+      base = lazyAnchored.exec(g[0])[1];
+    } else {
+      match = l;
+      base = l[1];
+    }
+    const i = [...password.slice(0, match.index)].length;
+    const length = [...match[0]].length;
+    const baseGuesses = estimateGuesses(base).guesses;
+    matches.push({
+      pattern: 'repeat', i, j: i + length - 1, token: match[0],
+      baseToken: base, baseGuesses, repeatCount: length / [...base].length,
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  return matches;
+}
+
+function sequenceMatches(chars) {
+  const matches = [];
+  if (chars.length === 1) return matches;
+  const codes = chars.map(c => c.codePointAt(0));
+
+  function update(i, j, delta) {
+    if (j - i > 1 || Math.abs(delta) === 1) {
+      if (Math.abs(delta) > 0 && Math.abs(delta) <= MAX_SEQUENCE_DELTA) {
+        const token = chars.slice(i, j + 1).join('');
+        let sequenceName = 'unicode';
+        if (/^[a-z]+$/.test(token)) sequenceName = 'lower';
+        else if (/^[A-Z]+$/.test(token)) sequenceName = 'upper';
+        else if (/^\d+$/.test(token)) sequenceName = 'digits';
+        matches.push({ pattern: 'sequence', i, j, token, sequenceName, ascending: delta > 0 });
+      }
+    }
+  }
+
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < chars.length; k++) {
+    const delta = codes[k] - codes[k - 1];
+    if (lastDelta === null) lastDelta = delta;
+    if (delta === lastDelta) continue;
+    const j = k - 1;
+    update(i, j, lastDelta);
+    i = j;
+    lastDelta = delta;
+  }
+  update(i, chars.length - 1, lastDelta);
+  return matches;
+}
+
+function twoToFourDigitYear(year) {
+  if (year > 99) return year;
+  if (year > 50) return year + 1900;
+  return year + 2000;
+}
+
+function mapIntsToDm(ints) {
+  for (const [d, m] of [ints, [...ints].reverse()]) {
+    if (d >= 1 && d <= 31 && m >= 1 && m <= 12) return { day: d, month: m };
+  }
+  return null;
+}
+
+function mapIntsToDmy(ints) {
+  if (ints[1] > 31 || ints[1] <= 0) return null;
+  let over12 = 0;
+  let over31 = 0;
+  let under1 = 0;
+  for (const n of ints) {
+    if ((n > 99 && n < DATE_MIN_YEAR) || n > DATE_MAX_YEAR) return null;
+    if (n > 31) over31++;
+    if (n > 12) over12++;
+    if (n <= 0) under1++;
+  }
+  if (over31 >= 2 || over12 === 3 || under1 >= 2) return null;
+
+  const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+  for (const [y, rest] of splits) {
+    if (y >= DATE_MIN_YEAR && y <= DATE_MAX_YEAR) {
+      const dm = mapIntsToDm(rest);
+      return dm ? { year: y, ...dm } : null;
+    }
+  }
+  for (const [y, rest] of splits) {
+    const dm = mapIntsToDm(rest);
+    if (dm) return { year: twoToFourDigitYear(y), ...dm };
+  }
+  return null;
+}
+
+function dateMatches(chars) {
+  const matches = [];
+  const maybeDateNoSeparator = /^\d{4,8}$/;
+  const maybeDateWithSeparator = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+
+  for (let i = 0; i < chars.length; i++) {
+    for (let j = i + 3; j < Math.min(chars.length, i + 10); j++) {
+      const token = chars.slice(i, j + 1).join('');
+      let best = null;
+      let separator = '';
+
+      if (j - i <= 7 && maybeDateNoSeparator.test(token)) {
+        for (const [k, l] of DATE_SPLITS[token.length]) {
+          const dmy = mapIntsToDmy([token.slice(0, k), token.slice(k, l), token.slice(l)].map(Number));
+          if (dmy && (!best || Math.abs(dmy.year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR))) {
+            best = dmy;
+          }
+        }
+      } else if (j - i >= 5) {
+        const rx = maybeDateWithSeparator.exec(token);
+        if (rx) {
+          best = mapIntsToDmy([rx[1], rx[3], rx[4]].map(Number));
+          separator = rx[2];
+        }
+      }
+      if (best) matches.push({ pattern: 'date', i, j, token, separator, ...best });
+    }
+  }
+
+  // Bare recent years ('1987', '2024')
+  for (let i = 0; i + 3 < chars.length; i++) {
+    const token = chars.slice(i, i + 4).join('');
+    if (/^(19|20)\d\d$/.test(token)) {
+      matches.push({ pattern: 'regex', regexName: 'recentYear', i, j: i + 3, token, year: Number(token) });
+    }
+  }
+
+  // Drop dates that sit strictly inside a longer date
+  return matches.filter(m => !matches.some(o =>
+    o !== m && o.pattern === 'date' && o.i <= m.i && o.j >= m.j && (o.j - o.i) > (m.j - m.i)));
+}
+
+function omnimatch(password) {
+  const chars = [...password];
+  return [
+    ...dictionaryMatches(chars),
+    ...l33tMatches(chars),
+    ...repeatMatches(password),
+    ...sequenceMatches(chars),
+    ...dateMatches(chars),
+  ].sort((a, b) => a.i - b.i || a.j - b.j);
+}
+
+// ── Guess estimates ─────────────────────────────────────────────────
+
+function uppercaseVariations(token) {
+  if (/^[^A-Z]+$/.test(token) || token.toLowerCase() === token) return 1;
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+  const upper = [...token].filter(c => /[A-Z]/.test(c)).length;
+  const lower = [...token].filter(c => /[a-z]/.test(c)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+  return variations;
+}
+
+function l33tVariations(match) {
+  if (!match.l33t) return 1;
+  let variations = 1;
+  const chars = [...match.token.toLowerCase()];
+  for (const [subbed, unsubbed] of Object.entries(match.sub)) {
+    const s = chars.filter(c => c === subbed).length;
+    const u = chars.filter(c => c === unsubbed).length;
+    if (s === 0 || u === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(u, s); i++) possibilities += nCk(u + s, i);
+      variations *= possibilities;
+    }
+  }
+  return variations;
+}
+
+const GUESSES = {
+  bruteforce: (m) => Math.max(
+    BRUTEFORCE_CARDINALITY ** [...m.token].length,
+    ([...m.token].length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR) + 1),
+  dictionary: (m) => m.rank * uppercaseVariations(m.token) * l33tVariations(m),
+  repeat: (m) => m.baseGuesses * m.repeatCount,
+  sequence: (m) => {
+    const first = m.token[0];
+    let base;
+    if ('aAzZ019'.includes(first)) base = 4;
+    else if (/\d/.test(first)) base = 10;
+    else base = 26;
+    if (!m.ascending) base *= 2;
+    return base * [...m.token].length;
+  },
+  regex: (m) => Math.max(Math.abs(m.year - REFERENCE_YEAR), MIN_YEAR_SPACE),
+  date: (m) => Math.max(Math.abs(m.year - REFERENCE_YEAR), MIN_YEAR_SPACE) * 365 * (m.separator ? 4 : 1),
+};
+
+function matchGuesses(match, passwordLength) {
+  if (match.guesses != null) return match.guesses;
+  const length = match.j - match.i + 1;
+  let minGuesses = 1;
+  if (length < passwordLength) {
+    minGuesses = length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+  }
+  match.guesses = Math.max(GUESSES[match.pattern](match), minGuesses);
+  return match.guesses;
+}
+
+// Dynamic programming over prefixes: the cheapest way to cover chars[0..k] with l matches
+function mostGuessableSequence(chars, matches) {
+  const n = chars.length;
+  const byEnd = Array.from({ length: n }, () => []);
+  for (const m of matches) byEnd[m.j].push(m);
+
+  const optimal = {
+    m: Array.from({ length: n }, () => new Map()),
+    pi: Array.from({ length: n }, () => new Map()),
+    g: Array.from({ length: n }, () => new Map()),
+  };
+
+  function update(m, l) {
+    const k = m.j;
+    let pi = matchGuesses(m, n);
+    if (l > 1) pi *= optimal.pi[m.i - 1].get(l - 1);
+    const g = factorial(l) * pi + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (l - 1);
+    for (const [competingL, competingG] of optimal.g[k]) {
+      if (competingL <= l && competingG <= g) return;
+    }
+    optimal.g[k].set(l, g);
+    optimal.m[k].set(l, m);
+    optimal.pi[k].set(l, pi);
+  }
+
+  function bruteforce(i, j) {
+    return { pattern: 'bruteforce', i, j, token: chars.slice(i, j + 1).join('') };
+  }
+
+  for (let k = 0; k < n; k++) {
+    for (const m of byEnd[k]) {
+      if (m.i > 0) {
+        for (const l of [...optimal.m[m.i - 1].keys()]) update(m, l + 1);
+      } else {
+        update(m, 1);
+      }
+    }
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      for (const [l, last] of [...optimal.m[i - 1]]) {
+        if (last.pattern !== 'bruteforce') update(bruteforce(i, k), l + 1);
+      }
+    }
+  }
+
+  if (n === 0) return { guesses: 1, sequence: [] };
+
+  let bestL = null;
+  let bestG = Infinity;
+  for (const [l, g] of optimal.g[n - 1]) {
+    if (g < bestG) {
+      bestL = l;
+      bestG = g;
+    }
+  }
+  const sequence = [];
+  for (let k = n - 1, l = bestL; k >= 0; l--) {
+    const m = optimal.m[k].get(l);
+    sequence.unshift(m);
+    k = m.i - 1;
+  }
+  return { guesses: bestG, sequence };
+}
+
+function estimateGuesses(password) {
+  const chars = [...password];
+  if (chars.length <= MAX_ANALYZED_LENGTH) return mostGuessableSequence(chars, omnimatch(password));
+  const head = chars.slice(0, MAX_ANALYZED_LENGTH);
+  const { guesses, sequence } = mostGuessableSequence(head, omnimatch(head.join('')));
+  const tail = {
+    pattern: 'bruteforce', i: MAX_ANALYZED_LENGTH, j: chars.length - 1, token: chars.slice(MAX_ANALYZED_LENGTH).join(''),
+  };
+  matchGuesses(tail, chars.length);
+  return { guesses: Math.min(guesses * tail.guesses, Number.MAX_VALUE), sequence: [...sequence, tail] };
+}
+
+// ── Crack times ─────────────────────────────────────────────────────
+
+function displayTime(seconds) {
+  const units = [
+    ['minute', 60], ['hour', 3600], ['day', 86400], ['month', 86400 * 31], ['year', 86400 * 365],
+  ];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 86400 * 365 * 100) return 'centuries';
+  let name = 'second';
+  let value = Math.round(seconds);
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      name = unit;
+      value = Math.round(seconds / size);
+    }
+  }
+  return `${value} ${name}${value === 1 ? '' : 's'}`;
+}
+
+function guessesToScore(guesses) {
+  const delta = 5;
+  if (guesses < 1e3 + delta) return 0;
+  if (guesses < 1e6 + delta) return 1;
+  if (guesses < 1e8 + delta) return 2;
+  if (guesses < 1e10 + delta) return 3;
+  return 4;
+}
+
+/**
+ * Estimate a password's strength.
+ * @param {string} password
+ * @returns {{
+ *   guesses: number,
+ *   log2: number,
+ *   log10: number,
+ *   score: 0|1|2|3|4,
+ *   label: string,
+ *   crackTimes: Record<'onlineThrottled'|'onlineUnthrottled'|'offlineSlowHash'|'offlineFastHash', { seconds: number, display: string }>,
+ *   sequence: Array<{ pattern: string, i: number, j: number, token: string, guesses: number }>
+ * }}
+ */
+export function estimateStrength(password) {
+  const { guesses, sequence } = estimateGuesses(password || '');
+  const crackTimes = {};
+  for (const [name, rate] of Object.entries(ATTACK_RATES)) {
+    const seconds = guesses / rate;
+    crackTimes[name] = { seconds, display: displayTime(seconds) };
+  }
+  const score = guessesToScore(guesses);
+  return {
+    guesses,
+    log2: Math.log2(guesses),
+    log10: Math.log10(guesses),
+    score,
+    label: SCORE_LABELS[score],
+    crackTimes,
+    sequence,
+  };
+}
@@ -1,5 +1,9 @@
 // Password Policy Helper - Validator Module
-// Validates passwords against the 6-rule policy.
+// Validates passwords against a declarative policy (the Worldline policy by default).
+
+import { DEFAULT_PRESET_ID, getPreset } from './presets.js';
+import { findBlocklisted } from './blocklist.js';
+import { COMMON_PASSWORDS } from './blocklist-data.js';
 
 export const SPECIAL_CHARS = '#?!@$%^&*-';
 
@@ -11,87 +15,976 @@ export const CHAR_CLASSES = {
 };
 
 /**
- * Classify a single character into its character class.
+ * Human-readable labels for the character classes a policy can require.
+ * 'letter' is satisfied by either an uppercase or a lowercase letter.
+ */
+export const CLASS_LABELS = {
+  uppercase: 'uppercase letter',
+  lowercase: 'lowercase letter',
+  letter: 'letter',
+  digit: 'digit',
+  special: 'special character',
+};
+
+/**
+ * The Worldline PCI Portal policy. Any field left out of a policy passed to
+ * validate(), generate() or fix() falls back to the value here.
+ *
+ * - minLength:    minimum number of characters
+ * - required:     character classes that must each appear at least once
+ * - minCounts:    per-class minimums above 1, e.g. { digit: 2 }; a class listed here is
+ *                 required even if it isn't in `required`
+ * - minDistinct:  minimum number of different characters (null or absent = not checked)
+ * - positions:    constraints on the class of the character at a position, e.g.
+ *                 [{ index: 0, allow: ['letter'] }, { index: -1, forbid: ['special'] }];
+ *                 negative indices count from the end
+ * - specialChars: the characters that count as "special"
+ * - maxRepeat:    maximum occurrences of any single character (null = no limit), or caps
+ *                 per class, e.g. { digit: 3, special: 1 }; classes left out are uncapped
+ * - repeatIgnoreCase: true to count 'a' and 'A' as the same character for maxRepeat
+ *
+ * - maxLength:    maximum number of characters (null or absent = no limit)
+ * - strictAlphabet: true to allow only ASCII letters, digits and specialChars; anything
+ *                   else (spaces, '~', accented letters, emoji) fails. false = any character
+ * - pattern:      an HTML `pattern` the whole password must match, as a site declares on its
+ *                 password field (null or absent = not checked; an invalid pattern is ignored,
+ *                 as browsers do)
+ *
+ * Optional pattern rules (null or absent = not checked):
+ * - maxRun:          longest allowed run of one character ('aaa' is a run of 3)
+ * - maxSequence:     longest allowed alphabetic/numeric sequence ('abc', '987')
+ * - maxKeyboardWalk: longest allowed walk along a QWERTY row ('qwer', '!@#')
+ * - blocklist:       true to reject common/leaked passwords and their leetspeak variants
+ *
+ * Unicode handling:
+ * - normalization:   'NFC' (default), 'NFKC', 'NFD', 'NFKD', or null to check the password as typed
+ *
+ * Account context (checked only when validate() is given a username or email):
+ * - contextMatchLength: shortest piece of the username/email that may not appear in the
+ *                       password (default 4; null = don't check)
+ *
+ * Narrowed for generating (see withGeneratorOptions()):
+ * - excludeChars:    characters generate() and fix() never produce; they drop out of the class
+ *                   pools and the alphabet, and fix() replaces any the password already has
+ *
+ * Password change (checked only when validate() is given the previous password):
+ * - minDifference:     how many characters the new password must change (default 4; null = don't check)
+ * - differenceMeasure: 'levenshtein' (default; insertions, deletions and substitutions) or
+ *                      'positional' (characters that differ at the same position, plus the length change)
+ */
+export const DEFAULT_POLICY = getPreset(DEFAULT_PRESET_ID).policy;
+
+/**
+ * Turn a preset id or partial policy into a complete policy, filling in
+ * missing fields from DEFAULT_POLICY.
+ * @param {string|object} [policy] - a preset id from lib/presets.js, or a policy object
+ * @returns {object}
+ */
+export function resolvePolicy(policy) {
+  if (typeof policy === 'string') {
+    const preset = getPreset(policy);
+    if (!preset) throw new Error(`Unknown policy preset: ${policy}`);
+    return preset.policy;
+  }
+  if (!policy || policy === DEFAULT_POLICY) return DEFAULT_POLICY;
+  return { ...DEFAULT_POLICY, ...policy };
+}
+
+/**
+ * Apply the policy's Unicode normalization to a password.
+ * @param {string} password
+ * @param {string|object} [policy]
+ * @returns {string}
+ */
+export function normalizePassword(password, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const form = policy.normalization === undefined ? 'NFC' : policy.normalization;
+  return form ? password.normalize(form) : password;
+}
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split a string into user-perceived characters (extended grapheme clusters), so
+ * 'e' + U+0301 or a ZWJ emoji sequence counts as one character. Falls back to code
+ * points where Intl.Segmenter is unavailable.
+ * @param {string} str
+ * @returns {string[]}
+ */
+export function splitGraphemes(str) {
+  if (!graphemeSegmenter) return [...str];
+  return Array.from(graphemeSegmenter.segment(str), s => s.segment);
+}
+
+/**
+ * Get the characters belonging to a class under a policy.
+ * @param {string} className - 'uppercase' | 'lowercase' | 'letter' | 'digit' | 'special'
+ * @param {object} [policy]
+ * @returns {string}
+ */
+export function getClassPool(className, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  let pool;
+  if (className === 'special') pool = policy.specialChars;
+  else if (className === 'letter') pool = CHAR_CLASSES.uppercase + CHAR_CLASSES.lowercase;
+  else pool = CHAR_CLASSES[className] || '';
+  return withoutExcluded(pool, policy);
+}
+
+/**
+ * Get every character a policy knows how to classify, in class order.
+ * @param {object} [policy]
+ * @returns {string}
+ */
+export function getAlphabet(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  return withoutExcluded(CHAR_CLASSES.uppercase + CHAR_CLASSES.lowercase + CHAR_CLASSES.digit + policy.specialChars, policy);
+}
+
+function withoutExcluded(pool, policy) {
+  if (!policy.excludeChars) return pool;
+  return [...pool].filter(ch => !policy.excludeChars.includes(ch)).join('');
+}
+
+/** Characters that are easily mistaken for one another: O and 0, I, l, 1 and | */
+export const AMBIGUOUS_CHARS = 'O0Il1|';
+
+/**
+ * Narrow a policy to the characters generated and fixed passwords may use, by adding the
+ * rest to its excludeChars. Classes are unchanged, so a password the narrowed policy
+ * accepts, the original accepts too.
+ * @param {string|object} [policy]
+ * @param {{ excludeAmbiguous?: boolean, exclude?: string, specialChars?: string }} [options] -
+ *   leave out AMBIGUOUS_CHARS, leave out particular characters (e.g. ones a site mangles),
+ *   and keep only these of the policy's special characters
+ * @returns {object} - a resolved policy; the same one when there is nothing to narrow
+ */
+export function withGeneratorOptions(policy, options = {}) {
+  policy = resolvePolicy(policy);
+  const { excludeAmbiguous, exclude = '', specialChars } = options;
+  const excluded = new Set([
+    ...(policy.excludeChars || ''),
+    ...(excludeAmbiguous ? AMBIGUOUS_CHARS : ''),
+    ...exclude,
+    ...(specialChars == null ? '' : [...policy.specialChars].filter(ch => !specialChars.includes(ch))),
+  ]);
+  if (excluded.size === (policy.excludeChars || '').length) return policy;
+  return { ...policy, excludeChars: [...excluded].join('') };
+}
+
+/**
+ * Classify a single character (grapheme cluster) into its character class.
+ * Letters and digits outside ASCII are classified by the Unicode category of
+ * their base character, so 'É' and 'e' + U+0301 are letters too.
  * @param {string} ch
+ * @param {string} [specialChars=SPECIAL_CHARS] - characters that count as special
  * @returns {'uppercase'|'lowercase'|'digit'|'special'|'unknown'}
  */
-export function classifyChar(ch) {
+export function classifyChar(ch, specialChars = SPECIAL_CHARS) {
   if (ch >= 'A' && ch <= 'Z') return 'uppercase';
   if (ch >= 'a' && ch <= 'z') return 'lowercase';
   if (ch >= '0' && ch <= '9') return 'digit';
-  if (SPECIAL_CHARS.includes(ch)) return 'special';
+  if ([...ch].length === 1 && specialChars.includes(ch)) return 'special';
+  const base = String.fromCodePoint(ch.codePointAt(0));
+  if (/\p{Lu}|\p{Lt}/u.test(base)) return 'uppercase';
+  if (/\p{Ll}/u.test(base)) return 'lowercase';
+  if (/\p{Nd}/u.test(base)) return 'digit';
   return 'unknown';
 }
 
 /**
- * Count occurrences of each character (case-sensitive).
- * @param {string} password
+ * Check whether a character belongs to a class under a policy.
+ * @param {string} ch
+ * @param {string} className
+ * @param {object} [policy]
+ * @returns {boolean}
+ */
+export function inClass(ch, className, policy = DEFAULT_POLICY) {
+  const cls = classifyChar(ch, resolvePolicy(policy).specialChars);
+  if (className === 'letter') return cls === 'uppercase' || cls === 'lowercase';
+  return cls === className;
+}
+
+/**
+ * Check whether a policy allows a character at all. Without strictAlphabet every
+ * character is allowed except the policy's excludeChars; with it, only the characters
+ * in getAlphabet(policy).
+ * @param {string} ch
+ * @param {object} [policy]
+ * @returns {boolean}
+ */
+export function isAllowedChar(ch, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  if (!policy.strictAlphabet) return !policy.excludeChars || !policy.excludeChars.includes(ch);
+  return [...ch].length === 1 && getAlphabet(policy).includes(ch);
+}
+
+/**
+ * Check whether a character may stand at a position under the policy's position constraints.
+ * @param {string} ch
+ * @param {number} index - position in the password
+ * @param {number} length - length of the password, to resolve indices counted from the end
+ * @param {object} [policy]
+ * @returns {boolean}
+ */
+export function isAllowedAt(ch, index, length, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  return (policy.positions || []).every(constraint =>
+    resolvePosition(constraint.index, length) !== index || meetsPosition(ch, constraint, policy));
+}
+
+function resolvePosition(index, length) {
+  return index < 0 ? length + index : index;
+}
+
+function meetsPosition(ch, constraint, policy) {
+  const { allow, forbid = [] } = constraint;
+  return (!allow || allow.some(className => inClass(ch, className, policy))) &&
+    !forbid.some(className => inClass(ch, className, policy));
+}
+
+function positionDescription(constraint) {
+  const { index, allow, forbid = [] } = constraint;
+  const label = (classes) => classes.map((className) => {
+    const name = CLASS_LABELS[className] || className;
+    return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+  }).join(' or ');
+  const where = index === 0 ? 'First character'
+    : index === -1 ? 'Last character'
+    : index > 0 ? `Character ${index + 1}`
+    : `Character ${-index} from the end`;
+  const parts = [];
+  if (allow) parts.push(`is ${label(allow)}`);
+  if (forbid.length > 0) parts.push(`is not ${label(forbid)}`);
+  return `${where} ${parts.join(' and ')}`;
+}
+
+/**
+ * Count occurrences of each character (case-sensitive, by grapheme cluster).
+ * @param {string|string[]} password - a string or an array of characters
  * @returns {Map<string, number>}
  */
 export function countChars(password) {
   const counts = new Map();
-  for (const ch of password) {
+  for (const ch of Array.isArray(password) ? password : splitGraphemes(password)) {
     counts.set(ch, (counts.get(ch) || 0) + 1);
   }
   return counts;
 }
 
 /**
- * Validate a password against all 6 rules.
- * @param {string} password
- * @returns {{ overall: boolean, rules: Array<{ id: number, name: string, description: string, pass: boolean, detail?: string }> }}
+ * The key a character is counted under for the repeat rule: the character itself, or
+ * its lowercase form when the policy has repeatIgnoreCase.
+ * @param {string} ch
+ * @param {object} [policy]
+ * @returns {string}
  */
-export function validate(password) {
-  const counts = countChars(password);
+export function repeatKey(ch, policy = DEFAULT_POLICY) {
+  return resolvePolicy(policy).repeatIgnoreCase ? ch.toLowerCase() : ch;
+}
 
-  // Rule 6: find violators
-  const violators = [];
-  for (const [ch, n] of counts) {
-    if (n > 2) violators.push(`'${ch}' appears ${n}x`);
+/**
+ * The most times a character may appear under the policy's maxRepeat.
+ * With per-class caps the lowest cap of any class the character is in applies; with
+ * repeatIgnoreCase, the lowest cap of either case, so 'a' and 'A' share one limit.
+ * @param {string} ch
+ * @param {object} [policy]
+ * @returns {number} - Infinity when the character is uncapped
+ */
+export function repeatLimit(ch, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const { maxRepeat } = policy;
+  if (maxRepeat == null) return Infinity;
+  if (typeof maxRepeat === 'number') return maxRepeat;
+  const variants = policy.repeatIgnoreCase ? [ch, ch.toLowerCase(), ch.toUpperCase()] : [ch];
+  let limit = Infinity;
+  for (const [className, cap] of Object.entries(maxRepeat)) {
+    if (cap != null && variants.some(v => inClass(v, className, policy))) limit = Math.min(limit, cap);
   }
+  return limit;
+}
 
-  const rules = [
-    {
-      id: 1,
-      name: 'minLength',
-      description: 'At least 8 characters',
-      pass: password.length >= 8,
-    },
-    {
-      id: 2,
-      name: 'uppercase',
-      description: 'At least 1 uppercase letter',
-      pass: /[A-Z]/.test(password),
-    },
-    {
-      id: 3,
-      name: 'lowercase',
-      description: 'At least 1 lowercase letter',
-      pass: /[a-z]/.test(password),
-    },
-    {
-      id: 4,
-      name: 'special',
-      description: 'At least 1 special character (#?!@$%^&*-)',
-      pass: /[#?!@$%^&*\-]/.test(password),
-    },
-    {
-      id: 5,
-      name: 'digit',
-      description: 'At least 1 digit',
-      pass: /[0-9]/.test(password),
-    },
-    {
-      id: 6,
-      name: 'maxRepeat',
-      description: 'No character appears more than 2 times',
-      pass: violators.length === 0,
-      detail: violators.length > 0 ? violators.join(', ') : undefined,
-    },
+/**
+ * Count characters the way the repeat rule does, keyed by repeatKey().
+ * @param {string|string[]} password - a string or an array of characters
+ * @param {object} [policy]
+ * @returns {Map<string, number>}
+ */
+export function countRepeats(password, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const counts = new Map();
+  for (const ch of Array.isArray(password) ? password : splitGraphemes(password)) {
+    const key = repeatKey(ch, policy);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// e.g. "No character appears more than 2 times", "No digit appears more than 3 times, no special
+// character more than 1 time"
+function repeatDescription(policy) {
+  const times = (n) => `${n} ${n === 1 ? 'time' : 'times'}`;
+  const caseNote = policy.repeatIgnoreCase ? ', ignoring case' : '';
+  if (typeof policy.maxRepeat === 'number') {
+    return `No character appears more than ${times(policy.maxRepeat)}${caseNote}`;
+  }
+  const parts = Object.entries(policy.maxRepeat)
+    .filter(([, cap]) => cap != null)
+    .map(([className, cap]) => `${CLASS_LABELS[className] || className} more than ${times(cap)}`);
+  return `No ${parts.join(', no ').replace(' more than', ' appears more than')}${caseNote}`;
+}
+
+// QWERTY rows, unshifted and shifted; a shifted key shares its column with the unshifted one.
+const KEYBOARD_ROWS = [
+  ['`1234567890-=', '~!@#$%^&*()_+'],
+  ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+  ["asdfghjkl;'", 'ASDFGHJKL:"'],
+  ['zxcvbnm,./', 'ZXCVBNM<>?'],
+];
+
+const KEY_POSITIONS = new Map();
+KEYBOARD_ROWS.forEach((keys, row) => {
+  for (const layer of keys) {
+    [...layer].forEach((ch, col) => KEY_POSITIONS.set(ch, { row, col }));
+  }
+});
+
+// Each step function returns the direction linking two adjacent characters, or null if they don't continue a pattern.
+function runStep(a, b) {
+  return a === b ? 0 : null;
+}
+
+function sequenceStep(a, b) {
+  const isDigit = (ch) => ch >= '0' && ch <= '9';
+  const isLetter = (ch) => /^[a-z]$/i.test(ch);
+  if (!(isDigit(a) && isDigit(b)) && !(isLetter(a) && isLetter(b))) return null;
+  const step = b.toLowerCase().charCodeAt(0) - a.toLowerCase().charCodeAt(0);
+  return step === 1 || step === -1 ? step : null;
+}
+
+function keyboardStep(a, b) {
+  const pa = KEY_POSITIONS.get(a);
+  const pb = KEY_POSITIONS.get(b);
+  if (!pa || !pb || pa.row !== pb.row) return null;
+  const step = pb.col - pa.col;
+  return step === 1 || step === -1 ? step : null;
+}
+
+/**
+ * Find runs, sequences and keyboard walks longer than the policy allows.
+ * @param {string|string[]} password - a string or an array of characters
+ * @param {string|object} [policy]
+ * @returns {Array<{ type: 'run'|'sequence'|'keyboard', start: number, length: number, limit: number, text: string }>}
+ */
+export function findPatterns(password, policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const chars = Array.isArray(password) ? password : splitGraphemes(password);
+  const checks = [
+    ['run', policy.maxRun, runStep],
+    ['sequence', policy.maxSequence, sequenceStep],
+    ['keyboard', policy.maxKeyboardWalk, keyboardStep],
   ];
+  const found = [];
+
+  for (const [type, limit, step] of checks) {
+    if (limit == null) continue;
+    let start = 0;
+    let dir = null;
+    for (let i = 1; i <= chars.length; i++) {
+      const d = i < chars.length ? step(chars[i - 1], chars[i]) : null;
+      if (d !== null && (dir === null || d === dir)) {
+        dir = d;
+        continue;
+      }
+      // The span [start, i) has ended
+      if (i - start > limit) {
+        found.push({ type, start, length: i - start, limit, text: chars.slice(start, i).join('') });
+      }
+      // A change of direction starts a new span that shares the previous character
+      start = d !== null ? i - 1 : i;
+      dir = d;
+    }
+  }
+  return found;
+}
+
+export const DEFAULT_CONTEXT_MATCH_LENGTH = 4;
+
+/**
+ * Break a username and email address into the lowercase pieces a password must not contain:
+ * each value whole, its parts split on punctuation, and the email's domain name without the TLD.
+ * 'kori.francis@worldline.com' gives 'kori.francis', 'kori', 'francis' and 'worldline'.
+ * @param {{ username?: string, email?: string }} context
+ * @returns {Array<{ source: 'username'|'email', token: string }>}
+ */
+function contextTokens(context) {
+  const tokens = [];
+  const seen = new Set();
+  const add = (source, token) => {
+    if (!token || seen.has(token)) return;
+    seen.add(token);
+    tokens.push({ source, token });
+  };
+  const split = (source, value) => {
+    add(source, value);
+    for (const part of value.split(/[^\p{L}\p{N}]+/u)) add(source, part);
+  };
+
+  const username = (context.username || '').trim().normalize('NFC').toLowerCase();
+  if (username) split('username', username);
+
+  const email = (context.email || '').trim().normalize('NFC').toLowerCase();
+  const at = email.lastIndexOf('@');
+  if (at > 0) {
+    split('email', email.slice(0, at));
+    for (const label of email.slice(at + 1).split('.').slice(0, -1)) add('email', label);
+  } else if (email) {
+    split('email', email);
+  }
+  return tokens;
+}
+
+/**
+ * Find the parts of a password copied from the account's username or email address.
+ * Matching is case-insensitive; each match is the longest stretch shared with one piece
+ * of the username/email, and only stretches of at least `minLength` characters count.
+ * @param {string|string[]} password - a string or an array of characters
+ * @param {{ username?: string, email?: string }} [context]
+ * @param {number} [minLength=DEFAULT_CONTEXT_MATCH_LENGTH]
+ * @returns {Array<{ source: 'username'|'email', start: number, length: number, text: string }>}
+ */
+export function findContextMatches(password, context = {}, minLength = DEFAULT_CONTEXT_MATCH_LENGTH) {
+  const chars = (Array.isArray(password) ? password : splitGraphemes(password)).map(ch => ch.toLowerCase());
+  const tokens = contextTokens(context).map(t => ({ source: t.source, chars: splitGraphemes(t.token) }));
+  const matches = [];
+  let coveredUntil = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    let best = null;
+    for (const token of tokens) {
+      for (let j = 0; j < token.chars.length; j++) {
+        let k = 0;
+        while (i + k < chars.length && j + k < token.chars.length && chars[i + k] === token.chars[j + k]) k++;
+        if (k >= minLength && (!best || k > best.length)) best = { source: token.source, length: k };
+      }
+    }
+    // Skip matches that sit inside one already reported
+    if (best && i + best.length > coveredUntil) {
+      matches.push({ source: best.source, start: i, length: best.length, text: chars.slice(i, i + best.length).join('') });
+      coveredUntil = i + best.length;
+    }
+  }
+  return matches;
+}
+
+export const DEFAULT_MIN_DIFFERENCE = 4;
+
+/**
+ * Measure how far apart two passwords are, by grapheme cluster.
+ * @param {string|string[]} a
+ * @param {string|string[]} b
+ * @param {'levenshtein'|'positional'} [measure='levenshtein']
+ * @returns {number}
+ */
+export function passwordDistance(a, b, measure = 'levenshtein') {
+  const x = Array.isArray(a) ? a : splitGraphemes(a);
+  const y = Array.isArray(b) ? b : splitGraphemes(b);
+
+  if (measure === 'positional') {
+    let distance = Math.abs(x.length - y.length);
+    for (let i = 0; i < Math.min(x.length, y.length); i++) {
+      if (x[i] !== y[i]) distance++;
+    }
+    return distance;
+  }
+
+  // Levenshtein, keeping one row of the edit-distance table
+  let row = Array.from({ length: y.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= x.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= y.length; j++) {
+      next[j] = Math.min(
+        row[j] + 1,
+        next[j - 1] + 1,
+        row[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1),
+      );
+    }
+    row = next;
+  }
+  return row[y.length];
+}
+
+// Non-Latin characters that render like ASCII letters (Cyrillic and Greek homoglyphs)
+const CONFUSABLES = {
+  '\u0430': 'a', '\u0435': 'e', '\u043e': 'o', '\u0440': 'p', '\u0441': 'c', '\u0443': 'y',
+  '\u0445': 'x', '\u0456': 'i', '\u0458': 'j', '\u0455': 's', '\u0501': 'd', '\u04bb': 'h',
+  '\u0410': 'A', '\u0412': 'B', '\u0415': 'E', '\u041a': 'K', '\u041c': 'M', '\u041d': 'H',
+  '\u041e': 'O', '\u0420': 'P', '\u0421': 'C', '\u0422': 'T', '\u0425': 'X', '\u0406': 'I',
+  '\u0408': 'J', '\u0405': 'S',
+  '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I',
+  '\u039a': 'K', '\u039c': 'M', '\u039d': 'N', '\u039f': 'O', '\u03a1': 'P', '\u03a4': 'T',
+  '\u03a5': 'Y', '\u03a7': 'X', '\u03bf': 'o', '\u03bd': 'v',
+};
+
+const INVISIBLE = /[\u00ad\u200b-\u200f\u2060\ufeff]/u;
+
+/**
+ * Report characters that may not survive being typed on another device or
+ * submitted to another site: look-alikes, combining marks and invisible characters.
+ * @param {string[]} chars - grapheme clusters of the (normalized) password
+ * @returns {Array<{ type: 'confusable'|'combining'|'invisible', index: number, char: string, message: string }>}
+ */
+export function findUnicodeIssues(chars) {
+  const issues = [];
+  chars.forEach((ch, index) => {
+    const where = `at ${index + 1}`;
+    const codePoint = 'U+' + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    if (INVISIBLE.test(ch)) {
+      issues.push({ type: 'invisible', index, char: ch, message: `Invisible character ${codePoint} ${where}` });
+    } else if (/\p{M}/u.test(ch)) {
+      issues.push({ type: 'combining', index, char: ch, message: `'${ch}' ${where} uses a combining mark` });
+    } else if (CONFUSABLES[ch]) {
+      issues.push({
+        type: 'confusable', index, char: ch,
+        message: `'${ch}' ${where} is ${codePoint}, which looks like '${CONFUSABLES[ch]}'`,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * List the character classes a policy requires with how many of each it needs:
+ * the `required` classes in order (1 each unless minCounts says more), then any
+ * other classes named in minCounts.
+ * @param {object} [policy]
+ * @returns {Array<[string, number]>}
+ */
+export function getClassMinimums(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const minCounts = policy.minCounts || {};
+  const minimums = policy.required.map(className => [className, Math.max(1, minCounts[className] || 0)]);
+  for (const [className, n] of Object.entries(minCounts)) {
+    if (n > 0 && !policy.required.includes(className)) minimums.push([className, n]);
+  }
+  return minimums;
+}
+
+// Find where lowercased text occurs in a list of graphemes, as a grapheme span
+function locateText(chars, text) {
+  const lower = chars.map(ch => ch.toLowerCase());
+  for (let start = 0; start < lower.length; start++) {
+    let joined = '';
+    for (let end = start; end < lower.length && joined.length < text.length; end++) {
+      joined += lower[end];
+      if (joined === text) return { start, length: end - start + 1 };
+    }
+  }
+  return null;
+}
+
+// Names the built-in rules report under; a registered rule can't reuse one
+const BUILT_IN_RULES = [
+  'minLength', 'maxLength', 'uppercase', 'lowercase', 'letter', 'digit', 'special', 'maxRepeat', 'minDistinct',
+  'position', 'maxRun', 'maxSequence', 'maxKeyboardWalk', 'blocklist', 'alphabet', 'pattern', 'context',
+  'difference', 'history',
+];
+
+const registeredRules = new Map();
+
+const compiledPatterns = new Map();
+
+/**
+ * Compile an HTML `pattern` attribute the way browsers do: anchored to the whole value,
+ * with the 'v' flag (or 'u' where 'v' isn't supported).
+ * @param {string} pattern
+ * @returns {RegExp|null} - null if the pattern is invalid
+ */
+export function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    let regex = null;
+    for (const flags of ['v', 'u']) {
+      try {
+        regex = new RegExp(`^(?:${pattern})$`, flags);
+        break;
+      } catch {
+        // Invalid under this flag; try the next
+      }
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * Add a one-off rule to every check, e.g. "must not contain the current year".
+ * Registered rules run after the built-in ones, in registration order, so the checklist,
+ * fix() and generate() pick them up without further wiring.
+ *
+ * `check(chars, policy, context)` gets the normalized password as grapheme clusters and
+ * returns true/false, or { pass, detail?, data?, indices? } like a built-in rule result.
+ * The optional `fix(chars, policy, context)` returns the substitutions that repair the
+ * password, as [{ index, to }]; without it, fix() swaps out the characters at the failing
+ * rule's `indices`. `appliesTo(policy)` limits the rule to some policies.
+ * @param {{
+ *   id: string,
+ *   description: string|((policy: object) => string),
+ *   check: (chars: string[], policy: object, context: object) => boolean|object,
+ *   fix?: (chars: string[], policy: object, context: object) => Array<{ index: number, to: string }>,
+ *   appliesTo?: (policy: object) => boolean
+ * }} rule
+ */
+export function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error('A rule needs an id');
+  if (BUILT_IN_RULES.includes(rule.id) || registeredRules.has(rule.id)) {
+    throw new Error(`Rule already defined: ${rule.id}`);
+  }
+  if (typeof rule.check !== 'function') throw new Error(`Rule ${rule.id} needs a check function`);
+  if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+    throw new Error(`Rule ${rule.id}: fix must be a function`);
+  }
+  registeredRules.set(rule.id, Object.freeze({ ...rule }));
+}
+
+/**
+ * Remove a registered rule.
+ * @param {string} id
+ * @returns {boolean} - whether the rule was registered
+ */
+export function unregisterRule(id) {
+  return registeredRules.delete(id);
+}
+
+/**
+ * The registered rules that apply to a policy, in registration order.
+ * @param {string|object} [policy]
+ * @returns {object[]}
+ */
+export function getRegisteredRules(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  return [...registeredRules.values()].filter(rule => !rule.appliesTo || rule.appliesTo(policy));
+}
+
+function classDescription(className, n, policy) {
+  const label = (CLASS_LABELS[className] || className) + (n === 1 ? '' : 's');
+  if (className === 'special') return `At least ${n} ${label} (${policy.specialChars})`;
+  return `At least ${n} ${label}`;
+}
+
+/**
+ * Validate a password against a policy.
+ * The password is normalized per the policy, then measured in grapheme clusters.
+ * Rules are numbered in order: minimum length, maximum length, each required class,
+ * the repeat limit, minimum distinct characters, each position constraint, then any pattern,
+ * blocklist, allowed-alphabet and HTML pattern rules, then the username/email, previous-password
+ * and password-history rules when the context carries them, then any rules added with
+ * registerRule(). Rules the policy doesn't enable are left out.
+ * @param {string} password
+ * @param {string|object} [policy=DEFAULT_POLICY] - preset id or policy object
+ * @param {{
+ *   username?: string,
+ *   email?: string,
+ *   previousPassword?: string,
+ *   history?: { count: number, match: { date: string }|null }
+ * }} [context] - the account the password is for and the password it replaces;
+ *   `history` is the result of checkPasswordHistory() in lib/history.js
+ * @returns {{
+ *   overall: boolean,
+ *   rules: Array<{
+ *     id: number, name: string, description: string, pass: boolean, detail?: string,
+ *     data: object, indices: number[]
+ *   }>,
+ *   normalized: string,
+ *   warnings: Array<{ type: string, index: number, char: string, message: string }>
+ * }}
+ */
+export function validate(password, policy = DEFAULT_POLICY, context = {}) {
+  policy = resolvePolicy(policy);
+  const normalized = normalizePassword(password, policy);
+  const chars = splitGraphemes(normalized);
+  const tally = createTally(policy);
+  for (const ch of chars) tallyChar(tally, ch, 1, policy);
+  return checkPassword(chars, normalized !== password, policy, context, tally);
+}
+
+// Running counts behind the length, class, repeat, distinct and alphabet rules.
+// validate() builds them in one pass; createValidator() keeps them up to date edit by edit
+function createTally(policy) {
+  return {
+    length: 0,
+    counts: new Map(),
+    repeats: new Map(),
+    classes: new Map(),
+    disallowed: 0,
+    minimums: getClassMinimums(policy),
+  };
+}
+
+function tallyChar(tally, ch, delta, policy) {
+  const bump = (map, key) => {
+    const n = (map.get(key) || 0) + delta;
+    if (n === 0) map.delete(key);
+    else map.set(key, n);
+  };
+  tally.length += delta;
+  bump(tally.counts, ch);
+  bump(tally.repeats, repeatKey(ch, policy));
+  for (const [className] of tally.minimums) {
+    if (inClass(ch, className, policy)) bump(tally.classes, className);
+  }
+  if (!isAllowedChar(ch, policy)) tally.disallowed += delta;
+}
+
+// The rules themselves, reading the counting rules off the tally and scanning the
+// password only for what a tally can't answer: where a failing rule's characters are,
+// patterns, the blocklist and the account rules
+function checkPassword(chars, wasNormalized, policy, context, tally) {
+  const normalized = chars.join('');
+  const rules = [];
+
+  // `indices` are the grapheme positions that break the rule, for highlighting;
+  // `data` carries the rule-specific numbers behind the description and detail
+  function addRule(name, description, pass, detail, data = {}, indices = []) {
+    rules.push({ id: rules.length + 1, name, description, pass, detail, data, indices: pass ? [] : indices });
+  }
+  const range = (start, length) => Array.from({ length }, (_, k) => start + k);
+  const spans = (list) => [...new Set(list.flatMap(m => range(m.start, m.length)))].sort((x, y) => x - y);
+
+  const length = tally.length;
+  addRule('minLength', `At least ${policy.minLength} characters`, length >= policy.minLength,
+    length < policy.minLength ? `${length} characters` : undefined,
+    { length, min: policy.minLength });
+
+  if (policy.maxLength != null) {
+    const excess = Math.max(0, length - policy.maxLength);
+    addRule('maxLength', `At most ${policy.maxLength} characters`, excess === 0,
+      excess > 0 ? `${length} characters` : undefined,
+      { length, max: policy.maxLength }, range(policy.maxLength, excess));
+  }
+
+  for (const [className, n] of tally.minimums) {
+    const found = tally.classes.get(className) || 0;
+    addRule(className, classDescription(className, n, policy), found >= n,
+      found < n ? (found === 0 ? 'none found' : `${found} found`) : undefined,
+      { className, needed: n, found, missing: Math.max(0, n - found) });
+  }
+
+  if (policy.maxRepeat != null) {
+    const violators = [];
+    for (const [key, n] of tally.repeats) {
+      const limit = repeatLimit(key, policy);
+      if (n > limit) {
+        const indices = chars.flatMap((c, i) => (repeatKey(c, policy) === key ? [i] : []));
+        violators.push({ char: key, count: n, limit, indices });
+      }
+    }
+    violators.sort((a, b) => a.indices[0] - b.indices[0]);
+    addRule('maxRepeat', repeatDescription(policy), violators.length === 0,
+      violators.length > 0 ? violators.map(v => `'${v.char}' appears ${v.count}x`).join(', ') : undefined,
+      { limit: policy.maxRepeat, ignoreCase: !!policy.repeatIgnoreCase, chars: violators },
+      violators.flatMap(v => v.indices).sort((x, y) => x - y));
+  }
+
+  if (policy.minDistinct != null) {
+    const distinct = tally.counts.size;
+    addRule('minDistinct', `At least ${policy.minDistinct} different characters`, distinct >= policy.minDistinct,
+      distinct < policy.minDistinct ? `${distinct} different` : undefined,
+      { distinct, min: policy.minDistinct });
+  }
+
+  for (const constraint of policy.positions || []) {
+    const at = resolvePosition(constraint.index, chars.length);
+    const ch = chars[at];
+    const pass = ch !== undefined && meetsPosition(ch, constraint, policy);
+    addRule('position', positionDescription(constraint), pass,
+      !pass && ch !== undefined ? `'${ch}' at ${at + 1}` : undefined,
+      { ...constraint, at, char: ch ?? null }, ch !== undefined ? [at] : []);
+  }
+
+  if (policy.maxRun != null || policy.maxSequence != null || policy.maxKeyboardWalk != null) {
+    const patterns = findPatterns(chars, policy);
+    const addPatternRule = (name, type, description) => {
+      const hits = patterns.filter(p => p.type === type);
+      addRule(name, description, hits.length === 0,
+        hits.length > 0 ? hits.map(p => `'${p.text}' at ${p.start + 1}`).join(', ') : undefined,
+        { patterns: hits }, spans(hits));
+    };
+    if (policy.maxRun != null) {
+      const times = policy.maxRun === 1 ? 'time' : 'times';
+      addPatternRule('maxRun', 'run', `No character repeated more than ${policy.maxRun} ${times} in a row`);
+    }
+    if (policy.maxSequence != null) {
+      addPatternRule('maxSequence', 'sequence', `No sequence longer than ${policy.maxSequence} (abc, 987)`);
+    }
+    if (policy.maxKeyboardWalk != null) {
+      addPatternRule('maxKeyboardWalk', 'keyboard',
+        `No keyboard pattern longer than ${policy.maxKeyboardWalk} (qwerty, asdf)`);
+    }
+  }
+
+  if (policy.blocklist) {
+    const hit = findBlocklisted(normalized, COMMON_PASSWORDS);
+    const span = hit !== null ? locateText(chars, hit) : null;
+    addRule('blocklist', 'Not a common or leaked password', hit === null,
+      hit !== null ? `'${hit}' is a common password` : undefined,
+      { match: hit, ...span }, span ? range(span.start, span.length) : []);
+  }
+
+  if (policy.strictAlphabet) {
+    const disallowed = [];
+    if (tally.disallowed > 0) {
+      chars.forEach((ch, i) => {
+        if (!isAllowedChar(ch, policy)) disallowed.push({ char: ch, index: i });
+      });
+    }
+    addRule('alphabet', policy.specialChars ? `Only A-Z, a-z, 0-9 and ${policy.specialChars}` : 'Only A-Z, a-z and 0-9',
+      disallowed.length === 0,
+      disallowed.length > 0 ? disallowed.map(d => `'${d.char}' at ${d.index + 1}`).join(', ') : undefined,
+      { chars: disallowed }, disallowed.map(d => d.index));
+  }
+
+  const pattern = policy.pattern ? compilePattern(policy.pattern) : null;
+  if (pattern) {
+    addRule('pattern', "Matches the format the site's password field expects", pattern.test(normalized),
+      undefined, { pattern: policy.pattern });
+  }
+
+  const matchLength = policy.contextMatchLength === undefined
+    ? DEFAULT_CONTEXT_MATCH_LENGTH
+    : policy.contextMatchLength;
+  if (matchLength !== null && (context.username || context.email)) {
+    const matches = findContextMatches(chars, context, matchLength);
+    const what = [context.username && 'username', context.email && 'email address'].filter(Boolean).join(' or ');
+    addRule('context', `Does not contain your ${what}`, matches.length === 0,
+      matches.length > 0 ? matches.map(m => `'${m.text}' from your ${m.source}`).join(', ') : undefined,
+      { matches }, spans(matches));
+  }
+
+  const minDifference = policy.minDifference === undefined ? DEFAULT_MIN_DIFFERENCE : policy.minDifference;
+  if (minDifference !== null && context.previousPassword) {
+    const previous = splitGraphemes(normalizePassword(context.previousPassword, policy));
+    const measure = policy.differenceMeasure || 'levenshtein';
+    const distance = passwordDistance(chars, previous, measure);
+    const changed = minDifference === 1 ? 'character' : 'characters';
+    addRule('difference', `At least ${minDifference} ${changed} changed from your current password`,
+      distance >= minDifference, distance < minDifference ? `${distance} changed` : undefined,
+      { distance, min: minDifference, measure });
+  }
+
+  if (context.history) {
+    const { count, match } = context.history;
+    const last = count === 1 ? 'your last password' : `any of your last ${count} passwords`;
+    addRule('history', `Not ${last} on this site`, match === null,
+      match !== null ? `Filled on ${match.date.slice(0, 10)}` : undefined,
+      { count, match });
+  }
+
+  for (const rule of getRegisteredRules(policy)) {
+    const outcome = rule.check(chars, policy, context);
+    const { pass, detail, data, indices } = typeof outcome === 'object' && outcome !== null
+      ? outcome
+      : { pass: !!outcome };
+    const description = typeof rule.description === 'function' ? rule.description(policy) : rule.description;
+    addRule(rule.id, description, !!pass, pass ? undefined : detail, data, indices);
+  }
+
+  const warnings = findUnicodeIssues(chars);
+  if (wasNormalized) {
+    warnings.unshift({
+      type: 'normalized', index: -1, char: '',
+      message: 'Some characters were normalized; the site may receive them differently than typed',
+    });
+  }
 
   return {
     overall: rules.every(r => r.pass),
     rules,
+    normalized,
+    warnings,
+  };
+}
+
+/**
+ * Create a validator that keeps its counts between edits, for checking a password on
+ * every keystroke. Each edit normalizes and updates the length, class, repeat,
+ * distinct-character and alphabet counts for just the characters it touches; result()
+ * reads those rules off the counts, still scans the whole password for the rest (patterns,
+ * positions, the blocklist, account rules, Unicode warnings), and returns exactly what
+ * validate() would for the same password.
+ * Positions are typed grapheme clusters, as the user sees them in the field.
+ * @param {string|object} [policy=DEFAULT_POLICY] - preset id or policy object
+ * @returns {{
+ *   password: string,
+ *   insert: (index: number, text: string) => void,
+ *   remove: (index: number, count?: number) => void,
+ *   update: (password: string) => void,
+ *   result: (context?: object) => object
+ * }} - `password` is the text as typed; update() diffs a new value (e.g. from an input
+ *   event) against it and applies the difference as one remove and one insert, which also
+ *   catches an edit that joins a neighbouring character, such as a combining accent typed
+ *   after a letter; result() takes the same context as validate()
+ */
+export function createValidator(policy = DEFAULT_POLICY) {
+  policy = resolvePolicy(policy);
+  const typed = [];  // grapheme clusters as typed
+  const widths = []; // how many normalized clusters each typed one became
+  const chars = [];  // the normalized password, as validate() sees it
+  const tally = createTally(policy);
+  let altered = 0;   // typed clusters that normalization changed
+
+  const offset = (index) => {
+    let at = 0;
+    for (let i = 0; i < index; i++) at += widths[i];
+    return at;
+  };
+
+  function insert(index, text) {
+    const added = splitGraphemes(text);
+    const normalizedChars = [];
+    const addedWidths = [];
+    for (const g of added) {
+      const normalized = normalizePassword(g, policy);
+      const parts = splitGraphemes(normalized);
+      if (normalized !== g) altered++;
+      addedWidths.push(parts.length);
+      normalizedChars.push(...parts);
+    }
+    chars.splice(offset(index), 0, ...normalizedChars);
+    typed.splice(index, 0, ...added);
+    widths.splice(index, 0, ...addedWidths);
+    for (const ch of normalizedChars) tallyChar(tally, ch, 1, policy);
+  }
+
+  function remove(index, count = 1) {
+    const at = offset(index);
+    const removed = typed.splice(index, count);
+    const width = widths.splice(index, count).reduce((sum, w) => sum + w, 0);
+    for (const g of removed) {
+      if (normalizePassword(g, policy) !== g) altered--;
+    }
+    for (const ch of chars.splice(at, width)) tallyChar(tally, ch, -1, policy);
+  }
+
+  function update(password) {
+    const next = splitGraphemes(password);
+    let start = 0;
+    while (start < typed.length && start < next.length && typed[start] === next[start]) start++;
+    let end = 0;
+    while (end < typed.length - start && end < next.length - start &&
+      typed[typed.length - 1 - end] === next[next.length - 1 - end]) end++;
+    if (typed.length - start - end > 0) remove(start, typed.length - start - end);
+    if (next.length - start - end > 0) insert(start, next.slice(start, next.length - end).join(''));
+  }
+
+  return {
+    get password() {
+      return typed.join('');
+    },
+    insert,
+    remove,
+    update,
+    result: (context = {}) => checkPassword(chars, altered > 0, policy, context, tally),
   };
 }
@@ -1,14 +1,31 @@
 // Password Policy Helper - Popup UI Logic
 
-import { validate } from '../lib/validator.js';
-import { generate } from '../lib/generator.js';
+import {
+  DEFAULT_POLICY, createValidator, resolvePolicy, splitGraphemes, withGeneratorOptions,
+} from '../lib/validator.js';
+import {
+  MAX_GENERATED_LENGTH, MAX_PASSPHRASE_WORDS, MIN_PASSPHRASE_WORDS, generate, generatePassphrase,
+  generatePronounceable,
+} from '../lib/generator.js';
+import { entropyBits } from '../lib/combinatorics.js';
 import { fix } from '../lib/fixer.js';
+import { DEFAULT_PRESET_ID, getPreset, listPresets } from '../lib/presets.js';
+import { parsePolicy, serializePolicy } from '../lib/policy-text.js';
+import { policyFromField } from '../lib/passwordrules.js';
+import { findBlocklisted } from '../lib/blocklist.js';
+import { COMMON_PASSWORDS } from '../lib/blocklist-data.js';
+import { estimateStrength } from '../lib/strength.js';
+import {
+  checkPasswordHistory, isHistoryEnabled, recordPassword, setHistoryEnabled,
+} from '../lib/history.js';
 
 // --- DOM References ---
 const tabs = document.querySelectorAll('.tab');
 const tabContents = document.querySelectorAll('.tab-content');
-const ruleEls = document.querySelectorAll('#validation-checklist .rule');
+const checklistEl = document.getElementById('validation-checklist');
 const statusEl = document.getElementById('status-msg');
+const policySelect = document.getElementById('policy-select');
+const historyToggle = document.getElementById('history-toggle');
 
 // Fix tab
 const fixInput = document.getElementById('fix-input');
@@ -20,18 +37,39 @@ const fixCopyBtn = document.getElementById('fix-copy-btn');
 const fixFillBtn = document.getElementById('fix-fill-btn');
 
 // Generate tab
+const genMode = document.getElementById('gen-mode');
 const genLength = document.getElementById('gen-length');
+const genLengthLabel = document.getElementById('gen-length-label');
+const genAmbiguous = document.getElementById('gen-ambiguous');
+const genExclude = document.getElementById('gen-exclude');
+const genSpecials = document.getElementById('gen-specials');
 const genLengthDisplay = document.getElementById('gen-length-display');
 const genBtn = document.getElementById('gen-btn');
 const genResult = document.getElementById('gen-result');
 const genPassword = document.getElementById('gen-password');
+const genEntropy = document.getElementById('gen-entropy');
 const genCopyBtn = document.getElementById('gen-copy-btn');
 const genFillBtn = document.getElementById('gen-fill-btn');
 
 // Validate tab
 const validateInput = document.getElementById('validate-input');
+const validateHighlight = document.getElementById('validate-highlight');
+const policyTextRow = document.getElementById('policy-text-row');
+const policyText = document.getElementById('policy-text');
+const policyTextError = document.getElementById('policy-text-error');
+const validateWarning = document.getElementById('validate-warning');
+const validateStrength = document.getElementById('validate-strength');
+const validateStrengthText = document.getElementById('validate-strength-text');
 
 // State
+let activePolicy = DEFAULT_POLICY;
+// Keeps its counts between keystrokes, so typing only recounts the characters that changed
+let checklistValidator = createValidator(activePolicy);
+let accountContext = {};
+let pageSite = '';
+let pagePolicy = null;
+let historyCheck = { password: null, result: null, failed: false };
+let checklistPassword = '';
 let currentFixedPassword = '';
 let currentGeneratedPassword = '';
 
@@ -51,19 +89,174 @@ tabs.forEach((tab) => {
   });
 });
 
+// --- Policy Picker ---
+for (const preset of listPresets()) {
+  const option = document.createElement('option');
+  option.value = preset.id;
+  option.textContent = `${preset.name} (${preset.version})`;
+  option.title = preset.source;
+  policySelect.appendChild(option);
+}
+const customOption = document.createElement('option');
+customOption.value = 'custom';
+customOption.textContent = 'Custom (policy text)';
+customOption.title = 'Paste a policy written as text, e.g. from a ticket';
+policySelect.appendChild(customOption);
+policySelect.value = DEFAULT_PRESET_ID;
+// Added by detectPage() when the password field declares its own rules
+const pageOption = document.createElement('option');
+pageOption.value = 'page';
+pageOption.textContent = 'This page (field rules)';
+pageOption.title = 'Built from the passwordrules, minlength, maxlength and pattern of the password field';
+
+function setActivePolicy(policy) {
+  activePolicy = policy;
+  checklistValidator = createValidator(activePolicy);
+  applyPolicyToSlider();
+  genSpecials.placeholder = activePolicy.specialChars || 'none';
+  updateChecklist(checklistPassword);
+}
+
+policySelect.addEventListener('change', () => {
+  const custom = policySelect.value === 'custom';
+  policyTextRow.hidden = !custom;
+  if (policySelect.value === 'page') {
+    setActivePolicy(pagePolicy);
+    return;
+  }
+  if (!custom) {
+    setActivePolicy(getPreset(policySelect.value).policy);
+    return;
+  }
+  // Start from the policy that was selected, so small changes are quick
+  if (!policyText.value.trim()) policyText.value = serializePolicy(activePolicy, { multiline: true });
+  applyPolicyText();
+});
+
+policyText.addEventListener('input', applyPolicyText);
+
+// Keep the last policy that parsed while the text has a mistake in it
+function applyPolicyText() {
+  try {
+    const policy = resolvePolicy(parsePolicy(policyText.value));
+    policyTextError.hidden = true;
+    setActivePolicy(policy);
+  } catch (err) {
+    if (err.name !== 'PolicySyntaxError') throw err;
+    policyTextError.textContent = err.message;
+    policyTextError.hidden = false;
+  }
+}
+
+function applyPolicyToSlider() {
+  if (genMode.value === 'passphrase') {
+    // Passphrases are sized in words; generatePassphrase() adds more if minLength needs them
+    genLength.min = MIN_PASSPHRASE_WORDS;
+    genLength.max = MAX_PASSPHRASE_WORDS;
+    genLengthDisplay.textContent = genLength.value;
+    return;
+  }
+  genLength.max = Math.min(MAX_GENERATED_LENGTH, activePolicy.maxLength ?? Infinity);
+  genLength.min = Math.min(activePolicy.minLength, parseInt(genLength.max, 10));
+  if (parseInt(genLength.value, 10) < activePolicy.minLength) {
+    genLength.value = genLength.min;
+  }
+  if (parseInt(genLength.value, 10) > parseInt(genLength.max, 10)) {
+    genLength.value = genLength.max;
+  }
+  genLengthDisplay.textContent = genLength.value;
+}
+
 // --- Validation Checklist ---
 function updateChecklist(password) {
-  const result = validate(password || '');
-  for (const rule of result.rules) {
-    const el = document.querySelector(`.rule[data-rule="${rule.id}"]`);
-    if (!el) continue;
-    el.classList.remove('pass', 'fail', 'neutral');
-    if (!password) {
-      el.classList.add('neutral');
-    } else {
-      el.classList.add(rule.pass ? 'pass' : 'fail');
+  checklistPassword = password || '';
+  if (historyCheck.password !== checklistPassword && historyResults.has(checklistPassword)) {
+    historyCheck = { password: checklistPassword, result: historyResults.get(checklistPassword), failed: false };
+  }
+  const history = historyCheck.password === checklistPassword ? historyCheck.result : null;
+  checklistValidator.update(checklistPassword);
+  const result = checklistValidator.result({ ...accountContext, history });
+  const ruleEls = result.rules.map((rule) => {
+    const el = document.createElement('div');
+    el.className = 'rule ' + (!password ? 'neutral' : rule.pass ? 'pass' : 'fail');
+    el.dataset.rule = rule.id;
+    const icon = document.createElement('span');
+    icon.className = 'icon';
+    el.append(icon, ' ' + rule.description);
+    // Say what's wrong, e.g. which characters the alphabet doesn't allow
+    if (password && !rule.pass && rule.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'rule-detail';
+      detail.textContent = rule.detail;
+      el.append(detail);
     }
+    return el;
+  });
+  const warningEls = result.warnings.map((warning) => {
+    const el = document.createElement('div');
+    el.className = 'rule warning';
+    const icon = document.createElement('span');
+    icon.className = 'icon';
+    el.append(icon, ' ' + warning.message);
+    return el;
+  });
+  if (historyCheck.password === checklistPassword && historyCheck.failed) {
+    const el = document.createElement('div');
+    el.className = 'rule neutral';
+    const icon = document.createElement('span');
+    icon.className = 'icon';
+    el.append(icon, ' Password history unavailable');
+    warningEls.unshift(el);
+  }
+  checklistEl.replaceChildren(...ruleEls, ...warningEls);
+  if (historyCheck.password !== checklistPassword) scheduleHistoryCheck(checklistPassword);
+  return result;
+}
+
+// --- Password History ---
+isHistoryEnabled().then((enabled) => { historyToggle.checked = enabled; });
+
+historyToggle.addEventListener('change', async () => {
+  await setHistoryEnabled(historyToggle.checked);
+  forgetHistoryChecks();
+  updateChecklist(checklistPassword);
+});
+
+// How long typing has to pause before the history is checked
+const HISTORY_CHECK_DELAY = 500;
+// Results by password, so going back to a password doesn't hash it again
+const historyResults = new Map();
+let historyTimer = null;
+
+function forgetHistoryChecks() {
+  clearTimeout(historyTimer);
+  historyResults.clear();
+  historyCheck = { password: null, result: null, failed: false };
+}
+
+// Hashing is slow on purpose (up to MAX_HISTORY_ENTRIES PBKDF2 runs), so the check waits
+// until typing pauses and the reuse rule appears once it finishes
+function scheduleHistoryCheck(password) {
+  clearTimeout(historyTimer);
+  historyCheck = { password, result: null, failed: false };
+  if (!password || !pageSite) return;
+  historyTimer = setTimeout(() => checkHistory(password), HISTORY_CHECK_DELAY);
+}
+
+// A result for a password that has since been edited is dropped; a failed lookup shows
+// the rule as unavailable
+async function checkHistory(password) {
+  let result = null;
+  let failed = false;
+  try {
+    result = await checkPasswordHistory(pageSite, password);
+    historyResults.set(password, result);
+  } catch {
+    failed = true;
   }
+  if (historyCheck.password !== password) return;
+  historyCheck = { password, result, failed };
+  updateChecklist(password);
 }
 
 // --- Status Messages ---
@@ -98,13 +291,64 @@ async function sendToContent(message) {
   }
 }
 
+// Note the page's site for password history, and ask it for the username/email next to its
+// password field so the checklist can flag passwords that contain them. If the field
+// declares its rules, build a policy from them (on top of the selected preset) and switch
+// to it, so generated and fixed passwords fit the site.
+// Pages without the content script are skipped quietly.
+async function detectPage() {
+  try {
+    const tab = await getActiveTab();
+    if (!tab?.id) return;
+    if (tab.url) pageSite = new URL(tab.url).hostname;
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'detect' });
+    if (response && (response.username || response.email)) {
+      accountContext = { username: response.username, email: response.email };
+      updateChecklist(checklistPassword);
+    }
+    const base = getPreset(policySelect.value)?.policy ?? DEFAULT_POLICY;
+    pagePolicy = response?.rules ? policyFromField(response.rules, base) : null;
+    if (pagePolicy) {
+      policySelect.prepend(pageOption);
+      // Only switch to the page's rules if a password can meet them; a format we can't
+      // generate for (say, \d{3}-\d{4}) stays available but isn't picked for the user
+      if (!generate(24, pagePolicy).valid) {
+        showStatus("This page's password rules can't be met here; keeping the selected policy", 'error');
+        return;
+      }
+      policySelect.value = 'page';
+      policyTextRow.hidden = true;
+      setActivePolicy(pagePolicy);
+      showStatus('Using the password rules declared by this page', 'success');
+    }
+  } catch {
+    // No content script on this page
+  }
+}
+
+// The look-alike, excluded-character and symbol controls, for both generate() and fix()
+function characterOptions() {
+  return {
+    excludeAmbiguous: genAmbiguous.checked,
+    exclude: genExclude.value,
+    specialChars: genSpecials.value || undefined,
+  };
+}
+
 // --- Fix Tab ---
 fixReadBtn.addEventListener('click', async () => {
   const response = await sendToContent({ type: 'read' });
+  // On a change-password form, new passwords are checked against the current one
+  if (response?.currentPassword) {
+    accountContext = { ...accountContext, previousPassword: response.currentPassword };
+  }
   if (response && response.password) {
     fixInput.value = response.password;
     updateChecklist(response.password);
-    showStatus('Password read from page', 'success');
+    showStatus(response.currentPassword ? 'Password and current password read from page' : 'Password read from page', 'success');
+  } else if (response?.currentPassword) {
+    updateChecklist(checklistPassword);
+    showStatus('Current password read from page', 'success');
   } else if (response) {
     showStatus('No password found on page', 'error');
   }
@@ -117,14 +361,15 @@ fixBtn.addEventListener('click', () => {
     return;
   }
 
-  const result = fix(password);
+  const result = fix(password, activePolicy, accountContext, characterOptions());
   currentFixedPassword = result.fixed;
 
   // Build diff display
   const changedIndices = new Set(result.changes.map((c) => c.index));
+  const fixedChars = splitGraphemes(result.fixed);
   let html = '';
-  for (let i = 0; i < result.fixed.length; i++) {
-    const ch = escapeHtml(result.fixed[i]);
+  for (let i = 0; i < fixedChars.length; i++) {
+    const ch = escapeHtml(fixedChars[i]);
     if (changedIndices.has(i)) {
       html += `<span class="changed">${ch}</span>`;
     } else {
@@ -139,7 +384,8 @@ fixBtn.addEventListener('click', () => {
   if (result.changes.length === 0) {
     showStatus('Password already compliant!', 'success');
   } else {
-    showStatus(`Fixed: ${result.changes.length} character(s) changed`, 'success');
+    // A character can be replaced in more than one phase; count it once
+    showStatus(`Fixed: ${changedIndices.size} character(s) changed`, 'success');
   }
 });
 
@@ -160,10 +406,44 @@ genLength.addEventListener('input', () => {
   genLengthDisplay.textContent = genLength.value;
 });
 
+// Starting slider value for each generator mode: words for passphrases, characters otherwise
+const GEN_DEFAULT_SIZES = { characters: 24, passphrase: 4, pronounceable: 16 };
+
+genMode.addEventListener('change', () => {
+  genLengthLabel.textContent = genMode.value === 'passphrase' ? 'Words' : 'Length';
+  // Set the new range first, or the browser clamps the new value to the old range
+  applyPolicyToSlider();
+  genLength.value = GEN_DEFAULT_SIZES[genMode.value];
+  applyPolicyToSlider();
+});
+
 genBtn.addEventListener('click', () => {
-  const result = generate(parseInt(genLength.value, 10));
+  const size = parseInt(genLength.value, 10);
+  const mode = genMode.value;
+  const options = characterOptions();
+  let result;
+  if (mode === 'passphrase') result = generatePassphrase(size, activePolicy, accountContext, options);
+  else if (mode === 'pronounceable') result = generatePronounceable(size, activePolicy, accountContext, options);
+  else result = generate(size, activePolicy, accountContext, options);
+  if (!result.valid) {
+    currentGeneratedPassword = '';
+    genResult.hidden = true;
+    showStatus(`Couldn't generate a password that meets: ${result.reason || 'this policy with these options'}`, 'error');
+    return;
+  }
   currentGeneratedPassword = result.password;
   genPassword.textContent = result.password;
+  // Rules the count can't see (sequences, the blocklist, ...) only remove passwords, and
+  // passphrases and pronounceable passwords redraw candidates that break one, so the
+  // figure is exact only when the result says so
+  const bits = Math.floor(result.entropy * 10) / 10;
+  const entropy = result.exact ? `${bits} bits of entropy` : `At most ${bits} bits of entropy`;
+  if (mode === 'pronounceable') {
+    const random = Math.floor(entropyBits(result.password.length, withGeneratorOptions(activePolicy, options)) * 10) / 10;
+    genEntropy.textContent = `${entropy} (random characters of this length: ${random})`;
+  } else {
+    genEntropy.textContent = entropy;
+  }
   genResult.hidden = false;
   updateChecklist(result.password);
 });
@@ -178,9 +458,47 @@ genFillBtn.addEventListener('click', async () => {
 
 // --- Validate Tab ---
 validateInput.addEventListener('input', () => {
-  updateChecklist(validateInput.value);
+  const result = updateChecklist(validateInput.value);
+  renderViolations(validateInput.value ? result : null);
+
+  // Flag common passwords even when the active policy doesn't check for them
+  const hit = findBlocklisted(validateInput.value, COMMON_PASSWORDS);
+  validateWarning.textContent = hit !== null ? `'${hit}' is a common password. Avoid it even if the site accepts it.` : '';
+  validateWarning.hidden = hit === null;
+
+  updateStrength(validateInput.value);
 });
 
+// Mark the characters that break a rule, like the Fix tab marks the ones it changed
+function renderViolations(result) {
+  const broken = new Map();
+  for (const rule of result?.rules || []) {
+    for (const i of rule.indices) {
+      broken.set(i, (broken.get(i) || []).concat(rule.description));
+    }
+  }
+  validateHighlight.hidden = broken.size === 0;
+  if (broken.size === 0) return;
+  const chars = splitGraphemes(result.normalized);
+  validateHighlight.innerHTML = chars.map((c, i) => {
+    const ch = escapeHtml(c);
+    if (!broken.has(i)) return ch;
+    return `<span class="violation" title="${escapeHtml(broken.get(i).join('\n'))}">${ch}</span>`;
+  }).join('');
+}
+
+function updateStrength(password) {
+  validateStrength.hidden = !password;
+  if (!password) return;
+  const strength = estimateStrength(password);
+  validateStrength.className = `strength score-${strength.score}`;
+  const label = strength.label[0].toUpperCase() + strength.label.slice(1);
+  validateStrengthText.textContent =
+    `${label} · ~2^${Math.round(strength.log2)} guesses · ` +
+    `offline (fast hash): ${strength.crackTimes.offlineFastHash.display}, ` +
+    `online (throttled): ${strength.crackTimes.onlineThrottled.display}`;
+}
+
 // --- Utilities ---
 async function copyToClipboard(text) {
   try {
@@ -198,6 +516,8 @@ async function fillOnPage(password) {
   }
   const response = await sendToContent({ type: 'fill', password });
   if (response?.success) {
+    await recordPassword(pageSite, password);
+    forgetHistoryChecks();
     showStatus('Password filled on page', 'success');
   } else if (response) {
     showStatus('No password field found on page', 'error');
@@ -210,4 +530,6 @@ function escapeHtml(str) {
 }
 
 // --- Init ---
+genSpecials.placeholder = activePolicy.specialChars;
 updateChecklist('');
+detectPage();
@@ -1,9 +1,30 @@
 // Node.js test runner for the core libraries (ES modules)
 // Run: node tests/run-tests.mjs
 
-import { validate, countChars, classifyChar, CHAR_CLASSES, SPECIAL_CHARS } from '../lib/validator.js';
-import { generate } from '../lib/generator.js';
+import {
+  validate, countChars, classifyChar, findPatterns, findContextMatches, getClassMinimums, isAllowedAt, isAllowedChar,
+  passwordDistance, splitGraphemes, countRepeats, repeatKey, repeatLimit, createValidator, registerRule, unregisterRule,
+  compilePattern, resolvePolicy, getAlphabet, getClassPool, withGeneratorOptions, CHAR_CLASSES, SPECIAL_CHARS,
+  DEFAULT_POLICY,
+} from '../lib/validator.js';
+import {
+  MAX_PASSPHRASE_WORDS, generate, generatePassphrase, generatePronounceable, secureRandomInt,
+} from '../lib/generator.js';
+import { createSeededRandom, randomInt, shuffle, withRandomSource } from '../lib/random.js';
+import { COUNTED_RULES, countPasswords, entropyBits, log2Count, samplePassword } from '../lib/combinatorics.js';
 import { fix } from '../lib/fixer.js';
+import { explain } from '../lib/explain.js';
+import { PolicySyntaxError, parsePolicy, serializePolicy } from '../lib/policy-text.js';
+import {
+  describePolicy, parsePasswordRules, policyFromField, policyToPasswordRules, policyToPattern,
+} from '../lib/passwordrules.js';
+import { DEFAULT_PRESET_ID, getPreset, listPresets } from '../lib/presets.js';
+import { blocklistKeys, bloomAdd, bloomHas, createBloomFilter, findBlocklisted } from '../lib/blocklist.js';
+import { COMMON_PASSWORDS } from '../lib/blocklist-data.js';
+import { estimateStrength } from '../lib/strength.js';
+import {
+  HISTORY_KEY, PBKDF2_ITERATIONS, checkPasswordHistory, hashPassword, recordPassword, setHistoryEnabled,
+} from '../lib/history.js';
 
 let passed = 0;
 let failed = 0;
@@ -271,6 +292,1403 @@ section('Fixer - Bulk (100 known-bad passwords)');
   assert(allValid, '100 known-bad passwords all fixed successfully');
 }
 
+// ============================================================
+// POLICY TESTS
+// ============================================================
+section('Policy - Default policy');
+{
+  const implicit = validate('Abcdef1#');
+  const explicit = validate('Abcdef1#', DEFAULT_POLICY);
+  assertEqual(JSON.stringify(implicit), JSON.stringify(explicit), 'omitted policy equals DEFAULT_POLICY');
+  assertEqual(implicit.rules.length, 7, 'default policy has 7 rules');
+  assertEqual(implicit.rules.map(r => r.name).join(','), 'minLength,uppercase,lowercase,special,digit,maxRepeat,alphabet',
+    'default rule order');
+}
+
+section('Policy - Custom policy in validate()');
+{
+  const policy = { minLength: 12, required: ['letter', 'digit'], maxRepeat: 3 };
+  assert(validate('abcabcabc123', policy).overall, 'letters + digits, 3 repeats, 12 chars passes');
+  assert(!validate('abcabcabc12', policy).overall, '11 chars fails');
+  assert(!validate('aaaabcdef123', policy).overall, "'a' 4x fails");
+  assert(!validate('abcdefghijkl', policy).overall, 'no digit fails');
+  assertEqual(validate('abc', policy).rules.length, 5, 'rule count follows policy');
+}
+{
+  const policy = { maxRepeat: null };
+  const r = validate('AAAAbcd1#', policy);
+  assert(r.overall, 'maxRepeat null disables the repeat rule');
+  assert(!r.rules.some(rule => rule.name === 'maxRepeat'), 'no maxRepeat rule reported');
+}
+{
+  const policy = { specialChars: '_+' };
+  assert(validate('Abcdef1_', policy).overall, "'_' is special under custom specialChars");
+  assert(!validate('Abcdef1#', policy).overall, "'#' is not special under custom specialChars");
+  assert(validate('Abcdef1_', policy).rules[3].description.includes('(_+)'), 'description lists custom specials');
+}
+
+section('Policy - generate() and fix() honor the policy');
+{
+  const policy = { minLength: 16, required: ['uppercase', 'digit'], specialChars: '_', maxRepeat: 1 };
+  let allValid = true;
+  for (let i = 0; i < 200; i++) {
+    const r = generate(20, policy);
+    if (!r.valid || !validate(r.password, policy).overall) { allValid = false; break; }
+  }
+  assert(allValid, '200 passwords generated under a custom policy all validate');
+  assertEqual(generate(8, policy).password.length, 16, 'length clamps up to policy minLength');
+}
+{
+  const policy = { minLength: 10, required: ['letter', 'digit'], maxRepeat: 1 };
+  const r = fix('aabbcc', policy);
+  assert(r.valid, 'fix() satisfies a custom policy');
+  assert(r.fixed.length >= 10, 'fix() pads to policy minLength');
+  assert(validate(r.fixed, policy).overall, 'fixed password validates under the custom policy');
+}
+{
+  const r = fix('AAAAbcd1#', { maxRepeat: null });
+  assertEqual(r.changes.length, 0, 'fix() leaves repeats alone when maxRepeat is null');
+}
+
+section('Policy - Presets');
+{
+  const ids = listPresets().map(p => p.id);
+  for (const id of ['worldline-pci', 'ontario-moh', 'nist-800-63b', 'pci-dss-4']) {
+    assert(ids.includes(id), `preset '${id}' is registered`);
+  }
+  assert(listPresets().every(p => p.name && p.version && p.policy), 'every preset has a name, version and policy');
+  assertEqual(getPreset(DEFAULT_PRESET_ID).policy, DEFAULT_POLICY, 'DEFAULT_POLICY is the default preset');
+  assertEqual(getPreset('no-such-preset'), null, 'unknown preset id returns null');
+}
+{
+  assertEqual(JSON.stringify(validate('Abcdef1#', 'worldline-pci')), JSON.stringify(validate('Abcdef1#')),
+    'validate() accepts a preset id');
+  assert(!validate('correcthorse', 'nist-800-63b').overall, 'NIST rejects 12 characters');
+  assert(validate('correct horse battery', 'nist-800-63b').overall, 'NIST accepts a 21-character passphrase');
+  assert(!validate('abcdefghijkl', 'pci-dss-4').overall, 'PCI DSS requires a digit');
+  assert(validate('abcdefghijk1', 'pci-dss-4').overall, 'PCI DSS accepts letters + digits at 12 characters');
+  let threw = false;
+  try { validate('x', 'no-such-preset'); } catch { threw = true; }
+  assert(threw, 'validate() throws on an unknown preset id');
+}
+{
+  let allValid = true;
+  for (const { id } of listPresets()) {
+    const g = generate(24, id);
+    if (!g.valid || !validate(g.password, id).overall) { allValid = false; console.log(`  [FAIL] generate failed for ${id}`); }
+    const f = fix('aaaa', id);
+    if (!f.valid || !validate(f.fixed, id).overall) { allValid = false; console.log(`  [FAIL] fix failed for ${id}`); }
+  }
+  assert(allValid, 'generate() and fix() accept every preset id');
+}
+
+section('Policy - Runs, sequences and keyboard walks');
+{
+  const policy = { maxRun: 2, maxSequence: 2, maxKeyboardWalk: 3 };
+  assertEqual(validate('Abcdef1#').rules.length, 7, 'pattern rules are off by default');
+  assert(!rulePass(validate('Xaaa1#yz', policy), 7), "run 'aaa' fails maxRun 2");
+  assert(rulePass(validate('Xaa1#ayz', policy), 7), "run 'aa' passes maxRun 2");
+  assert(!rulePass(validate('Xabc1#yz', policy), 8), "'abc' fails maxSequence 2");
+  assert(!rulePass(validate('X789a#yz', policy), 8), "'789' fails maxSequence 2");
+  assert(!rulePass(validate('Xcba1#yz', policy), 8), "descending 'cba' fails maxSequence 2");
+  assert(!rulePass(validate('XaBc1#yz', policy), 8), "mixed-case 'aBc' fails maxSequence 2");
+  assert(rulePass(validate('Xab1#yzq', policy), 8), "'ab' passes maxSequence 2");
+  assert(!rulePass(validate('Qwer1#zm', policy), 9), "'Qwer' fails maxKeyboardWalk 3");
+  assert(!rulePass(validate('Xlkjh1#m', policy), 9), "reversed 'lkjh' fails maxKeyboardWalk 3");
+  assert(!rulePass(validate('X!@#$1am', policy), 9), "shifted '!@#$' fails maxKeyboardWalk 3");
+  assert(rulePass(validate('Xqwe1#zm', policy), 9), "'qwe' passes maxKeyboardWalk 3");
+  assertEqual(validate('Xabc1#yz', policy).rules[7].detail, "'abc' at 2", 'detail names the sequence and position');
+}
+{
+  const found = findPatterns('abcba', { maxSequence: 2 });
+  assertEqual(found.length, 2, "'abcba' is two sequences");
+  assertEqual(found.map(p => p.text).join(','), 'abc,cba', 'a direction change shares the turning character');
+}
+
+section('Policy - generate() and fix() avoid patterns');
+{
+  const policy = { maxRun: 1, maxSequence: 2, maxKeyboardWalk: 2 };
+  let allValid = true;
+  for (let i = 0; i < 300; i++) {
+    const r = generate(24, policy);
+    if (!r.valid || findPatterns(r.password, policy).length > 0) { allValid = false; break; }
+  }
+  assert(allValid, '300 generated passwords contain no forbidden patterns');
+}
+{
+  const policy = { maxRun: 2, maxSequence: 2, maxKeyboardWalk: 3 };
+  for (const pwd of ['Qwerty1#', 'Abcdef1#', 'Xaa1#a789', 'P@ss1234word', 'Zxcvbnm9!']) {
+    const r = fix(pwd, policy);
+    assert(r.valid, `fix('${pwd}') -> '${r.fixed}' is valid`);
+  }
+  const r = fix('Xabc1#yz', policy);
+  assertEqual(r.changes.length, 1, "one substitution breaks up 'abc'");
+  assertEqual(classifyChar(r.changes[0].to), 'lowercase', 'the substitution keeps the character class');
+}
+
+section('Policy - Common password blocklist');
+{
+  assertEqual(findBlocklisted('password', COMMON_PASSWORDS), 'password', "'password' is blocklisted");
+  assertEqual(findBlocklisted('P@ssw0rd', COMMON_PASSWORDS), 'p@ssw0rd', 'leetspeak variant is blocklisted');
+  assertEqual(findBlocklisted('Summer2024!', COMMON_PASSWORDS), 'summer', 'word + digits + symbol suffix is blocklisted');
+  assertEqual(findBlocklisted('Xk9#mP2$vLq7', COMMON_PASSWORDS), null, 'random password is not blocklisted');
+  assertEqual(findBlocklisted('', COMMON_PASSWORDS), null, 'empty password is not blocklisted');
+  assertEqual(blocklistKeys('P@ssw0rd1!').join(','), 'passwordii,password', 'keys are whole password and core, de-leeted');
+}
+{
+  const filter = createBloomFilter(100, 0.001);
+  for (let i = 0; i < 100; i++) bloomAdd(filter, `key${i}`);
+  let allFound = true;
+  for (let i = 0; i < 100; i++) if (!bloomHas(filter, `key${i}`)) allFound = false;
+  assert(allFound, 'Bloom filter has no false negatives');
+  let falsePositives = 0;
+  for (let i = 0; i < 10000; i++) if (bloomHas(filter, `other${i}`)) falsePositives++;
+  assert(falsePositives < 50, `Bloom filter false positives stay near target (${falsePositives}/10000)`);
+}
+{
+  const policy = { blocklist: true };
+  const r = validate('Password1!', policy);
+  assert(!r.overall, 'Password1! fails with blocklist enabled');
+  assertEqual(r.rules[6].name, 'blocklist', 'blocklist rule follows the repeat rule');
+  assertEqual(r.rules[6].detail, "'password1!' is a common password", 'detail names the common password');
+  assert(validate('Password1!').overall, 'blocklist is off by default');
+  assert(!validate('Password1234567!', 'nist-800-63b').overall, 'NIST preset enables the blocklist');
+}
+{
+  const policy = { blocklist: true };
+  for (const pwd of ['Password1!', 'P@ssw0rd12', 'Summer2024!', 'Qwerty123#']) {
+    const r = fix(pwd, policy);
+    assert(r.valid && findBlocklisted(r.fixed, COMMON_PASSWORDS) === null, `fix('${pwd}') -> '${r.fixed}' is not blocklisted`);
+  }
+  let allValid = true;
+  for (let i = 0; i < 200; i++) {
+    if (!generate(8, policy).valid) { allValid = false; break; }
+  }
+  assert(allValid, '200 generated 8-character passwords pass the blocklist');
+}
+
+// ============================================================
+// STRENGTH TESTS
+// ============================================================
+section('Strength - Pattern matching');
+{
+  const patterns = (pwd) => estimateStrength(pwd).sequence.map(m => `${m.pattern}:${m.token}`).join(' ');
+  assertEqual(patterns('qwerty'), 'dictionary:qwerty', 'common password is a dictionary match');
+  assertEqual(patterns('P@ssw0rd'), 'dictionary:P@ssw0rd', 'l33t substitutions are undone');
+  assertEqual(patterns('abcabcabc'), 'repeat:abcabcabc', 'repeated block is a repeat match');
+  assertEqual(patterns('zyxwvu'), 'sequence:zyxwvu', 'descending letters are a sequence');
+  assertEqual(patterns('19/05/1990'), 'date:19/05/1990', 'separated date is a date match');
+  assertEqual(patterns('john1987'), 'dictionary:john regex:1987', 'name + recent year');
+  assertEqual(patterns('correcthorsebatterystaple'),
+    'dictionary:correct dictionary:horse dictionary:battery dictionary:staple', 'passphrase splits into words');
+}
+
+section('Strength - Scores and crack times');
+{
+  const weak = estimateStrength('Password1!');
+  assert(validate('Password1!').overall, 'Password1! passes the Worldline rules...');
+  assert(weak.score <= 1, `...but scores ${weak.score} (${weak.label})`);
+  assertEqual(weak.crackTimes.offlineFastHash.display, 'less than a second', 'Password1! falls instantly offline');
+
+  const strong = estimateStrength(generate(24).password);
+  assertEqual(strong.score, 4, 'generated 24-character password scores 4');
+  assertEqual(strong.crackTimes.offlineFastHash.display, 'centuries', 'generated password takes centuries offline');
+  assert(Math.abs(strong.log2 - Math.log2(strong.guesses)) < 1e-9, 'log2 matches guesses');
+
+  assertEqual(estimateStrength('').guesses, 1, 'empty password needs 1 guess');
+  assert(estimateStrength('Tr0ub4dor&3').guesses < estimateStrength('Xk9#mP2$vLq7Wz').guesses,
+    'longer random password needs more guesses');
+  const times = estimateStrength('correcthorse').crackTimes;
+  assert(times.onlineThrottled.seconds > times.onlineUnthrottled.seconds &&
+    times.onlineUnthrottled.seconds > times.offlineSlowHash.seconds &&
+    times.offlineSlowHash.seconds > times.offlineFastHash.seconds, 'crack-time buckets are ordered by attack speed');
+}
+
+// ============================================================
+// UNICODE TESTS
+// ============================================================
+section('Unicode - Grapheme counting');
+{
+  assertEqual(splitGraphemes('é').length, 1, 'e + combining acute is one character');
+  assertEqual(splitGraphemes('\u{1F468}‍\u{1F469}‍\u{1F467}ab').length, 3, 'ZWJ emoji family is one character');
+  assert(!rulePass(validate('Ab1#\u{1F600}\u{1F600}x'), 1), 'two emoji count as 2 characters, not 4');
+  assert(rulePass(validate('Ab1#\u{1F600}\u{1F601}xy'), 1), '8 graphemes pass minLength');
+  assertEqual(countChars('éé').get('é'), 2, 'countChars counts grapheme clusters');
+}
+
+section('Unicode - Normalization');
+{
+  const composed = 'Cafés1#x';
+  const decomposed = 'Cafés1#x';
+  assertEqual(JSON.stringify(validate(composed).rules), JSON.stringify(validate(decomposed).rules),
+    'precomposed and decomposed input validate the same');
+  assertEqual(validate(decomposed).normalized, composed, 'default normalization is NFC');
+  assertEqual(validate(decomposed).warnings[0].type, 'normalized', 'normalization is reported');
+  assertEqual(validate('Abcdef1#').warnings.length, 0, 'plain ASCII has no warnings');
+  assert(!rulePass(validate('Ab1#éééx'), 6), 'three e-acute in mixed forms fail the repeat rule');
+  assert(rulePass(validate('Ab1#éééx', { normalization: null }), 6), 'normalization: null checks as typed');
+  const nfkc = { normalization: 'NFKC' };
+  assertEqual(validate('Ａbcdef1#', nfkc).normalized, 'Abcdef1#', 'NFKC folds fullwidth letters');
+  assert(!rulePass(validate('AAＡbcd1#', nfkc), 6), 'NFKC: fullwidth A counts toward the repeat limit of A');
+}
+
+section('Unicode - Character classes');
+assertEqual(classifyChar('É'), 'uppercase', 'E-acute is uppercase');
+assertEqual(classifyChar('É'), 'uppercase', 'E + combining acute is uppercase');
+assertEqual(classifyChar('ß'), 'lowercase', 'sharp s is lowercase');
+assertEqual(classifyChar('٣'), 'digit', 'Arabic-Indic three is a digit');
+assertEqual(classifyChar('\u{1F600}'), 'unknown', 'emoji is unknown');
+assert(rulePass(validate('École12#'), 2), 'E-acute satisfies the uppercase rule');
+
+section('Unicode - Look-alike and combining warnings');
+{
+  const w = validate('Pаssword1#').warnings;
+  assertEqual(w.length, 1, 'one warning for a Cyrillic a');
+  assertEqual(w[0].type, 'confusable', 'Cyrillic a is a confusable');
+  assertEqual(w[0].index, 1, 'warning carries the character index');
+}
+{
+  const types = validate('Abq́def1#​').warnings.map(w => w.type);
+  assert(types.includes('combining'), 'q + combining acute (no precomposed form) is reported');
+  assert(types.includes('invisible'), 'zero-width space is reported');
+}
+
+section('Unicode - Fixer');
+{
+  const r = fix('éééAbc1#', { strictAlphabet: false });
+  assert(r.valid, 'fix() repairs a repeat spread across normalization forms');
+  assertEqual(countChars(r.fixed).get('é'), 2, 'fix() leaves two e-acute');
+  assert(r.changes.every(c => splitGraphemes(r.fixed)[c.index] === c.to), 'change indices are grapheme positions');
+}
+
+// ============================================================
+// ACCOUNT CONTEXT TESTS
+// ============================================================
+section('Context - Username and email matching');
+{
+  const ctx = { username: 'kfrancis', email: 'kori.francis@worldline.com' };
+  const m = findContextMatches('Xkori.Francis99!', ctx);
+  assertEqual(m.length, 1, 'one match for the whole local part');
+  assertEqual(m[0].text, 'kori.francis', 'longest match is reported, lowercased');
+  assertEqual(m[0].start, 1, 'match carries its start index');
+  assertEqual(findContextMatches('KFRANCIS', ctx)[0].source, 'username', 'matching is case-insensitive');
+  assertEqual(findContextMatches('Worldline1#', ctx)[0].text, 'worldline', 'email domain name is checked');
+  assertEqual(findContextMatches('DotCom!!1a', ctx).length, 0, 'the TLD is not checked');
+  assertEqual(findContextMatches('Kor1#abcd', ctx).length, 0, 'pieces shorter than 4 are allowed');
+  assertEqual(findContextMatches('Kor1#abcd', ctx, 3).length, 1, 'match length is configurable');
+  assertEqual(findContextMatches('anything', {}).length, 0, 'no context, no matches');
+}
+
+section('Context - validate() rule');
+{
+  const ctx = { username: 'kfrancis', email: 'kori.francis@worldline.com' };
+  assertEqual(validate('Francis1#x').rules.length, 7, 'no context: no extra rule');
+  const r = validate('Francis1#x', DEFAULT_POLICY, ctx);
+  assertEqual(r.rules.length, 8, 'context adds rule 8');
+  assertEqual(r.rules[7].name, 'context', 'rule 8 is the context rule');
+  assert(!r.rules[7].pass, "'Francis1#x' contains part of the username");
+  assert(r.rules[7].detail.includes("'francis'"), 'detail names the matched text');
+  assertEqual(validate('Ab1#cdeF', DEFAULT_POLICY, { username: 'kfrancis' }).rules[7].description,
+    'Does not contain your username', 'description names only what was given');
+  assert(validate('Ab1#cdeF', DEFAULT_POLICY, ctx).overall, 'unrelated password passes');
+  assertEqual(validate('Francis1#x', { contextMatchLength: null }, ctx).rules.length, 7,
+    'contextMatchLength: null turns the rule off');
+}
+
+section('Context - fix() and generate()');
+{
+  const ctx = { username: 'kfrancis', email: 'kori.francis@worldline.com' };
+  let failures = 0;
+  for (let i = 0; i < 100; i++) {
+    const r = fix('Francis2024!Kori', DEFAULT_POLICY, ctx);
+    if (!r.valid || findContextMatches(r.fixed, ctx).length > 0) failures++;
+  }
+  assertEqual(failures, 0, 'fix() breaks up username/email parts (x100)');
+  const g = generate(16, DEFAULT_POLICY, { username: 'abcdefghijklmnopqrstuvwxyz' });
+  assert(g.valid, 'generate() honors the context');
+}
+
+// ============================================================
+// PASSWORD HISTORY TESTS
+// ============================================================
+
+// In-memory stand-in for chrome.storage.local
+function memoryStorage() {
+  const data = {};
+  return {
+    data,
+    async get(key) { return key in data ? { [key]: structuredClone(data[key]) } : {}; },
+    async set(items) { Object.assign(data, structuredClone(items)); },
+  };
+}
+
+section('History - Hashing');
+{
+  const salt = btoa('0123456789abcdef');
+  const h1 = await hashPassword('Hunter2!xy', salt, 1000);
+  assertEqual(h1, await hashPassword('Hunter2!xy', salt, 1000), 'same password and salt give the same hash');
+  assert(h1 !== await hashPassword('Hunter2!xz', salt, 1000), 'different password, different hash');
+  assert(h1 !== await hashPassword('Hunter2!xy', btoa('fedcba9876543210'), 1000), 'different salt, different hash');
+  assertEqual(atob(h1).length, 32, 'hash is 256 bits');
+}
+
+section('History - Opt-in store');
+{
+  const storage = memoryStorage();
+  assert(!(await recordPassword('example.com', 'Hunter2!xy', storage)), 'nothing recorded while history is off');
+  assertEqual(await checkPasswordHistory('example.com', 'Hunter2!xy', storage), null, 'no check while history is off');
+
+  await setHistoryEnabled(true, storage);
+  assert(await recordPassword('example.com', 'Hunter2!xy', storage), 'recorded once enabled');
+  const stored = JSON.stringify(storage.data);
+  assert(!stored.includes('Hunter2'), 'plaintext is never stored');
+  assertEqual(storage.data[HISTORY_KEY]['example.com'][0].iterations, PBKDF2_ITERATIONS, 'entry records its iteration count');
+
+  const hit = await checkPasswordHistory('example.com', 'Hunter2!xy', storage);
+  assert(hit.match !== null, 'reused password is found');
+  assertEqual((await checkPasswordHistory('example.com', 'Hunter3!xy', storage)).match, null, 'new password is not');
+  assertEqual(await checkPasswordHistory('other.com', 'Hunter2!xy', storage), null, 'history is per site');
+
+  await recordPassword('example.com', 'Hunter2!xy', storage);
+  const [a, b] = storage.data[HISTORY_KEY]['example.com'];
+  assert(a.salt !== b.salt && a.hash !== b.hash, 'each entry has its own salt');
+
+  await setHistoryEnabled(false, storage);
+  assertEqual(JSON.stringify(storage.data[HISTORY_KEY]), '{}', 'turning history off deletes the hashes');
+}
+
+section('History - validate() rule');
+{
+  const reused = { count: 3, match: { date: '2025-01-15T10:00:00.000Z' } };
+  const r = validate('Ab1#cdeF', DEFAULT_POLICY, { history: reused });
+  assertEqual(r.rules.length, 8, 'history adds a rule');
+  assertEqual(r.rules[7].name, 'history', 'rule is named history');
+  assert(!r.rules[7].pass, 'reused password fails');
+  assertEqual(r.rules[7].detail, 'Filled on 2025-01-15', 'detail gives the date it was filled');
+  assertEqual(r.rules[7].description, 'Not any of your last 3 passwords on this site', 'description gives the count');
+  assert(validate('Ab1#cdeF', DEFAULT_POLICY, { history: { count: 1, match: null } }).overall, 'fresh password passes');
+}
+
+// ============================================================
+// ALPHABET AND MAXIMUM LENGTH TESTS
+// ============================================================
+section('Alphabet - Strict mode');
+{
+  const r = validate('Ab1# cd~e');
+  const rule = r.rules.find(x => x.name === 'alphabet');
+  assert(!r.overall, 'space and ~ fail the default policy');
+  assert(!rule.pass, 'alphabet rule fails');
+  assertEqual(rule.detail, "' ' at 5, '~' at 8", 'detail lists the offending characters');
+  assertEqual(rule.description, 'Only A-Z, a-z, 0-9 and #?!@$%^&*-', 'description lists the alphabet');
+  assert(!rulePass(validate('Écoleab1#'), 7), 'accented letters are outside the strict alphabet');
+  assert(rulePass(validate('Abcdef1#'), 7), 'policy characters pass');
+  assert(!rulePass(validate('Abcdef1#_'), 7), "'_' is not special under the default policy");
+  assert(rulePass(validate('Abcdef1_', { specialChars: '_' }), 7), 'alphabet follows specialChars');
+  assert(isAllowedChar('~', { strictAlphabet: false }), 'without strictAlphabet anything is allowed');
+  assert(!validate('Ab1# cd~e', { strictAlphabet: false }).rules.some(x => x.name === 'alphabet'),
+    'strictAlphabet: false drops the rule');
+  assert(validate('correct horse battery staple', 'nist-800-63b').overall, 'NIST preset accepts spaces');
+}
+
+section('Alphabet - Maximum length');
+{
+  const policy = { maxLength: 10 };
+  const r = validate('Abcdefgh1#xy', policy);
+  assertEqual(r.rules[1].name, 'maxLength', 'maxLength follows minLength');
+  assert(!r.rules[1].pass, '12 characters fail maxLength 10');
+  assertEqual(r.rules[1].detail, '12 characters', 'detail gives the length');
+  assert(rulePass(validate('Abcdefg1#x', policy), 2), '10 characters pass');
+  assert(!validate('Abcdef1#').rules.some(x => x.name === 'maxLength'), 'no maxLength rule by default');
+  assertEqual(generate(24, policy).password.length, 10, 'generate() clamps to maxLength');
+}
+
+section('Alphabet - fix() agrees with validate()');
+{
+  const r = fix('Ab1# cd~e');
+  assert(r.valid, "fix() repairs ' ' and '~'");
+  assert(validate(r.fixed).overall, 'fixed password validates');
+  const accented = fix('Écoleab1#');
+  assert(accented.valid, 'fix() replaces accented letters');
+  assertEqual(classifyChar(accented.fixed[0]), 'uppercase', 'É is replaced by an uppercase letter');
+  const kept = fix('correct horse battery staple', 'nist-800-63b');
+  assertEqual(kept.fixed, 'correct horse battery staple', 'non-strict policies keep spaces');
+  const long = fix('Abcdefgh1#xyz', { maxLength: 10 });
+  assert(long.valid, 'fix() trims to maxLength');
+  assertEqual(long.fixed, 'Abcdefgh1#', 'trimmed from the end');
+  assertEqual(long.changes.filter(c => c.to === '').length, 3, 'removals are reported with to: ""');
+  const trimmedClass = fix('abcdefgh1#XY', { maxLength: 10 });
+  assert(trimmedClass.valid, 'a class lost to trimming is restored');
+}
+
+// ============================================================
+// CLASS MINIMUM AND DISTINCT CHARACTER TESTS
+// ============================================================
+section('Counts - Per-class minimums');
+{
+  const policy = { minCounts: { digit: 2, special: 2 } };
+  const r = validate('Abcdef1#', policy);
+  assertEqual(r.rules[4].description, 'At least 2 digits', 'description gives the count');
+  assertEqual(r.rules[3].description, 'At least 2 special characters (#?!@$%^&*-)', 'special description gives the count');
+  assert(!r.rules[4].pass, 'one digit fails "at least 2"');
+  assertEqual(r.rules[4].detail, '1 found', 'detail gives the number found');
+  assert(validate('Abcde12#!', policy).overall, 'two digits and two specials pass');
+  assertEqual(validate('Abcdef1#').rules[1].description, 'At least 1 uppercase letter', 'default stays at 1');
+  const extra = validate('abcdefgh', { required: ['lowercase'], minCounts: { digit: 3 } });
+  assertEqual(extra.rules.map(x => x.name).slice(0, 3).join(','), 'minLength,lowercase,digit',
+    'a class only in minCounts is appended after the required classes');
+  assertEqual(getClassMinimums({ minCounts: { digit: 2 } }).map(m => m.join(':')).join(','),
+    'uppercase:1,lowercase:1,special:1,digit:2', 'getClassMinimums merges required and minCounts');
+}
+
+section('Counts - Minimum distinct characters');
+{
+  const policy = { minDistinct: 10 };
+  const r = validate('Aabb1#cc1#', policy);
+  const rule = r.rules.find(x => x.name === 'minDistinct');
+  assertEqual(rule.id, 7, 'minDistinct follows the repeat rule');
+  assert(!rule.pass, '6 different characters fail');
+  assertEqual(rule.detail, '6 different', 'detail gives the distinct count');
+  assert(rulePass(validate('Abcdefgh1#', policy), 7), '10 different pass');
+  assert(!validate('Abcdef1#').rules.some(x => x.name === 'minDistinct'), 'not checked by default');
+}
+
+section('Counts - generate() meets the minimums');
+{
+  const policy = { minCounts: { uppercase: 3, digit: 4, special: 3 }, minDistinct: 14, maxRepeat: 1 };
+  let failures = 0;
+  for (let i = 0; i < 200; i++) {
+    if (!generate(14, policy).valid) failures++;
+  }
+  assertEqual(failures, 0, 'tight minimums at the minimum length (x200)');
+  assertEqual(generate(8, { minCounts: { digit: 6, special: 6 } }).password.length, 14,
+    'length grows to fit the class minimums');
+  assertEqual(generate(8, { minDistinct: 20 }).password.length, 20, 'length grows to fit minDistinct');
+}
+
+section('Counts - fix() uses the fewest substitutions');
+{
+  const r = fix('Password1!', { minCounts: { digit: 3, special: 2 } });
+  assert(r.valid, 'fix() adds digits and specials');
+  assertEqual(r.changes.length, 3, 'two digits and one special: three changes');
+  const d = fix('Password1!', { minDistinct: 10 });
+  assert(d.valid, 'fix() reaches minDistinct');
+  assertEqual(d.changes.length, 1, "one of the two 's' is replaced");
+  assertEqual(classifyChar(d.changes[0].to), 'lowercase', 'the replacement keeps its class');
+  const short = fix('Ab1#', { minCounts: { digit: 3 } });
+  assert(short.valid, 'a short password is padded');
+  assertEqual(short.changes.length, 4, 'padding supplies the missing digits, no substitutions');
+  assert(short.changes.every(c => c.from === ''), 'all changes are insertions');
+  let failures = 0;
+  for (let i = 0; i < 100; i++) {
+    if (!fix('aaaaaaaaaaaa', { minCounts: { uppercase: 2, digit: 2 }, minDistinct: 12, maxLength: 14 }).valid) failures++;
+  }
+  assertEqual(failures, 0, 'fix() meets class minimums and minDistinct together (x100)');
+}
+
+// ============================================================
+// PASSWORD DIFFERENCE TESTS
+// ============================================================
+section('Difference - Distance measures');
+assertEqual(passwordDistance('kitten', 'sitting'), 3, 'Levenshtein kitten -> sitting is 3');
+assertEqual(passwordDistance('Abc', 'Abc'), 0, 'identical passwords are 0 apart');
+assertEqual(passwordDistance('Abc', 'abc'), 1, 'comparison is case-sensitive');
+assertEqual(passwordDistance('Xabcdef', 'abcdef'), 1, 'Levenshtein counts an insertion once');
+assertEqual(passwordDistance('Xabcdef', 'abcdef', 'positional'), 7, 'positional counts the shift');
+assertEqual(passwordDistance('abcd', 'abXdef', 'positional'), 3, 'positional adds the length change');
+assertEqual(passwordDistance('a\u{1F600}b', 'a\u{1F601}b'), 1, 'distance is counted in graphemes');
+
+section('Difference - validate() rule');
+{
+  const ctx = { previousPassword: 'Winter2024!Ab' };
+  const r = validate('Winter2025!Ab', DEFAULT_POLICY, ctx);
+  const rule = r.rules.find(x => x.name === 'difference');
+  assert(!rule.pass, 'one changed character fails the default of 4');
+  assertEqual(rule.description, 'At least 4 characters changed from your current password', 'description');
+  assertEqual(rule.detail, '1 changed', 'detail gives the distance');
+  assert(validate('Summer2025#Xy', DEFAULT_POLICY, ctx).rules.find(x => x.name === 'difference').pass,
+    'a new password passes');
+  assert(!validate('Winter2025!Ab').rules.some(x => x.name === 'difference'), 'no previous password, no rule');
+  assert(!validate('Winter2025!Ab', { minDifference: null }, ctx).rules.some(x => x.name === 'difference'),
+    'minDifference: null turns the rule off');
+  const shifted = { previousPassword: 'bcdefgh1#A' };
+  assert(!validate('Xbcdefgh1#A', { minDifference: 2 }, shifted).overall, 'Levenshtein sees through a shift');
+  assert(validate('Xbcdefgh1#A', { minDifference: 2, differenceMeasure: 'positional' }, shifted).overall,
+    'positional counts a shift as many changes');
+}
+
+section('Difference - generate() and fix()');
+{
+  const ctx = { previousPassword: 'Winter2024!Ab' };
+  const r = fix('Winter2025!Ab', DEFAULT_POLICY, ctx);
+  assert(r.valid, 'fix() moves away from the previous password');
+  assertEqual(r.changes.length, 3, 'with the fewest substitutions (distance 1 -> 4)');
+  let failures = 0;
+  for (let i = 0; i < 100; i++) {
+    if (!fix('Winter2025!Ab', { minDifference: 8, differenceMeasure: 'positional' }, ctx).valid) failures++;
+  }
+  assertEqual(failures, 0, 'fix() meets a positional minimum of 8 (x100)');
+  const g = generate(12, { minDifference: 12 }, { previousPassword: 'Abcdefgh1#xy' });
+  assert(g.valid, 'generate() honors the previous password');
+  assert(passwordDistance(g.password, 'Abcdefgh1#xy') >= 12, 'generated password is far enough away');
+}
+
+// ============================================================
+// POSITION CONSTRAINT TESTS
+// ============================================================
+section('Positions - validate()');
+{
+  const policy = { positions: [{ index: 0, allow: ['letter'] }, { index: -1, forbid: ['special'] }] };
+  const r = validate('1Password!', policy);
+  assertEqual(r.rules[6].description, 'First character is a letter', 'first-character description');
+  assertEqual(r.rules[7].description, 'Last character is not a special character', 'last-character description');
+  assert(!r.rules[6].pass && !r.rules[7].pass, "'1...!' fails both");
+  assertEqual(r.rules[6].detail, "'1' at 1", 'detail names the character');
+  assert(validate('Pass1!word', policy).overall, "'Pass1!word' passes both");
+  assert(!validate('', policy).rules[6].pass, 'an empty password fails a position rule');
+  const other = { positions: [{ index: 2, allow: ['digit', 'special'] }, { index: -3, forbid: ['uppercase'] }] };
+  const d = validate('Ab1#efgh', other).rules.slice(6, 8).map(x => x.description);
+  assertEqual(d[0], 'Character 3 is a digit or a special character', 'inner position description');
+  assertEqual(d[1], 'Character 3 from the end is not an uppercase letter', 'position from the end description');
+  assert(isAllowedAt('a', 0, 8, policy), 'isAllowedAt: letter first');
+  assert(!isAllowedAt('!', 7, 8, policy), 'isAllowedAt: no special last');
+  assert(isAllowedAt('!', 3, 8, policy), 'isAllowedAt: unconstrained position');
+}
+
+section('Positions - generate()');
+{
+  const policies = [
+    { positions: [{ index: 0, allow: ['letter'] }, { index: -1, forbid: ['special'] }] },
+    { positions: [{ index: 0, allow: ['digit'] }, { index: -1, allow: ['digit'] }], maxSequence: 2 },
+    { positions: [{ index: 0, allow: ['special'] }, { index: 1, allow: ['special'] }], maxRepeat: 1 },
+  ];
+  let failures = 0;
+  for (const policy of policies) {
+    for (let i = 0; i < 100; i++) {
+      if (!generate(8, policy).valid) failures++;
+    }
+  }
+  assertEqual(failures, 0, 'generated passwords meet the position constraints (x300)');
+}
+
+section('Positions - fix() repairs at the boundary');
+{
+  const policy = { required: ['letter', 'digit'], positions: [{ index: 0, allow: ['letter'] }] };
+  const r = fix('9abcdefgh', policy);
+  assertEqual(r.fixed, 'a9bcdefgh', 'the only digit is swapped inward rather than lost');
+  const sub = fix('1Password9!', { positions: [{ index: 0, allow: ['letter'] }] });
+  assert(sub.valid, 'fix() substitutes when the class can spare the character');
+  assertEqual(sub.changes.length, 1, 'one substitution at the boundary');
+  assertEqual(sub.changes[0].index, 0, 'at the first character');
+  let failures = 0;
+  const tight = { positions: [{ index: 0, allow: ['digit'] }, { index: -1, allow: ['digit'] }], maxSequence: 2 };
+  for (let i = 0; i < 100; i++) {
+    if (!fix('1Password!', tight).valid) failures++;
+  }
+  assertEqual(failures, 0, 'fix() substitutes and restores the lost class when no swap fits (x100)');
+}
+
+// ============================================================
+// VIOLATION LOCATION TESTS
+// ============================================================
+section('Violations - Every rule carries data and indices');
+{
+  const r = validate('aaa');
+  assert(r.rules.every(x => Array.isArray(x.indices) && typeof x.data === 'object'), 'all rules have data and indices');
+  assertEqual(r.rules[0].data.length, 3, 'minLength data gives the length');
+  assertEqual(r.rules[0].detail, '3 characters', 'minLength detail gives the length');
+  assertEqual(r.rules[1].data.missing, 1, 'class data gives the number missing');
+  assertEqual(r.rules[1].detail, 'none found', 'class detail says none were found');
+  assertEqual(r.rules[1].indices.length, 0, 'a missing class has nothing to highlight');
+  assertEqual(validate('Abcdefg1#').rules[0].indices.length, 0, 'passing rules have no indices');
+}
+
+section('Violations - Character locations');
+{
+  const repeat = validate('aXaYa1#b').rules.find(x => x.name === 'maxRepeat');
+  assertEqual(repeat.indices.join(','), '0,2,4', 'maxRepeat marks every occurrence');
+  assertEqual(repeat.data.chars[0].char, 'a', 'maxRepeat data names the character');
+  assertEqual(repeat.data.chars[0].count, 3, 'maxRepeat data gives the count');
+  const alphabet = validate('Ab1# cd~e').rules.find(x => x.name === 'alphabet');
+  assertEqual(alphabet.indices.join(','), '4,7', 'alphabet marks the disallowed characters');
+  assertEqual(alphabet.data.chars[1].char, '~', 'alphabet data names the character');
+  const max = validate('Abcdefgh1#xy', { maxLength: 10 }).rules[1];
+  assertEqual(max.indices.join(','), '10,11', 'maxLength marks the excess characters');
+  const seq = validate('Xabc1#yz', { maxSequence: 2 }).rules.find(x => x.name === 'maxSequence');
+  assertEqual(seq.indices.join(','), '1,2,3', 'pattern rules mark the pattern span');
+  const pos = validate('1Abcdef#', { positions: [{ index: 0, allow: ['letter'] }] }).rules.find(x => x.name === 'position');
+  assertEqual(pos.indices.join(','), '0', 'position rules mark the position');
+  assertEqual(pos.data.char, '1', 'position data names the character');
+}
+
+section('Violations - Blocklist and context spans');
+{
+  const block = validate('99Password1!', { blocklist: true }).rules.find(x => x.name === 'blocklist');
+  assert(!block.pass, 'blocklisted core fails');
+  assertEqual(block.data.match, 'password', 'blocklist data gives the match');
+  assertEqual(block.indices.join(','), '2,3,4,5,6,7,8,9', 'blocklist marks the matched span');
+  const ctx = validate('Xfrancis1#', 'worldline-pci', { username: 'francis' }).rules.find(x => x.name === 'context');
+  assertEqual(ctx.indices.join(','), '1,2,3,4,5,6,7', 'context marks the matched span');
+  assertEqual(ctx.data.matches[0].source, 'username', 'context data gives the source');
+  const diff = validate('Abcdef1#', 'worldline-pci', { previousPassword: 'Abcdef1!' }).rules.find(x => x.name === 'difference');
+  assertEqual(diff.data.distance, 1, 'difference data gives the distance');
+  assertEqual(diff.indices.length, 0, 'difference has nothing to highlight');
+}
+
+// ============================================================
+// EXPLAIN TESTS
+// ============================================================
+section('Explain - Remediation plan');
+{
+  const ok = explain('Abcdefg1#');
+  assert(ok.compliant, 'a compliant password needs no plan');
+  assertEqual(ok.steps.length, 0, 'no steps for a compliant password');
+  assertEqual(ok.summary, '', 'empty summary for a compliant password');
+  const r = explain('aaaBcd#e');
+  assertEqual(r.summary, "replace 1 of 3 'a' with a digit", 'a replacement also supplies the missing class');
+  assertEqual(r.steps[0].indices.join(','), '0,1,2', 'step marks the repeated characters');
+  assertEqual(explain('aaaBcd#ef').summary, "replace 1 of 3 'a' with a digit", 'one edit, not two');
+  assertEqual(explain('Abcdef1').summary, 'add a special character (#?!@$%^&*-)', 'a short password gets the class added');
+  assertEqual(explain('abcdefgh1', 'pci-dss-4').summary, 'add 3 characters', 'length shortfall is counted');
+  assertEqual(explain('aaab').steps.map(s => s.action).join(','), 'replace,add', 'replacements come before additions');
+}
+
+section('Explain - Other rules');
+{
+  assertEqual(explain('Abcdefgh1#xyz', { maxLength: 10 }).summary, 'remove 3 characters', 'excess length is removed');
+  assertEqual(explain('Abcdefghij', { maxLength: 10 }).steps[0].action, 'replace',
+    'at maxLength a missing class is swapped in');
+  assertEqual(explain('Ab1# cdefg').summary, "replace ' ' at 5", 'disallowed characters are named');
+  assertEqual(explain('1bcdefG#', { positions: [{ index: 0, allow: ['letter'] }] }).summary,
+    'make the first character a letter', 'position rules are explained');
+  assertEqual(explain('Xfrancis1#', 'worldline-pci', { username: 'francis' }).summary,
+    "remove 'francis', it's from your username", 'context matches are explained');
+  const d = explain('aaaaaaa', { minDistinct: 6, required: [], strictAlphabet: false, maxRepeat: null });
+  assertEqual(d.steps.reduce((n, s) => n + s.count, 0), 5, 'distinct shortfall is met by adds and replacements');
+  assertEqual(explain('Abcdef1#', 'worldline-pci', { previousPassword: 'Abcdef1!' }).summary,
+    'change at least 3 more characters from your current password', 'difference shortfall is counted');
+}
+
+// ============================================================
+// REPEAT COUNTING TESTS
+// ============================================================
+section('Repeat - Case-insensitive counting');
+{
+  const policy = { maxRepeat: 2, repeatIgnoreCase: true };
+  assert(rulePass(validate('aAabcde1#'), 6), "'a' and 'A' count separately by default");
+  const rule = validate('aAaBcd1#', policy).rules[5];
+  assert(!rule.pass, "'aAa' breaks a cap of 2 when case is ignored");
+  assertEqual(rule.detail, "'a' appears 3x", 'detail names the folded character');
+  assertEqual(rule.indices.join(','), '0,1,2', 'both cases are marked');
+  assertEqual(rule.description, 'No character appears more than 2 times, ignoring case', 'description mentions case');
+  assertEqual(repeatKey('A', policy), 'a', 'repeatKey folds case');
+  assertEqual(countRepeats('aAb', policy).get('a'), 2, 'countRepeats counts both cases together');
+  const fixed = fix('aAaAbc1#', policy);
+  assert(fixed.valid, 'fix() honors case-insensitive counting');
+  assert(validate(generate(40, { maxRepeat: 1, repeatIgnoreCase: true }).password,
+    { maxRepeat: 1, repeatIgnoreCase: true }).overall, 'generate() honors case-insensitive counting');
+}
+
+section('Repeat - Per-class caps');
+{
+  const policy = { maxRepeat: { digit: 3, special: 1 } };
+  assertEqual(repeatLimit('1', policy), 3, 'digits get their own cap');
+  assertEqual(repeatLimit('!', policy), 1, 'specials get their own cap');
+  assertEqual(repeatLimit('a', policy), Infinity, 'unlisted classes are uncapped');
+  assertEqual(repeatLimit('a', { maxRepeat: null }), Infinity, 'null is no limit');
+  assert(rulePass(validate('Aaaaa111#', policy), 6), 'letters may repeat, digits up to 3');
+  const rule = validate('Abc1111#!!', policy).rules[5];
+  assertEqual(rule.detail, "'1' appears 4x, '!' appears 2x", 'each class is held to its cap');
+  assertEqual(rule.description, 'No digit appears more than 3 times, no special character more than 1 time',
+    'description lists the caps');
+  assertEqual(explain('Abc1111#!!', policy).summary, "replace 1 of 4 '1', replace 1 of 2 '!'",
+    'explain() uses the per-class cap');
+  const fixed = fix('Abc1111#!!', policy);
+  assert(fixed.valid, 'fix() honors per-class caps');
+  assertEqual(fixed.changes.length, 2, 'fix() replaces only the excess');
+  const g = generate(40, { maxRepeat: { letter: 1 }, maxLength: 40 });
+  assert(validate(g.password, { maxRepeat: { letter: 1 } }).overall, 'generate() honors per-class caps');
+}
+
+// ============================================================
+// INCREMENTAL VALIDATOR TESTS
+// ============================================================
+section('Incremental - Edits match validate()');
+{
+  const v = createValidator();
+  const same = (context) => JSON.stringify(v.result(context)) === JSON.stringify(validate(v.password, DEFAULT_POLICY, context));
+  assert(same(), 'an empty validator matches validate("")');
+  v.insert(0, 'Abcdef1');
+  assertEqual(v.password, 'Abcdef1', 'insert() adds text');
+  assert(!v.result().overall, 'missing special fails');
+  v.insert(7, '#');
+  assert(v.result().overall, 'appending a special passes');
+  assert(same(), 'result matches validate() after inserts');
+  v.insert(1, 'bb');
+  assertEqual(v.result().rules[5].detail, "'b' appears 3x", 'repeat counts follow inserts');
+  v.remove(1, 2);
+  assert(v.result().overall, 'remove() undoes the repeat');
+  assertEqual(v.password, 'Abcdef1#', 'remove() deletes text');
+  assert(same({ username: 'bcde' }), 'context is applied per result');
+}
+
+section('Incremental - update() from input values');
+{
+  const v = createValidator('worldline-pci');
+  for (const value of ['A', 'Ab', 'Ab1', 'Ab1#', 'Ab1# ', 'Ab1#', 'Xb1#cdef', 'Xb1#cdeé', 'Xb1#cdé', 'éXb1#cd', '']) {
+    v.update(value);
+    assertEqual(v.password, value, `update() tracks '${value}'`);
+    assertEqual(JSON.stringify(v.result()), JSON.stringify(validate(value, 'worldline-pci')), `result matches validate('${value}')`);
+  }
+  const n = createValidator('nist-800-63b');
+  n.update('ﬁve correct horse');
+  assertEqual(n.result().normalized, 'five correct horse', 'edits are normalized per the policy');
+  assertEqual(n.result().warnings[0].type, 'normalized', 'normalization is reported');
+  n.update('five correct horse');
+  assertEqual(n.result().warnings.length, 0, 'the warning clears when the changed character is gone');
+}
+
+// ============================================================
+// REGISTERED RULE TESTS
+// ============================================================
+section('Registered rules - Checklist, fix() and generate()');
+{
+  const noYear = {
+    id: 'noYear',
+    description: 'Does not contain the year 2026',
+    check: (chars) => {
+      const at = chars.join('').indexOf('2026');
+      return at === -1 ? true : { pass: false, detail: `'2026' at ${at + 1}`, indices: [at, at + 1, at + 2, at + 3] };
+    },
+  };
+  const maxDigitRun = {
+    id: 'maxDigitRun',
+    description: (policy) => `No more than 3 digits in a row (${policy.minLength}+ characters)`,
+    check: (chars) => !/[0-9]{4}/.test(chars.join('')),
+    // Swap the fourth digit with a letter that has no digit beside it
+    fix: (chars) => {
+      const m = /[0-9]{4}/.exec(chars.join(''));
+      if (!m) return [];
+      const isDigit = (i) => /[0-9]/.test(chars[i] || '');
+      const j = chars.findIndex((c, i) => /[a-z]/i.test(c) && !isDigit(i - 1) && !isDigit(i + 1));
+      const i = m.index + 3;
+      return j === -1 ? [{ index: i, to: 'x' }] : [{ index: i, to: chars[j] }, { index: j, to: chars[i] }];
+    },
+  };
+  registerRule(noYear);
+  registerRule(maxDigitRun);
+  try {
+    const r = validate('Summer2026!');
+    assertEqual(r.rules.length, 9, 'registered rules follow the built-in ones');
+    assertEqual(r.rules[7].name, 'noYear', 'rule is reported under its id');
+    assertEqual(r.rules[7].detail, "'2026' at 7", 'check can return a detail');
+    assertEqual(r.rules[7].indices.join(','), '6,7,8,9', 'check can return indices');
+    assertEqual(r.rules[8].description, 'No more than 3 digits in a row (8+ characters)', 'description can be a function');
+    assert(!r.rules[8].pass, 'a boolean check result works');
+    assertEqual(r.rules[8].indices.length, 0, 'a boolean result has no indices');
+    assert(createValidator().result().rules.some(x => x.name === 'noYear'), 'the incremental validator includes them');
+
+    const fixed = fix('Summer2026!');
+    assert(fixed.valid, 'fix() repairs registered rules');
+    assert(!fixed.fixed.includes('2026'), 'the year is gone');
+    assert(!/[0-9]{4}/.test(fix('Abcd12345678#').fixed), 'the fix hook is applied');
+    assert(fix('Abcd12345678#').valid, 'hooked fix is valid');
+    const g = generate(40, { minCounts: { digit: 10 } });
+    assert(g.valid && !/[0-9]{4}/.test(g.password), 'generate() honors registered rules');
+    assert(explain('Summer2026!').summary.includes(`meet "Does not contain the year 2026" ('2026' at 7)`),
+      'explain() quotes registered rules');
+
+    let threw = false;
+    try { registerRule(noYear); } catch { threw = true; }
+    assert(threw, 'ids must be unique');
+    threw = false;
+    try { registerRule({ id: 'maxRepeat', description: 'x', check: () => true }); } catch { threw = true; }
+    assert(threw, 'built-in rule names are reserved');
+    threw = false;
+    try { registerRule({ id: 'broken', description: 'x' }); } catch { threw = true; }
+    assert(threw, 'a check function is required');
+    registerRule({ id: 'nistOnly', description: 'x', check: () => false, appliesTo: (p) => p.blocklist === true });
+    assert(!validate('Abcdefg1#').rules.some(x => x.name === 'nistOnly'), 'appliesTo limits the rule');
+    assert(validate('x', 'nist-800-63b').rules.some(x => x.name === 'nistOnly'), 'appliesTo admits its policies');
+  } finally {
+    unregisterRule('noYear');
+    unregisterRule('maxDigitRun');
+    unregisterRule('nistOnly');
+  }
+  assertEqual(validate('Summer2026!').rules.length, 7, 'unregistered rules are gone');
+  assert(!unregisterRule('noYear'), 'unregistering twice reports false');
+}
+
+// ============================================================
+// POLICY TEXT TESTS
+// ============================================================
+section('Policy text - Parsing');
+{
+  const p = parsePolicy('minlength: 8; required: upper, lower, digit, [#?!@$%^&*-]; max-repeat: 2');
+  assertEqual(p.minLength, 8, 'minlength is read');
+  assertEqual(p.required.join(','), 'uppercase,lowercase,digit,special', 'classes and a character set are required');
+  assertEqual(p.specialChars, '#?!@$%^&*-', 'a set in required gives the special characters');
+  assertEqual(p.maxRepeat, 2, 'max-repeat is read');
+  const multi = parsePolicy([
+    '# Ontario kiosk policy',
+    'Min-Length: 12',
+    'position: first is letter',
+    'position: -2 not special, digit',
+    'max-repeat: digit 3, special 1',
+    'repeat-ignore-case: yes',
+    'maxlength: none',
+  ].join('\n'));
+  assertEqual(multi.minLength, 12, 'names ignore case and dashes');
+  assertEqual(JSON.stringify(multi.positions), '[{"index":0,"allow":["letter"]},{"index":-2,"forbid":["special","digit"]}]',
+    'positions are read, 1-based or from the end');
+  assertEqual(JSON.stringify(multi.maxRepeat), '{"digit":3,"special":1}', 'per-class caps are read');
+  assertEqual(multi.repeatIgnoreCase, true, 'yes/no settings are read');
+  assertEqual(multi.maxLength, null, "'none' turns a limit off");
+  assertEqual(parsePolicy('required: none').required.length, 0, "'required: none' requires nothing");
+  assert(validate('abc def ghi jkl', parsePolicy('minlength: 15; required: none; strict-alphabet: no; max-repeat: none')).overall,
+    'a parsed policy works as a fixture');
+}
+
+section('Policy text - Errors');
+{
+  const errorFor = (text) => {
+    try {
+      parsePolicy(text);
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+  const e1 = errorFor('minlength: 8\nmax-repeat: 2\nrequired: upper, purple');
+  assert(e1 instanceof PolicySyntaxError, 'mistakes throw PolicySyntaxError');
+  assertEqual(e1.line, 3, 'error gives the line');
+  assertEqual(e1.column, 18, 'error gives the column');
+  assert(e1.message.startsWith('Line 3, column 18: Unknown character class'), 'message leads with the position');
+  assertEqual(errorFor('foo: 1').reason, "Unknown setting 'foo'", 'unknown settings are reported');
+  assertEqual(errorFor('minlength: 8; minlength: 9').column, 15, 'a setting given twice is reported');
+  assertEqual(errorFor('minlength: eight').reason, "Expected a whole number, got 'eight'", 'bad numbers are reported');
+  assertEqual(errorFor('minlength: 8 maxlength: 9').column, 23, 'a missing separator is reported');
+  assertEqual(errorFor('required: [abc').reason, "Unclosed '[' character set", 'unclosed sets are reported');
+  assertEqual(errorFor('minlength 8').reason, "Expected ':' after 'minlength'", 'a missing colon is reported');
+  assertEqual(errorFor('minlength:').reason, "Missing value for 'minlength'", 'a missing value is reported');
+}
+
+section('Policy text - Serializing');
+{
+  assertEqual(serializePolicy({ minLength: 8, required: ['uppercase', 'lowercase', 'digit', 'special'], specialChars: '#?!@$%^&*-', maxRepeat: 2 }),
+    'minlength: 8; required: upper, lower, digit, [#?!@$%^&*-]; max-repeat: 2', 'serializes to the compact form');
+  for (const preset of listPresets()) {
+    assertEqual(JSON.stringify(resolvePolicy(parsePolicy(serializePolicy(preset.policy)))),
+      JSON.stringify(resolvePolicy(preset.policy)), `${preset.id} round-trips`);
+  }
+  const policy = {
+    minLength: 10, maxLength: null, required: [], specialChars: 'a]\\b', minCounts: { digit: 2 },
+    positions: [{ index: 4, allow: ['digit'], forbid: ['special'] }], maxRepeat: { uppercase: 1 },
+    normalization: null, differenceMeasure: 'positional', contextMatchLength: 5,
+  };
+  const text = serializePolicy(policy, { multiline: true });
+  assertEqual(text.split('\n').length, 10, 'multiline puts one setting per line');
+  assert(text.includes('special-chars: [a\\]\\\\b]'), 'brackets and backslashes in sets are escaped');
+  const back = parsePolicy(text);
+  assert(Object.keys(policy).every(k => JSON.stringify(back[k]) === JSON.stringify(policy[k])), 'every field round-trips');
+}
+
+section('Page rules - passwordrules');
+{
+  const rules = parsePasswordRules('minlength: 20; required: lower; required: upper; required: digit, [-().&@?\'#,/";+]; max-consecutive: 2; foo: bar');
+  assertEqual(rules.minLength, 20, 'minlength is read');
+  assertEqual(rules.maxConsecutive, 2, 'max-consecutive is read');
+  assertEqual(rules.required.length, 3, 'each required property is one entry');
+  assertEqual(rules.required[2][1].chars, '-().&@?\'#,/";+', 'custom sets keep their characters, including ;');
+  assertEqual(JSON.stringify(parsePasswordRules('required: upper; bogus; allowed: lower, unicode').allowed),
+    '[{"name":"lower"},{"name":"unicode"}]', 'malformed properties are skipped');
+
+  const policy = policyFromField({ passwordRules: 'minlength: 12; maxlength: 20; required: lower, upper; required: digit; allowed: [!#]' });
+  assertEqual(policy.required.join(','), 'lowercase,digit', 'the first class of each required property is required');
+  assertEqual(policy.specialChars, '!#', 'custom sets become the special characters');
+  assertEqual(policy.minLength, 12, 'passwordrules minlength replaces the base');
+  assertEqual(policy.maxLength, 20, 'passwordrules maxlength is used');
+  assertEqual(policy.maxRepeat, null, "the base policy's repeat cap is dropped");
+  assert(!validate('abcdefghij12~', policy).overall, 'characters outside the declared classes are not allowed');
+  for (let i = 0; i < 20; i++) {
+    const { password, valid } = generate(16, policy);
+    assert(valid && /^[a-z0-9A-Z!#]+$/.test(password), `generated password fits the page rules: ${password}`);
+  }
+  assertEqual(policyFromField({ passwordRules: 'required: unicode' }).strictAlphabet, false, 'unicode allows any character');
+}
+
+section('Page rules - field attributes');
+{
+  assertEqual(policyFromField({ passwordRules: null, minLength: null, maxLength: null, pattern: null }), null, 'a field with no rules gives no policy');
+  const policy = policyFromField({ minLength: 6, maxLength: 16 }, 'worldline-pci');
+  assertEqual(policy.minLength, 8, 'minlength below the base keeps the base minimum');
+  assertEqual(policy.maxLength, 16, 'maxlength narrows the base');
+  assertEqual(policy.required.length, 4, 'the base composition rules stay');
+
+  const pattern = '(?=.*\\d)(?=.*[a-z])(?=.*[A-Z]).{10,14}';
+  const fromPattern = policyFromField({ pattern }, { minLength: 8, required: [], maxRepeat: null });
+  assertEqual(fromPattern.required.join(','), 'digit,lowercase,uppercase', 'pattern lookaheads imply required classes');
+  assertEqual(`${fromPattern.minLength}-${fromPattern.maxLength}`, '10-14', 'a trailing {m,n} gives the length range');
+  assert(validate('abcdefgh1X', fromPattern).rules.find(r => r.name === 'pattern').pass, 'a matching password passes the pattern rule');
+  assert(!validate('abcdefgh1X!', { ...fromPattern, pattern: '[A-Za-z0-9]+' }).overall, 'the whole password must match');
+  assert(fix('password', fromPattern).valid, 'fix() meets a pattern-derived policy');
+  assertEqual(policyFromField({ pattern: '(' }), null, 'an invalid pattern is ignored');
+  assert(explain('abc', { minLength: 1, required: [], pattern: '\\d+' }).summary.includes("match the site's format"),
+    'explain() names a failing pattern');
+}
+
+section('Page rules - Writing a policy out');
+{
+  assertEqual(policyToPasswordRules('worldline-pci'),
+    'minlength: 8; required: upper; required: lower; required: [-#?!@$%^&*]; required: digit; allowed: upper, lower, digit, [-#?!@$%^&*]',
+    'passwordrules lists lengths, required classes and the allowed alphabet');
+  assertEqual(policyToPasswordRules({ minLength: 12, maxLength: 40, required: ['letter'], specialChars: ']a-', maxRun: 2, strictAlphabet: false }),
+    'minlength: 12; maxlength: 40; required: upper, lower; allowed: unicode; max-consecutive: 2',
+    "'letter' is either case; a loose alphabet allows unicode");
+  const back = policyFromField({ passwordRules: policyToPasswordRules('worldline-pci') });
+  assertEqual(`${back.required.join(',')} ${back.specialChars} ${back.minLength}`,
+    'uppercase,lowercase,special,digit -#?!@$%^&* 8', 'passwordrules round-trips through policyFromField()');
+
+  assertEqual(policyToPattern('worldline-pci'),
+    '(?=.*[A-Z])(?=.*[a-z])(?=.*[#?!@$%\\^&*\\-])(?=.*[0-9])(?!.*(.)(?:.*\\1){2})[A-Za-z0-9#?!@$%\\^&*\\-]{8,}',
+    'pattern uses lookaheads for classes and repeats');
+  assert(compilePattern(policyToPattern({ specialChars: '[]\\-/|(){}^', positions: [{ index: -2, forbid: ['digit'] }], maxRun: 2 })),
+    'class syntax characters are escaped');
+
+  assertEqual(describePolicy('worldline-pci'),
+    '8 or more characters. Must include an uppercase letter, a lowercase letter, a symbol and a digit. ' +
+    'Symbols allowed: #?!@$%^&*-. No character appears more than 2 times.', 'description reads like site requirements');
+  assert(describePolicy({ minLength: 10, maxLength: 10, minCounts: { digit: 2 }, blocklist: true })
+    .startsWith('Exactly 10 characters. Must include an uppercase letter'), 'fixed lengths and counts are described');
+  assert(describePolicy({ blocklist: true }).endsWith('Not a common or leaked password.'), 'other rules use the checklist wording');
+}
+
+section('Page rules - Pattern conformance');
+{
+  // The rules a pattern can express; the rest (sequences, blocklist, ...) are left to validate()
+  const covered = new Set(['minLength', 'maxLength', 'uppercase', 'lowercase', 'letter', 'digit', 'special',
+    'maxRepeat', 'position', 'maxRun', 'alphabet', 'pattern']);
+  const policies = [
+    ...listPresets().map(preset => preset.policy),
+    {
+      minLength: 10, maxLength: 16, specialChars: '[]\\-/&!', maxRepeat: { digit: 2, special: 1, uppercase: 1 },
+      repeatIgnoreCase: true, maxRun: 2,
+      positions: [{ index: 0, allow: ['letter'] }, { index: -1, forbid: ['special'] }, { index: 3, allow: ['digit'] }],
+    },
+    { excludeChars: 'O0Il1' },
+    { excludeChars: 'O0', strictAlphabet: false, required: ['letter', 'digit'] },
+    policyFromField({ passwordRules: 'required: lower; required: digit' }),
+    policyFromField({ pattern: '[A-Za-z0-9]+', minLength: 10 }),
+  ];
+  const noise = 'aAbB1122!!##[]-é O0';
+  for (const [n, policy] of policies.entries()) {
+    const disagree = [];
+    const pattern = compilePattern(policyToPattern(policy));
+    for (let i = 0; i < 40; i++) {
+      const chars = [...generate(16, policy).password];
+      // Half the samples get a few edits so both accepted and rejected passwords are compared
+      for (let edits = i % 2 ? 1 + (i % 3) : 0; edits > 0; edits--) {
+        const at = (i * 7 + edits * 5) % chars.length;
+        if (edits % 3 === 0) chars.splice(at, 1);
+        else if (edits % 3 === 1) chars[at] = noise[(i + edits) % noise.length];
+        else chars.splice(at, 0, chars[(at + 1) % chars.length]);
+      }
+      const password = chars.join('');
+      const expected = validate(password, policy).rules.filter(rule => covered.has(rule.name)).every(rule => rule.pass);
+      if (pattern.test(password) !== expected) disagree.push(password);
+    }
+    assertEqual(JSON.stringify(disagree), '[]', `the emitted pattern agrees with validate() on samples for policy ${n + 1}`);
+  }
+}
+
+section('Random source');
+{
+  // 2^32 isn't a multiple of 10, so the top 6 values would favour 0-5; a source counting
+  // up from 2^32 - 3 has its first three draws rejected
+  let next = 2 ** 32 - 3;
+  const drawn = withRandomSource(() => next++ % 2 ** 32, () => [randomInt(10), randomInt(10)]);
+  assertEqual(drawn.join(','), '0,1', 'draws above the last whole block are rejected');
+  assertEqual(next, 2 ** 32 + 2, 'each rejected draw is replaced by a new one');
+
+  const a = createSeededRandom('fixture');
+  const b = createSeededRandom('fixture');
+  const sequence = Array.from({ length: 5 }, () => a());
+  assertEqual(sequence.join(','), Array.from({ length: 5 }, () => b()).join(','), 'a seed gives the same sequence');
+  assert(sequence.every(n => Number.isInteger(n) && n >= 0 && n < 2 ** 32), 'seeded values are 32-bit');
+  assert(createSeededRandom(1)() !== createSeededRandom(2)(), 'different seeds give different sequences');
+
+  let threw = false;
+  try {
+    randomInt(0);
+  } catch (err) {
+    threw = err instanceof RangeError;
+  }
+  assert(threw, 'randomInt() rejects an empty range');
+  const counts = [0, 0, 0];
+  withRandomSource(createSeededRandom(7), () => {
+    for (let i = 0; i < 3000; i++) counts[randomInt(3)]++;
+  });
+  assert(counts.every(n => n > 900 && n < 1100), `randomInt() is uniform: ${counts}`);
+
+  const orders = new Map();
+  withRandomSource(createSeededRandom(8), () => {
+    for (let i = 0; i < 6000; i++) {
+      const order = shuffle(['a', 'b', 'c']).join('');
+      orders.set(order, (orders.get(order) || 0) + 1);
+    }
+  });
+  assertEqual(orders.size, 6, 'shuffle() reaches every order');
+  assert([...orders.values()].every(n => n > 900 && n < 1100), `shuffle() is uniform: ${[...orders.values()]}`);
+}
+
+section('Random source - Reproducible generate() and fix()');
+{
+  const seeded = (seed, fn) => withRandomSource(createSeededRandom(seed), fn);
+  const first = seeded(42, () => generate(20, 'worldline-pci').password);
+  assertEqual(seeded(42, () => generate(20, 'worldline-pci').password), first, 'generate() is reproducible with a seed');
+  assert(seeded(43, () => generate(20, 'worldline-pci').password) !== first, 'another seed gives another password');
+  const fixed = seeded(42, () => fix('Paaaassword111', 'worldline-pci').fixed);
+  assertEqual(seeded(42, () => fix('Paaaassword111', 'worldline-pci').fixed), fixed, 'fix() is reproducible with a seed');
+  assert(validate(fixed, 'worldline-pci').overall, 'the seeded fix is valid');
+
+  // fix() pads a short password from the classes in random order: each should come up
+  // about equally often
+  const classes = new Map();
+  seeded(9, () => {
+    for (let i = 0; i < 400; i++) {
+      const { fixed } = fix('Ab1!', { minLength: 5, required: [], maxRepeat: 2 });
+      const className = classifyChar(fixed[4]);
+      classes.set(className, (classes.get(className) || 0) + 1);
+    }
+  });
+  assert(classes.size === 4 && [...classes.values()].every(n => n > 60), `fix() favours no class: ${[...classes]}`);
+}
+
+section('Combinatorics - Counting');
+{
+  // Counted by brute force over the 64-character alphabet
+  const base = { minLength: 1, specialChars: '!#', required: [], maxRepeat: null };
+  assertEqual(String(countPasswords(3, { ...base, required: ['uppercase', 'digit'] })), '71760', 'class minimums');
+  assertEqual(String(countPasswords(3, { ...base, maxRepeat: 1, required: ['letter'] })), '248664', 'repeat cap and letters');
+  assertEqual(String(countPasswords(3, { ...base, maxRepeat: 1, repeatIgnoreCase: true })), '240312', 'repeat cap ignoring case');
+  assertEqual(String(countPasswords(3, { ...base, minCounts: { digit: 2 }, maxRepeat: 1 })), '15300', 'per-class counts');
+  assertEqual(String(countPasswords(3, { ...base, maxRepeat: { letter: 1 }, repeatIgnoreCase: true, required: ['lowercase'] })),
+    '190632', 'per-class caps ignoring case');
+  assertEqual(String(countPasswords(3, { ...base, positions: [{ index: 0, allow: ['letter'] }, { index: -1, forbid: ['special', 'digit'] }], required: ['digit'] })),
+    '27040', 'position constraints');
+  assertEqual(String(countPasswords(3, { ...base, maxRepeat: 1, positions: [{ index: 0, allow: ['special'] }, { index: 1, allow: ['special'] }] })),
+    '124', 'positions and repeat caps together');
+  assertEqual(String(countPasswords(2, { ...base, positions: [{ index: 4, allow: ['digit'] }] })), '0', 'a position past the end leaves nothing');
+  assertEqual(String(countPasswords(8, { ...base, maxRepeat: null })), String(64n ** 8n), 'no rules counts every string');
+  assertEqual(log2Count(2n ** 100n), 100, 'log2 of a large count');
+  assertEqual(Math.round(entropyBits(24, 'worldline-pci') * 1000) / 1000, 147.528, 'entropy of a Worldline password');
+}
+
+section('Combinatorics - Uniform sampling');
+{
+  // 250 passwords: 2 characters, no repeats, at least one of '!' or '#'
+  const policy = { minLength: 2, maxRepeat: 1, required: ['special'], specialChars: '!#' };
+  const seen = new Map();
+  withRandomSource(createSeededRandom(3), () => {
+    for (let i = 0; i < 5000; i++) {
+      const password = samplePassword(2, policy);
+      seen.set(password, (seen.get(password) || 0) + 1);
+    }
+  });
+  assertEqual(seen.size, 250, 'every password in the space comes up');
+  // Chi-square with 249 degrees of freedom: mean 249, standard deviation about 22
+  const chiSquare = [...seen.values()].reduce((sum, n) => sum + (n - 20) ** 2 / 20, 0);
+  assert(chiSquare < 360, `samples are uniform (chi-square ${chiSquare.toFixed(1)})`);
+
+  const counted = (password, p) => validate(password, p).rules.every(rule => COUNTED_RULES.includes(rule.name) && rule.pass);
+  const policies = [
+    { maxRepeat: 3, repeatIgnoreCase: true },
+    { maxRepeat: { letter: 1, digit: 2 }, repeatIgnoreCase: true, minCounts: { uppercase: 3 } },
+    { positions: [{ index: 0, allow: ['special'] }, { index: 1, allow: ['special'] }], maxRepeat: 1 },
+  ];
+  let failures = 0;
+  for (const p of policies) {
+    for (let i = 0; i < 50; i++) {
+      if (!counted(samplePassword(20, p), p)) failures++;
+    }
+  }
+  assertEqual(failures, 0, 'samples meet every counted rule (x150)');
+}
+
+section('Combinatorics - generate() reports entropy');
+{
+  const r = generate(24, 'worldline-pci');
+  assert(r.valid && r.exact, 'a Worldline password is picked from the exact count');
+  assertEqual(r.entropy, entropyBits(24, 'worldline-pci'), 'generate() reports the entropy of the space');
+  const blocked = generate(16, 'nist-800-63b');
+  assert(blocked.valid && !blocked.exact, 'with the blocklist on, the entropy is an upper bound');
+  const seeded = (seed) => withRandomSource(createSeededRandom(seed), () => generate(12, { maxSequence: 2 }).password);
+  assertEqual(seeded(5), seeded(5), 'uniform generation is reproducible with a seed');
+}
+
+section('Passphrase - generatePassphrase()');
+{
+  const r = generatePassphrase(4, 'worldline-pci');
+  assert(r.valid && validate(r.password, 'worldline-pci').overall, `a Worldline passphrase passes the policy (${r.password})`);
+  assertEqual(r.words.length, 4, 'four words by default');
+  assert(r.words.every(w => /^[A-Z][a-z]+$/.test(w) && r.password.includes(w)), 'words are capitalized and in the passphrase');
+  assert(/^[A-Z][a-z]+([0-9#?!@$%^&*-]+[A-Z][a-z]+){3}$/.test(r.password), 'words are joined by digits and specials');
+  assert(r.entropy > 40 && r.entropy < 4 * Math.log2(7776) + 3 * Math.log2(20), `entropy adds up the choices (${r.entropy.toFixed(1)} bits)`);
+
+  let failures = 0;
+  for (let i = 0; i < 30; i++) {
+    const p = generatePassphrase(3, { maxRepeat: 1, repeatIgnoreCase: true });
+    const counts = countRepeats(p.password, { repeatIgnoreCase: true });
+    if (!p.valid || [...counts.values()].some(n => n > 1)) failures++;
+  }
+  assertEqual(failures, 0, 'words keep every character under the repeat cap (x30)');
+
+  const many = generatePassphrase(2, { minCounts: { digit: 3, special: 2 } });
+  assert(many.valid && many.words.length === 2, `a gap takes several separators when more are required (${many.password})`);
+  const long = generatePassphrase(2, { minLength: 30, maxRepeat: null });
+  assert(long.valid && long.password.length >= 30 && long.words.length > 2, 'words are added until minLength is met');
+  const short = generatePassphrase(4, { maxLength: 20, maxRepeat: null });
+  assert(short.valid && short.password.length <= 20, 'words are chosen to fit maxLength');
+  assertEqual(generatePassphrase(4, { maxLength: 10 }).valid, false, 'an impossible length fails');
+  assertEqual(generatePassphrase(20).words.length, MAX_PASSPHRASE_WORDS, 'the word count is clamped');
+  const seeded = (seed) => withRandomSource(createSeededRandom(seed), () => generatePassphrase(5).password);
+  assertEqual(seeded(3), seeded(3), 'passphrases are reproducible with a seed');
+}
+
+section('Pronounceable - generatePronounceable()');
+{
+  const r = generatePronounceable(16, 'worldline-pci');
+  assert(r.valid && validate(r.password, 'worldline-pci').overall, `a Worldline pronounceable password passes the policy (${r.password})`);
+  assertEqual(r.password.length, 16, 'the requested length');
+  const letters = r.password.replace(/[^A-Za-z]/g, '').toLowerCase();
+  assert(/^([bcdfghjklmnprstvwz][aeiou])*[bcdfghjklmnprstvwz]?$/.test(letters), 'letters alternate consonant, vowel');
+  assert(/^[A-Za-z]/.test(r.password), 'starts on a syllable');
+  assert(r.entropy > 40 && r.entropy < entropyBits(16, 'worldline-pci') - 20, `entropy is well below a random password's (${r.entropy.toFixed(1)} bits)`);
+
+  let failures = 0;
+  for (let i = 0; i < 30; i++) {
+    const p = generatePronounceable(24, { maxRepeat: 2, repeatIgnoreCase: true });
+    const counts = countRepeats(p.password, { repeatIgnoreCase: true });
+    if (!p.valid || p.password.length !== 24 || [...counts.values()].some(n => n > 2)) failures++;
+  }
+  assertEqual(failures, 0, 'honors the repeat cap, inserting more digits and specials once vowels run out (x30)');
+
+  const free = generatePronounceable(12, { required: [], maxRepeat: null, strictAlphabet: false });
+  assert(free.valid && /^[a-z]+$/.test(free.password), `with nothing required it is all lowercase syllables (${free.password})`);
+  // 6 consonants of 18, 6 vowels of 5
+  assert(Math.abs(free.entropy - (6 * Math.log2(18) + 6 * Math.log2(5))) < 1e-9, 'entropy is exact when every choice can be read back');
+  const upper = generatePronounceable(12, { required: ['uppercase'], minCounts: { uppercase: 3 }, maxRepeat: null });
+  assertEqual(upper.password.replace(/[^A-Z]/g, '').length, 3, 'capitalizes as many syllable starts as required');
+  assertEqual(generatePronounceable(10, { maxRepeat: 1, specialChars: '', required: ['digit'], minCounts: { digit: 1 } }).valid, true, 'a repeat cap of 1 still leaves enough vowels');
+  const seeded = (seed) => withRandomSource(createSeededRandom(seed), () => generatePronounceable(14).password);
+  assertEqual(seeded(9), seeded(9), 'pronounceable passwords are reproducible with a seed');
+}
+
+section('Generator options - excluded characters');
+{
+  const options = { excludeAmbiguous: true, exclude: '^&', specialChars: '#!@^-' };
+  const narrowed = withGeneratorOptions('worldline-pci', options);
+  assertEqual(getClassPool('special', narrowed), '#!@-', 'the special pool keeps only the chosen specials, minus exclusions');
+  assert(!getAlphabet(narrowed).includes('O') && !getAlphabet(narrowed).includes('l'), 'look-alikes leave the alphabet');
+  assertEqual(withGeneratorOptions('worldline-pci'), resolvePolicy('worldline-pci'), 'no options leave the policy as it is');
+  assert(!isAllowedChar('1', withGeneratorOptions({ strictAlphabet: false }, { excludeAmbiguous: true })), 'excluded characters are disallowed without a strict alphabet too');
+
+  let leaks = 0;
+  for (let i = 0; i < 50; i++) {
+    const r = generate(20, 'worldline-pci', {}, options);
+    if (!r.valid || /[O0Il1|^&$%?*]/.test(r.password) || !validate(r.password, 'worldline-pci').overall) leaks++;
+  }
+  assertEqual(leaks, 0, 'generate() never uses an excluded character and still passes the original policy (x50)');
+  assertEqual(generate(20, 'worldline-pci', {}, options).entropy, entropyBits(20, narrowed), 'the entropy counts only the characters left');
+  const phrase = generatePassphrase(4, 'worldline-pci', {}, { exclude: 'e' });
+  assert(phrase.valid && !phrase.password.includes('e'), `passphrases skip words with an excluded letter (${phrase.password})`);
+  const spoken = generatePronounceable(16, 'worldline-pci', {}, { excludeAmbiguous: true, exclude: 'a' });
+  assert(spoken.valid && !/[O0Il1|a]/.test(spoken.password), `pronounceable passwords skip excluded letters (${spoken.password})`);
+  assertEqual(generate(12, 'worldline-pci', {}, { specialChars: '' }).valid, false, 'no specials left for a required special fails');
+
+  const fixed = fix('Oll1aaa%', 'worldline-pci', {}, options);
+  assert(fixed.valid && !/[O0Il1|^&$%?*]/.test(fixed.fixed), `fix() replaces excluded characters and picks none (${fixed.fixed})`);
+  const loose = fix('Pass1word!', { strictAlphabet: false }, {}, { exclude: '!' });
+  assert(loose.valid && !loose.fixed.includes('!'), `without a strict alphabet fix() still replaces them (${loose.fixed})`);
+  assertEqual(fix('Xy7#Kq9@Wm', 'worldline-pci', {}, options).changes.length, 0, 'a password without excluded characters is left alone');
+}
+
+section('Page rules - custom sets ending in ]');
+{
+  assertEqual(parsePasswordRules('required: [-#!]]; required: digit').required[0][0].chars, '-#!]', "']]' ends a set with a literal ']'");
+  assertEqual(parsePasswordRules('allowed: [;]]; required: upper').required.length, 1, "a ';' and ']' in a set don't split the property");
+  const policy = { minLength: 10, specialChars: '#]!-', maxRun: 3 };
+  const back = policyFromField({ passwordRules: policyToPasswordRules(policy) });
+  assertEqual([...back.specialChars].sort().join(''), [...policy.specialChars].sort().join(''), 'special characters with ] survive writing and reading passwordrules');
+  assertEqual(`${back.minLength} ${back.maxRun} ${back.required.join(',')}`, '10 3 uppercase,lowercase,special,digit', 'the rest of the policy reads back too');
+}
+
+section('Page rules - allowed classes');
+{
+  const pin = policyFromField({ passwordRules: 'required: digit; allowed: digit; minlength: 6; maxlength: 6' });
+  let letters = 0;
+  for (let i = 0; i < 20; i++) {
+    const { password, valid } = generate(6, pin);
+    if (!valid || !/^\d{6}$/.test(password)) letters++;
+  }
+  assertEqual(letters, 0, 'a PIN field that allows only digits gets only digits (x20)');
+  assert(!validate('12ab56', pin).overall, 'letters fail a digits-only field');
+  assert(/^\d{6}$/.test(fix('12ab5', pin).fixed), 'fix() replaces letters in a digits-only field');
+  const lower = policyFromField({ passwordRules: 'required: lower; allowed: digit, [A]' });
+  assertEqual(getAlphabet(lower), 'Aabcdefghijklmnopqrstuvwxyz0123456789', 'letters in a custom set stay allowed');
+  assertEqual(policyFromField({ passwordRules: 'required: upper; allowed: ascii-printable' }).excludeChars, undefined, 'ascii-printable allows every letter and digit');
+}
+
+section('Page rules - pattern-only fields');
+{
+  const pin = policyFromField({ pattern: '[0-9]{6}' }, 'worldline-pci');
+  assertEqual(`${pin.minLength}-${pin.maxLength}`, '6-6', 'a plain {n} gives the length, below the base minimum');
+  assertEqual(pin.required.join(','), 'digit', 'classes the pattern rules out are no longer required');
+  for (let i = 0; i < 10; i++) {
+    const { password, valid } = generate(12, pin);
+    assert(valid && /^\d{6}$/.test(password), `generate() meets a [0-9]{6} field: ${password}`);
+  }
+  assert(/^\d{6}$/.test(fix('Hello1!', pin).fixed) && fix('Hello1!', pin).valid, 'fix() meets a [0-9]{6} field');
+
+  const plain = policyFromField({ pattern: '[A-Za-z0-9]+', minLength: 10, maxLength: 20 }, 'worldline-pci');
+  assertEqual(plain.required.join(','), 'uppercase,lowercase,digit', 'a pattern without specials drops the special requirement');
+  assertEqual(getClassPool('special', plain), '', 'specials the pattern rejects leave the alphabet');
+  const generated = generate(16, plain);
+  assert(generated.valid && /^[A-Za-z0-9]{16}$/.test(generated.password), `generate() meets an alphanumeric field: ${generated.password}`);
+  assert(fix('Hello1!', plain).valid, 'fix() meets an alphanumeric field');
+
+  const some = policyFromField({ pattern: '^(?=.*\\d)[A-Za-z\\d!@#]{8,16}$' }, 'worldline-pci');
+  assertEqual(getClassPool('special', some), '#!@', 'only the specials the pattern takes stay');
+  assertEqual(`${some.minLength}-${some.maxLength}`, '8-16', 'anchors around the length are skipped');
+  assertEqual(policyFromField({ pattern: '\\d{3}-\\d{4}' }).maxLength ?? null, null, 'a {n} on part of the pattern is not the length');
+  const tight = policyFromField({ pattern: '[ab]{8}' }, 'worldline-pci');
+  assertEqual(tight.maxRepeat, null, 'a repeat cap too tight for the pattern is dropped');
+  assert(generate(8, tight).valid, 'generate() meets a two-letter field');
+}
+
+section('Policy text - pattern and exclude');
+{
+  const policy = { minLength: 6, pattern: '^(?=.*\\d)[A-Za-z\\d"/;#]{6,}$', excludeChars: 'O0Il1]' };
+  const text = serializePolicy(policy);
+  assert(text.includes('pattern: "^(?=.*\\d)[A-Za-z\\d""/;#]{6,}$"'), `patterns are quoted, with quotes doubled (${text})`);
+  assert(text.includes('exclude: [O0Il1\\]]'), 'excluded characters are written as a set');
+  const back = parsePolicy(text);
+  assertEqual(back.pattern, policy.pattern, 'a pattern round-trips');
+  assertEqual(back.excludeChars, policy.excludeChars, 'excluded characters round-trip');
+  const multiline = parsePolicy(serializePolicy(policy, { multiline: true }));
+  assertEqual(multiline.pattern, policy.pattern, 'a pattern with ; round-trips across lines too');
+  assertEqual(parsePolicy('pattern: none').pattern, null, 'pattern: none clears the pattern');
+  assertEqual(serializePolicy({ pattern: null }), 'pattern: none', 'a null pattern is written as none');
+  let error = null;
+  try { parsePolicy('pattern: [0-9]'); } catch (err) { error = err; }
+  assert(error && error.reason.startsWith('Expected a quoted pattern'), 'an unquoted pattern is a syntax error');
+  error = null;
+  try { parsePolicy('minlength: 8\npattern: "abc'); } catch (err) { error = err; }
+  assertEqual(error && `${error.line}:${error.column}`, '2:10', 'an unclosed quote is reported where it opens');
+
+  const page = policyFromField({ pattern: '[A-Za-z0-9]+', minLength: 10 }, 'worldline-pci');
+  const reread = resolvePolicy(parsePolicy(serializePolicy(page)));
+  assert(Object.keys(page).every(k => JSON.stringify(reread[k]) === JSON.stringify(page[k])), 'a page policy survives the Custom text box');
+}
+
+
+section('Random source - secureRandomInt');
+{
+  const seeded = (max) => withRandomSource(createSeededRandom('wrapper'), () => Array.from({ length: 5 }, () => max()));
+  assertEqual(seeded(() => secureRandomInt(10)).join(','), seeded(() => randomInt(10)).join(','),
+    'the deprecated secureRandomInt() still draws like randomInt()');
+}
+
+
+section('Strength - Long input');
+{
+  const long = 'password123!Qwerty'.repeat(56).slice(0, 1000);
+  const started = Date.now();
+  const s = estimateStrength(long);
+  const elapsed = Date.now() - started;
+  assert(elapsed < 2000, `a 1,000-character input is estimated in ${elapsed} ms`);
+  const tail = s.sequence[s.sequence.length - 1];
+  assertEqual(`${tail.pattern} ${tail.i}-${tail.j}`, 'bruteforce 100-999', 'characters past the first 100 count as brute force');
+  assert(Number.isFinite(s.guesses) && s.score === 4, 'the guesses stay finite');
+  assert(estimateStrength(long.slice(0, 101)).guesses > estimateStrength(long.slice(0, 100)).guesses,
+    'each character past the analyzed part adds guesses');
+}
+
+
+section('Page rules - Writing out narrowed classes');
+{
+  const noLookalikes = { excludeChars: 'O0' };
+  assert(!compilePattern(policyToPattern(noLookalikes)).test('Abcdef1#O'), 'the pattern leaves out excluded characters');
+  assertEqual(policyToPattern(noLookalikes).slice(-30), '[A-NP-Za-z1-9#?!@$%\\^&*\\-]{8,}', 'ranges skip excluded characters');
+  assert(policyToPasswordRules(noLookalikes).includes('allowed: [ABCDEFGHIJKLMNPQRSTUVWXYZ], lower, [123456789]'),
+    'passwordrules writes narrowed classes as custom sets');
+  const page = policyFromField({ passwordRules: 'required: lower; required: digit' });
+  assertEqual(policyToPasswordRules(page), 'minlength: 8; required: lower; required: digit; allowed: lower, digit',
+    'a page policy writes back the classes the page allowed');
+  const back = policyFromField({ passwordRules: policyToPasswordRules(noLookalikes) });
+  assert(!back.excludeChars.includes('A') && back.excludeChars.includes('O') && back.excludeChars.includes('0'),
+    'narrowed classes read back with the same exclusions');
+}
+
+
+section('Passphrase - Position rules');
+{
+  const digitFirst = { positions: [{ index: 0, allow: ['digit'] }] };
+  const runs = Array.from({ length: 20 }, () => generatePassphrase(4, digitFirst));
+  assert(runs.every(r => r.valid && /^[0-9]/.test(r.password) && validate(r.password, digitFirst).overall),
+    'a digit goes before the first word when the first character must be a digit');
+  const ends = { positions: [{ index: -1, allow: ['special'] }, { index: 0, forbid: ['uppercase'] }] };
+  assert(Array.from({ length: 20 }, () => generatePassphrase(4, ends)).every(r => r.valid && validate(r.password, ends).overall),
+    'a special goes after the last word when the last character must be one');
+  const lowerFirst = generatePassphrase(4, { positions: [{ index: 0, allow: ['lowercase'] }] });
+  assertEqual(`${lowerFirst.valid} ${lowerFirst.reason}`, 'false First character is a lowercase letter',
+    'a first character no word or separator can take is named as the reason');
+}
+
+
+section('Pronounceable - Position rules');
+{
+  const digitFirst = { positions: [{ index: 0, allow: ['digit'] }] };
+  assert(Array.from({ length: 20 }, () => generatePronounceable(16, digitFirst))
+    .every(r => r.valid && /^[0-9]/.test(r.password) && validate(r.password, digitFirst).overall),
+    'a digit is inserted first when the first character must be a digit');
+  const mixed = { positions: [{ index: 0, allow: ['uppercase'] }, { index: 3, forbid: ['lowercase'] }, { index: -1, allow: ['special'] }] };
+  assert(Array.from({ length: 20 }, () => generatePronounceable(16, mixed)).every(r => r.valid && validate(r.password, mixed).overall),
+    'positions get a capital or an insertion as their rule allows');
+  const none = generatePronounceable(16, { specialChars: '', positions: [{ index: 0, allow: ['special'] }] });
+  assertEqual(`${none.valid} ${none.reason}`, 'false First character is a special character',
+    'a position nothing can take is named as the reason');
+}
+
+
+section('Generator - Failure reasons');
+{
+  const noDigits = generate(12, 'worldline-pci', {}, { exclude: '0123456789' });
+  assertEqual(`${noDigits.valid} ${noDigits.password === ''} ${noDigits.reason}`, 'false true At least 1 digit',
+    'generate() names the rule it couldn\'t meet');
+  assertEqual(generate(12, 'worldline-pci').reason, undefined, 'a generated password has no reason');
+}
+
+
+section('Policy text - Per-class caps of none');
+{
+  const policy = resolvePolicy({ maxRepeat: { digit: null, special: 1 }, minCounts: { digit: 2, special: null } });
+  const text = serializePolicy(policy);
+  assert(text.includes('max-repeat: digit none, special 1') && text.includes('min-count: digit 2, special none'),
+    `a per-class none is written as none: ${text}`);
+  const reread = resolvePolicy(parsePolicy(text));
+  assertEqual(JSON.stringify([reread.maxRepeat, reread.minCounts]), JSON.stringify([policy.maxRepeat, policy.minCounts]),
+    'per-class caps and counts of none round-trip');
+}
+
+
+section('Page rules - Maximum below the base minimum');
+{
+  const short = policyFromField({ minLength: 4, maxLength: 6 }, 'worldline-pci');
+  assertEqual(`${short.minLength}-${short.maxLength}`, '6-6', 'the minimum comes down to the site maximum, not the field minimum');
+  const inverted = policyFromField({ passwordRules: 'minlength: 10; maxlength: 7' });
+  assertEqual(`${inverted.minLength}-${inverted.maxLength}`, '7-7', 'passwordrules with its minimum above its maximum takes the maximum');
+}
+
 // ============================================================
 // SUMMARY
 // ============================================================
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Build lib/blocklist-data.js, the Bloom filter behind the common-password rule.
+// Run:  node tools/build-blocklist.mjs <passwords.txt[.gz]> [count=100000] [falsePositiveRate=0.0001]
+//
+// The input is a newline-delimited password list ordered from most to least common
+// (e.g. a SecLists common-credentials list). The first <count> entries are normalized
+// with the same blocklistKeys() the extension uses at lookup time, so leetspeak and
+// case variants of a listed password share one key.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import { gunzipSync } from 'zlib';
+import { bloomAdd, bloomHas, blocklistKeys, createBloomFilter } from '../lib/blocklist.js';
+
+const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
+
+const [input, countArg = '100000', rateArg = '0.0001'] = process.argv.slice(2);
+if (!input) {
+  console.error('Usage: node tools/build-blocklist.mjs <passwords.txt[.gz]> [count] [falsePositiveRate]');
+  process.exit(1);
+}
+const count = parseInt(countArg, 10);
+const rate = parseFloat(rateArg);
+
+// ── Read and normalize the list ─────────────────────────────────────
+let raw = readFileSync(input);
+if (input.endsWith('.gz')) raw = gunzipSync(raw);
+const entries = raw.toString('utf8').split(/\r?\n/).filter(Boolean).slice(0, count);
+
+// Only the whole-password key is stored; the "core" key is a lookup-time fallback
+const keys = new Set(entries.map(entry => blocklistKeys(entry)[0]));
+console.log(`Read ${entries.length} passwords -> ${keys.size} normalized keys`);
+
+// ── Build the filter ────────────────────────────────────────────────
+const filter = createBloomFilter(keys.size, rate);
+for (const key of keys) bloomAdd(filter, key);
+
+// Sanity check: every key must be found
+for (const key of keys) {
+  if (!bloomHas(filter, key)) {
+    console.error(`ERROR: key missing after insert: ${key}`);
+    process.exit(1);
+  }
+}
+
+// ── Write lib/blocklist-data.js ─────────────────────────────────────
+const data = Buffer.from(filter.bytes).toString('base64');
+const out = `// Password Policy Helper - Common Password Blocklist Data
+// Generated by tools/build-blocklist.mjs from the first ${entries.length} entries of ${basename(input)}.
+// Bloom filter: ${keys.size} keys, ${filter.bits} bits, ${filter.hashes} hashes, ~${rate} false-positive rate.
+// Do not edit by hand.
+
+export const COMMON_PASSWORDS = {
+  bits: ${filter.bits},
+  hashes: ${filter.hashes},
+  count: ${keys.size},
+  data: '${data}',
+};
+`;
+const outPath = join(ROOT, 'lib', 'blocklist-data.js');
+writeFileSync(outPath, out);
+console.log(`✓ ${outPath} (${(out.length / 1024).toFixed(1)} KB)`);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Build lib/strength-data.js, the ranked dictionaries behind the strength estimator.
+// Run:  node tools/build-strength-data.mjs <path/to/zxcvbn/lib/frequency_lists.js>
+//
+// The input is the frequency_lists module from the zxcvbn npm package (MIT, Dropbox):
+// an object of comma-separated word lists, most frequent first. Each list is trimmed
+// to the size below so the bundled data stays small.
+
+import { writeFileSync } from 'fs';
+import { createRequire } from 'module';
+import { resolve, join } from 'path';
+
+const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
+
+// Words kept from each zxcvbn list, most frequent first
+const LIST_SIZES = {
+  passwords: 10000,
+  english_wikipedia: 8000,
+  female_names: 3712,
+  male_names: 983,
+  surnames: 3000,
+  us_tv_and_film: 5000,
+};
+
+const input = process.argv[2];
+if (!input) {
+  console.error('Usage: node tools/build-strength-data.mjs <path/to/zxcvbn/lib/frequency_lists.js>');
+  process.exit(1);
+}
+
+const require = createRequire(import.meta.url);
+const lists = require(resolve(input));
+
+let out = `// Password Policy Helper - Strength Estimator Data
+// Generated by tools/build-strength-data.mjs from zxcvbn's frequency lists
+// (Copyright (c) 2012-2016 Dan Wheeler and Dropbox, Inc., MIT license).
+// Comma-separated, most frequent first. Do not edit by hand.
+
+export const FREQUENCY_LISTS = {
+`;
+for (const [name, size] of Object.entries(LIST_SIZES)) {
+  if (!lists[name]) {
+    console.error(`ERROR: list "${name}" not found in ${input}`);
+    process.exit(1);
+  }
+  const words = Array.isArray(lists[name]) ? lists[name] : lists[name].split(',');
+  const kept = words.slice(0, size);
+  out += `  ${name}: '${kept.join(',').replace(/\\/g, '\\\\').replace(/'/g, "\\'")}',\n`;
+  console.log(`${name}: ${kept.length} words`);
+}
+out += '};\n';
+
+const outPath = join(ROOT, 'lib', 'strength-data.js');
+writeFileSync(outPath, out);
+console.log(`✓ ${outPath} (${(out.length / 1024).toFixed(1)} KB)`);
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Build lib/wordlist-data.js, the word list behind passphrase generation.
+// Run:  node tools/build-wordlist.mjs <path/to/diceware.json>
+//
+// The input is diceware.json from the @zxcvbn-ts/language-common npm package (MIT), which
+// is the EFF's long diceware list (CC BY 3.0 US): 7776 words, so five dice pick one.
+// Words that aren't plain lowercase ASCII are rejected, so every word passes a strict
+// alphabet.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve, join } from 'path';
+
+const ROOT = new URL('..', import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1');
+
+const input = process.argv[2];
+if (!input) {
+  console.error('Usage: node tools/build-wordlist.mjs <path/to/diceware.json>');
+  process.exit(1);
+}
+
+const words = JSON.parse(readFileSync(resolve(input), 'utf8'));
+const bad = words.filter(word => !/^[a-z]+$/.test(word));
+if (bad.length > 0) {
+  console.error(`ERROR: ${bad.length} words are not lowercase ASCII, e.g. "${bad[0]}"`);
+  process.exit(1);
+}
+if (new Set(words).size !== words.length) {
+  console.error('ERROR: the list has duplicate words');
+  process.exit(1);
+}
+
+const out = `// Password Policy Helper - Passphrase Word List
+// Generated by tools/build-wordlist.mjs from the EFF long diceware list
+// (Electronic Frontier Foundation, CC BY 3.0 US), as packaged by @zxcvbn-ts/language-common
+// (MIT). Comma-separated, alphabetical. Do not edit by hand.
+
+export const DICEWARE_WORDS = '${words.join(',')}';
+`;
+
+const outPath = join(ROOT, 'lib', 'wordlist-data.js');
+writeFileSync(outPath, out);
+console.log(`${words.length} words`);
+console.log(`✓ ${outPath} (${(out.length / 1024).toFixed(1)} KB)`);
@@ -20,7 +20,19 @@ const INCLUDE = [
   'LICENSE',
   'lib/validator.js',
   'lib/generator.js',
+  'lib/wordlist-data.js',
   'lib/fixer.js',
+  'lib/presets.js',
+  'lib/blocklist.js',
+  'lib/blocklist-data.js',
+  'lib/strength.js',
+  'lib/strength-data.js',
+  'lib/history.js',
+  'lib/explain.js',
+  'lib/policy-text.js',
+  'lib/passwordrules.js',
+  'lib/random.js',
+  'lib/combinatorics.js',
   'popup/popup.html',
   'popup/popup.css',
   'popup/popup.js',
@@ -188,7 +188,14 @@ for (const htmlPath of htmlFiles) {
 
 // Check JS files for eval/Function constructor
 const jsFiles = [
-  'lib/validator.js', 'lib/generator.js', 'lib/fixer.js',
+  'lib/validator.js', 'lib/generator.js', 'lib/wordlist-data.js', 'lib/fixer.js', 'lib/presets.js',
+  'lib/blocklist.js', 'lib/blocklist-data.js', 'lib/strength.js', 'lib/strength-data.js',
+  'lib/history.js',
+  'lib/explain.js',
+  'lib/policy-text.js',
+  'lib/passwordrules.js',
+  'lib/random.js',
+  'lib/combinatorics.js',
   'popup/popup.js', 'content/content.js',
 ];
 for (const jsPath of jsFiles) {